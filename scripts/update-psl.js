@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * DMARC Report Reader - Public Suffix List Updater
+ * Regenerates lib/public-suffix-list.js from a public_suffix_list.dat file
+ *
+ * Run: node scripts/update-psl.js <path/to/public_suffix_list.dat> <version>
+ *
+ * The .dat file is the canonical list from https://publicsuffix.org/list/.
+ * The version is the snapshot date (YYYY-MM-DD). After regenerating, update
+ * the "public-suffix-list" entry in package.json vendorDependencies with the
+ * printed version and SHA-384 hash, then run `npm run validate-libs`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const url = require('url');
+
+const OUTPUT_FILE = path.join(__dirname, '..', 'lib', 'public-suffix-list.js');
+
+/**
+ * Convert a rule to ASCII (punycode) form, label by label
+ * Wildcard labels and the exception marker are preserved.
+ * @param {string} rule - Rule as written in the .dat file
+ * @returns {string} ASCII rule
+ */
+function toAsciiRule(rule) {
+  const exception = rule.startsWith('!');
+  const body = exception ? rule.slice(1) : rule;
+
+  const labels = body.split('.').map(label => {
+    if (label === '*' || /^[\x00-\x7f]*$/.test(label)) return label.toLowerCase();
+    const ascii = url.domainToASCII(label);
+    if (!ascii) throw new Error(`Cannot convert rule label to ASCII: ${label}`);
+    return ascii;
+  });
+
+  return (exception ? '!' : '') + labels.join('.');
+}
+
+/**
+ * Parse a public_suffix_list.dat file into ICANN and private rule lists
+ * @param {string} text - File contents
+ * @returns {{icann: string[], private: string[]}} Rules per section
+ */
+function parseDatFile(text) {
+  const sections = { icann: [], private: [] };
+  let current = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line.includes('===BEGIN ICANN DOMAINS===')) { current = 'icann'; continue; }
+    if (line.includes('===BEGIN PRIVATE DOMAINS===')) { current = 'private'; continue; }
+    if (line.includes('===END ')) { current = null; continue; }
+    if (!current || !line || line.startsWith('//')) continue;
+
+    // Rules end at the first whitespace
+    sections[current].push(toAsciiRule(line.split(/\s/)[0]));
+  }
+
+  if (sections.icann.length === 0) {
+    throw new Error('No ICANN section found - is this a public_suffix_list.dat file?');
+  }
+
+  return sections;
+}
+
+/**
+ * Render the vendored data file
+ * @param {{icann: string[], private: string[]}} sections - Parsed rules
+ * @param {string} version - Snapshot version (date)
+ * @returns {string} JavaScript source
+ */
+function renderDataFile(sections, version) {
+  const list = rules => rules.map(r => `    '${r}'`).join(',\n');
+
+  return `/*!
+ * Public Suffix List snapshot ${version}
+ * https://publicsuffix.org/ - licensed under MPL-2.0 (https://mozilla.org/MPL/2.0/)
+ *
+ * Generated by scripts/update-psl.js - do not edit by hand.
+ * Rules are stored in ASCII (punycode) form, split into the list's
+ * ICANN and PRIVATE sections.
+ */
+const PUBLIC_SUFFIX_LIST = Object.freeze({
+  version: '${version}',
+  icann: Object.freeze([
+${list(sections.icann)}
+  ]),
+  private: Object.freeze([
+${list(sections.private)}
+  ])
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PUBLIC_SUFFIX_LIST;
+}
+`;
+}
+
+// Main execution
+const [datPath, version] = process.argv.slice(2);
+
+if (!datPath || !/^\d{4}-\d{2}-\d{2}$/.test(version || '')) {
+  console.error('Usage: node scripts/update-psl.js <public_suffix_list.dat> <YYYY-MM-DD>');
+  process.exit(1);
+}
+
+const sections = parseDatFile(fs.readFileSync(datPath, 'utf8'));
+const output = renderDataFile(sections, version);
+fs.writeFileSync(OUTPUT_FILE, output);
+
+const hash = crypto.createHash('sha384').update(output).digest('hex');
+
+console.log(`Wrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+console.log(`  ICANN rules:   ${sections.icann.length}`);
+console.log(`  Private rules: ${sections.private.length}`);
+console.log(`  Version:       ${version}`);
+console.log(`  SHA-384:       ${hash}`);
@@ -36,6 +36,7 @@ function validateLibrary(name, config) {
   const result = {
     name,
     version: config.version,
+    isData: config.data === true,
     file: config.file,
     license: config.license,
     exists: false,
@@ -89,6 +90,8 @@ function printResults(results) {
   console.log('=== Security Advisory Status ===\n');
   console.log('Check for known vulnerabilities:');
   for (const result of results) {
+    // Data snapshots (e.g. the Public Suffix List) are not npm packages
+    if (result.isData) continue;
     console.log(`  - ${result.name}@${result.version}: https://www.npmjs.com/package/${result.name}/v/${result.version}`);
   }
   console.log('\nAs of 2026-01-19:');
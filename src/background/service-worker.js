@@ -6,6 +6,8 @@
 importScripts(
   '../../lib/pako.min.js',
   '../../lib/jszip.min.js',
+  '../parser/mime-parser.js',
+  '../parser/arf-parser.js',
   '../parser/file-handler.js'
 );
 
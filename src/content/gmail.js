@@ -89,6 +89,14 @@
 
   const VALID_EXTENSIONS = ['.xml', '.xml.gz', '.gz', '.zip'];
 
+  const TLSRPT_PATTERNS = [
+    /tlsrpt/i,
+    /tls[-_.]?report/i,
+    /[a-z0-9.-]+![a-z0-9.-]+!\d+!\d+/i
+  ];
+
+  const TLSRPT_EXTENSIONS = ['.json', '.json.gz'];
+
   function isDmarcFile(filename) {
     if (!filename) return false;
     const lower = filename.toLowerCase();
@@ -97,9 +105,21 @@
     return DMARC_PATTERNS.some(p => p.test(filename));
   }
 
+  function isTlsRptFile(filename) {
+    if (!filename) return false;
+    const lower = filename.toLowerCase();
+    const hasValidExt = TLSRPT_EXTENSIONS.some(ext => lower.endsWith(ext));
+    if (!hasValidExt) return false;
+    return TLSRPT_PATTERNS.some(p => p.test(filename));
+  }
+
+  function isReportFile(filename) {
+    return isDmarcFile(filename) || isTlsRptFile(filename);
+  }
+
   function extractFilename(text) {
     if (!text) return null;
-    const match = text.match(/[\w\-!.]+\.(xml\.gz|xml|gz|zip)/i);
+    const match = text.match(/[\w\-!.]+\.(xml\.gz|xml|json\.gz|json|gz|zip)/i);
     return match ? match[0] : null;
   }
 
@@ -372,7 +392,7 @@
       const label = el.getAttribute('aria-label') || el.getAttribute('data-tooltip') || '';
       const filename = extractFilename(label);
 
-      if (!filename || !isDmarcFile(filename)) continue;
+      if (!filename || !isReportFile(filename)) continue;
       if (addedFiles.has(filename)) continue;
 
       // Check element is visible
@@ -395,7 +415,7 @@
       if (text.length > 200) continue; // Skip large elements
 
       const filename = extractFilename(text);
-      if (!filename || !isDmarcFile(filename)) continue;
+      if (!filename || !isReportFile(filename)) continue;
       if (addedFiles.has(filename)) continue;
 
       const rect = el.getBoundingClientRect();
@@ -85,6 +85,15 @@
   // Valid file extensions
   const VALID_EXTENSIONS = ['.xml', '.xml.gz', '.gz', '.zip'];
 
+  // SMTP TLS reports (RFC 8460): sender!policy-domain!begin!end[!id].json[.gz]
+  const TLSRPT_PATTERNS = [
+    /tlsrpt/i,
+    /tls[-_.]?report/i,
+    /^[a-z0-9.-]+![a-z0-9.-]+!\d+!\d+/i
+  ];
+
+  const TLSRPT_EXTENSIONS = ['.json', '.json.gz'];
+
   // Global flag to prevent duplicate buttons
   let buttonsInjected = new Set();
 
@@ -99,12 +108,23 @@
     return DMARC_PATTERNS.some(pattern => pattern.test(filename));
   }
 
+  /**
+   * Check if filename looks like an SMTP TLS report
+   */
+  function isTlsRptReport(filename) {
+    if (!filename) return false;
+    const lower = filename.toLowerCase();
+    const hasValidExtension = TLSRPT_EXTENSIONS.some(ext => lower.endsWith(ext));
+    if (!hasValidExtension) return false;
+    return TLSRPT_PATTERNS.some(pattern => pattern.test(filename));
+  }
+
   /**
    * Extract filename from text
    */
   function extractFilename(text) {
     if (!text) return null;
-    const match = text.match(/[\w\-!.]+\.(xml\.gz|xml|gz|zip)/i);
+    const match = text.match(/[\w\-!.]+\.(xml\.gz|xml|json\.gz|json|gz|zip)/i);
     return match ? match[0] : null;
   }
 
@@ -227,7 +247,7 @@
       const text = node.textContent.trim();
       if (text.length > 5 && text.length < 200) {
         const filename = extractFilename(text);
-        if (filename && isDmarcReport(filename)) {
+        if (filename && (isDmarcReport(filename) || isTlsRptReport(filename))) {
           dmarcNodes.push({ node, filename });
         }
       }
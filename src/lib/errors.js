@@ -28,10 +28,21 @@ const ErrorCodes = Object.freeze({
   XML_PARSE_ERROR: 'XML_PARSE_ERROR',
   XML_NOT_DMARC: 'XML_NOT_DMARC',
   XML_MISSING_REQUIRED: 'XML_MISSING_REQUIRED',
+  PARSE_CANCELLED: 'PARSE_CANCELLED',
+
+  // TLS-RPT (JSON) parsing errors
+  JSON_PARSE_ERROR: 'JSON_PARSE_ERROR',
+  TLSRPT_INVALID: 'TLSRPT_INVALID',
+
+  // Failure report (ARF message) parsing errors
+  MESSAGE_NO_REPORT: 'MESSAGE_NO_REPORT',
+  MBOX_NO_REPORT: 'MBOX_NO_REPORT',
+  FAILURE_REPORT_INVALID: 'FAILURE_REPORT_INVALID',
 
   // Network/service errors
   IP_LOOKUP_FAILED: 'IP_LOOKUP_FAILED',
   IP_LOOKUP_RATE_LIMITED: 'IP_LOOKUP_RATE_LIMITED',
+  IP_DATASET_INVALID: 'IP_DATASET_INVALID',
 
   // Extension communication errors
   SERVICE_WORKER_TIMEOUT: 'SERVICE_WORKER_TIMEOUT',
@@ -56,22 +67,31 @@ const UserMessages = Object.freeze({
   [ErrorCodes.FILE_EMPTY]: 'The file is empty. Please select a valid DMARC report file.',
   [ErrorCodes.FILE_TOO_LARGE]: 'The file is too large to process. Maximum size is 50MB.',
   [ErrorCodes.FILE_TOO_SMALL]: 'The file is too small to be a valid DMARC report.',
-  [ErrorCodes.FORMAT_UNKNOWN]: 'Unrecognized file format. Please use .xml, .xml.gz, or .zip files.',
+  [ErrorCodes.FORMAT_UNKNOWN]: 'Unrecognized file format. Please use .xml, .xml.gz, .zip, .json, .json.gz, .eml, or .mbox files.',
 
   [ErrorCodes.GZIP_CORRUPT]: 'The GZIP file appears to be corrupted and cannot be decompressed.',
   [ErrorCodes.GZIP_DECOMPRESS_FAILED]: 'Failed to decompress the GZIP file. The file may be corrupted.',
 
   [ErrorCodes.ZIP_INVALID]: 'The ZIP file is invalid or corrupted.',
-  [ErrorCodes.ZIP_NO_XML]: 'No XML files found in the ZIP archive.',
-  [ErrorCodes.ZIP_NO_DMARC]: 'The ZIP archive does not contain any valid DMARC report files.',
+  [ErrorCodes.ZIP_NO_XML]: 'No report files (XML, JSON, or EML) found in the ZIP archive.',
+  [ErrorCodes.ZIP_NO_DMARC]: 'The ZIP archive does not contain any valid DMARC, TLS-RPT, or failure report files.',
   [ErrorCodes.ZIP_EXTRACT_FAILED]: 'Failed to extract files from the ZIP archive.',
 
   [ErrorCodes.XML_PARSE_ERROR]: 'The XML file could not be parsed. It may be malformed or corrupted.',
   [ErrorCodes.XML_NOT_DMARC]: 'The file is not a valid DMARC aggregate report. Missing required elements.',
   [ErrorCodes.XML_MISSING_REQUIRED]: 'The DMARC report is missing required information.',
+  [ErrorCodes.PARSE_CANCELLED]: 'Parsing was cancelled because another view was opened.',
+
+  [ErrorCodes.JSON_PARSE_ERROR]: 'The JSON file could not be parsed. It may be malformed or corrupted.',
+  [ErrorCodes.TLSRPT_INVALID]: 'The file is not a valid SMTP TLS report (RFC 8460). Missing required fields.',
+
+  [ErrorCodes.MESSAGE_NO_REPORT]: 'The email message does not contain a DMARC report.',
+  [ErrorCodes.MBOX_NO_REPORT]: 'No message in the mailbox contains a DMARC report attachment.',
+  [ErrorCodes.FAILURE_REPORT_INVALID]: 'The message is not a valid DMARC failure report. No feedback report part was found.',
 
   [ErrorCodes.IP_LOOKUP_FAILED]: 'Failed to lookup IP address information. Some location data may be unavailable.',
   [ErrorCodes.IP_LOOKUP_RATE_LIMITED]: 'IP lookup service is rate limited. Please wait and try again.',
+  [ErrorCodes.IP_DATASET_INVALID]: 'The IP dataset could not be read. Use a CSV/TSV prefix or range list, or a MaxMind DB (.mmdb) file.',
 
   [ErrorCodes.SERVICE_WORKER_TIMEOUT]: 'The extension is not responding. Please try again or reload the page.',
   [ErrorCodes.SERVICE_WORKER_ERROR]: 'An error occurred in the extension. Please try again.',
@@ -173,7 +193,7 @@ class DmarcError extends Error {
       code = ErrorCodes.GZIP_DECOMPRESS_FAILED;
     } else if (message.includes('Invalid ZIP') || message.includes('bad zip')) {
       code = ErrorCodes.ZIP_INVALID;
-    } else if (message.includes('No XML files')) {
+    } else if (message.includes('No report files')) {
       code = ErrorCodes.ZIP_NO_XML;
     } else if (message.includes('no valid DMARC')) {
       code = ErrorCodes.ZIP_NO_DMARC;
@@ -181,6 +201,18 @@ class DmarcError extends Error {
       code = ErrorCodes.XML_PARSE_ERROR;
     } else if (message.includes('missing feedback')) {
       code = ErrorCodes.XML_NOT_DMARC;
+    } else if (message.includes('JSON parsing failed')) {
+      code = ErrorCodes.JSON_PARSE_ERROR;
+    } else if (message.includes('Invalid TLS-RPT')) {
+      code = ErrorCodes.TLSRPT_INVALID;
+    } else if (message.includes('Mailbox does not contain')) {
+      code = ErrorCodes.MBOX_NO_REPORT;
+    } else if (message.includes('does not contain a DMARC')) {
+      code = ErrorCodes.MESSAGE_NO_REPORT;
+    } else if (message.includes('Invalid failure report')) {
+      code = ErrorCodes.FAILURE_REPORT_INVALID;
+    } else if (message.includes('Invalid IP dataset')) {
+      code = ErrorCodes.IP_DATASET_INVALID;
     }
 
     return new DmarcError(code, error.message, { originalError: error.name });
@@ -0,0 +1,378 @@
+/**
+ * DMARC Report Reader - Settings Page
+ * Lookup provider chain configuration, offline IP dataset management and
+ * the DNS-over-HTTPS endpoint for SPF evaluation
+ */
+
+const providerList = document.getElementById('provider-list');
+const providersSaveBtn = document.getElementById('providers-save-btn');
+const datasetStatus = document.getElementById('dataset-status');
+const datasetInput = document.getElementById('dataset-input');
+const datasetImportBtn = document.getElementById('dataset-import-btn');
+const datasetClearBtn = document.getElementById('dataset-clear-btn');
+const datasetTestIp = document.getElementById('dataset-test-ip');
+const datasetTestBtn = document.getElementById('dataset-test-btn');
+const datasetTestResult = document.getElementById('dataset-test-result');
+const status = document.getElementById('status');
+const dohEndpointInput = document.getElementById('doh-endpoint');
+const dohSaveBtn = document.getElementById('doh-save-btn');
+const spfStatus = document.getElementById('spf-status');
+
+// Origins covered by the manifest's host_permissions
+const GRANTED_ORIGINS = new Set(['https://ip-api.com/*']);
+
+// Provider settings being edited (normalized { chain, options })
+let providerSettings = null;
+
+/**
+ * Show status message to user
+ * @param {string} message - Message to display
+ * @param {string} type - Status type: 'error', 'success', or 'loading'
+ * @param {HTMLElement} [element] - Status element of the section (defaults to IP Intelligence)
+ */
+function showStatus(message, type, element = status) {
+  element.textContent = message;
+  element.className = `status ${type}`;
+}
+
+// =============================================================================
+// Lookup Providers
+// =============================================================================
+
+/**
+ * Create a labelled input for one provider option
+ * @param {Object} provider - Provider from GEO_PROVIDERS
+ * @param {{key: string, label: string, type: string, placeholder?: string}} field - Field definition
+ * @returns {HTMLElement} Field element
+ */
+function createProviderField(provider, field) {
+  const wrapper = document.createElement('label');
+  wrapper.className = field.type === 'number' ? 'provider-field' : 'provider-field wide';
+  wrapper.textContent = field.label;
+
+  const input = document.createElement(field.type === 'json' ? 'textarea' : 'input');
+  if (field.type !== 'json') input.type = field.type;
+  if (field.type === 'number') input.min = '1';
+  input.placeholder = field.placeholder ?? String(provider.defaults[field.key] ?? '');
+
+  const stored = providerSettings.options[provider.id][field.key];
+  input.value = stored ?? '';
+
+  input.addEventListener('input', () => {
+    const value = input.value.trim();
+    providerSettings.options[provider.id][field.key] =
+      field.type === 'number' && value !== '' ? Number(value) : value;
+  });
+
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+/**
+ * Move a provider up or down the chain
+ * @param {number} index - Current chain position
+ * @param {number} offset - -1 for up, 1 for down
+ */
+function moveProvider(index, offset) {
+  const chain = providerSettings.chain;
+  const target = index + offset;
+  if (target < 0 || target >= chain.length) return;
+  [chain[index], chain[target]] = [chain[target], chain[index]];
+  renderProviders();
+}
+
+/**
+ * Render the provider chain editor
+ */
+function renderProviders() {
+  providerList.replaceChildren();
+
+  providerSettings.chain.forEach((item, index) => {
+    const provider = GEO_PROVIDERS[item.id];
+    const li = document.createElement('li');
+    li.className = item.enabled ? 'provider-item' : 'provider-item disabled';
+
+    const header = document.createElement('div');
+    header.className = 'provider-header';
+
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = item.enabled;
+    checkbox.addEventListener('change', () => {
+      item.enabled = checkbox.checked;
+      li.classList.toggle('disabled', !item.enabled);
+    });
+    const text = document.createElement('span');
+    const name = document.createElement('strong');
+    name.textContent = provider.name;
+    const help = document.createElement('span');
+    help.className = 'option-help';
+    help.textContent = provider.description;
+    text.append(name, help);
+    label.append(checkbox, text);
+
+    const order = document.createElement('div');
+    order.className = 'provider-order';
+    for (const [symbol, offset, title] of [['\u2191', -1, 'Move up'], ['\u2193', 1, 'Move down']]) {
+      const button = document.createElement('button');
+      button.className = 'btn-secondary';
+      button.textContent = symbol;
+      button.title = title;
+      button.disabled = index + offset < 0 || index + offset >= providerSettings.chain.length;
+      button.addEventListener('click', () => moveProvider(index, offset));
+      order.appendChild(button);
+    }
+
+    header.append(label, order);
+    li.appendChild(header);
+
+    const fields = [...provider.settingsFields];
+    if (provider.network) {
+      fields.push(
+        { key: 'batchSize', label: 'Batch size', type: 'number' },
+        { key: 'requestsPerMinute', label: 'Requests per minute', type: 'number' }
+      );
+    }
+    if (fields.length > 0) {
+      const container = document.createElement('div');
+      container.className = 'provider-fields';
+      for (const field of fields) {
+        container.appendChild(createProviderField(provider, field));
+      }
+      li.appendChild(container);
+    }
+
+    const problems = document.createElement('div');
+    problems.className = 'provider-problems hidden';
+    problems.dataset.provider = provider.id;
+    li.appendChild(problems);
+
+    providerList.appendChild(li);
+  });
+}
+
+/**
+ * Validate enabled providers and show their problems inline
+ * @returns {boolean} True when every enabled provider is usable
+ */
+function validateProviders() {
+  let valid = true;
+
+  for (const item of providerSettings.chain) {
+    const provider = GEO_PROVIDERS[item.id];
+    const problems = item.enabled
+      ? validateGeoProviderOptions(item.id, getGeoProviderOptions(provider, providerSettings))
+      : [];
+    const element = providerList.querySelector(`[data-provider="${item.id}"]`);
+    element.textContent = problems.join('. ');
+    element.classList.toggle('hidden', problems.length === 0);
+    if (problems.length > 0) valid = false;
+  }
+
+  return valid;
+}
+
+/**
+ * Host permissions the enabled providers need beyond the manifest's
+ * @returns {string[]} Origin patterns
+ */
+function getRequiredOrigins() {
+  const origins = new Set();
+  for (const item of providerSettings.chain) {
+    if (!item.enabled) continue;
+    const provider = GEO_PROVIDERS[item.id];
+    for (const origin of provider.origins(getGeoProviderOptions(provider, providerSettings))) {
+      if (!GRANTED_ORIGINS.has(origin)) origins.add(origin);
+    }
+  }
+  return [...origins];
+}
+
+/**
+ * Validate, request host permissions for, and save the provider chain
+ * chrome.permissions.request must run inside the click's user gesture,
+ * so it is called before anything else is awaited.
+ */
+async function saveProviders() {
+  if (!validateProviders()) {
+    showStatus('Fix the highlighted provider settings before saving.', 'error');
+    return;
+  }
+  if (!providerSettings.chain.some(item => item.enabled)) {
+    showStatus('Enable at least one provider.', 'error');
+    return;
+  }
+
+  const origins = getRequiredOrigins();
+  if (origins.length > 0) {
+    const granted = await chrome.permissions.request({ origins });
+    if (!granted) {
+      showStatus(`Access to ${origins.join(', ')} was not granted. Settings not saved.`, 'error');
+      return;
+    }
+  }
+
+  try {
+    await saveGeoProviderSettings(providerSettings);
+    showStatus('Lookup providers saved.', 'success');
+  } catch (err) {
+    console.error('DMARC Reader Settings: Failed to save providers:', err);
+    showStatus(getUserMessage(DmarcError.fromError(err)), 'error');
+  }
+}
+
+// =============================================================================
+// Offline Dataset
+// =============================================================================
+
+/**
+ * Render the dataset summary
+ * @param {Object|null} info - Dataset summary from getIpDatasetInfo
+ */
+function renderDatasetStatus(info) {
+  datasetClearBtn.disabled = !info;
+  datasetTestBtn.disabled = !info;
+
+  if (!info) {
+    datasetStatus.textContent = 'No dataset imported.';
+    return;
+  }
+
+  const unit = info.format === 'mmdb' ? 'tree nodes' : 'prefixes';
+  const skipped = info.skipped > 0 ? `, ${info.skipped.toLocaleString()} unreadable rows skipped` : '';
+  datasetStatus.textContent =
+    `${info.name} (${info.format.toUpperCase()}, ${info.size.toLocaleString()} ${unit}${skipped}), ` +
+    `imported ${new Date(info.importedAt).toLocaleString()}`;
+}
+
+/**
+ * Load current settings into the page
+ */
+async function loadSettings() {
+  providerSettings = await getGeoProviderSettings();
+  renderProviders();
+  dohEndpointInput.value = (await getSpfResolverSettings()).dohEndpoint;
+
+  try {
+    renderDatasetStatus(await getIpDatasetInfo());
+  } catch (err) {
+    console.error('DMARC Reader Settings: Failed to read dataset:', err);
+    renderDatasetStatus(null);
+  }
+}
+
+/**
+ * Import the selected dataset file
+ * @param {File} file - Dataset file
+ */
+async function handleDatasetFile(file) {
+  showStatus(`Importing ${file.name}...`, 'loading');
+  datasetImportBtn.disabled = true;
+
+  try {
+    const info = await importIpDataset(file);
+    renderDatasetStatus(info);
+    showStatus('Dataset imported. Offline lookups will use it.', 'success');
+  } catch (err) {
+    console.error('DMARC Reader Settings: Import failed:', err);
+    showStatus(getUserMessage(DmarcError.fromError(err)), 'error');
+  } finally {
+    datasetImportBtn.disabled = false;
+    datasetInput.value = '';
+  }
+}
+
+/**
+ * Look up the test IP in the active dataset
+ */
+async function runDatasetTest() {
+  const ip = datasetTestIp.value.trim();
+  if (!ip) return;
+
+  try {
+    const dataset = await getActiveIpDataset();
+    const match = dataset ? dataset.lookup(ip) : null;
+    const geo = offlineMatchToGeo(ip, match);
+
+    datasetTestResult.textContent = match
+      ? `${match.network}: ${formatIsp(geo)} — ${formatLocation(geo)}`
+      : `${ip}: not found in the dataset`;
+    datasetTestResult.classList.remove('hidden');
+  } catch (err) {
+    console.error('DMARC Reader Settings: Test lookup failed:', err);
+    showStatus(getUserMessage(DmarcError.fromError(err)), 'error');
+  }
+}
+
+// =============================================================================
+// SPF Evaluation
+// =============================================================================
+
+/**
+ * Validate, request host permission for, and save the DNS-over-HTTPS endpoint
+ * An empty endpoint is saved as is: SPF evaluation then only uses pasted zones.
+ * Like saveProviders, it requests the permission before awaiting anything else.
+ */
+async function saveDohEndpoint() {
+  const endpoint = dohEndpointInput.value.trim();
+  const problem = validateDohEndpoint(endpoint);
+  if (problem) {
+    showStatus(`${problem}.`, 'error', spfStatus);
+    return;
+  }
+
+  if (endpoint) {
+    const origin = `${new URL(endpoint).origin}/*`;
+    if (!GRANTED_ORIGINS.has(origin)) {
+      const granted = await chrome.permissions.request({ origins: [origin] });
+      if (!granted) {
+        showStatus(`Access to ${origin} was not granted. Endpoint not saved.`, 'error', spfStatus);
+        return;
+      }
+    }
+  }
+
+  try {
+    await saveSpfResolverSettings({ dohEndpoint: endpoint });
+    showStatus(endpoint ? 'Endpoint saved.' : 'Endpoint removed. SPF evaluation uses pasted zone files only.', 'success', spfStatus);
+  } catch (err) {
+    console.error('DMARC Reader Settings: Failed to save endpoint:', err);
+    showStatus(getUserMessage(DmarcError.fromError(err)), 'error', spfStatus);
+  }
+}
+
+// Lookup providers
+providersSaveBtn.addEventListener('click', saveProviders);
+
+// Dataset import and removal
+datasetImportBtn.addEventListener('click', () => datasetInput.click());
+
+datasetInput.addEventListener('change', () => {
+  if (datasetInput.files.length > 0) {
+    handleDatasetFile(datasetInput.files[0]);
+  }
+});
+
+datasetClearBtn.addEventListener('click', async () => {
+  try {
+    await clearIpDataset();
+    renderDatasetStatus(null);
+    datasetTestResult.classList.add('hidden');
+    showStatus('Dataset removed.', 'success');
+  } catch (err) {
+    console.error('DMARC Reader Settings: Failed to remove dataset:', err);
+    showStatus(getUserMessage(DmarcError.fromError(err)), 'error');
+  }
+});
+
+// Test lookup
+datasetTestBtn.addEventListener('click', runDatasetTest);
+datasetTestIp.addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') runDatasetTest();
+});
+
+// DNS-over-HTTPS endpoint
+dohSaveBtn.addEventListener('click', saveDohEndpoint);
+
+loadSettings();
@@ -0,0 +1,367 @@
+/**
+ * DMARC Report Reader - ARF Failure Report Parser
+ * Parses DMARC failure (forensic/RUF) reports sent as ARF/AFRF messages
+ * (RFC 5965, RFC 6591, RFC 7489 Section 7.3) into structured data
+ */
+
+// MIME helpers are loaded via <script> in the browser, require() under Node.js
+const arfMime = typeof parseMimeEntity === 'function'
+  ? { parseMimeEntity, parseMimeHeaders, getMimeHeader, getMimeHeaders, getMimeEntityText, findMimeParts, decodeMimeWords, decodeBase64Bytes, decodeMimeBytes, splitMimeEntity }
+  : require('./mime-parser.js');
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * Auth-Failure types from RFC 6591 Section 3.2.2 and RFC 7489 Section 7.3
+ * @constant {Object}
+ */
+const AUTH_FAILURE_TYPES = Object.freeze({
+  dkim: {
+    label: 'DKIM Failure',
+    description: 'A DKIM signature failed to verify.'
+  },
+  spf: {
+    label: 'SPF Failure',
+    description: 'The sending IP is not authorized by the SPF record.'
+  },
+  dmarc: {
+    label: 'DMARC Failure',
+    description: 'Neither DKIM nor SPF produced an aligned pass for the From domain.'
+  },
+  bodyhash: {
+    label: 'DKIM Body Hash Mismatch',
+    description: 'The DKIM body hash did not match; the body was changed in transit.'
+  },
+  signature: {
+    label: 'DKIM Signature Invalid',
+    description: 'The DKIM signature did not verify against the published key.'
+  },
+  revoked: {
+    label: 'DKIM Key Revoked',
+    description: 'The DKIM key referenced by the selector has been revoked.'
+  },
+  adsp: {
+    label: 'ADSP Failure',
+    description: 'The message failed the (historic) ADSP policy check.'
+  }
+});
+
+/**
+ * Matches the media types that mark a message as an ARF report
+ * @constant {RegExp}
+ */
+const ARF_REPORT_PATTERN = /report-type\s*=\s*"?feedback-report|^Feedback-Type:/im;
+
+// =============================================================================
+// Field Helpers
+// =============================================================================
+
+/**
+ * Check whether message text looks like an ARF feedback report
+ * @param {string} text - Raw message text
+ * @returns {boolean} True for multipart/report feedback messages
+ */
+function isFailureReportMessage(text) {
+  return typeof text === 'string' && ARF_REPORT_PATTERN.test(text);
+}
+
+/**
+ * Get display information for an Auth-Failure type
+ * @param {string} type - Auth-Failure value
+ * @returns {{label: string, description: string}} Display information
+ */
+function getAuthFailureInfo(type) {
+  const key = (type || '').toLowerCase();
+  return AUTH_FAILURE_TYPES[key] || {
+    label: type || 'Unknown',
+    description: 'Failure type not defined by RFC 6591.'
+  };
+}
+
+/**
+ * Extract the domain from an address header value
+ * Handles "Name <user@domain>", "<user@domain>" and bare addresses.
+ * @param {string} value - Header value
+ * @returns {string|null} Lowercased domain or null
+ */
+function extractAddressDomain(value) {
+  if (!value) return null;
+  const angle = value.match(/<([^>]*)>/);
+  const address = (angle ? angle[1] : value).trim();
+  const at = address.lastIndexOf('@');
+  if (at < 0) return null;
+  const domain = address.slice(at + 1).replace(/[>\s].*$/, '').toLowerCase();
+  return domain || null;
+}
+
+/**
+ * Strip angle brackets from an address or message id
+ * @param {string} value - Header value
+ * @returns {string|null} Bare value or null
+ */
+function stripAngleBrackets(value) {
+  if (!value) return null;
+  return value.trim().replace(/^<|>$/g, '') || null;
+}
+
+/**
+ * Parse a date header, returning null when it is missing or unparseable
+ * @param {string} value - RFC 5322 date
+ * @returns {Date|null} Date or null
+ */
+function parseArfDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse an Authentication-Results header value (RFC 8601)
+ * e.g. "mx.example.net; dkim=fail header.d=example.com; spf=pass smtp.mailfrom=example.com"
+ * @param {string} value - Header value
+ * @returns {{authservId: string, results: Array}} Parsed results
+ */
+function parseAuthenticationResults(value) {
+  if (!value) return { authservId: '', results: [] };
+
+  // Drop RFC 5322 comments, then split the authserv-id from the results
+  const clean = value.replace(/\([^)]*\)/g, ' ');
+  const [authservId, ...resultParts] = clean.split(';');
+  const results = [];
+
+  for (const part of resultParts) {
+    const tokens = part.trim().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0 || !tokens[0].includes('=')) continue;
+
+    const [method, result] = tokens[0].split('=');
+    const entry = { method: method.toLowerCase(), result: (result || '').toLowerCase(), reason: null, properties: {} };
+
+    for (const token of tokens.slice(1)) {
+      const eq = token.indexOf('=');
+      if (eq <= 0) continue;
+      const key = token.slice(0, eq).toLowerCase();
+      const val = token.slice(eq + 1).replace(/^"|"$/g, '');
+      if (key === 'reason') entry.reason = val;
+      else entry.properties[key] = val;
+    }
+
+    if (entry.method !== 'none') results.push(entry);
+  }
+
+  return { authservId: authservId.trim(), results };
+}
+
+/**
+ * Decode a base64 DKIM-Canonicalized-* field (RFC 6591 Section 3.2.2)
+ * @param {string} value - Base64 field value
+ * @returns {string|null} Decoded text, or the raw value if it is not base64
+ */
+function decodeCanonicalizedField(value) {
+  if (!value) return null;
+  try {
+    return arfMime.decodeMimeBytes(arfMime.decodeBase64Bytes(value));
+  } catch {
+    return value;
+  }
+}
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse the original message headers attached to a failure report
+ * Reports carry either a full message/rfc822 part or text/rfc822-headers.
+ * @param {Object|null} entity - Attached MIME entity
+ * @returns {Object} { headers, headerFrom, headerFromDomain, subject, messageId, date, headersOnly }
+ */
+function parseOriginalMessage(entity) {
+  if (!entity) {
+    return { headers: [], headerFrom: null, headerFromDomain: null, subject: null, messageId: null, date: null, headersOnly: true };
+  }
+
+  const text = arfMime.getMimeEntityText(entity);
+  const { headerText } = arfMime.splitMimeEntity(text);
+  const headers = arfMime.parseMimeHeaders(headerText)
+    .map(h => ({ name: h.name, value: arfMime.decodeMimeWords(h.value) }));
+  const from = arfMime.getMimeHeader(headers, 'From');
+
+  return {
+    headers,
+    headerFrom: from,
+    headerFromDomain: extractAddressDomain(from),
+    subject: arfMime.getMimeHeader(headers, 'Subject'),
+    messageId: stripAngleBrackets(arfMime.getMimeHeader(headers, 'Message-ID')),
+    date: parseArfDate(arfMime.getMimeHeader(headers, 'Date')),
+    headersOnly: entity.contentType === 'text/rfc822-headers'
+  };
+}
+
+/**
+ * Parse an ARF/AFRF failure report message
+ * @param {string} text - Raw message text (.eml)
+ * @returns {Object} Parsed failure report
+ * @throws {Error} If the message has no message/feedback-report part
+ */
+function parseFailureReport(text) {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new Error('Invalid failure report: empty message');
+  }
+
+  const message = arfMime.parseMimeEntity(text.replace(/^\uFEFF/, ''));
+  const feedbackPart = arfMime.findMimeParts(message, 'message/feedback-report')[0];
+
+  // A bare feedback-report body (no MIME wrapper) is accepted too
+  let feedbackText;
+  if (feedbackPart) {
+    feedbackText = arfMime.getMimeEntityText(feedbackPart);
+  } else if (/^Feedback-Type:/im.test(text)) {
+    feedbackText = text;
+  } else {
+    throw new Error('Invalid failure report: no message/feedback-report part found');
+  }
+
+  const fields = arfMime.parseMimeHeaders(feedbackText.trim());
+  const field = name => arfMime.getMimeHeader(fields, name);
+  const fieldList = name => arfMime.getMimeHeaders(fields, name);
+
+  const originalPart = arfMime.findMimeParts(message, 'message/rfc822')[0] ||
+    arfMime.findMimeParts(message, 'text/rfc822-headers')[0] ||
+    null;
+  const original = parseOriginalMessage(originalPart);
+
+  const humanPart = message.parts.find(part => part.contentType === 'text/plain');
+  const authFailure = (field('Auth-Failure') || '').toLowerCase() || null;
+
+  const dkimDomain = field('DKIM-Domain');
+  const dkim = dkimDomain || field('DKIM-Selector') || field('DKIM-Identity')
+    ? {
+        domain: dkimDomain ? dkimDomain.toLowerCase() : null,
+        identity: field('DKIM-Identity'),
+        selector: field('DKIM-Selector'),
+        canonicalizedHeader: decodeCanonicalizedField(field('DKIM-Canonicalized-Header')),
+        canonicalizedBody: decodeCanonicalizedField(field('DKIM-Canonicalized-Body'))
+      }
+    : null;
+
+  const spfDns = fieldList('SPF-DNS');
+
+  // Authentication-Results may appear in the feedback fields or the original headers
+  const authResultValues = [
+    ...fieldList('Authentication-Results'),
+    ...arfMime.getMimeHeaders(original.headers, 'Authentication-Results')
+  ];
+
+  const identityAlignment = (field('Identity-Alignment') || '')
+    .split(',')
+    .map(v => v.trim().toLowerCase())
+    .filter(v => v && v !== 'none');
+
+  const incidents = parseInt(field('Incidents'), 10);
+  const sourceIp = field('Source-IP');
+
+  return {
+    reportType: 'failure',
+    metadata: {
+      reporter: arfMime.decodeMimeWords(arfMime.getMimeHeader(message.headers, 'From')),
+      subject: arfMime.decodeMimeWords(arfMime.getMimeHeader(message.headers, 'Subject')),
+      date: parseArfDate(arfMime.getMimeHeader(message.headers, 'Date'))
+    },
+    feedbackType: (field('Feedback-Type') || '').toLowerCase() || null,
+    version: field('Version'),
+    userAgent: field('User-Agent'),
+    authFailure,
+    authFailureInfo: authFailure ? getAuthFailureInfo(authFailure) : null,
+    identityAlignment,
+    sourceIp: sourceIp ? sourceIp.trim().toLowerCase() : null,
+    originalMailFrom: stripAngleBrackets(field('Original-Mail-From')),
+    originalRcptTo: fieldList('Original-Rcpt-To').map(stripAngleBrackets).filter(Boolean),
+    originalEnvelopeId: field('Original-Envelope-Id'),
+    arrivalDate: parseArfDate(field('Arrival-Date') || field('Received-Date')),
+    reportingMta: field('Reporting-MTA'),
+    reportedDomain: field('Reported-Domain'),
+    deliveryResult: field('Delivery-Result'),
+    incidents: isNaN(incidents) ? 1 : incidents,
+    headerFrom: original.headerFromDomain || (field('Reported-Domain') || '').toLowerCase() || null,
+    dkim,
+    spf: spfDns.length > 0 || field('Original-Mail-From')
+      ? { dns: spfDns, mailFromDomain: extractAddressDomain(field('Original-Mail-From')) }
+      : null,
+    authenticationResults: authResultValues.map(parseAuthenticationResults),
+    original,
+    feedbackFields: fields,
+    humanReadable: humanPart ? arfMime.getMimeEntityText(humanPart).trim() : null
+  };
+}
+
+// =============================================================================
+// Aggregate Cross-Linking
+// =============================================================================
+
+/**
+ * Build the key that links failure reports and aggregate records
+ * The IP is normalized so IPv6 addresses written differently still match.
+ * @param {string} sourceIp - Sending IP
+ * @param {string} headerFrom - RFC 5322.From domain
+ * @returns {string|null} Key, or null when either part is missing
+ */
+function getFailureLinkKey(sourceIp, headerFrom) {
+  if (!sourceIp || !headerFrom) return null;
+  // Filter engine is loaded after this file in the viewer, required under Node.js
+  const normalize = typeof normalizeIp === 'function'
+    ? normalizeIp
+    : require('../viewer/modules/filter-engine.js').normalizeIp;
+  return `${normalize(sourceIp)}|${headerFrom.trim().toLowerCase()}`;
+}
+
+/**
+ * Find aggregate records that share a failure report's source IP and header_from
+ * @param {Object} failureReport - Parsed failure report
+ * @param {Object[]} aggregateReports - Parsed DMARC aggregate reports
+ * @returns {Array<{report: Object, record: Object}>} Matching records with their report
+ */
+function findMatchingAggregateRecords(failureReport, aggregateReports) {
+  const key = getFailureLinkKey(failureReport?.sourceIp, failureReport?.headerFrom);
+  if (!key) return [];
+
+  const matches = [];
+  for (const report of aggregateReports || []) {
+    for (const record of report.records || []) {
+      if (getFailureLinkKey(record.sourceIp, record.identifiers?.headerFrom) === key) {
+        matches.push({ report, record });
+      }
+    }
+  }
+  return matches;
+}
+
+/**
+ * Find failure reports that share an aggregate record's source IP and header_from
+ * @param {Object} record - Aggregate record
+ * @param {Object[]} failureReports - Parsed failure reports
+ * @returns {Object[]} Matching failure reports
+ */
+function findMatchingFailureReports(record, failureReports) {
+  const key = getFailureLinkKey(record?.sourceIp, record?.identifiers?.headerFrom);
+  if (!key) return [];
+  return (failureReports || []).filter(report =>
+    getFailureLinkKey(report.sourceIp, report.headerFrom) === key
+  );
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseFailureReport,
+    isFailureReportMessage,
+    parseAuthenticationResults,
+    extractAddressDomain,
+    getAuthFailureInfo,
+    getFailureLinkKey,
+    findMatchingAggregateRecords,
+    findMatchingFailureReports,
+    AUTH_FAILURE_TYPES
+  };
+}
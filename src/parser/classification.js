@@ -1,6 +1,8 @@
 /**
  * DMARC Report Reader - Record Classification
- * Heuristic classification of DMARC records as likely spoof or misconfiguration
+ * Heuristic classification of failing DMARC records as likely spoof,
+ * misconfiguration, forwarded or mailing list mail, an ESP not yet
+ * authorized, or an internal relay
  */
 
 // =============================================================================
@@ -14,25 +16,93 @@
 const CLASSIFICATION = Object.freeze({
   LIKELY_SPOOF: 'likely_spoof',
   LIKELY_MISCONFIG: 'likely_legit_misconfig',
+  FORWARDED: 'forwarded',
+  MAILING_LIST: 'mailing_list',
+  ESP_NOT_AUTHORIZED: 'esp_not_authorized',
+  INTERNAL_RELAY: 'internal_relay',
   UNKNOWN: 'unknown'
 });
 
+/**
+ * Legitimate senders whose failures a DNS or sender configuration change fixes
+ * @constant {string[]}
+ */
+const FIXABLE_CLASSIFICATIONS = Object.freeze([
+  CLASSIFICATION.LIKELY_MISCONFIG,
+  CLASSIFICATION.ESP_NOT_AUTHORIZED,
+  CLASSIFICATION.INTERNAL_RELAY
+]);
+
+/**
+ * Legitimate mail that failed because an intermediary changed or resent it
+ * @constant {string[]}
+ */
+const INDIRECT_CLASSIFICATIONS = Object.freeze([
+  CLASSIFICATION.FORWARDED,
+  CLASSIFICATION.MAILING_LIST
+]);
+
 /**
  * Signal weights for classification scoring
- * Positive values lean toward spoof, negative toward misconfig
+ * Each signal adds to the score of one or more classifications; the highest
+ * score wins. Keys: spoof, misconfig, forwarded, mailingList, esp, relay.
  * @constant {Object}
  */
 const SIGNAL_WEIGHTS = Object.freeze({
-  BOTH_AUTH_FAIL: { spoof: 3, misconfig: 0 },
-  DKIM_PASS_SPF_FAIL: { spoof: 0, misconfig: 2 },
-  SPF_PASS_DKIM_FAIL: { spoof: 0, misconfig: 2 },
-  SPF_SOFTFAIL: { spoof: 0, misconfig: 1 },
-  KNOWN_ESP: { spoof: 0, misconfig: 3 },
-  ALIGNMENT_ONLY_FAIL: { spoof: 0, misconfig: 2 },
-  HIGH_VOLUME_FAIL: { spoof: 1, misconfig: 0 },
-  SINGLE_MESSAGE: { spoof: 0, misconfig: 1 }
+  BOTH_AUTH_FAIL: { spoof: 3 },
+  DKIM_PASS_SPF_FAIL: { misconfig: 2 },
+  SPF_PASS_DKIM_FAIL: { misconfig: 2 },
+  SPF_SOFTFAIL: { misconfig: 1 },
+  KNOWN_PROVIDER: { misconfig: 3 },
+  ALIGNMENT_ONLY_FAIL: { misconfig: 2 },
+  HIGH_VOLUME_FAIL: { spoof: 1 },
+  SINGLE_MESSAGE: { misconfig: 1 },
+  APPROVED_SENDER: { misconfig: 4 },
+  REASON_FORWARDED: { forwarded: 5 },
+  REASON_MAILING_LIST: { mailingList: 5 },
+  ARC_PASS: { forwarded: 3 },
+  FROM_DKIM_BROKEN: { forwarded: 2, mailingList: 2 },
+  LIST_RESIGNED: { mailingList: 2 },
+  FORWARDER_INFRASTRUCTURE: { forwarded: 2 },
+  ESP_PROVIDER: { esp: 3 },
+  ESP_OWN_DOMAIN: { esp: 2 },
+  OWN_ENVELOPE_SPF_FAIL: { relay: 2, forwarded: 1 },
+  APPROVED_RELAY: { relay: 3 }
 });
 
+/**
+ * Classification of each score key, in tie-break order
+ * On equal scores the first one wins: indirect mail before fixable
+ * senders, and every legitimate explanation before spoofing.
+ * @constant {Array<[string, string]>}
+ */
+const SCORE_CLASSIFICATIONS = Object.freeze([
+  ['forwarded', CLASSIFICATION.FORWARDED],
+  ['mailingList', CLASSIFICATION.MAILING_LIST],
+  ['esp', CLASSIFICATION.ESP_NOT_AUTHORIZED],
+  ['relay', CLASSIFICATION.INTERNAL_RELAY],
+  ['misconfig', CLASSIFICATION.LIKELY_MISCONFIG],
+  ['spoof', CLASSIFICATION.LIKELY_SPOOF]
+]);
+
+/**
+ * Provider categories of email service providers that send on a customer's behalf
+ * @constant {string[]}
+ */
+const ESP_CATEGORIES = Object.freeze(['transactional', 'marketing']);
+
+/**
+ * Provider categories of mailbox and routing services that forward user mail
+ * @constant {string[]}
+ */
+const FORWARDER_CATEGORIES = Object.freeze(['consumer', 'enterprise', 'infrastructure']);
+
+/**
+ * Sender inventory key types that identify your own hosts
+ * @constant {string[]}
+ */
+const RELAY_SENDER_TYPES = Object.freeze(['ip', 'asn']);
+
 /**
  * Volume threshold for high-volume failure detection
  * @constant {number}
@@ -44,98 +114,166 @@ const HIGH_VOLUME_THRESHOLD = 100;
 // =============================================================================
 
 /**
- * Classify a DMARC record as likely spoof or misconfiguration
+ * Check whether a domain belongs to the From domain's organization
+ * @param {string|null} domain - Domain to check
+ * @param {Object} alignment - Alignment result with headerFrom and headerFromOrgDomain
+ * @returns {boolean} True when the domain is the organizational domain or below it
+ */
+function isOwnDomain(domain, alignment) {
+  const own = (alignment.headerFromOrgDomain || alignment.headerFrom || '').toLowerCase();
+  if (!domain || !own) return false;
+  const candidate = domain.toLowerCase();
+  return candidate === own || candidate.endsWith(`.${own}`);
+}
+
+/**
+ * Classify a DMARC record as likely spoof, misconfiguration, forwarded mail,
+ * mailing list mail, an ESP not yet authorized, or an internal relay
  * Uses weighted scoring based on multiple signals
  *
+ * A sender listed as unauthorized in the sender inventory is always a
+ * likely spoof, whatever its authentication results.
+ *
  * @param {Object} record - Parsed record with alignment data
  * @param {Object|null} providerInfo - ESP fingerprint from provider-fingerprint.js
+ * @param {Object|null} [senderEntry] - Matching entry from sender-inventory.js
  * @returns {Object} Classification result with classification, confidence, and signals
  */
-function classifyRecord(record, providerInfo = null) {
-  let spoofScore = 0;
-  let misconfigScore = 0;
+function classifyRecord(record, providerInfo = null, senderEntry = null) {
+  if (senderEntry?.status === 'unauthorized') {
+    return {
+      classification: CLASSIFICATION.LIKELY_SPOOF,
+      confidence: 100,
+      signals: [`Listed as unauthorized in the sender inventory${senderEntry.owner ? ` (${senderEntry.owner})` : ''}`]
+    };
+  }
+
+  const scores = { spoof: 0, misconfig: 0, forwarded: 0, mailingList: 0, esp: 0, relay: 0 };
   const signals = [];
+  const addSignal = (weights, signal) => {
+    for (const [key, weight] of Object.entries(weights)) scores[key] += weight;
+    signals.push(signal);
+  };
 
   const auth = record.authResults || { dkim: [], spf: [] };
   const alignment = record.alignment || {};
   const spfResult = auth.spf[0]?.result;
+  const reasons = record.policyEvaluated?.reasons || [];
+  const reasonTypes = reasons.map(reason => (reason.type || '').toLowerCase());
+  const knownProvider = providerInfo && providerInfo.id !== 'unknown' ? providerInfo : null;
+  const isEsp = knownProvider && ESP_CATEGORIES.includes(knownProvider.category);
 
   // Signal 1: Both DKIM and SPF authentication fail
   if (!alignment.spfPassed && !alignment.dkimPassed) {
-    spoofScore += SIGNAL_WEIGHTS.BOTH_AUTH_FAIL.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.BOTH_AUTH_FAIL.misconfig;
-    signals.push('No authentication passed');
+    addSignal(SIGNAL_WEIGHTS.BOTH_AUTH_FAIL, 'No authentication passed');
   }
 
   // Signal 2: DKIM passes but SPF fails
   // Common with third-party senders (SendGrid, Mailchimp, etc.) not in SPF
   if (alignment.dkimPassed && !alignment.spfPassed) {
-    spoofScore += SIGNAL_WEIGHTS.DKIM_PASS_SPF_FAIL.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.DKIM_PASS_SPF_FAIL.misconfig;
-    signals.push('DKIM passed but SPF failed (common with third-party senders)');
+    addSignal(SIGNAL_WEIGHTS.DKIM_PASS_SPF_FAIL, 'DKIM passed but SPF failed (common with third-party senders)');
   }
 
   // Signal 2b: SPF passes but DKIM fails
   // Less common but indicates possible DKIM config issue
   if (alignment.spfPassed && !alignment.dkimPassed) {
-    spoofScore += SIGNAL_WEIGHTS.SPF_PASS_DKIM_FAIL.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.SPF_PASS_DKIM_FAIL.misconfig;
-    signals.push('SPF passed but DKIM failed (possible DKIM signing issue)');
+    addSignal(SIGNAL_WEIGHTS.SPF_PASS_DKIM_FAIL, 'SPF passed but DKIM failed (possible DKIM signing issue)');
   }
 
   // Signal 3: SPF softfail vs hard fail
   // Softfail (~all) indicates transitional SPF record
   if (spfResult === 'softfail') {
-    spoofScore += SIGNAL_WEIGHTS.SPF_SOFTFAIL.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.SPF_SOFTFAIL.misconfig;
-    signals.push('SPF softfail indicates transitional configuration');
+    addSignal(SIGNAL_WEIGHTS.SPF_SOFTFAIL, 'SPF softfail indicates transitional configuration');
   }
 
-  // Signal 4: Known ESP provider detected
-  // If IP is from a recognized ESP, likely legitimate sender with config issues
-  if (providerInfo && providerInfo.id !== 'unknown') {
-    spoofScore += SIGNAL_WEIGHTS.KNOWN_ESP.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.KNOWN_ESP.misconfig;
-    signals.push(`Sent via known provider: ${providerInfo.name}`);
+  // Signal 4: Known provider detected
+  // An email service provider sending for you without your domain set up is
+  // not authorized yet; any other known provider is likely a legitimate
+  // sender with config issues
+  if (isEsp) {
+    addSignal(SIGNAL_WEIGHTS.ESP_PROVIDER, `Sent via email service provider: ${knownProvider.name}`);
+  } else if (knownProvider) {
+    addSignal(SIGNAL_WEIGHTS.KNOWN_PROVIDER, `Sent via known provider: ${knownProvider.name}`);
   }
 
   // Signal 5: Auth passes but alignment fails
   // This specifically indicates a domain alignment configuration issue
   if ((alignment.spfPassed || alignment.dkimPassed) && !alignment.dmarcPass) {
-    spoofScore += SIGNAL_WEIGHTS.ALIGNMENT_ONLY_FAIL.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.ALIGNMENT_ONLY_FAIL.misconfig;
-    signals.push('Authentication passed but alignment failed');
+    addSignal(SIGNAL_WEIGHTS.ALIGNMENT_ONLY_FAIL, 'Authentication passed but alignment failed');
+    if (isEsp) {
+      addSignal(SIGNAL_WEIGHTS.ESP_OWN_DOMAIN, `${knownProvider.name} authenticates the mail with its own domain instead of yours`);
+    }
   }
 
   // Signal 6: High volume failures
   // Large volumes of unauthenticated mail from single IP more likely malicious
   if (record.count > HIGH_VOLUME_THRESHOLD && !alignment.dmarcPass) {
-    spoofScore += SIGNAL_WEIGHTS.HIGH_VOLUME_FAIL.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.HIGH_VOLUME_FAIL.misconfig;
-    signals.push(`High volume (${record.count}) of unauthenticated messages`);
+    addSignal(SIGNAL_WEIGHTS.HIGH_VOLUME_FAIL, `High volume (${record.count}) of unauthenticated messages`);
   }
 
   // Signal 7: Single message failures
   // Single messages failing are often one-off misconfigs rather than sustained attack
   if (record.count === 1 && !alignment.dmarcPass) {
-    spoofScore += SIGNAL_WEIGHTS.SINGLE_MESSAGE.spoof;
-    misconfigScore += SIGNAL_WEIGHTS.SINGLE_MESSAGE.misconfig;
-    signals.push('Single message failure (likely one-off issue)');
+    addSignal(SIGNAL_WEIGHTS.SINGLE_MESSAGE, 'Single message failure (likely one-off issue)');
+  }
+
+  // Signal 8: Sender inventory
+  // An approved sender that fails is one of ours with a configuration issue
+  if (senderEntry?.status === 'approved') {
+    addSignal(SIGNAL_WEIGHTS.APPROVED_SENDER, `Approved sender in inventory${senderEntry.owner ? `: ${senderEntry.owner}` : ''}`);
+  } else if (senderEntry?.status === 'investigating') {
+    signals.push('Sender is under investigation in the inventory');
+  }
+
+  // Signal 9: Receiver override reasons
+  // Receivers that recognize forwarding or a mailing list say so in the report
+  if (reasonTypes.some(type => type === 'forwarded' || type === 'trusted_forwarder')) {
+    addSignal(SIGNAL_WEIGHTS.REASON_FORWARDED, 'Receiver reported the message as forwarded');
+  }
+  if (reasonTypes.includes('mailing_list')) {
+    addSignal(SIGNAL_WEIGHTS.REASON_MAILING_LIST, 'Receiver reported the message as mailing list mail');
+  }
+  if (reasons.some(reason => /\barc=pass\b/i.test(reason.comment || ''))) {
+    addSignal(SIGNAL_WEIGHTS.ARC_PASS, 'ARC chain passed (an intermediary vouched for the original authentication)');
+  }
+
+  // Signal 10: Your own DKIM signature broken in transit
+  // Forwarders and mailing lists that modify the message invalidate it; a
+  // list usually re-signs with its own domain
+  const fromSignatureBroken = auth.dkim.some(dkim => dkim.result === 'fail' && isOwnDomain(dkim.domain, alignment));
+  if (fromSignatureBroken && !alignment.dmarcPass) {
+    addSignal(SIGNAL_WEIGHTS.FROM_DKIM_BROKEN, 'Your domain\'s DKIM signature no longer verifies (message modified in transit)');
+    if (auth.dkim.some(dkim => dkim.result === 'pass' && !isOwnDomain(dkim.domain, alignment))) {
+      addSignal(SIGNAL_WEIGHTS.LIST_RESIGNED, 'Re-signed by another domain (typical of mailing lists)');
+    }
+    if (knownProvider && FORWARDER_CATEGORIES.includes(knownProvider.category)) {
+      addSignal(SIGNAL_WEIGHTS.FORWARDER_INFRASTRUCTURE, `Relayed through ${knownProvider.name}, which forwards user mail`);
+    }
+  }
+
+  // Signal 11: Your own envelope domain fails SPF
+  // The message kept your envelope sender but left from a host outside your
+  // SPF record: an internal relay, or a forwarder that does not rewrite it
+  const ownEnvelopeFailed = !alignment.spfPassed && isOwnDomain(alignment.spfDomain, alignment);
+  if (ownEnvelopeFailed && !alignment.dmarcPass) {
+    addSignal(SIGNAL_WEIGHTS.OWN_ENVELOPE_SPF_FAIL, 'Your own envelope domain failed SPF (host missing from your SPF record)');
+    if (senderEntry?.status === 'approved' && RELAY_SENDER_TYPES.includes(senderEntry.type)) {
+      addSignal(SIGNAL_WEIGHTS.APPROVED_RELAY, 'Approved host of your own relays mail outside your SPF record');
+    }
   }
 
   // Determine classification based on scores
-  return determineClassification(spoofScore, misconfigScore, signals, alignment.dmarcPass);
+  return determineClassification(scores, signals, alignment.dmarcPass);
 }
 
 /**
  * Determine final classification from scores
- * @param {number} spoofScore - Accumulated spoof score
- * @param {number} misconfigScore - Accumulated misconfig score
+ * @param {Object} scores - Accumulated score per classification key
  * @param {string[]} signals - Explanatory signals
  * @param {boolean} dmarcPass - Whether DMARC passed
  * @returns {Object} Classification result
  */
-function determineClassification(spoofScore, misconfigScore, signals, dmarcPass) {
+function determineClassification(scores, signals, dmarcPass) {
   // If DMARC passed, no classification needed
   if (dmarcPass) {
     return {
@@ -145,7 +283,7 @@ function determineClassification(spoofScore, misconfigScore, signals, dmarcPass)
     };
   }
 
-  const totalScore = spoofScore + misconfigScore;
+  const totalScore = Object.values(scores).reduce((sum, score) => sum + score, 0);
 
   // Need minimum score to make a determination
   if (totalScore < 2) {
@@ -156,24 +294,27 @@ function determineClassification(spoofScore, misconfigScore, signals, dmarcPass)
     };
   }
 
-  let classification = CLASSIFICATION.UNKNOWN;
-  let confidence = 0;
+  const ranked = SCORE_CLASSIFICATIONS
+    .map(([key, classification], order) => ({ classification, score: scores[key], order }))
+    .sort((a, b) => b.score - a.score || a.order - b.order);
+  const [top, runnerUp] = ranked;
 
-  if (spoofScore > misconfigScore) {
-    classification = CLASSIFICATION.LIKELY_SPOOF;
+  if (top.score > runnerUp.score) {
     // Confidence based on score difference and total
-    confidence = Math.min(90, 40 + (spoofScore - misconfigScore) * 15 + totalScore * 5);
-  } else if (misconfigScore > spoofScore) {
-    classification = CLASSIFICATION.LIKELY_MISCONFIG;
-    confidence = Math.min(90, 40 + (misconfigScore - spoofScore) * 15 + totalScore * 5);
-  } else if (totalScore >= 3) {
-    // Tie with significant evidence - lean toward misconfig (safer assumption)
-    classification = CLASSIFICATION.LIKELY_MISCONFIG;
-    confidence = 40;
-    signals.push('Tie-breaker: assuming misconfiguration (safer assumption)');
+    return {
+      classification: top.classification,
+      confidence: Math.min(90, 40 + (top.score - runnerUp.score) * 15 + totalScore * 5),
+      signals
+    };
   }
 
-  return { classification, confidence, signals };
+  if (totalScore >= 3) {
+    // Tie with significant evidence - lean toward the legitimate explanation (safer assumption)
+    signals.push(`Tie-breaker: classified as ${getClassificationDisplay(top.classification).label} (safer assumption)`);
+    return { classification: top.classification, confidence: 40, signals };
+  }
+
+  return { classification: CLASSIFICATION.UNKNOWN, confidence: 0, signals };
 }
 
 /**
@@ -197,6 +338,34 @@ function getClassificationDisplay(classification) {
         icon: '🔧',
         description: 'This record appears to be from a legitimate sender with configuration issues'
       };
+    case CLASSIFICATION.FORWARDED:
+      return {
+        label: 'Forwarded',
+        badgeClass: 'classification-forwarded',
+        icon: '↪️',
+        description: 'This record appears to be legitimate mail forwarded by a recipient\'s mailbox'
+      };
+    case CLASSIFICATION.MAILING_LIST:
+      return {
+        label: 'Mailing List',
+        badgeClass: 'classification-mailing-list',
+        icon: '👥',
+        description: 'This record appears to be legitimate mail resent by a mailing list'
+      };
+    case CLASSIFICATION.ESP_NOT_AUTHORIZED:
+      return {
+        label: 'ESP Not Authorized',
+        badgeClass: 'classification-esp',
+        icon: '📤',
+        description: 'This record appears to be from an email service provider not yet set up for your domain'
+      };
+    case CLASSIFICATION.INTERNAL_RELAY:
+      return {
+        label: 'Internal Relay',
+        badgeClass: 'classification-relay',
+        icon: '🔁',
+        description: 'This record appears to be your own mail relayed by a host outside your SPF record'
+      };
     case CLASSIFICATION.UNKNOWN:
     default:
       return {
@@ -236,6 +405,10 @@ function getClassificationStats(records) {
     totalFailing: 0,
     likelySpoof: { count: 0, messages: 0 },
     likelyMisconfig: { count: 0, messages: 0 },
+    forwarded: { count: 0, messages: 0 },
+    mailingList: { count: 0, messages: 0 },
+    espNotAuthorized: { count: 0, messages: 0 },
+    internalRelay: { count: 0, messages: 0 },
     unknown: { count: 0, messages: 0 }
   };
 
@@ -255,6 +428,22 @@ function getClassificationStats(records) {
         stats.likelyMisconfig.count++;
         stats.likelyMisconfig.messages += msgCount;
         break;
+      case CLASSIFICATION.FORWARDED:
+        stats.forwarded.count++;
+        stats.forwarded.messages += msgCount;
+        break;
+      case CLASSIFICATION.MAILING_LIST:
+        stats.mailingList.count++;
+        stats.mailingList.messages += msgCount;
+        break;
+      case CLASSIFICATION.ESP_NOT_AUTHORIZED:
+        stats.espNotAuthorized.count++;
+        stats.espNotAuthorized.messages += msgCount;
+        break;
+      case CLASSIFICATION.INTERNAL_RELAY:
+        stats.internalRelay.count++;
+        stats.internalRelay.messages += msgCount;
+        break;
       default:
         stats.unknown.count++;
         stats.unknown.messages += msgCount;
@@ -268,6 +457,8 @@ function getClassificationStats(records) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     CLASSIFICATION,
+    FIXABLE_CLASSIFICATIONS,
+    INDIRECT_CLASSIFICATIONS,
     classifyRecord,
     classifyRecords,
     getClassificationDisplay,
@@ -0,0 +1,65 @@
+/**
+ * DMARC Report Reader - Parse Worker
+ * Runs the streaming DMARC parser off the viewer's main thread
+ *
+ * Messages in:  { type: 'start', total }
+ *               { type: 'chunk', chunk }
+ *               { type: 'end' }
+ * Messages out: { type: 'records', records }
+ *               { type: 'progress', processed, total, recordCount }
+ *               { type: 'done', report } (report.records is empty; records arrive in 'records' batches)
+ *               { type: 'error', message }
+ */
+
+importScripts(
+  '../../lib/public-suffix-list.js',
+  'public-suffix.js',
+  'dmarc-parser.js',
+  'dmarc-stream-parser.js'
+);
+
+let parser = null;
+let batch = [];
+let processed = 0;
+let total = 0;
+
+/**
+ * Post the records parsed since the last batch
+ */
+function postRecords() {
+  if (batch.length === 0) return;
+  self.postMessage({ type: 'records', records: batch });
+  batch = [];
+}
+
+self.addEventListener('message', (event) => {
+  const message = event.data || {};
+
+  try {
+    if (message.type === 'start') {
+      // Records are only held until their batch is posted
+      parser = createDmarcStreamParser({ keepRecords: false, onRecord: (record) => batch.push(record) });
+      batch = [];
+      processed = 0;
+      total = message.total;
+      return;
+    }
+    // Chunks still queued after an error are dropped
+    if (!parser) return;
+
+    if (message.type === 'chunk') {
+      parser.write(message.chunk);
+      processed += message.chunk.length;
+      postRecords();
+      self.postMessage({ type: 'progress', processed, total, recordCount: parser.recordCount });
+    } else if (message.type === 'end') {
+      const report = parser.close();
+      parser = null;
+      postRecords();
+      self.postMessage({ type: 'done', report });
+    }
+  } catch (err) {
+    parser = null;
+    self.postMessage({ type: 'error', message: err.message });
+  }
+});
@@ -35,35 +35,31 @@ function debugLog(category, message, data) {
 // DMARC Alignment Engine
 // =============================================================================
 
-/**
- * Known two-part TLDs for organizational domain extraction
- * @constant {string[]}
- */
-const TWO_PART_TLDS = [
-  'co.uk', 'com.au', 'co.nz', 'co.jp', 'com.br', 'co.za', 'com.mx',
-  'co.in', 'com.sg', 'com.hk', 'co.kr', 'com.tw', 'com.ar', 'com.co',
-  'org.uk', 'net.au', 'org.au', 'ac.uk', 'gov.uk', 'edu.au'
-];
+// Public Suffix List engine is loaded via <script> in the browser, require() under Node.js
+const pslEngine = typeof lookupPublicSuffix === 'function'
+  ? { lookupPublicSuffix }
+  : require('./public-suffix.js');
 
 /**
  * Extract organizational domain from a full domain
+ * Uses the bundled Public Suffix List (ICANN and private sections, including
+ * wildcard and exception rules) per RFC 7489 Section 3.2.
  * Used for DMARC relaxed alignment checks
  * @param {string} domain - Full domain (e.g., mail.example.com)
  * @returns {string|null} Organizational domain (e.g., example.com)
  */
 function getOrganizationalDomain(domain) {
-  if (!domain) return null;
-
-  const parts = domain.toLowerCase().split('.');
-  if (parts.length <= 2) return domain.toLowerCase();
-
-  // Check for two-part TLDs
-  const lastTwo = parts.slice(-2).join('.');
-  if (TWO_PART_TLDS.includes(lastTwo)) {
-    return parts.slice(-3).join('.');
-  }
+  const match = pslEngine.lookupPublicSuffix(domain);
+  return match ? match.organizationalDomain : null;
+}
 
-  return parts.slice(-2).join('.');
+/**
+ * Get the Public Suffix List match for a domain
+ * @param {string} domain - Full domain
+ * @returns {Object|null} { publicSuffix, organizationalDomain, rule, ruleType, section }
+ */
+function getPublicSuffixMatch(domain) {
+  return pslEngine.lookupPublicSuffix(domain);
 }
 
 /**
@@ -157,6 +153,9 @@ function computeAlignment(record, policy) {
   // DMARC passes if either SPF or DKIM is both passing AND aligned
   const dmarcPass = spfAligned || dkimAligned;
 
+  // Public suffix rule that determined the From domain's organizational domain
+  const headerFromSuffix = getPublicSuffixMatch(headerFrom);
+
   // Determine primary failure reason
   let primaryFailureReason = FAILURE_REASONS.NONE;
 
@@ -200,6 +199,13 @@ function computeAlignment(record, policy) {
     dmarcPass,
     primaryFailureReason,
     headerFrom,
+    headerFromOrgDomain: headerFromSuffix?.organizationalDomain || null,
+    suffixRule: headerFromSuffix ? {
+      rule: headerFromSuffix.rule,
+      ruleType: headerFromSuffix.ruleType,
+      section: headerFromSuffix.section,
+      publicSuffix: headerFromSuffix.publicSuffix
+    } : null,
     // Legacy field for backwards compatibility
     headerEnvelopeMismatch: headerFrom &&
       record.identifiers?.envelopeFrom &&
@@ -207,6 +213,72 @@ function computeAlignment(record, policy) {
   };
 }
 
+// =============================================================================
+// Applicable Policy
+// =============================================================================
+
+/**
+ * Where a From domain sits relative to the policy domain, which decides
+ * whether p, sp or np applies to it
+ * @constant {Object}
+ */
+const POLICY_TIERS = Object.freeze({
+  DOMAIN: 'domain',
+  SUBDOMAIN: 'subdomain',
+  NONEXISTENT: 'nonexistent',
+  OUTSIDE: 'outside'
+});
+
+/**
+ * Normalize a domain name for comparison
+ * @param {string|null|undefined} domain - Domain name
+ * @returns {string} Lowercased name without surrounding whitespace or trailing dots
+ */
+function normalizeDomainName(domain) {
+  return (domain || '').trim().toLowerCase().replace(/\.+$/, '');
+}
+
+/**
+ * Work out where a From domain sits relative to the policy domain
+ * Names are compared case-insensitively and label by label, so
+ * "badexample.com" is not a subdomain of "example.com".
+ * @param {string} headerFrom - header_from domain
+ * @param {string} policyDomain - policy_published domain
+ * @param {boolean} [exists=true] - Whether the From domain exists in DNS, which aggregate reports cannot show
+ * @returns {string} A POLICY_TIERS value; DOMAIN when either name is missing
+ */
+function getPolicyTier(headerFrom, policyDomain, exists = true) {
+  const from = normalizeDomainName(headerFrom);
+  const domain = normalizeDomainName(policyDomain);
+  if (!from || !domain || from === domain) return POLICY_TIERS.DOMAIN;
+  if (!from.endsWith(`.${domain}`)) return POLICY_TIERS.OUTSIDE;
+  return exists ? POLICY_TIERS.SUBDOMAIN : POLICY_TIERS.NONEXISTENT;
+}
+
+/**
+ * Find the published policy that applies to a From domain
+ * An unpublished sp falls back to p, and an unpublished np to sp, then p.
+ * A From domain outside the policy domain gets p, as the receiver used this
+ * record for it.
+ * @param {string} headerFrom - header_from domain
+ * @param {Object|null} policy - Published policy (domain, policy, subdomainPolicy, npPolicy)
+ * @param {{exists?: boolean}} [options] - Whether the From domain exists in DNS (default true)
+ * @returns {{tier: string, tag: string, value: string|null}} Tier, tag that applies ('p', 'sp' or 'np') and its value
+ */
+function getApplicablePolicy(headerFrom, policy, options = {}) {
+  const tier = getPolicyTier(headerFrom, policy?.domain, options.exists !== false);
+  const candidates = [['p', policy?.policy]];
+  if (tier === POLICY_TIERS.SUBDOMAIN || tier === POLICY_TIERS.NONEXISTENT) {
+    candidates.unshift(['sp', policy?.subdomainPolicy]);
+  }
+  if (tier === POLICY_TIERS.NONEXISTENT) {
+    candidates.unshift(['np', policy?.npPolicy]);
+  }
+
+  const [tag, value] = candidates.find(([, candidate]) => candidate) || ['p', null];
+  return { tier, tag, value: value ? value.toLowerCase() : null };
+}
+
 // =============================================================================
 // Parser Robustness Signals
 // =============================================================================
@@ -288,6 +360,22 @@ function computeRobustnessSignals(record, metadata) {
 // XML Parsing Utilities
 // =============================================================================
 
+/**
+ * Get descendant elements by local name, regardless of namespace prefix
+ * DMARCbis reports are namespaced; a prefixed root (e.g. <dmarc:feedback>)
+ * is not matched by getElementsByTagName with the bare local name.
+ * @param {Element|Document} parent - Parent node
+ * @param {string} tagName - Local tag name
+ * @returns {Element[]|HTMLCollection} Matching elements
+ */
+function getElements(parent, tagName) {
+  const elements = parent.getElementsByTagName(tagName);
+  if (elements.length > 0 || typeof parent.getElementsByTagNameNS !== 'function') {
+    return elements;
+  }
+  return parent.getElementsByTagNameNS('*', tagName);
+}
+
 /**
  * Safely get text content from an XML element
  * @param {Element} parent - Parent element
@@ -295,7 +383,7 @@ function computeRobustnessSignals(record, metadata) {
  * @returns {string|null} Text content or null
  */
 function getText(parent, tagName) {
-  const el = parent.getElementsByTagName(tagName)[0];
+  const el = getElements(parent, tagName)[0];
   return el ? el.textContent.trim() : null;
 }
 
@@ -329,17 +417,113 @@ function expandAlignmentMode(mode) {
   return mode.toLowerCase() === 's' ? 'strict' : 'relaxed';
 }
 
+// =============================================================================
+// Schema Detection (RFC 7489 vs DMARCbis)
+// =============================================================================
+
+/**
+ * Aggregate report schemas
+ * @constant {Object}
+ */
+const REPORT_SCHEMAS = Object.freeze({
+  RFC7489: 'rfc7489',
+  DMARCBIS: 'dmarcbis'
+});
+
+/**
+ * XML namespace declared by DMARCbis aggregate reports
+ * @constant {string}
+ */
+const DMARCBIS_NAMESPACE = 'urn:ietf:params:xml:ns:dmarc-2.0';
+
+/**
+ * Elements that only exist in the DMARCbis aggregate schema
+ * (np is omitted: some RFC 7489 reporters already send it)
+ * @constant {string[]}
+ */
+const DMARCBIS_ONLY_ELEMENTS = ['testing', 'discovery_method', 'generator'];
+
+/**
+ * Policy discovery methods reported by DMARCbis (policy_published/discovery_method)
+ * @constant {Object}
+ */
+const DISCOVERY_METHODS = Object.freeze({
+  PSL: 'psl',
+  TREEWALK: 'treewalk'
+});
+
+/**
+ * Read the namespace URI of the feedback element
+ * @param {Element} feedback - feedback element
+ * @param {string} xmlString - Raw XML (fallback when namespaceURI is unavailable)
+ * @returns {string|null} Namespace URI or null
+ */
+function getFeedbackNamespace(feedback, xmlString) {
+  if (feedback.namespaceURI) return feedback.namespaceURI;
+
+  const match = xmlString.match(/<(?:[\w-]+:)?feedback\b[^>]*?\sxmlns(?::[\w-]+)?\s*=\s*["']([^"']+)["']/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Detect which aggregate report schema a document uses
+ * Checks the XML namespace first, then <version>, then DMARCbis-only elements.
+ * @param {Element} feedback - feedback element
+ * @param {string} xmlString - Raw XML string
+ * @returns {Object} { name, namespace, version, detectedBy }
+ */
+function detectReportSchema(feedback, xmlString) {
+  const namespace = getFeedbackNamespace(feedback, xmlString);
+  const version = getText(feedback, 'version');
+
+  const schema = {
+    name: REPORT_SCHEMAS.RFC7489,
+    namespace,
+    version,
+    detectedBy: null
+  };
+
+  if (namespace === DMARCBIS_NAMESPACE) {
+    schema.name = REPORT_SCHEMAS.DMARCBIS;
+    schema.detectedBy = 'namespace';
+  } else if (version && parseFloat(version) >= 2) {
+    schema.name = REPORT_SCHEMAS.DMARCBIS;
+    schema.detectedBy = 'version';
+  } else if (DMARCBIS_ONLY_ELEMENTS.some(tag => getElements(feedback, tag).length > 0)) {
+    schema.name = REPORT_SCHEMAS.DMARCBIS;
+    schema.detectedBy = 'elements';
+  }
+
+  debugLog('parse', 'Detected report schema', schema);
+
+  return schema;
+}
+
+/**
+ * Normalize a DMARCbis discovery_method value
+ * @param {string} value - Raw value (e.g. "psl", "treewalk", "tree-walk")
+ * @returns {string|null} DISCOVERY_METHODS value, raw lowercase value, or null
+ */
+function normalizeDiscoveryMethod(value) {
+  if (!value) return null;
+  const lower = value.toLowerCase().replace(/[\s_-]/g, '');
+  if (lower === 'treewalk') return DISCOVERY_METHODS.TREEWALK;
+  if (lower === 'psl') return DISCOVERY_METHODS.PSL;
+  return value.toLowerCase();
+}
+
 /**
  * Parse report metadata section
  * @param {Element} metadataEl - report_metadata element
+ * @param {string} schema - REPORT_SCHEMAS value
  * @returns {Object} Parsed metadata
  */
-function parseMetadata(metadataEl) {
+function parseMetadata(metadataEl, schema) {
   if (!metadataEl) return null;
 
-  const dateRangeEl = metadataEl.getElementsByTagName('date_range')[0];
+  const dateRangeEl = getElements(metadataEl, 'date_range')[0];
 
-  return {
+  const metadata = {
     orgName: getText(metadataEl, 'org_name'),
     email: getText(metadataEl, 'email'),
     extraContactInfo: getText(metadataEl, 'extra_contact_info'),
@@ -347,19 +531,30 @@ function parseMetadata(metadataEl) {
     dateRange: dateRangeEl ? {
       begin: timestampToDate(getInt(dateRangeEl, 'begin')),
       end: timestampToDate(getInt(dateRangeEl, 'end'))
-    } : null
+    } : null,
+    errors: Array.from(getElements(metadataEl, 'error'))
+      .map(el => el.textContent.trim())
+      .filter(Boolean)
   };
+
+  // DMARCbis: software that generated the report
+  if (schema === REPORT_SCHEMAS.DMARCBIS) {
+    metadata.generator = getText(metadataEl, 'generator');
+  }
+
+  return metadata;
 }
 
 /**
  * Parse policy_published section
  * @param {Element} policyEl - policy_published element
+ * @param {string} schema - REPORT_SCHEMAS value
  * @returns {Object} Parsed policy
  */
-function parsePolicy(policyEl) {
+function parsePolicy(policyEl, schema) {
   if (!policyEl) return null;
 
-  return {
+  const policy = {
     domain: getText(policyEl, 'domain'),
     adkim: expandAlignmentMode(getText(policyEl, 'adkim')),
     aspf: expandAlignmentMode(getText(policyEl, 'aspf')),
@@ -369,6 +564,15 @@ function parsePolicy(policyEl) {
     failureOptions: getText(policyEl, 'fo'),
     npPolicy: getText(policyEl, 'np')
   };
+
+  // DMARCbis replaces pct with testing (t=y) and reports how the policy was found
+  if (schema === REPORT_SCHEMAS.DMARCBIS) {
+    const testing = getText(policyEl, 'testing');
+    policy.testing = testing ? testing.toLowerCase() === 'y' : null;
+    policy.discoveryMethod = normalizeDiscoveryMethod(getText(policyEl, 'discovery_method'));
+  }
+
+  return policy;
 }
 
 /**
@@ -380,7 +584,7 @@ function parseReasons(policyEvalEl) {
   if (!policyEvalEl) return [];
 
   const reasons = [];
-  const reasonEls = policyEvalEl.getElementsByTagName('reason');
+  const reasonEls = getElements(policyEvalEl, 'reason');
 
   for (const reasonEl of reasonEls) {
     reasons.push({
@@ -404,7 +608,7 @@ function parseAuthResults(authEl) {
   const spfResults = [];
 
   // Parse DKIM results
-  const dkimEls = authEl.getElementsByTagName('dkim');
+  const dkimEls = getElements(authEl, 'dkim');
   for (const dkim of dkimEls) {
     dkimResults.push({
       domain: getText(dkim, 'domain'),
@@ -415,12 +619,13 @@ function parseAuthResults(authEl) {
   }
 
   // Parse SPF results
-  const spfEls = authEl.getElementsByTagName('spf');
+  const spfEls = getElements(authEl, 'spf');
   for (const spf of spfEls) {
     spfResults.push({
       domain: getText(spf, 'domain'),
       scope: getText(spf, 'scope'),
-      result: getText(spf, 'result')
+      result: getText(spf, 'result'),
+      humanResult: getText(spf, 'human_result')
     });
   }
 
@@ -450,10 +655,10 @@ function parseIdentifiers(idEl) {
  * @returns {Object} Parsed record
  */
 function parseRecord(recordEl, policy, metadata) {
-  const rowEl = recordEl.getElementsByTagName('row')[0];
-  const policyEvalEl = rowEl ? rowEl.getElementsByTagName('policy_evaluated')[0] : null;
-  const identifiers = parseIdentifiers(recordEl.getElementsByTagName('identifiers')[0]);
-  const authResults = parseAuthResults(recordEl.getElementsByTagName('auth_results')[0]);
+  const rowEl = getElements(recordEl, 'row')[0];
+  const policyEvalEl = rowEl ? getElements(rowEl, 'policy_evaluated')[0] : null;
+  const identifiers = parseIdentifiers(getElements(recordEl, 'identifiers')[0]);
+  const authResults = parseAuthResults(getElements(recordEl, 'auth_results')[0]);
 
   const policyEvaluated = policyEvalEl ? {
     disposition: getText(policyEvalEl, 'disposition'),
@@ -490,6 +695,107 @@ function parseRecord(recordEl, policy, metadata) {
   };
 }
 
+/**
+ * Create an accumulator of summary statistics
+ * Records are added one at a time, so the streaming parser can summarize a
+ * report without keeping its records.
+ * @returns {{add: function(Object): void, finish: function(): Object}} Summarizer; finish() returns the summary
+ */
+function createRecordSummarizer() {
+  let totalMessages = 0;
+  let passedDkim = 0;
+  let failedDkim = 0;
+  let passedSpf = 0;
+  let failedSpf = 0;
+  let passedBoth = 0;
+  let failedBoth = 0;
+  let quarantined = 0;
+  let rejected = 0;
+  // New: DMARC alignment statistics
+  let dmarcAligned = 0;
+  let dmarcFailed = 0;
+
+  return {
+    /**
+     * Count one parsed record
+     * @param {Object} record - Parsed record
+     */
+    add(record) {
+      const count = record.count;
+      totalMessages += count;
+
+      const dkimPass = record.policyEvaluated?.dkim === 'pass';
+      const spfPass = record.policyEvaluated?.spf === 'pass';
+      const disposition = record.policyEvaluated?.disposition;
+
+      if (dkimPass) passedDkim += count;
+      else failedDkim += count;
+
+      if (spfPass) passedSpf += count;
+      else failedSpf += count;
+
+      if (dkimPass && spfPass) passedBoth += count;
+      if (!dkimPass && !spfPass) failedBoth += count;
+
+      if (disposition === 'quarantine') quarantined += count;
+      if (disposition === 'reject') rejected += count;
+
+      // Track DMARC alignment (computed alignment, not just auth pass)
+      if (record.alignment?.dmarcPass) {
+        dmarcAligned += count;
+      } else {
+        dmarcFailed += count;
+      }
+    },
+
+    /**
+     * Build the summary of the records added so far
+     * @returns {Object} Summary statistics
+     */
+    finish() {
+      debugLog('summary', 'Calculated summary', {
+        totalMessages,
+        dmarcAligned,
+        dmarcFailed,
+        passedBoth,
+        failedBoth
+      });
+
+      return {
+        totalMessages,
+        passedDkim,
+        failedDkim,
+        passedSpf,
+        failedSpf,
+        passedBoth,
+        failedBoth,
+        quarantined,
+        rejected,
+        // New: DMARC alignment stats
+        dmarcAligned,
+        dmarcFailed,
+        // Percentages
+        dkimPassRate: totalMessages > 0 ? (passedDkim / totalMessages * 100) : 0,
+        spfPassRate: totalMessages > 0 ? (passedSpf / totalMessages * 100) : 0,
+        overallPassRate: totalMessages > 0 ? (passedBoth / totalMessages * 100) : 0,
+        dmarcAlignedRate: totalMessages > 0 ? (dmarcAligned / totalMessages * 100) : 0
+      };
+    }
+  };
+}
+
+/**
+ * Calculate summary statistics for parsed records
+ * Shared by the DOM parser and the streaming parser so both produce the same summary.
+ * @param {Object[]} records - Parsed records
+ * @returns {Object} Summary statistics
+ */
+function summarizeRecords(records) {
+  const summarizer = createRecordSummarizer();
+  for (const record of records) summarizer.add(record);
+  return summarizer.finish();
+}
+
 /**
  * Parse DMARC aggregate report XML string
  * @param {string} xmlString - Raw XML string
@@ -505,96 +811,32 @@ function parseDmarcReport(xmlString) {
     throw new Error(`XML parsing failed: ${parseError.textContent}`);
   }
 
-  const feedback = doc.getElementsByTagName('feedback')[0];
+  const feedback = getElements(doc, 'feedback')[0];
   if (!feedback) {
     throw new Error('Invalid DMARC report: missing feedback element');
   }
 
+  // RFC 7489 or DMARCbis
+  const schema = detectReportSchema(feedback, xmlString);
+
   // Parse all sections
-  const metadata = parseMetadata(feedback.getElementsByTagName('report_metadata')[0]);
-  const policy = parsePolicy(feedback.getElementsByTagName('policy_published')[0]);
+  const metadata = parseMetadata(getElements(feedback, 'report_metadata')[0], schema.name);
+  const policy = parsePolicy(getElements(feedback, 'policy_published')[0], schema.name);
 
   // Parse all record elements
-  const recordEls = feedback.getElementsByTagName('record');
+  const recordEls = getElements(feedback, 'record');
   const records = [];
   for (const recordEl of recordEls) {
     records.push(parseRecord(recordEl, policy, metadata));
   }
 
-  // Calculate summary statistics
-  let totalMessages = 0;
-  let passedDkim = 0;
-  let failedDkim = 0;
-  let passedSpf = 0;
-  let failedSpf = 0;
-  let passedBoth = 0;
-  let failedBoth = 0;
-  let quarantined = 0;
-  let rejected = 0;
-  // New: DMARC alignment statistics
-  let dmarcAligned = 0;
-  let dmarcFailed = 0;
-
-  for (const record of records) {
-    const count = record.count;
-    totalMessages += count;
-
-    const dkimPass = record.policyEvaluated?.dkim === 'pass';
-    const spfPass = record.policyEvaluated?.spf === 'pass';
-    const disposition = record.policyEvaluated?.disposition;
-
-    if (dkimPass) passedDkim += count;
-    else failedDkim += count;
-
-    if (spfPass) passedSpf += count;
-    else failedSpf += count;
-
-    if (dkimPass && spfPass) passedBoth += count;
-    if (!dkimPass && !spfPass) failedBoth += count;
-
-    if (disposition === 'quarantine') quarantined += count;
-    if (disposition === 'reject') rejected += count;
-
-    // Track DMARC alignment (computed alignment, not just auth pass)
-    if (record.alignment?.dmarcPass) {
-      dmarcAligned += count;
-    } else {
-      dmarcFailed += count;
-    }
-  }
-
-  debugLog('summary', 'Calculated summary', {
-    totalMessages,
-    dmarcAligned,
-    dmarcFailed,
-    passedBoth,
-    failedBoth
-  });
-
   return {
-    version: getText(feedback, 'version'),
+    version: schema.version,
+    schema,
     metadata,
     policy,
     records,
-    summary: {
-      totalMessages,
-      passedDkim,
-      failedDkim,
-      passedSpf,
-      failedSpf,
-      passedBoth,
-      failedBoth,
-      quarantined,
-      rejected,
-      // New: DMARC alignment stats
-      dmarcAligned,
-      dmarcFailed,
-      // Percentages
-      dkimPassRate: totalMessages > 0 ? (passedDkim / totalMessages * 100) : 0,
-      spfPassRate: totalMessages > 0 ? (passedSpf / totalMessages * 100) : 0,
-      overallPassRate: totalMessages > 0 ? (passedBoth / totalMessages * 100) : 0,
-      dmarcAlignedRate: totalMessages > 0 ? (dmarcAligned / totalMessages * 100) : 0
-    }
+    summary: summarizeRecords(records)
   };
 }
 
@@ -602,13 +844,26 @@ function parseDmarcReport(xmlString) {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     parseDmarcReport,
+    parseMetadata,
+    parsePolicy,
+    parseRecord,
+    summarizeRecords,
+    createRecordSummarizer,
     getOrganizationalDomain,
+    getPublicSuffixMatch,
     domainsAlign,
     computeAlignment,
+    normalizeDomainName,
+    getPolicyTier,
+    getApplicablePolicy,
     computeRobustnessSignals,
     isDebugMode,
+    detectReportSchema,
     FAILURE_REASONS,
+    POLICY_TIERS,
     KNOWN_RECEIVERS,
-    TWO_PART_TLDS
+    REPORT_SCHEMAS,
+    DMARCBIS_NAMESPACE,
+    DISCOVERY_METHODS
   };
 }
@@ -0,0 +1,450 @@
+/**
+ * DMARC Report Reader - Streaming DMARC XML Parser
+ * SAX-style incremental parser for very large aggregate reports. Only the
+ * record currently being read is held as an element tree, so memory stays
+ * bounded by the parsed records rather than a full DOM of the document.
+ */
+
+// DOM-path helpers are loaded via <script> (or importScripts in the worker), require() under Node.js
+const dmarcDom = typeof summarizeRecords === 'function'
+  ? { parseMetadata, parsePolicy, parseRecord, createRecordSummarizer, detectReportSchema, REPORT_SCHEMAS }
+  : require('./dmarc-parser.js');
+
+/**
+ * Characters fed to the parser per step by parseDmarcReportStreaming
+ * @constant {number}
+ */
+const STREAM_CHUNK_SIZE = 256 * 1024;
+
+/**
+ * Predefined XML entities
+ * @constant {Object}
+ */
+const XML_ENTITIES = Object.freeze({
+  lt: '<',
+  gt: '>',
+  amp: '&',
+  quot: '"',
+  apos: '\''
+});
+
+// =============================================================================
+// SAX Tokenizer
+// =============================================================================
+
+/**
+ * Decode character and predefined entity references
+ * @param {string} text - Raw text or attribute value
+ * @returns {string} Decoded text
+ */
+function decodeXmlEntities(text) {
+  if (!text.includes('&')) return text;
+
+  return text.replace(/&([^;&\s]*);?/g, (whole, name) => {
+    if (!whole.endsWith(';')) {
+      throw new Error(`XML parsing failed: unterminated entity reference "${whole}"`);
+    }
+    if (name.startsWith('#x') || name.startsWith('#X')) {
+      return String.fromCodePoint(parseInt(name.slice(2), 16));
+    }
+    if (name.startsWith('#')) {
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    if (Object.prototype.hasOwnProperty.call(XML_ENTITIES, name)) {
+      return XML_ENTITIES[name];
+    }
+    throw new Error(`XML parsing failed: undefined entity "&${name};"`);
+  });
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} text - Tag content after the element name
+ * @returns {Object} Attribute name to decoded value
+ */
+function parseXmlAttributes(text) {
+  const attributes = {};
+  const attrRegex = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attrRegex.exec(text)) !== null) {
+    attributes[match[1]] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Find the end of a start tag, skipping '>' inside quoted attribute values
+ * @param {string} buffer - Buffered input
+ * @param {number} start - Index of the '<'
+ * @returns {number} Index of the closing '>', or -1 when more input is needed
+ */
+function findTagEnd(buffer, start) {
+  let quote = null;
+  for (let i = start + 1; i < buffer.length; i++) {
+    const char = buffer[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Create an incremental SAX-style XML tokenizer
+ * Input may be split at any character; incomplete markup is buffered until
+ * the next write. Comments, processing instructions and the DOCTYPE are skipped.
+ * @param {Object} handlers - Event callbacks
+ * @param {function(string, Object): void} handlers.onOpenTag - Called with (qualified name, attributes)
+ * @param {function(string): void} handlers.onCloseTag - Called with the qualified name (also for empty elements)
+ * @param {function(string): void} handlers.onText - Called with decoded character data inside the root element
+ * @returns {{write: function(string): void, close: function(): void}} Tokenizer
+ */
+function createXmlSaxParser(handlers) {
+  const openTags = [];
+  let buffer = '';
+  let sawRoot = false;
+  let closed = false;
+
+  /**
+   * Emit character data, rejecting text outside the root element
+   * @param {string} raw - Raw text
+   */
+  function emitText(raw) {
+    if (openTags.length === 0) {
+      if (raw.trim() !== '') {
+        throw new Error('XML parsing failed: text outside the root element');
+      }
+      return;
+    }
+    handlers.onText(decodeXmlEntities(raw));
+  }
+
+  /**
+   * Consume as much of the buffer as possible
+   */
+  function consume() {
+    let pos = 0;
+
+    while (pos < buffer.length) {
+      const lt = buffer.indexOf('<', pos);
+      if (lt === -1) break; // Text continues into the next chunk
+      if (lt > pos) emitText(buffer.slice(pos, lt));
+      pos = lt;
+
+      if (buffer.startsWith('<!--', pos)) {
+        const end = buffer.indexOf('-->', pos + 4);
+        if (end === -1) break;
+        pos = end + 3;
+      } else if (buffer.startsWith('<![CDATA[', pos)) {
+        const end = buffer.indexOf(']]>', pos + 9);
+        if (end === -1) break;
+        if (openTags.length === 0) {
+          throw new Error('XML parsing failed: CDATA outside the root element');
+        }
+        handlers.onText(buffer.slice(pos + 9, end));
+        pos = end + 3;
+      } else if (buffer.startsWith('<?', pos)) {
+        const end = buffer.indexOf('?>', pos + 2);
+        if (end === -1) break;
+        pos = end + 2;
+      } else if (buffer.startsWith('<!', pos)) {
+        // DOCTYPE, possibly with an internal subset
+        const bracket = buffer.indexOf('[', pos);
+        const tagEnd = buffer.indexOf('>', pos);
+        const end = bracket !== -1 && (tagEnd === -1 || bracket < tagEnd)
+          ? buffer.indexOf(']>', bracket)
+          : tagEnd;
+        if (end === -1) break;
+        pos = end + (buffer[end] === ']' ? 2 : 1);
+      } else if (buffer.startsWith('</', pos)) {
+        const end = buffer.indexOf('>', pos);
+        if (end === -1) break;
+        const name = buffer.slice(pos + 2, end).trim();
+        const expected = openTags.pop();
+        if (name !== expected) {
+          throw new Error(`XML parsing failed: expected </${expected || ''}> but found </${name}>`);
+        }
+        handlers.onCloseTag(name);
+        pos = end + 1;
+      } else {
+        const end = findTagEnd(buffer, pos);
+        if (end === -1) break;
+        const selfClosing = buffer[end - 1] === '/';
+        const content = buffer.slice(pos + 1, selfClosing ? end - 1 : end);
+        const nameMatch = content.match(/^[^\s/>]+/);
+        if (!nameMatch) {
+          throw new Error('XML parsing failed: invalid start tag');
+        }
+        if (openTags.length === 0 && sawRoot) {
+          throw new Error('XML parsing failed: multiple root elements');
+        }
+        const name = nameMatch[0];
+        sawRoot = true;
+        handlers.onOpenTag(name, parseXmlAttributes(content.slice(name.length)));
+        if (selfClosing) {
+          handlers.onCloseTag(name);
+        } else {
+          openTags.push(name);
+        }
+        pos = end + 1;
+      }
+    }
+
+    buffer = buffer.slice(pos);
+  }
+
+  return {
+    /**
+     * Feed the next chunk of input
+     * @param {string} chunk - XML text
+     */
+    write(chunk) {
+      if (closed) throw new Error('XML parsing failed: write after close');
+      buffer += chunk;
+      consume();
+    },
+
+    /**
+     * Signal the end of input
+     * @throws {Error} If the document is incomplete
+     */
+    close() {
+      closed = true;
+      if (buffer.trim() !== '' || openTags.length > 0) {
+        throw new Error('XML parsing failed: unexpected end of document');
+      }
+      if (!sawRoot) {
+        throw new Error('XML parsing failed: no root element');
+      }
+    }
+  };
+}
+
+// =============================================================================
+// Element Trees
+// =============================================================================
+
+/**
+ * Strip the namespace prefix from a qualified name
+ * @param {string} name - Qualified name (e.g. "dmarc:feedback")
+ * @returns {string} Local name
+ */
+function getLocalName(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Create a minimal element supporting the DOM subset the DMARC parser reads
+ * (getElementsByTagName by local name, textContent, namespaceURI)
+ * @param {string} localName - Element local name
+ * @returns {Object} Element
+ */
+function createStreamElement(localName) {
+  return {
+    localName,
+    namespaceURI: null,
+    childNodes: [],
+
+    get textContent() {
+      return this.childNodes
+        .map(node => (typeof node === 'string' ? node : node.textContent))
+        .join('');
+    },
+
+    getElementsByTagName(tagName) {
+      const matches = [];
+      const stack = [...this.childNodes].reverse();
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (typeof node === 'string') continue;
+        if (node.localName === tagName) matches.push(node);
+        for (let i = node.childNodes.length - 1; i >= 0; i--) {
+          stack.push(node.childNodes[i]);
+        }
+      }
+      return matches;
+    }
+  };
+}
+
+// =============================================================================
+// DMARC Stream Parser
+// =============================================================================
+
+/**
+ * Create an incremental DMARC aggregate report parser
+ * Each <record> is parsed as soon as it closes, with the same alignment and
+ * _robustness computation as parseDmarcReport. Records that arrive before
+ * report_metadata and policy_published are held back until both are known.
+ * The summary is counted as records are parsed, so with keepRecords false
+ * memory does not grow with the report: records only reach onRecord.
+ * @param {Object} [options] - Parser options
+ * @param {function(Object, number): void} [options.onRecord] - Called with (record, index) as records are parsed
+ * @param {boolean} [options.keepRecords=true] - Collect records for the report close() returns
+ * @returns {{write: function(string): void, close: function(): Object, readonly recordCount: number}} Parser; close() returns the report (records empty unless kept)
+ */
+function createDmarcStreamParser(options = {}) {
+  const keepRecords = options.keepRecords !== false;
+  const records = [];
+  const summarizer = dmarcDom.createRecordSummarizer();
+  let recordCount = 0;
+  const pendingRecordEls = [];
+  const stack = [];
+  let root = null;
+  let recordEl = null;
+  let metadataEl = null;
+  let policyEl = null;
+  let recordContext = null;
+
+  /**
+   * Parse a record element and release its tree
+   * @param {Object} el - record element
+   */
+  function emitRecord(el) {
+    const record = dmarcDom.parseRecord(el, recordContext.policy, recordContext.metadata);
+    summarizer.add(record);
+    if (keepRecords) records.push(record);
+    if (options.onRecord) options.onRecord(record, recordCount);
+    recordCount++;
+  }
+
+  /**
+   * Parse held-back records once the metadata and policy are known
+   * Alignment and robustness only read adkim/aspf and the reporter email,
+   * which do not depend on the schema.
+   */
+  function flushPendingRecords() {
+    recordContext = {
+      metadata: dmarcDom.parseMetadata(metadataEl, dmarcDom.REPORT_SCHEMAS.RFC7489),
+      policy: dmarcDom.parsePolicy(policyEl, dmarcDom.REPORT_SCHEMAS.RFC7489)
+    };
+    for (const el of pendingRecordEls.splice(0)) {
+      emitRecord(el);
+    }
+  }
+
+  const sax = createXmlSaxParser({
+    onOpenTag(name, attributes) {
+      const localName = getLocalName(name);
+      const el = createStreamElement(localName);
+
+      if (!root) {
+        if (localName !== 'feedback') {
+          throw new Error('Invalid DMARC report: missing feedback element');
+        }
+        const prefix = name.includes(':') ? name.slice(0, name.indexOf(':')) : null;
+        el.namespaceURI = (prefix ? attributes[`xmlns:${prefix}`] : attributes.xmlns) || null;
+        root = el;
+      } else if (localName === 'record' && !recordEl) {
+        // Records are kept out of the root so they can be released once parsed
+        recordEl = el;
+      } else {
+        stack[stack.length - 1].childNodes.push(el);
+      }
+
+      stack.push(el);
+    },
+
+    onText(text) {
+      stack[stack.length - 1].childNodes.push(text);
+    },
+
+    onCloseTag() {
+      const el = stack.pop();
+
+      if (el === recordEl) {
+        recordEl = null;
+        if (recordContext) emitRecord(el);
+        else pendingRecordEls.push(el);
+        return;
+      }
+
+      if (recordEl) return;
+      if (el.localName === 'report_metadata' && !metadataEl) metadataEl = el;
+      if (el.localName === 'policy_published' && !policyEl) policyEl = el;
+      if (!recordContext && metadataEl && policyEl) flushPendingRecords();
+    }
+  });
+
+  return {
+    /**
+     * Feed the next chunk of XML
+     * @param {string} chunk - XML text
+     */
+    write(chunk) {
+      sax.write(chunk);
+    },
+
+    /**
+     * Finish parsing and build the report
+     * @returns {Object} Parsed DMARC report (same shape as parseDmarcReport)
+     */
+    close() {
+      sax.close();
+      if (!root) {
+        throw new Error('Invalid DMARC report: missing feedback element');
+      }
+      if (!recordContext) flushPendingRecords();
+
+      // root holds everything except records, which is all schema detection reads
+      const schema = dmarcDom.detectReportSchema(root, '');
+
+      return {
+        version: schema.version,
+        schema,
+        metadata: dmarcDom.parseMetadata(metadataEl, schema.name),
+        policy: dmarcDom.parsePolicy(policyEl, schema.name),
+        records,
+        summary: summarizer.finish()
+      };
+    },
+
+    get recordCount() {
+      return recordCount;
+    }
+  };
+}
+
+/**
+ * Parse a DMARC aggregate report with the streaming parser
+ * Synchronous; feeds the string in chunks and reports progress after each one.
+ * @param {string} xmlString - Raw XML string
+ * @param {Object} [options] - Parser options
+ * @param {number} [options.chunkSize=STREAM_CHUNK_SIZE] - Characters per chunk
+ * @param {function(Object, number): void} [options.onRecord] - Called as records are parsed
+ * @param {function({processed: number, total: number, recordCount: number}): void} [options.onProgress] - Called after each chunk
+ * @returns {Object} Parsed DMARC report
+ */
+function parseDmarcReportStreaming(xmlString, options = {}) {
+  const chunkSize = options.chunkSize || STREAM_CHUNK_SIZE;
+  const parser = createDmarcStreamParser({ onRecord: options.onRecord });
+
+  for (let offset = 0; offset < xmlString.length; offset += chunkSize) {
+    parser.write(xmlString.slice(offset, offset + chunkSize));
+    if (options.onProgress) {
+      options.onProgress({
+        processed: Math.min(offset + chunkSize, xmlString.length),
+        total: xmlString.length,
+        recordCount: parser.recordCount
+      });
+    }
+  }
+
+  return parser.close();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createXmlSaxParser,
+    createDmarcStreamParser,
+    parseDmarcReportStreaming,
+    decodeXmlEntities,
+    STREAM_CHUNK_SIZE
+  };
+}
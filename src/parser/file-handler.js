@@ -1,10 +1,24 @@
 /**
  * DMARC Report Reader - File Handler
- * Detects file format and extracts XML content from various containers
+ * Detects file format and extracts report content from various containers
  *
- * Supports: Plain XML, GZIP compressed (.xml.gz), ZIP archives (single or multi-file)
+ * Supports: Plain XML, GZIP compressed (.xml.gz), ZIP archives (single or multi-file),
+ * SMTP TLS-RPT JSON reports (.json, .json.gz), ARF failure report messages (.eml),
+ * and report attachments inside email messages (.eml) and mailbox archives (.mbox)
  */
 
+// MIME helpers are loaded before this file in the browser and service worker,
+// require() under Node.js
+const fileMime = typeof parseMimeEntity === 'function'
+  ? { parseMimeEntity, getMimeEntityBytes, getMimePartFilename, getMimeLeafParts, splitMbox, decodeMimeBytes, bytesToBinaryString, binaryStringToBytes }
+  : require('./mime-parser.js');
+
+// ARF detection is shared with the failure report parser, loaded before this
+// file in the browser and service worker
+const fileArf = typeof isFailureReportMessage === 'function'
+  ? { isFailureReportMessage }
+  : require('./arf-parser.js');
+
 /**
  * Magic bytes for file format detection
  * @constant {Object}
@@ -16,10 +30,101 @@ const MAGIC_BYTES = Object.freeze({
   XML_DECLARATION: [0x3c, 0x3f, 0x78, 0x6d, 0x6c] // <?xml
 });
 
+/**
+ * Report types carried by extracted files
+ * @constant {Object}
+ */
+const REPORT_TYPES = Object.freeze({
+  DMARC: 'dmarc',
+  TLSRPT: 'tlsrpt',
+  FAILURE: 'failure'
+});
+
+/**
+ * First line of an RFC 5322 message: a header field name followed by a colon
+ * @constant {RegExp}
+ */
+const MESSAGE_HEADER_PATTERN = /^[!-9;-~]+:[ \t]/;
+
+/**
+ * First line of an mbox archive: the "From " envelope separator
+ * @constant {RegExp}
+ */
+const MBOX_SEPARATOR_PATTERN = /^From \S+/;
+
+/**
+ * Attachment filename extensions that may hold reports
+ * @constant {string[]}
+ */
+const REPORT_ATTACHMENT_EXTENSIONS = Object.freeze(['.xml', '.gz', '.zip', '.json', '.eml']);
+
+/**
+ * Attachment media types that may hold reports (used when a part has no filename)
+ * @constant {string[]}
+ */
+const REPORT_ATTACHMENT_TYPES = Object.freeze([
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/gzip',
+  'application/x-gzip',
+  'application/xml',
+  'text/xml',
+  'application/json',
+  'application/tlsrpt+json',
+  'application/tlsrpt+gzip',
+  'message/rfc822'
+]);
+
+/**
+ * Maximum nesting of messages within messages (forwarded reports)
+ * @constant {number}
+ */
+const MAX_MESSAGE_DEPTH = 3;
+
+/**
+ * Detect whether decoded text is XML, JSON, an email message, or an mbox archive
+ * @param {string} text - Decoded file content (or its beginning)
+ * @returns {string|null} 'xml', 'json', 'message', 'mbox', or null if none
+ */
+function detectContentType(text) {
+  const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+  if (trimmed.startsWith('<')) return 'xml';
+  if (trimmed.startsWith('{')) return 'json';
+  if (MBOX_SEPARATOR_PATTERN.test(trimmed)) return 'mbox';
+  if (MESSAGE_HEADER_PATTERN.test(trimmed)) return 'message';
+  return null;
+}
+
+/**
+ * Build an extracted file entry for decoded report text
+ * DMARC reports carry `xml`; TLS-RPT reports carry `json`; failure reports carry `message`.
+ * @param {string} filename - File name
+ * @param {string} text - Decoded content
+ * @returns {ExtractedFile} Extracted file
+ * @throws {Error} If the content is JSON without a policies array or a message that is not a failure report
+ */
+function createExtractedFile(filename, text) {
+  const contentType = detectContentType(text);
+  if (contentType === 'json') {
+    // Same check as for ZIP entries: TLS-RPT reports contain a policies array
+    if (!text.includes('"policies"')) {
+      throw new Error('Invalid TLS-RPT report: missing policies array');
+    }
+    return { filename: filename || 'report.json', json: text, reportType: REPORT_TYPES.TLSRPT };
+  }
+  if (contentType === 'message') {
+    if (!fileArf.isFailureReportMessage(text)) {
+      throw new Error('Message does not contain a DMARC failure report');
+    }
+    return { filename: filename || 'report.eml', message: text, reportType: REPORT_TYPES.FAILURE };
+  }
+  return { filename: filename || 'report.xml', xml: text, reportType: REPORT_TYPES.DMARC };
+}
+
 /**
  * Detect file format from magic bytes
  * @param {Uint8Array} data - Raw file bytes
- * @returns {string} Format: 'gzip', 'zip', or 'xml'
+ * @returns {string} Format: 'gzip', 'zip', 'xml', 'json', 'message', or 'mbox'
  */
 function detectFormat(data) {
   if (data.length < 4) {
@@ -37,10 +142,12 @@ function detectFormat(data) {
     return 'zip';
   }
 
-  // Check for XML (with or without BOM)
+  // Check for UTF-8 BOM (XML or JSON follows)
   if (data[0] === MAGIC_BYTES.XML_BOM[0] && data[1] === MAGIC_BYTES.XML_BOM[1] &&
       data[2] === MAGIC_BYTES.XML_BOM[2]) {
-    return 'xml';
+    const afterBom = new TextDecoder().decode(data.slice(3, 100));
+    const contentType = detectContentType(afterBom);
+    return contentType && contentType !== 'xml' ? contentType : 'xml';
   }
 
   // Check for XML declaration <?xml
@@ -51,10 +158,10 @@ function detectFormat(data) {
     return 'xml';
   }
 
-  // Check for XML starting with < (whitespace trimmed)
-  const text = new TextDecoder().decode(data.slice(0, 100));
-  if (text.trim().startsWith('<')) {
-    return 'xml';
+  // Check for XML starting with <, JSON starting with {, mbox "From " lines, or message headers (whitespace trimmed)
+  const contentType = detectContentType(new TextDecoder().decode(data.slice(0, 100)));
+  if (contentType) {
+    return contentType;
   }
 
   throw new Error('Unknown file format');
@@ -63,7 +170,7 @@ function detectFormat(data) {
 /**
  * Decompress GZIP data using pako
  * @param {Uint8Array} data - GZIP compressed data
- * @returns {string} Decompressed XML string
+ * @returns {string} Decompressed XML or JSON string
  */
 function decompressGzip(data) {
   try {
@@ -90,31 +197,34 @@ async function extractFromZip(data) {
 
   const fileNames = Object.keys(zip.files);
 
-  // Find all XML files in archive (excluding directories and macOS metadata)
-  const xmlFileNames = fileNames.filter(name => {
+  // Find all XML/JSON/EML files in archive (excluding directories and macOS metadata)
+  const reportFileNames = fileNames.filter(name => {
     const lower = name.toLowerCase();
-    return lower.endsWith('.xml') &&
+    return (lower.endsWith('.xml') || lower.endsWith('.json') || lower.endsWith('.eml')) &&
            !zip.files[name].dir &&
            !name.startsWith('__MACOSX/') &&
            !name.startsWith('.');
   });
 
-  if (xmlFileNames.length === 0) {
-    throw new Error('No XML files found in ZIP archive');
+  if (reportFileNames.length === 0) {
+    throw new Error('No report files (XML, JSON, or EML) found in ZIP archive');
   }
 
-  // Extract all XML files in parallel
-  const extractionPromises = xmlFileNames.map(async (filename) => {
+  // Extract all report files in parallel
+  const extractionPromises = reportFileNames.map(async (filename) => {
     try {
-      const xml = await zip.files[filename].async('string');
-      // Basic validation: must contain feedback element (DMARC report marker)
-      if (!xml.includes('<feedback') && !xml.includes('<feedback>')) {
-        return null; // Not a DMARC report, skip it
+      const text = await zip.files[filename].async('string');
+      // Basic validation: DMARC reports contain a feedback element,
+      // TLS-RPT reports contain a policies array, failure reports are ARF messages
+      const contentType = detectContentType(text);
+      const isDmarc = text.includes('<feedback');
+      const isTlsRpt = contentType === 'json' && text.includes('"policies"');
+      const isFailure = contentType === 'message' && fileArf.isFailureReportMessage(text);
+      if (!isDmarc && !isTlsRpt && !isFailure) {
+        return null; // Not a report, skip it
       }
-      return {
-        filename: filename.split('/').pop(), // Remove path, keep filename only
-        xml
-      };
+      // Remove path, keep filename only
+      return createExtractedFile(filename.split('/').pop(), text);
     } catch (err) {
       // Log but don't fail entire extraction for one bad file
       console.warn(`Failed to extract ${filename}: ${err.message}`);
@@ -126,7 +236,7 @@ async function extractFromZip(data) {
   const validFiles = results.filter(f => f !== null);
 
   if (validFiles.length === 0) {
-    throw new Error('ZIP contains no valid DMARC report XML files');
+    throw new Error('ZIP contains no valid DMARC, TLS-RPT, or failure report files');
   }
 
   // Sort by filename for consistent ordering
@@ -135,22 +245,111 @@ async function extractFromZip(data) {
   return validFiles;
 }
 
+/**
+ * Check whether a MIME part looks like a report attachment
+ * @param {Object} part - Parsed MIME entity
+ * @param {string|null} filename - Attachment filename
+ * @returns {boolean} True if the part should be extracted
+ */
+function isReportAttachment(part, filename) {
+  if (filename) {
+    const lower = filename.toLowerCase();
+    return REPORT_ATTACHMENT_EXTENSIONS.some(ext => lower.endsWith(ext));
+  }
+  return REPORT_ATTACHMENT_TYPES.includes(part.contentType);
+}
+
+/**
+ * Extract report files from an email message
+ * ARF failure reports are returned as a whole; other messages are walked for
+ * report attachments, each of which goes through extractXmlFromFile.
+ * @param {string} text - Raw message as a binary string (bytesToBinaryString)
+ * @param {string} fileName - Message filename (used for attachments without one)
+ * @param {number} [depth=0] - Message nesting depth
+ * @returns {Promise<ExtractedFile[]>} Extracted report files
+ * @throws {Error} If the message contains no reports
+ */
+async function extractFromMessage(text, fileName, depth = 0) {
+  if (fileArf.isFailureReportMessage(text)) {
+    return [createExtractedFile(fileName || 'report.eml', fileMime.decodeMimeBytes(fileMime.binaryStringToBytes(text)))];
+  }
+
+  const message = fileMime.parseMimeEntity(text);
+  const files = [];
+
+  for (const part of fileMime.getMimeLeafParts(message)) {
+    const filename = fileMime.getMimePartFilename(part);
+    if (!isReportAttachment(part, filename)) continue;
+
+    try {
+      const bytes = fileMime.getMimeEntityBytes(part);
+      // Forwarded messages are walked like the outer message
+      if (part.contentType === 'message/rfc822' || (filename || '').toLowerCase().endsWith('.eml')) {
+        if (depth < MAX_MESSAGE_DEPTH) {
+          const nested = fileMime.bytesToBinaryString(bytes);
+          files.push(...await extractFromMessage(nested, filename || fileName, depth + 1));
+        }
+        continue;
+      }
+      const extraction = await extractXmlFromFile(bytes, filename || '');
+      files.push(...extraction.files);
+    } catch (err) {
+      // One unreadable attachment should not hide the others
+      console.warn(`Skipping attachment ${filename || part.contentType}: ${err.message}`);
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error('Message does not contain a DMARC report attachment');
+  }
+  return files;
+}
+
+/**
+ * Extract report files from every message in an mbox archive
+ * Messages without reports are skipped.
+ * @param {string} text - mbox file contents as a binary string
+ * @returns {Promise<ExtractedFile[]>} Extracted report files, in mailbox order
+ * @throws {Error} If no message contains a report
+ */
+async function extractFromMbox(text) {
+  const files = [];
+
+  for (const message of fileMime.splitMbox(text)) {
+    try {
+      files.push(...await extractFromMessage(message, ''));
+    } catch (err) {
+      // Most mailbox messages are not reports
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error('Mailbox does not contain any DMARC report attachments');
+  }
+  return files;
+}
+
 /**
  * @typedef {Object} ExtractedFile
  * @property {string} filename - Name of the file
- * @property {string} xml - Raw XML content
+ * @property {string} [xml] - Raw XML content (DMARC reports)
+ * @property {string} [json] - Raw JSON content (TLS-RPT reports)
+ * @property {string} [message] - Raw message text (ARF failure reports)
+ * @property {string} reportType - REPORT_TYPES value: 'dmarc', 'tlsrpt', or 'failure'
  */
 
 /**
  * @typedef {Object} ExtractionResult
- * @property {ExtractedFile[]} files - Array of extracted XML files
- * @property {string} sourceFormat - Original format: 'xml', 'gzip', or 'zip'
- * @property {boolean} isMultiFile - True if ZIP contained multiple reports
+ * @property {ExtractedFile[]} files - Array of extracted report files
+ * @property {string} sourceFormat - Original format: 'xml', 'json', 'message', 'mbox', 'gzip', or 'zip'
+ * @property {boolean} isMultiFile - True if the container held multiple reports
  */
 
 /**
- * Process a DMARC report file and extract XML content
- * Handles XML, GZIP, and ZIP formats. ZIP archives may contain multiple reports.
+ * Process a report file and extract its content
+ * Handles XML, JSON, message, mbox, GZIP, and ZIP formats. ZIP archives, messages, and
+ * mailboxes may contain multiple reports. GZIP content is classified as DMARC XML,
+ * TLS-RPT JSON, or an ARF message after decompression.
  *
  * @param {ArrayBuffer|Uint8Array} fileData - Raw file data
  * @param {string} [fileName=''] - Original filename for metadata
@@ -170,9 +369,9 @@ async function extractXmlFromFile(fileData, fileName = '') {
 
   switch (format) {
     case 'gzip': {
-      const xml = decompressGzip(data);
+      const text = decompressGzip(data);
       return {
-        files: [{ filename: fileName || 'report.xml', xml }],
+        files: [createExtractedFile(fileName, text)],
         sourceFormat: 'gzip',
         isMultiFile: false
       };
@@ -190,12 +389,39 @@ async function extractXmlFromFile(fileData, fileName = '') {
     case 'xml': {
       const xml = new TextDecoder('utf-8').decode(data);
       return {
-        files: [{ filename: fileName || 'report.xml', xml }],
+        files: [{ filename: fileName || 'report.xml', xml, reportType: REPORT_TYPES.DMARC }],
         sourceFormat: 'xml',
         isMultiFile: false
       };
     }
 
+    case 'json': {
+      const json = new TextDecoder('utf-8').decode(data);
+      return {
+        files: [{ filename: fileName || 'report.json', json, reportType: REPORT_TYPES.TLSRPT }],
+        sourceFormat: 'json',
+        isMultiFile: false
+      };
+    }
+
+    case 'message': {
+      const files = await extractFromMessage(fileMime.bytesToBinaryString(data), fileName || 'report.eml');
+      return {
+        files,
+        sourceFormat: 'message',
+        isMultiFile: files.length > 1
+      };
+    }
+
+    case 'mbox': {
+      const files = await extractFromMbox(fileMime.bytesToBinaryString(data));
+      return {
+        files,
+        sourceFormat: 'mbox',
+        isMultiFile: files.length > 1
+      };
+    }
+
     default:
       throw new Error(`Unsupported file format: ${format}`);
   }
@@ -212,7 +438,7 @@ async function extractXmlFromFile(fileData, fileName = '') {
  */
 async function extractXmlFromFileLegacy(fileData, fileName = '') {
   const result = await extractXmlFromFile(fileData, fileName);
-  if (result.files.length === 1) {
+  if (result.files.length === 1 && result.files[0].xml) {
     return result.files[0].xml;
   }
   return result;
@@ -220,5 +446,11 @@ async function extractXmlFromFileLegacy(fileData, fileName = '') {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { detectFormat, extractXmlFromFile, extractXmlFromFileLegacy };
+  module.exports = {
+    detectFormat,
+    detectContentType,
+    extractXmlFromFile,
+    extractXmlFromFileLegacy,
+    REPORT_TYPES
+  };
 }
@@ -0,0 +1,410 @@
+/**
+ * DMARC Report Reader - MIME Parser
+ * Minimal RFC 5322 / RFC 2045 message parsing: headers, multipart bodies,
+ * base64 / quoted-printable transfer encodings, and mbox archives
+ */
+
+// =============================================================================
+// Headers
+// =============================================================================
+
+/**
+ * Split a message or body part into its header block and body
+ * @param {string} text - Raw entity text
+ * @returns {{headerText: string, body: string}} Header block and body
+ */
+function splitMimeEntity(text) {
+  const match = /\r?\n\r?\n/.exec(text);
+  if (!match) {
+    return { headerText: text, body: '' };
+  }
+  return {
+    headerText: text.slice(0, match.index),
+    body: text.slice(match.index + match[0].length)
+  };
+}
+
+/**
+ * Parse a header block into an ordered list of fields
+ * Folded continuation lines are joined to the field they belong to.
+ * @param {string} headerText - Header block
+ * @returns {Array<{name: string, value: string}>} Header fields in order
+ */
+function parseMimeHeaders(headerText) {
+  const headers = [];
+
+  for (const line of headerText.split(/\r?\n/)) {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1].value += ' ' + line.trim();
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    headers.push({
+      name: line.slice(0, colon).trim(),
+      value: line.slice(colon + 1).trim()
+    });
+  }
+
+  return headers;
+}
+
+/**
+ * Get all values of a header field (case-insensitive)
+ * @param {Array<{name: string, value: string}>} headers - Parsed headers
+ * @param {string} name - Field name
+ * @returns {string[]} Values in order
+ */
+function getMimeHeaders(headers, name) {
+  const lower = name.toLowerCase();
+  return headers.filter(h => h.name.toLowerCase() === lower).map(h => h.value);
+}
+
+/**
+ * Get the first value of a header field (case-insensitive)
+ * @param {Array<{name: string, value: string}>} headers - Parsed headers
+ * @param {string} name - Field name
+ * @returns {string|null} Value or null
+ */
+function getMimeHeader(headers, name) {
+  const values = getMimeHeaders(headers, name);
+  return values.length > 0 ? values[0] : null;
+}
+
+/**
+ * Parse a structured header value with parameters
+ * e.g. 'multipart/report; report-type=feedback-report; boundary="abc"'
+ * @param {string} value - Header value
+ * @returns {{value: string, params: Object}} Lowercased main value and parameters
+ */
+function parseMimeHeaderValue(value) {
+  if (!value) return { value: '', params: {} };
+
+  const [main, ...rest] = value.split(';');
+  const params = {};
+  const paramRegex = /([^=\s;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g;
+  let match;
+  const paramText = rest.join(';');
+  while ((match = paramRegex.exec(paramText)) !== null) {
+    let paramValue = match[2].trim();
+    if (paramValue.startsWith('"')) {
+      paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    params[match[1].toLowerCase()] = paramValue;
+  }
+
+  return { value: main.trim().toLowerCase(), params };
+}
+
+/**
+ * Decode RFC 2047 encoded words (e.g. "=?UTF-8?B?...?=") in a header value
+ * @param {string} value - Header value
+ * @returns {string} Decoded value
+ */
+function decodeMimeWords(value) {
+  if (!value || !value.includes('=?')) return value;
+
+  return value
+    // Whitespace between adjacent encoded words is not displayed
+    .replace(/(\?=)\s+(=\?)/g, '$1$2')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (whole, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toLowerCase() === 'b'
+          ? decodeBase64Bytes(text)
+          : decodeQuotedPrintableBytes(text.replace(/_/g, ' '));
+        return decodeMimeBytes(bytes, charset);
+      } catch {
+        return whole;
+      }
+    });
+}
+
+// =============================================================================
+// Transfer Encodings
+// =============================================================================
+
+/**
+ * Read bytes as a binary string, one character per byte
+ * Messages with attachments are parsed this way so that 8bit and binary
+ * bodies keep their bytes; text is decoded per part with its charset.
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Binary string
+ */
+function bytesToBinaryString(bytes) {
+  let text = '';
+  // Chunked so large messages do not exceed the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    text += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return text;
+}
+
+/**
+ * Turn a binary string back into its bytes
+ * @param {string} text - Binary string from bytesToBinaryString
+ * @returns {Uint8Array} Raw bytes
+ */
+function binaryStringToBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) {
+    bytes[i] = text.charCodeAt(i) & 0xff;
+  }
+  return bytes;
+}
+
+/**
+ * Decode base64 text into bytes, ignoring whitespace
+ * @param {string} text - Base64 text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase64Bytes(text) {
+  const binary = atob(text.replace(/[^A-Za-z0-9+/=]/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Decode quoted-printable text into bytes (RFC 2045 Section 6.7)
+ * @param {string} text - Quoted-printable text
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeQuotedPrintableBytes(text) {
+  // Soft line breaks join lines
+  const joined = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < joined.length; i++) {
+    const char = joined[i];
+    if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(joined.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(joined.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(joined.charCodeAt(i) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+}
+
+/**
+ * Decode bytes as text in the given charset, falling back to UTF-8
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @param {string} [charset='utf-8'] - Charset label
+ * @returns {string} Decoded text
+ */
+function decodeMimeBytes(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+// =============================================================================
+// Entities
+// =============================================================================
+
+/**
+ * @typedef {Object} MimeEntity
+ * @property {Array<{name: string, value: string}>} headers - Header fields
+ * @property {string} contentType - Lowercased media type (default text/plain)
+ * @property {Object} params - Content-Type parameters
+ * @property {string} transferEncoding - Lowercased Content-Transfer-Encoding
+ * @property {string} body - Raw (still encoded) body
+ * @property {MimeEntity[]} parts - Child parts for multipart/* entities
+ */
+
+/**
+ * Split a multipart body on its boundary
+ * Preamble and epilogue are discarded.
+ * @param {string} body - Raw multipart body
+ * @param {string} boundary - Boundary parameter
+ * @returns {string[]} Raw body parts
+ */
+function splitMultipartBody(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter)) {
+      if (current !== null) parts.push(current.join('\n'));
+      // Closing delimiter ends the multipart body
+      current = line.startsWith(`${delimiter}--`) ? null : [];
+      if (current === null) break;
+      continue;
+    }
+    if (current !== null) current.push(line);
+  }
+
+  if (current !== null && current.length > 0) parts.push(current.join('\n'));
+  return parts;
+}
+
+/**
+ * Parse a raw MIME entity (a whole message or a body part) recursively
+ * @param {string} text - Raw entity text
+ * @param {number} [depth=0] - Nesting depth (guards against runaway nesting)
+ * @returns {MimeEntity} Parsed entity
+ */
+function parseMimeEntity(text, depth = 0) {
+  const { headerText, body } = splitMimeEntity(text);
+  const headers = parseMimeHeaders(headerText);
+  const contentType = parseMimeHeaderValue(getMimeHeader(headers, 'Content-Type') || 'text/plain');
+  const transferEncoding = (getMimeHeader(headers, 'Content-Transfer-Encoding') || '7bit').toLowerCase();
+
+  const entity = {
+    headers,
+    contentType: contentType.value || 'text/plain',
+    params: contentType.params,
+    transferEncoding,
+    body,
+    parts: []
+  };
+
+  if (entity.contentType.startsWith('multipart/') && contentType.params.boundary && depth < 10) {
+    entity.parts = splitMultipartBody(body, contentType.params.boundary)
+      .map(part => parseMimeEntity(part, depth + 1));
+  }
+
+  return entity;
+}
+
+/**
+ * Get the decoded bytes of an entity body
+ * 7bit, 8bit and binary bodies are returned as read, so the entity must come
+ * from a binary string (bytesToBinaryString) for non-ASCII bytes to survive.
+ * @param {MimeEntity} entity - Parsed entity
+ * @returns {Uint8Array} Decoded body bytes
+ */
+function getMimeEntityBytes(entity) {
+  if (entity.transferEncoding === 'base64') {
+    return decodeBase64Bytes(entity.body);
+  }
+  if (entity.transferEncoding === 'quoted-printable') {
+    return decodeQuotedPrintableBytes(entity.body);
+  }
+  // 7bit / 8bit / binary bodies are kept as read
+  return binaryStringToBytes(entity.body);
+}
+
+/**
+ * Get the decoded text of an entity body
+ * @param {MimeEntity} entity - Parsed entity
+ * @returns {string} Decoded body text
+ */
+function getMimeEntityText(entity) {
+  if (entity.transferEncoding !== 'base64' && entity.transferEncoding !== 'quoted-printable') {
+    return entity.body;
+  }
+  return decodeMimeBytes(getMimeEntityBytes(entity), entity.params.charset);
+}
+
+/**
+ * Get the attachment filename of an entity
+ * Reads Content-Disposition filename (including RFC 2231 filename*),
+ * then falls back to the Content-Type name parameter.
+ * @param {MimeEntity} entity - Parsed entity
+ * @returns {string|null} Filename or null
+ */
+function getMimePartFilename(entity) {
+  const disposition = parseMimeHeaderValue(getMimeHeader(entity.headers, 'Content-Disposition') || '');
+  const extended = disposition.params['filename*'] || entity.params['name*'];
+  if (extended) {
+    // charset'language'percent-encoded-value
+    const match = extended.match(/^([^']*)'[^']*'(.*)$/);
+    try {
+      return decodeURIComponent(match ? match[2] : extended);
+    } catch {
+      return match ? match[2] : extended;
+    }
+  }
+  const name = disposition.params.filename || entity.params.name;
+  return name ? decodeMimeWords(name) : null;
+}
+
+/**
+ * List the leaf (non-multipart) entities of a message in document order
+ * @param {MimeEntity} entity - Root entity
+ * @returns {MimeEntity[]} Leaf entities
+ */
+function getMimeLeafParts(entity) {
+  if (entity.parts.length === 0) return [entity];
+  return entity.parts.flatMap(getMimeLeafParts);
+}
+
+/**
+ * mbox "From " separator: envelope sender, then a date with a time and year
+ * @constant {RegExp}
+ */
+const MBOX_FROM_LINE_PATTERN = /^From \S+ .*\d{1,2}:\d{2}.*\d{4}/;
+
+/**
+ * Split an mbox archive into raw messages
+ * A separator starts the file or follows a blank line, so body lines such as
+ * "From now on" that a writer left unquoted stay in their message.
+ * Handles mboxo/mboxrd ">From " quoting of body lines.
+ * @param {string} text - mbox file contents
+ * @returns {string[]} Raw message texts
+ */
+function splitMbox(text) {
+  const messages = [];
+  let current = null;
+  let previous = '';
+
+  for (const line of text.split(/\r?\n/)) {
+    const isSeparator = previous === '' && MBOX_FROM_LINE_PATTERN.test(line);
+    previous = line;
+    if (isSeparator) {
+      if (current) messages.push(current.join('\n'));
+      current = [];
+      continue;
+    }
+    if (current) current.push(/^>+From /.test(line) ? line.slice(1) : line);
+  }
+
+  if (current) messages.push(current.join('\n'));
+  return messages.filter(message => message.trim() !== '');
+}
+
+/**
+ * Find all entities of a media type, depth-first
+ * @param {MimeEntity} entity - Root entity
+ * @param {string} contentType - Media type (e.g. 'message/feedback-report')
+ * @returns {MimeEntity[]} Matching entities
+ */
+function findMimeParts(entity, contentType) {
+  const matches = [];
+  const stack = [entity];
+  while (stack.length > 0) {
+    const current = stack.shift();
+    if (current.contentType === contentType) matches.push(current);
+    stack.unshift(...current.parts);
+  }
+  return matches;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    splitMimeEntity,
+    parseMimeHeaders,
+    getMimeHeader,
+    getMimeHeaders,
+    parseMimeHeaderValue,
+    decodeMimeWords,
+    decodeBase64Bytes,
+    decodeQuotedPrintableBytes,
+    decodeMimeBytes,
+    bytesToBinaryString,
+    binaryStringToBytes,
+    parseMimeEntity,
+    getMimeEntityBytes,
+    getMimeEntityText,
+    getMimePartFilename,
+    getMimeLeafParts,
+    splitMbox,
+    findMimeParts
+  };
+}
@@ -0,0 +1,251 @@
+/**
+ * DMARC Report Reader - Public Suffix List Engine
+ * Resolves public suffixes and organizational domains (RFC 7489 Section 3.2)
+ * using the bundled Public Suffix List snapshot in lib/public-suffix-list.js
+ */
+
+// Data file is loaded via <script> in the browser, require() under Node.js
+const PSL_DATA = typeof PUBLIC_SUFFIX_LIST !== 'undefined'
+  ? PUBLIC_SUFFIX_LIST
+  : require('../../lib/public-suffix-list.js');
+
+// =============================================================================
+// Rule Types
+// =============================================================================
+
+/**
+ * Public Suffix List sections
+ * @constant {Object}
+ */
+const PSL_SECTIONS = Object.freeze({
+  ICANN: 'icann',
+  PRIVATE: 'private',
+  DEFAULT: 'default'
+});
+
+/**
+ * Public Suffix List rule types
+ * @constant {Object}
+ */
+const PSL_RULE_TYPES = Object.freeze({
+  NORMAL: 'normal',
+  WILDCARD: 'wildcard',
+  EXCEPTION: 'exception',
+  DEFAULT: 'default'
+});
+
+/**
+ * Implicit "*" rule applied when no listed rule matches
+ * @constant {Object}
+ */
+const PSL_DEFAULT_RULE = Object.freeze({
+  text: '*',
+  type: PSL_RULE_TYPES.DEFAULT,
+  section: PSL_SECTIONS.DEFAULT,
+  labels: 1
+});
+
+// =============================================================================
+// Trie Compilation
+// =============================================================================
+
+/** @type {Object|null} Compiled trie, built on first lookup */
+let compiledSuffixTrie = null;
+
+/**
+ * Create an empty trie node
+ * @returns {Object} Node with child map and optional rule
+ */
+function createSuffixNode() {
+  return { children: new Map(), rule: null };
+}
+
+/**
+ * Insert a single rule into the trie, keyed by reversed labels
+ * Exception rules are stored on the node of their full name.
+ * @param {Object} root - Trie root
+ * @param {string} ruleText - Rule as listed (e.g., "*.kawasaki.jp")
+ * @param {string} section - PSL_SECTIONS value
+ */
+function insertSuffixRule(root, ruleText, section) {
+  const exception = ruleText.startsWith('!');
+  const labels = (exception ? ruleText.slice(1) : ruleText).split('.');
+
+  let node = root;
+  for (let i = labels.length - 1; i >= 0; i--) {
+    const label = labels[i];
+    if (!node.children.has(label)) {
+      node.children.set(label, createSuffixNode());
+    }
+    node = node.children.get(label);
+  }
+
+  let type = PSL_RULE_TYPES.NORMAL;
+  if (exception) type = PSL_RULE_TYPES.EXCEPTION;
+  else if (labels[0] === '*') type = PSL_RULE_TYPES.WILDCARD;
+
+  node.rule = { text: ruleText, type, section, labels: labels.length };
+}
+
+/**
+ * Compile rule lists into a lookup trie
+ * @param {Object} data - List data with icann and private rule arrays
+ * @returns {Object} Trie root
+ */
+function compileSuffixTrie(data) {
+  const root = createSuffixNode();
+  for (const rule of data.icann || []) insertSuffixRule(root, rule, PSL_SECTIONS.ICANN);
+  for (const rule of data.private || []) insertSuffixRule(root, rule, PSL_SECTIONS.PRIVATE);
+  return root;
+}
+
+/**
+ * Get the compiled trie for the bundled list, compiling it on first use
+ * @returns {Object} Trie root
+ */
+function getSuffixTrie() {
+  if (!compiledSuffixTrie) {
+    compiledSuffixTrie = compileSuffixTrie(PSL_DATA);
+  }
+  return compiledSuffixTrie;
+}
+
+// =============================================================================
+// Lookup
+// =============================================================================
+
+/**
+ * Normalize a domain for lookup: lowercase, no trailing dot, ASCII labels
+ * @param {string} domain - Domain name
+ * @returns {string|null} Normalized domain, or null if unusable
+ */
+function normalizeSuffixDomain(domain) {
+  if (!domain || typeof domain !== 'string') return null;
+
+  let name = domain.trim().toLowerCase().replace(/\.$/, '');
+  if (!name || name.startsWith('.') || name.includes('..')) return null;
+
+  // Internationalized names are matched in punycode form, like the list data
+  if (/[^\x00-\x7f]/.test(name)) {
+    try {
+      name = new URL(`http://${name}`).hostname;
+    } catch {
+      return null;
+    }
+  }
+
+  return name;
+}
+
+/**
+ * Find the prevailing rule for a list of labels (PSL algorithm)
+ * Exception rules win; otherwise the rule with the most labels wins.
+ * @param {Object} root - Trie root
+ * @param {string[]} labels - Domain labels, left to right
+ * @param {boolean} includePrivate - Whether PRIVATE section rules apply
+ * @returns {Object} Matching rule (PSL_DEFAULT_RULE when nothing matches)
+ */
+function findPrevailingRule(root, labels, includePrivate) {
+  let best = null;
+  let exception = null;
+
+  // Depth-first walk over exact and wildcard branches
+  const stack = [{ node: root, depth: 0 }];
+  while (stack.length > 0) {
+    const { node, depth } = stack.pop();
+    if (depth >= labels.length) continue;
+
+    const label = labels[labels.length - 1 - depth];
+    for (const key of [label, '*']) {
+      const child = node.children.get(key);
+      if (!child) continue;
+
+      const rule = child.rule;
+      if (rule && (includePrivate || rule.section !== PSL_SECTIONS.PRIVATE)) {
+        if (rule.type === PSL_RULE_TYPES.EXCEPTION) {
+          exception = rule;
+        } else if (!best || rule.labels > best.labels) {
+          best = rule;
+        }
+      }
+      stack.push({ node: child, depth: depth + 1 });
+    }
+  }
+
+  return exception || best || PSL_DEFAULT_RULE;
+}
+
+/**
+ * Look up the public suffix and organizational domain for a domain
+ * @param {string} domain - Domain name (e.g., mail.example.co.uk)
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.includePrivate - Apply PRIVATE section rules (default true)
+ * @returns {Object|null} { domain, publicSuffix, organizationalDomain, rule, ruleType, section }
+ */
+function lookupPublicSuffix(domain, options = {}) {
+  const name = normalizeSuffixDomain(domain);
+  if (!name) return null;
+
+  const includePrivate = options.includePrivate !== false;
+  const labels = name.split('.');
+  const rule = findPrevailingRule(getSuffixTrie(), labels, includePrivate);
+
+  // Exception rules make their own parent the public suffix
+  const suffixLabels = rule.type === PSL_RULE_TYPES.EXCEPTION
+    ? rule.labels - 1
+    : Math.min(rule.labels, labels.length);
+
+  const publicSuffix = labels.slice(-suffixLabels).join('.');
+
+  // A domain that is itself a public suffix is its own organizational domain
+  const organizationalDomain = labels.length > suffixLabels
+    ? labels.slice(-(suffixLabels + 1)).join('.')
+    : name;
+
+  return {
+    domain: name,
+    publicSuffix,
+    organizationalDomain,
+    isPublicSuffix: labels.length <= suffixLabels,
+    rule: rule.text,
+    ruleType: rule.type,
+    section: rule.section
+  };
+}
+
+/**
+ * Get version information for the bundled list
+ * @returns {Object} { version, icannRules, privateRules }
+ */
+function getPublicSuffixListInfo() {
+  return {
+    version: PSL_DATA.version,
+    icannRules: PSL_DATA.icann.length,
+    privateRules: PSL_DATA.private.length
+  };
+}
+
+/**
+ * Format a lookup result's matched rule for display
+ * @param {Object} match - Result from lookupPublicSuffix
+ * @returns {string} e.g. "*.kawasaki.jp (ICANN)"
+ */
+function formatSuffixRule(match) {
+  if (!match) return '-';
+  if (match.ruleType === PSL_RULE_TYPES.DEFAULT) return '* (default rule)';
+  const section = match.section === PSL_SECTIONS.PRIVATE ? 'private' : 'ICANN';
+  return `${match.rule} (${section})`;
+}
+
+// Export for use in other modules (if in Node.js)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    lookupPublicSuffix,
+    compileSuffixTrie,
+    getPublicSuffixListInfo,
+    formatSuffixRule,
+    normalizeSuffixDomain,
+    PSL_SECTIONS,
+    PSL_RULE_TYPES
+  };
+}
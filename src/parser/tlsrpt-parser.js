@@ -0,0 +1,408 @@
+/**
+ * DMARC Report Reader - TLS-RPT Parser
+ * Parses SMTP TLS Reporting (RFC 8460) JSON reports into structured data
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * Policy types defined by RFC 8460 Section 4.4
+ * @constant {Object}
+ */
+const TLSRPT_POLICY_TYPES = Object.freeze({
+  STS: 'sts',
+  TLSA: 'tlsa',
+  NO_POLICY: 'no-policy-found'
+});
+
+/**
+ * Result types defined by RFC 8460 Section 4.3, with display information
+ * Category groups them as the RFC does: negotiation, DANE, or MTA-STS failures.
+ * @constant {Object}
+ */
+const TLSRPT_RESULT_TYPES = Object.freeze({
+  'starttls-not-supported': {
+    label: 'STARTTLS Not Supported',
+    category: 'negotiation',
+    description: 'The receiving MX did not offer STARTTLS.'
+  },
+  'certificate-host-mismatch': {
+    label: 'Certificate Host Mismatch',
+    category: 'negotiation',
+    description: 'The certificate presented did not match the MX hostname.'
+  },
+  'certificate-expired': {
+    label: 'Certificate Expired',
+    category: 'negotiation',
+    description: 'The certificate presented by the MX had expired.'
+  },
+  'certificate-not-trusted': {
+    label: 'Certificate Not Trusted',
+    category: 'negotiation',
+    description: 'The certificate chain did not lead to a trusted root.'
+  },
+  'validation-failure': {
+    label: 'Validation Failure',
+    category: 'negotiation',
+    description: 'General TLS validation failure not covered by another result type.'
+  },
+  'tlsa-invalid': {
+    label: 'TLSA Record Invalid',
+    category: 'dane',
+    description: 'The TLSA record could not be used to validate the certificate.'
+  },
+  'dnssec-invalid': {
+    label: 'DNSSEC Invalid',
+    category: 'dane',
+    description: 'DNSSEC validation of the TLSA record failed.'
+  },
+  'dane-required': {
+    label: 'DANE Required',
+    category: 'dane',
+    description: 'The sender requires DANE but no usable TLSA records were found.'
+  },
+  'sts-policy-fetch-error': {
+    label: 'MTA-STS Policy Fetch Error',
+    category: 'sts',
+    description: 'The MTA-STS policy could not be fetched over HTTPS.'
+  },
+  'sts-policy-invalid': {
+    label: 'MTA-STS Policy Invalid',
+    category: 'sts',
+    description: 'The MTA-STS policy was fetched but could not be parsed.'
+  },
+  'sts-webpki-invalid': {
+    label: 'MTA-STS WebPKI Invalid',
+    category: 'sts',
+    description: 'The HTTPS certificate for the MTA-STS policy host failed validation.'
+  }
+});
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Read a numeric field, treating missing or malformed values as 0
+ * @param {*} value - Raw value
+ * @returns {number} Non-negative integer
+ */
+function toSessionCount(value) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+/**
+ * Normalize a field that may be a string or an array of strings
+ * RFC 8460 shows mx-host as a string; several reporters send an array.
+ * @param {*} value - Raw value
+ * @returns {string[]} Array of non-empty strings
+ */
+function toTlsRptList(value) {
+  if (Array.isArray(value)) {
+    return value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+  }
+  if (typeof value === 'string' && value.trim()) {
+    return [value.trim()];
+  }
+  return [];
+}
+
+/**
+ * Parse an RFC 3339 date-time into a Date
+ * @param {string} value - Date-time string
+ * @returns {Date|null} Date or null if missing/invalid
+ */
+function parseTlsRptDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Extract the MTA-STS mode from a policy-string
+ * @param {string[]} policyString - Policy lines (e.g. ["version: STSv1", "mode: enforce"])
+ * @returns {string|null} 'enforce', 'testing', 'none', or null
+ */
+function getTlsRptStsMode(policyString) {
+  for (const line of policyString) {
+    const match = line.match(/^\s*mode\s*:\s*(\S+)/i);
+    if (match) return match[1].toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Get display information for a result type
+ * @param {string} resultType - RFC 8460 result type
+ * @returns {Object} { label, category, description }
+ */
+function getTlsRptResultInfo(resultType) {
+  return TLSRPT_RESULT_TYPES[resultType] || {
+    label: resultType || 'Unknown',
+    category: 'other',
+    description: 'Result type not defined in RFC 8460.'
+  };
+}
+
+// =============================================================================
+// Parsing
+// =============================================================================
+
+/**
+ * Parse one failure-details entry
+ * @param {Object} detail - Raw failure-details object
+ * @returns {Object} Parsed failure detail
+ */
+function parseTlsRptFailure(detail) {
+  const resultType = detail['result-type'] || null;
+
+  return {
+    resultType,
+    category: getTlsRptResultInfo(resultType).category,
+    sendingMtaIp: detail['sending-mta-ip'] || null,
+    receivingMxHostname: detail['receiving-mx-hostname'] || null,
+    receivingMxHelo: detail['receiving-mx-helo'] || null,
+    receivingIp: detail['receiving-ip'] || null,
+    failedSessions: toSessionCount(detail['failed-session-count']),
+    additionalInformation: detail['additional-information'] || null,
+    failureReasonCode: detail['failure-reason-code'] || null
+  };
+}
+
+/**
+ * Parse one entry of the policies array
+ * @param {Object} entry - Raw policies[] object
+ * @returns {Object} Parsed policy with session counts and failures
+ */
+function parseTlsRptPolicy(entry) {
+  const policy = entry.policy || {};
+  const summary = entry.summary || {};
+  const policyString = toTlsRptList(policy['policy-string']);
+  const policyType = (policy['policy-type'] || '').toLowerCase() || null;
+
+  const successfulSessions = toSessionCount(summary['total-successful-session-count']);
+  const failedSessions = toSessionCount(summary['total-failure-session-count']);
+  const totalSessions = successfulSessions + failedSessions;
+
+  return {
+    policyType,
+    policyDomain: policy['policy-domain'] || null,
+    policyString,
+    stsMode: policyType === TLSRPT_POLICY_TYPES.STS ? getTlsRptStsMode(policyString) : null,
+    mxHosts: toTlsRptList(policy['mx-host']),
+    successfulSessions,
+    failedSessions,
+    totalSessions,
+    failureRate: totalSessions > 0 ? (failedSessions / totalSessions * 100) : 0,
+    failureDetails: Array.isArray(entry['failure-details'])
+      ? entry['failure-details'].map(parseTlsRptFailure)
+      : []
+  };
+}
+
+/**
+ * Check whether parsed JSON looks like a TLS-RPT report
+ * @param {*} data - Parsed JSON value
+ * @returns {boolean} True if it has the RFC 8460 top-level shape
+ */
+function isTlsRptReport(data) {
+  return !!data && typeof data === 'object' && !Array.isArray(data) &&
+    Array.isArray(data.policies) &&
+    ('organization-name' in data || 'report-id' in data || 'date-range' in data);
+}
+
+/**
+ * Parse an SMTP TLS Reporting (RFC 8460) JSON report
+ * @param {string|Object} json - Raw JSON string or already-parsed object
+ * @returns {Object} Parsed TLS-RPT report
+ */
+function parseTlsRptReport(json) {
+  let data = json;
+  if (typeof json === 'string') {
+    try {
+      data = JSON.parse(json.replace(/^\uFEFF/, ''));
+    } catch (err) {
+      throw new Error(`JSON parsing failed: ${err.message}`);
+    }
+  }
+
+  if (!isTlsRptReport(data)) {
+    throw new Error('Invalid TLS-RPT report: missing policies array');
+  }
+
+  const dateRange = data['date-range'] || {};
+  const policies = data.policies.map(parseTlsRptPolicy);
+
+  let totalSuccessful = 0;
+  let totalFailed = 0;
+  const policyTypeCounts = {};
+
+  for (const policy of policies) {
+    totalSuccessful += policy.successfulSessions;
+    totalFailed += policy.failedSessions;
+    const type = policy.policyType || 'unknown';
+    policyTypeCounts[type] = (policyTypeCounts[type] || 0) + 1;
+  }
+
+  const totalSessions = totalSuccessful + totalFailed;
+
+  return {
+    reportType: 'tlsrpt',
+    metadata: {
+      orgName: data['organization-name'] || null,
+      contactInfo: data['contact-info'] || null,
+      reportId: data['report-id'] || null,
+      dateRange: {
+        begin: parseTlsRptDate(dateRange['start-datetime']),
+        end: parseTlsRptDate(dateRange['end-datetime'])
+      }
+    },
+    policies,
+    summary: {
+      totalSessions,
+      totalSuccessful,
+      totalFailed,
+      successRate: totalSessions > 0 ? (totalSuccessful / totalSessions * 100) : 0,
+      policyTypeCounts
+    }
+  };
+}
+
+// =============================================================================
+// Analysis
+// =============================================================================
+
+/**
+ * Summarize policies by type (STS / TLSA / no-policy-found)
+ * @param {Object} report - Parsed TLS-RPT report
+ * @returns {Array} [{ policyType, policyCount, domains, successfulSessions, failedSessions, failureRate }]
+ */
+function summarizeTlsRptPolicies(report) {
+  const byType = new Map();
+
+  for (const policy of report.policies) {
+    const type = policy.policyType || 'unknown';
+    if (!byType.has(type)) {
+      byType.set(type, {
+        policyType: type,
+        policyCount: 0,
+        domains: new Set(),
+        successfulSessions: 0,
+        failedSessions: 0
+      });
+    }
+    const entry = byType.get(type);
+    entry.policyCount++;
+    if (policy.policyDomain) entry.domains.add(policy.policyDomain);
+    entry.successfulSessions += policy.successfulSessions;
+    entry.failedSessions += policy.failedSessions;
+  }
+
+  return Array.from(byType.values()).map(entry => {
+    const total = entry.successfulSessions + entry.failedSessions;
+    return {
+      ...entry,
+      domains: Array.from(entry.domains).sort(),
+      failureRate: total > 0 ? (entry.failedSessions / total * 100) : 0
+    };
+  });
+}
+
+/**
+ * Group failure details across all policies by result type
+ * Sorted by failed session count (highest first)
+ * @param {Object} report - Parsed TLS-RPT report
+ * @returns {Array} [{ resultType, label, category, description, failedSessions, mxHosts, details }]
+ */
+function groupTlsRptFailures(report) {
+  const groups = new Map();
+
+  for (const policy of report.policies) {
+    for (const detail of policy.failureDetails) {
+      const key = detail.resultType || 'unknown';
+      if (!groups.has(key)) {
+        const info = getTlsRptResultInfo(detail.resultType);
+        groups.set(key, {
+          resultType: key,
+          label: info.label,
+          category: info.category,
+          description: info.description,
+          failedSessions: 0,
+          mxHosts: new Set(),
+          details: []
+        });
+      }
+      const group = groups.get(key);
+      group.failedSessions += detail.failedSessions;
+      if (detail.receivingMxHostname) group.mxHosts.add(detail.receivingMxHostname);
+      group.details.push({ ...detail, policyDomain: policy.policyDomain, policyType: policy.policyType });
+    }
+  }
+
+  return Array.from(groups.values())
+    .map(group => ({
+      ...group,
+      mxHosts: Array.from(group.mxHosts).sort(),
+      details: group.details.sort((a, b) => b.failedSessions - a.failedSessions)
+    }))
+    .sort((a, b) => b.failedSessions - a.failedSessions);
+}
+
+/**
+ * Break failures down by receiving MX host
+ * Failure details without a receiving-mx-hostname fall under the policy's mx-host
+ * pattern(s), or "(unknown)" when none is published.
+ * @param {Object} report - Parsed TLS-RPT report
+ * @returns {Array} [{ mxHost, failedSessions, resultTypes, receivingIps, policyDomains }]
+ */
+function getTlsRptMxBreakdown(report) {
+  const hosts = new Map();
+
+  for (const policy of report.policies) {
+    for (const detail of policy.failureDetails) {
+      const mxHost = detail.receivingMxHostname ||
+        (policy.mxHosts.length > 0 ? policy.mxHosts.join(', ') : '(unknown)');
+
+      if (!hosts.has(mxHost)) {
+        hosts.set(mxHost, {
+          mxHost,
+          failedSessions: 0,
+          resultTypes: {},
+          receivingIps: new Set(),
+          policyDomains: new Set()
+        });
+      }
+      const entry = hosts.get(mxHost);
+      const type = detail.resultType || 'unknown';
+      entry.failedSessions += detail.failedSessions;
+      entry.resultTypes[type] = (entry.resultTypes[type] || 0) + detail.failedSessions;
+      if (detail.receivingIp) entry.receivingIps.add(detail.receivingIp);
+      if (policy.policyDomain) entry.policyDomains.add(policy.policyDomain);
+    }
+  }
+
+  return Array.from(hosts.values())
+    .map(entry => ({
+      ...entry,
+      receivingIps: Array.from(entry.receivingIps).sort(),
+      policyDomains: Array.from(entry.policyDomains).sort()
+    }))
+    .sort((a, b) => b.failedSessions - a.failedSessions);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    parseTlsRptReport,
+    isTlsRptReport,
+    summarizeTlsRptPolicies,
+    groupTlsRptFailures,
+    getTlsRptMxBreakdown,
+    getTlsRptResultInfo,
+    TLSRPT_POLICY_TYPES,
+    TLSRPT_RESULT_TYPES
+  };
+}
@@ -73,6 +73,9 @@ function isValidFile(file) {
   const name = file.name.toLowerCase();
   return name.endsWith('.xml') ||
          name.endsWith('.xml.gz') ||
+         name.endsWith('.json') ||
+         name.endsWith('.eml') ||
+         name.endsWith('.mbox') ||
          name.endsWith('.gz') ||
          name.endsWith('.zip');
 }
@@ -83,7 +86,7 @@ function isValidFile(file) {
  */
 async function handleFile(file) {
   if (!isValidFile(file)) {
-    showStatus('Invalid file type. Use .xml, .xml.gz, or .zip', 'error');
+    showStatus('Invalid file type. Use .xml, .xml.gz, .json, .json.gz, .eml, .mbox, or .zip', 'error');
     return;
   }
 
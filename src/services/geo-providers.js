@@ -0,0 +1,587 @@
+/**
+ * DMARC Report Reader - Geolocation Providers
+ * Registry of IP lookup backends with per-provider field mapping, batching,
+ * token-bucket rate limiting, and retry policy
+ *
+ * Every provider resolves a batch of IPs to the shared geo object shape:
+ * { ip, country, countryCode, flag, city, isp, org, asn, hostname }
+ */
+
+// Offline datasets and error types are loaded via <script> in the browser, require() under Node.js
+const geoIntel = typeof getActiveIpDataset === 'function'
+  ? { getActiveIpDataset }
+  : require('./ip-intel.js');
+const geoErrors = typeof createError === 'function'
+  ? { createError, ErrorCodes }
+  : require('../lib/errors.js');
+
+// =============================================================================
+// Geo Object Shape
+// =============================================================================
+
+/**
+ * Country code to flag emoji mapping
+ * @param {string} countryCode - Two-letter country code
+ * @returns {string} Flag emoji
+ */
+function countryCodeToFlag(countryCode) {
+  if (!countryCode || countryCode.length !== 2) return '';
+  const codePoints = countryCode
+    .toUpperCase()
+    .split('')
+    .map(char => 0x1f1e6 + char.charCodeAt(0) - 65);
+  return String.fromCodePoint(...codePoints);
+}
+
+/**
+ * Get the English country name for a country code
+ * @param {string} countryCode - Two-letter country code
+ * @returns {string|null} Country name or null
+ */
+function countryCodeToName(countryCode) {
+  if (!countryCode || typeof Intl === 'undefined' || !Intl.DisplayNames) return null;
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'region' }).of(countryCode) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a dot-separated path from an object
+ * @param {Object} obj - Source object
+ * @param {string} path - Path, e.g. "asn.name"
+ * @returns {*} Value or undefined
+ */
+function getFieldPath(obj, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Map a provider response record to the geo object shape
+ * Each field map entry is a dot path into the record or a function of it.
+ * A missing country name is derived from the country code.
+ * @param {string} ip - Requested IP address
+ * @param {Object} raw - Provider record
+ * @param {Object} fieldMap - Geo field -> path or function
+ * @returns {Object} Geolocation data
+ */
+function mapGeoFields(ip, raw, fieldMap) {
+  const value = (field) => {
+    const mapping = fieldMap[field];
+    if (!mapping) return null;
+    const result = typeof mapping === 'function' ? mapping(raw) : getFieldPath(raw, mapping);
+    return result === undefined || result === '' ? null : result;
+  };
+
+  const countryCode = value('countryCode');
+  const asn = value('asn');
+  return {
+    ip,
+    country: value('country') || countryCodeToName(countryCode),
+    countryCode,
+    flag: countryCodeToFlag(countryCode),
+    city: value('city'),
+    isp: value('isp'),
+    org: value('org'),
+    asn: asn === null ? null : String(asn),
+    hostname: value('hostname')
+  };
+}
+
+/**
+ * Convert an offline dataset match to the geo object shape
+ * Reverse DNS needs the network, so hostname is null.
+ * @param {string} ip - IP address
+ * @param {{entry: Object, network: string}|null} match - Dataset match
+ * @returns {Object} Geolocation data ({error: true, ip} when not found)
+ */
+function offlineMatchToGeo(ip, match) {
+  if (!match) {
+    return { error: true, ip };
+  }
+
+  const { entry } = match;
+  const asn = entry.asn
+    ? `AS${entry.asn}${entry.asOrg ? ` ${entry.asOrg}` : ''}`
+    : null;
+
+  return {
+    ip,
+    country: entry.countryName || countryCodeToName(entry.countryCode),
+    countryCode: entry.countryCode,
+    flag: countryCodeToFlag(entry.countryCode),
+    city: entry.city,
+    isp: entry.asOrg,
+    org: entry.asOrg,
+    asn,
+    hostname: null
+  };
+}
+
+/**
+ * Strip a leading "AS123 " from an ipinfo-style org string
+ * @param {string} org - e.g. "AS15169 Google LLC"
+ * @returns {string|null} Organization name
+ */
+function stripAsnPrefix(org) {
+  return org ? org.replace(/^AS\d+\s+/i, '') || null : null;
+}
+
+// =============================================================================
+// Provider Registry
+// =============================================================================
+
+/**
+ * Default field map for self-hosted endpoints (geo field -> dot path)
+ * @constant {Object}
+ */
+const SELF_HOSTED_DEFAULT_FIELDS = Object.freeze({
+  country: 'country',
+  countryCode: 'countryCode',
+  city: 'city',
+  isp: 'isp',
+  org: 'org',
+  asn: 'asn',
+  hostname: 'hostname'
+});
+
+/**
+ * Lookup providers, keyed by id
+ *
+ * Network providers define:
+ * - defaults: batchSize, requestsPerMinute (token bucket refill and burst),
+ *   maxAttempts and baseDelayMs (exponential backoff retry policy)
+ * - maxBatchSize(options): largest batch the current options allow
+ * - origins(options): host permissions the provider needs
+ * - buildRequest(ips, options): { url, init } for fetch
+ * - parseResponse(body, ips): provider records aligned with ips (null = not found)
+ * - fieldMap(options): geo field -> dot path or function
+ *
+ * Local providers define resolve(ips) returning geo objects (null = not found).
+ * @constant {Object}
+ */
+const GEO_PROVIDERS = Object.freeze({
+  'ip-api': {
+    id: 'ip-api',
+    name: 'ip-api.com',
+    description: 'Free geolocation and reverse DNS over HTTPS. Sends source IPs to ip-api.com.',
+    network: true,
+    cacheable: true,
+    settingsFields: [],
+    defaults: { batchSize: 100, requestsPerMinute: 15, maxAttempts: 3, baseDelayMs: 1500 },
+    maxBatchSize: (options) => options.batchSize,
+    origins: () => ['https://ip-api.com/*'],
+    buildRequest: (ips) => ({
+      url: 'https://ip-api.com/batch?fields=status,query,country,countryCode,city,isp,org,as,reverse',
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(ips)
+      }
+    }),
+    parseResponse: (body, ips) => ips.map((ip, i) => {
+      const item = Array.isArray(body) ? body[i] : null;
+      return item && item.status !== 'fail' ? item : null;
+    }),
+    fieldMap: () => ({
+      country: 'country',
+      countryCode: 'countryCode',
+      city: 'city',
+      isp: 'isp',
+      org: 'org',
+      asn: 'as',
+      hostname: 'reverse'
+    })
+  },
+
+  ipinfo: {
+    id: 'ipinfo',
+    name: 'ipinfo-style JSON API',
+    description: 'ipinfo.io or a compatible API. Batches require an access token.',
+    network: true,
+    cacheable: true,
+    settingsFields: [
+      { key: 'baseUrl', label: 'API base URL', type: 'url', placeholder: 'https://ipinfo.io' },
+      { key: 'accessToken', label: 'Access token', type: 'password', placeholder: 'Optional for single lookups' }
+    ],
+    defaults: { baseUrl: 'https://ipinfo.io', accessToken: '', batchSize: 100, requestsPerMinute: 60, maxAttempts: 3, baseDelayMs: 1000 },
+    maxBatchSize: (options) => (options.accessToken ? options.batchSize : 1),
+    origins: (options) => [`${new URL(options.baseUrl).origin}/*`],
+    buildRequest: (ips, options) => {
+      const base = options.baseUrl.replace(/\/+$/, '');
+      // Sent as a header so the token stays out of URLs, logs and caches
+      const auth = options.accessToken ? { Authorization: `Bearer ${options.accessToken}` } : {};
+      if (ips.length === 1) {
+        return { url: `${base}/${encodeURIComponent(ips[0])}/json`, init: { headers: auth } };
+      }
+      return {
+        url: `${base}/batch`,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...auth },
+          body: JSON.stringify(ips)
+        }
+      };
+    },
+    parseResponse: (body, ips) => {
+      const items = ips.length === 1 ? [body] : ips.map(ip => body?.[ip]);
+      return items.map(item => (item && typeof item === 'object' && !item.bogon && !item.error ? item : null));
+    },
+    fieldMap: () => ({
+      // Classic responses carry "org": "AS15169 Google LLC"; lite responses split asn/as_name
+      country: (r) => (r.country_code ? r.country : null),
+      countryCode: (r) => r.country_code || (typeof r.country === 'string' && r.country.length === 2 ? r.country : null),
+      city: 'city',
+      isp: (r) => stripAsnPrefix(r.org) || r.as_name,
+      org: (r) => stripAsnPrefix(r.org) || r.as_name,
+      asn: (r) => r.org || (r.asn ? `${r.asn}${r.as_name ? ` ${r.as_name}` : ''}` : null),
+      hostname: 'hostname'
+    })
+  },
+
+  'self-hosted': {
+    id: 'self-hosted',
+    name: 'Self-hosted endpoint',
+    description: 'Your own HTTP lookup service. Responses are mapped with the field map below.',
+    network: true,
+    cacheable: true,
+    settingsFields: [
+      { key: 'url', label: 'Lookup URL ({ip} is replaced)', type: 'url', placeholder: 'https://geo.example.com/lookup/{ip}' },
+      { key: 'batchUrl', label: 'Batch URL (POST JSON array, optional)', type: 'url', placeholder: 'https://geo.example.com/batch' },
+      { key: 'fieldMap', label: 'Field map (JSON: geo field -> response path)', type: 'json', placeholder: JSON.stringify(SELF_HOSTED_DEFAULT_FIELDS) }
+    ],
+    defaults: { url: '', batchUrl: '', fieldMap: '', batchSize: 50, requestsPerMinute: 60, maxAttempts: 3, baseDelayMs: 1000 },
+    maxBatchSize: (options) => (options.batchUrl ? options.batchSize : 1),
+    origins: (options) => [options.url, options.batchUrl]
+      .filter(Boolean)
+      .map(url => `${new URL(url.replace('{ip}', '0')).origin}/*`),
+    buildRequest: (ips, options) => {
+      if (ips.length === 1) {
+        return { url: options.url.replace('{ip}', encodeURIComponent(ips[0])), init: {} };
+      }
+      return {
+        url: options.batchUrl,
+        init: {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(ips)
+        }
+      };
+    },
+    parseResponse: (body, ips) => {
+      let items;
+      if (ips.length === 1) items = [body];
+      else if (Array.isArray(body)) items = body;
+      else items = ips.map(ip => body?.[ip]);
+      return ips.map((ip, i) => {
+        const item = items[i];
+        return item && typeof item === 'object' && !item.error && item.status !== 'fail' ? item : null;
+      });
+    },
+    fieldMap: (options) => ({
+      ...SELF_HOSTED_DEFAULT_FIELDS,
+      ...(options.fieldMap ? JSON.parse(options.fieldMap) : {})
+    })
+  },
+
+  offline: {
+    id: 'offline',
+    name: 'Offline dataset',
+    description: 'The dataset imported below. No IP leaves the browser; hostnames are not available.',
+    network: false,
+    // Local lookups are cheap, and caching would outlive a dataset change
+    cacheable: false,
+    settingsFields: [],
+    defaults: { batchSize: 1000 },
+    maxBatchSize: (options) => options.batchSize,
+    origins: () => [],
+    resolve: async (ips) => {
+      const dataset = await geoIntel.getActiveIpDataset();
+      if (!dataset) {
+        throw geoErrors.createError(geoErrors.ErrorCodes.IP_LOOKUP_FAILED, 'No offline IP dataset imported', { provider: 'offline' });
+      }
+      return ips.map(ip => {
+        const match = dataset.lookup(ip);
+        return match ? offlineMatchToGeo(ip, match) : null;
+      });
+    }
+  }
+});
+
+/**
+ * Provider order used until the user changes it
+ * @constant {Array<{id: string, enabled: boolean}>}
+ */
+const DEFAULT_GEO_PROVIDER_CHAIN = Object.freeze([
+  Object.freeze({ id: 'ip-api', enabled: true }),
+  Object.freeze({ id: 'offline', enabled: false }),
+  Object.freeze({ id: 'ipinfo', enabled: false }),
+  Object.freeze({ id: 'self-hosted', enabled: false })
+]);
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Fill in a stored provider configuration
+ * Unknown providers are dropped and missing ones appended (disabled), so
+ * the chain always lists every registered provider exactly once.
+ * @param {Object} [stored] - Stored settings { chain, options }
+ * @returns {{chain: Array<{id: string, enabled: boolean}>, options: Object}} Complete settings
+ */
+function normalizeGeoProviderSettings(stored) {
+  const chain = [];
+  const seen = new Set();
+
+  for (const item of (Array.isArray(stored?.chain) ? stored.chain : DEFAULT_GEO_PROVIDER_CHAIN)) {
+    if (!GEO_PROVIDERS[item?.id] || seen.has(item.id)) continue;
+    seen.add(item.id);
+    chain.push({ id: item.id, enabled: item.enabled === true });
+  }
+  for (const id of Object.keys(GEO_PROVIDERS)) {
+    if (!seen.has(id)) chain.push({ id, enabled: false });
+  }
+
+  const options = {};
+  for (const id of Object.keys(GEO_PROVIDERS)) {
+    options[id] = { ...(stored?.options?.[id] || {}) };
+  }
+
+  return { chain, options };
+}
+
+/**
+ * Get a provider's effective options (defaults overlaid with user options)
+ * @param {Object} provider - Provider from GEO_PROVIDERS
+ * @param {Object} settings - Normalized settings
+ * @returns {Object} Options
+ */
+function getGeoProviderOptions(provider, settings) {
+  const options = { ...provider.defaults };
+  for (const [key, value] of Object.entries(settings.options[provider.id] || {})) {
+    if (value !== undefined && value !== null && value !== '') options[key] = value;
+  }
+  return options;
+}
+
+/**
+ * Check a provider's options, returning problems that prevent it from running
+ * @param {string} id - Provider id
+ * @param {Object} options - Effective options
+ * @returns {string[]} Problems (empty when usable)
+ */
+function validateGeoProviderOptions(id, options) {
+  const problems = [];
+  const isHttpUrl = (value) => {
+    try {
+      return ['http:', 'https:'].includes(new URL(value.replace('{ip}', '0')).protocol);
+    } catch {
+      return false;
+    }
+  };
+
+  if (id === 'ipinfo' && !isHttpUrl(options.baseUrl)) {
+    problems.push('API base URL must be an http(s) URL');
+  }
+  if (id === 'self-hosted') {
+    if (!options.url || !isHttpUrl(options.url) || !options.url.includes('{ip}')) {
+      problems.push('Lookup URL must be an http(s) URL containing {ip}');
+    }
+    if (options.batchUrl && !isHttpUrl(options.batchUrl)) {
+      problems.push('Batch URL must be an http(s) URL');
+    }
+    if (options.fieldMap) {
+      try {
+        const map = JSON.parse(options.fieldMap);
+        if (!map || typeof map !== 'object' || Array.isArray(map)) throw new Error();
+      } catch {
+        problems.push('Field map must be a JSON object');
+      }
+    }
+  }
+  for (const key of ['batchSize', 'requestsPerMinute']) {
+    if (options[key] !== undefined && !(Number(options[key]) >= 1)) {
+      problems.push(`${key} must be at least 1`);
+    }
+  }
+
+  return problems;
+}
+
+// =============================================================================
+// Rate Limiting and Retry
+// =============================================================================
+
+/**
+ * Create a token bucket rate limiter
+ * Holds up to `capacity` tokens and refills `refillPerMinute` tokens per
+ * minute; each request takes one token.
+ * @param {{capacity: number, refillPerMinute: number}} limits - Bucket limits
+ * @param {{now?: Function, sleep?: Function}} [clock] - Time source (injectable for tests)
+ * @returns {{tryTake: Function, take: Function, drain: Function, msUntilToken: Function}} Bucket
+ */
+function createTokenBucket({ capacity, refillPerMinute }, clock = {}) {
+  const now = clock.now || (() => Date.now());
+  const sleep = clock.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  let tokens = capacity;
+  let last = now();
+
+  const refill = () => {
+    const current = now();
+    tokens = Math.min(capacity, tokens + ((current - last) * refillPerMinute) / 60000);
+    last = current;
+  };
+
+  return {
+    tryTake() {
+      refill();
+      if (tokens < 1) return false;
+      tokens -= 1;
+      return true;
+    },
+    msUntilToken() {
+      refill();
+      return tokens >= 1 ? 0 : Math.ceil(((1 - tokens) * 60000) / refillPerMinute);
+    },
+    async take() {
+      while (!this.tryTake()) {
+        await sleep(this.msUntilToken());
+      }
+    },
+    // Server said slow down: spend everything so the next request waits a refill
+    drain() {
+      refill();
+      tokens = Math.min(tokens, 0);
+    }
+  };
+}
+
+/**
+ * Longest Retry-After wait honored, in milliseconds
+ * @constant {number}
+ */
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Rate limiters per provider, kept for the life of the page
+ * @type {Map<string, Object>}
+ */
+const providerBuckets = new Map();
+
+/**
+ * Get (or create) a provider's rate limiter
+ * @param {Object} provider - Provider from GEO_PROVIDERS
+ * @param {Object} options - Effective options
+ * @param {Object} [clock] - Time source
+ * @returns {Object} Token bucket
+ */
+function getProviderBucket(provider, options, clock) {
+  const rate = Number(options.requestsPerMinute);
+  const key = `${provider.id}:${rate}`;
+  if (!providerBuckets.has(key)) {
+    providerBuckets.set(key, createTokenBucket({ capacity: Math.max(1, rate), refillPerMinute: rate }, clock));
+  }
+  return providerBuckets.get(key);
+}
+
+/**
+ * Fetch a provider request, honoring its rate limit and retry policy
+ * Network errors, HTTP 429 and 5xx responses are retried with exponential
+ * backoff (or the server's Retry-After); other HTTP errors fail at once.
+ * @param {Object} provider - Provider from GEO_PROVIDERS
+ * @param {{url: string, init: Object}} request - Request
+ * @param {Object} options - Effective options
+ * @param {Object} [clock] - Time source
+ * @returns {Promise<*>} Parsed JSON body
+ * @throws {DmarcError} IP_LOOKUP_RATE_LIMITED or IP_LOOKUP_FAILED
+ */
+async function fetchWithRetry(provider, request, options, clock = {}) {
+  const sleep = clock.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const bucket = getProviderBucket(provider, options, clock);
+  let lastStatus = null;
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= options.maxAttempts; attempt++) {
+    await bucket.take();
+    let retryAfterMs = null;
+
+    try {
+      const response = await fetch(request.url, request.init);
+      if (response.ok) {
+        return await response.json();
+      }
+
+      lastStatus = response.status;
+      lastError = null;
+      if (response.status === 429) bucket.drain();
+      if (response.status !== 429 && response.status < 500) break;
+
+      const retryAfter = parseInt(response.headers?.get?.('Retry-After'), 10);
+      if (retryAfter >= 0) retryAfterMs = Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+    } catch (err) {
+      lastError = err;
+      lastStatus = null;
+    }
+
+    if (attempt < options.maxAttempts) {
+      await sleep(retryAfterMs ?? options.baseDelayMs * 2 ** (attempt - 1));
+    }
+  }
+
+  const { createError: makeError, ErrorCodes: codes } = geoErrors;
+  if (lastStatus === 429) {
+    throw makeError(codes.IP_LOOKUP_RATE_LIMITED, `${provider.name} returned HTTP 429`, { provider: provider.id, status: 429 });
+  }
+  throw makeError(
+    codes.IP_LOOKUP_FAILED,
+    `${provider.name}: ${lastError ? lastError.message : `HTTP ${lastStatus}`}`,
+    { provider: provider.id, status: lastStatus }
+  );
+}
+
+// =============================================================================
+// Lookup
+// =============================================================================
+
+/**
+ * Resolve one batch of IPs with a provider
+ * @param {Object} provider - Provider from GEO_PROVIDERS
+ * @param {string[]} ips - IP addresses (at most maxBatchSize)
+ * @param {Object} options - Effective options
+ * @param {Object} [clock] - Time source
+ * @returns {Promise<Array<Object|null>>} Geo objects aligned with ips (null = not found)
+ * @throws {DmarcError} IP_LOOKUP_RATE_LIMITED or IP_LOOKUP_FAILED
+ */
+async function lookupBatchWithProvider(provider, ips, options, clock) {
+  if (provider.resolve) {
+    return provider.resolve(ips, options);
+  }
+
+  const problems = validateGeoProviderOptions(provider.id, options);
+  if (problems.length > 0) {
+    throw geoErrors.createError(geoErrors.ErrorCodes.IP_LOOKUP_FAILED, `${provider.name}: ${problems[0]}`, { provider: provider.id });
+  }
+
+  const body = await fetchWithRetry(provider, provider.buildRequest(ips, options), options, clock);
+  const fieldMap = provider.fieldMap(options);
+  return provider.parseResponse(body, ips).map((raw, i) => (raw ? mapGeoFields(ips[i], raw, fieldMap) : null));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    GEO_PROVIDERS,
+    DEFAULT_GEO_PROVIDER_CHAIN,
+    countryCodeToFlag,
+    mapGeoFields,
+    offlineMatchToGeo,
+    normalizeGeoProviderSettings,
+    getGeoProviderOptions,
+    validateGeoProviderOptions,
+    createTokenBucket,
+    fetchWithRetry,
+    lookupBatchWithProvider
+  };
+}
@@ -0,0 +1,825 @@
+/**
+ * DMARC Report Reader - Offline IP Intelligence
+ * Resolves IP addresses to ASN/organization/country from a locally imported
+ * dataset, so source IPs never leave the browser
+ *
+ * Features:
+ * - CSV/TSV prefix or range datasets (iptoasn.com, GeoLite2 CSV, custom exports)
+ * - MaxMind DB (.mmdb) files read in place
+ * - Longest-prefix-match lookup for IPv4 and IPv6
+ * - Dataset persisted in IndexedDB
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * IndexedDB database holding the imported dataset
+ * @constant {string}
+ */
+const IP_INTEL_DB_NAME = 'dmarc-ip-intel';
+
+/**
+ * IndexedDB schema version
+ * @constant {number}
+ */
+const IP_INTEL_DB_VERSION = 1;
+
+/**
+ * Object store for datasets
+ * @constant {string}
+ */
+const IP_INTEL_STORE = 'datasets';
+
+/**
+ * Key of the active dataset (only one dataset is kept)
+ * @constant {string}
+ */
+const ACTIVE_DATASET_KEY = 'active';
+
+/**
+ * Supported dataset formats
+ * @constant {Object}
+ */
+const IP_DATASET_FORMATS = Object.freeze({
+  CSV: 'csv',
+  MMDB: 'mmdb'
+});
+
+/**
+ * Accepted CSV header names for each dataset column (lowercased, spaces as _)
+ * @constant {Object}
+ */
+const CSV_COLUMN_ALIASES = Object.freeze({
+  network: ['network', 'cidr', 'prefix', 'route', 'subnet'],
+  start: ['start', 'range_start', 'start_ip', 'ip_start', 'first_ip', 'ip_from'],
+  end: ['end', 'range_end', 'end_ip', 'ip_end', 'last_ip', 'ip_to'],
+  asn: ['asn', 'as_number', 'autonomous_system_number', 'as'],
+  asOrg: ['as_org', 'as_name', 'as_description', 'autonomous_system_organization', 'organization', 'org', 'isp'],
+  countryCode: ['country_code', 'country_iso_code', 'iso_code', 'cc', 'country'],
+  countryName: ['country_name'],
+  city: ['city', 'city_name']
+});
+
+/**
+ * Marker that precedes the metadata section of a MaxMind DB file
+ * @constant {number[]}
+ */
+const MMDB_METADATA_MARKER = Object.freeze([
+  0xab, 0xcd, 0xef, ...Array.from('MaxMind.com', c => c.charCodeAt(0))
+]);
+
+// =============================================================================
+// Addresses and Prefixes
+// =============================================================================
+
+/**
+ * Resolve the shared IP address helpers from the filter engine
+ * (globals in the browser, required under Node.js)
+ * @returns {{parseIpAddress: Function, normalizeIp: Function}} Helpers
+ */
+function getIntelIpHelpers() {
+  return typeof parseIpAddress === 'function'
+    ? { parseIpAddress, normalizeIp }
+    : require('../viewer/modules/filter-engine.js');
+}
+
+/**
+ * Parse an IP address with the shared parser
+ * @param {string} ip - IP address
+ * @returns {{version: number, value: bigint}|null} Parsed address or null
+ */
+function parseIntelAddress(ip) {
+  return getIntelIpHelpers().parseIpAddress(ip);
+}
+
+/**
+ * Parse an address written as dotted-quad, IPv6, or a decimal integer
+ * (IP2Location-style ip_from/ip_to columns)
+ * @param {string} text - Address text
+ * @returns {{version: number, value: bigint}|null} Parsed address or null
+ */
+function parseDatasetAddress(text) {
+  const trimmed = (text || '').trim();
+  if (/^\d+$/.test(trimmed) && !trimmed.includes('.')) {
+    const value = BigInt(trimmed);
+    if (value <= 0xffffffffn) return { version: 4, value };
+    return value < (1n << 128n) ? { version: 6, value } : null;
+  }
+  return parseIntelAddress(trimmed);
+}
+
+/**
+ * Parse a CIDR network (or a bare address as a host route)
+ * Host bits are cleared.
+ * @param {string} text - Network, e.g. "192.0.2.0/24" or "2001:db8::/32"
+ * @returns {{version: number, value: bigint, prefixLength: number}|null} Network or null
+ */
+function parseNetwork(text) {
+  const [addressText, lengthText, extra] = (text || '').trim().split('/');
+  if (extra !== undefined) return null;
+
+  const address = parseIntelAddress(addressText);
+  if (!address) return null;
+
+  const bits = address.version === 4 ? 32 : 128;
+  let prefixLength = bits;
+  if (lengthText !== undefined) {
+    if (!/^\d{1,3}$/.test(lengthText)) return null;
+    prefixLength = parseInt(lengthText, 10);
+    // IPv4-mapped IPv6 networks (::ffff:0:0/96 and longer) become IPv4 networks
+    if (address.version === 4 && addressText.includes(':')) prefixLength -= 96;
+    if (prefixLength < 0 || prefixLength > bits) return null;
+  }
+
+  const shift = BigInt(bits - prefixLength);
+  return { version: address.version, value: (address.value >> shift) << shift, prefixLength };
+}
+
+/**
+ * Split an inclusive address range into the minimal list of CIDR blocks
+ * @param {bigint} start - First address
+ * @param {bigint} end - Last address
+ * @param {number} bits - Address width (32 or 128)
+ * @returns {Array<{value: bigint, prefixLength: number}>} CIDR blocks
+ */
+function rangeToCidrs(start, end, bits) {
+  const blocks = [];
+  let current = start;
+
+  while (current <= end) {
+    // Largest block aligned at current...
+    let size = current === 0n ? 1n << BigInt(bits) : current & -current;
+    // ...that does not run past the end of the range
+    while (current + size - 1n > end) size >>= 1n;
+
+    let prefixLength = bits;
+    for (let s = size; s > 1n; s >>= 1n) prefixLength--;
+    blocks.push({ value: current, prefixLength });
+    current += size;
+  }
+
+  return blocks;
+}
+
+/**
+ * Parse an ASN value ("AS15169", "15169")
+ * @param {*} value - Raw ASN
+ * @returns {number|null} ASN or null
+ */
+function parseAsnNumber(value) {
+  const match = String(value ?? '').trim().match(/^(?:AS)?(\d+)$/i);
+  if (!match) return null;
+  const asn = parseInt(match[1], 10);
+  return asn > 0 ? asn : null;
+}
+
+/**
+ * @typedef {Object} IpIntelEntry
+ * @property {number|null} asn - Autonomous system number
+ * @property {string|null} asOrg - AS organization name
+ * @property {string|null} countryCode - ISO 3166-1 alpha-2 code
+ * @property {string|null} countryName - Country name, when the dataset has one
+ * @property {string|null} city - City name, when the dataset has one
+ */
+
+// =============================================================================
+// Longest-Prefix-Match Table
+// =============================================================================
+
+/**
+ * Build a longest-prefix-match table from networks
+ * Networks are bucketed by prefix length; a lookup probes the buckets from
+ * the most to the least specific, so nested prefixes resolve correctly.
+ * @param {Array<{version: number, value: bigint, prefixLength: number, entry: IpIntelEntry}>} networks - Networks
+ * @returns {{size: number, lookup: Function}} Table with lookup(ip) -> {entry, network}|null
+ */
+function createPrefixTable(networks) {
+  const families = { 4: new Map(), 6: new Map() };
+  let size = 0;
+
+  for (const network of networks) {
+    const buckets = families[network.version];
+    const bits = network.version === 4 ? 32 : 128;
+    if (!buckets.has(network.prefixLength)) buckets.set(network.prefixLength, new Map());
+
+    const bucket = buckets.get(network.prefixLength);
+    const key = network.value >> BigInt(bits - network.prefixLength);
+    // First row wins when a dataset lists the same prefix twice
+    if (!bucket.has(key)) {
+      bucket.set(key, network);
+      size++;
+    }
+  }
+
+  const lengths = {
+    4: [...families[4].keys()].sort((a, b) => b - a),
+    6: [...families[6].keys()].sort((a, b) => b - a)
+  };
+
+  return {
+    size,
+    lookup(ip) {
+      const address = parseIntelAddress(ip);
+      if (!address) return null;
+
+      const bits = address.version === 4 ? 32 : 128;
+      for (const prefixLength of lengths[address.version]) {
+        const match = families[address.version].get(prefixLength)
+          .get(address.value >> BigInt(bits - prefixLength));
+        if (match) {
+          return { entry: match.entry, network: formatNetwork(match) };
+        }
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Format a network as CIDR text
+ * @param {{version: number, value: bigint, prefixLength: number}} network - Network
+ * @returns {string} CIDR, e.g. "192.0.2.0/24"
+ */
+function formatNetwork(network) {
+  if (network.version === 4) {
+    const v = Number(network.value);
+    return `${v >>> 24}.${(v >>> 16) & 255}.${(v >>> 8) & 255}.${v & 255}/${network.prefixLength}`;
+  }
+  const groups = [];
+  for (let i = 7; i >= 0; i--) {
+    groups.push(((network.value >> BigInt(i * 16)) & 0xffffn).toString(16));
+  }
+  return `${getIntelIpHelpers().normalizeIp(groups.join(':'))}/${network.prefixLength}`;
+}
+
+// =============================================================================
+// CSV Datasets
+// =============================================================================
+
+/**
+ * Split one delimited line, honoring double-quoted fields
+ * @param {string} line - Line text
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[]} Fields
+ */
+function splitDelimitedLine(line, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map(f => f.trim());
+}
+
+/**
+ * Map a header row to column indexes
+ * @param {string[]} header - Header fields
+ * @returns {Object|null} Column name -> index, or null if the row is not a header
+ */
+function mapCsvColumns(header) {
+  const names = header.map(h => h.toLowerCase().replace(/[\s-]+/g, '_'));
+  const columns = {};
+
+  for (const [column, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+    const index = aliases.map(alias => names.indexOf(alias)).find(i => i !== -1);
+    if (index !== undefined) columns[column] = index;
+  }
+
+  const hasAddress = columns.network !== undefined ||
+    (columns.start !== undefined && columns.end !== undefined);
+  return hasAddress ? columns : null;
+}
+
+/**
+ * Infer the column layout of a headerless dataset from its first row
+ * Supports iptoasn.com (start, end, asn, country, description) and
+ * "network, asn, organization, country" layouts.
+ * @param {string[]} row - First data row
+ * @returns {Object|null} Column name -> index, or null if unrecognized
+ */
+function inferCsvColumns(row) {
+  if (row.length >= 3 && parseDatasetAddress(row[0]) && parseDatasetAddress(row[1])) {
+    return { start: 0, end: 1, asn: 2, countryCode: 3, asOrg: 4 };
+  }
+  if (row.length >= 2 && parseNetwork(row[0])) {
+    return { network: 0, asn: 1, asOrg: 2, countryCode: 3 };
+  }
+  return null;
+}
+
+/**
+ * Parse a CSV/TSV IP dataset into networks
+ * Rows are either CIDR networks or inclusive address ranges; ranges are
+ * split into CIDR blocks. Rows that cannot be parsed are counted and skipped.
+ * @param {string} text - Dataset text
+ * @returns {{networks: Array, skipped: number}} Networks and skipped row count
+ */
+function parseIpDatasetCsv(text) {
+  const lines = (text || '').split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+  if (lines.length === 0) {
+    throw new Error('Invalid IP dataset: the file is empty');
+  }
+
+  const delimiter = lines[0].includes('\t') ? '\t' : ',';
+  const firstRow = splitDelimitedLine(lines[0], delimiter);
+  let columns = mapCsvColumns(firstRow);
+  let dataLines = lines;
+
+  if (columns) {
+    dataLines = lines.slice(1);
+  } else {
+    columns = inferCsvColumns(firstRow);
+  }
+  if (!columns) {
+    throw new Error('Invalid IP dataset: unrecognized column layout');
+  }
+
+  const value = (row, column) => {
+    const field = columns[column] !== undefined ? row[columns[column]] : '';
+    return field ? field : null;
+  };
+
+  const networks = [];
+  let skipped = 0;
+
+  for (const line of dataLines) {
+    const row = splitDelimitedLine(line, delimiter);
+    // Range datasets list unrouted space as AS0 ("Not routed"); it carries no data
+    if (value(row, 'asn') === '0') continue;
+
+    const countryCode = value(row, 'countryCode');
+    const entry = {
+      asn: parseAsnNumber(value(row, 'asn')),
+      asOrg: value(row, 'asOrg'),
+      countryCode: countryCode && /^[A-Za-z]{2}$/.test(countryCode) ? countryCode.toUpperCase() : null,
+      countryName: value(row, 'countryName'),
+      city: value(row, 'city')
+    };
+
+    if (columns.network !== undefined) {
+      const network = parseNetwork(row[columns.network]);
+      if (!network) {
+        skipped++;
+        continue;
+      }
+      networks.push({ ...network, entry });
+      continue;
+    }
+
+    const start = parseDatasetAddress(row[columns.start]);
+    const end = parseDatasetAddress(row[columns.end]);
+    if (!start || !end || start.version !== end.version || start.value > end.value) {
+      skipped++;
+      continue;
+    }
+    const bits = start.version === 4 ? 32 : 128;
+    for (const block of rangeToCidrs(start.value, end.value, bits)) {
+      networks.push({ version: start.version, ...block, entry });
+    }
+  }
+
+  if (networks.length === 0) {
+    throw new Error('Invalid IP dataset: no usable rows found');
+  }
+
+  return { networks, skipped };
+}
+
+// =============================================================================
+// MaxMind DB Datasets
+// =============================================================================
+
+/**
+ * Find the start of the MaxMind DB metadata section
+ * @param {Uint8Array} bytes - File contents
+ * @returns {number} Offset just past the marker, or -1 if absent
+ */
+function findMmdbMetadata(bytes) {
+  const marker = MMDB_METADATA_MARKER;
+  // Metadata is at most 128KiB from the end of the file
+  const stop = Math.max(0, bytes.length - 128 * 1024);
+
+  for (let i = bytes.length - marker.length; i >= stop; i--) {
+    let match = true;
+    for (let j = 0; j < marker.length; j++) {
+      if (bytes[i + j] !== marker[j]) {
+        match = false;
+        break;
+      }
+    }
+    if (match) return i + marker.length;
+  }
+  return -1;
+}
+
+/**
+ * Create a decoder for the MaxMind DB data section format
+ * @param {Uint8Array} bytes - File contents
+ * @param {number} pointerBase - Offset pointers are relative to
+ * @returns {Function} decode(offset) -> [value, nextOffset]
+ */
+function createMmdbDecoder(bytes, pointerBase) {
+  const readUint = (offset, size) => {
+    let value = 0n;
+    for (let i = 0; i < size; i++) value = (value << 8n) | BigInt(bytes[offset + i]);
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+  };
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const textDecoder = new TextDecoder('utf-8');
+
+  const decode = (offset, depth = 0) => {
+    if (depth > 32 || offset >= bytes.length) {
+      throw new Error('Invalid IP dataset: corrupt MaxMind DB data section');
+    }
+
+    const control = bytes[offset++];
+    let type = control >> 5;
+
+    if (type === 1) {
+      // Pointer: the size bits select how many bytes follow
+      const sizeBits = (control >> 3) & 0x3;
+      const low = control & 0x7;
+      let pointer;
+      if (sizeBits === 0) pointer = (low << 8) | bytes[offset];
+      else if (sizeBits === 1) pointer = ((low << 16) | (bytes[offset] << 8) | bytes[offset + 1]) + 2048;
+      else if (sizeBits === 2) pointer = ((low << 24) | (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2]) + 526336;
+      else pointer = readUint(offset, 4);
+      const [value] = decode(pointerBase + pointer, depth + 1);
+      return [value, offset + sizeBits + 1];
+    }
+
+    if (type === 0) type = 7 + bytes[offset++];
+
+    let size = control & 0x1f;
+    if (size === 29) {
+      size = 29 + bytes[offset++];
+    } else if (size === 30) {
+      size = 285 + readUint(offset, 2);
+      offset += 2;
+    } else if (size === 31) {
+      size = 65821 + readUint(offset, 3);
+      offset += 3;
+    }
+
+    switch (type) {
+      case 2: // UTF-8 string
+        return [textDecoder.decode(bytes.subarray(offset, offset + size)), offset + size];
+      case 3: // double
+        return [view.getFloat64(offset), offset + 8];
+      case 4: // bytes
+        return [bytes.slice(offset, offset + size), offset + size];
+      case 5: // uint16
+      case 6: // uint32
+      case 8: // int32 (stored without sign extension when shorter than 4 bytes)
+      case 9: // uint64
+      case 10: // uint128
+        return [readUint(offset, size), offset + size];
+      case 7: { // map
+        const map = {};
+        for (let i = 0; i < size; i++) {
+          const [key, afterKey] = decode(offset, depth + 1);
+          const [value, afterValue] = decode(afterKey, depth + 1);
+          map[key] = value;
+          offset = afterValue;
+        }
+        return [map, offset];
+      }
+      case 11: { // array
+        const array = [];
+        for (let i = 0; i < size; i++) {
+          const [value, next] = decode(offset, depth + 1);
+          array.push(value);
+          offset = next;
+        }
+        return [array, offset];
+      }
+      case 14: // boolean (value is the size)
+        return [size !== 0, offset];
+      case 15: // float
+        return [view.getFloat32(offset), offset + 4];
+      default:
+        throw new Error(`Invalid IP dataset: unsupported MaxMind DB data type ${type}`);
+    }
+  };
+
+  return decode;
+}
+
+/**
+ * Normalize a MaxMind DB record (GeoLite2/GeoIP2 ASN, Country, City, or
+ * ipinfo-style flat records) to an entry
+ * @param {Object} record - Decoded record
+ * @returns {IpIntelEntry} Entry
+ */
+function mmdbRecordToEntry(record) {
+  const country = record.country && typeof record.country === 'object'
+    ? record.country
+    : record.registered_country;
+  const flatCountry = typeof record.country === 'string' ? record.country : record.country_code;
+  const countryCode = country?.iso_code || flatCountry || null;
+
+  return {
+    asn: parseAsnNumber(record.autonomous_system_number ?? record.asn),
+    asOrg: record.autonomous_system_organization || record.as_name || record.organization || record.isp || null,
+    countryCode: countryCode ? String(countryCode).toUpperCase() : null,
+    countryName: country?.names?.en || record.country_name || null,
+    city: record.city?.names?.en || (typeof record.city === 'string' ? record.city : null)
+  };
+}
+
+/**
+ * Open a MaxMind DB (.mmdb) file for lookups
+ * The file's search tree is itself a longest-prefix-match trie, so lookups
+ * walk it in place without expanding the database.
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {{metadata: Object, size: number, lookup: Function}} Reader with lookup(ip) -> {entry, network}|null
+ */
+function createMmdbReader(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const metadataStart = findMmdbMetadata(bytes);
+  if (metadataStart === -1) {
+    throw new Error('Invalid IP dataset: MaxMind DB metadata not found');
+  }
+
+  const [metadata] = createMmdbDecoder(bytes, metadataStart)(metadataStart);
+  const nodeCount = metadata.node_count;
+  const recordSize = metadata.record_size;
+  if (!Number.isInteger(nodeCount) || ![24, 28, 32].includes(recordSize)) {
+    throw new Error('Invalid IP dataset: unsupported MaxMind DB layout');
+  }
+
+  const nodeBytes = recordSize / 4;
+  const treeSize = nodeCount * nodeBytes;
+  const dataSectionStart = treeSize + 16;
+  const decode = createMmdbDecoder(bytes, dataSectionStart);
+
+  const readRecord = (node, right) => {
+    const base = node * nodeBytes;
+    if (recordSize === 24) {
+      const o = base + (right ? 3 : 0);
+      return (bytes[o] << 16) | (bytes[o + 1] << 8) | bytes[o + 2];
+    }
+    if (recordSize === 28) {
+      const middle = bytes[base + 3];
+      return right
+        ? (((middle & 0x0f) << 24) | (bytes[base + 4] << 16) | (bytes[base + 5] << 8) | bytes[base + 6]) >>> 0
+        : (((middle & 0xf0) << 20) | (bytes[base] << 16) | (bytes[base + 1] << 8) | bytes[base + 2]) >>> 0;
+    }
+    const o = base + (right ? 4 : 0);
+    return ((bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3]) >>> 0;
+  };
+
+  // IPv4 addresses live under ::/96 in IPv6 databases
+  let ipv4Start = 0;
+  if (metadata.ip_version === 6) {
+    for (let i = 0; i < 96 && ipv4Start < nodeCount; i++) {
+      ipv4Start = readRecord(ipv4Start, false);
+    }
+  }
+
+  return {
+    metadata,
+    size: nodeCount,
+    lookup(ip) {
+      const address = parseIntelAddress(ip);
+      if (!address) return null;
+      if (address.version === 6 && metadata.ip_version !== 6) return null;
+
+      const bits = address.version === 4 ? 32 : 128;
+      let node = address.version === 4 ? ipv4Start : 0;
+      let depth = 0;
+      while (depth < bits && node < nodeCount) {
+        const bit = (address.value >> BigInt(bits - 1 - depth)) & 1n;
+        node = readRecord(node, bit === 1n);
+        depth++;
+      }
+
+      // node_count itself means "no data"; larger values point into the data section
+      if (node <= nodeCount) return null;
+
+      const [record] = decode(dataSectionStart + node - nodeCount - 16);
+      const shift = BigInt(bits - depth);
+      return {
+        entry: mmdbRecordToEntry(record || {}),
+        network: formatNetwork({ version: address.version, value: (address.value >> shift) << shift, prefixLength: depth })
+      };
+    }
+  };
+}
+
+// =============================================================================
+// Datasets
+// =============================================================================
+
+/**
+ * Detect the format of a dataset file
+ * @param {string} filename - File name
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string} Format from IP_DATASET_FORMATS
+ */
+function detectIpDatasetFormat(filename, bytes) {
+  if (/\.mmdb$/i.test(filename || '') || findMmdbMetadata(bytes) !== -1) {
+    return IP_DATASET_FORMATS.MMDB;
+  }
+  return IP_DATASET_FORMATS.CSV;
+}
+
+/**
+ * Build a lookup resolver from stored dataset contents
+ * @param {string} format - Format from IP_DATASET_FORMATS
+ * @param {string|ArrayBuffer|Uint8Array} data - Dataset contents (text for CSV)
+ * @returns {{size: number, skipped: number, lookup: Function}} Resolver
+ */
+function buildIpDataset(format, data) {
+  if (format === IP_DATASET_FORMATS.MMDB) {
+    const reader = createMmdbReader(data);
+    return { size: reader.size, skipped: 0, lookup: reader.lookup };
+  }
+
+  const text = typeof data === 'string' ? data : new TextDecoder('utf-8').decode(data);
+  const { networks, skipped } = parseIpDatasetCsv(text);
+  const table = createPrefixTable(networks);
+  return { size: table.size, skipped, lookup: table.lookup };
+}
+
+// =============================================================================
+// IndexedDB Storage
+// =============================================================================
+
+/**
+ * Promisify an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the dataset database, creating the store on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openIpIntelDb() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(IP_INTEL_DB_NAME, IP_INTEL_DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(IP_INTEL_STORE)) {
+      request.result.createObjectStore(IP_INTEL_STORE, { keyPath: 'id' });
+    }
+  };
+  return idbRequest(request);
+}
+
+/**
+ * Run a single operation against the dataset store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Operation result
+ */
+async function withIpIntelStore(mode, operation) {
+  const db = await openIpIntelDb();
+  try {
+    const store = db.transaction(IP_INTEL_STORE, mode).objectStore(IP_INTEL_STORE);
+    return await idbRequest(operation(store));
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Loaded resolver for the active dataset (null when none is imported)
+ * @type {Promise<Object|null>|null}
+ */
+let activeDatasetPromise = null;
+
+/**
+ * Describe a stored dataset without its contents
+ * @param {Object} stored - Stored dataset
+ * @returns {{name: string, format: string, size: number, skipped: number, importedAt: string}} Summary
+ */
+function summarizeDataset(stored) {
+  return {
+    name: stored.name,
+    format: stored.format,
+    size: stored.size,
+    skipped: stored.skipped,
+    importedAt: stored.importedAt
+  };
+}
+
+/**
+ * Import a dataset file, replacing any previous dataset
+ * The file is fully parsed before anything is stored.
+ * @param {File|Blob} file - CSV/TSV or .mmdb file
+ * @returns {Promise<Object>} Dataset summary
+ */
+async function importIpDataset(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes.length === 0) {
+    throw new Error('Invalid IP dataset: the file is empty');
+  }
+
+  const format = detectIpDatasetFormat(file.name, bytes);
+  const data = format === IP_DATASET_FORMATS.MMDB ? bytes.buffer : new TextDecoder('utf-8').decode(bytes);
+  const resolver = buildIpDataset(format, data);
+
+  const stored = {
+    id: ACTIVE_DATASET_KEY,
+    name: file.name || 'dataset',
+    format,
+    size: resolver.size,
+    skipped: resolver.skipped,
+    importedAt: new Date().toISOString(),
+    data
+  };
+  await withIpIntelStore('readwrite', store => store.put(stored));
+
+  activeDatasetPromise = Promise.resolve({ ...summarizeDataset(stored), lookup: resolver.lookup });
+  return summarizeDataset(stored);
+}
+
+/**
+ * Get the active dataset, loading it from IndexedDB on first use
+ * @returns {Promise<Object|null>} Summary with lookup(ip), or null if none is imported
+ */
+function getActiveIpDataset() {
+  if (!activeDatasetPromise) {
+    activeDatasetPromise = withIpIntelStore('readonly', store => store.get(ACTIVE_DATASET_KEY))
+      .then(stored => {
+        if (!stored) return null;
+        const resolver = buildIpDataset(stored.format, stored.data);
+        return { ...summarizeDataset(stored), lookup: resolver.lookup };
+      })
+      .catch(err => {
+        console.warn('IP Intel: Failed to load dataset:', err.message);
+        activeDatasetPromise = null;
+        return null;
+      });
+  }
+  return activeDatasetPromise;
+}
+
+/**
+ * Get a summary of the active dataset without building its lookup table
+ * @returns {Promise<Object|null>} Dataset summary or null
+ */
+async function getIpDatasetInfo() {
+  const stored = await withIpIntelStore('readonly', store => store.get(ACTIVE_DATASET_KEY));
+  return stored ? summarizeDataset(stored) : null;
+}
+
+/**
+ * Remove the imported dataset
+ * @returns {Promise<void>}
+ */
+async function clearIpDataset() {
+  await withIpIntelStore('readwrite', store => store.delete(ACTIVE_DATASET_KEY));
+  activeDatasetPromise = null;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    IP_DATASET_FORMATS,
+    parseNetwork,
+    rangeToCidrs,
+    parseIpDatasetCsv,
+    createPrefixTable,
+    createMmdbReader,
+    detectIpDatasetFormat,
+    buildIpDataset,
+    importIpDataset,
+    getActiveIpDataset,
+    getIpDatasetInfo,
+    clearIpDataset
+  };
+}
@@ -1,13 +1,26 @@
 /**
  * DMARC Report Reader - IP Lookup Service
- * Fetches geolocation and reverse DNS data for IP addresses using ip-api.com
+ * Resolves geolocation and reverse DNS data for IP addresses through the
+ * configured chain of lookup providers (see geo-providers.js)
  *
  * Features:
  * - Session-persistent cache using chrome.storage.session
- * - Batch API calls for efficiency
- * - Rate limiting (45 req/min for ip-api.com free tier)
+ * - Providers tried in the user's order; IPs a provider cannot resolve fall
+ *   back to the next enabled provider
+ * - Per-provider batching, rate limiting and retry
  */
 
+// Provider registry is loaded via <script> in the browser, require() under Node.js
+const geoProviderRegistry = typeof lookupBatchWithProvider === 'function'
+  ? { GEO_PROVIDERS, normalizeGeoProviderSettings, getGeoProviderOptions, lookupBatchWithProvider }
+  : require('./geo-providers.js');
+
+/**
+ * Storage key for provider order and options (chrome.storage.local)
+ * @constant {string}
+ */
+const GEO_PROVIDER_SETTINGS_KEY = 'geoProviderSettings';
+
 /**
  * In-memory cache for current session (fallback and fast access)
  * @type {Map<string, Object>}
@@ -91,17 +104,32 @@ async function saveCacheToStorage() {
 loadCacheFromStorage();
 
 /**
- * Country code to flag emoji mapping
- * @param {string} countryCode - Two-letter country code
- * @returns {string} Flag emoji
+ * Get the provider settings, filled in with defaults
+ * @returns {Promise<{chain: Array, options: Object}>} Normalized settings
+ */
+async function getGeoProviderSettings() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+    return geoProviderRegistry.normalizeGeoProviderSettings(null);
+  }
+
+  try {
+    const result = await chrome.storage.local.get(GEO_PROVIDER_SETTINGS_KEY);
+    return geoProviderRegistry.normalizeGeoProviderSettings(result[GEO_PROVIDER_SETTINGS_KEY]);
+  } catch (err) {
+    console.warn('IP Lookup: Failed to read provider settings:', err.message);
+    return geoProviderRegistry.normalizeGeoProviderSettings(null);
+  }
+}
+
+/**
+ * Save provider settings
+ * @param {{chain: Array, options: Object}} settings - Provider order and options
+ * @returns {Promise<void>}
  */
-function countryCodeToFlag(countryCode) {
-  if (!countryCode || countryCode.length !== 2) return '';
-  const codePoints = countryCode
-    .toUpperCase()
-    .split('')
-    .map(char => 0x1f1e6 + char.charCodeAt(0) - 65);
-  return String.fromCodePoint(...codePoints);
+async function saveGeoProviderSettings(settings) {
+  await chrome.storage.local.set({
+    [GEO_PROVIDER_SETTINGS_KEY]: geoProviderRegistry.normalizeGeoProviderSettings(settings)
+  });
 }
 
 /**
@@ -110,130 +138,85 @@ function countryCodeToFlag(countryCode) {
  * @returns {Promise<Object>} Geolocation data
  */
 async function lookupIp(ip) {
-  if (ipCache.has(ip)) {
-    return ipCache.get(ip);
-  }
-
-  try {
-    const response = await fetch(
-      `https://ip-api.com/json/${ip}?fields=status,country,countryCode,city,isp,org,as,reverse`
-    );
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}`);
-    }
-
-    const data = await response.json();
-
-    if (data.status === 'fail') {
-      const result = { error: true, ip };
-      ipCache.set(ip, result);
-      return result;
-    }
-
-    const result = {
-      ip,
-      country: data.country,
-      countryCode: data.countryCode,
-      flag: countryCodeToFlag(data.countryCode),
-      city: data.city,
-      isp: data.isp,
-      org: data.org,
-      asn: data.as,
-      hostname: data.reverse || null
-    };
-
-    ipCache.set(ip, result);
-    return result;
-  } catch (err) {
-    console.error(`IP lookup failed for ${ip}:`, err);
-    const result = { error: true, ip, message: err.message };
-    ipCache.set(ip, result);
-    return result;
-  }
+  const results = await lookupIps([ip]);
+  return results.get(ip);
 }
 
 /**
- * Lookup multiple IP addresses with rate limiting
- * ip-api.com allows 45 requests per minute for free tier
+ * Lookup multiple IP addresses through the enabled providers, in order
+ * Each provider gets the IPs earlier providers could not resolve. A provider
+ * that is rate limited or failing is skipped for the rest of the lookup.
  * @param {string[]} ips - Array of IP addresses
- * @param {Function} onProgress - Callback for progress updates
- * @returns {Promise<Map<string, Object>>} Map of IP to geolocation data
+ * @param {Function} onProgress - Callback for progress updates (resolved, total)
+ * @returns {Promise<Map<string, Object>>} Map of IP to geolocation data; unresolved
+ *   IPs map to {error: true, ip, code?, message?}
  */
 async function lookupIps(ips, onProgress) {
   const uniqueIps = [...new Set(ips)];
   const results = new Map();
-  const uncachedIps = uniqueIps.filter(ip => !ipCache.has(ip));
+  let pending = [];
 
   for (const ip of uniqueIps) {
     if (ipCache.has(ip)) {
       results.set(ip, ipCache.get(ip));
+    } else {
+      pending.push(ip);
     }
   }
 
-  if (uncachedIps.length === 0) {
+  if (pending.length === 0) {
     return results;
   }
 
-  const batchSize = 100;
-  for (let i = 0; i < uncachedIps.length; i += batchSize) {
-    const batch = uncachedIps.slice(i, i + batchSize);
-
-    try {
-      const response = await fetch(
-        'https://ip-api.com/batch?fields=status,query,country,countryCode,city,isp,org,as,reverse',
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(batch)
+  const { GEO_PROVIDERS: providers, getGeoProviderOptions: optionsFor, lookupBatchWithProvider: lookupBatch } = geoProviderRegistry;
+  const settings = await getGeoProviderSettings();
+  const chain = settings.chain.filter(item => item.enabled).map(item => providers[item.id]);
+  const lastErrors = new Map();
+
+  for (const provider of chain) {
+    if (pending.length === 0) break;
+
+    const options = optionsFor(provider, settings);
+    const batchSize = Math.max(1, Number(provider.maxBatchSize(options)) || 1);
+    const unresolved = [];
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+      const batch = pending.slice(i, i + batchSize);
+
+      try {
+        const geos = await lookupBatch(provider, batch, options);
+        batch.forEach((ip, index) => {
+          const geo = geos[index];
+          if (!geo || geo.error) {
+            unresolved.push(ip);
+            return;
+          }
+          results.set(ip, geo);
+          if (provider.cacheable) ipCache.set(ip, geo);
+        });
+      } catch (err) {
+        console.warn(`IP Lookup: ${provider.name} failed:`, err.message);
+        // Hand this batch and everything after it to the next provider
+        for (const ip of pending.slice(i)) {
+          lastErrors.set(ip, err);
+          unresolved.push(ip);
         }
-      );
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-
-      const data = await response.json();
-
-      for (const item of data) {
-        const ip = item.query;
-        let result;
-
-        if (item.status === 'fail') {
-          result = { error: true, ip };
-        } else {
-          result = {
-            ip,
-            country: item.country,
-            countryCode: item.countryCode,
-            flag: countryCodeToFlag(item.countryCode),
-            city: item.city,
-            isp: item.isp,
-            org: item.org,
-            asn: item.as,
-            hostname: item.reverse || null
-          };
-        }
-
-        ipCache.set(ip, result);
-        results.set(ip, result);
+        break;
       }
 
       if (onProgress) {
-        onProgress(Math.min(i + batchSize, uncachedIps.length), uncachedIps.length);
-      }
-    } catch (err) {
-      console.error('Batch IP lookup failed:', err);
-      for (const ip of batch) {
-        const result = { error: true, ip, message: err.message };
-        ipCache.set(ip, result);
-        results.set(ip, result);
+        onProgress(results.size, uniqueIps.length);
       }
     }
 
-    if (i + batchSize < uncachedIps.length) {
-      await new Promise(resolve => setTimeout(resolve, 1500));
-    }
+    pending = unresolved;
+  }
+
+  for (const ip of pending) {
+    const err = lastErrors.get(ip);
+    results.set(ip, err
+      ? { error: true, ip, code: err.code, message: err.message }
+      : { error: true, ip });
   }
 
   // Persist cache to session storage after lookups complete
@@ -291,5 +274,13 @@ function formatHostname(geo) {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { lookupIp, lookupIps, formatLocation, formatIsp, formatHostname };
+  module.exports = {
+    getGeoProviderSettings,
+    saveGeoProviderSettings,
+    lookupIp,
+    lookupIps,
+    formatLocation,
+    formatIsp,
+    formatHostname
+  };
 }
@@ -0,0 +1,292 @@
+/**
+ * DMARC Report Reader - Provider Remediation Playbooks
+ * Setup steps per known provider (keyed by PROVIDERS id) that make its mail
+ * pass SPF and DKIM in alignment with the From domain
+ */
+
+// =============================================================================
+// Playbook Database
+// =============================================================================
+
+/**
+ * Remediation playbooks by provider id
+ * spfInclude is the mechanism an SPF record needs for the provider, or null
+ * when none is added by hand. spf lists the custom return-path (bounce domain)
+ * steps, empty when SPF cannot align for the provider; dkim lists the
+ * custom-domain signing steps, and alignment explains which of the two DMARC
+ * can rely on.
+ * Texts are static and contain no markup.
+ * @constant {Object}
+ */
+const PROVIDER_PLAYBOOKS = Object.freeze({
+  google: {
+    spfInclude: 'include:_spf.google.com',
+    spf: [
+      'Add include:_spf.google.com to the SPF record of the From domain',
+      'Mail sent by Workspace users uses their own address as envelope sender, so no custom return-path is needed'
+    ],
+    dkim: [
+      'In the Google Admin console, open Apps > Google Workspace > Gmail > Authenticate email',
+      'Generate a DKIM key for the domain and publish the TXT record it shows (selector google by default)',
+      'Click Start authentication once the record resolves'
+    ],
+    alignment: 'Workspace mail aligns for SPF once the include is published. Without custom DKIM, Google signs with a gappssmtp.com domain that does not align.'
+  },
+  microsoft: {
+    spfInclude: 'include:spf.protection.outlook.com',
+    spf: [
+      'Add include:spf.protection.outlook.com to the SPF record of the From domain',
+      'Mail sent by Microsoft 365 users uses their own address as envelope sender, so no custom return-path is needed'
+    ],
+    dkim: [
+      'Publish the selector1._domainkey and selector2._domainkey CNAME records shown for the domain in the Microsoft Defender portal (Email authentication settings > DKIM)',
+      'Enable DKIM signing for the domain in the same page once the CNAMEs resolve'
+    ],
+    alignment: 'SPF aligns once the include is published. Until custom DKIM is enabled, Microsoft signs with the tenant\'s onmicrosoft.com domain, which does not align.'
+  },
+  amazon_ses: {
+    spfInclude: 'include:amazonses.com',
+    spf: [
+      'Set a custom MAIL FROM domain for the identity in the SES console, e.g. a bounce subdomain of the From domain',
+      'Publish the MX record SES shows for that subdomain (feedback-smtp in the identity\'s region)',
+      'Publish v=spf1 include:amazonses.com ~all as the SPF record of that subdomain, not of the From domain'
+    ],
+    dkim: [
+      'Verify the domain identity in SES with Easy DKIM',
+      'Publish the three CNAME records SES shows under _domainkey'
+    ],
+    alignment: 'By default SES uses an amazonses.com envelope sender, so SPF passes without aligning. A custom MAIL FROM subdomain aligns in relaxed mode; Easy DKIM aligns DKIM.'
+  },
+  sendgrid: {
+    spfInclude: 'include:sendgrid.net',
+    spf: [
+      'In SendGrid, open Settings > Sender Authentication and authenticate the domain',
+      'Publish the CNAME records it shows; the em return-path subdomain carries SendGrid\'s SPF when automated security is on',
+      'With automated security off, add include:sendgrid.net to the SPF record of the return-path domain instead'
+    ],
+    dkim: [
+      'Publish the s1._domainkey and s2._domainkey CNAME records from the same domain authentication',
+      'Send from the authenticated domain, so SendGrid signs with it instead of sendgrid.net'
+    ],
+    alignment: 'Without domain authentication, SendGrid uses sendgrid.net for both the envelope sender and the DKIM signature, and neither aligns. Domain authentication aligns both in relaxed mode.'
+  },
+  mailgun: {
+    spfInclude: 'include:mailgun.org',
+    spf: [
+      'Add the sending domain in Mailgun; a subdomain such as mg of the From domain keeps its records separate',
+      'Publish v=spf1 include:mailgun.org ~all as the SPF record of the sending domain'
+    ],
+    dkim: [
+      'Publish the DKIM TXT record Mailgun shows for the sending domain',
+      'Verify the domain in Mailgun before sending from it'
+    ],
+    alignment: 'Mailgun uses the sending domain for the envelope sender and the DKIM signature, so a subdomain of the From domain aligns both in relaxed mode, but not in strict mode.'
+  },
+  mailchimp: {
+    spfInclude: null,
+    spf: [],
+    dkim: [
+      'In Mailchimp, open the domains page and authenticate the From domain',
+      'Publish the k2._domainkey and k3._domainkey CNAME records it shows'
+    ],
+    alignment: 'Mailchimp always uses its own envelope sender, so SPF never aligns and DMARC depends on DKIM. Without domain authentication, Mailchimp signs with its own domain.'
+  },
+  postmark: {
+    spfInclude: null,
+    spf: [
+      'In Postmark, add the domain and set a Custom Return-Path, publishing the CNAME it shows (pm-bounces by default, pointing to pm.mtasv.net)'
+    ],
+    dkim: [
+      'Publish the DKIM TXT record Postmark shows for the domain and verify it'
+    ],
+    alignment: 'Without a Custom Return-Path, Postmark bounces go to an mtasv.net address and SPF does not align. The custom return-path aligns SPF, and the domain\'s DKIM key aligns DKIM.'
+  },
+  sparkpost: {
+    spfInclude: 'include:sparkpostmail.com',
+    spf: [
+      'Add a bounce domain in SparkPost, such as a bounces subdomain of the From domain',
+      'Publish the CNAME record it shows; SparkPost\'s SPF then applies to that subdomain'
+    ],
+    dkim: [
+      'Add the sending domain and publish the DKIM TXT record SparkPost shows',
+      'Verify the sending domain before sending from it'
+    ],
+    alignment: 'Without a bounce domain, the envelope sender is a SparkPost domain and SPF does not align. A bounce subdomain aligns SPF in relaxed mode; the sending domain\'s key aligns DKIM.'
+  },
+  zoho: {
+    spfInclude: 'include:zoho.com',
+    spf: [
+      'Add include:zoho.com to the SPF record of the From domain (zoho.eu, zoho.in and so on for other data centers)'
+    ],
+    dkim: [
+      'In the Zoho Mail Admin Console, open the domain\'s email configuration and add a DKIM selector',
+      'Publish the TXT record it shows, then verify and enable it'
+    ],
+    alignment: 'Zoho sends with the user\'s address as envelope sender, so SPF aligns once the include is published. DKIM aligns once the domain\'s selector is enabled.'
+  },
+  fastmail: {
+    spfInclude: 'include:spf.messagingengine.com',
+    spf: [
+      'Add include:spf.messagingengine.com to the SPF record of the From domain'
+    ],
+    dkim: [
+      'Publish the fm1, fm2 and fm3 ._domainkey CNAME records shown in Fastmail\'s domain settings'
+    ],
+    alignment: 'Fastmail sends with the user\'s address as envelope sender, so SPF aligns once the include is published. DKIM aligns once the CNAMEs resolve.'
+  },
+  mailjet: {
+    spfInclude: 'include:spf.mailjet.com',
+    spf: [],
+    dkim: [
+      'In Mailjet, open Senders & Domains and publish the mailjet._domainkey TXT record shown for the domain',
+      'Add include:spf.mailjet.com to the SPF record of the From domain as well, which Mailjet\'s domain validation asks for'
+    ],
+    alignment: 'Mailjet usually sends with its own bounce domain as envelope sender, so SPF rarely aligns and DMARC depends on DKIM with the domain\'s key.'
+  },
+  sendinblue: {
+    spfInclude: null,
+    spf: [],
+    dkim: [
+      'In Brevo, open Senders, Domains and Dedicated IPs and authenticate the domain',
+      'Publish the Brevo code and DKIM records it shows'
+    ],
+    alignment: 'Brevo sends with its own envelope sender, so SPF does not align and DMARC depends on DKIM. Without domain authentication, Brevo signs with its own domain.'
+  },
+  constantcontact: {
+    spfInclude: null,
+    spf: [],
+    dkim: [
+      'In Constant Contact, enable self-authentication for the domain',
+      'Publish the ctct1._domainkey and ctct2._domainkey CNAME records it shows'
+    ],
+    alignment: 'Constant Contact uses its own envelope sender, so SPF never aligns and DMARC depends on DKIM with the domain\'s keys.'
+  },
+  campaignmonitor: {
+    spfInclude: null,
+    spf: [],
+    dkim: [
+      'In Campaign Monitor, verify the sending domain',
+      'Publish the DKIM record it shows'
+    ],
+    alignment: 'Campaign Monitor uses its own envelope sender, so SPF does not align and DMARC depends on DKIM with the domain\'s key.'
+  },
+  yahoo: {
+    spfInclude: null,
+    spf: [],
+    dkim: [],
+    alignment: 'Yahoo Mail cannot sign with or send from custom domains. Failing mail from Yahoo servers is usually forwarded by a Yahoo user, or sent by someone using your address from a Yahoo account.'
+  },
+  protonmail: {
+    spfInclude: 'include:_spf.protonmail.ch',
+    spf: [
+      'Add include:_spf.protonmail.ch to the SPF record of the From domain'
+    ],
+    dkim: [
+      'Publish the protonmail, protonmail2 and protonmail3 ._domainkey CNAME records shown in Proton\'s domain settings'
+    ],
+    alignment: 'Proton sends with the user\'s address as envelope sender, so SPF aligns once the include is published. DKIM aligns once the CNAMEs resolve.'
+  },
+  ovh: {
+    spfInclude: 'include:mx.ovh.com',
+    spf: [
+      'Add include:mx.ovh.com to the SPF record of the From domain for OVH-hosted mailboxes'
+    ],
+    dkim: [
+      'Enable DKIM for the domain in the OVH control panel and publish the records it shows'
+    ],
+    alignment: 'OVH-hosted mailboxes send with the user\'s address as envelope sender. Mail from other OVH servers (VPS, dedicated) needs its own SPF entry and DKIM signing.'
+  },
+  godaddy: {
+    spfInclude: 'include:secureserver.net',
+    spf: [
+      'Add include:secureserver.net to the SPF record of the From domain for GoDaddy-hosted mail'
+    ],
+    dkim: [
+      'Enable DKIM for the domain in GoDaddy\'s email settings, where the plan offers it'
+    ],
+    alignment: 'GoDaddy-hosted mail sends with the user\'s address as envelope sender, so SPF aligns once the include is published.'
+  },
+  cloudflare: {
+    spfInclude: null,
+    spf: [],
+    dkim: [],
+    alignment: 'Cloudflare Email Routing forwards mail and does not send for your domain. Forwarded mail fails SPF by design; DKIM survives when the message is not modified.'
+  }
+});
+
+/**
+ * Classifications that get no provider setup steps
+ * Steps would help a spoofer, and cannot fix mail an intermediary changed.
+ * @constant {string[]}
+ */
+const PLAYBOOK_SKIPPED_CLASSIFICATIONS = Object.freeze(['likely_spoof', 'forwarded', 'mailing_list']);
+
+// =============================================================================
+// Playbook Functions
+// =============================================================================
+
+/**
+ * Get the remediation playbook of a provider
+ * @param {string|null} providerId - PROVIDERS id
+ * @returns {Object|null} Playbook, or null for unknown providers
+ */
+function getProviderPlaybook(providerId) {
+  return Object.hasOwn(PROVIDER_PLAYBOOKS, providerId) ? PROVIDER_PLAYBOOKS[providerId] : null;
+}
+
+/**
+ * List the setup steps that address a provider's failures
+ * DKIM steps are given whenever SPF cannot align for the provider, since
+ * DMARC then depends on DKIM alone.
+ * @param {string} providerId - PROVIDERS id
+ * @param {{spf: boolean, dkim: boolean}} failing - Which aligned check failed
+ * @returns {string[]} Steps, empty when the provider has no playbook or nothing to fix
+ */
+function getProviderRemediationSteps(providerId, failing) {
+  const playbook = getProviderPlaybook(providerId);
+  if (!playbook) return [];
+
+  const steps = [];
+  if (failing.spf) steps.push(...playbook.spf);
+  if (failing.dkim || (failing.spf && playbook.spf.length === 0)) steps.push(...playbook.dkim);
+  return [...new Set(steps)];
+}
+
+/**
+ * Build the provider-specific diagnosis issue of a record
+ * Sources classified as likely spoofs, forwarded, or mailing list mail get
+ * none (see PLAYBOOK_SKIPPED_CLASSIFICATIONS).
+ * @param {Object} record - Record with _provider and _classification
+ * @returns {Object|null} Issue { type, title, explanation, recommendations }, or null
+ */
+function getProviderDiagnosis(record) {
+  const provider = record._provider;
+  if (!provider || PLAYBOOK_SKIPPED_CLASSIFICATIONS.includes(record._classification?.classification)) return null;
+
+  const playbook = getProviderPlaybook(provider.id);
+  const pe = record.policyEvaluated || {};
+  const failing = { spf: pe.spf !== 'pass', dkim: pe.dkim !== 'pass' };
+  if (!playbook || (!failing.spf && !failing.dkim)) return null;
+
+  const steps = getProviderRemediationSteps(provider.id, failing);
+  return {
+    type: 'provider',
+    title: `${provider.name} Setup`,
+    explanation: playbook.alignment,
+    recommendations: steps.length > 0 ? steps : ['Check whether this mail is forwarded or sent without your authorization']
+  };
+}
+
+// =============================================================================
+// Exports
+// =============================================================================
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PROVIDER_PLAYBOOKS,
+    getProviderPlaybook,
+    getProviderRemediationSteps,
+    getProviderDiagnosis
+  };
+}
@@ -0,0 +1,520 @@
+/**
+ * DMARC Report Reader - Report Library
+ * Keeps every parsed aggregate report in IndexedDB so past reports can be
+ * browsed and reopened without the original attachment
+ *
+ * Features:
+ * - De-duplication by org_name + report_id
+ * - Per-report summary kept beside the raw XML for cheap listing
+ * - Per-source summary (IP, volume, ASN once looked up) as history for
+ *   new-source detection
+ * - Filtering by policy domain, reporter and date range
+ * - Retention by report age
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * IndexedDB database holding the library
+ * @constant {string}
+ */
+const REPORT_LIBRARY_DB_NAME = 'dmarc-report-library';
+
+/**
+ * IndexedDB schema version
+ * @constant {number}
+ */
+const REPORT_LIBRARY_DB_VERSION = 1;
+
+/**
+ * Object store for report summaries (listed without loading XML)
+ * @constant {string}
+ */
+const LIBRARY_REPORTS_STORE = 'reports';
+
+/**
+ * Object store for raw report XML, keyed by the same id
+ * @constant {string}
+ */
+const LIBRARY_XML_STORE = 'reportXml';
+
+/**
+ * chrome.storage.local key for library settings
+ * @constant {string}
+ */
+const REPORT_LIBRARY_SETTINGS_KEY = 'reportLibrarySettings';
+
+/**
+ * Default library settings (retentionDays 0 keeps reports forever)
+ * @constant {{autoSave: boolean, retentionDays: number}}
+ */
+const DEFAULT_REPORT_LIBRARY_SETTINGS = Object.freeze({
+  autoSave: true,
+  retentionDays: 0
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// =============================================================================
+// Library Entries
+// =============================================================================
+
+/**
+ * Build the library key for a report
+ * The org is lowercased like the "Combine All" key; entries keep the
+ * reporter's spelling in orgName for display.
+ * @param {string} orgName - Reporter org_name
+ * @param {string} reportId - report_id
+ * @returns {string|null} Key, or null when either part is missing
+ */
+function getLibraryReportId(orgName, reportId) {
+  const org = (orgName || '').trim().toLowerCase();
+  const id = (reportId || '').trim();
+  return org && id ? `${org}\n${id}` : null;
+}
+
+/**
+ * Convert a date-like value to epoch milliseconds
+ * @param {Date|string|number|null} value - Date value
+ * @returns {number|null} Milliseconds or null
+ */
+function toLibraryTime(value) {
+  if (value === null || value === undefined) return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Resolve the shared IP address helpers from the filter engine
+ * (globals in the browser, required under Node.js)
+ * @returns {{normalizeIp: Function}} Helpers
+ */
+function getLibraryIpHelpers() {
+  return typeof normalizeIp === 'function'
+    ? { normalizeIp }
+    : require('../viewer/modules/filter-engine.js');
+}
+
+/**
+ * Resolve DKIM alignment from the DMARC parser
+ * (globals in the browser, required under Node.js)
+ * @returns {{domainsAlign: Function}} Helpers
+ */
+function getLibraryAlignmentHelpers() {
+  return typeof domainsAlign === 'function'
+    ? { domainsAlign }
+    : require('../parser/dmarc-parser.js');
+}
+
+/**
+ * Summarize a report's DKIM signatures per signing domain and selector
+ * A signature is aligned when its d= domain aligns with the From domain
+ * under the published adkim mode, whatever its result.
+ * @param {Object[]} records - Report records
+ * @param {Object|null} policy - Published policy of the report
+ * @returns {Array<{domain: string, selector: string|null, messages: number, passing: number, aligned: number}>} Selector summary
+ */
+function summarizeLibrarySelectors(records, policy) {
+  const { domainsAlign } = getLibraryAlignmentHelpers();
+  const selectors = new Map();
+  for (const record of records || []) {
+    const count = record.count || 0;
+    const headerFrom = record.identifiers?.headerFrom;
+    const seen = new Set();
+    for (const dkim of record.authResults?.dkim || []) {
+      const domain = (dkim.domain || '').toLowerCase().replace(/\.$/, '');
+      if (!domain) continue;
+      const selector = dkim.selector ? dkim.selector.toLowerCase() : null;
+      // A message signed twice with the same key counts once
+      const key = `${domain} ${selector || ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      if (!selectors.has(key)) selectors.set(key, { domain, selector, messages: 0, passing: 0, aligned: 0 });
+      const summary = selectors.get(key);
+      summary.messages += count;
+      if (dkim.result === 'pass') summary.passing += count;
+      if (domainsAlign(domain, headerFrom, policy?.adkim || 'relaxed')) summary.aligned += count;
+    }
+  }
+  return [...selectors.values()];
+}
+
+/**
+ * Summarize a report's records per source IP and list its From domains
+ * @param {Object[]} records - Report records
+ * @returns {{sources: Array<{ip: string, messages: number, failing: number, asn: string|null}>, headerFroms: string[]}} Source summary
+ */
+function summarizeLibrarySources(records) {
+  const ip = getLibraryIpHelpers();
+  const sources = new Map();
+  const headerFroms = new Set();
+  for (const record of records || []) {
+    const headerFrom = (record.identifiers?.headerFrom || '').toLowerCase();
+    if (headerFrom) headerFroms.add(headerFrom);
+    if (!record.sourceIp) continue;
+
+    const key = ip.normalizeIp(record.sourceIp);
+    if (!sources.has(key)) sources.set(key, { ip: key, messages: 0, failing: 0, asn: null });
+    const source = sources.get(key);
+    source.messages += record.count || 0;
+    if (!record.alignment?.dmarcPass) source.failing += record.count || 0;
+  }
+  return { sources: [...sources.values()], headerFroms: [...headerFroms].sort() };
+}
+
+/**
+ * Library ids of the stored reports a displayed report was built from
+ * @param {Object} report - Parsed or combined DMARC report
+ * @returns {string[]} Library ids
+ */
+function getReportLibraryIds(report) {
+  const metadata = report?.metadata || {};
+  const parts = metadata._sourceReports || [metadata];
+  return parts.map(part => getLibraryReportId(part.orgName, part.reportId)).filter(Boolean);
+}
+
+/**
+ * Describe a parsed aggregate report for the library
+ * @param {Object} report - Parsed DMARC report
+ * @param {{filename?: string, size?: number, storedAt?: string}} [source] - Where it came from
+ * @returns {Object|null} Library entry, or null when the report has no org_name/report_id
+ */
+function createLibraryEntry(report, source = {}) {
+  const metadata = report?.metadata || {};
+  const id = getLibraryReportId(metadata.orgName, metadata.reportId);
+  if (!id) return null;
+
+  const policy = report.policy || {};
+  const summary = report.summary || {};
+
+  return {
+    id,
+    orgName: metadata.orgName.trim(),
+    reportId: metadata.reportId.trim(),
+    email: metadata.email || null,
+    domain: (policy.domain || '').toLowerCase() || null,
+    dateBegin: toLibraryTime(metadata.dateRange?.begin),
+    dateEnd: toLibraryTime(metadata.dateRange?.end),
+    filename: source.filename || null,
+    size: source.size || 0,
+    storedAt: source.storedAt || new Date().toISOString(),
+    policy: {
+      policy: policy.policy || null,
+      subdomainPolicy: policy.subdomainPolicy || null,
+      npPolicy: policy.npPolicy || null,
+      percentage: policy.percentage ?? null,
+      adkim: policy.adkim || null,
+      aspf: policy.aspf || null,
+      failureOptions: policy.failureOptions || null,
+      testing: policy.testing ?? null
+    },
+    summary: {
+      totalMessages: summary.totalMessages || 0,
+      passedBoth: summary.passedBoth || 0,
+      passedDkim: summary.passedDkim || 0,
+      passedSpf: summary.passedSpf || 0,
+      dmarcAligned: summary.dmarcAligned || 0,
+      quarantined: summary.quarantined || 0,
+      rejected: summary.rejected || 0
+    },
+    recordCount: report.records?.length || 0,
+    ...summarizeLibrarySources(report.records),
+    selectors: summarizeLibrarySelectors(report.records, report.policy)
+  };
+}
+
+/**
+ * Filter library entries, newest report first
+ * Date bounds match any report whose range overlaps [from, to].
+ * @param {Object[]} entries - Library entries
+ * @param {{domain?: string, reporter?: string, from?: number, to?: number}} [criteria] - Filters
+ * @returns {Object[]} Matching entries
+ */
+function filterLibraryEntries(entries, criteria = {}) {
+  const domain = criteria.domain ? criteria.domain.toLowerCase() : null;
+  const from = toLibraryTime(criteria.from);
+  const to = toLibraryTime(criteria.to);
+
+  return entries
+    .filter(entry => {
+      if (domain && entry.domain !== domain) return false;
+      if (criteria.reporter && entry.orgName !== criteria.reporter) return false;
+      const begin = entry.dateBegin ?? entry.dateEnd;
+      const end = entry.dateEnd ?? entry.dateBegin;
+      if (from !== null && end !== null && end < from) return false;
+      if (to !== null && begin !== null && begin > to) return false;
+      return true;
+    })
+    .sort((a, b) => (b.dateEnd ?? 0) - (a.dateEnd ?? 0) || a.orgName.localeCompare(b.orgName));
+}
+
+/**
+ * Distinct policy domains and reporters in the library, for filter menus
+ * @param {Object[]} entries - Library entries
+ * @returns {{domains: string[], reporters: string[]}} Sorted values
+ */
+function getLibraryFacets(entries) {
+  const domains = new Set();
+  const reporters = new Set();
+  for (const entry of entries) {
+    if (entry.domain) domains.add(entry.domain);
+    reporters.add(entry.orgName);
+  }
+  return {
+    domains: [...domains].sort(),
+    reporters: [...reporters].sort((a, b) => a.localeCompare(b))
+  };
+}
+
+/**
+ * Find entries older than the retention period
+ * Age is measured from the end of the report's date range (or when it was
+ * stored, for reports without one).
+ * @param {Object[]} entries - Library entries
+ * @param {number} retentionDays - Days to keep (0 or less keeps everything)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {string[]} Ids of expired entries
+ */
+function findExpiredLibraryEntries(entries, retentionDays, now = Date.now()) {
+  if (!(retentionDays > 0)) return [];
+  const cutoff = now - retentionDays * DAY_MS;
+  return entries
+    .filter(entry => (entry.dateEnd ?? toLibraryTime(entry.storedAt) ?? now) < cutoff)
+    .map(entry => entry.id);
+}
+
+/**
+ * Fill in stored library settings
+ * @param {Object} [stored] - Stored settings
+ * @returns {{autoSave: boolean, retentionDays: number}} Complete settings
+ */
+function normalizeReportLibrarySettings(stored) {
+  const retentionDays = Number(stored?.retentionDays);
+  return {
+    autoSave: typeof stored?.autoSave === 'boolean' ? stored.autoSave : DEFAULT_REPORT_LIBRARY_SETTINGS.autoSave,
+    retentionDays: retentionDays > 0 ? Math.floor(retentionDays) : 0
+  };
+}
+
+// =============================================================================
+// IndexedDB Storage
+// =============================================================================
+
+/**
+ * Promisify an IndexedDB request
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<*>} Request result
+ */
+function libraryRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open the library database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openReportLibraryDb() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(REPORT_LIBRARY_DB_NAME, REPORT_LIBRARY_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(LIBRARY_REPORTS_STORE)) {
+      const reports = db.createObjectStore(LIBRARY_REPORTS_STORE, { keyPath: 'id' });
+      reports.createIndex('domain', 'domain');
+      reports.createIndex('dateEnd', 'dateEnd');
+    }
+    if (!db.objectStoreNames.contains(LIBRARY_XML_STORE)) {
+      db.createObjectStore(LIBRARY_XML_STORE, { keyPath: 'id' });
+    }
+  };
+  return libraryRequest(request);
+}
+
+/**
+ * Run an operation in one transaction over both library stores
+ * Resolves once the transaction commits.
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - ({reports, xml}) => result (may be a promise)
+ * @returns {Promise<*>} Operation result
+ */
+async function withReportLibrary(mode, operation) {
+  const db = await openReportLibraryDb();
+  try {
+    const tx = db.transaction([LIBRARY_REPORTS_STORE, LIBRARY_XML_STORE], mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Library transaction aborted'));
+    });
+    const result = await operation({
+      reports: tx.objectStore(LIBRARY_REPORTS_STORE),
+      xml: tx.objectStore(LIBRARY_XML_STORE)
+    });
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Store a parsed report and its XML, unless the same report is already stored
+ * @param {Object} report - Parsed DMARC report
+ * @param {string} xml - Raw report XML
+ * @param {string} [filename] - Source filename
+ * @returns {Promise<{id: string, added: boolean}|null>} Result, or null when the report has no id
+ */
+async function saveReportToLibrary(report, xml, filename) {
+  const entry = createLibraryEntry(report, { filename, size: xml ? xml.length : 0 });
+  if (!entry || !xml) return null;
+
+  const added = await withReportLibrary('readwrite', async ({ reports, xml: xmlStore }) => {
+    const existing = await libraryRequest(reports.getKey(entry.id));
+    if (existing !== undefined) return false;
+    reports.put(entry);
+    xmlStore.put({ id: entry.id, xml });
+    return true;
+  });
+
+  return { id: entry.id, added };
+}
+
+/**
+ * List every stored report (summaries only)
+ * @returns {Promise<Object[]>} Library entries
+ */
+function listLibraryReports() {
+  return withReportLibrary('readonly', ({ reports }) => libraryRequest(reports.getAll()));
+}
+
+/**
+ * Load a stored report's XML
+ * @param {string} id - Library id
+ * @returns {Promise<string|null>} XML, or null when not stored
+ */
+async function getLibraryReportXml(id) {
+  const stored = await withReportLibrary('readonly', ({ xml }) => libraryRequest(xml.get(id)));
+  return stored ? stored.xml : null;
+}
+
+/**
+ * Record the ASNs of stored reports' sources once their IPs are looked up
+ * Sources that already have an ASN keep it.
+ * @param {string[]} ids - Library ids
+ * @param {Map<string, string>} asnByIp - Normalized IP -> ASN (e.g. "AS15169")
+ * @returns {Promise<number>} Number of entries updated
+ */
+async function recordLibrarySourceAsns(ids, asnByIp) {
+  if (ids.length === 0 || asnByIp.size === 0) return 0;
+  return withReportLibrary('readwrite', async ({ reports }) => {
+    let updated = 0;
+    for (const id of ids) {
+      const entry = await libraryRequest(reports.get(id));
+      if (!entry?.sources) continue;
+      let changed = false;
+      for (const source of entry.sources) {
+        if (!source.asn && asnByIp.has(source.ip)) {
+          source.asn = asnByIp.get(source.ip);
+          changed = true;
+        }
+      }
+      if (changed) {
+        reports.put(entry);
+        updated++;
+      }
+    }
+    return updated;
+  });
+}
+
+/**
+ * Delete stored reports
+ * @param {string[]} ids - Library ids
+ * @returns {Promise<number>} Number of ids deleted
+ */
+async function deleteLibraryReports(ids) {
+  if (ids.length === 0) return 0;
+  await withReportLibrary('readwrite', ({ reports, xml }) => {
+    for (const id of ids) {
+      reports.delete(id);
+      xml.delete(id);
+    }
+  });
+  return ids.length;
+}
+
+/**
+ * Delete reports older than the retention period
+ * @param {number} retentionDays - Days to keep (0 keeps everything)
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<number>} Number of reports deleted
+ */
+async function applyLibraryRetention(retentionDays, now = Date.now()) {
+  if (!(retentionDays > 0)) return 0;
+  const expired = findExpiredLibraryEntries(await listLibraryReports(), retentionDays, now);
+  return deleteLibraryReports(expired);
+}
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Get library settings
+ * @returns {Promise<{autoSave: boolean, retentionDays: number}>} Settings
+ */
+async function getReportLibrarySettings() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+    return normalizeReportLibrarySettings(null);
+  }
+
+  try {
+    const result = await chrome.storage.local.get(REPORT_LIBRARY_SETTINGS_KEY);
+    return normalizeReportLibrarySettings(result[REPORT_LIBRARY_SETTINGS_KEY]);
+  } catch (err) {
+    console.warn('Report Library: Failed to read settings:', err.message);
+    return normalizeReportLibrarySettings(null);
+  }
+}
+
+/**
+ * Save library settings
+ * @param {{autoSave: boolean, retentionDays: number}} settings - Settings
+ * @returns {Promise<void>}
+ */
+async function saveReportLibrarySettings(settings) {
+  await chrome.storage.local.set({
+    [REPORT_LIBRARY_SETTINGS_KEY]: normalizeReportLibrarySettings(settings)
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DEFAULT_REPORT_LIBRARY_SETTINGS,
+    getLibraryReportId,
+    getReportLibraryIds,
+    createLibraryEntry,
+    filterLibraryEntries,
+    getLibraryFacets,
+    findExpiredLibraryEntries,
+    normalizeReportLibrarySettings,
+    saveReportToLibrary,
+    listLibraryReports,
+    getLibraryReportXml,
+    recordLibrarySourceAsns,
+    deleteLibraryReports,
+    applyLibraryRetention,
+    getReportLibrarySettings,
+    saveReportLibrarySettings
+  };
+}
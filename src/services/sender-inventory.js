@@ -0,0 +1,293 @@
+/**
+ * DMARC Report Reader - Known-Sender Inventory
+ * Persistent list of the organization's sending sources with owner, purpose
+ * and approval status, matched against report records
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * chrome.storage.local key of the inventory
+ * @constant {string}
+ */
+const SENDER_INVENTORY_KEY = 'senderInventory';
+
+/**
+ * Approval status of an inventory entry
+ * @constant {Object}
+ */
+const SENDER_STATUS = Object.freeze({
+  APPROVED: 'approved',
+  INVESTIGATING: 'investigating',
+  UNAUTHORIZED: 'unauthorized'
+});
+
+/**
+ * What an entry is keyed by, most specific first
+ * When several entries match a record the first type in this order wins.
+ * @constant {Object}
+ */
+const SENDER_KEY_TYPES = Object.freeze({
+  ip: 'IP / CIDR',
+  dkim: 'DKIM domain',
+  provider: 'Provider',
+  asn: 'ASN'
+});
+
+/**
+ * Maximum length of the owner and purpose texts
+ * @constant {number}
+ */
+const SENDER_TEXT_MAX_LENGTH = 200;
+
+// =============================================================================
+// Keys and Entries
+// =============================================================================
+
+/**
+ * Resolve the shared IP address helpers from the filter engine
+ * (globals in the browser, required under Node.js)
+ * @returns {{parseIpAddress: Function, normalizeIp: Function, isIpInCidr: Function}} Helpers
+ */
+function getSenderIpHelpers() {
+  return typeof isIpInCidr === 'function'
+    ? { parseIpAddress, normalizeIp, isIpInCidr }
+    : require('../viewer/modules/filter-engine.js');
+}
+
+/**
+ * Extract the AS number from an ASN text such as "AS15169 Google LLC"
+ * @param {string} value - ASN text or bare number
+ * @returns {string|null} e.g. "AS15169", or null
+ */
+function parseSenderAsn(value) {
+  const match = /^\s*(?:AS)?(\d{1,10})\b/i.exec(String(value || ''));
+  return match ? `AS${parseInt(match[1], 10)}` : null;
+}
+
+/**
+ * Normalize the key of an entry so equal senders compare equal
+ * IPs and networks take their canonical form (a bare IP is a /32 or /128),
+ * ASNs become "AS<number>", domains and provider ids lowercase.
+ * @param {string} type - SENDER_KEY_TYPES key
+ * @param {string} value - Key as entered
+ * @returns {string|null} Normalized key, or null if invalid for the type
+ */
+function normalizeSenderKey(type, value) {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+
+  switch (type) {
+    case 'ip': {
+      const ip = getSenderIpHelpers();
+      const [address, bitsText, ...rest] = text.split('/');
+      const parsed = ip.parseIpAddress(address);
+      if (!parsed || rest.length > 0) return null;
+      const maxBits = address.includes(':') && !parsed.mapped ? 128 : 32;
+      if (bitsText !== undefined && !/^\d{1,3}$/.test(bitsText)) return null;
+      const bits = bitsText === undefined ? maxBits : parseInt(bitsText, 10);
+      if (bits > maxBits) return null;
+      return `${ip.normalizeIp(address)}/${bits}`;
+    }
+    case 'asn':
+      return /^\s*(?:AS)?\d{1,10}\s*$/i.test(text) ? parseSenderAsn(text) : null;
+    case 'provider':
+      return /^[a-z0-9_-]+$/i.test(text) ? text.toLowerCase() : null;
+    case 'dkim': {
+      const domain = text.toLowerCase().replace(/\.$/, '');
+      return /^(?=.{1,253}$)([a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?\.)+[a-z0-9-]{2,63}$/.test(domain) ? domain : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate an entry as entered
+ * @param {{type: string, value: string, owner?: string, purpose?: string, status: string}} entry - Entry
+ * @returns {string[]} Problems, empty when the entry is valid
+ */
+function validateSenderEntry(entry) {
+  const problems = [];
+  if (!Object.hasOwn(SENDER_KEY_TYPES, entry?.type)) {
+    problems.push('Choose what the sender is identified by');
+  } else if (!normalizeSenderKey(entry.type, entry.value)) {
+    const examples = {
+      ip: 'an IP address or CIDR range, e.g. 192.0.2.0/24',
+      dkim: 'a domain name, e.g. mail.example.com',
+      provider: 'a provider id, e.g. sendgrid',
+      asn: 'an AS number, e.g. AS15169'
+    };
+    problems.push(`${SENDER_KEY_TYPES[entry.type]} must be ${examples[entry.type]}`);
+  }
+  if (!Object.values(SENDER_STATUS).includes(entry?.status)) {
+    problems.push('Status must be approved, investigating or unauthorized');
+  }
+  for (const field of ['owner', 'purpose']) {
+    if (String(entry?.[field] ?? '').length > SENDER_TEXT_MAX_LENGTH) {
+      problems.push(`${field[0].toUpperCase()}${field.slice(1)} must be at most ${SENDER_TEXT_MAX_LENGTH} characters`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Normalize a stored or entered entry
+ * @param {Object} entry - Entry
+ * @returns {{id: string, type: string, value: string, owner: string, purpose: string, status: string, updated: number}|null} Entry, or null if invalid
+ */
+function normalizeSenderEntry(entry) {
+  if (!entry || typeof entry !== 'object' || validateSenderEntry(entry).length > 0) return null;
+  const value = normalizeSenderKey(entry.type, entry.value);
+  return {
+    id: `${entry.type}:${value}`,
+    type: entry.type,
+    value,
+    owner: String(entry.owner ?? '').trim(),
+    purpose: String(entry.purpose ?? '').trim(),
+    status: entry.status,
+    updated: Number.isFinite(entry.updated) ? entry.updated : Date.now()
+  };
+}
+
+/**
+ * Normalize a stored inventory: invalid entries are dropped, and of entries
+ * with the same key the later one is kept
+ * @param {*} stored - Value read from storage
+ * @returns {Object[]} Entries in stored order
+ */
+function normalizeSenderInventory(stored) {
+  if (!Array.isArray(stored)) return [];
+  const byId = new Map();
+  for (const raw of stored) {
+    const entry = normalizeSenderEntry(raw);
+    if (entry) {
+      byId.delete(entry.id);
+      byId.set(entry.id, entry);
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Add an entry, replacing one with the same key (or the entry being edited)
+ * @param {Object[]} entries - Current entries
+ * @param {Object} entry - Entry to add
+ * @param {string} [replaceId] - Id of the entry being edited
+ * @returns {Object[]} New entry list
+ */
+function upsertSenderEntry(entries, entry, replaceId = null) {
+  const normalized = normalizeSenderEntry({ ...entry, updated: Date.now() });
+  if (!normalized) return entries;
+  return [
+    ...entries.filter(existing => existing.id !== normalized.id && existing.id !== replaceId),
+    normalized
+  ];
+}
+
+// =============================================================================
+// Matching
+// =============================================================================
+
+/**
+ * Identify the sender of a record
+ * Only DKIM signatures that passed are used: the d= of a failing signature
+ * can be forged by anyone.
+ * @param {Object} record - Report record
+ * @param {{geo?: Object, provider?: Object}} [context] - IP lookup result and fingerprinted provider
+ * @returns {{ip: string|null, dkimDomains: string[], providerId: string|null, asn: string|null}} Identity
+ */
+function getSenderIdentity(record, context = {}) {
+  const dkimDomains = (record.authResults?.dkim || [])
+    .filter(result => result.result === 'pass' && result.domain)
+    .map(result => result.domain.toLowerCase().replace(/\.$/, ''));
+  const providerId = context.provider && context.provider.id !== 'unknown' ? context.provider.id : null;
+  const asn = context.geo && !context.geo.error ? parseSenderAsn(context.geo.asn) : null;
+  return { ip: record.sourceIp || null, dkimDomains, providerId, asn };
+}
+
+/**
+ * Find the inventory entry of a record's sender
+ * IP entries win over DKIM domain, provider and ASN entries; among IP
+ * entries the longest prefix wins.
+ * @param {Object} record - Report record
+ * @param {Object[]} entries - Normalized inventory entries
+ * @param {{geo?: Object, provider?: Object}} [context] - IP lookup result and fingerprinted provider
+ * @returns {Object|null} Matching entry
+ */
+function matchSender(record, entries, context = {}) {
+  if (!entries || entries.length === 0) return null;
+  const identity = getSenderIdentity(record, context);
+  const ip = getSenderIpHelpers();
+
+  let best = null;
+  let bestBits = -1;
+  if (identity.ip) {
+    for (const entry of entries) {
+      if (entry.type !== 'ip' || !ip.isIpInCidr(identity.ip, entry.value)) continue;
+      const bits = parseInt(entry.value.slice(entry.value.lastIndexOf('/') + 1), 10) +
+        (entry.value.includes(':') ? 0 : 96);
+      if (bits > bestBits) {
+        best = entry;
+        bestBits = bits;
+      }
+    }
+  }
+  if (best) return best;
+
+  return entries.find(entry => entry.type === 'dkim' && identity.dkimDomains.includes(entry.value)) ||
+    entries.find(entry => entry.type === 'provider' && entry.value === identity.providerId) ||
+    entries.find(entry => entry.type === 'asn' && entry.value === identity.asn) ||
+    null;
+}
+
+// =============================================================================
+// Storage
+// =============================================================================
+
+/**
+ * Read the inventory
+ * @returns {Promise<Object[]>} Entries
+ */
+async function getSenderInventory() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) return [];
+
+  try {
+    const result = await chrome.storage.local.get(SENDER_INVENTORY_KEY);
+    return normalizeSenderInventory(result[SENDER_INVENTORY_KEY]);
+  } catch (err) {
+    console.warn('Sender Inventory: Failed to read inventory:', err.message);
+    return [];
+  }
+}
+
+/**
+ * Save the inventory
+ * @param {Object[]} entries - Entries
+ * @returns {Promise<Object[]>} Entries as saved
+ */
+async function saveSenderInventory(entries) {
+  const normalized = normalizeSenderInventory(entries);
+  await chrome.storage.local.set({ [SENDER_INVENTORY_KEY]: normalized });
+  return normalized;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SENDER_STATUS,
+    SENDER_KEY_TYPES,
+    parseSenderAsn,
+    normalizeSenderKey,
+    validateSenderEntry,
+    normalizeSenderEntry,
+    normalizeSenderInventory,
+    upsertSenderEntry,
+    getSenderIdentity,
+    matchSender,
+    getSenderInventory,
+    saveSenderInventory
+  };
+}
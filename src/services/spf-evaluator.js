@@ -0,0 +1,989 @@
+/**
+ * DMARC Report Reader - SPF Evaluator
+ * Evaluates SPF records (RFC 7208) for a report's source IPs without a
+ * mail server, to show which mechanism authorizes a source or why none does
+ *
+ * Features:
+ * - SPF record parsing with qualifiers, CIDR lengths and macros
+ * - include:, redirect=, a, mx, ptr, exists, ip4 and ip6 evaluation
+ * - RFC 7208 limits: 10 DNS lookups, 2 void lookups, 10 MX/PTR names
+ * - Resolvers behind one interface: a pasted zone file (offline, also used
+ *   by tests) or a DNS-over-HTTPS endpoint (JSON API)
+ */
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/**
+ * Maximum mechanisms and modifiers that query DNS (RFC 7208 section 4.6.4)
+ * @constant {number}
+ */
+const SPF_LOOKUP_LIMIT = 10;
+
+/**
+ * Maximum DNS queries returning no records (RFC 7208 section 4.6.4)
+ * @constant {number}
+ */
+const SPF_VOID_LOOKUP_LIMIT = 2;
+
+/**
+ * Maximum MX or PTR names looked up for one mechanism (RFC 7208 section 4.6.4)
+ * @constant {number}
+ */
+const SPF_NAME_LIMIT = 10;
+
+/**
+ * SPF evaluation results (RFC 7208 section 2.6)
+ * @constant {Object}
+ */
+const SPF_RESULTS = Object.freeze({
+  PASS: 'pass',
+  FAIL: 'fail',
+  SOFTFAIL: 'softfail',
+  NEUTRAL: 'neutral',
+  NONE: 'none',
+  PERMERROR: 'permerror',
+  TEMPERROR: 'temperror'
+});
+
+/**
+ * Result of a matching mechanism per qualifier
+ * @constant {Object}
+ */
+const SPF_QUALIFIERS = Object.freeze({
+  '+': SPF_RESULTS.PASS,
+  '-': SPF_RESULTS.FAIL,
+  '~': SPF_RESULTS.SOFTFAIL,
+  '?': SPF_RESULTS.NEUTRAL
+});
+
+/**
+ * Mechanisms that query DNS and count against SPF_LOOKUP_LIMIT
+ * @constant {string[]}
+ */
+const SPF_LOOKUP_MECHANISMS = Object.freeze(['include', 'a', 'mx', 'ptr', 'exists']);
+
+/**
+ * Record types a resolver answers
+ * @constant {string[]}
+ */
+const SPF_RECORD_TYPES = Object.freeze(['TXT', 'A', 'AAAA', 'MX', 'PTR', 'CNAME']);
+
+/**
+ * DNS type codes used by the DNS-over-HTTPS JSON API
+ * @constant {Object}
+ */
+const DNS_TYPE_CODES = Object.freeze({ A: 1, CNAME: 5, PTR: 12, MX: 15, TXT: 16, AAAA: 28 });
+
+/**
+ * CNAME hops a zone resolver follows before giving up
+ * @constant {number}
+ */
+const ZONE_CNAME_LIMIT = 8;
+
+/**
+ * chrome.storage.local key for resolver settings
+ * @constant {string}
+ */
+const SPF_RESOLVER_SETTINGS_KEY = 'spfResolverSettings';
+
+/**
+ * Default resolver settings (no endpoint: evaluation only uses pasted zones)
+ * @constant {{dohEndpoint: string}}
+ */
+const DEFAULT_SPF_RESOLVER_SETTINGS = Object.freeze({
+  dohEndpoint: ''
+});
+
+/**
+ * IP helpers from the filter engine
+ * The evaluator loads before the viewer modules, so they are looked up
+ * when needed instead of at load time.
+ * @returns {{parseIpAddress: Function, normalizeIp: Function, isIpInCidr: Function}} Helpers
+ */
+function getSpfIpHelpers() {
+  return typeof isIpInCidr === 'function'
+    ? { parseIpAddress, normalizeIp, isIpInCidr }
+    : require('../viewer/modules/filter-engine.js');
+}
+
+/**
+ * Normalize a DNS name: lowercase, no surrounding whitespace or trailing dot
+ * @param {string} name - DNS name
+ * @returns {string} Normalized name
+ */
+function normalizeDnsName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\.+$/, '');
+}
+
+// =============================================================================
+// Record Parsing
+// =============================================================================
+
+/**
+ * Check whether a TXT string is an SPF record
+ * @param {string} txt - TXT record text
+ * @returns {boolean} True when it starts with the v=spf1 version tag
+ */
+function isSpfRecord(txt) {
+  return /^v=spf1(\s|$)/i.test(String(txt || '').trim());
+}
+
+/**
+ * Split a dual CIDR suffix off a domain-spec ("example.com/24//64")
+ * @param {string} text - Mechanism argument, possibly empty
+ * @returns {{domain: string, cidr4: number|null, cidr6: number|null}|null} Parts, or null when malformed
+ */
+function splitSpfCidr(text) {
+  const match = /^(.*?)(?:\/(\d{1,2}))?(?:\/\/(\d{1,3}))?$/.exec(text);
+  if (!match) return null;
+  const cidr4 = match[2] !== undefined ? parseInt(match[2], 10) : null;
+  const cidr6 = match[3] !== undefined ? parseInt(match[3], 10) : null;
+  if ((cidr4 !== null && cidr4 > 32) || (cidr6 !== null && cidr6 > 128)) return null;
+  return { domain: match[1], cidr4, cidr6 };
+}
+
+/**
+ * Parse an SPF record into its terms
+ * Unknown modifiers are ignored as RFC 7208 requires; unknown mechanisms,
+ * repeated redirect/exp modifiers and malformed arguments make the record
+ * invalid, which evaluation reports as permerror.
+ * @param {string} txt - SPF record text
+ * @returns {{mechanisms: Object[], redirect: string|null, exp: string|null, error: string|null}} Parsed record
+ */
+function parseSpfRecord(txt) {
+  const parsed = { mechanisms: [], redirect: null, exp: null, error: null };
+  if (!isSpfRecord(txt)) {
+    parsed.error = 'the record does not start with v=spf1';
+    return parsed;
+  }
+
+  const terms = String(txt).trim().split(/\s+/).slice(1);
+  for (const term of terms) {
+    const modifier = /^([a-z][a-z0-9_.-]*)=(.*)$/i.exec(term);
+    if (modifier) {
+      const name = modifier[1].toLowerCase();
+      if (name !== 'redirect' && name !== 'exp') continue;
+      if (parsed[name] !== null) {
+        parsed.error = `the ${name}= modifier appears more than once`;
+        return parsed;
+      }
+      if (!modifier[2]) {
+        parsed.error = `the ${name}= modifier has no domain`;
+        return parsed;
+      }
+      parsed[name] = modifier[2];
+      continue;
+    }
+
+    const mechanism = /^([+\-~?]?)([a-z0-9]+)(?::(.*))?(\/.*)?$/i.exec(term);
+    const name = mechanism ? mechanism[2].toLowerCase() : null;
+    if (!mechanism || !['all', 'include', 'a', 'mx', 'ptr', 'ip4', 'ip6', 'exists'].includes(name)) {
+      parsed.error = `unknown term "${term}"`;
+      return parsed;
+    }
+
+    const entry = {
+      term,
+      qualifier: mechanism[1] || '+',
+      mechanism: name,
+      domain: null,
+      cidr4: null,
+      cidr6: null,
+      network: null
+    };
+    const argument = mechanism[3];
+    const cidrText = mechanism[4] || '';
+    const combined = `${argument || ''}${cidrText}`;
+
+    if (name === 'all') {
+      if (argument !== undefined || cidrText) {
+        parsed.error = `"${term}" takes no argument`;
+        return parsed;
+      }
+    } else if (name === 'ip4' || name === 'ip6') {
+      const slash = combined.indexOf('/');
+      const network = slash === -1 ? combined : combined.slice(0, slash);
+      const bits = slash === -1 ? (name === 'ip4' ? '32' : '128') : combined.slice(slash + 1);
+      const ip = getSpfIpHelpers().parseIpAddress(network);
+      const version = name === 'ip4' ? 4 : 6;
+      if (!ip || network.includes(':') !== (version === 6) || !/^\d{1,3}$/.test(bits) ||
+          parseInt(bits, 10) > (version === 4 ? 32 : 128)) {
+        parsed.error = `"${term}" is not a valid ${name} network`;
+        return parsed;
+      }
+      entry.network = `${network}/${parseInt(bits, 10)}`;
+    } else if (name === 'include' || name === 'exists') {
+      if (!argument || cidrText) {
+        parsed.error = `"${term}" needs a domain`;
+        return parsed;
+      }
+      entry.domain = argument;
+    } else {
+      // a, mx and ptr take an optional domain; a and mx an optional dual CIDR
+      const parts = splitSpfCidr(combined);
+      if (!parts || (argument !== undefined && !parts.domain) || (name === 'ptr' && (parts.cidr4 !== null || parts.cidr6 !== null))) {
+        parsed.error = `"${term}" is malformed`;
+        return parsed;
+      }
+      entry.domain = parts.domain || null;
+      entry.cidr4 = parts.cidr4;
+      entry.cidr6 = parts.cidr6;
+    }
+
+    parsed.mechanisms.push(entry);
+  }
+
+  return parsed;
+}
+
+// =============================================================================
+// Macros
+// =============================================================================
+
+/**
+ * Expand the macros of a domain-spec (RFC 7208 section 7)
+ * The sender's local part is unknown from an aggregate report, so
+ * "postmaster" stands in for it, as RFC 7208 does for empty senders.
+ * @param {string} spec - Domain-spec, possibly with macros
+ * @param {{ip: string, domain: string, sender: string, helo: string}} context - Evaluation context
+ * @returns {string|null} Expanded domain, or null when a macro is malformed
+ */
+function expandSpfMacros(spec, context) {
+  const ip = getSpfIpHelpers().parseIpAddress(context.ip);
+  const [localPart, senderDomain] = context.sender.split('@');
+  const dottedIp = () => {
+    if (!ip || ip.version === 4) return getSpfIpHelpers().normalizeIp(context.ip);
+    return ip.value.toString(16).padStart(32, '0').split('').join('.');
+  };
+  const values = {
+    s: () => context.sender,
+    l: () => localPart,
+    o: () => senderDomain,
+    d: () => context.domain,
+    i: dottedIp,
+    p: () => 'unknown',
+    v: () => (ip && ip.version === 6 ? 'ip6' : 'in-addr'),
+    h: () => context.helo
+  };
+
+  let failed = false;
+  const expanded = spec.replace(/%(?:\{([a-z])(\d*)(r?)([.\-+,/_=]*)\}|(.))/gi, (whole, letter, digits, reverse, delimiters, escape) => {
+    if (escape !== undefined) {
+      if (escape === '%') return '%';
+      if (escape === '_') return ' ';
+      if (escape === '-') return '%20';
+      failed = true;
+      return whole;
+    }
+    const value = values[letter.toLowerCase()];
+    if (!value) {
+      failed = true;
+      return whole;
+    }
+    const splitter = new RegExp(`[${(delimiters || '.').replace(/[-\\\]^]/g, '\\$&')}]`);
+    let parts = String(value()).split(splitter);
+    if (reverse) parts = parts.reverse();
+    if (digits) parts = parts.slice(-Math.max(1, parseInt(digits, 10)));
+    return parts.join('.');
+  });
+
+  return failed ? null : expanded;
+}
+
+// =============================================================================
+// Evaluation
+// =============================================================================
+
+/**
+ * Create an error that ends evaluation with a result
+ * @param {string} result - SPF_RESULTS value (permerror or temperror)
+ * @param {string} reason - Plain text reason
+ * @returns {Error} Error carrying spfResult
+ */
+function createSpfAbort(result, reason) {
+  const err = new Error(reason);
+  err.spfResult = result;
+  return err;
+}
+
+/**
+ * Query the resolver, counting void lookups
+ * @param {Object} state - Evaluation state
+ * @param {string} name - DNS name
+ * @param {string} type - Record type
+ * @param {boolean} [countVoid=true] - Whether an empty answer is a void lookup
+ * @returns {Promise<Array>} Answers
+ */
+async function querySpfResolver(state, name, type, countVoid = true) {
+  let answers;
+  try {
+    answers = await state.resolver.resolve(name, type);
+  } catch (err) {
+    throw createSpfAbort(SPF_RESULTS.TEMPERROR, `DNS ${type} lookup for ${name} failed: ${err.message}`);
+  }
+  answers = Array.isArray(answers) ? answers : [];
+  if (answers.length === 0 && countVoid) {
+    state.voidLookups++;
+    if (state.voidLookups > SPF_VOID_LOOKUP_LIMIT) {
+      throw createSpfAbort(SPF_RESULTS.PERMERROR,
+        `more than ${SPF_VOID_LOOKUP_LIMIT} DNS lookups returned no records (the last was ${type} ${name})`);
+    }
+  }
+  return answers;
+}
+
+/**
+ * Count a DNS-querying term against the lookup limit
+ * @param {Object} state - Evaluation state
+ * @param {string} term - Term being evaluated
+ * @param {string} domain - Domain whose record holds the term
+ */
+function countSpfLookup(state, term, domain) {
+  state.lookups++;
+  if (state.lookups > SPF_LOOKUP_LIMIT) {
+    throw createSpfAbort(SPF_RESULTS.PERMERROR,
+      `more than ${SPF_LOOKUP_LIMIT} DNS lookups; the limit was exceeded at ${term} in ${domain}`);
+  }
+}
+
+/**
+ * Resolve the addresses of a host in the source IP's address family
+ * @param {Object} state - Evaluation state
+ * @param {string} host - Host name
+ * @param {boolean} [countVoid=true] - Whether an empty answer is a void lookup
+ * @returns {Promise<string[]>} Addresses
+ */
+function resolveSpfAddresses(state, host, countVoid = true) {
+  return querySpfResolver(state, host, state.ipVersion === 6 ? 'AAAA' : 'A', countVoid);
+}
+
+/**
+ * Check whether the source IP is in any of the addresses with a CIDR length
+ * @param {Object} state - Evaluation state
+ * @param {string[]} addresses - Addresses of the source IP's family
+ * @param {Object} entry - Parsed mechanism
+ * @returns {string|null} Matching network, or null
+ */
+function matchSpfAddresses(state, addresses, entry) {
+  const bits = state.ipVersion === 6 ? (entry.cidr6 ?? 128) : (entry.cidr4 ?? 32);
+  const helpers = getSpfIpHelpers();
+  for (const address of addresses) {
+    const network = `${address}/${bits}`;
+    if (helpers.isIpInCidr(state.ip, network)) return network;
+  }
+  return null;
+}
+
+/**
+ * Evaluate the ptr mechanism: a validated reverse name at or below the target
+ * @param {Object} state - Evaluation state
+ * @param {string} target - Target domain
+ * @returns {Promise<string|null>} Matching host name, or null
+ */
+async function matchSpfPtr(state, target) {
+  const reverseName = state.ipVersion === 6
+    ? `${expandSpfMacros('%{ir}', state.context)}.ip6.arpa`
+    : `${expandSpfMacros('%{ir}', state.context)}.in-addr.arpa`;
+  const names = (await querySpfResolver(state, reverseName, 'PTR')).slice(0, SPF_NAME_LIMIT);
+  for (const name of names.map(normalizeDnsName)) {
+    if (name !== target && !name.endsWith(`.${target}`)) continue;
+    const addresses = await resolveSpfAddresses(state, name, false);
+    if (matchSpfAddresses(state, addresses, { cidr4: null, cidr6: null })) return name;
+  }
+  return null;
+}
+
+/**
+ * Evaluate one mechanism
+ * @param {Object} state - Evaluation state
+ * @param {Object} entry - Parsed mechanism
+ * @param {string} domain - Domain whose record holds the mechanism
+ * @param {string[]} path - include: terms leading to the domain
+ * @returns {Promise<{matched: boolean, detail: string|null, nested: Object|null}>} Match outcome
+ */
+async function evaluateSpfMechanism(state, entry, domain, path) {
+  if (SPF_LOOKUP_MECHANISMS.includes(entry.mechanism)) countSpfLookup(state, entry.term, domain);
+
+  let target = domain;
+  if (entry.domain) {
+    target = normalizeDnsName(expandSpfMacros(entry.domain, { ...state.context, domain }));
+    if (!target) throw createSpfAbort(SPF_RESULTS.PERMERROR, `the ${entry.term} mechanism of ${domain} has a malformed macro`);
+  }
+
+  switch (entry.mechanism) {
+    case 'all':
+      return { matched: true, detail: null, nested: null };
+
+    case 'ip4':
+    case 'ip6': {
+      const family = entry.mechanism === 'ip4' ? 4 : 6;
+      const matched = state.ipVersion === family && getSpfIpHelpers().isIpInCidr(state.ip, entry.network);
+      return { matched, detail: null, nested: null };
+    }
+
+    case 'a': {
+      const network = matchSpfAddresses(state, await resolveSpfAddresses(state, target), entry);
+      return { matched: Boolean(network), detail: network ? `${target} resolves to ${network}` : null, nested: null };
+    }
+
+    case 'mx': {
+      const hosts = await querySpfResolver(state, target, 'MX');
+      if (hosts.length > SPF_NAME_LIMIT) {
+        throw createSpfAbort(SPF_RESULTS.PERMERROR, `the ${entry.term} mechanism of ${domain} finds more than ${SPF_NAME_LIMIT} MX records at ${target}`);
+      }
+      for (const host of hosts.map(normalizeDnsName)) {
+        const network = matchSpfAddresses(state, await resolveSpfAddresses(state, host, false), entry);
+        if (network) return { matched: true, detail: `MX host ${host} resolves to ${network}`, nested: null };
+      }
+      return { matched: false, detail: null, nested: null };
+    }
+
+    case 'ptr': {
+      const name = await matchSpfPtr(state, target);
+      return { matched: Boolean(name), detail: name ? `reverse name ${name}` : null, nested: null };
+    }
+
+    case 'exists': {
+      const addresses = await querySpfResolver(state, target, 'A');
+      return { matched: addresses.length > 0, detail: addresses.length > 0 ? `${target} exists` : null, nested: null };
+    }
+
+    case 'include': {
+      const nested = await checkSpfHost(state, target, [...path, entry.term]);
+      if (nested.result === SPF_RESULTS.TEMPERROR) throw createSpfAbort(SPF_RESULTS.TEMPERROR, nested.reason);
+      if (nested.result === SPF_RESULTS.PERMERROR) throw createSpfAbort(SPF_RESULTS.PERMERROR, nested.reason);
+      if (nested.result === SPF_RESULTS.NONE) {
+        throw createSpfAbort(SPF_RESULTS.PERMERROR, `the ${entry.term} mechanism of ${domain} points to a domain without an SPF record`);
+      }
+      return { matched: nested.result === SPF_RESULTS.PASS, detail: null, nested };
+    }
+
+    default:
+      throw createSpfAbort(SPF_RESULTS.PERMERROR, `unknown mechanism ${entry.term}`);
+  }
+}
+
+/**
+ * Evaluate the SPF record of a domain (the check_host() function)
+ * @param {Object} state - Evaluation state
+ * @param {string} domain - Domain to evaluate
+ * @param {string[]} path - include: and redirect= terms leading to the domain
+ * @returns {Promise<Object>} Partial evaluation: result, mechanism, matchedDomain, path, detail, reason
+ */
+async function checkSpfHost(state, domain, path) {
+  const depth = path.length;
+  if (path.length > SPF_LOOKUP_LIMIT) {
+    throw createSpfAbort(SPF_RESULTS.PERMERROR, `include loop through ${domain}`);
+  }
+
+  const records = (await querySpfResolver(state, domain, 'TXT')).filter(isSpfRecord);
+  if (records.length === 0) {
+    state.trace.push({ depth, domain, term: null, outcome: 'no SPF record' });
+    return { result: SPF_RESULTS.NONE, mechanism: null, matchedDomain: domain, path, detail: null, reason: `no SPF record is published at ${domain}` };
+  }
+  if (records.length > 1) {
+    throw createSpfAbort(SPF_RESULTS.PERMERROR, `the domain ${domain} publishes ${records.length} SPF records; only one is allowed`);
+  }
+
+  const record = parseSpfRecord(records[0]);
+  state.records.push({ domain, record: records[0] });
+  if (record.error) {
+    throw createSpfAbort(SPF_RESULTS.PERMERROR, `the SPF record of ${domain} is invalid: ${record.error}`);
+  }
+
+  for (const entry of record.mechanisms) {
+    // The step is listed before the records an include: expands to
+    const step = { depth, domain, term: entry.term, outcome: 'error' };
+    state.trace.push(step);
+    const outcome = await evaluateSpfMechanism(state, entry, domain, path);
+    step.outcome = outcome.matched ? 'match' : 'no match';
+    if (!outcome.matched) continue;
+
+    // A matching include: is reported by the mechanism it matched inside
+    if (outcome.nested) {
+      return { ...outcome.nested, result: SPF_QUALIFIERS[entry.qualifier] };
+    }
+    return {
+      result: SPF_QUALIFIERS[entry.qualifier],
+      mechanism: entry.term,
+      matchedDomain: domain,
+      path,
+      detail: outcome.detail,
+      reason: null
+    };
+  }
+
+  if (record.redirect) {
+    state.trace.push({ depth, domain, term: `redirect=${record.redirect}`, outcome: 'follow' });
+    countSpfLookup(state, `redirect=${record.redirect}`, domain);
+    const target = normalizeDnsName(expandSpfMacros(record.redirect, { ...state.context, domain }));
+    if (!target) throw createSpfAbort(SPF_RESULTS.PERMERROR, `the redirect=${record.redirect} modifier of ${domain} has a malformed macro`);
+    const redirected = await checkSpfHost(state, target, [...path, `redirect=${target}`]);
+    if (redirected.result === SPF_RESULTS.NONE) {
+      throw createSpfAbort(SPF_RESULTS.PERMERROR, `the redirect=${target} modifier of ${domain} points to a domain without an SPF record`);
+    }
+    return redirected;
+  }
+
+  return {
+    result: SPF_RESULTS.NEUTRAL,
+    mechanism: null,
+    matchedDomain: domain,
+    path,
+    detail: null,
+    reason: `no mechanism of ${domain} matched and the record has no "all", so the result defaults to neutral`
+  };
+}
+
+/**
+ * Explain an evaluation in one sentence
+ * @param {Object} evaluation - Evaluation without a reason
+ * @returns {string} Plain text
+ */
+function describeSpfOutcome(evaluation) {
+  const via = evaluation.path.length > 0 ? ` via ${evaluation.path.join(' > ')}` : '';
+  const detail = evaluation.detail ? ` (${evaluation.detail})` : '';
+  if (evaluation.result === SPF_RESULTS.PASS) {
+    return `${evaluation.ip} is authorized by ${evaluation.mechanism} in ${evaluation.matchedDomain}${via}${detail}`;
+  }
+  if (/^[+\-~?]?all$/i.test(evaluation.mechanism)) {
+    return `${evaluation.ip} is not covered by any mechanism of ${evaluation.matchedDomain}${via}, so ${evaluation.mechanism} returns ${evaluation.result}`;
+  }
+  return `${evaluation.ip} matches ${evaluation.mechanism} in ${evaluation.matchedDomain}${via}${detail}, which returns ${evaluation.result}`;
+}
+
+/**
+ * Evaluate SPF for a source IP and domain
+ * Never rejects: resolver failures become temperror and record problems
+ * permerror, each with a reason.
+ * @param {string} ip - Source IP
+ * @param {string} domain - SPF domain (MAIL FROM or HELO domain)
+ * @param {{resolve: function(string, string): Promise<Array>}} resolver - Resolver, see createZoneResolver
+ * @param {{sender?: string, helo?: string}} [options] - Envelope sender and HELO name for macros
+ * @returns {Promise<Object>} Evaluation: ip, domain, result, mechanism, matchedDomain, path, lookups, voidLookups, records, trace, reason
+ */
+async function evaluateSpf(ip, domain, resolver, options = {}) {
+  const helpers = getSpfIpHelpers();
+  const parsedIp = helpers.parseIpAddress(ip);
+  const spfDomain = normalizeDnsName(domain);
+  const state = {
+    ip: parsedIp ? helpers.normalizeIp(ip) : String(ip || ''),
+    ipVersion: parsedIp ? parsedIp.version : null,
+    resolver,
+    lookups: 0,
+    voidLookups: 0,
+    records: [],
+    trace: [],
+    context: null
+  };
+  state.context = {
+    ip: state.ip,
+    domain: spfDomain,
+    sender: options.sender || `postmaster@${spfDomain}`,
+    helo: options.helo || spfDomain
+  };
+
+  const evaluation = {
+    ip: state.ip,
+    domain: spfDomain,
+    result: SPF_RESULTS.NONE,
+    mechanism: null,
+    matchedDomain: null,
+    path: [],
+    detail: null,
+    reason: null
+  };
+
+  if (!parsedIp) {
+    evaluation.reason = `the source IP ${ip || '(empty)'} is not a valid IP address`;
+  } else if (!/^[a-z0-9_-]+(\.[a-z0-9_-]+)+$/.test(spfDomain)) {
+    evaluation.reason = `the SPF domain ${domain || '(empty)'} is not a valid domain name`;
+  } else {
+    try {
+      Object.assign(evaluation, await checkSpfHost(state, spfDomain, []));
+      if (!evaluation.reason) evaluation.reason = describeSpfOutcome(evaluation);
+    } catch (err) {
+      if (!err.spfResult) throw err;
+      evaluation.result = err.spfResult;
+      evaluation.reason = err.message;
+    }
+  }
+
+  if (evaluation.reason) {
+    evaluation.reason = evaluation.reason.charAt(0).toUpperCase() + evaluation.reason.slice(1);
+  }
+  return {
+    ...evaluation,
+    lookups: state.lookups,
+    voidLookups: state.voidLookups,
+    records: state.records,
+    trace: state.trace
+  };
+}
+
+/**
+ * SPF domain of a record: the reported SPF domain, else the envelope or header From
+ * @param {Object} record - Report record
+ * @returns {string} Normalized domain, or '' when the record has none
+ */
+function getRecordSpfDomain(record) {
+  return normalizeDnsName(record.authResults?.spf?.[0]?.domain ||
+    record.identifiers?.envelopeFrom ||
+    record.identifiers?.headerFrom);
+}
+
+/**
+ * Evaluate SPF for each distinct source IP and SPF domain of a report
+ * Pairs are evaluated one after another so a rate-limited resolver is not
+ * flooded; the resolver caches repeated names.
+ * @param {Object[]} records - Report records
+ * @param {Object} resolver - Resolver, see createZoneResolver
+ * @param {{includePassing?: boolean}} [options] - includePassing also evaluates records whose SPF passed
+ * @returns {Promise<Object[]>} Per pair: sourceIp, spfDomain, messages, reported (SPF result in the report), evaluation
+ */
+async function evaluateRecordsSpf(records, resolver, options = {}) {
+  const helpers = getSpfIpHelpers();
+  const pairs = new Map();
+  for (const record of records) {
+    if (!options.includePassing && record.policyEvaluated?.spf === 'pass') continue;
+    const sourceIp = helpers.normalizeIp(record.sourceIp);
+    const spfDomain = getRecordSpfDomain(record);
+    const key = `${sourceIp} ${spfDomain}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, {
+        sourceIp,
+        spfDomain,
+        messages: 0,
+        reported: record.authResults?.spf?.[0]?.result || 'none',
+        evaluation: null
+      });
+    }
+    pairs.get(key).messages += record.count || 0;
+  }
+
+  const results = [...pairs.values()];
+  for (const pair of results) {
+    pair.evaluation = await evaluateSpf(pair.sourceIp, pair.spfDomain, resolver);
+  }
+  return results.sort((a, b) => b.messages - a.messages || a.sourceIp.localeCompare(b.sourceIp));
+}
+
+// =============================================================================
+// Resolvers
+// =============================================================================
+
+/**
+ * Split a zone file line into tokens, keeping quoted strings together
+ * @param {string} line - Line without comments
+ * @returns {Array<{text: string, quoted: boolean}>} Tokens
+ */
+function tokenizeZoneLine(line) {
+  const tokens = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    tokens.push(match[1] !== undefined
+      ? { text: match[1].replace(/\\(.)/g, '$1'), quoted: true }
+      : { text: match[2], quoted: false });
+  }
+  return tokens;
+}
+
+/**
+ * Join parenthesized continuation lines and strip comments
+ * @param {string} text - Zone file text
+ * @returns {string[]} Logical lines
+ */
+function splitZoneLines(text) {
+  const lines = [];
+  let current = '';
+  let depth = 0;
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    let line = '';
+    let quoted = false;
+    for (let i = 0; i < raw.length; i++) {
+      const char = raw[i];
+      if (char === '\\' && quoted) {
+        line += char + (raw[i + 1] || '');
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+        line += char;
+      } else if (char === ';' && !quoted) {
+        break;
+      } else if ((char === '(' || char === ')') && !quoted) {
+        depth += char === '(' ? 1 : -1;
+        line += ' ';
+      } else {
+        line += char;
+      }
+    }
+    current = current ? `${current} ${line.trim()}` : line;
+    if (depth <= 0) {
+      lines.push(current);
+      current = '';
+      depth = 0;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Parse a zone file into records
+ * Understands BIND master file syntax: $ORIGIN, relative names, "@",
+ * optional TTL and class, owners carried over from the previous line,
+ * multi-string TXT data and parenthesized continuations.
+ * @param {string} text - Zone file text
+ * @param {string} [origin] - Initial origin for relative names
+ * @returns {{records: Array<{name: string, type: string, data: string}>, skipped: number}} Records and unreadable lines
+ */
+function parseZoneFile(text, origin = '') {
+  const records = [];
+  let skipped = 0;
+  let currentOrigin = normalizeDnsName(origin);
+  let previousOwner = currentOrigin;
+
+  const qualify = (name) => {
+    if (name === '@') return currentOrigin;
+    if (name.endsWith('.')) return normalizeDnsName(name);
+    return normalizeDnsName(currentOrigin ? `${name}.${currentOrigin}` : name);
+  };
+
+  for (const line of splitZoneLines(text)) {
+    if (!line.trim()) continue;
+    const tokens = tokenizeZoneLine(line);
+
+    if (tokens[0].text.toUpperCase() === '$ORIGIN') {
+      currentOrigin = normalizeDnsName(tokens[1]?.text);
+      continue;
+    }
+    if (tokens[0].text.startsWith('$')) continue;
+
+    let owner = previousOwner;
+    let index = 0;
+    if (!/^\s/.test(line)) {
+      owner = qualify(tokens[0].text);
+      index = 1;
+    }
+    // TTL and class may come in either order before the type
+    while (index < tokens.length && (/^\d+[smhdw]?$/i.test(tokens[index].text) || /^(IN|CH|HS)$/i.test(tokens[index].text))) {
+      index++;
+    }
+    const type = (tokens[index]?.text || '').toUpperCase();
+    const rdata = tokens.slice(index + 1);
+    if (!owner || !SPF_RECORD_TYPES.includes(type) || rdata.length === 0) {
+      if (!['SOA', 'NS', 'SRV', 'CAA', 'SPF', 'DS', 'DNSKEY', 'RRSIG', 'NSEC', 'TLSA'].includes(type)) skipped++;
+      previousOwner = owner;
+      continue;
+    }
+    previousOwner = owner;
+
+    let data;
+    if (type === 'TXT') {
+      data = rdata.map(token => token.text).join('');
+    } else if (type === 'MX') {
+      data = rdata[1] ? qualify(rdata[1].text) : null;
+    } else if (type === 'CNAME' || type === 'PTR') {
+      data = qualify(rdata[0].text);
+    } else {
+      data = rdata[0].text;
+    }
+    if (data === null) {
+      skipped++;
+      continue;
+    }
+    records.push({ name: owner, type, data, preference: type === 'MX' ? parseInt(rdata[0].text, 10) || 0 : null });
+  }
+
+  return { records, skipped };
+}
+
+/**
+ * Create a resolver answering from a pasted zone file
+ * Works offline; names that are not in the zone resolve to no records.
+ * Several zones can be pasted one after another, each with its own $ORIGIN.
+ * @param {string} text - Zone file text
+ * @param {{origin?: string}} [options] - Origin for relative names before any $ORIGIN
+ * @returns {{resolve: function(string, string): Promise<Array>, names: string[], skipped: number}} Resolver
+ */
+function createZoneResolver(text, options = {}) {
+  const { records, skipped } = parseZoneFile(text, options.origin);
+  const byName = new Map();
+  for (const record of records) {
+    if (!byName.has(record.name)) byName.set(record.name, []);
+    byName.get(record.name).push(record);
+  }
+
+  const lookup = (name, type) => {
+    let current = normalizeDnsName(name);
+    for (let hop = 0; hop <= ZONE_CNAME_LIMIT; hop++) {
+      const entries = byName.get(current) || [];
+      const answers = entries.filter(entry => entry.type === type);
+      if (answers.length > 0 || type === 'CNAME') {
+        return answers
+          .sort((a, b) => (a.preference ?? 0) - (b.preference ?? 0))
+          .map(entry => entry.data);
+      }
+      const alias = entries.find(entry => entry.type === 'CNAME');
+      if (!alias) return [];
+      current = alias.data;
+    }
+    throw new Error(`CNAME chain at ${name} is too long`);
+  };
+
+  return {
+    names: [...byName.keys()].sort(),
+    skipped,
+    resolve: async (name, type) => lookup(name, String(type).toUpperCase())
+  };
+}
+
+/**
+ * Read the answer data of a DNS-over-HTTPS JSON response
+ * @param {Object} body - Response body ({Status, Answer})
+ * @param {string} type - Record type asked for
+ * @returns {string[]} Answers
+ */
+function readDohAnswers(body, type) {
+  const code = DNS_TYPE_CODES[type];
+  return (body.Answer || [])
+    .filter(answer => answer.type === code)
+    .map(answer => {
+      const data = String(answer.data || '');
+      if (type === 'TXT') {
+        const chunks = tokenizeZoneLine(data);
+        return chunks.length > 0 && chunks.every(chunk => chunk.quoted)
+          ? chunks.map(chunk => chunk.text).join('')
+          : data;
+      }
+      if (type === 'MX') return normalizeDnsName(data.trim().split(/\s+/).pop());
+      if (type === 'CNAME' || type === 'PTR') return normalizeDnsName(data);
+      return data.trim();
+    });
+}
+
+/**
+ * Create a resolver querying a DNS-over-HTTPS endpoint (JSON API, as
+ * served by https://cloudflare-dns.com/dns-query and https://dns.google/resolve)
+ * Answers are cached for the resolver's lifetime; NXDOMAIN resolves to no
+ * records and other failures reject, which evaluation reports as temperror.
+ * @param {string} endpoint - Endpoint URL
+ * @param {{fetch?: Function}} [options] - fetch implementation (defaults to the global)
+ * @returns {{resolve: function(string, string): Promise<Array>}} Resolver
+ */
+function createDohResolver(endpoint, options = {}) {
+  const fetchImpl = options.fetch || fetch;
+  const cache = new Map();
+
+  const query = async (name, type) => {
+    const url = new URL(endpoint);
+    url.searchParams.set('name', name);
+    url.searchParams.set('type', type);
+    const response = await fetchImpl(url.toString(), { headers: { Accept: 'application/dns-json' } });
+    if (!response.ok) throw new Error(`DNS-over-HTTPS query failed with HTTP ${response.status}`);
+    const body = await response.json();
+    if (body.Status === 3) return [];
+    if (body.Status !== 0) throw new Error(`DNS-over-HTTPS query failed with DNS status ${body.Status}`);
+    return readDohAnswers(body, type);
+  };
+
+  return {
+    resolve(name, type) {
+      const key = `${normalizeDnsName(name)} ${String(type).toUpperCase()}`;
+      if (!cache.has(key)) {
+        const pending = query(normalizeDnsName(name), String(type).toUpperCase());
+        // Failed queries are not cached, so a retry asks again
+        pending.catch(() => cache.delete(key));
+        cache.set(key, pending);
+      }
+      return cache.get(key);
+    }
+  };
+}
+
+// =============================================================================
+// Settings
+// =============================================================================
+
+/**
+ * Validate a DNS-over-HTTPS endpoint
+ * @param {string} endpoint - Endpoint URL
+ * @returns {string|null} Problem, or null when usable (an empty endpoint is usable: none configured)
+ */
+function validateDohEndpoint(endpoint) {
+  if (!endpoint) return null;
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return 'The DNS-over-HTTPS endpoint is not a valid URL';
+  }
+  if (url.protocol !== 'https:') return 'The DNS-over-HTTPS endpoint must use https://';
+  return null;
+}
+
+/**
+ * Normalize stored resolver settings
+ * @param {Object|null|undefined} stored - Stored settings
+ * @returns {{dohEndpoint: string}} Settings
+ */
+function normalizeSpfResolverSettings(stored) {
+  const endpoint = typeof stored?.dohEndpoint === 'string' ? stored.dohEndpoint.trim() : '';
+  return {
+    dohEndpoint: endpoint && !validateDohEndpoint(endpoint) ? endpoint : DEFAULT_SPF_RESOLVER_SETTINGS.dohEndpoint
+  };
+}
+
+/**
+ * Load resolver settings
+ * @returns {Promise<{dohEndpoint: string}>} Settings
+ */
+async function getSpfResolverSettings() {
+  if (typeof chrome === 'undefined' || !chrome.storage?.local) {
+    return normalizeSpfResolverSettings(null);
+  }
+
+  try {
+    const result = await chrome.storage.local.get(SPF_RESOLVER_SETTINGS_KEY);
+    return normalizeSpfResolverSettings(result[SPF_RESOLVER_SETTINGS_KEY]);
+  } catch (err) {
+    console.warn('SPF Evaluator: Failed to read settings:', err.message);
+    return normalizeSpfResolverSettings(null);
+  }
+}
+
+/**
+ * Save resolver settings
+ * @param {{dohEndpoint: string}} settings - Settings
+ * @returns {Promise<void>}
+ */
+async function saveSpfResolverSettings(settings) {
+  await chrome.storage.local.set({
+    [SPF_RESOLVER_SETTINGS_KEY]: normalizeSpfResolverSettings(settings)
+  });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SPF_LOOKUP_LIMIT,
+    SPF_VOID_LOOKUP_LIMIT,
+    SPF_RESULTS,
+    isSpfRecord,
+    parseSpfRecord,
+    expandSpfMacros,
+    evaluateSpf,
+    getRecordSpfDomain,
+    evaluateRecordsSpf,
+    parseZoneFile,
+    createZoneResolver,
+    createDohResolver,
+    validateDohEndpoint,
+    normalizeSpfResolverSettings,
+    getSpfResolverSettings,
+    saveSpfResolverSettings
+  };
+}
@@ -1,11 +1,19 @@
 /**
  * DMARC Report Reader - Analysis Engine Module
- * Calculates enforcement readiness and top-N analysis metrics
+ * Calculates enforcement readiness, top-N analysis metrics and combined reports
  */
 
+// Filter engine is loaded via <script> in the browser, require() under Node.js
+const analysisIp = typeof normalizeIp === 'function'
+  ? { normalizeIp }
+  : require('./filter-engine.js');
+
 /**
  * Calculate enforcement readiness metrics from report data
- * Evaluates whether it's safe to move to a more restrictive DMARC policy
+ * Evaluates whether it's safe to move to a more restrictive DMARC policy.
+ * When records carry sender inventory matches (`_sender`) and any sender is
+ * approved, only approved senders are measured: mail from unauthorized and
+ * unlisted sources is what enforcement is meant to stop.
  * @param {Array} records - Array of parsed records
  * @param {Object} policy - Published DMARC policy
  * @returns {Object} Enforcement readiness assessment
@@ -13,13 +21,23 @@
 function calculateEnforcementReadiness(records, policy) {
   const currentPolicy = policy?.policy || 'none';
 
+  const approved = records.filter(record => record._sender?.status === 'approved');
+  const scope = approved.length > 0 ? 'approved' : 'all';
+  const measured = scope === 'approved' ? approved : records;
+
   // Calculate totals
   let totalMessages = 0;
   let alignedMessages = 0;
   let failingSources = 0;
   let failingMessages = 0;
+  let excludedMessages = 0;
+  let unauthorizedMessages = 0;
 
   for (const record of records) {
+    if (record._sender?.status === 'unauthorized') unauthorizedMessages += record.count || 0;
+  }
+
+  for (const record of measured) {
     const count = record.count || 0;
     totalMessages += count;
 
@@ -73,12 +91,27 @@ function calculateEnforcementReadiness(records, policy) {
     recommendation = `Only ${alignedPercent}% of messages are properly aligned. Do not increase enforcement at this time. Review and fix the ${failingSources} failing source(s) which account for ${failingMessages.toLocaleString()} message(s). Common issues: missing SPF includes for third-party senders, unsigned DKIM for some mail flows.`;
   }
 
+  if (scope === 'approved') {
+    for (const record of records) {
+      if (record._sender?.status !== 'approved') excludedMessages += record.count || 0;
+    }
+    if (excludedMessages > 0) {
+      const unauthorized = unauthorizedMessages > 0
+        ? ` (${unauthorizedMessages.toLocaleString()} from unauthorized senders)`
+        : '';
+      recommendation += ` Readiness covers approved senders only; ${excludedMessages.toLocaleString()} message(s) from other sources${unauthorized} are not counted.`;
+    }
+  }
+
   return {
     currentPolicy,
+    scope,
     totalMessages,
     alignedMessages,
     failingSources,
     failingMessages,
+    excludedMessages,
+    unauthorizedMessages,
     alignedPercent,
     status,
     statusText,
@@ -107,13 +140,18 @@ function calculateAnalysis(records, ipGeoData) {
   const countryCounts = new Map();
   const asnCounts = new Map();
 
+  // Canonical IP -> first source IP as reported (geo data is keyed by the latter)
+  const ipSources = new Map();
+
   for (const record of records) {
     const count = record.count || 0;
     const ip = record.sourceIp;
 
-    // IP counts
+    // IP counts, merging differently written forms of the same address
     if (ip) {
-      ipCounts.set(ip, (ipCounts.get(ip) || 0) + count);
+      const key = analysisIp.normalizeIp(ip);
+      if (!ipSources.has(key)) ipSources.set(key, ip);
+      ipCounts.set(key, (ipCounts.get(key) || 0) + count);
     }
 
     // Domain failures (only count failing records)
@@ -146,7 +184,7 @@ function calculateAnalysis(records, ipGeoData) {
     .map(([ip, count]) => ({
       ip,
       count,
-      geo: ipGeoData?.get(ip)
+      geo: ipGeoData?.get(ipSources.get(ip))
     }));
 
   analysis.topFailures = [...domainFailures.entries()]
@@ -250,12 +288,273 @@ function calculateSummary(records) {
   };
 }
 
+/**
+ * Published policy fields compared when combining reports, with their
+ * DMARC record tags
+ * @constant {Array<{field: string, tag: string}>}
+ */
+const COMBINED_POLICY_FIELDS = Object.freeze([
+  Object.freeze({ field: 'policy', tag: 'p' }),
+  Object.freeze({ field: 'subdomainPolicy', tag: 'sp' }),
+  Object.freeze({ field: 'npPolicy', tag: 'np' }),
+  Object.freeze({ field: 'adkim', tag: 'adkim' }),
+  Object.freeze({ field: 'aspf', tag: 'aspf' }),
+  Object.freeze({ field: 'percentage', tag: 'pct' }),
+  Object.freeze({ field: 'testing', tag: 't' })
+]);
+
+/**
+ * Format a published policy value for display
+ * @param {*} value - Policy field value
+ * @returns {string} Value, or "(not set)"
+ */
+function formatPolicyValue(value) {
+  if (value === null || value === undefined || value === '') return '(not set)';
+  if (value === true) return 'y';
+  if (value === false) return 'n';
+  return String(value);
+}
+
+/**
+ * List the published policy fields where a report's policy differs from
+ * the policy shown for the combined domain
+ * @param {Object} policy - Policy from one report
+ * @param {Object} basePolicy - Policy of the combined domain
+ * @returns {string[]} Differences as "tag=value" from `policy`, e.g. ["p=none"]
+ */
+function getPolicyDifferences(policy, basePolicy) {
+  return COMBINED_POLICY_FIELDS
+    .filter(({ field }) => formatPolicyValue(policy?.[field]) !== formatPolicyValue(basePolicy?.[field]))
+    .map(({ field, tag }) => `${tag}=${formatPolicyValue(policy?.[field])}`);
+}
+
+/**
+ * Find published policy fields on which a domain's reports disagree
+ * @param {Object[]} reports - Parsed reports for one policy domain
+ * @returns {Array<{tag: string, values: Array<{value: string, reports: number}>}>} One entry per disputed field
+ */
+function findPolicyConflicts(reports) {
+  const conflicts = [];
+  for (const { field, tag } of COMBINED_POLICY_FIELDS) {
+    const counts = new Map();
+    for (const report of reports) {
+      const value = formatPolicyValue(report.policy?.[field]);
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    if (counts.size > 1) {
+      conflicts.push({
+        tag,
+        values: [...counts].map(([value, count]) => ({ value, reports: count }))
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Combine the reports of one policy domain
+ * The domain's policy is the one from the report with the latest period,
+ * i.e. the most recently published record. Each record keeps the policy its
+ * own report saw in `_sourcePolicy`, and records whose report disagrees with
+ * the domain's policy list the differences in `_policyMismatch`.
+ * @param {Object[]} reports - Parsed reports sharing policy_published.domain
+ * @returns {Object} Combined report
+ */
+function combineDomainReports(reports) {
+  const latest = reports.reduce((best, report) => (
+    (report.metadata?.dateRange?.end || 0) > (best.metadata?.dateRange?.end || 0) ? report : best
+  ), reports[0]);
+
+  const records = [];
+  let earliestDate = null;
+  let latestDate = null;
+
+  for (const report of reports) {
+    const mismatch = getPolicyDifferences(report.policy, latest.policy);
+    for (const record of report.records) {
+      // Add source attribution for debugging
+      record._sourceReport = report.metadata?.reportId || report._sourceFilename;
+      record._sourcePolicy = report.policy;
+      record._policyMismatch = mismatch.length > 0 ? mismatch : null;
+      records.push(record);
+    }
+
+    const dr = report.metadata?.dateRange;
+    if (dr?.begin && (!earliestDate || dr.begin < earliestDate)) earliestDate = dr.begin;
+    if (dr?.end && (!latestDate || dr.end > latestDate)) latestDate = dr.end;
+  }
+
+  return {
+    version: latest.version,
+    schema: latest.schema,
+    metadata: {
+      orgName: `Combined (${reports.length} reports)`,
+      email: latest.metadata?.email,
+      reportId: `combined-${Date.now()}`,
+      dateRange: earliestDate && latestDate ? { begin: earliestDate, end: latestDate } : null,
+      _sourceReports: reports.map(r => ({
+        filename: r._sourceFilename,
+        reportId: r.metadata?.reportId,
+        orgName: r.metadata?.orgName
+      }))
+    },
+    policy: latest.policy,
+    records,
+    summary: calculateSummary(records),
+    _isCombined: true,
+    _reportCount: reports.length,
+    _policyConflicts: findPolicyConflicts(reports)
+  };
+}
+
+/**
+ * Key identifying a report: reporter org_name plus report_id
+ * @param {Object} report - Parsed report
+ * @returns {string|null} Key, or null when either value is missing
+ */
+function getCombineReportKey(report) {
+  const orgName = (report.metadata?.orgName || '').trim().toLowerCase();
+  const reportId = (report.metadata?.reportId || '').trim();
+  return orgName && reportId ? `${orgName}\n${reportId}` : null;
+}
+
+/**
+ * Total messages across a report's records
+ * @param {Object} report - Parsed report
+ * @returns {number} Message count
+ */
+function countReportMessages(report) {
+  return report.records.reduce((sum, record) => sum + (record.count || 0), 0);
+}
+
+/**
+ * Describe a report for the reconciliation summary
+ * @param {Object} report - Parsed report
+ * @returns {{orgName: string|null, reportId: string|null, domain: string|null, filename: string|null, dateRange: Object|null, messages: number}} Description
+ */
+function describeCombinedReport(report) {
+  return {
+    orgName: report.metadata?.orgName || null,
+    reportId: report.metadata?.reportId || null,
+    domain: report.policy?.domain || null,
+    filename: report._sourceFilename || null,
+    dateRange: report.metadata?.dateRange || null,
+    messages: countReportMessages(report)
+  };
+}
+
+/**
+ * Reconcile reports before combining
+ * A report whose org_name + report_id was already seen with the same
+ * records and message count is dropped as a duplicate (the same report in
+ * two ZIPs). A resent report_id with different data is kept, since neither
+ * copy can be trusted over the other, and listed in `conflicts`. Remaining
+ * reports from the same reporter for the same domain whose periods overlap
+ * are kept but listed in `overlaps`, since their messages may be counted
+ * twice.
+ * @param {Object[]} reports - Parsed aggregate reports
+ * @returns {{reports: Object[], merged: Object[], duplicates: Object[], conflicts: Object[], overlaps: Object[]}} Kept reports and the reconciliation summary
+ */
+function reconcileReports(reports) {
+  const kept = [];
+  const byKey = new Map();
+  const duplicates = [];
+  const conflicts = [];
+
+  for (const report of reports) {
+    const key = getCombineReportKey(report);
+    const copies = key ? byKey.get(key) : null;
+    if (copies) {
+      const original = copies.find(copy =>
+        copy.records.length === report.records.length &&
+        countReportMessages(copy) === countReportMessages(report));
+      if (original) {
+        duplicates.push({
+          ...describeCombinedReport(report),
+          duplicateOf: original._sourceFilename || null
+        });
+        continue;
+      }
+      conflicts.push({
+        first: describeCombinedReport(copies[0]),
+        second: describeCombinedReport(report)
+      });
+      copies.push(report);
+    } else if (key) {
+      byKey.set(key, [report]);
+    }
+    kept.push(report);
+  }
+
+  const overlaps = [];
+  for (let i = 0; i < kept.length; i++) {
+    const a = kept[i];
+    const rangeA = a.metadata?.dateRange;
+    if (!rangeA?.begin || !rangeA?.end) continue;
+    for (let j = i + 1; j < kept.length; j++) {
+      const b = kept[j];
+      const rangeB = b.metadata?.dateRange;
+      if (!rangeB?.begin || !rangeB?.end) continue;
+      if ((a.metadata?.orgName || '').trim().toLowerCase() !== (b.metadata?.orgName || '').trim().toLowerCase()) continue;
+      if ((a.policy?.domain || '').toLowerCase() !== (b.policy?.domain || '').toLowerCase()) continue;
+      // Kept reports sharing a report ID are already listed in conflicts
+      const keyA = getCombineReportKey(a);
+      if (keyA && keyA === getCombineReportKey(b)) continue;
+      if (rangeA.begin < rangeB.end && rangeB.begin < rangeA.end) {
+        overlaps.push({
+          first: describeCombinedReport(a),
+          second: describeCombinedReport(b),
+          samePeriod: rangeA.begin.getTime() === rangeB.begin.getTime() && rangeA.end.getTime() === rangeB.end.getTime()
+        });
+      }
+    }
+  }
+
+  return {
+    reports: kept,
+    merged: kept.map(describeCombinedReport),
+    duplicates,
+    conflicts,
+    overlaps
+  };
+}
+
+/**
+ * Combine parsed aggregate reports into one combined report per policy domain
+ * Duplicate reports are dropped first (see reconcileReports), then reports
+ * are grouped by policy_published.domain (case-insensitive), so each domain
+ * is evaluated against its own published policy. Every combined report
+ * carries the reconciliation summary in `_reconciliation`.
+ * @param {Object[]} reports - Parsed aggregate reports
+ * @returns {Object[]} Combined reports, busiest domain first
+ */
+function combineReportsByDomain(reports) {
+  const reconciliation = reconcileReports(reports);
+  const { reports: kept, ...summary } = reconciliation;
+
+  const byDomain = new Map();
+  for (const report of kept) {
+    const domain = (report.policy?.domain || '').toLowerCase();
+    if (!byDomain.has(domain)) byDomain.set(domain, []);
+    byDomain.get(domain).push(report);
+  }
+
+  return [...byDomain.values()]
+    .map(domainReports => ({ ...combineDomainReports(domainReports), _reconciliation: summary }))
+    .sort((a, b) => b.summary.totalMessages - a.summary.totalMessages ||
+      (a.policy?.domain || '').localeCompare(b.policy?.domain || ''));
+}
+
 // Export for use in other modules (if in Node.js)
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     calculateEnforcementReadiness,
     calculateAnalysis,
     getUniqueIpCount,
-    calculateSummary
+    calculateSummary,
+    getPolicyDifferences,
+    findPolicyConflicts,
+    reconcileReports,
+    combineReportsByDomain
   };
 }
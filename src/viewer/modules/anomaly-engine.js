@@ -0,0 +1,159 @@
+/**
+ * DMARC Report Reader - Anomaly Engine Module
+ * Scores a report's sources for novelty against the stored report history
+ */
+
+// Filter engine and sender inventory are loaded via <script> in the browser, require() under Node.js
+const anomalyIp = typeof normalizeIp === 'function'
+  ? { normalizeIp }
+  : require('./filter-engine.js');
+const anomalyAsn = typeof parseSenderAsn === 'function'
+  ? { parseSenderAsn }
+  : require('../../services/sender-inventory.js');
+
+/**
+ * Reasons a source is new or unusual
+ * @constant {Object}
+ */
+const NOVELTY_SIGNALS = Object.freeze({
+  NEW_IP: 'new_ip',
+  NEW_ASN: 'new_asn',
+  NEW_HEADER_FROM: 'new_header_from',
+  VOLUME_SPIKE: 'volume_spike'
+});
+
+/**
+ * Novelty score of each signal; a new network counts more than a new address
+ * @constant {Object}
+ */
+const NOVELTY_WEIGHTS = Object.freeze({
+  new_ip: 2,
+  new_asn: 3,
+  new_header_from: 2,
+  volume_spike: 1
+});
+
+/**
+ * A known source spikes when it sends at least `factor` times its average
+ * messages per report, and at least `minIncrease` more messages
+ * @constant {{factor: number, minIncrease: number}}
+ */
+const VOLUME_SPIKE = Object.freeze({
+  factor: 3,
+  minIncrease: 50
+});
+
+/**
+ * Build the source history of a policy domain from library entries
+ * Only reports whose period began before the displayed report's are history,
+ * so an older report is not compared with what came after it. Entries stored
+ * without source summaries are skipped.
+ * @param {Object[]} entries - Library entries
+ * @param {{domain: string, ids?: string[], before?: number|null}} current - Displayed report's domain, library ids and period start
+ * @returns {{reports: number, ips: Map<string, {reports: number, messages: number}>, asns: Set<string>, headerFroms: Set<string>}} History
+ */
+function buildSourceHistory(entries, current) {
+  const domain = (current.domain || '').toLowerCase();
+  const ids = new Set(current.ids || []);
+  const before = current.before ?? null;
+
+  const history = { reports: 0, ips: new Map(), asns: new Set(), headerFroms: new Set() };
+  for (const entry of entries) {
+    if (entry.domain !== domain || ids.has(entry.id) || !Array.isArray(entry.sources)) continue;
+    const begin = entry.dateBegin ?? entry.dateEnd;
+    if (before !== null && (begin === null || begin >= before)) continue;
+
+    history.reports++;
+    for (const source of entry.sources) {
+      if (!history.ips.has(source.ip)) history.ips.set(source.ip, { reports: 0, messages: 0 });
+      const seen = history.ips.get(source.ip);
+      seen.reports++;
+      seen.messages += source.messages;
+      if (source.asn) history.asns.add(source.asn);
+    }
+    for (const headerFrom of entry.headerFroms || []) history.headerFroms.add(headerFrom);
+  }
+  return history;
+}
+
+/**
+ * Score every source IP of a report for novelty
+ * ASN novelty is only judged once the history holds ASNs, i.e. after
+ * earlier reports were enriched with IP lookups.
+ * @param {Object[]} records - Report records
+ * @param {Object} history - From buildSourceHistory
+ * @param {function(string): (string|null)} [getAsn] - ASN text of a source IP, if looked up
+ * @returns {Map<string, {ip: string, signals: string[], score: number, messages: number, failing: number, baseline: number|null, asn: string|null, headerFroms: string[], newHeaderFroms: string[]}>} Normalized IP -> novelty; empty without history
+ */
+function scoreSourceNovelty(records, history, getAsn = () => null) {
+  const novelty = new Map();
+  if (!history || history.reports === 0) return novelty;
+
+  const sources = new Map();
+  for (const record of records) {
+    if (!record.sourceIp) continue;
+    const key = anomalyIp.normalizeIp(record.sourceIp);
+    if (!sources.has(key)) {
+      sources.set(key, { ip: record.sourceIp, messages: 0, failing: 0, headerFroms: new Set() });
+    }
+    const source = sources.get(key);
+    source.messages += record.count || 0;
+    if (!record.alignment?.dmarcPass) source.failing += record.count || 0;
+    if (record.identifiers?.headerFrom) source.headerFroms.add(record.identifiers.headerFrom.toLowerCase());
+  }
+
+  for (const [key, source] of sources) {
+    const signals = [];
+    const seen = history.ips.get(key);
+    const baseline = seen ? seen.messages / seen.reports : null;
+    if (!seen) {
+      signals.push(NOVELTY_SIGNALS.NEW_IP);
+    } else if (source.messages >= baseline * VOLUME_SPIKE.factor && source.messages - baseline >= VOLUME_SPIKE.minIncrease) {
+      signals.push(NOVELTY_SIGNALS.VOLUME_SPIKE);
+    }
+
+    const asn = anomalyAsn.parseSenderAsn(getAsn(source.ip));
+    if (asn && history.asns.size > 0 && !history.asns.has(asn)) {
+      signals.push(NOVELTY_SIGNALS.NEW_ASN);
+    }
+
+    const headerFroms = [...source.headerFroms].sort();
+    const newHeaderFroms = headerFroms.filter(domain => !history.headerFroms.has(domain));
+    if (newHeaderFroms.length > 0) signals.push(NOVELTY_SIGNALS.NEW_HEADER_FROM);
+
+    novelty.set(key, {
+      ip: source.ip,
+      signals,
+      score: signals.reduce((sum, signal) => sum + NOVELTY_WEIGHTS[signal], 0),
+      messages: source.messages,
+      failing: source.failing,
+      baseline,
+      asn,
+      headerFroms,
+      newHeaderFroms
+    });
+  }
+  return novelty;
+}
+
+/**
+ * New or unusual sources, most novel first
+ * @param {Map<string, Object>} novelty - From scoreSourceNovelty
+ * @param {{failingOnly?: boolean}} [options] - Keep only sources with messages failing DMARC
+ * @returns {Object[]} Sources with at least one signal
+ */
+function listNovelSources(novelty, options = {}) {
+  return [...novelty.values()]
+    .filter(source => source.signals.length > 0 && (!options.failingOnly || source.failing > 0))
+    .sort((a, b) => b.score - a.score || b.failing - a.failing || b.messages - a.messages);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NOVELTY_SIGNALS,
+    buildSourceHistory,
+    scoreSourceNovelty,
+    listNovelSources
+  };
+}
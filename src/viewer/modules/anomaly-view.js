@@ -0,0 +1,90 @@
+/**
+ * DMARC Report Reader - Anomaly View Module
+ * Renders the New Sources panel and novelty badges
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeAnomalyHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Labels of novelty signals
+ * @constant {Object}
+ */
+const NOVELTY_LABELS = Object.freeze({
+  new_ip: 'New IP',
+  new_asn: 'New ASN',
+  new_header_from: 'New From domain',
+  volume_spike: 'Volume spike'
+});
+
+/**
+ * Render the novelty badge of a record's source
+ * @param {Object|null} novelty - Source novelty from scoreSourceNovelty
+ * @returns {string} HTML string, empty for sources seen before at usual volume
+ */
+function renderNoveltyBadge(novelty) {
+  if (!novelty || novelty.signals.length === 0) return '';
+  const onlySpike = novelty.signals.length === 1 && novelty.signals[0] === 'volume_spike';
+  const tooltip = novelty.signals.map(signal => NOVELTY_LABELS[signal]).join(', ');
+  return `<span class="novelty-badge${onlySpike ? ' novelty-spike' : ''}" title="${tooltip}">${onlySpike ? 'Spike' : 'New'}</span>`;
+}
+
+/**
+ * Describe what the sources were compared with
+ * @param {{reports: number}|null} history - From buildSourceHistory, null while loading
+ * @param {Object[]} sources - From listNovelSources
+ * @returns {string} HTML string
+ */
+function renderNoveltySummary(history, sources) {
+  if (!history) return 'Loading report history...';
+  if (history.reports === 0) {
+    return 'No earlier reports for this domain in the report library yet, so every source is new. Sources are compared with history once earlier reports are stored.';
+  }
+  const reports = `${history.reports.toLocaleString()} earlier stored report${history.reports === 1 ? '' : 's'}`;
+  const failing = sources.filter(source => source.failing > 0).length;
+  return `Compared with ${reports}: ${sources.length.toLocaleString()} new or unusual source${sources.length === 1 ? '' : 's'}, ${failing.toLocaleString()} failing DMARC.`;
+}
+
+/**
+ * Render new or unusual sources as table rows
+ * @param {Object[]} sources - From listNovelSources
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderNoveltyRows(sources) {
+  if (sources.length === 0) {
+    return '<tr><td colspan="7" class="analysis-empty">No new or unusual sources</td></tr>';
+  }
+
+  return sources.map(source => {
+    const signals = source.signals.map(signal => `<span class="novelty-signal">${NOVELTY_LABELS[signal]}</span>`).join(' ');
+    const domains = source.headerFroms.map(domain => (source.newHeaderFroms.includes(domain)
+      ? `<strong>${escapeAnomalyHtml(domain)}</strong>`
+      : escapeAnomalyHtml(domain))).join(', ') || '-';
+    const baseline = source.baseline === null
+      ? ''
+      : ` <span class="novelty-volume">(usually ${Math.round(source.baseline).toLocaleString()})</span>`;
+    return `
+      <tr class="${source.failing > 0 ? 'row-fail' : ''}">
+        <td class="ip-cell">${escapeAnomalyHtml(source.ip)}</td>
+        <td>${escapeAnomalyHtml(source.asn) || '-'}</td>
+        <td>${domains}</td>
+        <td>${source.messages.toLocaleString()}${baseline}</td>
+        <td>${source.failing.toLocaleString()}</td>
+        <td>${signals}</td>
+        <td><button class="report-item-action novelty-view-records" data-novelty-ip="${escapeAnomalyHtml(source.ip)}">View records</button></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NOVELTY_LABELS,
+    renderNoveltyBadge,
+    renderNoveltySummary,
+    renderNoveltyRows
+  };
+}
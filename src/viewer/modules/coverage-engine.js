@@ -0,0 +1,182 @@
+/**
+ * DMARC Report Reader - Coverage Engine Module
+ * Works out which reporters sent data for which days, their usual cadence,
+ * and which of them have gone silent, from stored report summaries
+ */
+
+/**
+ * Milliseconds in a day
+ * @constant {number}
+ */
+const COVERAGE_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Slack allowed between consecutive report periods before they count as a
+ * gap or an overlap; reporters often end a day at 23:59:59 or start late
+ * @constant {number}
+ */
+const COVERAGE_TOLERANCE_MS = 60 * 60 * 1000;
+
+/**
+ * Time after a period ends for its report to arrive before a reporter is
+ * considered late
+ * @constant {number}
+ */
+const COVERAGE_GRACE_MS = COVERAGE_DAY_MS;
+
+/**
+ * Days the coverage matrix can show
+ * @constant {number[]}
+ */
+const COVERAGE_WINDOWS = Object.freeze([30, 60, 90, 180, 365]);
+
+/**
+ * Reporter status
+ * @constant {Object}
+ */
+const REPORTER_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  SILENT: 'silent',
+  UNKNOWN: 'unknown'
+});
+
+/**
+ * Start of the UTC day holding a time
+ * @param {number} time - Epoch milliseconds
+ * @returns {number} Day start in epoch milliseconds
+ */
+function getCoverageDayStart(time) {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number|null} Median, or null for an empty list
+ */
+function getCoverageMedian(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Find gaps and overlaps between a reporter's report periods
+ * @param {Object[]} reports - Entries sorted by dateBegin
+ * @returns {{gaps: Array<{from: number, to: number}>, overlaps: Array<{from: number, to: number, reportIds: string[]}>}} Gaps and overlaps
+ */
+function findCoverageBreaks(reports) {
+  const gaps = [];
+  const overlaps = [];
+  let covered = reports[0];
+  for (const report of reports.slice(1)) {
+    if (report.dateBegin - covered.dateEnd > COVERAGE_TOLERANCE_MS) {
+      gaps.push({ from: covered.dateEnd, to: report.dateBegin });
+    } else if (covered.dateEnd - report.dateBegin > COVERAGE_TOLERANCE_MS) {
+      overlaps.push({
+        from: report.dateBegin,
+        to: Math.min(covered.dateEnd, report.dateEnd),
+        reportIds: [covered.reportId, report.reportId]
+      });
+    }
+    if (report.dateEnd > covered.dateEnd) covered = report;
+  }
+  return { gaps, overlaps };
+}
+
+/**
+ * Mark the matrix days a reporter's reports cover
+ * A day is covered when a report period overlaps it by more than the
+ * tolerance, and overlapping when two reports' periods overlap within it.
+ * @param {Object[]} reports - Entries sorted by dateBegin
+ * @param {Array<{from: number, to: number}>} overlaps - From findCoverageBreaks
+ * @param {number[]} days - Day starts of the matrix
+ * @returns {string[]} 'none', 'covered' or 'overlap' per day
+ */
+function buildCoverageCells(reports, overlaps, days) {
+  const touches = (from, to, day) => Math.min(to, day + COVERAGE_DAY_MS) - Math.max(from, day) > COVERAGE_TOLERANCE_MS;
+  return days.map(day => {
+    if (overlaps.some(overlap => touches(overlap.from, overlap.to, day))) return 'overlap';
+    return reports.some(report => touches(report.dateBegin, report.dateEnd, day)) ? 'covered' : 'none';
+  });
+}
+
+/**
+ * Calculate reporter coverage for one policy domain from stored report summaries
+ * Reporters are grouped by org_name. A reporter's cadence is the median
+ * time between the starts of its reports; it has gone silent when its last
+ * period ended longer ago than one cadence plus a day for delivery.
+ * Reporters with a single report have no cadence and are never flagged.
+ * @param {Object[]} entries - Report library entries
+ * @param {{domain?: string, days?: number, now?: number}} [options] - Domain ('' or omitted for all), matrix days ending today, current time
+ * @returns {{domain: string|null, days: number[], reporters: Object[], undated: number}} Coverage
+ */
+function calculateCoverage(entries, options = {}) {
+  const domain = options.domain ? options.domain.toLowerCase() : null;
+  const now = options.now ?? Date.now();
+  const dayCount = COVERAGE_WINDOWS.includes(options.days) ? options.days : COVERAGE_WINDOWS[1];
+  const today = getCoverageDayStart(now);
+  const days = Array.from({ length: dayCount }, (_, i) => today - (dayCount - 1 - i) * COVERAGE_DAY_MS);
+
+  const byReporter = new Map();
+  let undated = 0;
+  for (const entry of entries) {
+    if (domain && entry.domain !== domain) continue;
+    if (entry.dateBegin === null || entry.dateEnd === null || entry.dateBegin === undefined || entry.dateEnd === undefined) {
+      undated++;
+      continue;
+    }
+    const key = entry.orgName.toLowerCase();
+    if (!byReporter.has(key)) byReporter.set(key, { orgName: entry.orgName, emails: new Set(), reports: [] });
+    const reporter = byReporter.get(key);
+    if (entry.email) reporter.emails.add(entry.email.toLowerCase());
+    reporter.reports.push(entry);
+  }
+
+  const reporters = [...byReporter.values()].map(({ orgName, emails, reports }) => {
+    reports.sort((a, b) => a.dateBegin - b.dateBegin || a.dateEnd - b.dateEnd);
+    const { gaps, overlaps } = findCoverageBreaks(reports);
+    const intervals = reports.slice(1).map((report, i) => report.dateBegin - reports[i].dateBegin).filter(interval => interval > 0);
+    const cadence = getCoverageMedian(intervals);
+    const lastEnd = Math.max(...reports.map(report => report.dateEnd));
+    const silentFor = Math.max(0, now - lastEnd);
+
+    let status = REPORTER_STATUS.UNKNOWN;
+    if (cadence !== null) {
+      status = silentFor > cadence + COVERAGE_GRACE_MS ? REPORTER_STATUS.SILENT : REPORTER_STATUS.ACTIVE;
+    }
+
+    return {
+      orgName,
+      emails: [...emails].sort(),
+      reports: reports.length,
+      messages: reports.reduce((sum, report) => sum + (report.summary?.totalMessages || 0), 0),
+      firstBegin: reports[0].dateBegin,
+      lastEnd,
+      cadence,
+      silentFor,
+      status,
+      gaps,
+      overlaps,
+      cells: buildCoverageCells(reports, overlaps, days)
+    };
+  });
+
+  const statusOrder = [REPORTER_STATUS.SILENT, REPORTER_STATUS.ACTIVE, REPORTER_STATUS.UNKNOWN];
+  reporters.sort((a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status) ||
+    b.messages - a.messages || a.orgName.localeCompare(b.orgName));
+
+  return { domain, days, reporters, undated };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    COVERAGE_DAY_MS,
+    COVERAGE_WINDOWS,
+    REPORTER_STATUS,
+    calculateCoverage
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * DMARC Report Reader - Coverage View Module
+ * Renders the reporter coverage matrix and reporter table
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeCoverageHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Tooltip text of matrix cells
+ * @constant {Object}
+ */
+const COVERAGE_CELL_LABELS = Object.freeze({
+  none: 'no data',
+  covered: 'reported',
+  overlap: 'overlapping reports'
+});
+
+/**
+ * Month abbreviations for the matrix header
+ * @constant {string[]}
+ */
+const COVERAGE_MONTHS = Object.freeze(['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']);
+
+/**
+ * Format a duration in days, or hours below a day
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} e.g. "1 day", "3.5 days", "6 hours" or "-"
+ */
+function formatCoverageInterval(ms) {
+  if (ms === null || ms === undefined) return '-';
+  const day = 24 * 60 * 60 * 1000;
+  if (ms < day) {
+    const hours = Math.max(1, Math.round(ms / (60 * 60 * 1000)));
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  const days = Math.round(ms / day * 10) / 10;
+  return `${Number.isInteger(days) ? days : days.toFixed(1)} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Format a reporter's cadence
+ * @param {number|null} cadence - Median time between reports (ms)
+ * @returns {string} e.g. "Daily", "Every 7 days" or "-"
+ */
+function formatCoverageCadence(cadence) {
+  if (cadence === null) return '-';
+  const label = formatCoverageInterval(cadence);
+  return label === '1 day' ? 'Daily' : `Every ${label}`;
+}
+
+/**
+ * Render the reporter x day coverage matrix
+ * @param {{days: number[], reporters: Object[]}} coverage - From calculateCoverage
+ * @returns {string} HTML string
+ */
+function renderCoverageMatrix(coverage) {
+  if (coverage.reporters.length === 0) {
+    return '<div class="analysis-empty">No dated reports for this domain</div>';
+  }
+
+  const header = coverage.days.map((day, i) => {
+    const date = new Date(day);
+    const label = i === 0 || date.getUTCDate() === 1 ? COVERAGE_MONTHS[date.getUTCMonth()] : '';
+    return `<th class="coverage-day" title="${date.toISOString().slice(0, 10)}">${label}</th>`;
+  }).join('');
+
+  const rows = coverage.reporters.map(reporter => {
+    const cells = reporter.cells.map((cell, i) => {
+      const title = `${new Date(coverage.days[i]).toISOString().slice(0, 10)}: ${COVERAGE_CELL_LABELS[cell]}`;
+      return `<td class="coverage-cell coverage-${cell}" title="${title}"></td>`;
+    }).join('');
+    return `
+      <tr>
+        <th class="coverage-reporter" title="${escapeCoverageHtml(reporter.emails.join(', '))}">${escapeCoverageHtml(reporter.orgName)}</th>
+        ${cells}
+      </tr>
+    `;
+  }).join('');
+
+  return `
+    <table class="coverage-matrix">
+      <thead><tr><th class="coverage-reporter">Reporter</th>${header}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render the reporter status badge
+ * @param {Object} reporter - Reporter from calculateCoverage
+ * @returns {string} HTML string
+ */
+function renderReporterStatus(reporter) {
+  if (reporter.status === 'silent') {
+    return `<span class="reporter-status reporter-silent">Silent for ${formatCoverageInterval(reporter.silentFor)}</span>`;
+  }
+  if (reporter.status === 'active') {
+    return '<span class="reporter-status reporter-active">Active</span>';
+  }
+  return '<span class="reporter-status" title="At least two reports are needed to estimate a cadence">Too few reports</span>';
+}
+
+/**
+ * Render reporters as table rows
+ * @param {Object[]} reporters - From calculateCoverage
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderCoverageRows(reporters) {
+  if (reporters.length === 0) {
+    return '<tr><td colspan="8" class="analysis-empty">No dated reports for this domain</td></tr>';
+  }
+
+  return reporters.map(reporter => {
+    const gapTime = reporter.gaps.reduce((sum, gap) => sum + gap.to - gap.from, 0);
+    const gaps = reporter.gaps.length > 0
+      ? `${reporter.gaps.length.toLocaleString()} <span class="coverage-detail">(${formatCoverageInterval(gapTime)})</span>`
+      : '0';
+    const overlapIds = reporter.overlaps.map(overlap => overlap.reportIds.join(' / ')).join(', ');
+    const emails = reporter.emails.length > 0
+      ? `<div class="coverage-detail">${reporter.emails.map(escapeCoverageHtml).join(', ')}</div>`
+      : '';
+    return `
+      <tr class="${reporter.status === 'silent' ? 'row-partial' : ''}">
+        <td>${escapeCoverageHtml(reporter.orgName)}${emails}</td>
+        <td>${reporter.reports.toLocaleString()}</td>
+        <td>${reporter.messages.toLocaleString()}</td>
+        <td>${formatCoverageCadence(reporter.cadence)}</td>
+        <td>${new Date(reporter.lastEnd).toISOString().slice(0, 10)}</td>
+        <td>${gaps}</td>
+        <td title="${escapeCoverageHtml(overlapIds)}">${reporter.overlaps.length.toLocaleString()}</td>
+        <td>${renderReporterStatus(reporter)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Describe silent reporters, pointing at the rua address when every
+ * reporter with a known cadence has stopped
+ * @param {Object[]} reporters - From calculateCoverage
+ * @returns {string} Plain text, empty when no reporter is silent
+ */
+function describeSilentReporters(reporters) {
+  const silent = reporters.filter(reporter => reporter.status === 'silent');
+  if (silent.length === 0) return '';
+
+  const judged = reporters.filter(reporter => reporter.status !== 'unknown');
+  if (silent.length === judged.length && judged.length > 1) {
+    const lastEnd = new Date(Math.max(...silent.map(reporter => reporter.lastEnd))).toISOString().slice(0, 10);
+    return `No reporter has sent data since ${lastEnd}. When every reporter stops at once, check the rua address in the domain's DMARC record and that its mailbox accepts mail.`;
+  }
+  const names = silent.map(reporter => reporter.orgName).join(', ');
+  return `${silent.length} reporter${silent.length === 1 ? ' has' : 's have'} gone silent for longer than usual: ${names}.`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatCoverageInterval,
+    formatCoverageCadence,
+    renderCoverageMatrix,
+    renderCoverageRows,
+    describeSilentReporters
+  };
+}
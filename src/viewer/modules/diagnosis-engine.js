@@ -17,27 +17,24 @@ function explainDispositionOverride(record, policy) {
   const appliedDisposition = pe.disposition;
   const reason = pe.reason || [];
 
-  // Determine the expected disposition based on the published policy
-  // For subdomains, use sp if specified, otherwise fall back to p
-  const identifiers = record.identifiers || {};
-  const headerFrom = identifiers.headerFrom || '';
-  const policyDomain = policy.domain || '';
-
-  // Check if this is a subdomain (header_from is subdomain of policy domain)
-  const isSubdomain = headerFrom &&
-    policyDomain &&
-    headerFrom !== policyDomain &&
-    headerFrom.endsWith('.' + policyDomain);
-
-  const expectedPolicy = isSubdomain && policy.subdomainPolicy
-    ? policy.subdomainPolicy
-    : policy.policy;
+  // Determine the expected disposition based on the published policy:
+  // p for the policy domain, sp (falling back to p) for its subdomains.
+  // Reports cannot show whether a subdomain exists, so np is accepted too.
+  const applicablePolicy = typeof getApplicablePolicy === 'function'
+    ? getApplicablePolicy
+    : require('../../parser/dmarc-parser.js').getApplicablePolicy;
+  const headerFrom = record.identifiers?.headerFrom || '';
+  const expected = applicablePolicy(headerFrom, policy);
+  const expectedPolicy = expected.value;
+  const nonexistentPolicy = expected.tier === 'subdomain'
+    ? applicablePolicy(headerFrom, policy, { exists: false }).value
+    : null;
 
   // If policy is 'none', no enforcement expected
   if (expectedPolicy === 'none') return null;
 
-  // If disposition matches expected policy, no override
-  if (appliedDisposition === expectedPolicy) return null;
+  // If disposition matches the policy for an existing or non-existent domain, no override
+  if (appliedDisposition === expectedPolicy || appliedDisposition === nonexistentPolicy) return null;
 
   // If the message passed DMARC, no disposition applies
   if (record.alignment?.dmarcPass) return null;
@@ -277,7 +274,23 @@ function getRecordDiagnosis(record, policy) {
     const spfResults = authResults.spf || [];
     const spfResult = spfResults[0]?.result || 'none';
     const diagnosis = SPF_EXPLANATIONS[spfResult] || SPF_EXPLANATIONS['fail'];
-    issues.push({ type: 'spf', ...diagnosis });
+    // An evaluation of the current records names the mechanism or the problem
+    issues.push({ type: 'spf', ...diagnosis, evaluation: record._spfEvaluation?.reason || null });
+  }
+
+  // Provider-specific setup once the source is fingerprinted (global in the browser, required under Node.js)
+  const providerDiagnosis = typeof getProviderDiagnosis === 'function'
+    ? getProviderDiagnosis
+    : require('../../services/provider-playbooks.js').getProviderDiagnosis;
+  const providerIssue = providerDiagnosis(record);
+  if (providerIssue) {
+    const escapeText = (text) => (typeof escapeHtml === 'function' ? escapeHtml(text) : text);
+    issues.push({
+      ...providerIssue,
+      title: escapeText(providerIssue.title),
+      explanation: escapeText(providerIssue.explanation),
+      recommendations: providerIssue.recommendations.map(escapeText)
+    });
   }
 
   // Check alignment
@@ -345,6 +358,15 @@ function getRecordDiagnosis(record, policy) {
  */
 function renderDiagnosis(record, policy) {
   const issues = getRecordDiagnosis(record, policy);
+  const escape = typeof escapeHtml === 'function' ? escapeHtml : (s) => {
+    if (!s) return '';
+    return String(s)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  };
 
   if (issues.length === 0) {
     return `
@@ -370,6 +392,7 @@ function renderDiagnosis(record, policy) {
       <div class="diagnosis-item diagnosis-${issue.type}">
         <h5>${issue.title}</h5>
         <p class="diagnosis-explanation">${issue.explanation}</p>
+        ${issue.evaluation ? `<p class="diagnosis-explanation"><strong>Current SPF record:</strong> ${escape(issue.evaluation)}</p>` : ''}
         ${commonCausesHtml}
         <div class="diagnosis-recommendations">
           <strong>Recommendations:</strong>
@@ -415,6 +438,14 @@ function renderRecordDetails(record, policy) {
     return `<span class="badge">${safe || '-'}</span>`;
   };
 
+  // Alignment helpers (globals in the browser, required under Node.js)
+  const aligns = typeof domainsAlign === 'function'
+    ? domainsAlign
+    : require('../../parser/dmarc-parser.js').domainsAlign;
+  const formatRule = typeof formatSuffixRule === 'function'
+    ? formatSuffixRule
+    : require('../../parser/public-suffix.js').formatSuffixRule;
+
   // Escape all user-controlled values from DKIM results
   let dkimHtml = authResults.dkim.length > 0
     ? authResults.dkim.map(d => `
@@ -427,6 +458,7 @@ function renderRecordDetails(record, policy) {
         <li>
           <span class="label">Result:</span> ${badge(d.result)}
         </li>
+        ${d.humanResult ? `<li><span class="label">Details:</span> ${escape(d.humanResult)}</li>` : ''}
       `).join('')
     : '<li>No DKIM signature found</li>';
 
@@ -442,19 +474,20 @@ function renderRecordDetails(record, policy) {
         <li>
           <span class="label">Result:</span> ${badge(s.result)}
         </li>
+        ${s.humanResult ? `<li><span class="label">Details:</span> ${escape(s.humanResult)}</li>` : ''}
       `).join('')
     : '<li>No SPF check performed</li>';
 
-  // Check for domain mismatches that affect alignment
+  // Check for organizational domain mismatches that affect alignment
   const headerFrom = identifiers.headerFrom || '';
   const dkimDomain = authResults.dkim[0]?.domain || '';
   const spfDomain = authResults.spf[0]?.domain || '';
 
   let alignmentNote = '';
-  if (headerFrom && dkimDomain && !dkimDomain.endsWith(headerFrom) && !headerFrom.endsWith(dkimDomain)) {
+  if (headerFrom && dkimDomain && !aligns(dkimDomain, headerFrom, 'relaxed')) {
     alignmentNote += `<div class="alignment-note">DKIM signed by <strong>${escape(dkimDomain)}</strong> but From header is <strong>${escape(headerFrom)}</strong> - may fail DKIM alignment</div>`;
   }
-  if (headerFrom && spfDomain && !spfDomain.endsWith(headerFrom) && !headerFrom.endsWith(spfDomain)) {
+  if (headerFrom && spfDomain && !aligns(spfDomain, headerFrom, 'relaxed')) {
     alignmentNote += `<div class="alignment-note">SPF checked for <strong>${escape(spfDomain)}</strong> but From header is <strong>${escape(headerFrom)}</strong> - may fail SPF alignment</div>`;
   }
 
@@ -463,12 +496,19 @@ function renderRecordDetails(record, policy) {
   const safeEnvelopeFrom = escape(identifiers.envelopeFrom) || '-';
   const safeEnvelopeTo = escape(identifiers.envelopeTo) || '-';
 
+  // Organizational domain and the Public Suffix List rule that produced it
+  const suffixRule = record.alignment?.suffixRule;
+  const orgDomainHtml = record.alignment?.headerFromOrgDomain
+    ? `<li><span class="label">Organizational Domain:</span> ${escape(record.alignment.headerFromOrgDomain)} <span class="identifier-hint">(public suffix rule: ${escape(formatRule(suffixRule))})</span></li>`
+    : '';
+
   return `
     <div class="details-content">
       <div class="details-section">
         <h4>Message Identifiers</h4>
         <ul>
           <li><span class="label">Header From:</span> <strong>${safeHeaderFrom}</strong> <span class="identifier-hint">(visible to recipient)</span></li>
+          ${orgDomainHtml}
           <li><span class="label">Envelope From:</span> ${safeEnvelopeFrom} <span class="identifier-hint">(Return-Path/bounce address)</span></li>
           <li><span class="label">Envelope To:</span> ${safeEnvelopeTo} <span class="identifier-hint">(recipient domain)</span></li>
         </ul>
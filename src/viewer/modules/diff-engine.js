@@ -0,0 +1,203 @@
+/**
+ * DMARC Report Reader - Diff Engine Module
+ * Compares two aggregate reports (or two combined periods) source by source
+ */
+
+// Filter engine is loaded via <script> in the browser, require() under Node.js
+const diffIp = typeof normalizeIp === 'function'
+  ? { normalizeIp }
+  : require('./filter-engine.js');
+
+/**
+ * Alignment status of a source: every message aligned, none, or some
+ * @constant {Object}
+ */
+const SOURCE_ALIGNMENT = Object.freeze({
+  ALIGNED: 'aligned',
+  FAILING: 'failing',
+  MIXED: 'mixed'
+});
+
+/**
+ * Share of messages that passed DMARC alignment
+ * @param {number} aligned - Aligned messages
+ * @param {number} messages - All messages
+ * @returns {number|null} Percentage, or null without messages
+ */
+function getDiffAlignedRate(aligned, messages) {
+  return messages > 0 ? aligned / messages * 100 : null;
+}
+
+/**
+ * Alignment status from message counts
+ * @param {number} aligned - Aligned messages
+ * @param {number} messages - All messages
+ * @returns {string} SOURCE_ALIGNMENT value
+ */
+function getSourceAlignment(aligned, messages) {
+  if (aligned === messages) return SOURCE_ALIGNMENT.ALIGNED;
+  if (aligned === 0) return SOURCE_ALIGNMENT.FAILING;
+  return SOURCE_ALIGNMENT.MIXED;
+}
+
+/**
+ * Aggregate records per source IP (normalized, so differently written
+ * forms of one address are one source)
+ * @param {Object[]} records - Report records
+ * @param {function(Object): (Object|null)} [getProvider] - Provider of a record ({id, name}), if known
+ * @returns {Map<string, Object>} Source key -> {ip, messages, aligned, headerFroms, provider}
+ */
+function summarizeDiffSources(records, getProvider = () => null) {
+  const sources = new Map();
+  for (const record of records) {
+    if (!record.sourceIp) continue;
+    const key = diffIp.normalizeIp(record.sourceIp);
+    if (!sources.has(key)) {
+      sources.set(key, { ip: record.sourceIp, messages: 0, aligned: 0, headerFroms: new Set(), provider: null });
+    }
+    const source = sources.get(key);
+    const count = record.count || 0;
+    source.messages += count;
+    if (record.alignment?.dmarcPass) source.aligned += count;
+    if (record.identifiers?.headerFrom) source.headerFroms.add(record.identifiers.headerFrom.toLowerCase());
+    const provider = getProvider(record);
+    if (provider && provider.id !== 'unknown') source.provider = provider;
+  }
+  return sources;
+}
+
+/**
+ * Describe a source for the diff result
+ * @param {Object} source - Entry from summarizeDiffSources
+ * @returns {{ip: string, messages: number, alignedRate: number|null, alignment: string, headerFroms: string[], provider: Object|null}} Source summary
+ */
+function describeDiffSource(source) {
+  return {
+    ip: source.ip,
+    messages: source.messages,
+    alignedRate: getDiffAlignedRate(source.aligned, source.messages),
+    alignment: getSourceAlignment(source.aligned, source.messages),
+    headerFroms: [...source.headerFroms].sort(),
+    provider: source.provider
+  };
+}
+
+/**
+ * Aggregate DMARC alignment per header_from domain
+ * @param {Object[]} records - Report records
+ * @returns {Map<string, {messages: number, aligned: number}>} Domain -> counts
+ */
+function summarizeDiffDomains(records) {
+  const domains = new Map();
+  for (const record of records) {
+    const domain = (record.identifiers?.headerFrom || '').toLowerCase();
+    if (!domain) continue;
+    if (!domains.has(domain)) domains.set(domain, { messages: 0, aligned: 0 });
+    const counts = domains.get(domain);
+    const count = record.count || 0;
+    counts.messages += count;
+    if (record.alignment?.dmarcPass) counts.aligned += count;
+  }
+  return domains;
+}
+
+/**
+ * Providers seen among sources, by provider id
+ * @param {Map<string, Object>} sources - From summarizeDiffSources
+ * @returns {Map<string, {id: string, name: string, messages: number, sources: number}>} Providers
+ */
+function summarizeDiffProviders(sources) {
+  const providers = new Map();
+  for (const source of sources.values()) {
+    if (!source.provider) continue;
+    const { id, name } = source.provider;
+    if (!providers.has(id)) providers.set(id, { id, name, messages: 0, sources: 0 });
+    const provider = providers.get(id);
+    provider.messages += source.messages;
+    provider.sources++;
+  }
+  return providers;
+}
+
+/**
+ * Compare the records of two reports
+ * Sources are source IPs. A source "flipped" when its alignment status
+ * (all aligned, none aligned, mixed) differs between the two reports.
+ * @param {Object[]} beforeRecords - Records of the earlier report or period
+ * @param {Object[]} afterRecords - Records of the later report or period
+ * @param {{getProvider?: function(Object): (Object|null)}} [options] - Provider lookup for records
+ * @returns {{newSources: Object[], removedSources: Object[], flippedSources: Object[], newProviders: Object[], removedProviders: Object[], domains: Object[], before: Object, after: Object}} Differences, largest first
+ */
+function diffReports(beforeRecords, afterRecords, options = {}) {
+  const before = summarizeDiffSources(beforeRecords, options.getProvider);
+  const after = summarizeDiffSources(afterRecords, options.getProvider);
+  const byMessages = (a, b) => b.messages - a.messages;
+
+  const newSources = [...after].filter(([key]) => !before.has(key)).map(([, source]) => describeDiffSource(source)).sort(byMessages);
+  const removedSources = [...before].filter(([key]) => !after.has(key)).map(([, source]) => describeDiffSource(source)).sort(byMessages);
+
+  const flippedSources = [];
+  for (const [key, source] of after) {
+    const previous = before.get(key);
+    if (!previous) continue;
+    const was = describeDiffSource(previous);
+    const now = describeDiffSource(source);
+    if (was.alignment !== now.alignment) {
+      flippedSources.push({ ...now, before: was });
+    }
+  }
+  flippedSources.sort(byMessages);
+
+  const beforeProviders = summarizeDiffProviders(before);
+  const afterProviders = summarizeDiffProviders(after);
+  const newProviders = [...afterProviders.values()].filter(p => !beforeProviders.has(p.id)).sort(byMessages);
+  const removedProviders = [...beforeProviders.values()].filter(p => !afterProviders.has(p.id)).sort(byMessages);
+
+  const beforeDomains = summarizeDiffDomains(beforeRecords);
+  const afterDomains = summarizeDiffDomains(afterRecords);
+  const domains = [...new Set([...beforeDomains.keys(), ...afterDomains.keys()])].map(domain => {
+    const was = beforeDomains.get(domain) || { messages: 0, aligned: 0 };
+    const now = afterDomains.get(domain) || { messages: 0, aligned: 0 };
+    const beforeRate = getDiffAlignedRate(was.aligned, was.messages);
+    const afterRate = getDiffAlignedRate(now.aligned, now.messages);
+    return {
+      domain,
+      beforeMessages: was.messages,
+      afterMessages: now.messages,
+      beforeRate,
+      afterRate,
+      change: beforeRate !== null && afterRate !== null ? afterRate - beforeRate : null
+    };
+  }).sort((a, b) => Math.abs(b.change ?? 0) - Math.abs(a.change ?? 0) ||
+    (b.afterMessages + b.beforeMessages) - (a.afterMessages + a.beforeMessages));
+
+  const totals = (sources) => {
+    let messages = 0;
+    let aligned = 0;
+    for (const source of sources.values()) {
+      messages += source.messages;
+      aligned += source.aligned;
+    }
+    return { sources: sources.size, messages, alignedRate: getDiffAlignedRate(aligned, messages) };
+  };
+
+  return {
+    newSources,
+    removedSources,
+    flippedSources,
+    newProviders,
+    removedProviders,
+    domains,
+    before: totals(before),
+    after: totals(after)
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SOURCE_ALIGNMENT,
+    summarizeDiffSources,
+    diffReports
+  };
+}
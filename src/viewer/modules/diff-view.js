@@ -0,0 +1,169 @@
+/**
+ * DMARC Report Reader - Diff View Module
+ * Renders the tables of the report comparison view
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeDiffHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Labels of source alignment statuses
+ * @constant {Object}
+ */
+const DIFF_ALIGNMENT_LABELS = Object.freeze({
+  aligned: 'Aligned',
+  failing: 'Failing',
+  mixed: 'Partly aligned'
+});
+
+/**
+ * Format a rate for display
+ * @param {number|null} rate - Percentage
+ * @returns {string} e.g. "97.5%" or "-"
+ */
+function formatDiffRate(rate) {
+  return rate === null || rate === undefined ? '-' : `${rate.toFixed(1)}%`;
+}
+
+/**
+ * Render a "View records" button
+ * The viewer opens the report of `side` with the records filtered to the
+ * source IP, provider, or header_from given in the data attributes.
+ * @param {string} side - 'before' or 'after'
+ * @param {Object} target - {ip}, {provider} or {domain}
+ * @param {string} [label] - Button text
+ * @returns {string} HTML string
+ */
+function renderDiffLink(side, target, label = 'View records') {
+  const [key, value] = Object.entries(target)[0];
+  return `<button class="report-item-action diff-view-records" data-diff-side="${side}" data-diff-${key}="${escapeDiffHtml(value)}">${label}</button>`;
+}
+
+/**
+ * Render the provider and header_from cells of a source
+ * @param {Object} source - Source summary from diffReports
+ * @returns {string} HTML string
+ */
+function renderDiffSourceCells(source) {
+  const provider = source.provider ? escapeDiffHtml(source.provider.name) : '-';
+  const domains = source.headerFroms.map(escapeDiffHtml).join(', ') || '-';
+  return `
+    <td class="ip-cell">${escapeDiffHtml(source.ip)}</td>
+    <td>${provider}</td>
+    <td>${domains}</td>
+  `;
+}
+
+/**
+ * Render new or disappeared sources as table rows
+ * @param {Object[]} sources - newSources or removedSources from diffReports
+ * @param {string} side - Report that holds the sources ('after' for new, 'before' for gone)
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderDiffSourceRows(sources, side) {
+  if (sources.length === 0) {
+    return '<tr><td colspan="6" class="analysis-empty">None</td></tr>';
+  }
+
+  return sources.map(source => `
+    <tr>
+      ${renderDiffSourceCells(source)}
+      <td>${source.messages.toLocaleString()}</td>
+      <td>${formatDiffRate(source.alignedRate)}</td>
+      <td>${renderDiffLink(side, { ip: source.ip })}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render sources whose alignment status changed as table rows
+ * @param {Object[]} sources - flippedSources from diffReports
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderDiffFlippedRows(sources) {
+  if (sources.length === 0) {
+    return '<tr><td colspan="7" class="analysis-empty">None</td></tr>';
+  }
+
+  return sources.map(source => {
+    const improved = (source.alignedRate ?? 0) > (source.before.alignedRate ?? 0);
+    return `
+      <tr>
+        ${renderDiffSourceCells(source)}
+        <td>${DIFF_ALIGNMENT_LABELS[source.before.alignment]} (${formatDiffRate(source.before.alignedRate)})</td>
+        <td class="${improved ? 'trend-change-up' : 'trend-change-down'}">${DIFF_ALIGNMENT_LABELS[source.alignment]} (${formatDiffRate(source.alignedRate)})</td>
+        <td>${source.messages.toLocaleString()}</td>
+        <td>${renderDiffLink('before', { ip: source.ip }, 'Before')} ${renderDiffLink('after', { ip: source.ip }, 'After')}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Render providers that appeared or disappeared as table rows
+ * @param {Object[]} newProviders - newProviders from diffReports
+ * @param {Object[]} removedProviders - removedProviders from diffReports
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderDiffProviderRows(newProviders, removedProviders) {
+  const rows = [
+    ...newProviders.map(provider => ({ provider, change: 'New', side: 'after' })),
+    ...removedProviders.map(provider => ({ provider, change: 'Gone', side: 'before' }))
+  ];
+  if (rows.length === 0) {
+    return '<tr><td colspan="5" class="analysis-empty">No provider changes (providers are identified from IP lookups)</td></tr>';
+  }
+
+  return rows.map(({ provider, change, side }) => `
+    <tr>
+      <td>${escapeDiffHtml(provider.name)}</td>
+      <td>${change}</td>
+      <td>${provider.sources.toLocaleString()}</td>
+      <td>${provider.messages.toLocaleString()}</td>
+      <td>${renderDiffLink(side, { provider: provider.id })}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render the DMARC-aligned rate change per header_from as table rows
+ * @param {Object[]} domains - domains from diffReports
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderDiffDomainRows(domains) {
+  if (domains.length === 0) {
+    return '<tr><td colspan="5" class="analysis-empty">None</td></tr>';
+  }
+
+  return domains.map(row => {
+    let change;
+    if (row.change !== null) {
+      const className = row.change > 0 ? 'trend-change-up' : row.change < 0 ? 'trend-change-down' : '';
+      change = `<span class="${className}">${row.change > 0 ? '+' : ''}${row.change.toFixed(1)} pts</span>`;
+    } else {
+      change = row.afterMessages > 0 ? 'New' : 'Gone';
+    }
+    return `
+      <tr>
+        <td>${escapeDiffHtml(row.domain)}</td>
+        <td>${formatDiffRate(row.beforeRate)} <span class="diff-volume">(${row.beforeMessages.toLocaleString()})</span></td>
+        <td>${formatDiffRate(row.afterRate)} <span class="diff-volume">(${row.afterMessages.toLocaleString()})</span></td>
+        <td>${change}</td>
+        <td>${renderDiffLink(row.afterMessages > 0 ? 'after' : 'before', { domain: row.domain })}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatDiffRate,
+    renderDiffSourceRows,
+    renderDiffFlippedRows,
+    renderDiffProviderRows,
+    renderDiffDomainRows
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * DMARC Report Reader - DMARC Record Engine Module
+ * Parses and validates _dmarc TXT records, proposes the next enforcement
+ * step from report data and compares a record with the published policy
+ * seen in reports
+ */
+
+// Parser is loaded via <script> in the browser, require() under Node.js
+const recordParser = typeof getOrganizationalDomain === 'function'
+  ? { getOrganizationalDomain }
+  : require('../../parser/dmarc-parser.js');
+
+/**
+ * Tags in the order a built record lists them
+ * @constant {string[]}
+ */
+const DMARC_RECORD_TAGS = Object.freeze(['v', 'p', 'sp', 'np', 'adkim', 'aspf', 'pct', 't', 'psd', 'fo', 'rf', 'ri', 'rua', 'ruf']);
+
+/**
+ * Policy values from weakest to strongest
+ * @constant {string[]}
+ */
+const DMARC_RECORD_POLICIES = Object.freeze(['none', 'quarantine', 'reject']);
+
+/**
+ * Values a receiver assumes for unset tags (RFC 7489 Section 6.3)
+ * sp and np default to the policy above them and are resolved separately.
+ * @constant {Object}
+ */
+const DMARC_RECORD_DEFAULTS = Object.freeze({
+  adkim: 'r',
+  aspf: 'r',
+  pct: '100',
+  t: 'n',
+  fo: '0',
+  rf: 'afrf',
+  ri: '86400'
+});
+
+/**
+ * Join the quoted TXT strings of a record pasted from DNS output
+ * @param {string} text - Record as pasted
+ * @returns {string} Record text
+ */
+function unquoteDmarcRecord(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed.startsWith('"')) return trimmed;
+  // Receivers concatenate the strings of a TXT record without separator
+  const strings = trimmed.match(/"((?:[^"\\]|\\.)*)"/g) || [];
+  return strings.map(part => part.slice(1, -1).replace(/\\(.)/g, '$1')).join('');
+}
+
+/**
+ * Parse a report destination URI of rua or ruf
+ * @param {string} value - URI with an optional !size suffix
+ * @returns {{uri: string, scheme: string, address: string|null, domain: string|null, size: string|null, error: string|null}} Destination
+ */
+function parseDmarcReportUri(value) {
+  const uri = value.trim();
+  const match = uri.match(/^([a-z][a-z0-9+.-]*):([^!]*)(?:!(\d+[kmgt]?))?$/i);
+  if (!match) {
+    return { uri, scheme: '', address: null, domain: null, size: null, error: `"${uri}" is not a URI with an optional !size limit` };
+  }
+
+  const scheme = match[1].toLowerCase();
+  const size = match[3] || null;
+  if (scheme !== 'mailto') {
+    return { uri, scheme, address: null, domain: null, size, error: null };
+  }
+
+  const address = decodeDmarcReportUri(match[2]);
+  const at = address.lastIndexOf('@');
+  const domain = at > 0 ? address.slice(at + 1).toLowerCase() : '';
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)) {
+    return { uri, scheme, address, domain: null, size, error: `"${address}" is not an email address` };
+  }
+  return { uri, scheme, address, domain, size, error: null };
+}
+
+/**
+ * Decode percent-encoding, keeping malformed input as it is
+ * @param {string} value - Encoded value
+ * @returns {string} Decoded value
+ */
+function decodeDmarcReportUri(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Validate the value of a known tag
+ * @param {string} tag - Tag name
+ * @param {string} value - Tag value
+ * @returns {{error: string|null, warning: string|null, value: *}} Issue and normalized value
+ */
+function validateDmarcTag(tag, value) {
+  const lower = value.toLowerCase();
+  const ok = (normalized, warning = null) => ({ error: null, warning, value: normalized });
+  const fail = (error) => ({ error, warning: null, value: null });
+
+  switch (tag) {
+    case 'v':
+      return value === 'DMARC1' ? ok(value) : fail('v must be DMARC1');
+    case 'p':
+    case 'sp':
+    case 'np':
+      return DMARC_RECORD_POLICIES.includes(lower)
+        ? ok(lower)
+        : fail(`${tag} must be none, quarantine or reject`);
+    case 'adkim':
+    case 'aspf':
+      return lower === 'r' || lower === 's' ? ok(lower) : fail(`${tag} must be r (relaxed) or s (strict)`);
+    case 'pct': {
+      if (!/^\d+$/.test(value) || Number(value) > 100) return fail('pct must be a whole number from 0 to 100');
+      const pct = String(Number(value));
+      return ok(pct, pct === '0' ? 'pct=0 applies the policy to no message; use p=none to monitor' : null);
+    }
+    case 't':
+      return lower === 'y' || lower === 'n' ? ok(lower) : fail('t must be y or n');
+    case 'psd':
+      return ['y', 'n', 'u'].includes(lower) ? ok(lower) : fail('psd must be y, n or u');
+    case 'fo': {
+      const options = lower.split(':').map(option => option.trim());
+      return options.every(option => ['0', '1', 'd', 's'].includes(option))
+        ? ok(options.join(':'))
+        : fail('fo must be a colon-separated list of 0, 1, d and s');
+    }
+    case 'rf':
+      return lower.split(':').every(format => format.trim() === 'afrf')
+        ? ok(lower)
+        : fail('rf must be afrf');
+    case 'ri':
+      return /^\d+$/.test(value) && Number(value) <= 0xFFFFFFFF
+        ? ok(String(Number(value)), Number(value) < 3600 ? 'Most receivers send aggregate reports at most once a day whatever ri asks' : null)
+        : fail('ri must be a number of seconds');
+    case 'rua':
+    case 'ruf': {
+      const destinations = value.split(',').map(parseDmarcReportUri);
+      const invalid = destinations.find(destination => destination.error);
+      if (invalid) return fail(`${tag}: ${invalid.error}`);
+      const other = destinations.find(destination => destination.scheme !== 'mailto');
+      return ok(destinations, other ? `${tag}: receivers only deliver reports to mailto: URIs, not ${other.scheme}:` : null);
+    }
+    default:
+      return ok(value);
+  }
+}
+
+/**
+ * Parse and validate a DMARC TXT record
+ * The record is kept as its ;-separated terms so it can be shown with the
+ * faulty terms highlighted: joining the raw terms with ";" gives the input.
+ * @param {string} text - Record, bare or as quoted TXT strings
+ * @returns {{record: string, terms: Object[], tags: Object, errors: Object[], warnings: Object[], valid: boolean}} Parsed record
+ */
+function parseDmarcRecord(text) {
+  const record = unquoteDmarcRecord(text);
+  const tags = {};
+  const errors = [];
+  const warnings = [];
+  const seen = new Set();
+
+  const terms = record.split(';').map((raw, index) => {
+    const term = { raw, tag: null, value: null, error: null, warning: null };
+    const trimmed = raw.trim();
+    if (!trimmed) return term;
+
+    const eq = trimmed.indexOf('=');
+    if (eq <= 0) {
+      term.error = `"${trimmed}" is not a tag=value pair`;
+    } else {
+      const tag = trimmed.slice(0, eq).trim();
+      const value = trimmed.slice(eq + 1).trim();
+      term.tag = tag;
+      term.value = value;
+      const duplicate = seen.has(tag);
+      seen.add(tag);
+
+      if (index === 0 && tag !== 'v') {
+        term.error = 'A DMARC record must start with v=DMARC1';
+      } else if (index > 0 && tag === 'v') {
+        term.error = 'v must be the first tag';
+      } else if (!DMARC_RECORD_TAGS.includes(tag)) {
+        term.warning = DMARC_RECORD_TAGS.includes(tag.toLowerCase())
+          ? `Tag names are case-sensitive: receivers ignore ${tag}, write ${tag.toLowerCase()}`
+          : `Unknown tag ${tag} is ignored by receivers`;
+      } else if (duplicate) {
+        term.error = `${tag} is set more than once`;
+      } else if (!value) {
+        term.error = `${tag} has no value`;
+      } else {
+        const result = validateDmarcTag(tag, value);
+        term.error = result.error;
+        term.warning = result.warning;
+        if (!result.error) tags[tag] = result.value;
+      }
+    }
+
+    if (term.error) errors.push({ tag: term.tag, message: term.error });
+    if (term.warning) warnings.push({ tag: term.tag, message: term.warning });
+    return term;
+  });
+
+  if (!record) {
+    errors.push({ tag: null, message: 'The record is empty' });
+  } else if (!tags.v && !terms[0].error) {
+    errors.push({ tag: 'v', message: 'A DMARC record must start with v=DMARC1' });
+  }
+  if (record && !tags.p && !terms.some(term => term.tag === 'p')) {
+    errors.push({ tag: 'p', message: 'p is required; receivers treat a record without it as p=none only when rua is valid' });
+  }
+  if (tags.ruf && !seen.has('fo')) {
+    warnings.push({ tag: 'fo', message: 'ruf without fo only asks for failure reports when both SPF and DKIM fail' });
+  }
+
+  return { record, terms, tags, errors, warnings, valid: errors.length === 0 };
+}
+
+/**
+ * Format a tag value for a record
+ * @param {*} value - Normalized value, or destinations for rua and ruf
+ * @returns {string} Value text
+ */
+function formatDmarcTagValue(value) {
+  if (Array.isArray(value)) return value.map(item => (typeof item === 'string' ? item : item.uri)).join(',');
+  return String(value);
+}
+
+/**
+ * Build a DMARC record from tag values
+ * @param {Object} tags - Tag values keyed by tag name; unset values are left out
+ * @returns {string} Record text
+ */
+function buildDmarcRecord(tags) {
+  const parts = ['v=DMARC1'];
+  for (const tag of DMARC_RECORD_TAGS) {
+    if (tag === 'v') continue;
+    const value = tags[tag];
+    if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+    parts.push(`${tag}=${formatDmarcTagValue(value)}`);
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Tag values of a report's published policy
+ * Reports do not carry rua and ruf, so a record built from them has none.
+ * @param {Object|null} policy - Published policy of a report
+ * @returns {Object} Tag values
+ */
+function getPolicyRecordTags(policy) {
+  if (!policy) return {};
+  const alignment = (mode) => (mode === 'strict' ? 's' : mode === 'relaxed' ? 'r' : null);
+  return {
+    p: policy.policy || null,
+    sp: policy.subdomainPolicy || null,
+    np: policy.npPolicy || null,
+    adkim: alignment(policy.adkim),
+    aspf: alignment(policy.aspf),
+    pct: policy.percentage !== null && policy.percentage !== undefined ? String(policy.percentage) : null,
+    t: policy.testing === true ? 'y' : null,
+    fo: policy.failureOptions || null
+  };
+}
+
+/**
+ * Propose the next step of a record from the enforcement readiness
+ * A partial rollout (pct below 100 or t=y) is finished before p moves up;
+ * p is kept while readiness is not safe.
+ * @param {Object} parsed - From parseDmarcRecord
+ * @param {Object} readiness - From calculateEnforcementReadiness
+ * @returns {{record: string, tags: Object, changes: Object[], notes: string[]}} Proposal
+ */
+function proposeDmarcRecord(parsed, readiness) {
+  const tags = { ...parsed.tags };
+  const changes = [];
+  const notes = [];
+  const change = (tag, to, reason) => {
+    changes.push({ tag, from: tags[tag] ?? null, to, reason });
+    tags[tag] = to;
+  };
+
+  if (!parsed.valid) notes.push('Terms with errors are left out of the proposal.');
+
+  const index = DMARC_RECORD_POLICIES.indexOf(tags.p);
+  const partial = (tags.pct && tags.pct !== '100') || tags.t === 'y';
+  if (!tags.p) {
+    change('p', 'none', 'p is required; monitor before enforcing');
+  } else if (readiness.status === 'safe' && index < DMARC_RECORD_POLICIES.length - 1) {
+    if (partial) {
+      if (tags.pct && tags.pct !== '100') change('pct', null, `${readiness.alignedPercent}% of messages align, so p=${tags.p} can apply to all mail`);
+      if (tags.t === 'y') change('t', null, `${readiness.alignedPercent}% of messages align, so testing mode can end`);
+    } else {
+      const next = DMARC_RECORD_POLICIES[index + 1];
+      change('p', next, `${readiness.alignedPercent}% of messages align (${readiness.statusText})`);
+      if (next !== 'none' && !tags.sp) notes.push(`sp is unset, so subdomains move to ${next} as well.`);
+    }
+  } else if (readiness.status !== 'none' && tags.p !== 'reject') {
+    notes.push(`Keep p=${tags.p}: ${readiness.recommendation}`);
+  }
+
+  if (!tags.rua) notes.push('Add rua to keep receiving aggregate reports while enforcement increases.');
+  return { record: buildDmarcRecord(tags), tags, changes, notes };
+}
+
+/**
+ * Compare a record with the published policy reported by receivers
+ * Unset tags are compared by the value receivers assume for them.
+ * @param {Object} parsed - From parseDmarcRecord
+ * @param {Object|null} policy - Published policy of a report
+ * @returns {Array<{tag: string, record: string|null, published: string|null, matches: boolean}>} One row per tag
+ */
+function diffDmarcRecord(parsed, policy) {
+  const published = getPolicyRecordTags(policy);
+
+  const effective = (tags) => {
+    const values = { ...DMARC_RECORD_DEFAULTS, ...Object.fromEntries(Object.entries(tags).filter(([, value]) => value)) };
+    values.sp = tags.sp || values.p || null;
+    values.np = tags.np || values.sp;
+    return values;
+  };
+  const recordValues = effective(parsed.tags);
+  const publishedValues = effective(published);
+
+  const compared = ['p', 'sp', 'np', 'adkim', 'aspf', 'pct', 'fo'];
+  if (policy?.testing !== null && policy?.testing !== undefined) compared.push('t');
+
+  return compared.map(tag => {
+    const record = recordValues[tag] ?? null;
+    const value = publishedValues[tag] ?? null;
+    return { tag, record, published: value, matches: record === value };
+  });
+}
+
+/**
+ * Find report destinations outside the policy domain
+ * Receivers only send reports to another organizational domain when it
+ * publishes <domain>._report._dmarc.<destination> (RFC 7489 Section 7.1).
+ * @param {Object} parsed - From parseDmarcRecord
+ * @param {string|null} domain - Domain the record is published for
+ * @returns {Array<{tag: string, address: string, destination: string, authorizationRecord: string}>} External destinations
+ */
+function findExternalReportDestinations(parsed, domain) {
+  if (!domain) return [];
+  const policyDomain = domain.toLowerCase().replace(/\.$/, '');
+  const policyOrg = recordParser.getOrganizationalDomain(policyDomain) || policyDomain;
+
+  const external = [];
+  for (const tag of ['rua', 'ruf']) {
+    for (const destination of parsed.tags[tag] || []) {
+      if (!destination.domain) continue;
+      const destinationOrg = recordParser.getOrganizationalDomain(destination.domain) || destination.domain;
+      if (destinationOrg === policyOrg) continue;
+      external.push({
+        tag,
+        address: destination.address,
+        destination: destination.domain,
+        authorizationRecord: `${policyDomain}._report._dmarc.${destination.domain}`
+      });
+    }
+  }
+  return external;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    DMARC_RECORD_TAGS,
+    parseDmarcRecord,
+    buildDmarcRecord,
+    getPolicyRecordTags,
+    proposeDmarcRecord,
+    diffDmarcRecord,
+    findExternalReportDestinations
+  };
+}
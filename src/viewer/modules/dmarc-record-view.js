@@ -0,0 +1,124 @@
+/**
+ * DMARC Report Reader - DMARC Record View Module
+ * Renders a DMARC record with its faulty terms highlighted, the proposed
+ * next step and the comparison with the policy published in reports
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeRecordHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Summarize the validation of a record
+ * @param {Object} parsed - From parseDmarcRecord
+ * @returns {string} Plain text
+ */
+function describeDmarcRecord(parsed) {
+  const errors = parsed.errors.length;
+  const warnings = parsed.warnings.length;
+  if (errors === 0 && warnings === 0) return 'The record is valid.';
+
+  const parts = [];
+  if (errors > 0) parts.push(`${errors} error${errors === 1 ? '' : 's'}`);
+  if (warnings > 0) parts.push(`${warnings} warning${warnings === 1 ? '' : 's'}`);
+  return `The record has ${parts.join(' and ')}.`;
+}
+
+/**
+ * Render a record with each faulty term highlighted
+ * @param {Object} parsed - From parseDmarcRecord
+ * @returns {string} HTML string
+ */
+function renderDmarcRecordHighlight(parsed) {
+  const terms = parsed.terms.map(term => {
+    const issue = term.error || term.warning;
+    if (!issue) return escapeRecordHtml(term.raw);
+    const className = term.error ? 'record-term-error' : 'record-term-warn';
+    return `<span class="${className}" title="${escapeRecordHtml(issue)}">${escapeRecordHtml(term.raw)}</span>`;
+  });
+  return `<code class="record-highlight">${terms.join(';')}</code>`;
+}
+
+/**
+ * Render the errors and warnings of a record
+ * @param {Object} parsed - From parseDmarcRecord
+ * @returns {string} HTML string, empty when there is none
+ */
+function renderDmarcRecordIssues(parsed) {
+  const items = [
+    ...parsed.errors.map(issue => ({ ...issue, badge: 'badge-fail', label: 'error' })),
+    ...parsed.warnings.map(issue => ({ ...issue, badge: 'badge-warn', label: 'warning' }))
+  ];
+  if (items.length === 0) return '';
+
+  return `<ul class="record-issues">${items.map(item => `
+    <li><span class="badge ${item.badge}">${item.label}</span> ${escapeRecordHtml(item.message)}</li>
+  `).join('')}</ul>`;
+}
+
+/**
+ * Render the proposed next record with the reasons of each change
+ * @param {Object} proposal - From proposeDmarcRecord
+ * @returns {string} HTML string
+ */
+function renderDmarcRecordProposal(proposal) {
+  const changes = proposal.changes.map(change => `
+    <li><strong>${escapeRecordHtml(change.tag)}</strong>: ${escapeRecordHtml(change.from ?? 'unset')} &rarr; ${escapeRecordHtml(change.to ?? 'unset')}
+      <span class="identifier-hint">(${escapeRecordHtml(change.reason)})</span></li>
+  `).join('');
+  const notes = proposal.notes.map(note => `<p class="identifier-hint">${escapeRecordHtml(note)}</p>`).join('');
+
+  return `
+    <code class="record-highlight">${escapeRecordHtml(proposal.record)}</code>
+    ${changes ? `<ul class="record-changes">${changes}</ul>` : '<p class="identifier-hint">No change proposed.</p>'}
+    ${notes}
+  `;
+}
+
+/**
+ * Render the comparison with the published policy as table rows
+ * @param {Object[]} rows - From diffDmarcRecord
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderDmarcRecordDiffRows(rows) {
+  if (rows.length === 0) {
+    return '<tr><td colspan="4" class="analysis-empty">No published policy to compare</td></tr>';
+  }
+
+  return rows.map(row => `
+    <tr class="${row.matches ? '' : 'row-partial'}">
+      <td><code>${escapeRecordHtml(row.tag)}</code></td>
+      <td>${escapeRecordHtml(row.record) || '-'}</td>
+      <td>${escapeRecordHtml(row.published) || '-'}</td>
+      <td>${row.matches ? '<span class="badge badge-pass">same</span>' : '<span class="badge badge-warn">differs</span>'}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render warnings for report destinations that need an authorization record
+ * @param {Object[]} destinations - From findExternalReportDestinations
+ * @returns {string} HTML string, empty when every destination is internal
+ */
+function renderExternalDestinationWarnings(destinations) {
+  if (destinations.length === 0) return '';
+
+  const items = destinations.map(item => `
+    <li><span class="badge badge-warn">${escapeRecordHtml(item.tag)}</span> ${escapeRecordHtml(item.address)} is outside this domain.
+      ${escapeRecordHtml(item.destination)} must publish <code>${escapeRecordHtml(item.authorizationRecord)} TXT "v=DMARC1"</code> or receivers drop the reports.</li>
+  `).join('');
+  return `<ul class="record-issues">${items}</ul>`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    describeDmarcRecord,
+    renderDmarcRecordHighlight,
+    renderDmarcRecordIssues,
+    renderDmarcRecordProposal,
+    renderDmarcRecordDiffRows,
+    renderExternalDestinationWarnings
+  };
+}
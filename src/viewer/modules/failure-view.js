@@ -0,0 +1,222 @@
+/**
+ * DMARC Report Reader - Failure Report View Module
+ * Renders DMARC failure (ARF) report details and links to matching aggregate records
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeFailureHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Render a badge for an authentication result
+ * @param {string} result - Result value (pass, fail, softfail, none, ...)
+ * @returns {string} HTML string
+ */
+function renderFailureResultBadge(result) {
+  if (!result) return '<span class="badge badge-neutral">-</span>';
+  const lower = result.toLowerCase();
+  let className = 'badge-fail';
+  if (lower === 'pass') className = 'badge-pass';
+  else if (lower === 'none' || lower === 'neutral') className = 'badge-neutral';
+  else if (lower === 'softfail' || lower === 'temperror') className = 'badge-warn';
+  return `<span class="badge ${className}">${escapeFailureHtml(result)}</span>`;
+}
+
+/**
+ * Format a date for display in the failure view
+ * @param {Date|null} date - Date
+ * @returns {string} Formatted date or '-'
+ */
+function formatFailureDate(date) {
+  if (!date) return '-';
+  if (typeof formatDate === 'function') return formatDate(date);
+  return date.toISOString();
+}
+
+/**
+ * Render a details list item, skipping empty values
+ * @param {string} label - Item label
+ * @param {string|null} value - Raw value (escaped here)
+ * @returns {string} HTML string
+ */
+function renderFailureItem(label, value) {
+  if (value === null || value === undefined || value === '') return '';
+  return `<li><span class="label">${label}:</span> ${escapeFailureHtml(String(value))}</li>`;
+}
+
+/**
+ * Render the DKIM and SPF failure details of a failure report
+ * @param {Object} report - Parsed failure report
+ * @returns {string} HTML string
+ */
+function renderFailureAuthDetails(report) {
+  const dkim = report.dkim;
+  const spf = report.spf;
+  const alignment = report.identityAlignment.length > 0
+    ? report.identityAlignment.join(', ')
+    : 'none (neither identity aligned)';
+
+  const dkimHtml = dkim
+    ? [
+        renderFailureItem('Signing Domain', dkim.domain),
+        renderFailureItem('Selector', dkim.selector),
+        renderFailureItem('Identity', dkim.identity)
+      ].join('')
+    : '<li>No DKIM details in this report</li>';
+
+  const spfHtml = spf
+    ? [
+        renderFailureItem('Envelope From', report.originalMailFrom),
+        renderFailureItem('Checked Domain', spf.mailFromDomain),
+        ...spf.dns.map(record => renderFailureItem('SPF DNS', record))
+      ].join('')
+    : '<li>No SPF details in this report</li>';
+
+  const canonicalized = dkim && (dkim.canonicalizedHeader || dkim.canonicalizedBody)
+    ? `
+      <div class="details-section failure-canonicalized">
+        <h4>DKIM Canonicalized Input</h4>
+        ${dkim.canonicalizedHeader ? `<pre class="failure-pre">${escapeFailureHtml(dkim.canonicalizedHeader)}</pre>` : ''}
+        ${dkim.canonicalizedBody ? `<pre class="failure-pre">${escapeFailureHtml(dkim.canonicalizedBody)}</pre>` : ''}
+      </div>`
+    : '';
+
+  return `
+    <div class="details-content">
+      <div class="details-section">
+        <h4>Failure</h4>
+        <ul>
+          <li><span class="label">Auth-Failure:</span> <span class="badge badge-fail">${escapeFailureHtml(report.authFailureInfo?.label || 'Unspecified')}</span></li>
+          ${report.authFailureInfo ? `<li>${escapeFailureHtml(report.authFailureInfo.description)}</li>` : ''}
+          <li><span class="label">Aligned Identities:</span> ${escapeFailureHtml(alignment)}</li>
+          ${renderFailureItem('Delivery Result', report.deliveryResult)}
+        </ul>
+      </div>
+      <div class="details-section">
+        <h4>DKIM</h4>
+        <ul>${dkimHtml}</ul>
+      </div>
+      <div class="details-section">
+        <h4>SPF</h4>
+        <ul>${spfHtml}</ul>
+      </div>
+    </div>
+    ${canonicalized}
+  `;
+}
+
+/**
+ * Render Authentication-Results entries as table rows
+ * @param {Object} report - Parsed failure report
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderAuthResultRows(report) {
+  const rows = [];
+  for (const header of report.authenticationResults) {
+    for (const result of header.results) {
+      const properties = Object.entries(result.properties)
+        .map(([key, value]) => `${escapeFailureHtml(key)}=${escapeFailureHtml(value)}`)
+        .join('<br>');
+      rows.push(`
+        <tr>
+          <td>${escapeFailureHtml(header.authservId) || '-'}</td>
+          <td>${escapeFailureHtml(result.method.toUpperCase())}</td>
+          <td>${renderFailureResultBadge(result.result)}</td>
+          <td>${properties || '-'}</td>
+          <td>${escapeFailureHtml(result.reason) || '-'}</td>
+        </tr>
+      `);
+    }
+  }
+
+  if (rows.length === 0) {
+    return '<tr><td colspan="5" class="analysis-empty">No Authentication-Results in this report</td></tr>';
+  }
+  return rows.join('');
+}
+
+/**
+ * Render the original message headers as table rows
+ * @param {Object} report - Parsed failure report
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderOriginalHeaderRows(report) {
+  const headers = report.original.headers;
+  if (headers.length === 0) {
+    return '<tr><td colspan="2" class="analysis-empty">The reporter did not include the original headers</td></tr>';
+  }
+
+  return headers.map(header => `
+    <tr>
+      <td class="failure-header-name">${escapeFailureHtml(header.name)}</td>
+      <td class="failure-header-value">${escapeFailureHtml(header.value)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render aggregate records that match a failure report as table rows
+ * Each row has an "Open" button carrying the match index in data-match-index.
+ * @param {Array<{report: Object, record: Object}>} matches - From findMatchingAggregateRecords
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderMatchingRecordRows(matches) {
+  if (matches.length === 0) {
+    return '<tr><td colspan="7" class="analysis-empty">No loaded aggregate report has a record with this source IP and From domain</td></tr>';
+  }
+
+  return matches.map(({ report, record }, index) => {
+    const pe = record.policyEvaluated || {};
+    const dateRange = report.metadata?.dateRange;
+    return `
+      <tr>
+        <td>${escapeFailureHtml(report.metadata?.orgName) || '-'}<br><span class="failure-muted">${escapeFailureHtml(report.metadata?.reportId) || ''}</span></td>
+        <td>${dateRange ? `${formatFailureDate(dateRange.begin)} - ${formatFailureDate(dateRange.end)}` : '-'}</td>
+        <td>${record.count.toLocaleString()}</td>
+        <td>${renderFailureResultBadge(pe.disposition)}</td>
+        <td>${renderFailureResultBadge(pe.dkim)}</td>
+        <td>${renderFailureResultBadge(pe.spf)}</td>
+        <td><button class="details-toggle failure-open-aggregate" data-match-index="${index}">Open</button></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Render the failure-report links shown in an aggregate record's details
+ * Each entry has a "View" button carrying the report index in data-failure-index.
+ * @param {Array<{report: Object, index: number}>} links - Matching failure reports with their session index
+ * @returns {string} HTML string (empty when there are no matches)
+ */
+function renderFailureReportLinks(links) {
+  if (!links || links.length === 0) return '';
+
+  const items = links.map(({ report, index }) => `
+    <li>
+      ${escapeFailureHtml(formatFailureDate(report.arrivalDate))} -
+      ${escapeFailureHtml(report.authFailureInfo?.label || 'Failure report')}
+      ${report.original.subject ? `<span class="identifier-hint">(${escapeFailureHtml(report.original.subject)})</span>` : ''}
+      <button class="details-toggle failure-report-link" data-failure-index="${index}">View</button>
+    </li>
+  `).join('');
+
+  return `
+    <div class="details-section failure-links">
+      <h4>Failure Reports (${links.length})</h4>
+      <ul>${items}</ul>
+    </div>
+  `;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    renderFailureAuthDetails,
+    renderAuthResultRows,
+    renderOriginalHeaderRows,
+    renderMatchingRecordRows,
+    renderFailureReportLinks,
+    renderFailureResultBadge
+  };
+}
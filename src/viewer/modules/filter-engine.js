@@ -3,6 +3,22 @@
  * Handles record filtering and sorting logic
  */
 
+// =============================================================================
+// IP Address Model
+// =============================================================================
+
+/**
+ * Upper 96 bits of an IPv4-mapped IPv6 address (::ffff:0:0/96)
+ * @constant {bigint}
+ */
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n;
+
+/**
+ * All-ones 128-bit mask
+ * @constant {bigint}
+ */
+const IPV6_ALL_ONES = (1n << 128n) - 1n;
+
 /**
  * Convert IPv4 address string to 32-bit integer
  * @param {string} ip - IPv4 address
@@ -16,8 +32,9 @@ function ipToInt(ip) {
 
   let result = 0;
   for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part)) return null;
     const num = parseInt(part, 10);
-    if (isNaN(num) || num < 0 || num > 255) return null;
+    if (num > 255) return null;
     result = (result << 8) | num;
   }
 
@@ -25,53 +42,258 @@ function ipToInt(ip) {
 }
 
 /**
- * Check if an IPv4 address is within a CIDR range
+ * Parse the groups of an IPv6 address, expanding "::" and a trailing dotted IPv4 part
+ * @param {string} text - Lowercase IPv6 address without brackets or zone
+ * @returns {number[]|null} Eight 16-bit groups or null if invalid
+ */
+function parseIpv6Groups(text) {
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+
+  const parseHalf = (half) => {
+    if (half === '') return [];
+    const groups = [];
+    const parts = half.split(':');
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      if (i === parts.length - 1 && part.includes('.')) {
+        const v4 = ipToInt(part);
+        if (v4 === null) return null;
+        groups.push(v4 >>> 16, v4 & 0xffff);
+      } else if (/^[0-9a-f]{1,4}$/.test(part)) {
+        groups.push(parseInt(part, 16));
+      } else {
+        return null;
+      }
+    }
+    return groups;
+  };
+
+  const head = parseHalf(halves[0]);
+  const tail = halves.length === 2 ? parseHalf(halves[1]) : [];
+  if (!head || !tail) return null;
+  // A dotted IPv4 part may only end the address
+  if (halves.length === 2 && halves[0].includes('.')) return null;
+
+  if (halves.length === 1) {
+    return head.length === 8 ? head : null;
+  }
+
+  const missing = 8 - head.length - tail.length;
+  if (missing < 1) return null;
+  return [...head, ...new Array(missing).fill(0), ...tail];
+}
+
+/**
+ * Parse an IPv4 or IPv6 address
+ * Accepts compressed IPv6, brackets, zone IDs and IPv4-mapped addresses
+ * (::ffff:192.0.2.1), which are treated as the IPv4 address they carry.
+ * @param {string} ip - IP address
+ * @returns {{version: number, value: bigint, mapped: boolean}|null} Parsed address or null if invalid
+ */
+function parseIpAddress(ip) {
+  if (!ip || typeof ip !== 'string') return null;
+
+  let text = ip.trim().toLowerCase();
+  if (text.startsWith('[') && text.endsWith(']')) text = text.slice(1, -1);
+  const zone = text.indexOf('%');
+  if (zone !== -1) text = text.slice(0, zone);
+
+  if (!text.includes(':')) {
+    const v4 = ipToInt(text);
+    return v4 === null ? null : { version: 4, value: BigInt(v4), mapped: false };
+  }
+
+  const groups = parseIpv6Groups(text);
+  if (!groups) return null;
+
+  let value = 0n;
+  for (const group of groups) {
+    value = (value << 16n) | BigInt(group);
+  }
+
+  if ((value >> 32n) === 0xffffn) {
+    return { version: 4, value: value & 0xffffffffn, mapped: true };
+  }
+  return { version: 6, value, mapped: false };
+}
+
+/**
+ * Get the 128-bit value of a parsed address (IPv4 as IPv4-mapped IPv6)
+ * @param {{version: number, value: bigint}} parsed - From parseIpAddress
+ * @returns {bigint} 128-bit value
+ */
+function ipTo128(parsed) {
+  return parsed.version === 4 ? IPV4_MAPPED_PREFIX | parsed.value : parsed.value;
+}
+
+/**
+ * Split a 128-bit value into eight 16-bit groups
+ * @param {bigint} value - 128-bit value
+ * @returns {number[]} Groups
+ */
+function ipv6Groups(value) {
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+  return groups;
+}
+
+/**
+ * Format an IPv4 value as a dotted quad
+ * @param {bigint} value - 32-bit value
+ * @returns {string} Dotted quad
+ */
+function formatIpv4(value) {
+  const num = Number(value);
+  return [num >>> 24, (num >>> 16) & 0xff, (num >>> 8) & 0xff, num & 0xff].join('.');
+}
+
+/**
+ * Format an IPv6 value in RFC 5952 canonical form
+ * (lowercase, no leading zeros, longest run of two or more zero groups as "::")
+ * @param {bigint} value - 128-bit value
+ * @returns {string} Canonical IPv6 address
+ */
+function formatIpv6(value) {
+  const groups = ipv6Groups(value);
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < groups.length; i++) {
+    if (groups[i] !== 0) continue;
+    let end = i;
+    while (end < groups.length && groups[end] === 0) end++;
+    if (end - i > bestLength) {
+      bestStart = i;
+      bestLength = end - i;
+    }
+    i = end;
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Normalize an IP address to its canonical form
+ * IPv6 uses RFC 5952 compression; IPv4-mapped addresses become dotted IPv4.
+ * @param {string} ip - IP address
+ * @returns {string} Canonical address, or the trimmed lowercase input if invalid
+ */
+function normalizeIp(ip) {
+  const parsed = parseIpAddress(ip);
+  if (!parsed) return ip ? String(ip).trim().toLowerCase() : '';
+  return parsed.version === 4 ? formatIpv4(parsed.value) : formatIpv6(parsed.value);
+}
+
+/**
+ * Expand an IP address to its full form (IPv6 with all eight zero-padded groups)
+ * @param {string} ip - IP address
+ * @returns {string} Expanded address, or the trimmed lowercase input if invalid
+ */
+function expandIp(ip) {
+  const parsed = parseIpAddress(ip);
+  if (!parsed) return ip ? String(ip).trim().toLowerCase() : '';
+  if (parsed.version === 4) return formatIpv4(parsed.value);
+  return ipv6Groups(parsed.value).map(group => group.toString(16).padStart(4, '0')).join(':');
+}
+
+/**
+ * Compare two IP addresses for sorting
+ * IPv4 (including IPv4-mapped) sorts before IPv6, each numerically;
+ * unparseable values sort last.
+ * @param {string} a - First IP
+ * @param {string} b - Second IP
+ * @returns {number} Negative, zero or positive
+ */
+function compareIps(a, b) {
+  const parsedA = parseIpAddress(a);
+  const parsedB = parseIpAddress(b);
+
+  if (!parsedA || !parsedB) {
+    if (parsedA) return -1;
+    if (parsedB) return 1;
+    return (a || '').localeCompare(b || '', undefined, { numeric: true });
+  }
+
+  if (parsedA.version !== parsedB.version) return parsedA.version - parsedB.version;
+  if (parsedA.value === parsedB.value) return 0;
+  return parsedA.value < parsedB.value ? -1 : 1;
+}
+
+/**
+ * Check if an IP address is within a CIDR range (IPv4 or IPv6)
+ * Both sides are compared as 128-bit values, so IPv4-mapped addresses match
+ * IPv4 ranges and ::ffff:0:0/96 matches every IPv4 address.
  * @param {string} ip - IP address to check
- * @param {string} cidr - CIDR notation (e.g., 192.168.1.0/24)
+ * @param {string} cidr - CIDR notation (e.g., 192.168.1.0/24, 2a00:1450::/32)
  * @returns {boolean} True if IP is in range
  */
 function isIpInCidr(ip, cidr) {
-  try {
-    const [subnet, bitsStr] = cidr.split('/');
-    const bits = parseInt(bitsStr, 10);
-
-    if (isNaN(bits) || bits < 0 || bits > 32) return false;
+  if (!ip || !cidr) return false;
 
-    const ipNum = ipToInt(ip);
-    const subnetNum = ipToInt(subnet);
+  const slash = cidr.lastIndexOf('/');
+  if (slash === -1) return false;
 
-    if (ipNum === null || subnetNum === null) return false;
+  const subnetText = cidr.slice(0, slash).trim();
+  const bitsText = cidr.slice(slash + 1).trim();
+  if (!/^\d{1,3}$/.test(bitsText)) return false;
 
-    // Create mask: e.g., /24 = 0xFFFFFF00
-    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+  const address = parseIpAddress(ip);
+  const subnet = parseIpAddress(subnetText);
+  if (!address || !subnet) return false;
 
-    return (ipNum & mask) === (subnetNum & mask);
-  } catch (err) {
+  // Prefix lengths written against a dotted quad count IPv4 bits
+  let bits = parseInt(bitsText, 10);
+  if (!subnetText.includes(':')) {
+    if (bits > 32) return false;
+    bits += 96;
+  } else if (bits > 128) {
     return false;
   }
+
+  const mask = IPV6_ALL_ONES ^ ((1n << BigInt(128 - bits)) - 1n);
+  return (ipTo128(address) & mask) === (ipTo128(subnet) & mask);
 }
 
 /**
  * Check if an IP matches the filter (prefix match or CIDR)
+ * A complete address matches however either side is written; a partial
+ * address is a prefix of the address as written, compressed or fully expanded.
  * @param {string} ip - IP address to check
- * @param {string} filter - Filter value (prefix or CIDR like 192.168.1.0/24)
+ * @param {string} filter - Filter value (prefix or CIDR like 192.168.1.0/24 or 2a00:1450::/32)
  * @returns {boolean} True if IP matches filter
  */
 function matchesIpFilter(ip, filter) {
   if (!ip || !filter) return true;
 
   const filterLower = filter.trim().toLowerCase();
-  const ipLower = ip.toLowerCase();
 
   // CIDR notation check
   if (filterLower.includes('/')) {
     return isIpInCidr(ip, filterLower);
   }
 
+  const parsedFilter = parseIpAddress(filterLower);
+  const parsedIp = parseIpAddress(ip);
+  if (parsedFilter && parsedIp &&
+      parsedFilter.version === parsedIp.version &&
+      parsedFilter.value === parsedIp.value) {
+    return true;
+  }
+
   // Simple prefix match
-  return ipLower.startsWith(filterLower);
+  return [ip.toLowerCase(), normalizeIp(ip), expandIp(ip)]
+    .some(form => form.startsWith(filterLower));
 }
 
+// =============================================================================
+// Filtering and Sorting
+// =============================================================================
+
 /**
  * Filter records based on filter state
  * Applies all active filters with AND logic
@@ -159,6 +381,16 @@ function filterRecords(records, filterState, ipGeoData) {
       }
     }
 
+    // Novelty filter (requires report history)
+    if (filterState.novelty) {
+      if (!record._novelty || record._novelty.signals.length === 0) {
+        return false;
+      }
+      if (filterState.novelty === 'new-failing' && record.alignment?.dmarcPass) {
+        return false;
+      }
+    }
+
     return true;
   });
 }
@@ -178,6 +410,7 @@ function countActiveFilters(filterState) {
   if (filterState.hostname) count++;
   if (filterState.classification) count++;
   if (filterState.provider) count++;
+  if (filterState.novelty) count++;
   return count;
 }
 
@@ -198,11 +431,7 @@ function sortRecords(records, sortType) {
       sorted.sort((a, b) => a.count - b.count);
       break;
     case 'ip':
-      sorted.sort((a, b) => {
-        const ipA = a.sourceIp || '';
-        const ipB = b.sourceIp || '';
-        return ipA.localeCompare(ipB, undefined, { numeric: true });
-      });
+      sorted.sort((a, b) => compareIps(a.sourceIp, b.sourceIp));
       break;
   }
 
@@ -222,7 +451,8 @@ function createDefaultFilterState() {
     minCount: 0,
     hostname: '',
     classification: '',
-    provider: ''
+    provider: '',
+    novelty: ''
   };
 }
 
@@ -230,6 +460,10 @@ function createDefaultFilterState() {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     ipToInt,
+    parseIpAddress,
+    normalizeIp,
+    expandIp,
+    compareIps,
     isIpInCidr,
     matchesIpFilter,
     filterRecords,
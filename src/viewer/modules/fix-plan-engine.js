@@ -0,0 +1,94 @@
+/**
+ * DMARC Report Reader - Fix Plan Engine Module
+ * Groups the failing sources of a report by fingerprinted provider and
+ * collects the playbook steps each provider needs to pass DMARC
+ */
+
+// Provider playbooks (global in the browser, required under Node.js)
+const fixPlanPlaybooks = typeof getProviderRemediationSteps === 'function'
+  ? { getProviderPlaybook, getProviderRemediationSteps }
+  : require('../../services/provider-playbooks.js');
+
+/**
+ * Build the fix plan of a report
+ * A record fails when DMARC does not pass. Failing records classified as
+ * likely spoofs are only counted: setup steps would authorize the spoofer.
+ * Forwarded and mailing list mail is counted as indirect, since no setup at
+ * the provider fixes what an intermediary changed.
+ * Records of an unknown provider, or of one without a playbook, are counted
+ * as unknown. The SPF and DKIM steps are included when any failing message of
+ * the provider fails that check.
+ * @param {Object[]} records - Records with _provider and _classification
+ * @returns {{providers: Object[], failingMessages: number, spoofMessages: number, indirectMessages: number, unknownMessages: number}} Plan, provider with most failing messages first
+ */
+function buildFixPlan(records) {
+  const byProvider = new Map();
+  let failingMessages = 0;
+  let spoofMessages = 0;
+  let indirectMessages = 0;
+  let unknownMessages = 0;
+
+  for (const record of records) {
+    if (record.alignment?.dmarcPass) continue;
+    const count = record.count || 0;
+    failingMessages += count;
+
+    const classification = record._classification?.classification;
+    if (classification === 'likely_spoof') {
+      spoofMessages += count;
+      continue;
+    }
+    if (classification === 'forwarded' || classification === 'mailing_list') {
+      indirectMessages += count;
+      continue;
+    }
+    const provider = record._provider;
+    const playbook = provider ? fixPlanPlaybooks.getProviderPlaybook(provider.id) : null;
+    if (!playbook) {
+      unknownMessages += count;
+      continue;
+    }
+
+    if (!byProvider.has(provider.id)) {
+      byProvider.set(provider.id, {
+        id: provider.id,
+        name: provider.name,
+        category: provider.category,
+        messages: 0,
+        spfFailing: 0,
+        dkimFailing: 0,
+        sources: new Set(),
+        headerFroms: new Set(),
+        spfInclude: playbook.spfInclude,
+        alignment: playbook.alignment
+      });
+    }
+    const item = byProvider.get(provider.id);
+    const pe = record.policyEvaluated || {};
+    item.messages += count;
+    if (pe.spf !== 'pass') item.spfFailing += count;
+    if (pe.dkim !== 'pass') item.dkimFailing += count;
+    if (record.sourceIp) item.sources.add(record.sourceIp);
+    if (record.identifiers?.headerFrom) item.headerFroms.add(record.identifiers.headerFrom.toLowerCase());
+  }
+
+  const providers = [...byProvider.values()].map(item => ({
+    ...item,
+    sources: [...item.sources].sort(),
+    headerFroms: [...item.headerFroms].sort(),
+    steps: fixPlanPlaybooks.getProviderRemediationSteps(item.id, {
+      spf: item.spfFailing > 0,
+      dkim: item.dkimFailing > 0
+    })
+  }));
+  providers.sort((a, b) => b.messages - a.messages || a.name.localeCompare(b.name));
+
+  return { providers, failingMessages, spoofMessages, indirectMessages, unknownMessages };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildFixPlan
+  };
+}
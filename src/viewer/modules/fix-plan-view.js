@@ -0,0 +1,71 @@
+/**
+ * DMARC Report Reader - Fix Plan View Module
+ * Renders the provider-specific steps that make a report's failing sources
+ * pass DMARC
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeFixPlanHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Summarize a fix plan
+ * @param {Object} plan - From buildFixPlan
+ * @returns {string} Plain text
+ */
+function describeFixPlan(plan) {
+  if (plan.failingMessages === 0) return 'Every message in this report passed DMARC.';
+
+  const count = plan.providers.length;
+  const parts = [count > 0
+    ? `${count} known provider${count === 1 ? '' : 's'} sent failing mail.`
+    : 'No known provider sent failing mail.'];
+  if (plan.unknownMessages > 0) {
+    parts.push(`${plan.unknownMessages.toLocaleString()} failing message${plan.unknownMessages === 1 ? ' comes' : 's come'} from sources without a playbook; see Error Diagnosis in the records table.`);
+  }
+  if (plan.indirectMessages > 0) {
+    parts.push(`${plan.indirectMessages.toLocaleString()} failing message${plan.indirectMessages === 1 ? ' was' : 's were'} forwarded or resent by a mailing list; provider setup cannot fix ${plan.indirectMessages === 1 ? 'it' : 'them'}.`);
+  }
+  if (plan.spoofMessages > 0) {
+    parts.push(`${plan.spoofMessages.toLocaleString()} failing message${plan.spoofMessages === 1 ? ' looks' : 's look'} spoofed and ${plan.spoofMessages === 1 ? 'needs' : 'need'} no setup.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Render the steps of every provider in a fix plan
+ * @param {Object} plan - From buildFixPlan
+ * @returns {string} HTML string, empty when no provider needs steps
+ */
+function renderFixPlanSteps(plan) {
+  return plan.providers.map(item => {
+    const failing = [];
+    if (item.spfFailing > 0) failing.push(`SPF ${item.spfFailing.toLocaleString()}`);
+    if (item.dkimFailing > 0) failing.push(`DKIM ${item.dkimFailing.toLocaleString()}`);
+    const steps = item.steps.length > 0
+      ? `<ol class="fix-plan-steps">${item.steps.map(step => `<li>${escapeFixPlanHtml(step)}</li>`).join('')}</ol>`
+      : '<p class="identifier-hint">The provider offers no setup that aligns its mail; check whether this mail is forwarded or sent without your authorization.</p>';
+
+    return `
+      <div class="fix-plan-provider">
+        <h3 class="simulator-heading">${escapeFixPlanHtml(item.name)}
+          <span class="badge badge-fail">${item.messages.toLocaleString()} failing</span></h3>
+        <p class="coverage-detail">Failing ${escapeFixPlanHtml(failing.join(', '))} &middot;
+          ${item.sources.length.toLocaleString()} source${item.sources.length === 1 ? '' : 's'} &middot;
+          From ${item.headerFroms.map(escapeFixPlanHtml).join(', ') || '-'}
+          ${item.spfInclude ? `&middot; SPF <code>${escapeFixPlanHtml(item.spfInclude)}</code>` : ''}</p>
+        <p class="identifier-hint">${escapeFixPlanHtml(item.alignment)}</p>
+        ${steps}
+      </div>
+    `;
+  }).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    describeFixPlan,
+    renderFixPlanSteps
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * DMARC Report Reader - Report Library View Module
+ * Renders the stored-report list of the report library
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeLibraryHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Format an epoch-milliseconds time as a calendar date
+ * @param {number|null} time - Milliseconds
+ * @returns {string} YYYY-MM-DD (UTC) or '?'
+ */
+function formatLibraryDay(time) {
+  return time === null || time === undefined ? '?' : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Format a library entry's report period
+ * @param {Object} entry - Library entry
+ * @returns {string} Date range text
+ */
+function formatLibraryDateRange(entry) {
+  if (entry.dateBegin === null && entry.dateEnd === null) return 'Unknown date range';
+  const begin = formatLibraryDay(entry.dateBegin);
+  const end = formatLibraryDay(entry.dateEnd);
+  return begin === end ? begin : `${begin} - ${end}`;
+}
+
+/**
+ * Render library entries as selectable list items
+ * Each item carries its position in `entries` in data-library-index; the
+ * checkbox, "Open" and "Delete" controls are wired up by the viewer.
+ * @param {Object[]} entries - Library entries (already filtered and sorted)
+ * @param {Set<string>} [selectedIds] - Ids whose checkbox is ticked
+ * @returns {string} HTML string
+ */
+function renderLibraryRows(entries, selectedIds = new Set()) {
+  if (entries.length === 0) {
+    return '<div class="analysis-empty">No stored reports match these filters</div>';
+  }
+
+  return entries.map((entry, index) => {
+    const total = entry.summary.totalMessages;
+    const passRate = total > 0 ? (entry.summary.passedBoth / total * 100).toFixed(0) : '0';
+    const checked = selectedIds.has(entry.id) ? ' checked' : '';
+    return `
+      <div class="report-item library-item" data-library-index="${index}">
+        <input type="checkbox" class="library-select" aria-label="Select report"${checked}>
+        <div class="report-item-info">
+          <div class="report-item-filename" title="${escapeLibraryHtml(entry.reportId)}">
+            ${escapeLibraryHtml(entry.domain || 'Unknown domain')} &middot; ${escapeLibraryHtml(entry.orgName)}
+          </div>
+          <div class="report-item-meta">
+            <span>${formatLibraryDateRange(entry)}</span>
+            <span>${total.toLocaleString()} messages</span>
+            <span>${passRate}% pass</span>
+            <span>p=${escapeLibraryHtml(entry.policy.policy || '-')}</span>
+          </div>
+        </div>
+        <div class="library-item-actions">
+          <button class="report-item-action library-open">Open</button>
+          <button class="btn-export library-delete" title="Delete from library">Delete</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatLibraryDateRange,
+    renderLibraryRows
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * DMARC Report Reader - Policy Timeline Engine Module
+ * Tracks how a domain's published policy changed across stored reports,
+ * when each reporter first saw a new value, and which reporters kept
+ * seeing the old one
+ */
+
+/**
+ * Published policy fields tracked on the timeline, in DMARC record order
+ * @constant {Array<{key: string, tag: string}>}
+ */
+const POLICY_TIMELINE_FIELDS = Object.freeze([
+  Object.freeze({ key: 'policy', tag: 'p' }),
+  Object.freeze({ key: 'subdomainPolicy', tag: 'sp' }),
+  Object.freeze({ key: 'npPolicy', tag: 'np' }),
+  Object.freeze({ key: 'percentage', tag: 'pct' }),
+  Object.freeze({ key: 'testing', tag: 't' }),
+  Object.freeze({ key: 'adkim', tag: 'adkim' }),
+  Object.freeze({ key: 'aspf', tag: 'aspf' }),
+  Object.freeze({ key: 'failureOptions', tag: 'fo' })
+]);
+
+/**
+ * Read one published policy field of a library entry
+ * Reporters omit tags they do not report (np, testing, often fo), so a
+ * missing value means "not reported", never a change.
+ * @param {Object} entry - Library entry
+ * @param {string} key - Policy field
+ * @returns {string|number|boolean|null} Normalized value, or null when not reported
+ */
+function getPolicyTimelineValue(entry, key) {
+  const value = entry.policy?.[key];
+  if (value === null || value === undefined || value === '') return null;
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+/**
+ * Find the changes of one policy field
+ * A report showing a different value is a change unless it is stale: a
+ * value that was published before, from a reporter that has not yet seen
+ * the current one (DNS caching or propagation).
+ * @param {Object[]} reports - Entries sorted by dateBegin
+ * @param {{key: string, tag: string}} field - Field
+ * @returns {{changes: Object[], current: (string|number|boolean|null)}} Changes in time order and the latest value
+ */
+function findPolicyFieldChanges(reports, field) {
+  const changes = [];
+  const previous = [];
+  const reporterLast = new Map();
+  let current = null;
+
+  for (const report of reports) {
+    const value = getPolicyTimelineValue(report, field.key);
+    if (value === null) continue;
+    const reporter = report.orgName.toLowerCase();
+
+    if (current === null) {
+      current = value;
+    } else if (value !== current) {
+      const stale = reporterLast.get(reporter) !== current && previous.includes(value);
+      if (!stale) {
+        changes.push({
+          field: field.key,
+          tag: field.tag,
+          from: current,
+          to: value,
+          time: report.dateBegin,
+          reportedBy: report.orgName
+        });
+        previous.push(current);
+        current = value;
+      }
+    }
+    reporterLast.set(reporter, value);
+  }
+  return { changes, current };
+}
+
+/**
+ * Work out how each reporter caught up with a change
+ * Only reports before the field's next change count.
+ * @param {Object} change - From findPolicyFieldChanges
+ * @param {Object[]} reports - Entries sorted by dateBegin
+ * @param {number|null} until - Time of the field's next change
+ * @returns {Array<{orgName: string, firstSeen: number|null, lag: number|null, staleReports: number, lastStale: number|null}>} Reporters, latest to catch up first
+ */
+function getPolicyAdoption(change, reports, until) {
+  const byReporter = new Map();
+  for (const report of reports) {
+    if (report.dateBegin < change.time || (until !== null && report.dateBegin >= until)) continue;
+    const value = getPolicyTimelineValue(report, change.field);
+    if (value === null) continue;
+
+    const key = report.orgName.toLowerCase();
+    if (!byReporter.has(key)) {
+      byReporter.set(key, { orgName: report.orgName, firstSeen: null, lag: null, staleReports: 0, lastStale: null });
+    }
+    const reporter = byReporter.get(key);
+    if (value === change.to) {
+      if (reporter.firstSeen === null) {
+        reporter.firstSeen = report.dateBegin;
+        reporter.lag = report.dateBegin - change.time;
+      }
+    } else if (reporter.firstSeen === null) {
+      reporter.staleReports++;
+      reporter.lastStale = report.dateBegin;
+    }
+  }
+
+  return [...byReporter.values()].sort((a, b) =>
+    (b.lag ?? Infinity) - (a.lag ?? Infinity) || a.orgName.localeCompare(b.orgName));
+}
+
+/**
+ * Calculate the published-policy timeline of one policy domain from stored
+ * report summaries
+ * @param {Object[]} entries - Report library entries
+ * @param {{domain?: string}} [options] - Domain ('' or omitted for all)
+ * @returns {{domain: string|null, current: Object, changes: Object[], reports: number, undated: number}} Timeline; `current` maps each field to its latest value
+ */
+function calculatePolicyTimeline(entries, options = {}) {
+  const domain = options.domain ? options.domain.toLowerCase() : null;
+  const reports = [];
+  let undated = 0;
+  for (const entry of entries) {
+    if (domain && entry.domain !== domain) continue;
+    if (entry.dateBegin === null || entry.dateBegin === undefined) {
+      undated++;
+      continue;
+    }
+    reports.push(entry);
+  }
+  reports.sort((a, b) => a.dateBegin - b.dateBegin || a.orgName.localeCompare(b.orgName));
+
+  const current = {};
+  const changes = [];
+  for (const field of POLICY_TIMELINE_FIELDS) {
+    const result = findPolicyFieldChanges(reports, field);
+    current[field.key] = result.current;
+    result.changes.forEach((change, i) => {
+      const next = result.changes[i + 1];
+      changes.push({ ...change, adoption: getPolicyAdoption(change, reports, next ? next.time : null) });
+    });
+  }
+  changes.sort((a, b) => a.time - b.time);
+
+  return { domain, current, changes, reports: reports.length, undated };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    POLICY_TIMELINE_FIELDS,
+    calculatePolicyTimeline
+  };
+}
@@ -0,0 +1,218 @@
+/**
+ * DMARC Report Reader - Policy Timeline View Module
+ * Renders the published-policy timeline chart, change list and reporter
+ * adoption table
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapePolicyTimelineHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Chart geometry in SVG user units
+ * @constant {Object}
+ */
+const POLICY_TIMELINE_CHART = Object.freeze({
+  width: 720,
+  height: 260,
+  left: 56,
+  right: 12,
+  top: 36,
+  bottom: 28,
+  maxXLabels: 8
+});
+
+/**
+ * Format a policy value as written in a DMARC record
+ * @param {string|number|boolean|null} value - Value from the timeline
+ * @returns {string} e.g. "quarantine", "r", "y", or "-"
+ */
+function formatPolicyTimelineValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'boolean') return value ? 'y' : 'n';
+  if (value === 'relaxed' || value === 'strict') return value[0];
+  return String(value);
+}
+
+/**
+ * Describe a change, e.g. "p=none → quarantine"
+ * @param {Object} change - Change from calculatePolicyTimeline
+ * @returns {string} Plain text
+ */
+function describePolicyChange(change) {
+  return `${change.tag}=${formatPolicyTimelineValue(change.from)} → ${formatPolicyTimelineValue(change.to)}`;
+}
+
+/**
+ * Format a time as a UTC date
+ * @param {number|null} time - Epoch milliseconds
+ * @returns {string} YYYY-MM-DD or "-"
+ */
+function formatPolicyTimelineDate(time) {
+  return time === null || time === undefined ? '-' : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Format how long a reporter took to see a change
+ * @param {number|null} lag - Milliseconds
+ * @returns {string} e.g. "same day", "3 days", or "not yet"
+ */
+function formatPolicyLag(lag) {
+  if (lag === null) return 'not yet';
+  const days = Math.round(lag / (24 * 60 * 60 * 1000));
+  if (days === 0) return 'same day';
+  return `${days} day${days === 1 ? '' : 's'}`;
+}
+
+/**
+ * Render the published policy as a DMARC record, from the latest values
+ * @param {Object} current - `current` from calculatePolicyTimeline
+ * @param {Array<{key: string, tag: string}>} fields - POLICY_TIMELINE_FIELDS
+ * @returns {string} e.g. "v=DMARC1; p=quarantine; pct=100", or "" when nothing is known
+ */
+function formatPolicyRecord(current, fields) {
+  const tags = fields
+    .filter(field => current[field.key] !== null && current[field.key] !== undefined)
+    .map(field => `${field.tag}=${formatPolicyTimelineValue(current[field.key])}`);
+  return tags.length > 0 ? `v=DMARC1; ${tags.join('; ')}` : '';
+}
+
+/**
+ * Render daily DMARC pass/fail volume with a marker at every policy change
+ * @param {Object[]} buckets - Day buckets from calculateTrends
+ * @param {Object[]} changes - Changes from calculatePolicyTimeline
+ * @returns {string} SVG markup
+ */
+function renderPolicyTimelineChart(buckets, changes) {
+  if (buckets.length === 0) {
+    return '<div class="analysis-empty">No stored reports for this domain</div>';
+  }
+
+  const { width, height, left, right, top, bottom, maxXLabels } = POLICY_TIMELINE_CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const slot = plotWidth / buckets.length;
+  const xAt = (i) => left + (i + 0.5) * slot;
+  const maxMessages = Math.max(1, ...buckets.map(b => b.totalMessages));
+  const heightOf = (count) => (count / maxMessages) * plotHeight;
+
+  const barWidth = Math.max(1, slot * 0.6);
+  const bars = buckets.map((bucket, i) => {
+    const failing = bucket.totalMessages - bucket.dmarcAligned;
+    const alignedHeight = heightOf(bucket.dmarcAligned);
+    const failingHeight = heightOf(failing);
+    const x = (xAt(i) - barWidth / 2).toFixed(1);
+    return `
+      <g>
+        <title>${bucket.label}: ${bucket.dmarcAligned.toLocaleString()} aligned, ${failing.toLocaleString()} failing DMARC</title>
+        <rect class="policy-bar-aligned" x="${x}" y="${(top + plotHeight - alignedHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${alignedHeight.toFixed(1)}"></rect>
+        <rect class="policy-bar-failing" x="${x}" y="${(top + plotHeight - alignedHeight - failingHeight).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${failingHeight.toFixed(1)}"></rect>
+      </g>
+    `;
+  }).join('');
+
+  // Changes on the same day share one marker
+  const byIndex = new Map();
+  for (const change of changes) {
+    let index = buckets.findIndex((bucket, i) => change.time >= bucket.start && (i === buckets.length - 1 || change.time < buckets[i + 1].start));
+    if (index === -1) index = 0;
+    if (!byIndex.has(index)) byIndex.set(index, []);
+    byIndex.get(index).push(change);
+  }
+  const markers = [...byIndex.entries()].map(([index, dayChanges]) => {
+    const x = xAt(index).toFixed(1);
+    const label = dayChanges.map(describePolicyChange).join(', ');
+    return `
+      <g>
+        <title>${formatPolicyTimelineDate(dayChanges[0].time)}: ${escapePolicyTimelineHtml(label)}</title>
+        <line class="policy-change-line" x1="${x}" x2="${x}" y1="${top - 8}" y2="${top + plotHeight}"></line>
+        <text class="policy-change-label" x="${x}" y="${top - 12}" text-anchor="middle">${escapePolicyTimelineHtml(dayChanges.length === 1 ? label : `${dayChanges.length} changes`)}</text>
+      </g>
+    `;
+  }).join('');
+
+  const labelEvery = Math.ceil(buckets.length / maxXLabels);
+  const xLabels = buckets.map((bucket, i) => (i % labelEvery === 0
+    ? `<text class="trend-axis" x="${xAt(i).toFixed(1)}" y="${height - 8}" text-anchor="middle">${bucket.label}</text>`
+    : '')).join('');
+
+  return `
+    <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="DMARC pass and fail volume with policy changes">
+      <line class="trend-grid" x1="${left}" x2="${width - right}" y1="${top + plotHeight}" y2="${top + plotHeight}"></line>
+      <line class="trend-grid" x1="${left}" x2="${width - right}" y1="${top}" y2="${top}"></line>
+      <text class="trend-axis" x="${left - 6}" y="${top + 3}" text-anchor="end">${maxMessages.toLocaleString()}</text>
+      <text class="trend-axis" x="${left - 6}" y="${top + plotHeight + 3}" text-anchor="end">0</text>
+      ${bars}
+      ${markers}
+      ${xLabels}
+    </svg>
+    <div class="trend-legend">
+      <span class="trend-legend-item"><span class="trend-swatch policy-bar-aligned"></span>DMARC aligned</span>
+      <span class="trend-legend-item"><span class="trend-swatch policy-bar-failing"></span>Failing DMARC</span>
+      <span class="trend-legend-item"><span class="trend-swatch policy-change-line"></span>Policy change</span>
+    </div>
+  `;
+}
+
+/**
+ * Render policy changes as table rows, newest first
+ * @param {Object[]} changes - Changes from calculatePolicyTimeline
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderPolicyChangeRows(changes) {
+  if (changes.length === 0) {
+    return '<tr><td colspan="5" class="analysis-empty">No policy changes seen in the stored reports</td></tr>';
+  }
+
+  return changes.slice().reverse().map(change => {
+    const adopted = change.adoption.filter(reporter => reporter.firstSeen !== null).length;
+    const stale = change.adoption.filter(reporter => reporter.staleReports > 0);
+    const staleText = stale.length > 0
+      ? stale.map(reporter => `${escapePolicyTimelineHtml(reporter.orgName)} <span class="policy-detail">(until ${formatPolicyTimelineDate(reporter.lastStale)})</span>`).join(', ')
+      : '-';
+    return `
+      <tr class="${stale.length > 0 ? 'row-partial' : ''}">
+        <td>${formatPolicyTimelineDate(change.time)}</td>
+        <td><strong>${escapePolicyTimelineHtml(describePolicyChange(change))}</strong></td>
+        <td>${escapePolicyTimelineHtml(change.reportedBy)}</td>
+        <td>${adopted.toLocaleString()} of ${change.adoption.length.toLocaleString()}</td>
+        <td>${staleText}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Render how each reporter caught up with each change, newest change first
+ * @param {Object[]} changes - Changes from calculatePolicyTimeline
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderPolicyAdoptionRows(changes) {
+  const rows = changes.slice().reverse().flatMap(change => change.adoption.map(reporter => ({ change, reporter })));
+  if (rows.length === 0) {
+    return '<tr><td colspan="5" class="analysis-empty">No policy changes seen in the stored reports</td></tr>';
+  }
+
+  return rows.map(({ change, reporter }) => `
+    <tr class="${reporter.staleReports > 0 ? 'row-partial' : ''}">
+      <td>${escapePolicyTimelineHtml(describePolicyChange(change))}</td>
+      <td>${escapePolicyTimelineHtml(reporter.orgName)}</td>
+      <td>${formatPolicyTimelineDate(reporter.firstSeen)} <span class="policy-detail">(${formatPolicyLag(reporter.lag)})</span></td>
+      <td>${reporter.staleReports.toLocaleString()}</td>
+      <td>${formatPolicyTimelineDate(reporter.lastStale)}</td>
+    </tr>
+  `).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatPolicyTimelineValue,
+    describePolicyChange,
+    formatPolicyRecord,
+    renderPolicyTimelineChart,
+    renderPolicyChangeRows,
+    renderPolicyAdoptionRows
+  };
+}
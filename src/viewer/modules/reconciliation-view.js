@@ -0,0 +1,92 @@
+/**
+ * DMARC Report Reader - Reconciliation View Module
+ * Renders what "Combine All" merged, skipped as duplicate, and flagged as conflicting or overlapping
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeReconciliationHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Format a report period as UTC calendar dates
+ * @param {{begin: Date, end: Date}|null} dateRange - Report period
+ * @returns {string} e.g. "2026-01-01 - 2026-01-02"
+ */
+function formatReconciliationPeriod(dateRange) {
+  if (!dateRange?.begin || !dateRange?.end) return 'unknown period';
+  return `${dateRange.begin.toISOString().slice(0, 10)} - ${dateRange.end.toISOString().slice(0, 10)}`;
+}
+
+/**
+ * Describe a report in one line
+ * @param {Object} report - Report description from reconcileReports
+ * @returns {string} HTML string
+ */
+function renderReconciliationReport(report) {
+  const file = report.filename ? ` <span class="reconciliation-file">${escapeReconciliationHtml(report.filename)}</span>` : '';
+  return `<strong>${escapeReconciliationHtml(report.orgName || 'Unknown reporter')}</strong> ` +
+    `${escapeReconciliationHtml(report.reportId || '-')} &middot; ${formatReconciliationPeriod(report.dateRange)} &middot; ` +
+    `${report.messages.toLocaleString()} messages${file}`;
+}
+
+/**
+ * Render the reconciliation summary of a combined report
+ * @param {{merged: Object[], duplicates: Object[], conflicts: Object[], overlaps: Object[]}} reconciliation - From reconcileReports
+ * @param {Array<{filename: string, error: string}>} [parseErrors] - Files that could not be combined
+ * @returns {string} HTML string
+ */
+function renderReconciliationSummary(reconciliation, parseErrors = []) {
+  const { merged, duplicates, conflicts, overlaps } = reconciliation;
+  const skipped = duplicates.length + parseErrors.length;
+
+  const counts = `
+    <div class="reconciliation-counts">
+      <span>${merged.length} merged</span>
+      <span class="${skipped > 0 ? 'reconciliation-skipped' : ''}">${skipped} skipped</span>
+      <span class="${conflicts.length > 0 ? 'reconciliation-warning' : ''}">${conflicts.length} conflicting</span>
+      <span class="${overlaps.length > 0 ? 'reconciliation-warning' : ''}">${overlaps.length} overlapping</span>
+    </div>
+  `;
+
+  const mergedHtml = merged.map(report => `<li>${renderReconciliationReport(report)}</li>`).join('');
+
+  const skippedItems = [
+    ...duplicates.map(report => {
+      const original = report.duplicateOf ? escapeReconciliationHtml(report.duplicateOf) : 'an earlier file';
+      return `<li>${renderReconciliationReport(report)} <span class="reconciliation-reason">(duplicate of ${original})</span></li>`;
+    }),
+    ...parseErrors.map(error => `<li><strong>${escapeReconciliationHtml(error.filename)}</strong> <span class="reconciliation-reason">(${escapeReconciliationHtml(error.error)})</span></li>`)
+  ].join('');
+
+  const renderPair = (pair, note) => `
+    <li>
+      <div>${renderReconciliationReport(pair.first)}</div>
+      <div>${renderReconciliationReport(pair.second)}</div>
+      <div class="reconciliation-reason">${note}</div>
+    </li>
+  `;
+
+  const conflictItems = conflicts.map(conflict => renderPair(conflict,
+    'Report ID resent with different data; both copies were merged, so some messages may be counted twice.')).join('');
+
+  const overlapItems = overlaps.map(overlap => renderPair(overlap, overlap.samePeriod
+    ? 'Same reporter and period under different report IDs; messages are probably counted twice.'
+    : 'Same reporter with overlapping periods; messages in the overlap may be counted twice.')).join('');
+
+  return `
+    ${counts}
+    ${conflictItems ? `<h4>Conflicting resends</h4><ul class="reconciliation-list reconciliation-overlaps">${conflictItems}</ul>` : ''}
+    ${overlapItems ? `<h4>Overlapping reports</h4><ul class="reconciliation-list reconciliation-overlaps">${overlapItems}</ul>` : ''}
+    ${skippedItems ? `<h4>Skipped</h4><ul class="reconciliation-list">${skippedItems}</ul>` : ''}
+    <h4>Merged</h4>
+    <ul class="reconciliation-list">${mergedHtml}</ul>
+  `;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    renderReconciliationSummary
+  };
+}
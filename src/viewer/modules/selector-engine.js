@@ -0,0 +1,134 @@
+/**
+ * DMARC Report Reader - Selector Engine Module
+ * Builds an inventory of DKIM signing domains and selectors from stored
+ * report summaries and flags selectors that stopped appearing, fail, or
+ * showed up recently
+ */
+
+/**
+ * Milliseconds in a day
+ * @constant {number}
+ */
+const SELECTOR_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days without reports before a selector counts as retired, and the window
+ * within which a selector first seen counts as new
+ * @constant {number}
+ */
+const SELECTOR_RECENT_DAYS = 14;
+
+/**
+ * Share of a selector's messages that must pass DKIM
+ * @constant {number}
+ */
+const SELECTOR_MIN_PASS_RATE = 0.5;
+
+/**
+ * Selector status
+ * @constant {Object}
+ */
+const SELECTOR_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  NEW: 'new',
+  FAILING: 'failing',
+  RETIRED: 'retired'
+});
+
+/**
+ * Calculate the DKIM selector inventory of one policy domain
+ * Times are relative to the domain's latest report rather than today, so an
+ * old library reads the same as it did when it was current. A selector is
+ * retired when the domain's reports of the last SELECTOR_RECENT_DAYS days no
+ * longer show it, new when it first appeared in that window while older
+ * reports exist, and failing when less than half its messages pass DKIM.
+ * @param {Object[]} entries - Report library entries
+ * @param {{domain?: string, recentDays?: number}} [options] - Domain ('' or omitted for all) and window
+ * @returns {{domain: string|null, selectors: Object[], reports: number, withoutSelectors: number, undated: number, firstReport: number|null, lastReport: number|null}} Inventory, busiest selector first
+ */
+function calculateSelectorInventory(entries, options = {}) {
+  const domain = options.domain ? options.domain.toLowerCase() : null;
+  const recentMs = (options.recentDays ?? SELECTOR_RECENT_DAYS) * SELECTOR_DAY_MS;
+
+  const reports = [];
+  let withoutSelectors = 0;
+  let undated = 0;
+  for (const entry of entries) {
+    if (domain && entry.domain !== domain) continue;
+    // Entries stored before selectors were summarized
+    if (!Array.isArray(entry.selectors)) {
+      withoutSelectors++;
+    } else if (entry.dateBegin === null || entry.dateBegin === undefined) {
+      undated++;
+    } else {
+      reports.push(entry);
+    }
+  }
+
+  const firstReport = reports.length > 0 ? Math.min(...reports.map(entry => entry.dateBegin)) : null;
+  const lastReport = reports.length > 0 ? Math.max(...reports.map(entry => entry.dateEnd ?? entry.dateBegin)) : null;
+
+  const byKey = new Map();
+  for (const entry of reports) {
+    const end = entry.dateEnd ?? entry.dateBegin;
+    for (const summary of entry.selectors) {
+      const key = `${summary.domain} ${summary.selector || ''}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, {
+          domain: summary.domain,
+          selector: summary.selector,
+          messages: 0,
+          passing: 0,
+          aligned: 0,
+          reports: 0,
+          reporters: new Set(),
+          firstSeen: entry.dateBegin,
+          lastSeen: end
+        });
+      }
+      const item = byKey.get(key);
+      item.messages += summary.messages;
+      item.passing += summary.passing;
+      item.aligned += summary.aligned;
+      item.reports++;
+      item.reporters.add(entry.orgName);
+      item.firstSeen = Math.min(item.firstSeen, entry.dateBegin);
+      item.lastSeen = Math.max(item.lastSeen, end);
+    }
+  }
+
+  const selectors = [...byKey.values()].map(item => {
+    const passRate = item.messages > 0 ? item.passing / item.messages : 0;
+    const retired = lastReport - item.lastSeen > recentMs;
+    const isNew = !retired && item.firstSeen - firstReport > recentMs && lastReport - item.firstSeen <= recentMs;
+    const failing = item.messages > 0 && passRate < SELECTOR_MIN_PASS_RATE;
+
+    let status = SELECTOR_STATUS.ACTIVE;
+    if (retired) status = SELECTOR_STATUS.RETIRED;
+    else if (isNew) status = SELECTOR_STATUS.NEW;
+    else if (failing) status = SELECTOR_STATUS.FAILING;
+
+    return {
+      ...item,
+      reporters: [...item.reporters].sort((a, b) => a.localeCompare(b)),
+      passRate,
+      alignedRate: item.messages > 0 ? item.aligned / item.messages : 0,
+      isNew,
+      failing,
+      status
+    };
+  });
+  selectors.sort((a, b) => b.messages - a.messages || a.domain.localeCompare(b.domain) ||
+    (a.selector || '').localeCompare(b.selector || ''));
+
+  return { domain, selectors, reports: reports.length, withoutSelectors, undated, firstReport, lastReport };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SELECTOR_RECENT_DAYS,
+    SELECTOR_STATUS,
+    calculateSelectorInventory
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * DMARC Report Reader - Selector View Module
+ * Renders the DKIM selector inventory and its notes
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeSelectorHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Badge and explanation per selector status
+ * @constant {Object}
+ */
+const SELECTOR_STATUS_BADGES = Object.freeze({
+  active: { className: 'badge-pass', label: 'Active', title: 'Seen in recent reports and mostly passing' },
+  new: { className: 'badge-warn', label: 'New', title: 'First seen recently; confirm the signer is yours' },
+  failing: { className: 'badge-fail', label: 'Failing', title: 'Most messages fail DKIM; a signer may still use a key that was rotated out' },
+  retired: { className: 'badge-neutral', label: 'Retired', title: 'No longer seen in recent reports; its key can be removed from DNS' }
+});
+
+/**
+ * Format a time as a UTC date
+ * @param {number|null} time - Epoch milliseconds
+ * @returns {string} YYYY-MM-DD or "-"
+ */
+function formatSelectorDate(time) {
+  return time === null || time === undefined ? '-' : new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Format a share as a whole percentage
+ * @param {number} rate - Share from 0 to 1
+ * @returns {string} e.g. "97%"
+ */
+function formatSelectorRate(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Render the status badges of a selector
+ * A new selector that also fails shows both badges.
+ * @param {Object} item - Selector from calculateSelectorInventory
+ * @returns {string} HTML string
+ */
+function renderSelectorStatus(item) {
+  const statuses = [item.status];
+  if (item.status === 'new' && item.failing) statuses.push('failing');
+  return statuses.map(status => {
+    const badge = SELECTOR_STATUS_BADGES[status];
+    return `<span class="badge ${badge.className}" title="${escapeSelectorHtml(badge.title)}">${badge.label}</span>`;
+  }).join(' ');
+}
+
+/**
+ * Render selectors as table rows
+ * @param {Object[]} selectors - From calculateSelectorInventory
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSelectorRows(selectors) {
+  if (selectors.length === 0) {
+    return '<tr><td colspan="9" class="analysis-empty">No DKIM signatures in the stored reports for this domain</td></tr>';
+  }
+
+  return selectors.map(item => `
+    <tr class="${item.status === 'new' || item.status === 'failing' ? 'row-partial' : ''}">
+      <td>${escapeSelectorHtml(item.domain)}</td>
+      <td>${item.selector ? `<code>${escapeSelectorHtml(item.selector)}</code>` : '<span class="coverage-detail">not reported</span>'}</td>
+      <td>${item.messages.toLocaleString()}</td>
+      <td>${formatSelectorRate(item.passRate)}</td>
+      <td>${formatSelectorRate(item.alignedRate)}</td>
+      <td>${item.reporters.length.toLocaleString()}<div class="coverage-detail">${item.reporters.map(escapeSelectorHtml).join(', ')}</div></td>
+      <td>${formatSelectorDate(item.firstSeen)}</td>
+      <td>${formatSelectorDate(item.lastSeen)}</td>
+      <td>${renderSelectorStatus(item)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Describe the selectors that need attention
+ * @param {Object} inventory - From calculateSelectorInventory
+ * @param {number} recentDays - Window the statuses were judged on
+ * @returns {string} Plain text, empty when nothing needs attention
+ */
+function describeSelectorInventory(inventory, recentDays) {
+  const parts = [];
+  const list = (items) => items.map(item => `${item.selector || '(no selector)'} (${item.domain})`).join(', ');
+
+  const fresh = inventory.selectors.filter(item => item.status === 'new');
+  if (fresh.length > 0) {
+    parts.push(`${fresh.length} selector${fresh.length === 1 ? '' : 's'} first seen in the last ${recentDays} days: ${list(fresh)}. Confirm each belongs to a signer you use; an unknown selector can mean someone else signs mail for the domain.`);
+  }
+  const failing = inventory.selectors.filter(item => item.status === 'failing');
+  if (failing.length > 0) {
+    parts.push(`${failing.length} selector${failing.length === 1 ? '' : 's'} mostly failing DKIM: ${list(failing)}. After a key rotation, check that no signer still uses the old key and that the selector's public key is published.`);
+  }
+  if (inventory.withoutSelectors > 0) {
+    parts.push(`${inventory.withoutSelectors} stored report${inventory.withoutSelectors === 1 ? ' was' : 's were'} saved before selectors were recorded and ${inventory.withoutSelectors === 1 ? 'is' : 'are'} not counted.`);
+  }
+  return parts.join(' ');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    renderSelectorStatus,
+    renderSelectorRows,
+    describeSelectorInventory
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * DMARC Report Reader - Sender Inventory View Module
+ * Renders inventory badges, record details and the known-sender list
+ */
+
+// Sender inventory is loaded via <script> in the browser, require() under Node.js
+const senderViewInventory = typeof SENDER_KEY_TYPES === 'object'
+  ? { SENDER_KEY_TYPES }
+  : require('../../services/sender-inventory.js');
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeSenderHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Labels of sender statuses
+ * @constant {Object}
+ */
+const SENDER_STATUS_LABELS = Object.freeze({
+  approved: 'Approved',
+  investigating: 'Investigating',
+  unauthorized: 'Unauthorized'
+});
+
+/**
+ * Render the inventory status badge of a record's sender
+ * @param {Object|null} entry - Matching inventory entry
+ * @returns {string} HTML string, empty for senders not in the inventory
+ */
+function renderSenderBadge(entry) {
+  if (!entry) return '';
+  const tooltip = [entry.owner, entry.purpose].filter(Boolean).join(' - ') || 'Known sender';
+  return `<span class="sender-badge sender-${entry.status}" title="${escapeSenderHtml(tooltip)}">${SENDER_STATUS_LABELS[entry.status]}</span>`;
+}
+
+/**
+ * Render the sender inventory section of a record's details
+ * The "Add to inventory" button carries the source IP, the "Edit entry"
+ * button the entry id; the viewer wires both up.
+ * @param {Object} record - Record with its `_sender` match
+ * @returns {string} HTML string
+ */
+function renderSenderDetails(record) {
+  const entry = record._sender;
+  if (!entry) {
+    const add = record.sourceIp
+      ? `<button class="report-item-action sender-add" data-sender-ip="${escapeSenderHtml(record.sourceIp)}">Add to inventory</button>`
+      : '';
+    return `<div class="sender-details"><span class="label">Sender inventory:</span> not listed ${add}</div>`;
+  }
+
+  const owner = entry.owner ? ` &middot; ${escapeSenderHtml(entry.owner)}` : '';
+  const purpose = entry.purpose ? ` &middot; ${escapeSenderHtml(entry.purpose)}` : '';
+  return `
+    <div class="sender-details">
+      <span class="label">Sender inventory:</span> ${renderSenderBadge(entry)}
+      matched by ${senderViewInventory.SENDER_KEY_TYPES[entry.type]} <strong>${escapeSenderHtml(entry.value)}</strong>${owner}${purpose}
+      <button class="report-item-action sender-edit" data-sender-id="${escapeSenderHtml(entry.id)}">Edit entry</button>
+    </div>
+  `;
+}
+
+/**
+ * Render inventory entries as table rows
+ * @param {Object[]} entries - Inventory entries
+ * @param {Map<string, number>} [messageCounts] - Entry id -> messages matched in the open report
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSenderRows(entries, messageCounts = new Map()) {
+  if (entries.length === 0) {
+    return '<tr><td colspan="7" class="analysis-empty">No known senders yet. Add one above or from a record\'s details.</td></tr>';
+  }
+
+  const order = Object.keys(senderViewInventory.SENDER_KEY_TYPES);
+  const sorted = entries.slice().sort((a, b) =>
+    order.indexOf(a.type) - order.indexOf(b.type) || a.value.localeCompare(b.value));
+
+  return sorted.map(entry => `
+    <tr>
+      <td>${senderViewInventory.SENDER_KEY_TYPES[entry.type]}</td>
+      <td class="ip-cell">${escapeSenderHtml(entry.value)}</td>
+      <td>${escapeSenderHtml(entry.owner) || '-'}</td>
+      <td>${escapeSenderHtml(entry.purpose) || '-'}</td>
+      <td>${renderSenderBadge(entry)}</td>
+      <td>${messageCounts.has(entry.id) ? messageCounts.get(entry.id).toLocaleString() : '-'}</td>
+      <td>
+        <button class="report-item-action sender-edit" data-sender-id="${escapeSenderHtml(entry.id)}">Edit</button>
+        <button class="btn-export sender-delete" data-sender-id="${escapeSenderHtml(entry.id)}">Delete</button>
+      </td>
+    </tr>
+  `).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SENDER_STATUS_LABELS,
+    renderSenderBadge,
+    renderSenderDetails,
+    renderSenderRows
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * DMARC Report Reader - Simulator Engine Module
+ * Re-evaluates a report's records under a hypothetical DMARC policy to show
+ * which mail a stricter policy would quarantine or reject
+ */
+
+// Parser and classification are loaded via <script> in the browser, require() under Node.js
+const simulatorParser = typeof computeAlignment === 'function'
+  ? { computeAlignment, getPolicyTier, POLICY_TIERS }
+  : require('../../parser/dmarc-parser.js');
+const simulatorClassifier = typeof classifyRecord === 'function'
+  ? { CLASSIFICATION, classifyRecord }
+  : require('../../parser/classification.js');
+
+/**
+ * Policy levels from weakest to strongest
+ * @constant {string[]}
+ */
+const SIMULATION_POLICIES = Object.freeze(['none', 'quarantine', 'reject']);
+
+/**
+ * Which published tag decides a message's policy
+ * @constant {Object}
+ */
+const SIMULATION_TIERS = Object.freeze({
+  DOMAIN: 'domain',
+  SUBDOMAIN: 'subdomain',
+  NONEXISTENT: 'nonexistent'
+});
+
+/**
+ * Normalize a policy value
+ * @param {string|null|undefined} value - p, sp or np value
+ * @returns {string|null} Known policy value, or null
+ */
+function normalizeSimulationPolicy(value) {
+  const lower = typeof value === 'string' ? value.toLowerCase() : null;
+  return SIMULATION_POLICIES.includes(lower) ? lower : null;
+}
+
+/**
+ * Next stricter policy, as suggested for a simulation
+ * @param {string|null} policy - Current p value
+ * @returns {string} 'quarantine' after 'none', otherwise 'reject'
+ */
+function getNextSimulationPolicy(policy) {
+  const index = SIMULATION_POLICIES.indexOf(normalizeSimulationPolicy(policy) || 'none');
+  return SIMULATION_POLICIES[Math.min(index + 1, SIMULATION_POLICIES.length - 1)];
+}
+
+/**
+ * Resolve the policy to simulate
+ * The target is read like a DMARC record: an unset sp falls back to p, an
+ * unset np to sp and an unset pct to 100. Unset p, adkim and aspf keep the
+ * published values, so passing the published policy as the target
+ * simulates the policy as it is.
+ * @param {Object|null} policy - Published policy of the report
+ * @param {Object} [target] - Values to try: policy, subdomainPolicy, npPolicy, percentage, adkim, aspf
+ * @returns {{policy: string, subdomainPolicy: string, npPolicy: string, percentage: number, adkim: string, aspf: string}} Policy to simulate
+ */
+function resolveSimulationPolicy(policy, target = {}) {
+  const published = policy || {};
+  const p = normalizeSimulationPolicy(target.policy) || normalizeSimulationPolicy(published.policy) || 'none';
+  const sp = normalizeSimulationPolicy(target.subdomainPolicy) || p;
+  const np = normalizeSimulationPolicy(target.npPolicy) || sp;
+  const pct = Number.isFinite(target.percentage) ? Math.min(100, Math.max(0, target.percentage)) : 100;
+
+  return {
+    policy: p,
+    subdomainPolicy: sp,
+    npPolicy: np,
+    percentage: pct,
+    adkim: target.adkim || published.adkim || 'relaxed',
+    aspf: target.aspf || published.aspf || 'relaxed'
+  };
+}
+
+/**
+ * Work out which tag's policy applies to a header_from domain
+ * Aggregate reports cannot show whether a name exists in DNS, so a
+ * subdomain none of whose mail passes DMARC is taken to be non-existent.
+ * @param {string} headerFrom - Lowercased header_from domain
+ * @param {string} domain - Policy domain
+ * @param {Set<string>} passingDomains - header_from domains with DMARC-passing mail
+ * @returns {string} A SIMULATION_TIERS value
+ */
+function getSimulationTier(headerFrom, domain, passingDomains) {
+  const tier = simulatorParser.getPolicyTier(headerFrom, domain, passingDomains.has(headerFrom));
+  return tier === simulatorParser.POLICY_TIERS.OUTSIDE ? SIMULATION_TIERS.DOMAIN : tier;
+}
+
+/**
+ * Create an empty disposition tally
+ * @returns {{failing: number, quarantined: number, rejected: number}} Tally
+ */
+function createSimulationTally() {
+  return { failing: 0, quarantined: 0, rejected: 0 };
+}
+
+/**
+ * Add a record's failing messages and dispositions to a tally
+ * @param {Object} tally - From createSimulationTally
+ * @param {{failing: number, quarantined: number, rejected: number}} outcome - Record outcome
+ */
+function addSimulationOutcome(tally, outcome) {
+  tally.failing += outcome.failing;
+  tally.quarantined += outcome.quarantined;
+  tally.rejected += outcome.rejected;
+}
+
+/**
+ * Simulate a DMARC policy over a report's records
+ * Alignment is recomputed with the simulated adkim/aspf, then each failing
+ * message gets the policy of its tier. With pct below 100 the expected
+ * share of failing mail (rounded per record) gets that policy and the rest
+ * the next weaker one, as receivers apply it. Failing records are
+ * classified again with their provider and sender inventory match.
+ * @param {Object[]} records - Parsed records (records of combined reports may carry `_sourcePolicy`)
+ * @param {Object|null} policy - Published policy of the report
+ * @param {Object} [target] - Values to try, see resolveSimulationPolicy
+ * @returns {Object} Simulation: resolved policy, totals, byClassification, byTier, sources, providers
+ */
+function simulatePolicy(records, policy, target = {}) {
+  const simulated = resolveSimulationPolicy(policy, target);
+  const share = simulated.percentage / 100;
+
+  const evaluated = records.map(record => {
+    const published = record._sourcePolicy || policy || {};
+    const alignment = simulatorParser.computeAlignment(record, {
+      ...published,
+      adkim: simulated.adkim,
+      aspf: simulated.aspf
+    });
+    return {
+      record,
+      alignment,
+      headerFrom: (record.identifiers?.headerFrom || '').toLowerCase(),
+      domain: (published.domain || '').toLowerCase()
+    };
+  });
+
+  const passingDomains = new Set(evaluated
+    .filter(item => item.alignment.dmarcPass)
+    .map(item => item.headerFrom));
+
+  const result = {
+    policy: simulated,
+    totalMessages: 0,
+    passing: 0,
+    newlyFailing: 0,
+    ...createSimulationTally(),
+    byClassification: new Map(),
+    byTier: new Map(),
+    sources: new Map(),
+    providers: new Map()
+  };
+  for (const value of Object.values(simulatorClassifier.CLASSIFICATION)) {
+    result.byClassification.set(value, createSimulationTally());
+  }
+  for (const tier of Object.values(SIMULATION_TIERS)) {
+    result.byTier.set(tier, createSimulationTally());
+  }
+
+  for (const { record, alignment, headerFrom, domain } of evaluated) {
+    const count = record.count || 0;
+    result.totalMessages += count;
+    if (alignment.dmarcPass) {
+      result.passing += count;
+      continue;
+    }
+    if (record.alignment?.dmarcPass) result.newlyFailing += count;
+
+    const tier = getSimulationTier(headerFrom, domain, passingDomains);
+    const applied = tier === SIMULATION_TIERS.DOMAIN ? simulated.policy
+      : tier === SIMULATION_TIERS.SUBDOMAIN ? simulated.subdomainPolicy
+        : simulated.npPolicy;
+    const outcome = { failing: count, quarantined: 0, rejected: 0 };
+    if (applied === 'reject') {
+      outcome.rejected = Math.round(count * share);
+      outcome.quarantined = count - outcome.rejected;
+    } else if (applied === 'quarantine') {
+      outcome.quarantined = Math.round(count * share);
+    }
+
+    const classification = simulatorClassifier.classifyRecord({ ...record, alignment },
+      record._provider || null, record._sender || null).classification;
+
+    addSimulationOutcome(result, outcome);
+    addSimulationOutcome(result.byClassification.get(classification), outcome);
+    addSimulationOutcome(result.byTier.get(tier), outcome);
+
+    const ip = record.sourceIp || '';
+    if (!result.sources.has(ip)) {
+      result.sources.set(ip, {
+        sourceIp: ip,
+        provider: record._provider?.id !== 'unknown' ? record._provider?.name || null : null,
+        sender: record._sender || null,
+        classification,
+        headerFroms: new Set(),
+        ...createSimulationTally()
+      });
+    }
+    const source = result.sources.get(ip);
+    // A source takes the classification of its biggest failing record
+    if (count > source.failing) source.classification = classification;
+    if (headerFrom) source.headerFroms.add(headerFrom);
+    addSimulationOutcome(source, outcome);
+  }
+
+  for (const source of result.sources.values()) {
+    const name = source.provider || 'Unknown provider';
+    if (!result.providers.has(name)) {
+      result.providers.set(name, { name, known: Boolean(source.provider), sources: 0, ...createSimulationTally() });
+    }
+    const provider = result.providers.get(name);
+    provider.sources++;
+    addSimulationOutcome(provider, source);
+  }
+
+  const byImpact = (a, b) => (b.quarantined + b.rejected) - (a.quarantined + a.rejected) || b.failing - a.failing;
+  return {
+    ...result,
+    byClassification: [...result.byClassification.entries()].map(([classification, tally]) => ({ classification, ...tally })),
+    byTier: [...result.byTier.entries()].map(([tier, tally]) => ({ tier, ...tally })),
+    sources: [...result.sources.values()]
+      .map(source => ({ ...source, headerFroms: [...source.headerFroms].sort() }))
+      .sort((a, b) => byImpact(a, b) || a.sourceIp.localeCompare(b.sourceIp)),
+    providers: [...result.providers.values()].sort((a, b) => byImpact(a, b) || a.name.localeCompare(b.name))
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SIMULATION_POLICIES,
+    SIMULATION_TIERS,
+    getNextSimulationPolicy,
+    resolveSimulationPolicy,
+    simulatePolicy
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * DMARC Report Reader - Simulator View Module
+ * Renders the outcome of a policy simulation
+ */
+
+// Classification is loaded via <script> in the browser, require() under Node.js
+const simulatorDisplay = typeof getClassificationDisplay === 'function'
+  ? { getClassificationDisplay, FIXABLE_CLASSIFICATIONS, INDIRECT_CLASSIFICATIONS }
+  : require('../../parser/classification.js');
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeSimulatorHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Labels of the tag that decides a message's policy
+ * @constant {Object}
+ */
+const SIMULATION_TIER_LABELS = Object.freeze({
+  domain: 'Policy domain (p)',
+  subdomain: 'Subdomains (sp)',
+  nonexistent: 'Subdomains without passing mail (np)'
+});
+
+/**
+ * Describe a simulated policy as DMARC record tags
+ * @param {Object} policy - `policy` of a simulation
+ * @returns {string} e.g. "p=reject; sp=reject; np=reject; pct=100; adkim=r; aspf=s"
+ */
+function describeSimulationPolicy(policy) {
+  return [
+    `p=${policy.policy}`,
+    `sp=${policy.subdomainPolicy}`,
+    `np=${policy.npPolicy}`,
+    `pct=${policy.percentage}`,
+    `adkim=${policy.adkim[0]}`,
+    `aspf=${policy.aspf[0]}`
+  ].join('; ');
+}
+
+/**
+ * Summarize a simulation against the published policy
+ * @param {Object} simulation - From simulatePolicy with the policy to try
+ * @param {Object} baseline - From simulatePolicy with the published policy
+ * @returns {string} Plain text
+ */
+function describeSimulationImpact(simulation, baseline) {
+  if (simulation.totalMessages === 0) return 'No messages in this report.';
+
+  const affected = (classifications) => simulation.byClassification
+    .filter(row => classifications.includes(row.classification))
+    .reduce((sum, row) => sum + row.quarantined + row.rejected, 0);
+  const legitimateAffected = affected(simulatorDisplay.FIXABLE_CLASSIFICATIONS);
+  const indirectAffected = affected(simulatorDisplay.INDIRECT_CLASSIFICATIONS);
+  const parts = [
+    `Under ${describeSimulationPolicy(simulation.policy)}, ${simulation.failing.toLocaleString()} of ${simulation.totalMessages.toLocaleString()} messages would fail DMARC:`,
+    `${simulation.rejected.toLocaleString()} rejected and ${simulation.quarantined.toLocaleString()} quarantined`,
+    `(${baseline.rejected.toLocaleString()} and ${baseline.quarantined.toLocaleString()} under the published policy).`
+  ];
+  if (legitimateAffected > 0) {
+    parts.push(`${legitimateAffected.toLocaleString()} of them look like legitimate mail with a configuration problem; fix those sources first.`);
+  }
+  if (indirectAffected > 0) {
+    parts.push(`${indirectAffected.toLocaleString()} look like forwarded or mailing list mail, which receivers that check ARC may still deliver.`);
+  }
+  if (simulation.newlyFailing > 0) {
+    parts.push(`${simulation.newlyFailing.toLocaleString()} messages that pass today would fail with strict alignment.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Render a classification badge
+ * @param {string} classification - CLASSIFICATION value
+ * @returns {string} HTML string
+ */
+function renderSimulationClassification(classification) {
+  const display = simulatorDisplay.getClassificationDisplay(classification);
+  return `<span class="badge ${display.badgeClass}">${escapeSimulatorHtml(display.label)}</span>`;
+}
+
+/**
+ * Render failing mail per classification and per policy tag as table rows
+ * @param {Object} simulation - From simulatePolicy
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSimulationBreakdownRows(simulation) {
+  if (simulation.failing === 0) {
+    return '<tr><td colspan="4" class="analysis-empty">No message would fail DMARC</td></tr>';
+  }
+
+  const row = (label, tally) => `
+    <tr>
+      <td>${label}</td>
+      <td>${tally.failing.toLocaleString()}</td>
+      <td>${tally.quarantined.toLocaleString()}</td>
+      <td>${tally.rejected.toLocaleString()}</td>
+    </tr>
+  `;
+  return [
+    ...simulation.byClassification
+      .filter(tally => tally.failing > 0)
+      .map(tally => row(renderSimulationClassification(tally.classification), tally)),
+    ...simulation.byTier
+      .filter(tally => tally.failing > 0)
+      .map(tally => row(`<span class="simulation-tier">${SIMULATION_TIER_LABELS[tally.tier]}</span>`, tally))
+  ].join('');
+}
+
+/**
+ * Render failing mail per provider as table rows
+ * @param {Object[]} providers - `providers` of a simulation
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSimulationProviderRows(providers) {
+  if (providers.length === 0) {
+    return '<tr><td colspan="5" class="analysis-empty">No message would fail DMARC</td></tr>';
+  }
+
+  return providers.map(provider => `
+    <tr>
+      <td>${provider.known ? escapeSimulatorHtml(provider.name) : `<span class="simulation-tier">${escapeSimulatorHtml(provider.name)}</span>`}</td>
+      <td>${provider.sources.toLocaleString()}</td>
+      <td>${provider.failing.toLocaleString()}</td>
+      <td>${provider.quarantined.toLocaleString()}</td>
+      <td>${provider.rejected.toLocaleString()}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render failing sources as table rows, most affected first
+ * Rows of likely legitimate sources are highlighted.
+ * @param {Object[]} sources - `sources` of a simulation
+ * @param {number} [limit=50] - Maximum rows
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSimulationSourceRows(sources, limit = 50) {
+  if (sources.length === 0) {
+    return '<tr><td colspan="7" class="analysis-empty">No message would fail DMARC</td></tr>';
+  }
+
+  const rows = sources.slice(0, limit).map(source => `
+    <tr class="${simulatorDisplay.FIXABLE_CLASSIFICATIONS.includes(source.classification) ? 'row-partial' : ''}">
+      <td class="ip-cell">${escapeSimulatorHtml(source.sourceIp)}</td>
+      <td>${escapeSimulatorHtml(source.provider || '-')}</td>
+      <td>${source.headerFroms.map(escapeSimulatorHtml).join(', ') || '-'}</td>
+      <td>${renderSimulationClassification(source.classification)}</td>
+      <td>${source.failing.toLocaleString()}</td>
+      <td>${source.quarantined.toLocaleString()}</td>
+      <td>${source.rejected.toLocaleString()}</td>
+    </tr>
+  `);
+  if (sources.length > limit) {
+    const more = sources.length - limit;
+    rows.push(`<tr><td colspan="7" class="analysis-empty">${more.toLocaleString()} more source${more === 1 ? '' : 's'}</td></tr>`);
+  }
+  return rows.join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    describeSimulationPolicy,
+    describeSimulationImpact,
+    renderSimulationBreakdownRows,
+    renderSimulationProviderRows,
+    renderSimulationSourceRows
+  };
+}
@@ -0,0 +1,128 @@
+/**
+ * DMARC Report Reader - SPF View Module
+ * Renders SPF evaluations of a report's sources and the include tree
+ * behind a record's result
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeSpfHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Badge classes per SPF result
+ * @constant {Object}
+ */
+const SPF_RESULT_BADGES = Object.freeze({
+  pass: 'badge-pass',
+  neutral: 'badge-neutral',
+  none: 'badge-neutral',
+  softfail: 'badge-warn',
+  fail: 'badge-fail',
+  permerror: 'badge-fail',
+  temperror: 'badge-warn'
+});
+
+/**
+ * Render an SPF result badge
+ * @param {string} result - SPF result
+ * @returns {string} HTML string
+ */
+function renderSpfResultBadge(result) {
+  const className = SPF_RESULT_BADGES[result] || 'badge-neutral';
+  return `<span class="badge ${className}">${escapeSpfHtml(result) || '-'}</span>`;
+}
+
+/**
+ * Summarize the evaluations of a report
+ * @param {Object[]} results - From evaluateRecordsSpf
+ * @returns {string} Plain text
+ */
+function describeSpfEvaluations(results) {
+  if (results.length === 0) return 'No source to evaluate: SPF passed for every record.';
+
+  const count = (predicate) => results.filter(predicate).length;
+  const authorized = count(item => item.evaluation.result === 'pass');
+  const errors = count(item => item.evaluation.result === 'permerror' || item.evaluation.result === 'temperror');
+  const differing = count(item => item.evaluation.result !== item.reported);
+  // Counters stop one past the limit they exceeded
+  const overLimit = count(item => item.evaluation.lookups > 10 || item.evaluation.voidLookups > 2);
+
+  const parts = [
+    `${results.length} source${results.length === 1 ? '' : 's'} evaluated:`,
+    `${authorized} authorized by the current records, ${results.length - authorized - errors} not authorized, ${errors} with errors.`
+  ];
+  if (overLimit > 0) {
+    parts.push(`${overLimit} exceed${overLimit === 1 ? 's' : ''} a DNS lookup limit of RFC 7208; receivers return permerror for them.`);
+  }
+  if (differing > 0) {
+    parts.push(`${differing} evaluate${differing === 1 ? 's' : ''} differently than the receiver reported, so the records changed since or the resolver sees different data.`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Render evaluations as table rows
+ * @param {Object[]} results - From evaluateRecordsSpf
+ * @param {number} [limit=50] - Maximum rows
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSpfEvaluationRows(results, limit = 50) {
+  if (results.length === 0) {
+    return '<tr><td colspan="7" class="analysis-empty">No sources evaluated</td></tr>';
+  }
+
+  const rows = results.slice(0, limit).map(item => {
+    const evaluation = item.evaluation;
+    return `
+      <tr class="${evaluation.result === 'pass' && item.reported !== 'pass' ? 'row-partial' : ''}">
+        <td class="ip-cell">${escapeSpfHtml(item.sourceIp) || '-'}</td>
+        <td>${escapeSpfHtml(item.spfDomain) || '-'}</td>
+        <td>${item.messages.toLocaleString()}</td>
+        <td>${renderSpfResultBadge(item.reported)}</td>
+        <td>${renderSpfResultBadge(evaluation.result)}</td>
+        <td>${escapeSpfHtml(evaluation.reason)}</td>
+        <td>${evaluation.lookups}</td>
+      </tr>
+    `;
+  });
+  if (results.length > limit) {
+    const more = results.length - limit;
+    rows.push(`<tr><td colspan="7" class="analysis-empty">${more.toLocaleString()} more source${more === 1 ? '' : 's'}</td></tr>`);
+  }
+  return rows.join('');
+}
+
+/**
+ * Render a record's evaluation with the terms it went through
+ * @param {Object|null} evaluation - From evaluateSpf, or null when not evaluated
+ * @returns {string} HTML string, empty when not evaluated
+ */
+function renderSpfEvaluationDetails(evaluation) {
+  if (!evaluation) return '';
+
+  const steps = evaluation.trace.map(step => `
+    <li class="spf-trace-step spf-trace-${step.outcome.replace(/\s+/g, '-')}" style="padding-left: ${step.depth * 16}px">
+      <span class="label">${escapeSpfHtml(step.domain)}:</span> ${escapeSpfHtml(step.term || 'no SPF record')}
+      <span class="identifier-hint">(${escapeSpfHtml(step.outcome)})</span>
+    </li>
+  `).join('');
+
+  return `
+    <div class="details-section spf-evaluation">
+      <h4>SPF Evaluation ${renderSpfResultBadge(evaluation.result)}</h4>
+      <p>${escapeSpfHtml(evaluation.reason)}</p>
+      <p class="identifier-hint">${evaluation.lookups} of 10 DNS lookups, ${evaluation.voidLookups} of 2 void lookups</p>
+      ${steps ? `<ul class="spf-trace">${steps}</ul>` : ''}
+    </div>
+  `;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    describeSpfEvaluations,
+    renderSpfEvaluationRows,
+    renderSpfEvaluationDetails
+  };
+}
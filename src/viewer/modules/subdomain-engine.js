@@ -0,0 +1,126 @@
+/**
+ * DMARC Report Reader - Subdomain Engine Module
+ * Lists the From domains seen under each policy domain with the policy tag
+ * that applies to them (p, sp or np), and enforcement readiness per tag
+ */
+
+// Parser and analysis engine are loaded via <script> in the browser, require() under Node.js
+const subdomainParser = typeof getApplicablePolicy === 'function'
+  ? { getApplicablePolicy, normalizeDomainName, POLICY_TIERS }
+  : require('../../parser/dmarc-parser.js');
+const subdomainReadiness = typeof calculateEnforcementReadiness === 'function'
+  ? { calculateEnforcementReadiness }
+  : require('./analysis-engine.js');
+
+/**
+ * Failing messages from which a subdomain without legitimate senders is
+ * flagged as a spoofing target
+ * @constant {number}
+ */
+const SUBDOMAIN_SPOOF_MIN_MESSAGES = 10;
+
+/**
+ * Order of tiers in the inventory
+ * @constant {string[]}
+ */
+const SUBDOMAIN_TIER_ORDER = Object.freeze(['domain', 'subdomain', 'nonexistent', 'outside']);
+
+/**
+ * Build the From domain inventory of a report
+ * Aggregate reports cannot show whether a name exists in DNS, so a
+ * subdomain none of whose mail passes DMARC is taken to be non-existent
+ * and gets np. A source is legitimate when any of its mail for the domain
+ * passes DMARC or it is approved in the sender inventory. Subdomains with
+ * at least SUBDOMAIN_SPOOF_MIN_MESSAGES failing messages and no legitimate
+ * source are flagged as spoofing targets.
+ * @param {Object[]} records - Parsed records (records of combined reports may carry `_sourcePolicy`)
+ * @param {Object|null} policy - Published policy of the report
+ * @returns {{domains: Object[], tiers: Object[], spoofTargets: number}} Inventory
+ */
+function buildSubdomainInventory(records, policy) {
+  const groups = new Map();
+  for (const record of records) {
+    const published = record._sourcePolicy || policy || {};
+    const policyDomain = subdomainParser.normalizeDomainName(published.domain);
+    const domain = subdomainParser.normalizeDomainName(record.identifiers?.headerFrom) || policyDomain;
+    const key = `${policyDomain} ${domain}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        domain,
+        policyDomain,
+        published,
+        records: [],
+        sources: new Set(),
+        legitimateSources: new Set()
+      });
+    }
+    const group = groups.get(key);
+    group.records.push(record);
+    group.sources.add(record.sourceIp);
+    if (record.alignment?.dmarcPass || record._sender?.status === 'approved') {
+      group.legitimateSources.add(record.sourceIp);
+    }
+  }
+
+  const domains = [...groups.values()].map(group => {
+    const messages = group.records.reduce((sum, record) => sum + (record.count || 0), 0);
+    const aligned = group.records
+      .filter(record => record.alignment?.dmarcPass)
+      .reduce((sum, record) => sum + (record.count || 0), 0);
+    const applied = subdomainParser.getApplicablePolicy(group.domain, group.published, { exists: aligned > 0 });
+    const failing = messages - aligned;
+    return {
+      domain: group.domain,
+      policyDomain: group.policyDomain,
+      tier: applied.tier,
+      tag: applied.tag,
+      policy: applied.value,
+      messages,
+      aligned,
+      failing,
+      passRate: messages > 0 ? aligned / messages * 100 : null,
+      sources: group.sources.size,
+      legitimateSources: group.legitimateSources.size,
+      spoofTarget: applied.tier !== subdomainParser.POLICY_TIERS.DOMAIN &&
+        applied.tier !== subdomainParser.POLICY_TIERS.OUTSIDE &&
+        group.legitimateSources.size === 0 &&
+        failing >= SUBDOMAIN_SPOOF_MIN_MESSAGES,
+      records: group.records
+    };
+  });
+
+  domains.sort((a, b) => a.policyDomain.localeCompare(b.policyDomain) ||
+    Number(b.spoofTarget) - Number(a.spoofTarget) ||
+    SUBDOMAIN_TIER_ORDER.indexOf(a.tier) - SUBDOMAIN_TIER_ORDER.indexOf(b.tier) ||
+    b.messages - a.messages ||
+    a.domain.localeCompare(b.domain));
+
+  const tiers = SUBDOMAIN_TIER_ORDER.map(tier => {
+    const members = domains.filter(domain => domain.tier === tier);
+    if (members.length === 0) return null;
+    // The domains of a tier share the report's published policy
+    const { tag, policy: value } = members[0];
+    const tierRecords = members.flatMap(domain => domain.records);
+    return {
+      tier,
+      tag,
+      policy: value,
+      domains: members.length,
+      readiness: subdomainReadiness.calculateEnforcementReadiness(tierRecords, { policy: value || 'none' })
+    };
+  }).filter(Boolean);
+
+  return {
+    domains: domains.map(({ records: _records, ...domain }) => domain),
+    tiers,
+    spoofTargets: domains.filter(domain => domain.spoofTarget).length
+  };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SUBDOMAIN_SPOOF_MIN_MESSAGES,
+    buildSubdomainInventory
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * DMARC Report Reader - Subdomain View Module
+ * Renders the From domain inventory and readiness per policy tag
+ */
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeSubdomainHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Labels of the tiers a From domain can fall in
+ * @constant {Object}
+ */
+const SUBDOMAIN_TIER_LABELS = Object.freeze({
+  domain: 'Policy domain',
+  subdomain: 'Subdomain',
+  nonexistent: 'Subdomain, no passing mail',
+  outside: 'Outside policy domain'
+});
+
+/**
+ * Format the applied policy as a record tag
+ * @param {{tag: string, policy: string|null}} item - Domain or tier from buildSubdomainInventory
+ * @returns {string} e.g. "sp=reject", or "-" when no policy was published
+ */
+function formatSubdomainPolicy(item) {
+  return item.policy ? `${item.tag}=${item.policy}` : '-';
+}
+
+/**
+ * Format a pass rate
+ * @param {number|null} rate - Percentage
+ * @returns {string} e.g. "97.5%" or "-"
+ */
+function formatSubdomainRate(rate) {
+  return rate === null ? '-' : `${Math.round(rate * 10) / 10}%`;
+}
+
+/**
+ * Summarize the inventory
+ * @param {{domains: Object[], spoofTargets: number}} inventory - From buildSubdomainInventory
+ * @returns {string} Plain text
+ */
+function describeSubdomainInventory(inventory) {
+  const subdomains = inventory.domains.filter(domain => domain.tier === 'subdomain' || domain.tier === 'nonexistent');
+  if (subdomains.length === 0) return 'All mail in this report uses the policy domain itself as the From domain.';
+
+  const text = `${subdomains.length} subdomain${subdomains.length === 1 ? '' : 's'} of the policy domain seen as From domain.`;
+  if (inventory.spoofTargets === 0) return text;
+  return `${text} ${inventory.spoofTargets} ${inventory.spoofTargets === 1 ? 'has' : 'have'} heavy unauthenticated traffic and no legitimate senders; they are likely spoofing targets, so make sure sp or np enforces a policy for them.`;
+}
+
+/**
+ * Render the From domain inventory as table rows
+ * @param {Object[]} domains - `domains` from buildSubdomainInventory
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSubdomainRows(domains) {
+  if (domains.length === 0) {
+    return '<tr><td colspan="8" class="analysis-empty">No records</td></tr>';
+  }
+
+  return domains.map(domain => {
+    const flag = domain.spoofTarget
+      ? ' <span class="badge classification-spoof" title="Heavy unauthenticated traffic and no legitimate senders">Spoofing target</span>'
+      : '';
+    return `
+      <tr class="${domain.spoofTarget ? 'row-partial' : ''}">
+        <td>${escapeSubdomainHtml(domain.domain) || '-'}${flag}</td>
+        <td>${SUBDOMAIN_TIER_LABELS[domain.tier]}</td>
+        <td>${escapeSubdomainHtml(formatSubdomainPolicy(domain))}</td>
+        <td>${domain.messages.toLocaleString()}</td>
+        <td>${formatSubdomainRate(domain.passRate)}</td>
+        <td>${domain.sources.toLocaleString()}</td>
+        <td>${domain.legitimateSources.toLocaleString()}</td>
+        <td><button class="report-item-action subdomain-view-records" data-subdomain="${escapeSubdomainHtml(domain.domain)}">View records</button></td>
+      </tr>
+    `;
+  }).join('');
+}
+
+/**
+ * Render enforcement readiness per tier as table rows
+ * @param {Object[]} tiers - `tiers` from buildSubdomainInventory
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderSubdomainTierRows(tiers) {
+  if (tiers.length === 0) {
+    return '<tr><td colspan="6" class="analysis-empty">No records</td></tr>';
+  }
+
+  return tiers.map(tier => `
+    <tr>
+      <td>${SUBDOMAIN_TIER_LABELS[tier.tier]}</td>
+      <td>${escapeSubdomainHtml(formatSubdomainPolicy(tier))}</td>
+      <td>${tier.domains.toLocaleString()}</td>
+      <td>${tier.readiness.totalMessages.toLocaleString()}</td>
+      <td>${tier.readiness.alignedPercent}%</td>
+      <td><span class="status-badge subdomain-status status-${tier.readiness.status}">${tier.readiness.statusIcon} ${tier.readiness.statusText}</span></td>
+    </tr>
+  `).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    describeSubdomainInventory,
+    renderSubdomainRows,
+    renderSubdomainTierRows
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * DMARC Report Reader - TLS-RPT View Module
+ * Renders SMTP TLS Reporting (RFC 8460) policy summaries, failure groups and MX breakdowns
+ */
+
+// Parser helpers are loaded via <script> in the browser, require() under Node.js
+const tlsRptParser = typeof getTlsRptResultInfo === 'function'
+  ? { summarizeTlsRptPolicies, groupTlsRptFailures, getTlsRptMxBreakdown, getTlsRptResultInfo }
+  : require('../../parser/tlsrpt-parser.js');
+
+/**
+ * Display labels and badge classes for TLS-RPT policy types
+ * @constant {Object}
+ */
+const TLSRPT_POLICY_DISPLAY = Object.freeze({
+  'sts': { label: 'MTA-STS', badge: 'badge-pass' },
+  'tlsa': { label: 'DANE (TLSA)', badge: 'badge-pass' },
+  'no-policy-found': { label: 'No Policy Found', badge: 'badge-neutral' }
+});
+
+// HTML escaping (global in the browser, required under Node.js)
+const escapeTlsRptHtml = typeof escapeHtml === 'function'
+  ? escapeHtml
+  : require('./ui-utils.js').escapeHtml;
+
+/**
+ * Render a badge for a policy type
+ * @param {string} policyType - Policy type from the report
+ * @returns {string} HTML string
+ */
+function renderTlsRptPolicyBadge(policyType) {
+  const display = TLSRPT_POLICY_DISPLAY[policyType] || { label: policyType || 'Unknown', badge: 'badge-warn' };
+  return `<span class="badge ${display.badge}">${escapeTlsRptHtml(display.label)}</span>`;
+}
+
+/**
+ * Render the failure-rate cell text with a severity class
+ * @param {number} failureRate - Failure rate percentage
+ * @returns {string} HTML string
+ */
+function renderTlsRptFailureRate(failureRate) {
+  let cls = 'tlsrpt-rate-ok';
+  if (failureRate >= 5) cls = 'tlsrpt-rate-fail';
+  else if (failureRate > 0) cls = 'tlsrpt-rate-warn';
+  return `<span class="${cls}">${failureRate.toFixed(1)}%</span>`;
+}
+
+/**
+ * Render policy type summary cards (one per STS / TLSA / no-policy-found)
+ * @param {Object} report - Parsed TLS-RPT report
+ * @returns {string} HTML string
+ */
+function renderTlsRptPolicyTypes(report) {
+  const summaries = tlsRptParser.summarizeTlsRptPolicies(report);
+  if (summaries.length === 0) {
+    return '<p class="analysis-empty">No policies in this report</p>';
+  }
+
+  return summaries.map(summary => `
+    <div class="metric-item tlsrpt-policy-type">
+      <div class="tlsrpt-policy-type-header">
+        ${renderTlsRptPolicyBadge(summary.policyType)}
+        <span class="tlsrpt-muted">${summary.policyCount} ${summary.policyCount === 1 ? 'policy' : 'policies'}</span>
+      </div>
+      <div class="tlsrpt-policy-type-stats">
+        <span><strong>${summary.successfulSessions.toLocaleString()}</strong> successful</span>
+        <span><strong>${summary.failedSessions.toLocaleString()}</strong> failed</span>
+        <span>${renderTlsRptFailureRate(summary.failureRate)} failure rate</span>
+      </div>
+      <div class="tlsrpt-muted">${summary.domains.map(escapeTlsRptHtml).join(', ') || '-'}</div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render table rows for each policy in the report
+ * @param {Object} report - Parsed TLS-RPT report
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderTlsRptPolicyRows(report) {
+  if (report.policies.length === 0) {
+    return '<tr><td colspan="7" class="analysis-empty">No policies in this report</td></tr>';
+  }
+
+  return report.policies.map(policy => `
+    <tr>
+      <td>${escapeTlsRptHtml(policy.policyDomain) || '-'}</td>
+      <td>${renderTlsRptPolicyBadge(policy.policyType)}</td>
+      <td>${escapeTlsRptHtml(policy.stsMode) || '-'}</td>
+      <td>${policy.mxHosts.map(escapeTlsRptHtml).join('<br>') || '-'}</td>
+      <td>${policy.successfulSessions.toLocaleString()}</td>
+      <td>${policy.failedSessions.toLocaleString()}</td>
+      <td>${renderTlsRptFailureRate(policy.failureRate)}</td>
+    </tr>
+  `).join('');
+}
+
+/**
+ * Render failure details grouped by result type
+ * @param {Object} report - Parsed TLS-RPT report
+ * @returns {string} HTML string
+ */
+function renderTlsRptFailureGroups(report) {
+  const groups = tlsRptParser.groupTlsRptFailures(report);
+  if (groups.length === 0) {
+    return '<p class="analysis-empty">No failed sessions reported</p>';
+  }
+
+  return groups.map(group => `
+    <div class="tlsrpt-failure-group">
+      <div class="tlsrpt-failure-header">
+        <span class="badge badge-fail">${escapeTlsRptHtml(group.label)}</span>
+        <code>${escapeTlsRptHtml(group.resultType)}</code>
+        <span class="tlsrpt-muted">${group.failedSessions.toLocaleString()} failed sessions</span>
+      </div>
+      <p class="tlsrpt-failure-description">${escapeTlsRptHtml(group.description)}</p>
+      <div class="table-container">
+        <table class="records-table">
+          <thead>
+            <tr>
+              <th>Policy Domain</th>
+              <th>Sending MTA</th>
+              <th>Receiving MX</th>
+              <th>Receiving IP</th>
+              <th>Sessions</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${group.details.map(detail => `
+              <tr>
+                <td>${escapeTlsRptHtml(detail.policyDomain) || '-'}</td>
+                <td>${escapeTlsRptHtml(detail.sendingMtaIp) || '-'}</td>
+                <td>${escapeTlsRptHtml(detail.receivingMxHostname) || '-'}</td>
+                <td>${escapeTlsRptHtml(detail.receivingIp) || '-'}</td>
+                <td>${detail.failedSessions.toLocaleString()}</td>
+                <td>${escapeTlsRptHtml(detail.failureReasonCode || detail.additionalInformation) || '-'}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render table rows for the per-MX failure breakdown
+ * @param {Object} report - Parsed TLS-RPT report
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderTlsRptMxRows(report) {
+  const hosts = tlsRptParser.getTlsRptMxBreakdown(report);
+  if (hosts.length === 0) {
+    return '<tr><td colspan="5" class="analysis-empty">No failed sessions reported</td></tr>';
+  }
+
+  return hosts.map(host => {
+    const resultTypes = Object.entries(host.resultTypes)
+      .sort((a, b) => b[1] - a[1])
+      .map(([type, count]) => `${escapeTlsRptHtml(tlsRptParser.getTlsRptResultInfo(type).label)} (${count.toLocaleString()})`)
+      .join('<br>');
+
+    return `
+      <tr>
+        <td>${escapeTlsRptHtml(host.mxHost)}</td>
+        <td>${host.failedSessions.toLocaleString()}</td>
+        <td>${resultTypes}</td>
+        <td>${host.receivingIps.map(escapeTlsRptHtml).join('<br>') || '-'}</td>
+        <td>${host.policyDomains.map(escapeTlsRptHtml).join('<br>') || '-'}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    renderTlsRptPolicyBadge,
+    renderTlsRptPolicyTypes,
+    renderTlsRptPolicyRows,
+    renderTlsRptFailureGroups,
+    renderTlsRptMxRows,
+    TLSRPT_POLICY_DISPLAY
+  };
+}
@@ -0,0 +1,198 @@
+/**
+ * DMARC Report Reader - Trends Engine Module
+ * Buckets stored report summaries by day, week or month for the trends view
+ */
+
+/**
+ * Trend bucket sizes
+ * @constant {Object}
+ */
+const TREND_GRANULARITIES = Object.freeze({
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month'
+});
+
+/**
+ * Longest series whose empty periods are filled in; longer series only
+ * list periods that have reports
+ * @constant {number}
+ */
+const MAX_FILLED_TREND_BUCKETS = 1000;
+
+/**
+ * Milliseconds in a day
+ * @constant {number}
+ */
+const TREND_DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the bucket holding a time (UTC, weeks start on Monday)
+ * @param {number} time - Epoch milliseconds
+ * @param {string} granularity - TREND_GRANULARITIES value
+ * @returns {number} Bucket start in epoch milliseconds
+ */
+function getTrendBucketStart(time, granularity) {
+  const date = new Date(time);
+  if (granularity === TREND_GRANULARITIES.MONTH) {
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  const day = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  if (granularity === TREND_GRANULARITIES.WEEK) {
+    return day - ((date.getUTCDay() + 6) % 7) * TREND_DAY_MS;
+  }
+  return day;
+}
+
+/**
+ * Start of the bucket after the one starting at `start`
+ * @param {number} start - Bucket start
+ * @param {string} granularity - TREND_GRANULARITIES value
+ * @returns {number} Next bucket start
+ */
+function getNextTrendBucketStart(start, granularity) {
+  if (granularity === TREND_GRANULARITIES.MONTH) {
+    const date = new Date(start);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+  }
+  return start + (granularity === TREND_GRANULARITIES.WEEK ? 7 : 1) * TREND_DAY_MS;
+}
+
+/**
+ * Label a bucket
+ * @param {number} start - Bucket start
+ * @param {string} granularity - TREND_GRANULARITIES value
+ * @returns {string} e.g. "2026-01-05", "Week of 2026-01-05", "2026-01"
+ */
+function formatTrendBucket(start, granularity) {
+  const iso = new Date(start).toISOString();
+  if (granularity === TREND_GRANULARITIES.MONTH) return iso.slice(0, 7);
+  if (granularity === TREND_GRANULARITIES.WEEK) return `Week of ${iso.slice(0, 10)}`;
+  return iso.slice(0, 10);
+}
+
+/**
+ * Create an empty bucket
+ * @param {number} start - Bucket start
+ * @param {string} granularity - TREND_GRANULARITIES value
+ * @returns {Object} Bucket with zero counts
+ */
+function createTrendBucket(start, granularity) {
+  return {
+    start,
+    label: formatTrendBucket(start, granularity),
+    reports: 0,
+    totalMessages: 0,
+    dmarcAligned: 0,
+    passedDkim: 0,
+    passedSpf: 0,
+    quarantined: 0,
+    rejected: 0
+  };
+}
+
+/**
+ * Add rates to a bucket (null when it has no messages)
+ * @param {Object} bucket - Bucket with counts
+ * @returns {Object} The same bucket
+ */
+function finishTrendBucket(bucket) {
+  const total = bucket.totalMessages;
+  const rate = (count) => (total > 0 ? count / total * 100 : null);
+  bucket.alignedRate = rate(bucket.dmarcAligned);
+  bucket.dkimRate = rate(bucket.passedDkim);
+  bucket.spfRate = rate(bucket.passedSpf);
+  return bucket;
+}
+
+/**
+ * Calculate posture trends for one policy domain from stored report summaries
+ * Each report counts toward the bucket its period begins in. Periods
+ * between the first and last report are included even when empty, so the
+ * series has a true time axis.
+ * @param {Object[]} entries - Report library entries
+ * @param {{domain?: string, granularity?: string}} [options] - Domain ('' or omitted for all) and bucket size
+ * @returns {{domain: string|null, granularity: string, buckets: Object[], totals: Object, undated: number}} Trend series
+ */
+function calculateTrends(entries, options = {}) {
+  const granularity = Object.values(TREND_GRANULARITIES).includes(options.granularity)
+    ? options.granularity
+    : TREND_GRANULARITIES.DAY;
+  const domain = options.domain ? options.domain.toLowerCase() : null;
+
+  const byStart = new Map();
+  const totals = createTrendBucket(0, granularity);
+  let undated = 0;
+
+  for (const entry of entries) {
+    if (domain && entry.domain !== domain) continue;
+    const time = entry.dateBegin ?? entry.dateEnd;
+    if (time === null || time === undefined) {
+      undated++;
+      continue;
+    }
+
+    const start = getTrendBucketStart(time, granularity);
+    if (!byStart.has(start)) byStart.set(start, createTrendBucket(start, granularity));
+    const bucket = byStart.get(start);
+
+    for (const target of [bucket, totals]) {
+      target.reports++;
+      target.totalMessages += entry.summary.totalMessages;
+      target.dmarcAligned += entry.summary.dmarcAligned;
+      target.passedDkim += entry.summary.passedDkim;
+      target.passedSpf += entry.summary.passedSpf;
+      target.quarantined += entry.summary.quarantined;
+      target.rejected += entry.summary.rejected;
+    }
+  }
+
+  const starts = [...byStart.keys()].sort((a, b) => a - b);
+  let buckets = starts.map(start => byStart.get(start));
+
+  if (starts.length > 1) {
+    const filled = [];
+    const last = starts[starts.length - 1];
+    for (let start = starts[0]; start <= last && filled.length <= MAX_FILLED_TREND_BUCKETS; start = getNextTrendBucketStart(start, granularity)) {
+      filled.push(byStart.get(start) || createTrendBucket(start, granularity));
+    }
+    if (filled.length <= MAX_FILLED_TREND_BUCKETS) buckets = filled;
+  }
+
+  finishTrendBucket(totals);
+  delete totals.start;
+  delete totals.label;
+
+  return {
+    domain,
+    granularity,
+    buckets: buckets.map(finishTrendBucket),
+    totals,
+    undated
+  };
+}
+
+/**
+ * Change in a rate between the first and last periods that have messages
+ * @param {Object[]} buckets - Trend buckets
+ * @param {string} field - Rate field, e.g. 'alignedRate'
+ * @returns {{first: number, last: number, change: number}|null} Change in percentage points
+ */
+function getTrendChange(buckets, field) {
+  const withData = buckets.filter(bucket => bucket[field] !== null);
+  if (withData.length < 2) return null;
+  const first = withData[0][field];
+  const last = withData[withData.length - 1][field];
+  return { first, last, change: last - first };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    TREND_GRANULARITIES,
+    getTrendBucketStart,
+    formatTrendBucket,
+    calculateTrends,
+    getTrendChange
+  };
+}
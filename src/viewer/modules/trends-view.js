@@ -0,0 +1,164 @@
+/**
+ * DMARC Report Reader - Trends View Module
+ * Renders the posture trend chart (inline SVG) and per-period table
+ */
+
+/**
+ * Chart geometry in SVG user units
+ * @constant {Object}
+ */
+const TREND_CHART = Object.freeze({
+  width: 720,
+  height: 240,
+  left: 40,
+  right: 56,
+  top: 12,
+  bottom: 28,
+  maxXLabels: 8
+});
+
+/**
+ * Rate series drawn as lines, in legend order
+ * @constant {Array<{field: string, label: string, className: string}>}
+ */
+const TREND_SERIES = Object.freeze([
+  Object.freeze({ field: 'alignedRate', label: 'DMARC aligned', className: 'trend-line-aligned' }),
+  Object.freeze({ field: 'dkimRate', label: 'DKIM pass', className: 'trend-line-dkim' }),
+  Object.freeze({ field: 'spfRate', label: 'SPF pass', className: 'trend-line-spf' })
+]);
+
+/**
+ * Format a rate for display
+ * @param {number|null} rate - Percentage
+ * @returns {string} e.g. "97.5%" or "-"
+ */
+function formatTrendRate(rate) {
+  return rate === null ? '-' : `${rate.toFixed(1)}%`;
+}
+
+/**
+ * Build an SVG path through the non-empty points of a series
+ * Periods without messages break the line.
+ * @param {Array<{x: number, y: number|null}>} points - Points (y null = gap)
+ * @returns {string} Path data
+ */
+function buildTrendPath(points) {
+  let path = '';
+  let drawing = false;
+  for (const { x, y } of points) {
+    if (y === null) {
+      drawing = false;
+      continue;
+    }
+    path += `${drawing ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)} `;
+    drawing = true;
+  }
+  return path.trim();
+}
+
+/**
+ * Render the trend chart: message volume bars (right axis) and pass-rate
+ * lines (left axis, 0-100%)
+ * @param {Object[]} buckets - Buckets from calculateTrends
+ * @returns {string} SVG markup
+ */
+function renderTrendChart(buckets) {
+  if (buckets.length === 0) {
+    return '<div class="analysis-empty">No stored reports for this domain</div>';
+  }
+
+  const { width, height, left, right, top, bottom, maxXLabels } = TREND_CHART;
+  const plotWidth = width - left - right;
+  const plotHeight = height - top - bottom;
+  const slot = plotWidth / buckets.length;
+  const xAt = (i) => left + (i + 0.5) * slot;
+  const yAtRate = (rate) => top + plotHeight - (rate / 100) * plotHeight;
+  const maxMessages = Math.max(1, ...buckets.map(b => b.totalMessages));
+
+  const grid = [0, 25, 50, 75, 100].map(rate => `
+    <line class="trend-grid" x1="${left}" x2="${width - right}" y1="${yAtRate(rate)}" y2="${yAtRate(rate)}"></line>
+    <text class="trend-axis" x="${left - 6}" y="${yAtRate(rate) + 3}" text-anchor="end">${rate}%</text>
+  `).join('');
+
+  const barWidth = Math.max(1, slot * 0.6);
+  const bars = buckets.map((bucket, i) => {
+    const barHeight = (bucket.totalMessages / maxMessages) * plotHeight;
+    return `
+      <rect class="trend-bar" x="${(xAt(i) - barWidth / 2).toFixed(1)}" y="${(top + plotHeight - barHeight).toFixed(1)}"
+        width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}">
+        <title>${bucket.label}: ${bucket.totalMessages.toLocaleString()} messages, ${bucket.reports} reports, aligned ${formatTrendRate(bucket.alignedRate)}, quarantined ${bucket.quarantined.toLocaleString()}, rejected ${bucket.rejected.toLocaleString()}</title>
+      </rect>
+    `;
+  }).join('');
+
+  const lines = TREND_SERIES.map(series => {
+    const points = buckets.map((bucket, i) => ({
+      x: xAt(i),
+      y: bucket[series.field] === null ? null : yAtRate(bucket[series.field])
+    }));
+    const visible = points.filter(p => p.y !== null);
+    // A single point draws no line segment, so mark it
+    const dot = visible.length === 1
+      ? `<circle class="trend-dot ${series.className}" cx="${visible[0].x.toFixed(1)}" cy="${visible[0].y.toFixed(1)}" r="3"></circle>`
+      : '';
+    return `<path class="trend-line ${series.className}" d="${buildTrendPath(points)}"></path>${dot}`;
+  }).join('');
+
+  const labelEvery = Math.ceil(buckets.length / maxXLabels);
+  const xLabels = buckets.map((bucket, i) => (i % labelEvery === 0
+    ? `<text class="trend-axis" x="${xAt(i).toFixed(1)}" y="${height - 8}" text-anchor="middle">${bucket.label.replace(/^Week of /, '')}</text>`
+    : '')).join('');
+
+  const legend = TREND_SERIES.map(series => `
+    <span class="trend-legend-item"><span class="trend-swatch ${series.className}"></span>${series.label}</span>
+  `).join('');
+
+  return `
+    <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Message volume and pass rates over time">
+      ${grid}
+      ${bars}
+      ${lines}
+      <text class="trend-axis" x="${width - right + 6}" y="${top + 3}">${maxMessages.toLocaleString()}</text>
+      <text class="trend-axis" x="${width - right + 6}" y="${top + plotHeight + 3}">0</text>
+      ${xLabels}
+    </svg>
+    <div class="trend-legend">
+      <span class="trend-legend-item"><span class="trend-swatch trend-bar"></span>Messages</span>
+      ${legend}
+    </div>
+  `;
+}
+
+/**
+ * Render trend buckets as table rows, newest first
+ * @param {Object[]} buckets - Buckets from calculateTrends
+ * @returns {string} HTML string of <tr> rows
+ */
+function renderTrendRows(buckets) {
+  const withReports = buckets.filter(bucket => bucket.reports > 0);
+  if (withReports.length === 0) {
+    return '<tr><td colspan="8" class="analysis-empty">No stored reports for this domain</td></tr>';
+  }
+
+  return withReports.slice().reverse().map(bucket => `
+    <tr>
+      <td>${bucket.label}</td>
+      <td>${bucket.reports.toLocaleString()}</td>
+      <td>${bucket.totalMessages.toLocaleString()}</td>
+      <td>${formatTrendRate(bucket.alignedRate)}</td>
+      <td>${formatTrendRate(bucket.dkimRate)}</td>
+      <td>${formatTrendRate(bucket.spfRate)}</td>
+      <td>${bucket.quarantined.toLocaleString()}</td>
+      <td>${bucket.rejected.toLocaleString()}</td>
+    </tr>
+  `).join('');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    formatTrendRate,
+    renderTrendChart,
+    renderTrendRows
+  };
+}
@@ -13,12 +13,22 @@ const filePickerBtn = document.getElementById('file-picker-btn');
 const loadingEl = document.getElementById('loading');
 const errorEl = document.getElementById('error');
 const reportEl = document.getElementById('report');
+const tlsRptReportEl = document.getElementById('tlsrpt-report');
+const failureReportEl = document.getElementById('failure-report');
+const trendsReportEl = document.getElementById('trends-report');
+const coverageReportEl = document.getElementById('coverage-report');
+const policyReportEl = document.getElementById('policy-report');
+const selectorsReportEl = document.getElementById('selectors-report');
+const diffReportEl = document.getElementById('diff-report');
+const reportViews = [reportEl, tlsRptReportEl, failureReportEl, trendsReportEl, coverageReportEl, policyReportEl, selectorsReportEl, diffReportEl];
 const recordsBody = document.getElementById('records-body');
 const exportButtons = document.getElementById('export-buttons');
 const exportJsonBtn = document.getElementById('export-json');
 const exportCsvBtn = document.getElementById('export-csv');
 const filterSelect = document.getElementById('filter-status');
 const sortSelect = document.getElementById('sort-by');
+const domainSwitcher = document.getElementById('domain-switcher');
+const domainSwitcherSelect = document.getElementById('domain-switcher-select');
 
 // Modal elements
 const reportSelectorModal = document.getElementById('report-selector-modal');
@@ -26,6 +36,109 @@ const reportListEl = document.getElementById('report-list');
 const closeSelectorModalBtn = document.getElementById('close-selector-modal');
 const combineAllBtn = document.getElementById('combine-all-btn');
 
+// Report library elements
+const libraryBtn = document.getElementById('library-btn');
+const libraryModal = document.getElementById('library-modal');
+const closeLibraryModalBtn = document.getElementById('close-library-modal');
+const libraryListEl = document.getElementById('library-list');
+const libraryFilterDomain = document.getElementById('library-filter-domain');
+const libraryFilterReporter = document.getElementById('library-filter-reporter');
+const libraryFilterFrom = document.getElementById('library-filter-from');
+const libraryFilterTo = document.getElementById('library-filter-to');
+const librarySelectAll = document.getElementById('library-select-all');
+const libraryCountEl = document.getElementById('library-count');
+const libraryDeleteSelectedBtn = document.getElementById('library-delete-selected-btn');
+const libraryOpenSelectedBtn = document.getElementById('library-open-selected-btn');
+const libraryCompareSelectedBtn = document.getElementById('library-compare-selected-btn');
+const libraryAutosaveInput = document.getElementById('library-autosave');
+const libraryRetentionSelect = document.getElementById('library-retention');
+
+// Trends view elements
+const trendsBtn = document.getElementById('trends-btn');
+const trendsDomainSelect = document.getElementById('trends-domain');
+const trendsGranularitySelect = document.getElementById('trends-granularity');
+
+// Reporter coverage elements
+const coverageBtn = document.getElementById('coverage-btn');
+const coverageDomainSelect = document.getElementById('coverage-domain');
+const coverageDaysSelect = document.getElementById('coverage-days');
+const coverageNoteEl = document.getElementById('coverage-note');
+
+// Policy timeline elements
+const policyBtn = document.getElementById('policy-btn');
+const policyDomainSelect = document.getElementById('policy-domain');
+
+// DKIM selector inventory elements
+const selectorsBtn = document.getElementById('selectors-btn');
+const selectorsDomainSelect = document.getElementById('selectors-domain');
+const selectorsNoteEl = document.getElementById('selectors-note');
+
+// Report comparison elements
+const compareBtn = document.getElementById('compare-btn');
+const diffDomainSelect = document.getElementById('diff-domain');
+const diffModeSelect = document.getElementById('diff-mode');
+const diffBeforeReportSelect = document.getElementById('diff-before-report');
+const diffAfterReportSelect = document.getElementById('diff-after-report');
+const diffRunBtn = document.getElementById('diff-run-btn');
+const diffResultsEl = document.getElementById('diff-results');
+
+// Sender inventory elements
+const sendersBtn = document.getElementById('senders-btn');
+const sendersModal = document.getElementById('senders-modal');
+const closeSendersModalBtn = document.getElementById('close-senders-modal');
+const senderForm = document.getElementById('sender-form');
+const senderTypeSelect = document.getElementById('sender-type');
+const senderValueInput = document.getElementById('sender-value');
+const senderOwnerInput = document.getElementById('sender-owner');
+const senderPurposeInput = document.getElementById('sender-purpose');
+const senderStatusSelect = document.getElementById('sender-status');
+const senderSaveBtn = document.getElementById('sender-save-btn');
+const senderCancelBtn = document.getElementById('sender-cancel-btn');
+const senderFormError = document.getElementById('sender-form-error');
+const sendersBody = document.getElementById('senders-body');
+
+// Subdomain elements
+const subdomainSummaryEl = document.getElementById('subdomain-summary');
+const subdomainTiersBody = document.getElementById('subdomain-tiers-body');
+const subdomainBody = document.getElementById('subdomain-body');
+
+// Policy simulator elements
+const simulatePSelect = document.getElementById('simulate-p');
+const simulateSpSelect = document.getElementById('simulate-sp');
+const simulateNpSelect = document.getElementById('simulate-np');
+const simulatePctInput = document.getElementById('simulate-pct');
+const simulateAdkimCheckbox = document.getElementById('simulate-adkim');
+const simulateAspfCheckbox = document.getElementById('simulate-aspf');
+const simulationSummaryEl = document.getElementById('simulation-summary');
+const simulationBreakdownBody = document.getElementById('simulation-breakdown-body');
+const simulationProvidersBody = document.getElementById('simulation-providers-body');
+const simulationSourcesBody = document.getElementById('simulation-sources-body');
+
+// SPF evaluation elements
+const spfResolverSelect = document.getElementById('spf-resolver');
+const spfResolverDohOption = document.getElementById('spf-resolver-doh');
+const spfIncludePassingCheckbox = document.getElementById('spf-include-passing');
+const spfEvaluateBtn = document.getElementById('spf-evaluate-btn');
+const spfZoneInput = document.getElementById('spf-zone');
+const spfSummaryEl = document.getElementById('spf-summary');
+const spfBody = document.getElementById('spf-body');
+
+// DMARC record elements
+const recordInput = document.getElementById('record-input');
+const recordResetBtn = document.getElementById('record-reset-btn');
+const recordSummaryEl = document.getElementById('record-summary');
+const recordHighlightEl = document.getElementById('record-highlight');
+const recordIssuesEl = document.getElementById('record-issues');
+const recordProposalEl = document.getElementById('record-proposal');
+const recordDiffBody = document.getElementById('record-diff-body');
+const recordDestinationsEl = document.getElementById('record-destinations');
+const fixPlanSummaryEl = document.getElementById('fix-plan-summary');
+const fixPlanBody = document.getElementById('fix-plan-body');
+
+// New sources elements
+const noveltySummaryEl = document.getElementById('novelty-summary');
+const noveltyBody = document.getElementById('novelty-body');
+
 // Advanced filter elements
 const toggleFiltersBtn = document.getElementById('toggle-filters-btn');
 const advancedFiltersPanel = document.getElementById('advanced-filters');
@@ -36,15 +149,18 @@ const filterMinCountInput = document.getElementById('filter-min-count');
 const filterHostnameInput = document.getElementById('filter-hostname');
 const filterClassificationSelect = document.getElementById('filter-classification');
 const filterProviderSelect = document.getElementById('filter-provider');
+const filterNoveltySelect = document.getElementById('filter-novelty');
 const applyFiltersBtn = document.getElementById('apply-filters-btn');
 const clearFiltersBtn = document.getElementById('clear-filters-btn');
 const activeFilterCountBadge = document.getElementById('active-filter-count');
 
 // Enrichment elements
 const enrichmentBanner = document.getElementById('enrichment-banner');
+const enrichmentTitle = document.getElementById('enrichment-title');
 const enrichmentMessage = document.getElementById('enrichment-message');
 const enrichNowBtn = document.getElementById('enrich-now-btn');
 const skipEnrichmentBtn = document.getElementById('skip-enrichment-btn');
+const settingsBtn = document.getElementById('settings-btn');
 
 // XML modal elements
 const xmlModal = document.getElementById('xml-modal');
@@ -53,19 +169,64 @@ const viewXmlBtn = document.getElementById('view-xml-btn');
 const copyXmlBtn = document.getElementById('copy-xml-btn');
 const closeXmlModalBtn = document.getElementById('close-xml-modal');
 
+// Loading progress elements
+const loadingMessageEl = document.getElementById('loading-message');
+const loadingProgressEl = document.getElementById('loading-progress');
+const loadingProgressFill = document.getElementById('loading-progress-fill');
+const showMoreRecordsBtn = document.getElementById('show-more-records');
+
 // Enrichment threshold - reports with more unique IPs than this will prompt
 const LARGE_REPORT_IP_THRESHOLD = 50;
 
+// Reports larger than this (in characters) use the streaming parser instead of DOMParser
+const STREAMING_PARSE_THRESHOLD = 2 * 1024 * 1024;
+
+// Worker script for off-thread streaming parses (relative to viewer.html)
+const DMARC_PARSE_WORKER_URL = '../parser/dmarc-parse-worker.js';
+
+// Records table rows rendered at a time; "Show more records" renders the next page
+const RECORDS_PAGE_SIZE = 500;
+let recordsRenderLimit = RECORDS_PAGE_SIZE;
+
+// Worker parses feeding the current view ({ promise, cancel }), cancelled when the view changes
+const activeParses = new Set();
+
 // Track enrichment state
 let enrichmentSkipped = false;
 
 // Current report data
 let currentReport = null;
 let currentRawXml = null; // Store for raw XML drilldown (Checkpoint 5)
+let currentTlsRptReport = null; // Set while an SMTP TLS report is displayed
+let currentFailureReport = null; // Set while a DMARC failure report is displayed
+let combinedDomainReports = []; // One combined report per policy domain from "Combine All"
+let currentDiff = null; // {before, after, result} of the last comparison
+
+// Reports opened during this viewer session, used to cross-link
+// failure reports and aggregate records by source IP and header_from
+const MAX_SESSION_REPORTS = 50;
+const sessionReports = {
+  aggregate: [],
+  failure: []
+};
+const sessionRawXml = new WeakMap();
 let ipGeoData = new Map();
 let pendingDownloadId = null; // Track if file came from download for cleanup
 let pendingExtraction = null; // Store multi-file extraction for modal handling
 
+// Report library state
+let libraryEntries = []; // Every stored entry
+let libraryShown = []; // Entries matching the library filters, in display order
+const librarySelection = new Set(); // Ids ticked in the library list
+let librarySettingsPromise = null;
+
+// Sender inventory state
+let senderInventory = []; // Normalized entries from storage
+let senderEditingId = null; // Id of the entry loaded into the form for editing
+
+// Source history of the displayed report's domain, null while loading
+let sourceHistory = null;
+
 // Filter state - centralized for all filter criteria
 const filterState = {
   status: 'all',
@@ -75,7 +236,8 @@ const filterState = {
   minCount: 0,
   hostname: '',
   classification: '',
-  provider: ''
+  provider: '',
+  novelty: ''
 };
 
 // Sort state
@@ -85,9 +247,34 @@ let currentSort = 'count-desc';
  * Show loading state
  */
 function showLoading() {
+  loadingMessageEl.textContent = 'Processing report...';
+  loadingProgressEl.classList.add('hidden');
   loadingEl.classList.remove('hidden');
   errorEl.classList.add('hidden');
-  reportEl.classList.add('hidden');
+  showReportView(null);
+}
+
+/**
+ * Show streaming parse progress in the loading state
+ * @param {{processed: number, total: number, recordCount: number}} progress - Parser progress
+ */
+function showLoadingProgress(progress) {
+  const percent = progress.total > 0 ? Math.round(progress.processed / progress.total * 100) : 0;
+  loadingMessageEl.textContent = `Parsing report... ${percent}% (${progress.recordCount.toLocaleString()} records)`;
+  loadingProgressFill.style.width = `${percent}%`;
+  loadingProgressEl.classList.remove('hidden');
+}
+
+/**
+ * Show one report view (DMARC, TLS-RPT, or failure report) and hide the others
+ * @param {HTMLElement|null} activeEl - View to show, or null to hide all
+ */
+function showReportView(activeEl) {
+  // Whatever was being parsed for the previous view must not replace this one
+  cancelActiveParses();
+  for (const el of reportViews) {
+    el.classList.toggle('hidden', el !== activeEl);
+  }
 }
 
 /**
@@ -98,7 +285,7 @@ function showError(message) {
   loadingEl.classList.add('hidden');
   errorEl.classList.remove('hidden');
   errorEl.textContent = message;
-  reportEl.classList.add('hidden');
+  showReportView(null);
 }
 
 /**
@@ -107,7 +294,70 @@ function showError(message) {
 function showReport() {
   loadingEl.classList.add('hidden');
   errorEl.classList.add('hidden');
-  reportEl.classList.remove('hidden');
+  showReportView(reportEl);
+}
+
+/**
+ * Show SMTP TLS report
+ */
+function showTlsRptReport() {
+  loadingEl.classList.add('hidden');
+  errorEl.classList.add('hidden');
+  showReportView(tlsRptReportEl);
+}
+
+/**
+ * Show DMARC failure report
+ */
+function showFailureReport() {
+  loadingEl.classList.add('hidden');
+  errorEl.classList.add('hidden');
+  showReportView(failureReportEl);
+}
+
+/**
+ * Show the trends view
+ */
+function showTrendsReport() {
+  loadingEl.classList.add('hidden');
+  errorEl.classList.add('hidden');
+  showReportView(trendsReportEl);
+}
+
+/**
+ * Show the reporter coverage view
+ */
+function showCoverageReport() {
+  loadingEl.classList.add('hidden');
+  errorEl.classList.add('hidden');
+  showReportView(coverageReportEl);
+}
+
+/**
+ * Show the published policy timeline view
+ */
+function showPolicyReport() {
+  loadingEl.classList.add('hidden');
+  errorEl.classList.add('hidden');
+  showReportView(policyReportEl);
+}
+
+/**
+ * Show the DKIM selector inventory view
+ */
+function showSelectorsReport() {
+  loadingEl.classList.add('hidden');
+  errorEl.classList.add('hidden');
+  showReportView(selectorsReportEl);
+}
+
+/**
+ * Show the report comparison view
+ */
+function showDiffReport() {
+  loadingEl.classList.add('hidden');
+  errorEl.classList.add('hidden');
+  showReportView(diffReportEl);
 }
 
 /**
@@ -154,8 +404,8 @@ function createBadge(status) {
  * @returns {string} HTML badge string
  */
 function createClassificationBadge(record) {
-  // Only show classification for failing records
-  if (record.alignment?.dmarcPass) {
+  // Only show classification for failing records and unauthorized senders
+  if (record.alignment?.dmarcPass && record._sender?.status !== 'unauthorized') {
     return '<span class="badge badge-neutral">-</span>';
   }
 
@@ -177,6 +427,18 @@ function createClassificationBadge(record) {
       case 'likely_legit_misconfig':
         display = { label: 'Likely Misconfig', badgeClass: 'classification-misconfig' };
         break;
+      case 'forwarded':
+        display = { label: 'Forwarded', badgeClass: 'classification-forwarded' };
+        break;
+      case 'mailing_list':
+        display = { label: 'Mailing List', badgeClass: 'classification-mailing-list' };
+        break;
+      case 'esp_not_authorized':
+        display = { label: 'ESP Not Authorized', badgeClass: 'classification-esp' };
+        break;
+      case 'internal_relay':
+        display = { label: 'Internal Relay', badgeClass: 'classification-relay' };
+        break;
       default:
         display = { label: 'Unknown', badgeClass: 'classification-unknown' };
     }
@@ -272,6 +534,58 @@ function renderMetadata(metadata) {
   } else {
     document.getElementById('date-range').textContent = '-';
   }
+
+  // DMARCbis reports name the software that generated them
+  document.getElementById('report-generator').textContent = metadata.generator || '-';
+  document.getElementById('report-generator-item').classList.toggle('hidden', !metadata.generator);
+}
+
+/**
+ * Render which aggregate report schema the report uses
+ * @param {Object} schema - Schema detection result from the parser
+ */
+function renderReportSchema(schema) {
+  const el = document.getElementById('report-schema');
+  if (!schema) {
+    el.textContent = '-';
+    return;
+  }
+
+  const label = schema.name === REPORT_SCHEMAS.DMARCBIS ? 'DMARCbis' : 'RFC 7489';
+  el.textContent = schema.version ? `${label} (version ${schema.version})` : label;
+  el.title = schema.namespace ? `Namespace: ${schema.namespace}` : '';
+}
+
+/**
+ * Human-readable labels for DMARCbis policy discovery methods
+ * @constant {Object}
+ */
+const DISCOVERY_METHOD_LABELS = Object.freeze({
+  psl: 'Public Suffix List lookup (RFC 7489)',
+  treewalk: 'DNS tree walk (DMARCbis)'
+});
+
+/**
+ * Describe how the receiver discovered the published policy
+ * Flags Public Suffix Domain (PSD) policies, which apply to every
+ * organization registered under the suffix.
+ * @param {Object} policy - Published policy data
+ * @returns {string} Display text
+ */
+function describePolicyDiscovery(policy) {
+  const parts = [];
+  if (policy.discoveryMethod) {
+    parts.push(DISCOVERY_METHOD_LABELS[policy.discoveryMethod] || policy.discoveryMethod);
+  }
+
+  const suffixMatch = policy.domain && typeof lookupPublicSuffix === 'function'
+    ? lookupPublicSuffix(policy.domain)
+    : null;
+  if (suffixMatch?.isPublicSuffix) {
+    parts.push('Public Suffix Domain (PSD) policy');
+  }
+
+  return parts.length > 0 ? parts.join(' · ') : '-';
 }
 
 /**
@@ -282,93 +596,84 @@ function renderPolicy(policy) {
   document.getElementById('policy-domain').textContent = policy.domain || '-';
   document.getElementById('policy-p').textContent = policy.policy || '-';
   document.getElementById('policy-sp').textContent = policy.subdomainPolicy || '-';
+  document.getElementById('policy-np').textContent = policy.npPolicy || '-';
   document.getElementById('policy-adkim').textContent = policy.adkim || '-';
   document.getElementById('policy-aspf').textContent = policy.aspf || '-';
   document.getElementById('policy-pct').textContent = policy.percentage !== null ? `${policy.percentage}%` : '-';
+
+  // DMARCbis-only fields: testing replaces pct, discovery method is new
+  const hasTesting = policy.testing === true || policy.testing === false;
+  document.getElementById('policy-testing').textContent = policy.testing ? 'Yes (t=y, policy not enforced)' : 'No';
+  document.getElementById('policy-testing-item').classList.toggle('hidden', !hasTesting);
+  document.getElementById('policy-pct-item').classList.toggle('hidden', hasTesting && policy.percentage === null);
+
+  const discovery = describePolicyDiscovery(policy);
+  document.getElementById('policy-discovery').textContent = discovery;
+  document.getElementById('policy-discovery-item').classList.toggle('hidden', discovery === '-');
 }
 
 /**
- * Calculate enforcement readiness metrics from report data
- * Evaluates whether it's safe to move to a more restrictive DMARC policy
- * @param {Array} records - Array of parsed records
- * @param {Object} policy - Published DMARC policy
- * @returns {Object} Enforcement readiness assessment
+ * Show where the reports behind a combined domain disagree on its policy
+ * @param {Array<{tag: string, values: Array<{value: string, reports: number}>}>} conflicts - From findPolicyConflicts
  */
-function calculateEnforcementReadiness(records, policy) {
-  const currentPolicy = policy?.policy || 'none';
+function renderPolicyConflicts(conflicts) {
+  const el = document.getElementById('policy-conflicts');
+  if (!conflicts || conflicts.length === 0) {
+    el.classList.add('hidden');
+    el.innerHTML = '';
+    return;
+  }
 
-  // Calculate totals
-  let totalMessages = 0;
-  let alignedMessages = 0;
-  let failingSources = 0;
-  let failingMessages = 0;
+  const items = conflicts.map(conflict => {
+    const values = conflict.values
+      .map(v => `${escapeHtml(v.value)} (${v.reports} report${v.reports === 1 ? '' : 's'})`)
+      .join(', ');
+    return `<li><strong>${escapeHtml(conflict.tag)}</strong>: ${values}</li>`;
+  }).join('');
 
-  for (const record of records) {
-    const count = record.count || 0;
-    totalMessages += count;
+  el.innerHTML = `
+    <strong>Reports disagree on the published policy</strong>
+    <ul>${items}</ul>
+    <span>Showing the policy from the most recent report. Records from reports that saw a different policy are flagged "Policy Differs".</span>
+  `;
+  el.classList.remove('hidden');
+}
 
-    if (record.alignment?.dmarcPass) {
-      alignedMessages += count;
-    } else {
-      failingMessages += count;
-      failingSources++;
-    }
+/**
+ * Show what was merged, skipped and flagged when the report was combined
+ * @param {Object} report - Report being displayed
+ */
+function renderReconciliation(report) {
+  const section = document.getElementById('reconciliation-section');
+  if (!report._reconciliation) {
+    section.classList.add('hidden');
+    return;
   }
 
-  // Calculate alignment percentage
-  const alignedPercent = totalMessages > 0
-    ? Math.round((alignedMessages / totalMessages) * 100)
-    : 0;
-
-  // Determine readiness status based on thresholds
-  // Safe: 98%+ aligned, Caution: 90-98%, Not Ready: <90%
-  let status, statusText, statusIcon, recommendation;
-
-  if (currentPolicy === 'reject') {
-    // Already at maximum enforcement
-    status = 'none';
-    statusText = 'Maximum Enforcement';
-    statusIcon = '✓';
-    recommendation = `Your domain is already at the strictest DMARC policy (reject). ${alignedPercent}% of messages are properly aligned. Monitor failing sources to ensure they are not legitimate senders.`;
-  } else if (alignedPercent >= 98) {
-    status = 'safe';
-    statusText = currentPolicy === 'quarantine' ? 'Ready for Reject' : 'Ready for Quarantine';
-    statusIcon = '✓';
-
-    if (currentPolicy === 'none') {
-      recommendation = `With ${alignedPercent}% alignment, you can safely move to p=quarantine. This will send unauthenticated messages to spam folders. Consider monitoring for a few more reporting periods before moving to p=reject.`;
-    } else {
-      recommendation = `With ${alignedPercent}% alignment, you can safely move to p=reject. This will block unauthenticated messages entirely. Ensure all legitimate sending sources are properly configured before making this change.`;
-    }
-  } else if (alignedPercent >= 90) {
-    status = 'caution';
-    statusText = 'Proceed with Caution';
-    statusIcon = '⚠';
+  document.getElementById('reconciliation-content').innerHTML =
+    renderReconciliationSummary(report._reconciliation, report._parseErrors);
+  section.classList.remove('hidden');
+}
 
-    if (failingSources <= 3) {
-      recommendation = `${alignedPercent}% alignment with only ${failingSources} failing source(s). Review the failing sources - if they are misconfigured legitimate senders, fix them before increasing enforcement. If they appear to be unauthorized, you may consider increasing enforcement.`;
-    } else {
-      recommendation = `${alignedPercent}% alignment but ${failingSources} different sources are failing. Review each failing source before increasing enforcement. Moving to a stricter policy now may cause delivery issues for legitimate mail.`;
-    }
-  } else {
-    status = 'not-ready';
-    statusText = 'Not Ready';
-    statusIcon = '✗';
-    recommendation = `Only ${alignedPercent}% of messages are properly aligned. Do not increase enforcement at this time. Review and fix the ${failingSources} failing source(s) which account for ${failingMessages.toLocaleString()} message(s). Common issues: missing SPF includes for third-party senders, unsigned DKIM for some mail flows.`;
+/**
+ * Show the domain switcher while a combined report covers several policy domains
+ * @param {Object} report - Report being displayed
+ */
+function renderDomainSwitcher(report) {
+  const index = combinedDomainReports.indexOf(report);
+  if (index === -1 || combinedDomainReports.length < 2) {
+    domainSwitcher.classList.add('hidden');
+    return;
   }
 
-  return {
-    currentPolicy,
-    totalMessages,
-    alignedMessages,
-    failingSources,
-    failingMessages,
-    alignedPercent,
-    status,
-    statusText,
-    statusIcon,
-    recommendation
-  };
+  domainSwitcherSelect.innerHTML = combinedDomainReports.map((domainReport, i) => {
+    const domain = domainReport.policy?.domain || 'Unknown domain';
+    const reports = domainReport._reportCount;
+    const label = `${domain} (${reports} report${reports === 1 ? '' : 's'}, ${domainReport.summary.totalMessages.toLocaleString()} messages)`;
+    return `<option value="${i}">${escapeHtml(label)}</option>`;
+  }).join('');
+  domainSwitcherSelect.value = String(index);
+  domainSwitcher.classList.remove('hidden');
 }
 
 /**
@@ -383,6 +688,10 @@ function renderEnforcementReadiness(readiness) {
     gaugeRing.style.setProperty('--gauge-percent', readiness.alignedPercent);
     gaugeValue.textContent = `${readiness.alignedPercent}%`;
   }
+  const gaugeLabel = document.getElementById('enforcement-gauge-label');
+  if (gaugeLabel) {
+    gaugeLabel.textContent = readiness.scope === 'approved' ? 'Approved Senders Aligned' : 'DMARC Aligned';
+  }
 
   // Update status badge
   const statusBadge = document.getElementById('enforcement-status-badge');
@@ -491,6 +800,17 @@ function renderAlignmentWarning(record) {
   return '';
 }
 
+/**
+ * Flag combined records whose report saw a different published policy
+ * @param {Object} record - Record data
+ * @returns {string} HTML string for the policy warning
+ */
+function renderPolicyMismatchWarning(record) {
+  if (!record._policyMismatch) return '';
+  const title = escapeHtml(`Reported with ${record._policyMismatch.join(', ')}`);
+  return `<span class="alignment-warning" title="${title}">Policy Differs</span>`;
+}
+
 /**
  * Render policy override reasons
  * @param {Array} reasons - Array of reason objects
@@ -520,27 +840,21 @@ function explainDispositionOverride(record, policy) {
   const appliedDisposition = pe.disposition;
   const reason = pe.reason || [];
 
-  // Determine the expected disposition based on the published policy
-  // For subdomains, use sp if specified, otherwise fall back to p
-  const identifiers = record.identifiers || {};
-  const headerFrom = identifiers.headerFrom || '';
-  const policyDomain = policy.domain || '';
-
-  // Check if this is a subdomain (header_from is subdomain of policy domain)
-  const isSubdomain = headerFrom &&
-    policyDomain &&
-    headerFrom !== policyDomain &&
-    headerFrom.endsWith('.' + policyDomain);
-
-  const expectedPolicy = isSubdomain && policy.subdomainPolicy
-    ? policy.subdomainPolicy
-    : policy.policy;
+  // Determine the expected disposition based on the published policy:
+  // p for the policy domain, sp (falling back to p) for its subdomains.
+  // Reports cannot show whether a subdomain exists, so np is accepted too.
+  const headerFrom = record.identifiers?.headerFrom || '';
+  const expected = getApplicablePolicy(headerFrom, policy);
+  const expectedPolicy = expected.value;
+  const nonexistentPolicy = expected.tier === 'subdomain'
+    ? getApplicablePolicy(headerFrom, policy, { exists: false }).value
+    : null;
 
   // If policy is 'none', no enforcement expected
   if (expectedPolicy === 'none') return null;
 
-  // If disposition matches expected policy, no override
-  if (appliedDisposition === expectedPolicy) return null;
+  // If disposition matches the policy for an existing or non-existent domain, no override
+  if (appliedDisposition === expectedPolicy || appliedDisposition === nonexistentPolicy) return null;
 
   // If the message passed DMARC, no disposition applies
   if (record.alignment?.dmarcPass) return null;
@@ -775,7 +1089,19 @@ function getRecordDiagnosis(record) {
     };
 
     const diagnosis = spfExplanations[spfResult] || spfExplanations['fail'];
-    issues.push({ type: 'spf', ...diagnosis });
+    // An evaluation of the current records names the mechanism or the problem
+    issues.push({ type: 'spf', ...diagnosis, evaluation: record._spfEvaluation?.reason || null });
+  }
+
+  // Provider-specific setup once the source is fingerprinted
+  const providerIssue = getProviderDiagnosis(record);
+  if (providerIssue) {
+    issues.push({
+      ...providerIssue,
+      title: escapeHtml(providerIssue.title),
+      explanation: escapeHtml(providerIssue.explanation),
+      recommendations: providerIssue.recommendations.map(step => escapeHtml(step))
+    });
   }
 
   // Check alignment
@@ -823,7 +1149,8 @@ function getRecordDiagnosis(record) {
   }
 
   // Check for disposition override (when applied disposition differs from published policy)
-  const overrideExplanation = explainDispositionOverride(record, currentReport?.policy);
+  // Combined records are judged against the policy their own report saw
+  const overrideExplanation = explainDispositionOverride(record, record._sourcePolicy || currentReport?.policy);
   if (overrideExplanation) {
     issues.push(overrideExplanation);
   }
@@ -863,6 +1190,7 @@ function renderDiagnosis(record) {
       <div class="diagnosis-item diagnosis-${issue.type}">
         <h5>${issue.title}</h5>
         <p class="diagnosis-explanation">${issue.explanation}</p>
+        ${issue.evaluation ? `<p class="diagnosis-explanation"><strong>Current SPF record:</strong> ${escapeHtml(issue.evaluation)}</p>` : ''}
         ${commonCausesHtml}
         <div class="diagnosis-recommendations">
           <strong>Recommendations:</strong>
@@ -904,6 +1232,7 @@ function renderDetails(record) {
         <li>
           <span class="label">Result:</span> ${createBadge(d.result)}
         </li>
+        ${d.humanResult ? `<li><span class="label">Details:</span> ${escapeHtml(d.humanResult)}</li>` : ''}
       `).join('')
     : '<li>No DKIM signature found</li>';
 
@@ -919,34 +1248,46 @@ function renderDetails(record) {
         <li>
           <span class="label">Result:</span> ${createBadge(s.result)}
         </li>
+        ${s.humanResult ? `<li><span class="label">Details:</span> ${escapeHtml(s.humanResult)}</li>` : ''}
       `).join('')
     : '<li>No SPF check performed</li>';
 
-  // Check for domain mismatches that affect alignment
+  // Check for organizational domain mismatches that affect alignment
   // Use raw values for comparison, escaped values for display
   const headerFrom = identifiers.headerFrom || '';
   const dkimDomain = authResults.dkim[0]?.domain || '';
   const spfDomain = authResults.spf[0]?.domain || '';
 
   let alignmentNote = '';
-  if (headerFrom && dkimDomain && !dkimDomain.endsWith(headerFrom) && !headerFrom.endsWith(dkimDomain)) {
+  if (headerFrom && dkimDomain && !domainsAlign(dkimDomain, headerFrom, 'relaxed')) {
     alignmentNote += `<div class="alignment-note">DKIM signed by <strong>${escapeHtml(dkimDomain)}</strong> but From header is <strong>${escapeHtml(headerFrom)}</strong> - may fail DKIM alignment</div>`;
   }
-  if (headerFrom && spfDomain && !spfDomain.endsWith(headerFrom) && !headerFrom.endsWith(spfDomain)) {
+  if (headerFrom && spfDomain && !domainsAlign(spfDomain, headerFrom, 'relaxed')) {
     alignmentNote += `<div class="alignment-note">SPF checked for <strong>${escapeHtml(spfDomain)}</strong> but From header is <strong>${escapeHtml(headerFrom)}</strong> - may fail SPF alignment</div>`;
   }
 
+  if (record._policyMismatch) {
+    alignmentNote += `<div class="alignment-note">Report <strong>${escapeHtml(record._sourceReport) || '-'}</strong> saw a different published policy (${escapeHtml(record._policyMismatch.join(', '))}) than the one shown for this domain</div>`;
+  }
+
   // Escape identifier values for display
   const safeHeaderFrom = escapeHtml(identifiers.headerFrom) || '-';
   const safeEnvelopeFrom = escapeHtml(identifiers.envelopeFrom) || '-';
   const safeEnvelopeTo = escapeHtml(identifiers.envelopeTo) || '-';
 
+  // Organizational domain and the Public Suffix List rule that produced it
+  const suffixRule = record.alignment?.suffixRule;
+  const orgDomainHtml = record.alignment?.headerFromOrgDomain
+    ? `<li><span class="label">Organizational Domain:</span> ${escapeHtml(record.alignment.headerFromOrgDomain)} <span class="identifier-hint">(public suffix rule: ${escapeHtml(formatSuffixRule(suffixRule))})</span></li>`
+    : '';
+
   return `
     <div class="details-content">
       <div class="details-section">
         <h4>Message Identifiers</h4>
         <ul>
           <li><span class="label">Header From:</span> <strong>${safeHeaderFrom}</strong> <span class="identifier-hint">(visible to recipient)</span></li>
+          ${orgDomainHtml}
           <li><span class="label">Envelope From:</span> ${safeEnvelopeFrom} <span class="identifier-hint">(Return-Path/bounce address)</span></li>
           <li><span class="label">Envelope To:</span> ${safeEnvelopeTo} <span class="identifier-hint">(recipient domain)</span></li>
         </ul>
@@ -961,77 +1302,21 @@ function renderDetails(record) {
       </div>
     </div>
     ${alignmentNote ? `<div class="alignment-notes">${alignmentNote}</div>` : ''}
+    ${renderSenderDetails(record)}
+    ${renderFailureReportLinks(getFailureReportLinks(record))}
+    ${renderSpfEvaluationDetails(record._spfEvaluation)}
     ${renderDiagnosis(record)}
   `;
 }
 
 /**
- * Check if an IP address matches a filter (supports prefix and CIDR notation)
- * @param {string} ip - IP address to check
- * @param {string} filter - Filter value (prefix or CIDR like 192.168.1.0/24)
- * @returns {boolean} True if IP matches filter
- */
-function matchesIpFilter(ip, filter) {
-  if (!ip || !filter) return true;
-
-  const filterLower = filter.trim().toLowerCase();
-  const ipLower = ip.toLowerCase();
-
-  // CIDR notation check
-  if (filterLower.includes('/')) {
-    return isIpInCidr(ip, filterLower);
-  }
-
-  // Simple prefix match
-  return ipLower.startsWith(filterLower);
-}
-
-/**
- * Check if an IPv4 address is within a CIDR range
- * @param {string} ip - IP address to check
- * @param {string} cidr - CIDR notation (e.g., 192.168.1.0/24)
- * @returns {boolean} True if IP is in range
- */
-function isIpInCidr(ip, cidr) {
-  try {
-    const [subnet, bitsStr] = cidr.split('/');
-    const bits = parseInt(bitsStr, 10);
-
-    if (isNaN(bits) || bits < 0 || bits > 32) return false;
-
-    const ipNum = ipToInt(ip);
-    const subnetNum = ipToInt(subnet);
-
-    if (ipNum === null || subnetNum === null) return false;
-
-    // Create mask: e.g., /24 = 0xFFFFFF00
-    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
-
-    return (ipNum & mask) === (subnetNum & mask);
-  } catch (err) {
-    return false;
-  }
-}
-
-/**
- * Convert IPv4 address string to 32-bit integer
- * @param {string} ip - IPv4 address
- * @returns {number|null} Integer representation or null if invalid
+ * Get failure reports opened this session that match an aggregate record
+ * @param {Object} record - Aggregate record
+ * @returns {Array<{report: Object, index: number}>} Matches with their session index
  */
-function ipToInt(ip) {
-  if (!ip) return null;
-
-  const parts = ip.split('.');
-  if (parts.length !== 4) return null;
-
-  let result = 0;
-  for (const part of parts) {
-    const num = parseInt(part, 10);
-    if (isNaN(num) || num < 0 || num > 255) return null;
-    result = (result << 8) | num;
-  }
-
-  return result >>> 0; // Ensure unsigned
+function getFailureReportLinks(record) {
+  return findMatchingFailureReports(record, sessionReports.failure)
+    .map(report => ({ report, index: sessionReports.failure.indexOf(report) }));
 }
 
 /**
@@ -1119,6 +1404,16 @@ function filterRecords(records) {
       }
     }
 
+    // Novelty filter (requires report history)
+    if (filterState.novelty) {
+      if (!record._novelty || record._novelty.signals.length === 0) {
+        return false;
+      }
+      if (filterState.novelty === 'new-failing' && record.alignment?.dmarcPass) {
+        return false;
+      }
+    }
+
     return true;
   });
 }
@@ -1137,6 +1432,7 @@ function countActiveFilters() {
   if (filterState.hostname) count++;
   if (filterState.classification) count++;
   if (filterState.provider) count++;
+  if (filterState.novelty) count++;
   return count;
 }
 
@@ -1213,6 +1509,11 @@ function populateProviderFilter() {
     option.textContent = name;
     filterProviderSelect.appendChild(option);
   }
+
+  // Keep an active provider filter selected after the options are rebuilt
+  if (providers.has(filterState.provider)) {
+    filterProviderSelect.value = filterState.provider;
+  }
 }
 
 /**
@@ -1227,6 +1528,7 @@ function applyFilters() {
   filterState.hostname = filterHostnameInput?.value?.trim() || '';
   filterState.classification = filterClassificationSelect?.value || '';
   filterState.provider = filterProviderSelect?.value || '';
+  filterState.novelty = filterNoveltySelect?.value || '';
 
   updateFilterBadge();
 
@@ -1247,6 +1549,7 @@ function clearFilters() {
   filterState.hostname = '';
   filterState.classification = '';
   filterState.provider = '';
+  filterState.novelty = '';
 
   // Reset input elements
   if (filterSelect) filterSelect.value = 'all';
@@ -1257,6 +1560,7 @@ function clearFilters() {
   if (filterHostnameInput) filterHostnameInput.value = '';
   if (filterClassificationSelect) filterClassificationSelect.value = '';
   if (filterProviderSelect) filterProviderSelect.value = '';
+  if (filterNoveltySelect) filterNoveltySelect.value = '';
 
   updateFilterBadge();
 
@@ -1290,11 +1594,7 @@ function sortRecords(records) {
       sorted.sort((a, b) => a.count - b.count);
       break;
     case 'ip':
-      sorted.sort((a, b) => {
-        const ipA = a.sourceIp || '';
-        const ipB = b.sourceIp || '';
-        return ipA.localeCompare(ipB, undefined, { numeric: true });
-      });
+      sorted.sort((a, b) => compareIps(a.sourceIp, b.sourceIp));
       break;
   }
 
@@ -1334,8 +1634,10 @@ function renderRecords(records) {
 
   const filtered = filterRecords(records);
   const sorted = sortRecords(filtered);
+  // Large reports render a page at a time to keep the tab responsive
+  const visible = sorted.slice(0, recordsRenderLimit);
 
-  sorted.forEach((record, index) => {
+  visible.forEach((record, index) => {
     const pe = record.policyEvaluated || {};
     const rowClass = getRowClass(record);
 
@@ -1344,13 +1646,13 @@ function renderRecords(records) {
     mainRow.className = rowClass;
     const safeIp = escapeHtml(record.sourceIp) || '-';
     mainRow.innerHTML = `
-      <td class="ip-cell">${safeIp}</td>
+      <td class="ip-cell">${safeIp}${renderSenderBadge(record._sender)}${renderNoveltyBadge(record._novelty)}</td>
       ${renderHostnameCell(record.sourceIp)}
       ${renderLocationCell(record.sourceIp)}
       ${renderProviderCell(record.sourceIp)}
       ${renderFromDomainCell(record)}
       <td>${record.count.toLocaleString()}</td>
-      <td>${createBadge(pe.disposition)}${renderAlignmentWarning(record)}</td>
+      <td>${createBadge(pe.disposition)}${renderAlignmentWarning(record)}${renderPolicyMismatchWarning(record)}</td>
       <td>${createClassificationBadge(record)}</td>
       <td>${createBadge(pe.dkim)}</td>
       <td>${createBadge(pe.spf)}</td>
@@ -1379,9 +1681,50 @@ function renderRecords(records) {
     });
   });
 
+  // Add or edit the record's sender in the inventory
+  recordsBody.querySelectorAll('.sender-add').forEach(btn => {
+    btn.addEventListener('click', () => showSendersModal({ type: 'ip', value: btn.dataset.senderIp }));
+  });
+  recordsBody.querySelectorAll('.sender-edit').forEach(btn => {
+    btn.addEventListener('click', () => showSendersModal(senderInventory.find(entry => entry.id === btn.dataset.senderId)));
+  });
+
+  // Open linked failure reports from record details
+  recordsBody.querySelectorAll('.failure-report-link').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const report = sessionReports.failure[parseInt(btn.dataset.failureIndex, 10)];
+      if (report) displayFailureReport(report);
+    });
+  });
+
   // Update records summary
   const summaryEl = document.getElementById('records-summary');
-  summaryEl.textContent = `Showing ${sorted.length} of ${records.length} records`;
+  const remaining = sorted.length - visible.length;
+  if (remaining > 0) {
+    summaryEl.textContent = `Showing ${visible.length.toLocaleString()} of ${sorted.length.toLocaleString()} matching records (${records.length.toLocaleString()} total)`;
+    showMoreRecordsBtn.textContent = `Show ${Math.min(remaining, RECORDS_PAGE_SIZE).toLocaleString()} more records`;
+  } else {
+    summaryEl.textContent = `Showing ${sorted.length} of ${records.length} records`;
+  }
+  showMoreRecordsBtn.classList.toggle('hidden', remaining <= 0);
+}
+
+/**
+ * Match records against the sender inventory and classify them
+ * Provider and ASN entries match once IP lookups have filled in the
+ * records' provider and ASN.
+ * @param {Array} records - Records of the displayed report
+ */
+function classifyReportRecords(records) {
+  for (const record of records) {
+    record._sender = matchSender(record, senderInventory, {
+      geo: ipGeoData.get(record.sourceIp),
+      provider: record._provider
+    });
+    if (typeof classifyRecord === 'function') {
+      record._classification = classifyRecord(record, record._provider || null, record._sender);
+    }
+  }
 }
 
 /**
@@ -1401,18 +1744,22 @@ function updateLocationCells() {
     }
   }
 
-  // Re-run classification with provider info now available
-  if (typeof classifyRecord === 'function') {
-    for (const record of currentReport.records) {
-      record._classification = classifyRecord(record, record._provider);
-    }
-  }
+  // Re-run classification with provider info now available, which can
+  // also match provider and ASN entries of the sender inventory
+  classifyReportRecords(currentReport.records);
+  renderEnforcementReadiness(calculateEnforcementReadiness(currentReport.records, currentReport.policy));
+  renderDmarcRecord();
+  renderFixPlan();
+  renderSubdomains();
+  renderPolicySimulation();
 
   // Populate provider dropdown
   populateProviderFilter();
 
-  // Re-render the entire table to update hostname, location, and provider cells
-  renderRecords(currentReport.records);
+  // Score ASN novelty now that ASNs are known (re-renders the table), and
+  // keep the ASNs as history for later reports
+  applySourceNovelty();
+  recordSourceAsns(currentReport);
 
   // Re-calculate and render analysis with geo data now available
   const analysis = calculateAnalysis(currentReport.records);
@@ -1431,6 +1778,7 @@ async function loadIpGeoData(records) {
   try {
     ipGeoData = await lookupIps(ips);
     updateLocationCells();
+    showLookupErrorBanner(ipGeoData);
   } catch (err) {
     console.error('IP lookup error:', err);
   }
@@ -1455,13 +1803,18 @@ function calculateAnalysis(records) {
   const countryCounts = new Map();
   const asnCounts = new Map();
 
+  // Canonical IP -> first source IP as reported (geo data is keyed by the latter)
+  const ipSources = new Map();
+
   for (const record of records) {
     const count = record.count || 0;
     const ip = record.sourceIp;
 
-    // IP counts
+    // IP counts, merging differently written forms of the same address
     if (ip) {
-      ipCounts.set(ip, (ipCounts.get(ip) || 0) + count);
+      const key = normalizeIp(ip);
+      if (!ipSources.has(key)) ipSources.set(key, ip);
+      ipCounts.set(key, (ipCounts.get(key) || 0) + count);
     }
 
     // Domain failures (only count failing records)
@@ -1494,7 +1847,7 @@ function calculateAnalysis(records) {
     .map(([ip, count]) => ({
       ip,
       count,
-      geo: ipGeoData.get(ip)
+      geo: ipGeoData.get(ipSources.get(ip))
     }));
 
   analysis.topFailures = [...domainFailures.entries()]
@@ -1638,7 +1991,7 @@ function renderAnalysis(analysis, totalMessages) {
 }
 
 /**
- * Country code to flag emoji (duplicated from ip-lookup.js for viewer context)
+ * Country code to flag emoji (duplicated from geo-providers.js for viewer context)
  * @param {string} countryCode - Two-letter country code
  * @returns {string} Flag emoji
  */
@@ -1673,11 +2026,32 @@ function getUniqueIpCount(records) {
 function showEnrichmentBanner(uniqueIpCount) {
   if (!enrichmentBanner) return;
 
+  enrichmentTitle.textContent = 'Large Report Detected';
   enrichmentMessage.textContent =
     `This report has ${uniqueIpCount} unique IPs. Enrichment adds location and hostname data but may be slow.`;
   enrichmentBanner.classList.remove('hidden');
 }
 
+/**
+ * Offer a retry when lookup providers failed or were rate limited
+ * IPs that are simply unknown to every provider are not reported.
+ * @param {Map<string, Object>} results - Lookup results
+ */
+function showLookupErrorBanner(results) {
+  if (!enrichmentBanner) return;
+
+  const failed = [...results.values()].filter(geo => geo.error && geo.code);
+  if (failed.length === 0) return;
+
+  const rateLimited = failed.some(geo => geo.code === ErrorCodes.IP_LOOKUP_RATE_LIMITED);
+  const code = rateLimited ? ErrorCodes.IP_LOOKUP_RATE_LIMITED : ErrorCodes.IP_LOOKUP_FAILED;
+
+  enrichmentTitle.textContent = 'IP Lookup Incomplete';
+  enrichmentMessage.textContent =
+    `${UserMessages[code]} (${failed.length} of ${results.size} IPs unresolved)`;
+  enrichmentBanner.classList.remove('hidden');
+}
+
 /**
  * Hide enrichment banner
  */
@@ -1702,27 +2076,37 @@ function triggerEnrichment() {
  */
 function displayReport(report) {
   currentReport = report;
+  currentTlsRptReport = null;
+  currentFailureReport = null;
+  rememberSessionReport(sessionReports.aggregate, report);
   enrichmentSkipped = false;
+  recordsRenderLimit = RECORDS_PAGE_SIZE;
 
   // Apply classification to all records
-  // Note: Provider fingerprinting will be added in Checkpoint 3
-  if (typeof classifyRecord === 'function') {
-    for (const record of report.records) {
-      // Classification is applied without provider info initially
-      // It will be re-applied after geo data loads with provider fingerprinting
-      record._classification = classifyRecord(record, null);
-    }
-  }
+  // Classification is applied without provider info initially
+  // It will be re-applied after geo data loads with provider fingerprinting
+  classifyReportRecords(report.records);
 
   renderSummary(report.summary);
   renderMetadata(report.metadata);
+  renderReportSchema(report.schema);
   renderPolicy(report.policy);
+  renderPolicyConflicts(report._policyConflicts);
+  renderDomainSwitcher(report);
+  renderReconciliation(report);
 
   // Calculate and render enforcement readiness
   const readiness = calculateEnforcementReadiness(report.records, report.policy);
   renderEnforcementReadiness(readiness);
+  resetDmarcRecord();
+  renderFixPlan();
+  renderSubdomains();
+  resetPolicySimulator(report.policy);
+  renderPolicySimulation();
+  resetSpfEvaluation();
 
   renderRecords(report.records);
+  loadSourceHistory(report);
 
   // Initial analysis render (will be updated after geo data loads)
   const analysis = calculateAnalysis(report.records);
@@ -1747,62 +2131,298 @@ function displayReport(report) {
 }
 
 /**
- * Export report as JSON
- * Exports filtered records if filters are active
+ * Display a parsed SMTP TLS report (RFC 8460)
+ * TLS reports have no per-message records, so filters, enrichment and
+ * exports stay hidden while one is shown.
+ * @param {Object} report - Parsed TLS-RPT report from parseTlsRptReport
  */
-function exportAsJson() {
-  if (!currentReport) return;
-
-  // Apply current filters to get exported records
-  const filteredRecords = filterRecords(currentReport.records);
-  const activeFilterCount = countActiveFilters();
+function displayTlsRptReport(report) {
+  currentTlsRptReport = report;
+  currentReport = null;
+  currentFailureReport = null;
+  currentRawXml = null;
+
+  const summary = report.summary;
+  const successRate = summary.successRate.toFixed(1);
+  document.getElementById('tlsrpt-total-sessions').textContent = summary.totalSessions.toLocaleString();
+  document.getElementById('tlsrpt-successful-sessions').textContent = summary.totalSuccessful.toLocaleString();
+  document.getElementById('tlsrpt-failed-sessions').textContent = summary.totalFailed.toLocaleString();
+  document.getElementById('tlsrpt-policy-count').textContent = report.policies.length.toLocaleString();
+  document.getElementById('tlsrpt-progress-success').style.width = `${successRate}%`;
+  document.getElementById('tlsrpt-percent-success').textContent = `${successRate}%`;
+
+  const metadata = report.metadata;
+  document.getElementById('tlsrpt-org-name').textContent = metadata.orgName || '-';
+  document.getElementById('tlsrpt-report-id').textContent = metadata.reportId || '-';
+  document.getElementById('tlsrpt-contact').textContent = metadata.contactInfo || '-';
+  const dateRange = metadata.dateRange;
+  document.getElementById('tlsrpt-date-range').textContent = dateRange
+    ? `${formatDate(dateRange.begin)} - ${formatDate(dateRange.end)}`
+    : '-';
+
+  document.getElementById('tlsrpt-policy-types').innerHTML = renderTlsRptPolicyTypes(report);
+  document.getElementById('tlsrpt-policies-body').innerHTML = renderTlsRptPolicyRows(report);
+  document.getElementById('tlsrpt-failure-groups').innerHTML = renderTlsRptFailureGroups(report);
+  document.getElementById('tlsrpt-mx-body').innerHTML = renderTlsRptMxRows(report);
+
+  exportButtons.classList.add('hidden');
+  hideEnrichmentBanner();
+  showTlsRptReport();
+}
 
-  // Build export object with filtered records
-  const exportData = {
-    ...currentReport,
-    records: filteredRecords,
-    _exportMetadata: {
-      exportedAt: new Date().toISOString(),
-      totalRecords: currentReport.records.length,
-      filteredRecords: filteredRecords.length,
-      filtersApplied: activeFilterCount > 0,
-      filterState: activeFilterCount > 0 ? { ...filterState } : null
-    }
-  };
+/**
+ * Remember a report for cross-linking, dropping the oldest past the session limit
+ * @param {Object[]} list - sessionReports.aggregate or sessionReports.failure
+ * @param {Object} report - Parsed report
+ */
+function rememberSessionReport(list, report) {
+  if (list.includes(report)) return;
+  list.push(report);
+  if (list.length > MAX_SESSION_REPORTS) list.shift();
+}
 
-  // Include analysis in export
-  const analysis = calculateAnalysis(filteredRecords);
-  exportData._analysis = {
-    topSendingIps: analysis.topSenders.map(item => ({
-      ip: item.ip,
-      count: item.count,
-      location: item.geo ? `${item.geo.city || ''} ${item.geo.country || ''}`.trim() : null
-    })),
-    topFailingDomains: analysis.topFailures,
-    topCountries: analysis.topCountries,
-    topAsns: analysis.topAsns.map(item => ({ asn: item.asn, count: item.count }))
+/**
+ * Display a parsed DMARC failure report (ARF)
+ * Links to records of aggregate reports opened in this session that share
+ * the failure's source IP and header_from domain.
+ * @param {Object} report - Parsed failure report from parseFailureReport
+ */
+function displayFailureReport(report) {
+  currentFailureReport = report;
+  currentReport = null;
+  currentTlsRptReport = null;
+  currentRawXml = null;
+  rememberSessionReport(sessionReports.failure, report);
+
+  const original = report.original;
+  const setText = (id, value) => {
+    document.getElementById(id).textContent = value || '-';
   };
+  setText('failure-reporter', report.metadata.reporter || report.reportingMta);
+  setText('failure-arrival-date', formatDate(report.arrivalDate));
+  setText('failure-source-ip', report.sourceIp);
+  setText('failure-header-from', original.headerFrom || report.headerFrom);
+  setText('failure-envelope-from', report.originalMailFrom);
+  setText('failure-recipients', report.originalRcptTo.join(', '));
+  setText('failure-reporting-mta', report.reportingMta);
+  setText('failure-incidents', report.incidents.toLocaleString());
+  setText('failure-subject', original.subject);
+  setText('failure-message-id', original.messageId);
+
+  const humanReadableEl = document.getElementById('failure-human-readable');
+  humanReadableEl.textContent = report.humanReadable || '';
+  humanReadableEl.classList.toggle('hidden', !report.humanReadable);
+
+  document.getElementById('failure-auth-details').innerHTML = renderFailureAuthDetails(report);
+  document.getElementById('failure-auth-results-body').innerHTML = renderAuthResultRows(report);
+  document.getElementById('failure-headers-body').innerHTML = renderOriginalHeaderRows(report);
+
+  const matches = findMatchingAggregateRecords(report, sessionReports.aggregate);
+  const matchesBody = document.getElementById('failure-matches-body');
+  matchesBody.innerHTML = renderMatchingRecordRows(matches);
+  matchesBody.querySelectorAll('.failure-open-aggregate').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const match = matches[parseInt(btn.dataset.matchIndex, 10)];
+      if (!match) return;
+      currentRawXml = sessionRawXml.get(match.report) || null;
+      displayReport(match.report);
+    });
+  });
 
-  const dataStr = JSON.stringify(exportData, null, 2);
-  const blob = new Blob([dataStr], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-
-  const a = document.createElement('a');
-  a.href = url;
-  const suffix = activeFilterCount > 0 ? '-filtered' : '';
-  a.download = `dmarc-report-${currentReport.metadata?.reportId || 'export'}${suffix}.json`;
-  a.click();
-
-  URL.revokeObjectURL(url);
-
-  // Show feedback
-  if (activeFilterCount > 0) {
-    showToast(`Exported ${filteredRecords.length} of ${currentReport.records.length} records (filtered)`);
-  }
+  exportButtons.classList.add('hidden');
+  hideEnrichmentBanner();
+  showFailureReport();
 }
 
 /**
- * Export report as CSV
+ * Parse and display a single extracted file: DMARC, TLS-RPT, or failure report
+ * DMARC reports over STREAMING_PARSE_THRESHOLD are parsed in a worker.
+ * @param {ExtractedFile} file - Extracted file
+ * @returns {Promise<void>}
+ */
+async function displayExtractedFile(file) {
+  try {
+    if (file.reportType === REPORT_TYPES.TLSRPT) {
+      displayTlsRptReport(parseTlsRptReport(file.json));
+      return;
+    }
+    if (file.reportType === REPORT_TYPES.FAILURE) {
+      displayFailureReport(parseFailureReport(file.message));
+      return;
+    }
+    if (file.xml.length >= STREAMING_PARSE_THRESHOLD) showLoading();
+    const report = await parseDmarcXml(file.xml, { onProgress: showLoadingProgress });
+    currentRawXml = file.xml;
+    sessionRawXml.set(report, file.xml);
+    displayReport(report);
+    rememberReport(report, file.xml, file.filename);
+  } catch (err) {
+    if (isParseCancelled(err)) return;
+    showError(`Failed to parse report: ${err.message}`);
+  }
+}
+
+/**
+ * Parse DMARC report XML
+ * Reports over STREAMING_PARSE_THRESHOLD are parsed in a Web Worker. Such a
+ * parse is cancelled when another view opens, unless it runs in the background.
+ * @param {string} xml - Raw XML string
+ * @param {Object} [options] - Parse options
+ * @param {boolean} [options.background=false] - Keep parsing when the view changes (report previews)
+ * @param {function({processed: number, total: number, recordCount: number}): void} [options.onProgress] - Worker progress
+ * @returns {Promise<Object>} Parsed DMARC report
+ * @throws {DmarcError} PARSE_CANCELLED when another view opened first
+ */
+async function parseDmarcXml(xml, options = {}) {
+  if (xml.length < STREAMING_PARSE_THRESHOLD) return parseDmarcReport(xml);
+
+  const parse = startWorkerParse(xml, options.onProgress);
+  if (options.background) return parse.promise;
+  activeParses.add(parse);
+  try {
+    return await parse.promise;
+  } finally {
+    activeParses.delete(parse);
+  }
+}
+
+/**
+ * Cancel the worker parses of the current view
+ */
+function cancelActiveParses() {
+  for (const parse of activeParses) parse.cancel();
+  activeParses.clear();
+}
+
+/**
+ * Check whether an error means a parse was cancelled by a view change
+ * @param {Error} err - Caught error
+ * @returns {boolean} True when the caller should stop quietly
+ */
+function isParseCancelled(err) {
+  return err?.code === ErrorCodes.PARSE_CANCELLED;
+}
+
+/**
+ * Parse a large DMARC report with the streaming parser in a Web Worker
+ * The XML is posted in STREAM_CHUNK_SIZE chunks and records come back in
+ * batches as they are parsed.
+ * Falls back to streaming on the main thread when the worker cannot start.
+ * @param {string} xml - Raw XML string
+ * @param {function(Object): void} [onProgress] - Called with progress messages
+ * @returns {{promise: Promise<Object>, cancel: function(): void}} Parse; cancel() stops the worker and rejects with PARSE_CANCELLED
+ */
+function startWorkerParse(xml, onProgress) {
+  if (typeof Worker === 'undefined') {
+    return {
+      promise: new Promise(resolve => resolve(parseDmarcReportStreaming(xml, { onProgress }))),
+      cancel: () => {}
+    };
+  }
+
+  let cancel;
+  const promise = new Promise((resolve, reject) => {
+    const worker = new Worker(DMARC_PARSE_WORKER_URL);
+    const records = [];
+
+    cancel = () => {
+      worker.terminate();
+      reject(new DmarcError(ErrorCodes.PARSE_CANCELLED));
+    };
+
+    worker.addEventListener('message', (event) => {
+      const message = event.data;
+      if (message.type === 'records') {
+        records.push(...message.records);
+      } else if (message.type === 'progress') {
+        if (onProgress) onProgress(message);
+      } else if (message.type === 'done') {
+        worker.terminate();
+        resolve({ ...message.report, records });
+      } else if (message.type === 'error') {
+        worker.terminate();
+        reject(new Error(message.message));
+      }
+    });
+
+    // Worker script failed to load: parse on the main thread instead
+    worker.addEventListener('error', (event) => {
+      event.preventDefault();
+      worker.terminate();
+      try {
+        resolve(parseDmarcReportStreaming(xml, { onProgress }));
+      } catch (err) {
+        reject(err);
+      }
+    });
+
+    worker.postMessage({ type: 'start', total: xml.length });
+    for (let offset = 0; offset < xml.length; offset += STREAM_CHUNK_SIZE) {
+      worker.postMessage({ type: 'chunk', chunk: xml.slice(offset, offset + STREAM_CHUNK_SIZE) });
+    }
+    worker.postMessage({ type: 'end' });
+  });
+
+  return { promise, cancel };
+}
+
+/**
+ * Export report as JSON
+ * Exports filtered records if filters are active
+ */
+function exportAsJson() {
+  if (!currentReport) return;
+
+  // Apply current filters to get exported records
+  const filteredRecords = filterRecords(currentReport.records);
+  const activeFilterCount = countActiveFilters();
+
+  // Build export object with filtered records
+  const exportData = {
+    ...currentReport,
+    records: filteredRecords,
+    _exportMetadata: {
+      exportedAt: new Date().toISOString(),
+      totalRecords: currentReport.records.length,
+      filteredRecords: filteredRecords.length,
+      filtersApplied: activeFilterCount > 0,
+      filterState: activeFilterCount > 0 ? { ...filterState } : null
+    }
+  };
+
+  // Include analysis in export
+  const analysis = calculateAnalysis(filteredRecords);
+  exportData._analysis = {
+    topSendingIps: analysis.topSenders.map(item => ({
+      ip: item.ip,
+      count: item.count,
+      location: item.geo ? `${item.geo.city || ''} ${item.geo.country || ''}`.trim() : null
+    })),
+    topFailingDomains: analysis.topFailures,
+    topCountries: analysis.topCountries,
+    topAsns: analysis.topAsns.map(item => ({ asn: item.asn, count: item.count }))
+  };
+
+  const dataStr = JSON.stringify(exportData, null, 2);
+  const blob = new Blob([dataStr], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  const suffix = activeFilterCount > 0 ? '-filtered' : '';
+  a.download = `dmarc-report-${currentReport.metadata?.reportId || 'export'}${suffix}.json`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+
+  // Show feedback
+  if (activeFilterCount > 0) {
+    showToast(`Exported ${filteredRecords.length} of ${currentReport.records.length} records (filtered)`);
+  }
+}
+
+/**
+ * Export report as CSV
  * Exports filtered records if filters are active
  */
 function exportAsCsv() {
@@ -1858,131 +2478,1464 @@ function exportAsCsv() {
     ];
   });
 
-  const csvContent = [
-    headers.join(','),
-    ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
-  ].join('\n');
+  const csvContent = [
+    headers.join(','),
+    ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+  ].join('\n');
+
+  const blob = new Blob([csvContent], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  const suffix = activeFilterCount > 0 ? '-filtered' : '';
+  a.download = `dmarc-report-${currentReport.metadata?.reportId || 'export'}${suffix}.csv`;
+  a.click();
+
+  URL.revokeObjectURL(url);
+
+  // Show feedback
+  if (activeFilterCount > 0) {
+    showToast(`Exported ${sortedRecords.length} of ${currentReport.records.length} records (filtered)`);
+  }
+}
+
+/**
+ * Initialize collapsible sections
+ */
+function initCollapsibleSections() {
+  document.querySelectorAll('.section.collapsible .section-header').forEach(header => {
+    header.addEventListener('click', () => {
+      const section = header.closest('.collapsible');
+      section.classList.toggle('collapsed');
+    });
+  });
+}
+
+/**
+ * Parse a report XML to extract preview metadata for the selector
+ * This is a lightweight parse that only extracts what we need for display.
+ * Large reports are parsed in the background, so the preview outlives the
+ * selector. The parsed report is also saved to the library.
+ * @param {string} xml - Raw XML string
+ * @param {string} [filename] - Source filename, kept in the library
+ * @returns {Promise<Object|null>} Preview metadata or null if parsing fails
+ */
+async function parseReportPreview(xml, filename) {
+  try {
+    const report = await parseDmarcXml(xml, { background: true });
+    rememberReport(report, xml, filename);
+    return {
+      orgName: report.metadata?.orgName || 'Unknown',
+      reportId: report.metadata?.reportId || 'Unknown',
+      dateRange: report.metadata?.dateRange,
+      totalMessages: report.summary?.totalMessages || 0,
+      recordCount: report.records?.length || 0,
+      passRate: report.summary?.overallPassRate || 0
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parse a TLS-RPT report to extract preview metadata for the selector
+ * @param {string} json - Raw JSON string
+ * @returns {Object|null} Preview metadata or null if parsing fails
+ */
+function parseTlsRptPreview(json) {
+  try {
+    const report = parseTlsRptReport(json);
+    return {
+      orgName: report.metadata?.orgName || 'Unknown',
+      reportId: report.metadata?.reportId || 'Unknown',
+      dateRange: report.metadata?.dateRange,
+      totalSessions: report.summary.totalSessions,
+      successRate: report.summary.successRate
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parse a failure report to extract preview metadata for the selector
+ * @param {string} message - Raw message text
+ * @returns {Object|null} Preview metadata or null if parsing fails
+ */
+function parseFailurePreview(message) {
+  try {
+    const report = parseFailureReport(message);
+    return {
+      orgName: report.metadata?.reporter || report.reportingMta || 'Unknown',
+      authFailure: report.authFailureInfo?.label || 'Failure report',
+      sourceIp: report.sourceIp || 'unknown IP'
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Fill in the reporter, size, and pass rate of a report selector item
+ * @param {HTMLElement} metaEl - Item metadata element
+ * @param {ExtractedFile} file - Extracted file
+ * @param {Object|null} preview - Preview metadata, null if parsing failed
+ */
+function renderReportPreviewMeta(metaEl, file, preview) {
+  let passRateStr = '';
+  let msgCountStr = '';
+  if (preview && file.reportType === REPORT_TYPES.TLSRPT) {
+    passRateStr = `${preview.successRate.toFixed(0)}% TLS success`;
+    msgCountStr = `TLS-RPT · ${preview.totalSessions.toLocaleString()} sessions`;
+  } else if (preview && file.reportType === REPORT_TYPES.FAILURE) {
+    passRateStr = preview.sourceIp;
+    msgCountStr = `Failure report · ${preview.authFailure}`;
+  } else if (preview) {
+    passRateStr = `${preview.passRate.toFixed(0)}% pass`;
+    msgCountStr = `${preview.totalMessages.toLocaleString()} messages`;
+  }
+
+  metaEl.innerHTML = `
+    <span>${escapeHtml(preview?.orgName || 'Unknown')}</span>
+    <span>${msgCountStr}</span>
+    <span>${passRateStr}</span>
+  `;
+}
+
+/**
+ * Show the report selector modal for multi-file ZIPs
+ * @param {Array<{filename: string, xml: string}>} files - Array of extracted files
+ */
+function showReportSelectorModal(files) {
+  pendingExtraction = files;
+  reportListEl.innerHTML = '';
+
+  // DMARC previews are parsed one at a time; large ones fill in when their worker is done
+  let dmarcPreviews = Promise.resolve();
+
+  files.forEach((file, index) => {
+    const item = document.createElement('div');
+    item.className = 'report-item';
+    item.setAttribute('role', 'button');
+    item.setAttribute('tabindex', '0');
+
+    item.innerHTML = `
+      <div class="report-item-info">
+        <div class="report-item-filename" title="${escapeHtml(file.filename)}">${escapeHtml(file.filename)}</div>
+        <div class="report-item-meta"></div>
+      </div>
+      <button class="report-item-action" data-index="${index}">View</button>
+    `;
+
+    const metaEl = item.querySelector('.report-item-meta');
+    if (file.reportType === REPORT_TYPES.TLSRPT) {
+      renderReportPreviewMeta(metaEl, file, parseTlsRptPreview(file.json));
+    } else if (file.reportType === REPORT_TYPES.FAILURE) {
+      renderReportPreviewMeta(metaEl, file, parseFailurePreview(file.message));
+    } else {
+      metaEl.innerHTML = '<span>Reading report...</span>';
+      dmarcPreviews = dmarcPreviews
+        .then(() => parseReportPreview(file.xml, file.filename))
+        .then(preview => renderReportPreviewMeta(metaEl, file, preview));
+    }
+
+    // Click anywhere on item to view
+    item.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('report-item-action')) {
+        selectReport(index);
+      }
+    });
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        selectReport(index);
+      }
+    });
+
+    // View button click
+    const viewBtn = item.querySelector('.report-item-action');
+    viewBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      selectReport(index);
+    });
+
+    reportListEl.appendChild(item);
+  });
+
+  reportSelectorModal.classList.remove('hidden');
+  // Focus first item for accessibility
+  const firstItem = reportListEl.querySelector('.report-item');
+  if (firstItem) firstItem.focus();
+}
+
+/**
+ * Hide the report selector modal
+ */
+function hideReportSelectorModal() {
+  reportSelectorModal.classList.add('hidden');
+  pendingExtraction = null;
+}
+
+// =============================================================================
+// Report Library
+// =============================================================================
+
+/**
+ * Get library settings, reading them once per page
+ * @returns {Promise<{autoSave: boolean, retentionDays: number}>} Settings
+ */
+function getLibrarySettings() {
+  if (!librarySettingsPromise) {
+    librarySettingsPromise = getReportLibrarySettings();
+  }
+  return librarySettingsPromise;
+}
+
+/**
+ * Save a parsed aggregate report to the library when auto-save is on
+ * Failures are logged only; the library never blocks viewing a report.
+ * @param {Object} report - Parsed DMARC report
+ * @param {string} xml - Raw report XML
+ * @param {string} [filename] - Source filename
+ * @returns {Promise<void>}
+ */
+async function rememberReport(report, xml, filename) {
+  if (typeof saveReportToLibrary !== 'function') return;
+
+  try {
+    const settings = await getLibrarySettings();
+    if (!settings.autoSave) return;
+    await saveReportToLibrary(report, xml, filename);
+  } catch (err) {
+    console.warn('DMARC Reader: Failed to save report to library:', err.message);
+  }
+}
+
+/**
+ * Refill a library filter menu, keeping the current choice when it still exists
+ * @param {HTMLSelectElement} select - Filter menu
+ * @param {string[]} values - Options after the "All" option
+ */
+function populateLibraryFilter(select, values) {
+  const current = select.value;
+  while (select.options.length > 1) select.remove(1);
+  for (const value of values) {
+    select.add(new Option(value, value));
+  }
+  select.value = values.includes(current) ? current : '';
+}
+
+/**
+ * Read the library filter inputs
+ * Date inputs are whole UTC days, matching DMARC report periods.
+ * @returns {{domain: string, reporter: string, from: number|null, to: number|null}} Criteria
+ */
+function getLibraryCriteria() {
+  const from = libraryFilterFrom.value ? Date.parse(`${libraryFilterFrom.value}T00:00:00Z`) : null;
+  const to = libraryFilterTo.value ? Date.parse(`${libraryFilterTo.value}T23:59:59Z`) : null;
+  return {
+    domain: libraryFilterDomain.value,
+    reporter: libraryFilterReporter.value,
+    from,
+    to
+  };
+}
+
+/**
+ * Sync the select-all box and bulk action buttons with the selection
+ */
+function updateLibrarySelectionState() {
+  const shownSelected = libraryShown.filter(entry => librarySelection.has(entry.id)).length;
+  librarySelectAll.checked = libraryShown.length > 0 && shownSelected === libraryShown.length;
+  librarySelectAll.indeterminate = shownSelected > 0 && shownSelected < libraryShown.length;
+  libraryDeleteSelectedBtn.disabled = librarySelection.size === 0;
+  libraryOpenSelectedBtn.disabled = librarySelection.size === 0;
+  libraryCompareSelectedBtn.disabled = librarySelection.size !== 2;
+}
+
+/**
+ * Render the library list for the current filters
+ */
+function renderLibraryList() {
+  libraryShown = filterLibraryEntries(libraryEntries, getLibraryCriteria());
+  libraryListEl.innerHTML = renderLibraryRows(libraryShown, librarySelection);
+  libraryCountEl.textContent = libraryShown.length === libraryEntries.length
+    ? `${libraryEntries.length.toLocaleString()} reports`
+    : `${libraryShown.length.toLocaleString()} of ${libraryEntries.length.toLocaleString()} reports`;
+
+  libraryListEl.querySelectorAll('.library-item').forEach(item => {
+    const entry = libraryShown[parseInt(item.dataset.libraryIndex, 10)];
+    if (!entry) return;
+
+    item.querySelector('.library-select').addEventListener('change', (e) => {
+      if (e.target.checked) librarySelection.add(entry.id);
+      else librarySelection.delete(entry.id);
+      updateLibrarySelectionState();
+    });
+    item.querySelector('.library-open').addEventListener('click', () => openLibraryReports([entry.id]));
+    item.querySelector('.library-delete').addEventListener('click', () => deleteFromLibrary([entry.id]));
+  });
+
+  updateLibrarySelectionState();
+}
+
+/**
+ * Reload entries from storage and re-render the library
+ * @returns {Promise<void>}
+ */
+async function refreshLibrary() {
+  try {
+    libraryEntries = await listLibraryReports();
+  } catch (err) {
+    console.error('DMARC Reader: Failed to read library:', err);
+    libraryEntries = [];
+    libraryListEl.innerHTML = '<div class="analysis-empty">The report library could not be opened</div>';
+    return;
+  }
+
+  const ids = new Set(libraryEntries.map(entry => entry.id));
+  for (const id of [...librarySelection]) {
+    if (!ids.has(id)) librarySelection.delete(id);
+  }
+
+  const facets = getLibraryFacets(libraryEntries);
+  populateLibraryFilter(libraryFilterDomain, facets.domains);
+  populateLibraryFilter(libraryFilterReporter, facets.reporters);
+  renderLibraryList();
+}
+
+/**
+ * Show the report library
+ */
+async function showLibraryModal() {
+  librarySelection.clear();
+  libraryListEl.innerHTML = '<div class="analysis-empty">Loading...</div>';
+  libraryModal.classList.remove('hidden');
+
+  const settings = await getLibrarySettings();
+  libraryAutosaveInput.checked = settings.autoSave;
+  libraryRetentionSelect.value = String(settings.retentionDays);
+
+  await refreshLibrary();
+}
+
+/**
+ * Hide the report library
+ */
+function hideLibraryModal() {
+  libraryModal.classList.add('hidden');
+}
+
+/**
+ * Open stored reports: one is displayed directly, several go to the report selector
+ * @param {string[]} ids - Library ids
+ * @returns {Promise<void>}
+ */
+async function openLibraryReports(ids) {
+  const entries = ids.map(id => libraryEntries.find(entry => entry.id === id)).filter(Boolean);
+  hideLibraryModal();
+  showLoading();
+
+  const files = [];
+  for (const entry of entries) {
+    try {
+      const xml = await getLibraryReportXml(entry.id);
+      if (xml) {
+        files.push({
+          filename: entry.filename || `${entry.orgName} ${entry.reportId}.xml`,
+          xml,
+          reportType: REPORT_TYPES.DMARC
+        });
+      }
+    } catch (err) {
+      console.error('DMARC Reader: Failed to load stored report:', err);
+    }
+  }
+
+  if (files.length === 0) {
+    showError('The selected reports could not be loaded from the library');
+    return;
+  }
+  handleExtraction({ files, sourceFormat: 'xml', isMultiFile: files.length > 1 });
+}
+
+/**
+ * Delete stored reports after confirmation
+ * @param {string[]} ids - Library ids
+ * @returns {Promise<void>}
+ */
+async function deleteFromLibrary(ids) {
+  if (ids.length === 0) return;
+  const label = ids.length === 1 ? 'this report' : `${ids.length} reports`;
+  if (!window.confirm(`Delete ${label} from the library?`)) return;
+
+  try {
+    await deleteLibraryReports(ids);
+    ids.forEach(id => librarySelection.delete(id));
+    showToast(ids.length === 1 ? 'Report deleted' : `${ids.length} reports deleted`);
+  } catch (err) {
+    console.error('DMARC Reader: Failed to delete reports:', err);
+    showToast('Could not delete reports');
+  }
+  await refreshLibrary();
+}
+
+/**
+ * Save a library setting change; a shorter retention prunes at once
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<void>}
+ */
+async function updateLibrarySettings(changes) {
+  const settings = { ...(await getLibrarySettings()), ...changes };
+  librarySettingsPromise = Promise.resolve(settings);
+
+  try {
+    await saveReportLibrarySettings(settings);
+    if (changes.retentionDays !== undefined) {
+      const deleted = await applyLibraryRetention(settings.retentionDays);
+      if (deleted > 0) {
+        showToast(`${deleted} expired ${deleted === 1 ? 'report' : 'reports'} deleted`);
+        await refreshLibrary();
+      }
+    }
+  } catch (err) {
+    console.error('DMARC Reader: Failed to save library settings:', err);
+  }
+}
+
+// =============================================================================
+// Sender Inventory
+// =============================================================================
+
+/**
+ * Example keys shown in the sender field, per key type
+ * @constant {Object}
+ */
+const SENDER_VALUE_PLACEHOLDERS = Object.freeze({
+  ip: 'e.g. 192.0.2.0/24',
+  dkim: 'e.g. mail.example.com',
+  provider: 'e.g. sendgrid',
+  asn: 'e.g. AS15169'
+});
+
+/**
+ * Read the inventory and re-apply it to the displayed report
+ * @returns {Promise<void>}
+ */
+async function loadSenderInventory() {
+  senderInventory = await getSenderInventory();
+  refreshSenderMatches();
+}
+
+/**
+ * Re-match the displayed report's records after the inventory changed
+ */
+function refreshSenderMatches() {
+  if (!currentReport) return;
+  classifyReportRecords(currentReport.records);
+  renderEnforcementReadiness(calculateEnforcementReadiness(currentReport.records, currentReport.policy));
+  renderDmarcRecord();
+  renderFixPlan();
+  renderSubdomains();
+  renderPolicySimulation();
+  renderRecords(currentReport.records);
+}
+
+/**
+ * Messages of the displayed report per matching inventory entry
+ * @returns {Map<string, number>} Entry id -> messages
+ */
+function getSenderMessageCounts() {
+  const counts = new Map();
+  for (const record of currentReport?.records || []) {
+    if (!record._sender) continue;
+    counts.set(record._sender.id, (counts.get(record._sender.id) || 0) + (record.count || 0));
+  }
+  return counts;
+}
+
+/**
+ * Render the inventory list
+ */
+function renderSenderList() {
+  sendersBody.innerHTML = renderSenderRows(senderInventory, getSenderMessageCounts());
+}
+
+/**
+ * Fill the sender form with an entry (or a new sender's key), or clear it
+ * @param {Object} [entry] - Entry to edit (with id) or prefill (without)
+ */
+function resetSenderForm(entry = null) {
+  senderEditingId = entry?.id || null;
+  senderTypeSelect.value = entry?.type || 'ip';
+  senderValueInput.value = entry?.value || '';
+  senderOwnerInput.value = entry?.owner || '';
+  senderPurposeInput.value = entry?.purpose || '';
+  senderStatusSelect.value = entry?.status || 'approved';
+  senderValueInput.placeholder = SENDER_VALUE_PLACEHOLDERS[senderTypeSelect.value];
+  senderSaveBtn.textContent = senderEditingId ? 'Save Sender' : 'Add Sender';
+  senderCancelBtn.classList.toggle('hidden', !senderEditingId);
+  senderFormError.classList.add('hidden');
+}
+
+/**
+ * Show the sender inventory
+ * @param {Object} [entry] - Entry to edit, or key of a sender to add
+ */
+function showSendersModal(entry = null) {
+  const providerIds = document.getElementById('sender-provider-ids');
+  if (providerIds && typeof PROVIDERS !== 'undefined') {
+    providerIds.innerHTML = PROVIDERS
+      .map(provider => `<option value="${escapeHtml(provider.id)}">${escapeHtml(provider.name)}</option>`)
+      .join('');
+  }
+
+  resetSenderForm(entry);
+  renderSenderList();
+  sendersModal.classList.remove('hidden');
+  senderValueInput.focus();
+}
+
+/**
+ * Hide the sender inventory
+ */
+function hideSendersModal() {
+  sendersModal.classList.add('hidden');
+}
+
+/**
+ * Save the entry in the sender form
+ * @returns {Promise<void>}
+ */
+async function saveSenderForm() {
+  const entry = {
+    type: senderTypeSelect.value,
+    value: senderValueInput.value,
+    owner: senderOwnerInput.value,
+    purpose: senderPurposeInput.value,
+    status: senderStatusSelect.value
+  };
+  const problems = validateSenderEntry(entry);
+  if (problems.length > 0) {
+    senderFormError.textContent = problems.join('. ');
+    senderFormError.classList.remove('hidden');
+    return;
+  }
+
+  try {
+    senderInventory = await saveSenderInventory(upsertSenderEntry(senderInventory, entry, senderEditingId));
+    showToast(senderEditingId ? 'Sender updated' : 'Sender added');
+  } catch (err) {
+    console.error('DMARC Reader: Failed to save sender inventory:', err);
+    showToast('Could not save the sender inventory');
+    return;
+  }
+
+  resetSenderForm();
+  renderSenderList();
+  refreshSenderMatches();
+}
+
+/**
+ * Delete an inventory entry after confirmation
+ * @param {string} id - Entry id
+ * @returns {Promise<void>}
+ */
+async function deleteSenderEntry(id) {
+  const entry = senderInventory.find(existing => existing.id === id);
+  if (!entry || !window.confirm(`Remove ${entry.value} from the sender inventory?`)) return;
+
+  try {
+    senderInventory = await saveSenderInventory(senderInventory.filter(existing => existing.id !== id));
+  } catch (err) {
+    console.error('DMARC Reader: Failed to save sender inventory:', err);
+    showToast('Could not save the sender inventory');
+    return;
+  }
+
+  if (senderEditingId === id) resetSenderForm();
+  renderSenderList();
+  refreshSenderMatches();
+}
+
+// =============================================================================
+// Subdomains
+// =============================================================================
+
+/**
+ * Render the From domain inventory and readiness per policy tag of the
+ * displayed report
+ */
+function renderSubdomains() {
+  if (!currentReport || !subdomainBody) return;
+
+  const inventory = buildSubdomainInventory(currentReport.records, currentReport.policy);
+  subdomainSummaryEl.textContent = describeSubdomainInventory(inventory);
+  subdomainTiersBody.innerHTML = renderSubdomainTierRows(inventory.tiers);
+  subdomainBody.innerHTML = renderSubdomainRows(inventory.domains);
+}
+
+/**
+ * Filter the records table to one From domain and scroll to it
+ * @param {string} domain - header_from domain
+ */
+function viewSubdomainRecords(domain) {
+  clearFilters();
+  filterDomainInput.value = domain;
+  applyFilters();
+  recordsBody.closest('.section')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+// =============================================================================
+// Policy Simulator
+// =============================================================================
+
+/**
+ * Set the simulator to one step stricter than the report's published policy
+ * @param {Object|null} policy - Published policy of the displayed report
+ */
+function resetPolicySimulator(policy) {
+  if (!simulatePSelect) return;
+  simulatePSelect.value = getNextSimulationPolicy(policy?.policy);
+  simulateSpSelect.value = '';
+  simulateNpSelect.value = '';
+  simulatePctInput.value = '100';
+  simulateAdkimCheckbox.checked = policy?.adkim === 'strict';
+  simulateAspfCheckbox.checked = policy?.aspf === 'strict';
+}
+
+/**
+ * Simulate the policy chosen in the simulator over the displayed report
+ * and render the outcome next to that of the published policy
+ */
+function renderPolicySimulation() {
+  if (!currentReport || !simulatePSelect) return;
+
+  const pct = parseInt(simulatePctInput.value, 10);
+  const target = {
+    policy: simulatePSelect.value,
+    subdomainPolicy: simulateSpSelect.value || null,
+    npPolicy: simulateNpSelect.value || null,
+    percentage: Number.isNaN(pct) ? 100 : pct,
+    adkim: simulateAdkimCheckbox.checked ? 'strict' : 'relaxed',
+    aspf: simulateAspfCheckbox.checked ? 'strict' : 'relaxed'
+  };
+  const { records, policy } = currentReport;
+  const baseline = simulatePolicy(records, policy, policy || {});
+  const simulation = simulatePolicy(records, policy, target);
+
+  simulationSummaryEl.textContent = describeSimulationImpact(simulation, baseline);
+  simulationBreakdownBody.innerHTML = renderSimulationBreakdownRows(simulation);
+  simulationProvidersBody.innerHTML = renderSimulationProviderRows(simulation.providers);
+  simulationSourcesBody.innerHTML = renderSimulationSourceRows(simulation.sources);
+}
+
+// =============================================================================
+// DMARC Record
+// =============================================================================
+
+/**
+ * Fill the record editor with the policy published in the displayed report
+ * Reports carry no rua or ruf, so those are left for the user to add.
+ */
+function resetDmarcRecord() {
+  if (!recordInput || !currentReport) return;
+  recordInput.value = buildDmarcRecord(getPolicyRecordTags(currentReport.policy));
+  renderDmarcRecord();
+}
+
+/**
+ * Validate the record in the editor and compare it with the displayed report
+ */
+function renderDmarcRecord() {
+  if (!recordInput || !currentReport) return;
+
+  const { records, policy } = currentReport;
+  const parsed = parseDmarcRecord(recordInput.value);
+  const proposal = proposeDmarcRecord(parsed, calculateEnforcementReadiness(records, policy));
+  const destinations = findExternalReportDestinations(parsed, policy?.domain);
+
+  recordSummaryEl.textContent = describeDmarcRecord(parsed);
+  recordHighlightEl.innerHTML = parsed.record ? renderDmarcRecordHighlight(parsed) : '';
+  recordIssuesEl.innerHTML = renderDmarcRecordIssues(parsed);
+  recordProposalEl.innerHTML = renderDmarcRecordProposal(proposal);
+  recordDiffBody.innerHTML = renderDmarcRecordDiffRows(policy ? diffDmarcRecord(parsed, policy) : []);
+  recordDestinationsEl.innerHTML = renderExternalDestinationWarnings(destinations) ||
+    `<p class="identifier-hint">${parsed.tags.rua || parsed.tags.ruf ? 'Every report destination is within this domain.' : 'The record has no rua or ruf destination.'}</p>`;
+}
+
+// =============================================================================
+// Fix Plan
+// =============================================================================
+
+/**
+ * Render the provider-specific steps for the displayed report's failing sources
+ */
+function renderFixPlan() {
+  if (!fixPlanBody || !currentReport) return;
+
+  const plan = buildFixPlan(currentReport.records);
+  fixPlanSummaryEl.textContent = describeFixPlan(plan);
+  fixPlanBody.innerHTML = renderFixPlanSteps(plan);
+}
+
+// =============================================================================
+// SPF Evaluation
+// =============================================================================
+
+/**
+ * Clear the evaluation of the previous report and offer the DNS-over-HTTPS
+ * resolver only when an endpoint is configured
+ */
+function resetSpfEvaluation() {
+  if (!spfBody) return;
+  for (const record of currentReport?.records || []) record._spfEvaluation = null;
+  spfBody.innerHTML = '';
+  spfSummaryEl.textContent = 'Evaluate the SPF records of this report\'s sources against a pasted zone file or a DNS-over-HTTPS endpoint.';
+
+  getSpfResolverSettings().then(settings => {
+    const problem = validateDohEndpoint(settings.dohEndpoint);
+    const endpoint = problem ? '' : settings.dohEndpoint;
+    spfResolverDohOption.disabled = !endpoint;
+    spfResolverDohOption.textContent = endpoint
+      ? `DNS-over-HTTPS (${new URL(endpoint).host})`
+      : 'DNS-over-HTTPS (set in Settings)';
+    if (!endpoint) spfResolverSelect.value = 'zone';
+    if (problem) spfSummaryEl.textContent = `${problem}. Fix it in Settings or use a pasted zone file.`;
+  }).catch(err => {
+    console.warn('DMARC Reader: Failed to load SPF resolver settings:', err.message);
+    spfResolverDohOption.disabled = true;
+    spfResolverDohOption.textContent = 'DNS-over-HTTPS (unavailable)';
+    spfResolverSelect.value = 'zone';
+    spfSummaryEl.textContent = 'The DNS-over-HTTPS settings could not be loaded. Use a pasted zone file instead.';
+  });
+}
+
+/**
+ * Create the resolver chosen in the SPF section
+ * @returns {Promise<{resolver: Object|null, note: string}>} Resolver, or null with the reason
+ */
+async function createSpfResolver() {
+  if (spfResolverSelect.value === 'doh') {
+    const settings = await getSpfResolverSettings();
+    if (!settings.dohEndpoint) {
+      return { resolver: null, note: 'Set a DNS-over-HTTPS endpoint in Settings first.' };
+    }
+    const problem = validateDohEndpoint(settings.dohEndpoint);
+    if (problem) return { resolver: null, note: `${problem}. Fix it in Settings first.` };
+    return { resolver: createDohResolver(settings.dohEndpoint), note: '' };
+  }
+
+  if (!spfZoneInput.value.trim()) {
+    return { resolver: null, note: 'Paste the SPF, A and MX records of the domains to evaluate first.' };
+  }
+  const resolver = createZoneResolver(spfZoneInput.value);
+  const note = resolver.skipped > 0
+    ? ` ${resolver.skipped} zone line${resolver.skipped === 1 ? '' : 's'} could not be read.`
+    : '';
+  return { resolver, note };
+}
+
+/**
+ * Evaluate SPF for the sources of the displayed report
+ * Each record keeps the evaluation of its source IP and SPF domain, so its
+ * details and diagnosis show the matching mechanism or the problem.
+ */
+async function runSpfEvaluation() {
+  if (!currentReport || !spfBody) return;
+  const report = currentReport;
+
+  const { resolver, note } = await createSpfResolver();
+  if (!resolver) {
+    spfSummaryEl.textContent = note;
+    return;
+  }
+
+  spfEvaluateBtn.disabled = true;
+  spfSummaryEl.textContent = 'Evaluating...';
+  try {
+    const results = await evaluateRecordsSpf(report.records, resolver, {
+      includePassing: spfIncludePassingCheckbox.checked
+    });
+    // Another report may have been opened meanwhile
+    if (report !== currentReport) return;
+
+    const byPair = new Map(results.map(item => [`${item.sourceIp} ${item.spfDomain}`, item.evaluation]));
+    for (const record of report.records) {
+      record._spfEvaluation = byPair.get(`${normalizeIp(record.sourceIp)} ${getRecordSpfDomain(record)}`) || null;
+    }
+
+    spfSummaryEl.textContent = describeSpfEvaluations(results) + note;
+    spfBody.innerHTML = renderSpfEvaluationRows(results);
+    renderRecords(report.records);
+  } catch (err) {
+    console.error('DMARC Reader: SPF evaluation failed:', err);
+    spfSummaryEl.textContent = `SPF evaluation failed: ${err.message}`;
+  } finally {
+    spfEvaluateBtn.disabled = false;
+  }
+}
+
+// =============================================================================
+// New Sources
+// =============================================================================
+
+/**
+ * Load the stored history of the report's policy domain and score its sources
+ * Reports opened from elsewhere while the library is read are left alone.
+ * @param {Object} report - Displayed DMARC report
+ * @returns {Promise<void>}
+ */
+async function loadSourceHistory(report) {
+  sourceHistory = null;
+  noveltySummaryEl.textContent = renderNoveltySummary(null, []);
+  noveltyBody.innerHTML = '';
+
+  let entries = [];
+  try {
+    entries = await listLibraryReports();
+  } catch (err) {
+    console.warn('DMARC Reader: Failed to read report history:', err.message);
+  }
+  if (currentReport !== report) return;
+
+  const begin = report.metadata?.dateRange?.begin;
+  sourceHistory = buildSourceHistory(entries, {
+    domain: report.policy?.domain,
+    ids: getReportLibraryIds(report),
+    before: begin ? new Date(begin).getTime() : null
+  });
+  applySourceNovelty();
+}
+
+/**
+ * Score the displayed report's sources against the loaded history and
+ * refresh the New Sources panel and records table
+ */
+function applySourceNovelty() {
+  if (!currentReport || !sourceHistory) return;
+
+  const novelty = scoreSourceNovelty(currentReport.records, sourceHistory,
+    ip => ipGeoData.get(ip)?.asn || null);
+  for (const record of currentReport.records) {
+    record._novelty = record.sourceIp ? novelty.get(normalizeIp(record.sourceIp)) || null : null;
+  }
+
+  const sources = listNovelSources(novelty);
+  noveltySummaryEl.textContent = renderNoveltySummary(sourceHistory, sources);
+  noveltyBody.innerHTML = sourceHistory.reports > 0
+    ? renderNoveltyRows(listNovelSources(novelty, { failingOnly: true }))
+    : '';
+  renderRecords(currentReport.records);
+}
+
+/**
+ * Store the looked-up ASNs of a report's sources with its library entries
+ * so later reports can tell new networks apart. Failures are logged only.
+ * @param {Object} report - Displayed DMARC report
+ * @returns {Promise<void>}
+ */
+async function recordSourceAsns(report) {
+  const asnByIp = new Map();
+  for (const record of report.records) {
+    const asn = parseSenderAsn(ipGeoData.get(record.sourceIp)?.asn);
+    if (record.sourceIp && asn) asnByIp.set(normalizeIp(record.sourceIp), asn);
+  }
+
+  try {
+    await recordLibrarySourceAsns(getReportLibraryIds(report), asnByIp);
+  } catch (err) {
+    console.warn('DMARC Reader: Failed to record source ASNs:', err.message);
+  }
+}
+
+/**
+ * Filter the records table to one new source and scroll to it
+ * @param {string} ip - Source IP
+ */
+function viewNovelSourceRecords(ip) {
+  clearFilters();
+  // Exact address, not a prefix of longer ones
+  filterIpInput.value = `${ip}/${ip.includes(':') ? 128 : 32}`;
+  applyFilters();
+  recordsBody.closest('.section')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+// =============================================================================
+// Trends
+// =============================================================================
+
+/**
+ * Show a rate change between the first and latest periods
+ * @param {string} id - Element id
+ * @param {{change: number}|null} trend - From getTrendChange
+ * @param {string} unitLabel - Period name, e.g. 'week'
+ */
+function renderTrendChange(id, trend, unitLabel) {
+  const el = document.getElementById(id);
+  el.classList.remove('trend-change-up', 'trend-change-down');
+  if (!trend) {
+    el.textContent = '';
+    return;
+  }
+  const sign = trend.change > 0 ? '+' : '';
+  el.textContent = `${sign}${trend.change.toFixed(1)} pts since first ${unitLabel}`;
+  if (trend.change >= 0.05) el.classList.add('trend-change-up');
+  if (trend.change <= -0.05) el.classList.add('trend-change-down');
+}
+
+/**
+ * Render trends for the selected domain and period size
+ */
+function renderTrends() {
+  const trends = calculateTrends(libraryEntries, {
+    domain: trendsDomainSelect.value,
+    granularity: trendsGranularitySelect.value
+  });
+  const latest = [...trends.buckets].reverse().find(bucket => bucket.totalMessages > 0);
+  const setText = (id, value) => {
+    document.getElementById(id).textContent = value;
+  };
+
+  setText('trends-total-messages', trends.totals.totalMessages.toLocaleString());
+  setText('trends-aligned-rate', latest ? formatTrendRate(latest.alignedRate) : '-');
+  setText('trends-dkim-rate', latest ? formatTrendRate(latest.dkimRate) : '-');
+  setText('trends-spf-rate', latest ? formatTrendRate(latest.spfRate) : '-');
+  setText('trends-quarantined', trends.totals.quarantined.toLocaleString());
+  setText('trends-rejected', trends.totals.rejected.toLocaleString());
+  renderTrendChange('trends-aligned-change', getTrendChange(trends.buckets, 'alignedRate'), trends.granularity);
+  renderTrendChange('trends-dkim-change', getTrendChange(trends.buckets, 'dkimRate'), trends.granularity);
+  renderTrendChange('trends-spf-change', getTrendChange(trends.buckets, 'spfRate'), trends.granularity);
+
+  const undated = trends.undated > 0 ? `, ${trends.undated} without a date range` : '';
+  setText('trends-coverage', `${trends.totals.reports.toLocaleString()} stored reports${undated}`);
+
+  document.getElementById('trends-chart').innerHTML = renderTrendChart(trends.buckets);
+  document.getElementById('trends-body').innerHTML = renderTrendRows(trends.buckets);
+}
+
+/**
+ * Show posture trends built from the report library
+ * Defaults to the policy domain with the most stored reports.
+ * @returns {Promise<void>}
+ */
+async function showTrendsView() {
+  showLoading();
+
+  try {
+    libraryEntries = await listLibraryReports();
+  } catch (err) {
+    showError(`Failed to read the report library: ${err.message}`);
+    return;
+  }
+
+  if (libraryEntries.length === 0) {
+    showError('The report library is empty. Open some aggregate reports first; they are saved automatically.');
+    return;
+  }
+
+  const { domains } = getLibraryFacets(libraryEntries);
+  const hadChoice = domains.includes(trendsDomainSelect.value);
+  populateLibraryFilter(trendsDomainSelect, domains);
+  if (!hadChoice) {
+    trendsDomainSelect.value = getBusiestLibraryDomain() || '';
+  }
+
+  clearCurrentReports();
+  renderTrends();
+  showTrendsReport();
+}
+
+/**
+ * Policy domain with the most stored reports
+ * @returns {string|null} Domain, or null when no entry has one
+ */
+function getBusiestLibraryDomain() {
+  const counts = new Map();
+  for (const entry of libraryEntries) {
+    if (entry.domain) counts.set(entry.domain, (counts.get(entry.domain) || 0) + 1);
+  }
+  const busiest = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+  return busiest ? busiest[0] : null;
+}
+
+/**
+ * Fill a policy domain menu without an "All domains" choice, for views that
+ * only make sense per domain. Keeps the current domain when it still exists,
+ * otherwise picks the busiest one.
+ * @param {HTMLSelectElement} select - Domain menu
+ */
+function populateLibraryDomainSelect(select) {
+  const { domains } = getLibraryFacets(libraryEntries);
+  const previous = select.value;
+  select.innerHTML = '';
+  for (const domain of domains) {
+    select.add(new Option(domain, domain));
+  }
+  select.value = domains.includes(previous) ? previous : getBusiestLibraryDomain() || '';
+}
+
+/**
+ * Forget the displayed report before switching to a library-wide view
+ */
+function clearCurrentReports() {
+  currentReport = null;
+  currentTlsRptReport = null;
+  currentFailureReport = null;
+  currentRawXml = null;
+  exportButtons.classList.add('hidden');
+  hideEnrichmentBanner();
+}
+
+// =============================================================================
+// Reporter Coverage
+// =============================================================================
+
+/**
+ * Render reporter coverage for the selected domain and window
+ */
+function renderCoverage() {
+  const coverage = calculateCoverage(libraryEntries, {
+    domain: coverageDomainSelect.value,
+    days: parseInt(coverageDaysSelect.value, 10)
+  });
+  const count = status => coverage.reporters.filter(reporter => reporter.status === status).length;
+  const reportedDays = coverage.days.filter((_, i) => coverage.reporters.some(reporter => reporter.cells[i] !== 'none')).length;
+  const setText = (id, value) => {
+    document.getElementById(id).textContent = value;
+  };
+
+  setText('coverage-reporters', coverage.reporters.length.toLocaleString());
+  setText('coverage-active', count(REPORTER_STATUS.ACTIVE).toLocaleString());
+  setText('coverage-silent', count(REPORTER_STATUS.SILENT).toLocaleString());
+  setText('coverage-days-reported', `${reportedDays} / ${coverage.days.length}`);
+  setText('coverage-overlaps', coverage.reporters.reduce((sum, reporter) => sum + reporter.overlaps.length, 0).toLocaleString());
+
+  const reports = coverage.reporters.reduce((sum, reporter) => sum + reporter.reports, 0);
+  const undated = coverage.undated > 0 ? `, ${coverage.undated} without a date range` : '';
+  setText('coverage-stored', `${reports.toLocaleString()} stored reports${undated}`);
+
+  const note = describeSilentReporters(coverage.reporters);
+  coverageNoteEl.textContent = note;
+  coverageNoteEl.classList.toggle('hidden', !note);
+
+  document.getElementById('coverage-matrix').innerHTML = renderCoverageMatrix(coverage);
+  document.getElementById('coverage-body').innerHTML = renderCoverageRows(coverage.reporters);
+}
+
+/**
+ * Show which reporters sent reports for which days, from the report library
+ * Defaults to the policy domain with the most stored reports.
+ * @returns {Promise<void>}
+ */
+async function showCoverageView() {
+  showLoading();
+
+  try {
+    libraryEntries = await listLibraryReports();
+  } catch (err) {
+    showError(`Failed to read the report library: ${err.message}`);
+    return;
+  }
+
+  if (libraryEntries.length === 0) {
+    showError('The report library is empty. Open some aggregate reports first; they are saved automatically.');
+    return;
+  }
+
+  populateLibraryDomainSelect(coverageDomainSelect);
+  clearCurrentReports();
+  renderCoverage();
+  showCoverageReport();
+}
+
+// =============================================================================
+// Policy Timeline
+// =============================================================================
+
+/**
+ * Render the published policy timeline for the selected domain
+ */
+function renderPolicyTimeline() {
+  const domain = policyDomainSelect.value;
+  const timeline = calculatePolicyTimeline(libraryEntries, { domain });
+  const trends = calculateTrends(libraryEntries, { domain, granularity: TREND_GRANULARITIES.DAY });
+  const stale = new Set(timeline.changes.flatMap(change =>
+    change.adoption.filter(reporter => reporter.staleReports > 0).map(reporter => reporter.orgName.toLowerCase())));
+  const setText = (id, value) => {
+    document.getElementById(id).textContent = value;
+  };
+
+  setText('policy-current', formatPolicyTimelineValue(timeline.current.policy));
+  setText('policy-change-count', timeline.changes.length.toLocaleString());
+  setText('policy-stale-count', stale.size.toLocaleString());
+  setText('policy-record', formatPolicyRecord(timeline.current, POLICY_TIMELINE_FIELDS) || '-');
+
+  const undated = timeline.undated > 0 ? `, ${timeline.undated} without a date range` : '';
+  setText('policy-stored', `${timeline.reports.toLocaleString()} stored reports${undated}`);
+
+  document.getElementById('policy-chart').innerHTML = renderPolicyTimelineChart(trends.buckets, timeline.changes);
+  document.getElementById('policy-changes-body').innerHTML = renderPolicyChangeRows(timeline.changes);
+  document.getElementById('policy-adoption-body').innerHTML = renderPolicyAdoptionRows(timeline.changes);
+}
+
+/**
+ * Show how the published policy changed across the report library
+ * Defaults to the policy domain with the most stored reports.
+ * @returns {Promise<void>}
+ */
+async function showPolicyTimelineView() {
+  showLoading();
+
+  try {
+    libraryEntries = await listLibraryReports();
+  } catch (err) {
+    showError(`Failed to read the report library: ${err.message}`);
+    return;
+  }
+
+  if (libraryEntries.length === 0) {
+    showError('The report library is empty. Open some aggregate reports first; they are saved automatically.');
+    return;
+  }
+
+  populateLibraryDomainSelect(policyDomainSelect);
+  clearCurrentReports();
+  renderPolicyTimeline();
+  showPolicyReport();
+}
+
+// =============================================================================
+// DKIM Selectors
+// =============================================================================
+
+/**
+ * Render the DKIM selector inventory for the selected domain
+ */
+function renderSelectorInventory() {
+  const inventory = calculateSelectorInventory(libraryEntries, { domain: selectorsDomainSelect.value });
+  const count = status => inventory.selectors.filter(item => item.status === status).length;
+  const setText = (id, value) => {
+    document.getElementById(id).textContent = value;
+  };
+
+  setText('selectors-count', inventory.selectors.length.toLocaleString());
+  setText('selectors-active', count(SELECTOR_STATUS.ACTIVE).toLocaleString());
+  setText('selectors-new', count(SELECTOR_STATUS.NEW).toLocaleString());
+  setText('selectors-failing', count(SELECTOR_STATUS.FAILING).toLocaleString());
+  setText('selectors-retired', count(SELECTOR_STATUS.RETIRED).toLocaleString());
+
+  const undated = inventory.undated > 0 ? `, ${inventory.undated} without a date range` : '';
+  setText('selectors-stored', `${inventory.reports.toLocaleString()} stored reports${undated}`);
+
+  const note = describeSelectorInventory(inventory, SELECTOR_RECENT_DAYS);
+  selectorsNoteEl.textContent = note;
+  selectorsNoteEl.classList.toggle('hidden', !note);
+
+  document.getElementById('selectors-body').innerHTML = renderSelectorRows(inventory.selectors);
+}
+
+/**
+ * Show every DKIM signing domain and selector seen across the report library
+ * Defaults to the policy domain with the most stored reports.
+ * @returns {Promise<void>}
+ */
+async function showSelectorInventoryView() {
+  showLoading();
 
-  const blob = new Blob([csvContent], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
+  try {
+    libraryEntries = await listLibraryReports();
+  } catch (err) {
+    showError(`Failed to read the report library: ${err.message}`);
+    return;
+  }
 
-  const a = document.createElement('a');
-  a.href = url;
-  const suffix = activeFilterCount > 0 ? '-filtered' : '';
-  a.download = `dmarc-report-${currentReport.metadata?.reportId || 'export'}${suffix}.csv`;
-  a.click();
+  if (libraryEntries.length === 0) {
+    showError('The report library is empty. Open some aggregate reports first; they are saved automatically.');
+    return;
+  }
 
-  URL.revokeObjectURL(url);
+  populateLibraryDomainSelect(selectorsDomainSelect);
+  clearCurrentReports();
+  renderSelectorInventory();
+  showSelectorsReport();
+}
 
-  // Show feedback
-  if (activeFilterCount > 0) {
-    showToast(`Exported ${sortedRecords.length} of ${currentReport.records.length} records (filtered)`);
+// =============================================================================
+// Report Comparison
+// =============================================================================
+
+/**
+ * Fill the before/after report menus with the selected domain's stored reports
+ */
+function populateDiffReportSelects() {
+  const entries = filterLibraryEntries(libraryEntries, { domain: diffDomainSelect.value });
+  for (const select of [diffBeforeReportSelect, diffAfterReportSelect]) {
+    select.innerHTML = '';
+    for (const entry of entries) {
+      const label = `${formatLibraryDateRange(entry)} · ${entry.orgName} (${entry.summary.totalMessages.toLocaleString()} messages)`;
+      select.add(new Option(label, entry.id));
+    }
   }
+  // Entries are newest first: compare the previous report with the latest
+  if (entries.length > 1) diffBeforeReportSelect.value = entries[1].id;
 }
 
 /**
- * Initialize collapsible sections
+ * Show the inputs of the selected comparison mode
  */
-function initCollapsibleSections() {
-  document.querySelectorAll('.section.collapsible .section-header').forEach(header => {
-    header.addEventListener('click', () => {
-      const section = header.closest('.collapsible');
-      section.classList.toggle('collapsed');
-    });
-  });
+function updateDiffMode() {
+  const periods = diffModeSelect.value === 'periods';
+  document.getElementById('diff-report-inputs').classList.toggle('hidden', periods);
+  document.getElementById('diff-period-inputs').classList.toggle('hidden', !periods);
 }
 
 /**
- * Parse a report XML to extract preview metadata for the selector
- * This is a lightweight parse that only extracts what we need for display
- * @param {string} xml - Raw XML string
- * @returns {Object|null} Preview metadata or null if parsing fails
+ * Open the comparison view
+ * @param {string[]} [ids] - Two library ids to compare right away
  */
-function parseReportPreview(xml) {
+async function showDiffView(ids) {
+  showLoading();
+
   try {
-    const report = parseDmarcReport(xml);
-    return {
-      orgName: report.metadata?.orgName || 'Unknown',
-      reportId: report.metadata?.reportId || 'Unknown',
-      dateRange: report.metadata?.dateRange,
-      totalMessages: report.summary?.totalMessages || 0,
-      recordCount: report.records?.length || 0,
-      passRate: report.summary?.overallPassRate || 0
-    };
+    libraryEntries = await listLibraryReports();
   } catch (err) {
-    return null;
+    showError(`Failed to read the report library: ${err.message}`);
+    return;
+  }
+
+  if (libraryEntries.length === 0) {
+    showError('The report library is empty. Open some aggregate reports first; they are saved automatically.');
+    return;
+  }
+
+  const { domains } = getLibraryFacets(libraryEntries);
+  const selected = ids ? ids.map(id => libraryEntries.find(entry => entry.id === id)).filter(Boolean) : [];
+  const previous = diffDomainSelect.value;
+  diffDomainSelect.innerHTML = '';
+  for (const domain of domains) {
+    diffDomainSelect.add(new Option(domain, domain));
+  }
+  diffDomainSelect.value = selected[0]?.domain ||
+    (domains.includes(previous) ? previous : getBusiestLibraryDomain() || '');
+  populateDiffReportSelects();
+
+  clearCurrentReports();
+
+  if (selected.length === 2) {
+    // Older report first
+    selected.sort((a, b) => (a.dateEnd ?? 0) - (b.dateEnd ?? 0));
+    diffModeSelect.value = 'reports';
+    updateDiffMode();
+    diffBeforeReportSelect.value = selected[0].id;
+    diffAfterReportSelect.value = selected[1].id;
+    // The two reports may belong to different domains, so pass them directly
+    await runDiff(selected);
+    return;
   }
+
+  updateDiffMode();
+  if (currentDiff) renderDiff();
+  showDiffReport();
 }
 
 /**
- * Show the report selector modal for multi-file ZIPs
- * @param {Array<{filename: string, xml: string}>} files - Array of extracted files
+ * Parse stored reports into one report for one side of a comparison
+ * Several reports are combined (duplicates dropped) for the domain.
+ * @param {Object[]} entries - Library entries
+ * @param {string} domain - Policy domain being compared
+ * @returns {Promise<Object|null>} Report, or null when nothing could be loaded
+ * @throws {DmarcError} PARSE_CANCELLED when another view opened first
  */
-function showReportSelectorModal(files) {
-  pendingExtraction = files;
-  reportListEl.innerHTML = '';
+async function loadDiffSide(entries, domain) {
+  const reports = [];
+  for (const entry of entries) {
+    try {
+      const xml = await getLibraryReportXml(entry.id);
+      if (!xml) continue;
+      const report = await parseDmarcXml(xml, { onProgress: showLoadingProgress });
+      report._sourceFilename = entry.filename || `${entry.orgName} ${entry.reportId}.xml`;
+      reports.push(report);
+    } catch (err) {
+      if (isParseCancelled(err)) throw err;
+      console.error('DMARC Reader: Failed to load stored report:', err);
+    }
+  }
 
-  files.forEach((file, index) => {
-    const preview = parseReportPreview(file.xml);
-    const item = document.createElement('div');
-    item.className = 'report-item';
-    item.setAttribute('role', 'button');
-    item.setAttribute('tabindex', '0');
+  if (reports.length <= 1) return reports[0] || null;
+  const combined = combineReportsByDomain(reports);
+  return combined.find(report => (report.policy?.domain || '').toLowerCase() === domain) || combined[0];
+}
 
-    const dateStr = preview?.dateRange
-      ? `${formatDate(preview.dateRange.begin)} - ${formatDate(preview.dateRange.end)}`
-      : 'Unknown date range';
+/**
+ * Library entries of one side of a period comparison
+ * @param {string} fromId - Id of the "from" date input
+ * @param {string} toId - Id of the "to" date input
+ * @returns {Object[]|null} Dated entries in the period, or null without both dates
+ */
+function getDiffPeriodEntries(fromId, toId) {
+  const from = document.getElementById(fromId).value;
+  const to = document.getElementById(toId).value;
+  if (!from || !to) return null;
+  return filterLibraryEntries(libraryEntries, {
+    domain: diffDomainSelect.value,
+    from: Date.parse(`${from}T00:00:00Z`),
+    to: Date.parse(`${to}T23:59:59Z`)
+  }).filter(entry => entry.dateBegin !== null || entry.dateEnd !== null);
+}
 
-    const passRateStr = preview ? `${preview.passRate.toFixed(0)}% pass` : '';
-    const msgCountStr = preview ? `${preview.totalMessages.toLocaleString()} messages` : '';
+/**
+ * Load both sides and compare them
+ * @param {Object[]} [pair] - Before and after library entries; defaults to the inputs
+ */
+async function runDiff(pair) {
+  const domain = diffDomainSelect.value;
+  let beforeEntries;
+  let afterEntries;
+
+  if (pair) {
+    beforeEntries = [pair[0]];
+    afterEntries = [pair[1]];
+  } else if (diffModeSelect.value === 'periods') {
+    beforeEntries = getDiffPeriodEntries('diff-before-from', 'diff-before-to');
+    afterEntries = getDiffPeriodEntries('diff-after-from', 'diff-after-to');
+    if (!beforeEntries || !afterEntries) {
+      showToast('Enter both dates of each period');
+      return;
+    }
+  } else {
+    if (diffBeforeReportSelect.value === diffAfterReportSelect.value) {
+      showToast('Pick two different reports');
+      return;
+    }
+    beforeEntries = libraryEntries.filter(entry => entry.id === diffBeforeReportSelect.value);
+    afterEntries = libraryEntries.filter(entry => entry.id === diffAfterReportSelect.value);
+  }
 
-    item.innerHTML = `
-      <div class="report-item-info">
-        <div class="report-item-filename" title="${escapeHtml(file.filename)}">${escapeHtml(file.filename)}</div>
-        <div class="report-item-meta">
-          <span>${escapeHtml(preview?.orgName || 'Unknown')}</span>
-          <span>${msgCountStr}</span>
-          <span>${passRateStr}</span>
-        </div>
-      </div>
-      <button class="report-item-action" data-index="${index}">View</button>
-    `;
+  if (beforeEntries.length === 0 || afterEntries.length === 0) {
+    showToast(`No stored reports for ${beforeEntries.length === 0 ? 'the before' : 'the after'} side`);
+    return;
+  }
 
-    // Click anywhere on item to view
-    item.addEventListener('click', (e) => {
-      if (!e.target.classList.contains('report-item-action')) {
-        selectReport(index);
-      }
-    });
-    item.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        selectReport(index);
-      }
-    });
+  showLoading();
+  let before;
+  let after;
+  try {
+    before = await loadDiffSide(beforeEntries, domain);
+    after = await loadDiffSide(afterEntries, domain);
+  } catch (err) {
+    if (isParseCancelled(err)) return;
+    throw err;
+  }
+  if (!before || !after) {
+    showError('The selected reports could not be loaded from the library');
+    return;
+  }
 
-    // View button click
-    const viewBtn = item.querySelector('.report-item-action');
-    viewBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      selectReport(index);
-    });
+  // Classify against the sender inventory, as for the displayed report
+  for (const report of [before, after]) classifyReportRecords(report.records);
 
-    reportListEl.appendChild(item);
-  });
+  currentDiff = {
+    before,
+    after,
+    beforeCount: beforeEntries.length,
+    afterCount: afterEntries.length,
+    result: diffReports(before.records, after.records)
+  };
+  renderDiff();
+  showDiffReport();
+  loadDiffProviders(currentDiff);
+}
 
-  reportSelectorModal.classList.remove('hidden');
-  // Focus first item for accessibility
-  const firstItem = reportListEl.querySelector('.report-item');
-  if (firstItem) firstItem.focus();
+/**
+ * Identify providers of the compared sources, then redraw the comparison
+ * Uses the configured IP lookup providers; skipped for comparisons with
+ * more sources than the large-report threshold.
+ * @param {Object} diff - currentDiff
+ */
+async function loadDiffProviders(diff) {
+  if (typeof fingerprintProvider !== 'function') return;
+  const records = [...diff.before.records, ...diff.after.records];
+  if (getUniqueIpCount(records) > LARGE_REPORT_IP_THRESHOLD) return;
+
+  try {
+    const geo = await lookupIps(records.map(r => r.sourceIp).filter(Boolean));
+    for (const record of records) {
+      record._provider = fingerprintProvider(geo.get(record.sourceIp));
+    }
+  } catch (err) {
+    console.error('IP lookup error:', err);
+    return;
+  }
+
+  diff.result = diffReports(diff.before.records, diff.after.records, { getProvider: record => record._provider });
+  if (currentDiff === diff && !diffReportEl.classList.contains('hidden')) renderDiff();
 }
 
 /**
- * Hide the report selector modal
+ * Describe the reports behind one side of the comparison
+ * @param {Object} report - Side report
+ * @param {number} count - Stored reports on this side
+ * @returns {string} e.g. "2 reports, Jan 1, 2026 - Jan 7, 2026"
  */
-function hideReportSelectorModal() {
-  reportSelectorModal.classList.add('hidden');
-  pendingExtraction = null;
+function describeDiffSide(report, count) {
+  const range = report.metadata?.dateRange;
+  const period = range ? `${formatDate(range.begin)} - ${formatDate(range.end)}` : 'unknown period';
+  return `${count} report${count === 1 ? '' : 's'}, ${period}`;
+}
+
+/**
+ * Render the current comparison
+ */
+function renderDiff() {
+  const { result, before, after } = currentDiff;
+  const setText = (id, value) => {
+    document.getElementById(id).textContent = value;
+  };
+
+  setText('diff-sources', `${result.before.sources.toLocaleString()} → ${result.after.sources.toLocaleString()}`);
+  setText('diff-aligned', `${formatDiffRate(result.before.alignedRate)} → ${formatDiffRate(result.after.alignedRate)}`);
+  setText('diff-new-count', result.newSources.length.toLocaleString());
+  setText('diff-removed-count', result.removedSources.length.toLocaleString());
+  setText('diff-flipped-count', result.flippedSources.length.toLocaleString());
+  setText('diff-coverage', `Before: ${describeDiffSide(before, currentDiff.beforeCount)} · After: ${describeDiffSide(after, currentDiff.afterCount)}`);
+
+  document.getElementById('diff-new-body').innerHTML = renderDiffSourceRows(result.newSources, 'after');
+  document.getElementById('diff-removed-body').innerHTML = renderDiffSourceRows(result.removedSources, 'before');
+  document.getElementById('diff-flipped-body').innerHTML = renderDiffFlippedRows(result.flippedSources);
+  document.getElementById('diff-domains-body').innerHTML = renderDiffDomainRows(result.domains);
+  document.getElementById('diff-providers-body').innerHTML = renderDiffProviderRows(result.newProviders, result.removedProviders);
+  diffResultsEl.classList.remove('hidden');
+}
+
+/**
+ * Open one side of the comparison filtered to a source, provider or domain
+ * Matching records are expanded so their diagnosis shows right away.
+ * @param {string} side - 'before' or 'after'
+ * @param {{ip?: string, provider?: string, domain?: string}} target - Records to show
+ */
+function viewDiffRecords(side, target) {
+  const report = currentDiff?.[side];
+  if (!report) return;
+
+  currentRawXml = null;
+  displayReport(report);
+  clearFilters();
+  if (target.ip) {
+    // Exact address, not a prefix of longer ones
+    filterIpInput.value = `${target.ip}/${target.ip.includes(':') ? 128 : 32}`;
+  }
+  if (target.domain) filterDomainInput.value = target.domain;
+  if (target.provider) {
+    populateProviderFilter();
+    filterProviderSelect.value = target.provider;
+  }
+  applyFilters();
+
+  const toggles = recordsBody.querySelectorAll('.details-toggle');
+  if (toggles.length <= 5) toggles.forEach(btn => btn.click());
+  recordsBody.closest('.section')?.scrollIntoView({ behavior: 'smooth' });
 }
 
 /**
@@ -2122,33 +4075,34 @@ function selectReport(index) {
 
   const file = pendingExtraction[index];
   hideReportSelectorModal();
-
-  try {
-    currentRawXml = file.xml;
-    const report = parseDmarcReport(file.xml);
-    displayReport(report);
-  } catch (err) {
-    showError(`Failed to parse report: ${err.message}`);
-  }
+  displayExtractedFile(file);
 }
 
 /**
- * Combine multiple DMARC reports into a single aggregated report
- * Records are merged, and summary statistics are recalculated
+ * Combine multiple DMARC reports into one aggregated report per policy domain
+ * Each domain keeps its own published policy, so readiness and diagnosis
+ * are evaluated against the right p/sp/adkim/aspf
  * @param {Array<{filename: string, xml: string}>} files - Array of extracted files
- * @returns {Object} Combined report object
+ * @returns {Promise<Object[]>} Combined reports, busiest domain first
+ * @throws {DmarcError} PARSE_CANCELLED when another view opened first
  */
-function combineReports(files) {
+async function combineReports(files) {
   const parsedReports = [];
   const parseErrors = [];
 
   // Parse all reports
   for (const file of files) {
+    // SMTP TLS and failure reports have no aggregate records to merge
+    if (file.reportType === REPORT_TYPES.TLSRPT || file.reportType === REPORT_TYPES.FAILURE) {
+      parseErrors.push({ filename: file.filename, error: 'Only DMARC aggregate reports can be combined' });
+      continue;
+    }
     try {
-      const report = parseDmarcReport(file.xml);
+      const report = await parseDmarcXml(file.xml, { onProgress: showLoadingProgress });
       report._sourceFilename = file.filename;
       parsedReports.push(report);
     } catch (err) {
+      if (isParseCancelled(err)) throw err;
       parseErrors.push({ filename: file.filename, error: err.message });
     }
   }
@@ -2157,98 +4111,11 @@ function combineReports(files) {
     throw new Error('No valid reports could be parsed');
   }
 
-  // Use first report as base for metadata (or aggregate)
-  const baseReport = parsedReports[0];
-  const allRecords = [];
-
-  // Collect all records from all reports
-  for (const report of parsedReports) {
-    for (const record of report.records) {
-      // Add source attribution for debugging
-      record._sourceReport = report.metadata?.reportId || report._sourceFilename;
-      allRecords.push(record);
-    }
-  }
-
-  // Recalculate summary statistics
-  let totalMessages = 0;
-  let passedDkim = 0;
-  let failedDkim = 0;
-  let passedSpf = 0;
-  let failedSpf = 0;
-  let passedBoth = 0;
-  let failedBoth = 0;
-  let quarantined = 0;
-  let rejected = 0;
-
-  for (const record of allRecords) {
-    const count = record.count;
-    totalMessages += count;
-
-    const dkimPass = record.policyEvaluated?.dkim === 'pass';
-    const spfPass = record.policyEvaluated?.spf === 'pass';
-    const disposition = record.policyEvaluated?.disposition;
-
-    if (dkimPass) passedDkim += count;
-    else failedDkim += count;
-
-    if (spfPass) passedSpf += count;
-    else failedSpf += count;
-
-    if (dkimPass && spfPass) passedBoth += count;
-    if (!dkimPass && !spfPass) failedBoth += count;
-
-    if (disposition === 'quarantine') quarantined += count;
-    if (disposition === 'reject') rejected += count;
-  }
-
-  // Find overall date range across all reports
-  let earliestDate = null;
-  let latestDate = null;
-  for (const report of parsedReports) {
-    const dr = report.metadata?.dateRange;
-    if (dr?.begin && (!earliestDate || dr.begin < earliestDate)) {
-      earliestDate = dr.begin;
-    }
-    if (dr?.end && (!latestDate || dr.end > latestDate)) {
-      latestDate = dr.end;
-    }
+  const combined = combineReportsByDomain(parsedReports);
+  for (const report of combined) {
+    report._parseErrors = parseErrors;
   }
-
-  // Build combined report
-  return {
-    version: baseReport.version,
-    metadata: {
-      orgName: `Combined (${parsedReports.length} reports)`,
-      email: baseReport.metadata?.email,
-      reportId: `combined-${Date.now()}`,
-      dateRange: earliestDate && latestDate ? { begin: earliestDate, end: latestDate } : null,
-      _sourceReports: parsedReports.map(r => ({
-        filename: r._sourceFilename,
-        reportId: r.metadata?.reportId,
-        orgName: r.metadata?.orgName
-      }))
-    },
-    policy: baseReport.policy, // Use policy from first report
-    records: allRecords,
-    summary: {
-      totalMessages,
-      passedDkim,
-      failedDkim,
-      passedSpf,
-      failedSpf,
-      passedBoth,
-      failedBoth,
-      quarantined,
-      rejected,
-      dkimPassRate: totalMessages > 0 ? (passedDkim / totalMessages * 100) : 0,
-      spfPassRate: totalMessages > 0 ? (passedSpf / totalMessages * 100) : 0,
-      overallPassRate: totalMessages > 0 ? (passedBoth / totalMessages * 100) : 0
-    },
-    _isCombined: true,
-    _reportCount: parsedReports.length,
-    _parseErrors: parseErrors
-  };
+  return combined;
 }
 
 /**
@@ -2257,19 +4124,13 @@ function combineReports(files) {
  */
 function handleExtraction(extraction) {
   if (!extraction || !extraction.files || extraction.files.length === 0) {
-    showError('No DMARC reports found in file');
+    showError('No DMARC, TLS-RPT, or failure reports found in file');
     return;
   }
 
   if (extraction.files.length === 1) {
     // Single report - display directly
-    try {
-      currentRawXml = extraction.files[0].xml;
-      const report = parseDmarcReport(extraction.files[0].xml);
-      displayReport(report);
-    } catch (err) {
-      showError(`Failed to parse report: ${err.message}`);
-    }
+    displayExtractedFile(extraction.files[0]);
   } else {
     // Multiple reports - show selector modal
     showReportSelectorModal(extraction.files);
@@ -2367,6 +4228,15 @@ document.body.addEventListener('drop', (e) => {
 exportJsonBtn.addEventListener('click', exportAsJson);
 exportCsvBtn.addEventListener('click', exportAsCsv);
 
+// Settings (IP lookup providers and offline dataset)
+if (settingsBtn) {
+  settingsBtn.addEventListener('click', () => {
+    if (typeof chrome !== 'undefined' && chrome.runtime?.openOptionsPage) {
+      chrome.runtime.openOptionsPage();
+    }
+  });
+}
+
 // Filter panel toggle
 if (toggleFiltersBtn) {
   toggleFiltersBtn.addEventListener('click', toggleFiltersPanel);
@@ -2427,6 +4297,16 @@ if (sortSelect) {
   });
 }
 
+// Records paging handler
+if (showMoreRecordsBtn) {
+  showMoreRecordsBtn.addEventListener('click', () => {
+    recordsRenderLimit += RECORDS_PAGE_SIZE;
+    if (currentReport) {
+      renderRecords(currentReport.records);
+    }
+  });
+}
+
 // Enrichment handlers
 if (enrichNowBtn) {
   enrichNowBtn.addEventListener('click', () => {
@@ -2447,23 +4327,39 @@ if (closeSelectorModalBtn) {
 }
 
 if (combineAllBtn) {
-  combineAllBtn.addEventListener('click', () => {
+  combineAllBtn.addEventListener('click', async () => {
     if (!pendingExtraction || pendingExtraction.length < 2) return;
 
+    const files = pendingExtraction;
     hideReportSelectorModal();
     showLoading();
 
     try {
-      const combinedReport = combineReports(pendingExtraction);
+      combinedDomainReports = await combineReports(files);
       // For combined reports, we don't have a single raw XML
       currentRawXml = null;
-      displayReport(combinedReport);
+      displayReport(combinedDomainReports[0]);
+
+      const { duplicates, conflicts, overlaps } = combinedDomainReports[0]._reconciliation;
+      if (conflicts.length > 0) {
+        showToast(`${conflicts.length} report ID(s) resent with different data were both merged - see Combined Reports`, 6000);
+      } else if (duplicates.length > 0 || overlaps.length > 0) {
+        showToast(`Skipped ${duplicates.length} duplicate report(s), ${overlaps.length} overlapping period(s) - see Combined Reports`, 4000);
+      }
     } catch (err) {
+      if (isParseCancelled(err)) return;
       showError(`Failed to combine reports: ${err.message}`);
     }
   });
 }
 
+if (domainSwitcherSelect) {
+  domainSwitcherSelect.addEventListener('change', () => {
+    const report = combinedDomainReports[parseInt(domainSwitcherSelect.value, 10)];
+    if (report) displayReport(report);
+  });
+}
+
 // Close modal on backdrop click
 if (reportSelectorModal) {
   reportSelectorModal.querySelector('.modal-backdrop')?.addEventListener('click', hideReportSelectorModal);
@@ -2486,12 +4382,169 @@ if (xmlModal) {
   xmlModal.querySelector('.modal-backdrop')?.addEventListener('click', hideXmlModal);
 }
 
+// Report library event listeners
+if (libraryBtn) {
+  libraryBtn.addEventListener('click', showLibraryModal);
+}
+
+if (libraryModal) {
+  closeLibraryModalBtn.addEventListener('click', hideLibraryModal);
+  libraryModal.querySelector('.modal-backdrop')?.addEventListener('click', hideLibraryModal);
+
+  [libraryFilterDomain, libraryFilterReporter, libraryFilterFrom, libraryFilterTo].forEach(input => {
+    input.addEventListener('change', renderLibraryList);
+  });
+
+  librarySelectAll.addEventListener('change', () => {
+    for (const entry of libraryShown) {
+      if (librarySelectAll.checked) librarySelection.add(entry.id);
+      else librarySelection.delete(entry.id);
+    }
+    renderLibraryList();
+  });
+
+  libraryOpenSelectedBtn.addEventListener('click', () => {
+    // Keep the on-screen order so combined/selector views list reports newest first
+    const ids = filterLibraryEntries(libraryEntries)
+      .filter(entry => librarySelection.has(entry.id))
+      .map(entry => entry.id);
+    openLibraryReports(ids);
+  });
+  libraryDeleteSelectedBtn.addEventListener('click', () => deleteFromLibrary([...librarySelection]));
+  libraryCompareSelectedBtn.addEventListener('click', () => {
+    const ids = [...librarySelection];
+    hideLibraryModal();
+    showDiffView(ids);
+  });
+
+  libraryAutosaveInput.addEventListener('change', () => {
+    updateLibrarySettings({ autoSave: libraryAutosaveInput.checked });
+  });
+  libraryRetentionSelect.addEventListener('change', () => {
+    updateLibrarySettings({ retentionDays: Number(libraryRetentionSelect.value) });
+  });
+}
+
+// Sender inventory event listeners
+if (sendersBtn) {
+  sendersBtn.addEventListener('click', () => showSendersModal());
+}
+
+if (sendersModal) {
+  closeSendersModalBtn.addEventListener('click', hideSendersModal);
+  sendersModal.querySelector('.modal-backdrop')?.addEventListener('click', hideSendersModal);
+
+  senderTypeSelect.addEventListener('change', () => {
+    senderValueInput.placeholder = SENDER_VALUE_PLACEHOLDERS[senderTypeSelect.value];
+  });
+  senderForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveSenderForm();
+  });
+  senderCancelBtn.addEventListener('click', () => resetSenderForm());
+
+  sendersBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-sender-id]');
+    if (!btn) return;
+    if (btn.classList.contains('sender-delete')) {
+      deleteSenderEntry(btn.dataset.senderId);
+    } else {
+      resetSenderForm(senderInventory.find(entry => entry.id === btn.dataset.senderId));
+      senderValueInput.focus();
+    }
+  });
+}
+
+// Subdomain event listeners
+if (subdomainBody) {
+  subdomainBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('.subdomain-view-records');
+    if (btn) viewSubdomainRecords(btn.dataset.subdomain);
+  });
+}
+
+// Policy simulator event listeners
+if (simulatePSelect) {
+  for (const control of [simulatePSelect, simulateSpSelect, simulateNpSelect, simulatePctInput,
+    simulateAdkimCheckbox, simulateAspfCheckbox]) {
+    control.addEventListener('change', renderPolicySimulation);
+  }
+}
+
+// DMARC record event listeners
+if (recordInput) {
+  recordInput.addEventListener('input', renderDmarcRecord);
+  recordResetBtn.addEventListener('click', resetDmarcRecord);
+}
+
+// SPF evaluation event listeners
+if (spfEvaluateBtn) {
+  spfEvaluateBtn.addEventListener('click', runSpfEvaluation);
+}
+
+// New sources event listeners
+if (noveltyBody) {
+  noveltyBody.addEventListener('click', (e) => {
+    const btn = e.target.closest('.novelty-view-records');
+    if (btn) viewNovelSourceRecords(btn.dataset.noveltyIp);
+  });
+}
+
+// Trends view event listeners
+if (trendsBtn) {
+  trendsBtn.addEventListener('click', showTrendsView);
+  trendsDomainSelect.addEventListener('change', renderTrends);
+  trendsGranularitySelect.addEventListener('change', renderTrends);
+}
+
+// Reporter coverage event listeners
+if (coverageBtn) {
+  coverageBtn.addEventListener('click', showCoverageView);
+  coverageDomainSelect.addEventListener('change', renderCoverage);
+  coverageDaysSelect.addEventListener('change', renderCoverage);
+}
+
+// Policy timeline event listeners
+if (policyBtn) {
+  policyBtn.addEventListener('click', showPolicyTimelineView);
+  policyDomainSelect.addEventListener('change', renderPolicyTimeline);
+}
+
+// DKIM selector inventory event listeners
+if (selectorsBtn) {
+  selectorsBtn.addEventListener('click', showSelectorInventoryView);
+  selectorsDomainSelect.addEventListener('change', renderSelectorInventory);
+}
+
+// Report comparison event listeners
+if (compareBtn) {
+  compareBtn.addEventListener('click', () => showDiffView());
+  diffDomainSelect.addEventListener('change', populateDiffReportSelects);
+  diffModeSelect.addEventListener('change', updateDiffMode);
+  diffRunBtn.addEventListener('click', () => runDiff());
+  diffResultsEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.diff-view-records');
+    if (!btn) return;
+    viewDiffRecords(btn.dataset.diffSide, {
+      ip: btn.dataset.diffIp,
+      provider: btn.dataset.diffProvider,
+      domain: btn.dataset.diffDomain
+    });
+  });
+}
+
 // Close modals on Escape key
 document.addEventListener('keydown', (e) => {
   if (e.key === 'Escape') {
     if (reportSelectorModal && !reportSelectorModal.classList.contains('hidden')) {
       hideReportSelectorModal();
     }
+    if (libraryModal && !libraryModal.classList.contains('hidden')) {
+      hideLibraryModal();
+    }
+    if (sendersModal && !sendersModal.classList.contains('hidden')) {
+      hideSendersModal();
+    }
     if (xmlModal && !xmlModal.classList.contains('hidden')) {
       hideXmlModal();
     }
@@ -2735,14 +4788,9 @@ function showWaitingForDownload(filename) {
         banner.remove();
         document.body.style.paddingTop = '';
 
-        try {
-          currentRawXml = result.currentXml;
-          const report = parseDmarcReport(result.currentXml);
-          displayReport(report);
-          chrome.storage.local.remove(['currentXml', 'downloadComplete']);
-        } catch (err) {
-          showError(`Failed to parse report: ${err.message}`);
-        }
+        chrome.storage.local.remove(['currentXml', 'downloadComplete']);
+        // Legacy XML has no filename; it is saved to the library like any opened report
+        displayExtractedFile({ filename: '', reportType: REPORT_TYPES.DMARC, xml: result.currentXml });
         return;
       }
 
@@ -2840,6 +4888,17 @@ function initViewer() {
   // Initialize debug mode from URL param
   initDebugMode();
 
+  // Prune reports past the library retention period
+  if (typeof applyLibraryRetention === 'function') {
+    getLibrarySettings()
+      .then(settings => applyLibraryRetention(settings.retentionDays))
+      .catch(err => console.warn('DMARC Reader: Library retention failed:', err.message));
+  }
+
+  // Known senders apply to whatever report is shown by the time they are read
+  loadSenderInventory()
+    .catch(err => console.warn('DMARC Reader: Sender inventory failed to load:', err.message));
+
   if (typeof chrome !== 'undefined' && chrome.storage) {
     // Check for new format first, then legacy
     chrome.storage.local.get([STORAGE_KEY_REPORT_DATA, 'currentXml'], (result) => {
@@ -2854,13 +4913,8 @@ function initViewer() {
       // Legacy format: raw XML string (backwards compatibility)
       if (result.currentXml) {
         chrome.storage.local.remove(['currentXml']);
-        try {
-          currentRawXml = result.currentXml;
-          const report = parseDmarcReport(result.currentXml);
-          displayReport(report);
-        } catch (err) {
-          showError(`Failed to parse report: ${err.message}`);
-        }
+        // Legacy XML has no filename; it is saved to the library like any opened report
+        displayExtractedFile({ filename: '', reportType: REPORT_TYPES.DMARC, xml: result.currentXml });
         return;
       }
 
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Generate offline IP dataset test fixtures (CSV, iptoasn-style TSV, MaxMind DB)
+ * Run: node tests/fixtures/create-ip-dataset-fixtures.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const fixturesDir = __dirname;
+
+// Documentation and well-known ranges; nested prefixes exercise longest-prefix match
+const NETWORKS = [
+  { network: '192.0.2.0/24', asn: 64500, org: 'Example Transit', country: 'US' },
+  { network: '192.0.2.128/25', asn: 64501, org: 'Example Mail Relay', country: 'DE' },
+  { network: '209.85.128.0/17', asn: 15169, org: 'Google LLC', country: 'US' },
+  { network: '2001:db8::/32', asn: 64510, org: 'Example IPv6 Net', country: 'NL' },
+  { network: '2001:db8:beef::/48', asn: 64511, org: 'Example IPv6 Mail', country: 'FR' }
+];
+
+function createCsv() {
+  const lines = ['network,autonomous_system_number,autonomous_system_organization,country_iso_code'];
+  for (const n of NETWORKS) {
+    lines.push(`${n.network},${n.asn},"${n.org}",${n.country}`);
+  }
+  fs.writeFileSync(path.join(fixturesDir, 'ip-dataset.csv'), lines.join('\n') + '\n');
+  console.log('Created: ip-dataset.csv');
+}
+
+function createRangesTsv() {
+  // iptoasn.com layout: range_start, range_end, AS_number, country_code, AS_description
+  const rows = [
+    ['192.0.2.0', '192.0.2.127', '64500', 'US', 'Example Transit'],
+    ['192.0.2.128', '192.0.2.255', '64501', 'DE', 'Example Mail Relay'],
+    ['198.51.100.0', '198.51.100.9', '0', 'None', 'Not routed'],
+    ['2001:db8::', '2001:db8:ffff:ffff:ffff:ffff:ffff:ffff', '64510', 'NL', 'Example IPv6 Net']
+  ];
+  fs.writeFileSync(path.join(fixturesDir, 'ip-ranges.tsv'), rows.map(r => r.join('\t')).join('\n') + '\n');
+  console.log('Created: ip-ranges.tsv');
+}
+
+// =============================================================================
+// Minimal MaxMind DB writer (24-bit records, IPv6 tree)
+// =============================================================================
+
+function encodeControl(type, size) {
+  if (size >= 285) throw new Error('Fixture values must be shorter than 285 bytes');
+  const sizeBits = size < 29 ? size : 29;
+  const extra = size < 29 ? [] : [size - 29];
+  return type <= 7 ? [(type << 5) | sizeBits, ...extra] : [sizeBits, type - 7, ...extra];
+}
+
+function encodeValue(value) {
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return [...encodeControl(2, bytes.length), ...bytes];
+  }
+  if (typeof value === 'object' && value.uint64 !== undefined) {
+    const bytes = uintBytes(value.uint64);
+    return [...encodeControl(9, bytes.length), ...bytes];
+  }
+  if (typeof value === 'number') {
+    const bytes = uintBytes(value);
+    return [...encodeControl(value > 0xffff ? 6 : 5, bytes.length), ...bytes];
+  }
+  const entries = Object.entries(value);
+  return [
+    ...encodeControl(7, entries.length),
+    ...entries.flatMap(([key, val]) => [...encodeValue(key), ...encodeValue(val)])
+  ];
+}
+
+function uintBytes(value) {
+  const bytes = [];
+  for (let v = BigInt(value); v > 0n; v >>= 8n) bytes.unshift(Number(v & 0xffn));
+  return bytes;
+}
+
+function networkBits(network) {
+  const [address, length] = network.split('/');
+  let value;
+  if (address.includes(':')) {
+    const [head, tail] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+    value = groups.reduce((acc, g) => (acc << 16n) | BigInt(parseInt(g, 16)), 0n);
+    return { value, bits: parseInt(length, 10) };
+  }
+  value = address.split('.').reduce((acc, o) => (acc << 8n) | BigInt(o), 0n);
+  // IPv4 networks live under ::/96
+  return { value, bits: 96 + parseInt(length, 10) };
+}
+
+function createMmdb() {
+  const nodes = [[null, null]];
+  const data = [];
+  const dataOffsets = [];
+
+  for (const n of NETWORKS) {
+    dataOffsets.push(data.length);
+    data.push(...encodeValue({
+      autonomous_system_number: n.asn,
+      autonomous_system_organization: n.org,
+      country: { iso_code: n.country }
+    }));
+  }
+
+  NETWORKS.forEach((n, index) => {
+    const { value, bits } = networkBits(n.network);
+    let node = 0;
+    for (let depth = 0; depth < bits; depth++) {
+      const bit = Number((value >> BigInt(127 - depth)) & 1n);
+      if (depth === bits - 1) {
+        nodes[node][bit] = { data: index };
+        break;
+      }
+      const next = nodes[node][bit];
+      if (next === null || next.data !== undefined) {
+        // Push an existing (shorter) prefix down both branches
+        nodes.push([next, next]);
+        nodes[node][bit] = { node: nodes.length - 1 };
+      }
+      node = nodes[node][bit].node;
+    }
+  });
+
+  const nodeCount = nodes.length;
+  const recordValue = (record) => {
+    if (record === null) return nodeCount;
+    if (record.node !== undefined) return record.node;
+    return nodeCount + 16 + dataOffsets[record.data];
+  };
+
+  const tree = [];
+  for (const [left, right] of nodes) {
+    for (const record of [left, right]) {
+      const v = recordValue(record);
+      tree.push((v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff);
+    }
+  }
+
+  const metadata = encodeValue({
+    node_count: nodeCount,
+    record_size: 24,
+    ip_version: 6,
+    database_type: 'Fixture-ASN',
+    binary_format_major_version: 2,
+    binary_format_minor_version: 0,
+    build_epoch: { uint64: 1704067200 }
+  });
+
+  const marker = [0xab, 0xcd, 0xef, ...Buffer.from('MaxMind.com')];
+  const file = Buffer.from([...tree, ...Array(16).fill(0), ...data, ...marker, ...metadata]);
+  fs.writeFileSync(path.join(fixturesDir, 'ip-dataset.mmdb'), file);
+  console.log('Created: ip-dataset.mmdb');
+}
+
+try {
+  createCsv();
+  createRangesTsv();
+  createMmdb();
+  console.log('All IP dataset fixtures created successfully');
+} catch (err) {
+  console.error('Error creating fixtures:', err);
+  process.exit(1);
+}
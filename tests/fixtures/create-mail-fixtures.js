@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/**
+ * Generate email (.eml) and mailbox (.mbox) test fixtures
+ * Run: node tests/fixtures/create-mail-fixtures.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const fixturesDir = __dirname;
+
+const validReportGz = fs.readFileSync(path.join(fixturesDir, 'valid-report.xml.gz'));
+const singleReportZip = fs.readFileSync(path.join(fixturesDir, 'single-report.zip'));
+const tlsRptReport = fs.readFileSync(path.join(fixturesDir, 'tlsrpt-report.json'), 'utf8');
+const failureReport = fs.readFileSync(path.join(fixturesDir, 'failure-report.eml'), 'utf8');
+
+// Second aggregate report, sent as a quoted-printable XML attachment
+const secondReport = fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8')
+  .replace('12345678901234567890', '22222222222222222222')
+  .replace('192.0.2.1', '203.0.113.9');
+
+/**
+ * Base64-encode data in 76-character lines (RFC 2045)
+ * @param {Buffer} data - Raw bytes
+ * @returns {string} Encoded text
+ */
+function toBase64Lines(data) {
+  return data.toString('base64').match(/.{1,76}/g).join('\r\n');
+}
+
+/**
+ * Quoted-printable encode text (RFC 2045), wrapping lines with soft breaks
+ * @param {string} text - Text to encode
+ * @returns {string} Encoded text
+ */
+function toQuotedPrintable(text) {
+  return text.split('\n').map(line => {
+    // Encode per character so soft breaks never split an =XX escape
+    const tokens = Array.from(line, c => (c === '=' || c.charCodeAt(0) > 0x7e)
+      ? '=' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')
+      : c);
+    const lines = [''];
+    for (const token of tokens) {
+      if (lines[lines.length - 1].length + token.length > 75) lines.push('');
+      lines[lines.length - 1] += token;
+    }
+    return lines.join('=\r\n');
+  }).join('\r\n');
+}
+
+/**
+ * Build a multipart/mixed message
+ * @param {Object} headers - Top-level header fields
+ * @param {string[]} parts - Raw body parts (headers + body)
+ * @returns {string} Raw message
+ */
+function buildMessage(headers, parts) {
+  const boundary = '----=_Part_0_1704067200';
+  const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}`);
+  return [
+    ...headerLines,
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    '',
+    'This is a multi-part message in MIME format.',
+    ...parts.map(part => `--${boundary}\r\n${part}`),
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+}
+
+function createReportEmail() {
+  const message = buildMessage({
+    'From': 'noreply-dmarc-support@google.com',
+    'To': 'dmarc@example.com',
+    'Subject': 'Report domain: example.com Submitter: google.com Report-ID: 12345678901234567890',
+    'Date': 'Tue, 02 Jan 2024 00:00:00 +0000'
+  }, [
+    [
+      'Content-Type: text/plain; charset=UTF-8',
+      '',
+      'This is an aggregate report from google.com.',
+      ''
+    ].join('\r\n'),
+    [
+      'Content-Type: application/gzip; name="google.com!example.com!1704067200!1704153599.xml.gz"',
+      'Content-Disposition: attachment; filename="google.com!example.com!1704067200!1704153599.xml.gz"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      toBase64Lines(validReportGz),
+      ''
+    ].join('\r\n'),
+    [
+      'Content-Type: text/xml; charset=UTF-8',
+      'Content-Disposition: attachment;',
+      ' filename*=UTF-8\'\'microsoft.com%21example.com%211704067200%211704153599.xml',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      toQuotedPrintable(secondReport),
+      ''
+    ].join('\r\n')
+  ]);
+
+  fs.writeFileSync(path.join(fixturesDir, 'report-email.eml'), message);
+  console.log('Created: report-email.eml');
+}
+
+function createMailbox() {
+  const zipMessage = buildMessage({
+    'From': 'dmarcreport@microsoft.com',
+    'To': 'dmarc@example.com',
+    'Subject': 'Report Domain: example.com Submitter: enterprise.protection.outlook.com',
+    'Date': 'Wed, 03 Jan 2024 00:00:00 +0000'
+  }, [
+    [
+      'Content-Type: application/zip; name="enterprise.protection.outlook.com!example.com!1704067200!1704153599.zip"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      toBase64Lines(singleReportZip),
+      ''
+    ].join('\r\n')
+  ]);
+
+  const plainMessage = [
+    'From: colleague@example.com',
+    'To: dmarc@example.com',
+    'Subject: Lunch?',
+    'Date: Wed, 03 Jan 2024 12:00:00 +0000',
+    '',
+    'Are we still on for lunch?',
+    '>From the cafeteria or outside?',
+    ''
+  ].join('\n');
+
+  const tlsMessage = buildMessage({
+    'From': 'tlsrpt@receiver.example',
+    'To': 'tlsrpt@example.com',
+    'Subject': 'Report Domain: example.com Submitter: receiver.example',
+    'Date': 'Thu, 04 Jan 2024 00:00:00 +0000',
+    'TLS-Report-Domain': 'example.com'
+  }, [
+    [
+      'Content-Type: application/tlsrpt+json',
+      'Content-Disposition: attachment; filename="receiver.example!example.com!1704067200!1704153599.json"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      toBase64Lines(Buffer.from(tlsRptReport)),
+      ''
+    ].join('\r\n')
+  ]);
+
+  const mbox = [
+    `From dmarcreport@microsoft.com Wed Jan  3 00:00:00 2024\n${zipMessage}`,
+    `From colleague@example.com Wed Jan  3 12:00:00 2024\n${plainMessage}`,
+    `From tlsrpt@receiver.example Thu Jan  4 00:00:00 2024\n${tlsMessage}`,
+    `From dmarc-noreply@receiver.example Mon Jan  1 10:30:00 2024\n${failureReport}`
+  ].join('\n\n');
+
+  fs.writeFileSync(path.join(fixturesDir, 'reports.mbox'), mbox);
+  console.log('Created: reports.mbox');
+}
+
+try {
+  createReportEmail();
+  createMailbox();
+  console.log('All mail fixtures created successfully');
+} catch (err) {
+  console.error('Error creating fixtures:', err);
+  process.exit(1);
+}
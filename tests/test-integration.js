@@ -178,8 +178,68 @@ global.DOMParser = MockDOMParser;
 // Load Modules Under Test
 // =============================================================================
 
-const { detectFormat, extractXmlFromFile } = require('../src/parser/file-handler.js');
-const { parseDmarcReport } = require('../src/parser/dmarc-parser.js');
+const { detectFormat, extractXmlFromFile, REPORT_TYPES } = require('../src/parser/file-handler.js');
+const {
+  parseDmarcReport,
+  REPORT_SCHEMAS,
+  DMARCBIS_NAMESPACE,
+  DISCOVERY_METHODS
+} = require('../src/parser/dmarc-parser.js');
+const {
+  parseTlsRptReport,
+  groupTlsRptFailures,
+  getTlsRptMxBreakdown,
+  summarizeTlsRptPolicies,
+  TLSRPT_POLICY_TYPES
+} = require('../src/parser/tlsrpt-parser.js');
+const { renderTlsRptPolicyRows } = require('../src/viewer/modules/tlsrpt-view.js');
+const {
+  parseDmarcReportStreaming,
+  createDmarcStreamParser
+} = require('../src/parser/dmarc-stream-parser.js');
+const {
+  parseFailureReport,
+  findMatchingAggregateRecords
+} = require('../src/parser/arf-parser.js');
+const { renderOriginalHeaderRows } = require('../src/viewer/modules/failure-view.js');
+const ipIntel = require('../src/services/ip-intel.js');
+const { lookupIps } = require('../src/services/ip-lookup.js');
+const { DmarcError, ErrorCodes } = require('../src/lib/errors.js');
+const { GEO_PROVIDERS, fetchWithRetry } = require('../src/services/geo-providers.js');
+const {
+  createLibraryEntry,
+  filterLibraryEntries,
+  getLibraryFacets,
+  getReportLibraryIds
+} = require('../src/services/report-library.js');
+const { calculateTrends } = require('../src/viewer/modules/trends-engine.js');
+const { calculateCoverage } = require('../src/viewer/modules/coverage-engine.js');
+const { calculatePolicyTimeline } = require('../src/viewer/modules/policy-timeline-engine.js');
+const { SELECTOR_STATUS, calculateSelectorInventory } = require('../src/viewer/modules/selector-engine.js');
+const { combineReportsByDomain, calculateEnforcementReadiness } = require('../src/viewer/modules/analysis-engine.js');
+const { simulatePolicy } = require('../src/viewer/modules/simulator-engine.js');
+const { buildSubdomainInventory } = require('../src/viewer/modules/subdomain-engine.js');
+const { diffReports } = require('../src/viewer/modules/diff-engine.js');
+const { normalizeSenderInventory, matchSender } = require('../src/services/sender-inventory.js');
+const { classifyRecord, CLASSIFICATION } = require('../src/parser/classification.js');
+const { fingerprintProvider } = require('../src/services/provider-fingerprint.js');
+const { buildFixPlan } = require('../src/viewer/modules/fix-plan-engine.js');
+const { getRecordDiagnosis } = require('../src/viewer/modules/diagnosis-engine.js');
+const { buildSourceHistory, scoreSourceNovelty, listNovelSources } = require('../src/viewer/modules/anomaly-engine.js');
+const {
+  SPF_LOOKUP_LIMIT,
+  evaluateSpf,
+  evaluateRecordsSpf,
+  createZoneResolver,
+  createDohResolver
+} = require('../src/services/spf-evaluator.js');
+const {
+  parseDmarcRecord,
+  buildDmarcRecord,
+  getPolicyRecordTags,
+  proposeDmarcRecord,
+  diffDmarcRecord
+} = require('../src/viewer/modules/dmarc-record-engine.js');
 
 // =============================================================================
 // Test Fixtures
@@ -329,6 +389,19 @@ async function runTests() {
     );
   });
 
+  await test('throws on ZIP without report files', async () => {
+    const zip = new JSZip();
+    zip.file('readme.txt', 'Not a report');
+    const data = await zip.generateAsync({ type: 'uint8array' });
+    try {
+      await extractXmlFromFile(data, 'empty.zip');
+      throw new Error('Expected extraction to fail');
+    } catch (err) {
+      assertTrue(err.message.includes('No report files (XML, JSON, or EML)'), err.message);
+      assertEqual(DmarcError.fromError(err).code, ErrorCodes.ZIP_NO_XML);
+    }
+  });
+
   // =============================================================================
   // Tests: Plain XML Extraction
   // =============================================================================
@@ -520,6 +593,900 @@ async function runTests() {
     assertEqual(report.summary.failedSpf, 3);
   });
 
+  // =============================================================================
+  // Tests: DMARCbis Schema
+  // =============================================================================
+
+  console.log('\n\x1b[1mDMARCbis Schema\x1b[0m');
+
+  await test('detects DMARCbis report by namespace', async () => {
+    const xml = fs.readFileSync(path.join(fixturesDir, 'dmarcbis-report.xml'), 'utf8');
+    const report = parseDmarcReport(xml);
+
+    assertEqual(report.schema.name, REPORT_SCHEMAS.DMARCBIS);
+    assertEqual(report.schema.namespace, DMARCBIS_NAMESPACE);
+    assertEqual(report.schema.detectedBy, 'namespace');
+    assertEqual(report.version, '1.0');
+  });
+
+  await test('DMARCbis fields fill policy and metadata', async () => {
+    const xml = fs.readFileSync(path.join(fixturesDir, 'dmarcbis-report.xml'), 'utf8');
+    const report = parseDmarcReport(xml);
+
+    assertEqual(report.metadata.generator, 'ExampleMTA DMARC Reporter 4.2');
+    assertEqual(report.policy.npPolicy, 'reject');
+    assertEqual(report.policy.testing, true);
+    assertEqual(report.policy.discoveryMethod, DISCOVERY_METHODS.TREEWALK);
+    assertEqual(report.policy.percentage, null);
+    assertEqual(report.policy.adkim, 'strict');
+  });
+
+  await test('DMARCbis human_result parsed for DKIM and SPF', async () => {
+    const xml = fs.readFileSync(path.join(fixturesDir, 'dmarcbis-report.xml'), 'utf8');
+    const record = parseDmarcReport(xml).records[0];
+
+    assertEqual(record.authResults.dkim[0].humanResult, 'good signature');
+    assertEqual(record.authResults.spf[0].humanResult, '203.0.113.7 not permitted');
+    assertTrue(record.alignment.dmarcPass);
+  });
+
+  await test('DMARCbis detected by elements without namespace', () => {
+    const xml = '<feedback><report_metadata><org_name>x</org_name><generator>gen 1.0</generator></report_metadata>' +
+      '<policy_published><domain>example.com</domain><p>none</p><discovery_method>psl</discovery_method></policy_published></feedback>';
+    const report = parseDmarcReport(xml);
+
+    assertEqual(report.schema.name, REPORT_SCHEMAS.DMARCBIS);
+    assertEqual(report.schema.detectedBy, 'elements');
+    assertEqual(report.policy.discoveryMethod, DISCOVERY_METHODS.PSL);
+  });
+
+  await test('RFC 7489 report keeps legacy schema and pct', async () => {
+    const data = loadFixtureAsUint8Array('valid-report.xml');
+    const extraction = await extractXmlFromFile(data, 'report.xml');
+    const report = parseDmarcReport(extraction.files[0].xml);
+
+    assertEqual(report.schema.name, REPORT_SCHEMAS.RFC7489);
+    assertEqual(report.policy.percentage, 100);
+    assertFalse('testing' in report.policy);
+    assertFalse('generator' in report.metadata);
+  });
+
+  // =============================================================================
+  // Tests: Streaming Parser
+  // =============================================================================
+
+  console.log('\n\x1b[1mStreaming Parser\x1b[0m');
+
+  /**
+   * Build a large aggregate report with distinct records
+   * @param {number} count - Number of records
+   * @returns {string} XML
+   */
+  function buildLargeReport(count) {
+    const xml = loadFixture('valid-report.xml').toString('utf8');
+    const recordMatch = xml.match(/<record>[\s\S]*?<\/record>/);
+    const records = [];
+    for (let i = 0; i < count; i++) {
+      records.push(recordMatch[0]
+        .replace(/<source_ip>[^<]*</, `<source_ip>198.51.${Math.floor(i / 256) % 256}.${i % 256}<`)
+        .replace(/<count>[^<]*</, `<count>${(i % 7) + 1}<`));
+    }
+    return xml.replace(/<record>[\s\S]*<\/record>/, records.join('\n'));
+  }
+
+  test('streaming parser matches DOM parser on RFC 7489 report', () => {
+    const xml = loadFixture('valid-report.xml').toString('utf8');
+    assertEqual(JSON.stringify(parseDmarcReportStreaming(xml)), JSON.stringify(parseDmarcReport(xml)));
+  });
+
+  test('streaming parser matches DOM parser on DMARCbis report', () => {
+    const xml = loadFixture('dmarcbis-report.xml').toString('utf8');
+    const streamed = parseDmarcReportStreaming(xml, { chunkSize: 7 });
+    assertEqual(streamed.schema.name, REPORT_SCHEMAS.DMARCBIS);
+    assertEqual(JSON.stringify(streamed), JSON.stringify(parseDmarcReport(xml)));
+  });
+
+  test('streaming parser handles records split across chunks', () => {
+    const xml = buildLargeReport(2000);
+    const progress = [];
+    const streamed = parseDmarcReportStreaming(xml, {
+      chunkSize: 997,
+      onProgress: p => progress.push(p)
+    });
+
+    assertEqual(streamed.records.length, 2000);
+    assertEqual(JSON.stringify(streamed), JSON.stringify(parseDmarcReport(xml)));
+    assertEqual(progress[progress.length - 1].processed, xml.length);
+    assertTrue(progress.every((p, i) => i === 0 || p.recordCount >= progress[i - 1].recordCount));
+  });
+
+  test('streaming parser emits records before the document ends', () => {
+    const xml = buildLargeReport(10);
+    const seen = [];
+    const parser = createDmarcStreamParser({ onRecord: record => seen.push(record.sourceIp) });
+    parser.write(xml.slice(0, xml.lastIndexOf('</record>') - 1));
+    assertEqual(seen.length, 9);
+    parser.write(xml.slice(xml.lastIndexOf('</record>') - 1));
+    assertEqual(parser.close().records.length, 10);
+  });
+
+  test('streaming parser summarizes records it does not keep', () => {
+    const xml = buildLargeReport(500);
+    const seen = [];
+    const parser = createDmarcStreamParser({ keepRecords: false, onRecord: record => seen.push(record) });
+    parser.write(xml);
+    const report = parser.close();
+
+    assertEqual(report.records.length, 0);
+    assertEqual(parser.recordCount, 500);
+    assertEqual(seen.length, 500);
+    assertEqual(JSON.stringify({ ...report, records: seen }), JSON.stringify(parseDmarcReport(xml)));
+  });
+
+  test('streaming parser rejects malformed and non-DMARC XML', () => {
+    assertThrows(() => parseDmarcReportStreaming(loadFixture('malformed.xml').toString('utf8')), 'XML parsing failed');
+    assertThrows(() => parseDmarcReportStreaming(loadFixture('non-dmarc.xml').toString('utf8')), 'missing feedback element');
+  });
+
+  // =============================================================================
+  // Tests: SMTP TLS Reports (RFC 8460)
+  // =============================================================================
+
+  console.log('\n\x1b[1mSMTP TLS Reports\x1b[0m');
+
+  test('detects plain JSON format', () => {
+    const data = loadFixtureAsUint8Array('tlsrpt-report.json');
+    assertEqual(detectFormat(data), 'json');
+  });
+
+  await test('extracts TLS-RPT JSON from GZIP file', async () => {
+    const data = loadFixtureAsUint8Array('tlsrpt-report.json.gz');
+    const result = await extractXmlFromFile(data, 'receiver.example!example.com!1704067200!1704153599.json.gz');
+
+    assertEqual(result.sourceFormat, 'gzip');
+    assertEqual(result.files.length, 1);
+    assertEqual(result.files[0].reportType, REPORT_TYPES.TLSRPT);
+    assertTrue(result.files[0].json.includes('"policies"'));
+    assertFalse('xml' in result.files[0]);
+  });
+
+  await test('rejects GZIP JSON that is not a TLS-RPT report', async () => {
+    const data = pako.gzip('{"hello": "world"}');
+    await assertThrowsAsync(
+      () => extractXmlFromFile(data, 'other.json.gz'),
+      'missing policies array'
+    );
+  });
+
+  await test('ZIP keeps DMARC and TLS-RPT files apart by report type', async () => {
+    const zip = new JSZip();
+    zip.file('a-dmarc.xml', loadFixture('valid-report.xml'));
+    zip.file('b-tlsrpt.json', loadFixture('tlsrpt-report.json'));
+    zip.file('c-other.json', '{"hello": "world"}');
+    const data = await zip.generateAsync({ type: 'uint8array' });
+
+    const result = await extractXmlFromFile(data, 'mixed.zip');
+    assertEqual(result.files.length, 2);
+    assertEqual(result.files[0].reportType, REPORT_TYPES.DMARC);
+    assertEqual(result.files[1].reportType, REPORT_TYPES.TLSRPT);
+  });
+
+  await test('parses TLS-RPT metadata, policies and summary', async () => {
+    const report = parseTlsRptReport(loadFixture('tlsrpt-report.json').toString('utf8'));
+
+    assertEqual(report.reportType, 'tlsrpt');
+    assertEqual(report.metadata.orgName, 'Example Receiver Inc.');
+    assertEqual(report.metadata.dateRange.begin.toISOString(), '2024-01-01T00:00:00.000Z');
+    assertEqual(report.policies.length, 2);
+    assertEqual(report.policies[0].policyType, TLSRPT_POLICY_TYPES.STS);
+    assertEqual(report.policies[0].stsMode, 'enforce');
+    assertEqual(report.policies[1].policyType, TLSRPT_POLICY_TYPES.NO_POLICY);
+    assertEqual(report.summary.totalSessions, 5749);
+    assertEqual(report.summary.totalFailed, 303);
+
+    const byType = summarizeTlsRptPolicies(report);
+    assertEqual(byType.length, 2);
+    assertEqual(byType[1].failedSessions, 0);
+  });
+
+  await test('groups TLS-RPT failures by result type and MX host', async () => {
+    const report = parseTlsRptReport(loadFixture('tlsrpt-report.json').toString('utf8'));
+
+    const groups = groupTlsRptFailures(report);
+    assertEqual(groups.map(g => g.resultType).join(','), 'certificate-expired,starttls-not-supported,validation-failure');
+    assertEqual(groups[0].label, 'Certificate Expired');
+    assertEqual(groups[2].details[0].failureReasonCode, 'X509_V_ERR_PROXY_PATH_LENGTH_EXCEEDED');
+
+    const hosts = getTlsRptMxBreakdown(report);
+    assertEqual(hosts[0].mxHost, 'mx2.example.com');
+    assertEqual(hosts[0].failedSessions, 300);
+    assertEqual(hosts[0].resultTypes['certificate-expired'], 200);
+  });
+
+  test('throws on JSON that is not a TLS-RPT report', () => {
+    assertThrows(() => parseTlsRptReport('{"hello": "world"}'), 'Invalid TLS-RPT report');
+    assertThrows(() => parseTlsRptReport('{not json'), 'JSON parsing failed');
+  });
+
+  test('TLS-RPT policy rows escape report content', () => {
+    const report = parseTlsRptReport({
+      'organization-name': 'Receiver',
+      'policies': [{
+        'policy': { 'policy-type': 'sts', 'policy-domain': '<img src=x onerror=alert(1)>' },
+        'summary': { 'total-successful-session-count': 1, 'total-failure-session-count': 0 }
+      }]
+    });
+    const html = renderTlsRptPolicyRows(report);
+    assertFalse(html.includes('<img'));
+    assertTrue(html.includes('&lt;img'));
+  });
+
+  // =============================================================================
+  // Tests: DMARC Failure Reports (ARF)
+  // =============================================================================
+
+  console.log('\n\x1b[1mDMARC Failure Reports\x1b[0m');
+
+  test('detects email message format', () => {
+    const data = loadFixtureAsUint8Array('failure-report.eml');
+    assertEqual(detectFormat(data), 'message');
+  });
+
+  await test('extracts ARF message as a failure report', async () => {
+    const data = loadFixtureAsUint8Array('failure-report.eml');
+    const result = await extractXmlFromFile(data, 'failure.eml');
+
+    assertEqual(result.sourceFormat, 'message');
+    assertEqual(result.files.length, 1);
+    assertEqual(result.files[0].reportType, REPORT_TYPES.FAILURE);
+    assertTrue(result.files[0].message.includes('feedback-report'));
+  });
+
+  await test('rejects messages without failure reports or report attachments', async () => {
+    const text = 'From: someone@example.com\r\nSubject: hello\r\n\r\nJust a message';
+    await assertThrowsAsync(
+      () => extractXmlFromFile(new Uint8Array(Buffer.from(text)), 'hello.eml'),
+      'does not contain a DMARC report'
+    );
+  });
+
+  test('parses failure report feedback fields and original headers', () => {
+    const report = parseFailureReport(loadFixture('failure-report.eml').toString('utf8'));
+
+    assertEqual(report.feedbackType, 'auth-failure');
+    assertEqual(report.authFailure, 'dmarc');
+    assertEqual(report.sourceIp, '192.0.2.1');
+    assertEqual(report.headerFrom, 'example.com');
+    assertEqual(report.incidents, 3);
+    assertEqual(report.originalMailFrom, 'bounce@mailer.example.org');
+    assertEqual(report.dkim.selector, 'selector1');
+    assertEqual(report.dkim.canonicalizedHeader, 'from:Example User <user@example.com>\r\n');
+    assertEqual(report.original.subject, 'Earn money \u{1F4B0}');
+    assertTrue(report.original.headersOnly);
+    assertEqual(report.authenticationResults[0].results.length, 3);
+    assertTrue(report.humanReadable.includes('received from IP 192.0.2.1'));
+  });
+
+  test('failure report cross-links to aggregate records', () => {
+    const failure = parseFailureReport(loadFixture('failure-report.eml').toString('utf8'));
+    const aggregate = parseDmarcReport(loadFixture('valid-report.xml').toString('utf8'));
+
+    const matches = findMatchingAggregateRecords(failure, [aggregate]);
+    assertEqual(matches.length, 1);
+    assertEqual(matches[0].record.sourceIp, '192.0.2.1');
+    assertEqual(matches[0].report, aggregate);
+  });
+
+  test('original header rows escape report content', () => {
+    const report = parseFailureReport(loadFixture('failure-report.eml').toString('utf8')
+      .replace('Subject: =?UTF-8?B?RWFybiBtb25leSDwn5Kw?=', 'Subject: <script>alert(1)</script>'));
+    const html = renderOriginalHeaderRows(report);
+    assertFalse(html.includes('<script>'));
+    assertTrue(html.includes('&lt;script&gt;'));
+  });
+
+  // =============================================================================
+  // Tests: Email and Mailbox Ingestion
+  // =============================================================================
+
+  console.log('\n\x1b[1mEmail and Mailbox Ingestion\x1b[0m');
+
+  test('detects mbox format', () => {
+    const data = loadFixtureAsUint8Array('reports.mbox');
+    assertEqual(detectFormat(data), 'mbox');
+  });
+
+  await test('extracts base64 and quoted-printable attachments from .eml', async () => {
+    const data = loadFixtureAsUint8Array('report-email.eml');
+    const result = await extractXmlFromFile(data, 'report-email.eml');
+
+    assertEqual(result.sourceFormat, 'message');
+    assertTrue(result.isMultiFile);
+    assertEqual(result.files.length, 2);
+    assertEqual(result.files[0].filename, 'google.com!example.com!1704067200!1704153599.xml.gz');
+    // RFC 2231 encoded filename
+    assertEqual(result.files[1].filename, 'microsoft.com!example.com!1704067200!1704153599.xml');
+    assertTrue(result.files.every(f => f.reportType === REPORT_TYPES.DMARC));
+
+    const second = parseDmarcReport(result.files[1].xml);
+    assertEqual(second.metadata.reportId, '22222222222222222222');
+    assertEqual(second.records[0].sourceIp, '203.0.113.9');
+  });
+
+  await test('keeps non-ASCII bytes of 8bit and binary attachments', async () => {
+    const xml = loadFixture('valid-report.xml').toString('utf-8')
+      .replace('<org_name>google.com</org_name>', '<org_name>Soci\u00e9t\u00e9 G\u00e9n\u00e9rale</org_name>');
+    const boundary = '----=_Part_8bit';
+    const data = new Uint8Array(Buffer.concat([
+      Buffer.from(`From: noreply@example.com\r\nMIME-Version: 1.0\r\nContent-Type: multipart/mixed; boundary="${boundary}"\r\n\r\n`),
+      Buffer.from(`--${boundary}\r\nContent-Type: text/xml; charset=utf-8\r\nContent-Transfer-Encoding: 8bit\r\nContent-Disposition: attachment; filename="report.xml"\r\n\r\n`),
+      Buffer.from(xml, 'utf-8'),
+      Buffer.from(`\r\n--${boundary}\r\nContent-Type: application/gzip\r\nContent-Transfer-Encoding: binary\r\nContent-Disposition: attachment; filename="report.xml.gz"\r\n\r\n`),
+      loadFixture('valid-report.xml.gz'),
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    ]));
+    const result = await extractXmlFromFile(data, 'report-8bit.eml');
+
+    assertEqual(result.files.length, 2);
+    assertEqual(parseDmarcReport(result.files[0].xml).metadata.orgName, 'Soci\u00e9t\u00e9 G\u00e9n\u00e9rale');
+    assertEqual(parseDmarcReport(result.files[1].xml).metadata.orgName, 'google.com');
+  });
+
+  await test('mbox feeds every report type and skips other messages', async () => {
+    const data = loadFixtureAsUint8Array('reports.mbox');
+    const result = await extractXmlFromFile(data, 'reports.mbox');
+
+    assertEqual(result.sourceFormat, 'mbox');
+    assertEqual(result.files.length, 3);
+    assertEqual(result.files[0].reportType, REPORT_TYPES.DMARC);
+    assertEqual(result.files[1].reportType, REPORT_TYPES.TLSRPT);
+    assertEqual(result.files[2].reportType, REPORT_TYPES.FAILURE);
+    assertTrue(parseDmarcReport(result.files[0].xml).records.length > 0);
+  });
+
+  await test('rejects mailboxes without report attachments', async () => {
+    const text = 'From someone@example.com Mon Jan  1 00:00:00 2024\nFrom: someone@example.com\nSubject: hello\n\nHi\n';
+    await assertThrowsAsync(
+      () => extractXmlFromFile(new Uint8Array(Buffer.from(text)), 'inbox.mbox'),
+      'Mailbox does not contain'
+    );
+  });
+
+  // =============================================================================
+  // Tests: Offline IP Intelligence
+  // =============================================================================
+
+  console.log('\n\x1b[1mOffline IP Intelligence\x1b[0m');
+
+  await test('CSV, iptoasn TSV and MaxMind DB datasets agree', () => {
+    const datasets = ['ip-dataset.csv', 'ip-ranges.tsv', 'ip-dataset.mmdb'].map(filename => {
+      const bytes = loadFixtureAsUint8Array(filename);
+      const format = ipIntel.detectIpDatasetFormat(filename, bytes);
+      return ipIntel.buildIpDataset(format, format === 'mmdb' ? bytes : new TextDecoder().decode(bytes));
+    });
+
+    for (const ip of ['192.0.2.5', '192.0.2.200', '::ffff:192.0.2.130', '2001:db8:1::1']) {
+      const [csv, tsv, mmdb] = datasets.map(d => d.lookup(ip).entry);
+      assertEqual(tsv.asn, csv.asn, `${ip} tsv:`);
+      assertEqual(mmdb.asn, csv.asn, `${ip} mmdb:`);
+      assertEqual(mmdb.countryCode, csv.countryCode, `${ip} mmdb:`);
+    }
+    // Nested /48 is only in the CSV and MaxMind DB fixtures
+    assertEqual(datasets[2].lookup('2001:db8:beef::1').entry.asOrg, 'Example IPv6 Mail');
+    assertEqual(datasets[2].lookup('198.51.100.1'), null);
+  });
+
+  await test('offline-only provider chain enriches IPs without touching the network', async () => {
+    const bytes = loadFixtureAsUint8Array('ip-dataset.mmdb');
+    const dataset = ipIntel.buildIpDataset('mmdb', bytes);
+    const originalGetDataset = ipIntel.getActiveIpDataset;
+    const originalFetch = global.fetch;
+    let fetchCalls = 0;
+
+    global.chrome = {
+      storage: { local: { get: async () => ({ geoProviderSettings: { chain: [{ id: 'offline', enabled: true }] } }) } }
+    };
+    global.fetch = async () => { fetchCalls++; throw new Error('network disabled'); };
+    ipIntel.getActiveIpDataset = async () => dataset;
+
+    try {
+      const results = await lookupIps(['209.85.220.41', '2001:db8:beef::1', '198.51.100.1']);
+      assertEqual(fetchCalls, 0);
+      assertEqual(results.get('209.85.220.41').asn, 'AS15169 Google LLC');
+      assertEqual(results.get('2001:db8:beef::1').country, 'France');
+      assertTrue(results.get('198.51.100.1').error);
+
+      // No dataset imported: every IP reports the reason, still without fetching
+      ipIntel.getActiveIpDataset = async () => null;
+      const missing = await lookupIps(['209.85.220.41']);
+      assertEqual(fetchCalls, 0);
+      assertEqual(missing.get('209.85.220.41').message, 'No offline IP dataset imported');
+    } finally {
+      ipIntel.getActiveIpDataset = originalGetDataset;
+      delete global.chrome;
+      global.fetch = originalFetch;
+    }
+  });
+
+  // =============================================================================
+  // Tests: Lookup Providers
+  // =============================================================================
+
+  console.log('\n\x1b[1mLookup Providers\x1b[0m');
+
+  await test('retries 5xx responses with exponential backoff', async () => {
+    const originalFetch = global.fetch;
+    const sleeps = [];
+    const statuses = [503, 500, 200];
+    global.fetch = async () => {
+      const status = statuses.shift();
+      return { ok: status === 200, status, headers: { get: () => null }, json: async () => [{ status: 'success' }] };
+    };
+
+    try {
+      const options = { ...GEO_PROVIDERS['ip-api'].defaults, requestsPerMinute: 600, baseDelayMs: 100 };
+      const clock = { now: () => 0, sleep: async (ms) => { sleeps.push(ms); } };
+      const body = await fetchWithRetry(GEO_PROVIDERS['ip-api'], { url: 'https://example.test', init: {} }, options, clock);
+      assertEqual(body[0].status, 'success');
+      assertEqual(sleeps.join(','), '100,200');
+
+      // Client errors are not retried
+      statuses.push(403);
+      await fetchWithRetry(GEO_PROVIDERS['ip-api'], { url: 'https://example.test', init: {} }, options, clock)
+        .then(() => { throw new Error('Expected failure'); }, (err) => {
+          assertEqual(err.code, ErrorCodes.IP_LOOKUP_FAILED);
+          assertEqual(err.details.status, 403);
+        });
+      assertEqual(sleeps.length, 2);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  });
+
+  await test('rate-limited provider falls back to the next one in the chain', async () => {
+    const bytes = loadFixtureAsUint8Array('ip-dataset.mmdb');
+    const dataset = ipIntel.buildIpDataset('mmdb', bytes);
+    const originalGetDataset = ipIntel.getActiveIpDataset;
+    const originalFetch = global.fetch;
+    let fetchCalls = 0;
+
+    global.chrome = {
+      storage: {
+        local: {
+          get: async () => ({
+            geoProviderSettings: {
+              chain: [{ id: 'ip-api', enabled: true }, { id: 'offline', enabled: true }],
+              options: { 'ip-api': { requestsPerMinute: 60000, maxAttempts: 2 } }
+            }
+          })
+        }
+      }
+    };
+    global.fetch = async () => {
+      fetchCalls++;
+      return { ok: false, status: 429, headers: { get: (name) => (name === 'Retry-After' ? '0' : null) } };
+    };
+    ipIntel.getActiveIpDataset = async () => dataset;
+
+    try {
+      const results = await lookupIps(['192.0.2.10', '2001:db8::10', '203.0.113.10']);
+      assertEqual(fetchCalls, 2);
+      assertEqual(results.get('192.0.2.10').asn, 'AS64500 Example Transit');
+      assertEqual(results.get('2001:db8::10').countryCode, 'NL');
+
+      // Unresolved everywhere: reports the rate limit that stopped the first provider
+      const missing = results.get('203.0.113.10');
+      assertTrue(missing.error);
+      assertEqual(missing.code, ErrorCodes.IP_LOOKUP_RATE_LIMITED);
+    } finally {
+      ipIntel.getActiveIpDataset = originalGetDataset;
+      delete global.chrome;
+      global.fetch = originalFetch;
+    }
+  });
+
+  // =============================================================================
+  // Tests: Report Library
+  // =============================================================================
+
+  console.log('\n\x1b[1mReport Library\x1b[0m');
+
+  await test('the same report from XML and GZIP files maps to one library entry', async () => {
+    const fromXml = await extractXmlFromFile(loadFixtureAsUint8Array('valid-report.xml'), 'report.xml');
+    const fromGzip = await extractXmlFromFile(loadFixtureAsUint8Array('valid-report.xml.gz'), 'report.xml.gz');
+    const xmlEntry = createLibraryEntry(parseDmarcReport(fromXml.files[0].xml), { filename: 'report.xml' });
+    const gzipEntry = createLibraryEntry(parseDmarcReport(fromGzip.files[0].xml), { filename: 'report.xml.gz' });
+
+    assertEqual(xmlEntry.id, gzipEntry.id);
+    assertEqual(xmlEntry.orgName, 'google.com');
+    assertTrue(xmlEntry.summary.totalMessages > 0);
+    assertTrue(xmlEntry.dateEnd > xmlEntry.dateBegin);
+  });
+
+  await test('library entries from a multi-report ZIP list by domain and reporter', async () => {
+    const extraction = await extractXmlFromFile(loadFixtureAsUint8Array('multi-report.zip'), 'multi.zip');
+    const entries = extraction.files.map(file => createLibraryEntry(parseDmarcReport(file.xml), { filename: file.filename }));
+
+    assertEqual(new Set(entries.map(entry => entry.id)).size, entries.length);
+    const facets = getLibraryFacets(entries);
+    assertTrue(facets.domains.length >= 1);
+    for (const domain of facets.domains) {
+      const listed = filterLibraryEntries(entries, { domain });
+      assertTrue(listed.every(entry => entry.domain === domain));
+      for (let i = 1; i < listed.length; i++) {
+        assertTrue(listed[i - 1].dateEnd >= listed[i].dateEnd, 'Newest first:');
+      }
+    }
+  });
+
+  await test('combining reports for two domains keeps each domain\'s policy', async () => {
+    const reports = ['valid-report.xml', 'dmarcbis-report.xml', 'valid-report.xml']
+      .map(name => parseDmarcReport(fs.readFileSync(path.join(fixturesDir, name), 'utf8')));
+    const combined = combineReportsByDomain(reports);
+
+    assertEqual(combined.length, 2);
+    const byDomain = Object.fromEntries(combined.map(report => [report.policy.domain, report]));
+    assertEqual(byDomain['example.com'].policy.policy, 'none');
+    assertEqual(byDomain['example.org'].policy.policy, 'quarantine');
+    assertEqual(byDomain['example.com'].summary.totalMessages, reports[0].summary.totalMessages, 'Repeated report counted once:');
+    assertEqual(byDomain['example.org'].records.length, reports[1].records.length);
+    assertTrue(combined.every(report => report._policyConflicts.length === 0));
+  });
+
+  await test('combining the same report from XML and GZIP counts it once', async () => {
+    const reports = [];
+    for (const name of ['valid-report.xml', 'valid-report.xml.gz']) {
+      const extraction = await extractXmlFromFile(loadFixtureAsUint8Array(name), name);
+      const report = parseDmarcReport(extraction.files[0].xml);
+      report._sourceFilename = name;
+      reports.push(report);
+    }
+
+    const [combined] = combineReportsByDomain(reports);
+    assertEqual(combined.summary.totalMessages, reports[0].summary.totalMessages);
+    assertEqual(combined.metadata._sourceReports.length, 1);
+    assertEqual(combined._reconciliation.duplicates[0].filename, 'valid-report.xml.gz');
+    assertEqual(combined._reconciliation.duplicates[0].duplicateOf, 'valid-report.xml');
+    assertEqual(combined._reconciliation.conflicts.length, 0);
+  });
+
+  await test('comparing fixture reports finds no change in the same report', async () => {
+    const load = name => parseDmarcReport(fs.readFileSync(path.join(fixturesDir, name), 'utf8'));
+    const report = load('valid-report.xml');
+    const other = load('dmarcbis-report.xml');
+
+    const same = diffReports(report.records, load('valid-report.xml').records);
+    assertEqual(same.newSources.length + same.removedSources.length + same.flippedSources.length, 0);
+    assertTrue(same.domains.every(row => row.change === 0));
+    assertEqual(same.after.alignedRate, report.summary.dmarcAlignedRate);
+
+    const changed = diffReports(report.records, other.records);
+    assertEqual(changed.removedSources.length, new Set(report.records.map(r => r.sourceIp)).size);
+    assertEqual(changed.newSources.length, new Set(other.records.map(r => r.sourceIp)).size);
+  });
+
+  await test('sender inventory scopes a fixture report\'s readiness and classification', async () => {
+    const report = parseDmarcReport(fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8'));
+    const inventory = normalizeSenderInventory([
+      { type: 'dkim', value: 'example.com', owner: 'Mail team', status: 'approved' },
+      { type: 'ip', value: '198.51.100.0/24', status: 'unauthorized' }
+    ]);
+    for (const record of report.records) {
+      record._sender = matchSender(record, inventory);
+      record._classification = classifyRecord(record, null, record._sender);
+    }
+
+    const spoofs = report.records.filter(r => r._classification.classification === CLASSIFICATION.LIKELY_SPOOF);
+    assertTrue(spoofs.length > 0);
+    assertTrue(spoofs.every(r => r._sender?.status === 'unauthorized'));
+
+    const readiness = calculateEnforcementReadiness(report.records, report.policy);
+    assertEqual(readiness.scope, 'approved');
+    assertEqual(readiness.totalMessages + readiness.excludedMessages, report.summary.totalMessages);
+    assertEqual(readiness.excludedMessages, readiness.unauthorizedMessages);
+  });
+
+  await test('coverage of a multi-report ZIP shows one reporter with overlapping reports', async () => {
+    const extraction = await extractXmlFromFile(loadFixtureAsUint8Array('multi-report.zip'), 'multi.zip');
+    const entries = extraction.files.map(file => createLibraryEntry(parseDmarcReport(file.xml)));
+    const coverage = calculateCoverage(entries, { domain: 'example.com', days: 30, now: Date.UTC(2024, 0, 10) });
+
+    // All three fixture reports come from google.com for the same day
+    assertEqual(coverage.reporters.length, 1);
+    const [reporter] = coverage.reporters;
+    assertEqual(reporter.reports, entries.length);
+    assertEqual(reporter.overlaps.length, entries.length - 1);
+    assertEqual(reporter.status, 'unknown', 'No cadence from a single day:');
+    assertEqual(reporter.emails.join(), 'noreply-dmarc-support@google.com');
+    assertEqual(reporter.cells.filter(cell => cell === 'overlap').length, 1);
+    assertEqual(reporter.cells.filter(cell => cell === 'covered').length, 0);
+  });
+
+  await test('policy timeline follows a fixture domain moving to quarantine', async () => {
+    const xml = fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8');
+    const day = 86400;
+    const variant = (orgName, reportId, offsetDays, policy) => xml
+      .replace('<org_name>google.com</org_name>', `<org_name>${orgName}</org_name>`)
+      .replace('12345678901234567890', reportId)
+      .replace('<begin>1704067200</begin>', `<begin>${1704067200 + offsetDays * day}</begin>`)
+      .replace('<end>1704153599</end>', `<end>${1704153599 + offsetDays * day}</end>`)
+      .replace('<p>none</p>', `<p>${policy}</p><fo>1</fo>`);
+    const entries = [
+      variant('google.com', 'g1', 0, 'none'),
+      variant('yahoo.com', 'y1', 0, 'none'),
+      variant('google.com', 'g2', 1, 'quarantine'),
+      variant('yahoo.com', 'y2', 1, 'none'),
+      variant('yahoo.com', 'y3', 2, 'quarantine')
+    ].map(report => createLibraryEntry(parseDmarcReport(report)));
+
+    assertEqual(entries[0].policy.failureOptions, '1');
+    const timeline = calculatePolicyTimeline(entries, { domain: 'example.com' });
+    assertEqual(timeline.changes.length, 1);
+    const [change] = timeline.changes;
+    assertEqual(`${change.tag}=${change.from}>${change.to}`, 'p=none>quarantine');
+    assertEqual(change.reportedBy, 'google.com');
+    const yahoo = change.adoption.find(reporter => reporter.orgName === 'yahoo.com');
+    assertEqual(yahoo.staleReports, 1);
+    assertEqual(yahoo.lag, day * 1000, 'Saw it one day later:');
+    assertEqual(timeline.current.failureOptions, '1');
+  });
+
+  await test('selector inventory tracks a key rotation across fixture reports', async () => {
+    const xml = fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8');
+    // The same report 30 days later, signed with a rotated key
+    const rotated = xml
+      .replace('<report_id>12345678901234567890</report_id>', '<report_id>rotated</report_id>')
+      .replace('<begin>1704067200</begin>', '<begin>1706659200</begin>')
+      .replace('<end>1704153599</end>', '<end>1706745599</end>')
+      .replace('<selector>selector1</selector>', '<selector>selector2</selector>');
+    const entries = [xml, rotated].map(report => createLibraryEntry(parseDmarcReport(report)));
+    const inventory = calculateSelectorInventory(entries, { domain: 'example.com' });
+
+    assertEqual(inventory.reports, 2);
+    const byName = Object.fromEntries(inventory.selectors.map(item => [`${item.domain}/${item.selector}`, item]));
+    assertEqual(byName['example.com/selector1'].status, SELECTOR_STATUS.RETIRED);
+    assertEqual(byName['example.com/selector1'].alignedRate, 1);
+    assertEqual(byName['example.com/selector2'].status, SELECTOR_STATUS.NEW);
+    assertEqual(byName['example.com/selector2'].firstSeen, 1706659200 * 1000);
+    assertEqual(byName['unknown.com/null'].status, SELECTOR_STATUS.FAILING, 'The spoofed source signs without a selector:');
+    assertEqual(byName['unknown.com/null'].messages, 6);
+    assertEqual(byName['unknown.com/null'].reporters.join(), 'google.com');
+  });
+
+  await test('policy simulator rejects only the spoofed fixture source', async () => {
+    const report = parseDmarcReport(fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8'));
+    const simulation = simulatePolicy(report.records, report.policy, { policy: 'reject', aspf: 'strict', adkim: 'strict' });
+
+    assertEqual(simulation.totalMessages, 13);
+    assertEqual(simulation.rejected, 3);
+    assertEqual(simulation.newlyFailing, 0, 'example.com aligns strictly:');
+    assertEqual(simulation.sources.length, 1);
+    assertEqual(simulation.sources[0].sourceIp, '198.51.100.5');
+    assertEqual(simulation.sources[0].classification, CLASSIFICATION.LIKELY_SPOOF);
+
+    const baseline = simulatePolicy(report.records, report.policy, report.policy);
+    assertEqual(baseline.policy.percentage, 100);
+    assertEqual(baseline.quarantined + baseline.rejected, 0);
+  });
+
+  await test('subdomain inventory flags a spoofed fixture subdomain under np', async () => {
+    const xml = fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8')
+      .replace('<sp>none</sp>', '<sp>quarantine</sp><np>reject</np>')
+      .replace('<count>3</count>', '<count>30</count>')
+      .replace(/(<source_ip>198\.51\.100\.5<\/source_ip>[\s\S]*?<header_from>)example\.com/, '$1shop.example.com');
+    const report = parseDmarcReport(xml);
+    const inventory = buildSubdomainInventory(report.records, report.policy);
+
+    assertEqual(inventory.domains.length, 2);
+    const [shop, apex] = inventory.domains;
+    assertEqual(shop.domain, 'shop.example.com');
+    assertEqual(`${shop.tier} ${shop.tag}=${shop.policy}`, 'nonexistent np=reject');
+    assertTrue(shop.spoofTarget);
+    assertEqual(`${apex.tier} ${apex.tag}=${apex.policy}`, 'domain p=none');
+    assertEqual(inventory.tiers.map(tier => tier.readiness.totalMessages).join(), '10,30');
+  });
+
+  await test('SPF evaluation names the mechanism authorizing or failing each fixture source', async () => {
+    const report = parseDmarcReport(fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8'));
+    const resolver = createZoneResolver([
+      'example.com. IN TXT "v=spf1 include:_spf.mailer.test -all"',
+      '_spf.mailer.test. IN TXT "v=spf1 ip6:2001:db8::/32 ip4:192.0.2.0/24 -all"',
+      '$ORIGIN spoofed.com.',
+      '@ IN TXT "v=spf1 mx a:relay.spoofed.com ~all"',
+      '@ IN MX 10 mx',
+      'mx IN A 203.0.113.25',
+      'relay IN A 203.0.113.26'
+    ].join('\n'));
+
+    const failing = await evaluateRecordsSpf(report.records, resolver);
+    assertEqual(failing.length, 1, 'Sources that passed SPF are skipped by default:');
+
+    const [authorized, spoofed] = await evaluateRecordsSpf(report.records, resolver, { includePassing: true });
+    assertEqual(`${authorized.sourceIp} ${authorized.spfDomain} ${authorized.messages}`, '192.0.2.1 example.com 10');
+    assertEqual(authorized.evaluation.result, 'pass');
+    assertEqual(authorized.evaluation.mechanism, 'ip4:192.0.2.0/24');
+    assertEqual(authorized.evaluation.matchedDomain, '_spf.mailer.test');
+    assertEqual(authorized.evaluation.path.join(), 'include:_spf.mailer.test');
+    assertEqual(authorized.evaluation.lookups, 1);
+
+    assertEqual(`${spoofed.sourceIp} ${spoofed.spfDomain} ${spoofed.reported}`, '198.51.100.5 spoofed.com fail');
+    assertEqual(spoofed.evaluation.result, 'softfail');
+    assertEqual(spoofed.evaluation.mechanism, '~all');
+    assertEqual(spoofed.evaluation.reason, '198.51.100.5 is not covered by any mechanism of spoofed.com, so ~all returns softfail');
+    assertEqual(spoofed.evaluation.trace.map(step => `${step.term}:${step.outcome}`).join(), 'mx:no match,a:relay.spoofed.com:no match,~all:match');
+
+    const viaMx = await evaluateSpf('203.0.113.25', 'spoofed.com', resolver);
+    assertEqual(viaMx.reason, '203.0.113.25 is authorized by mx in spoofed.com (MX host mx.spoofed.com resolves to 203.0.113.25/32)');
+    const viaIp6 = await evaluateSpf('2001:db8::25', 'example.com', resolver);
+    assertEqual(`${viaIp6.result} ${viaIp6.mechanism}`, 'pass ip6:2001:db8::/32');
+  });
+
+  await test('SPF evaluation reports lookup limits, broken redirects and resolver failures', async () => {
+    // Eleven chained includes: the eleventh DNS-querying term is over the limit
+    const chain = Array.from({ length: SPF_LOOKUP_LIMIT + 1 }, (_, i) =>
+      `l${i}.example.com. IN TXT "v=spf1 include:l${i + 1}.example.com -all"`);
+    const deep = await evaluateSpf('192.0.2.1', 'l0.example.com', createZoneResolver(chain.join('\n')));
+    assertEqual(deep.result, 'permerror');
+    assertEqual(deep.lookups, SPF_LOOKUP_LIMIT + 1);
+    assertEqual(deep.reason, 'More than 10 DNS lookups; the limit was exceeded at include:l11.example.com in l10.example.com');
+
+    const zone = createZoneResolver([
+      'void.example.com. IN TXT "v=spf1 a:gone1.example.com a:gone2.example.com a:gone3.example.com -all"',
+      'redirect.example.com. IN TXT "v=spf1 ip4:192.0.2.99 redirect=missing.example.com"',
+      'twice.example.com. IN TXT "v=spf1 -all"',
+      'twice.example.com. IN TXT "v=spf1 +all"',
+      'open.example.com. IN TXT "v=spf1 ip4:192.0.2.99"'
+    ].join('\n'));
+    const voids = await evaluateSpf('192.0.2.1', 'void.example.com', zone);
+    assertEqual(`${voids.result} ${voids.voidLookups}`, 'permerror 3');
+    assertTrue(voids.reason.startsWith('More than 2 DNS lookups returned no records'));
+
+    const redirect = await evaluateSpf('192.0.2.1', 'redirect.example.com', zone);
+    assertEqual(redirect.result, 'permerror');
+    assertEqual(redirect.reason, 'The redirect=missing.example.com modifier of redirect.example.com points to a domain without an SPF record');
+
+    assertEqual((await evaluateSpf('192.0.2.1', 'twice.example.com', zone)).result, 'permerror');
+    assertEqual((await evaluateSpf('192.0.2.1', 'open.example.com', zone)).result, 'neutral');
+    assertEqual((await evaluateSpf('192.0.2.1', 'nothing.example.com', zone)).result, 'none');
+    assertEqual((await evaluateSpf('not-an-ip', 'open.example.com', zone)).reason, 'The source IP not-an-ip is not a valid IP address');
+
+    const failing = { resolve: async () => { throw new Error('timed out'); } };
+    const temp = await evaluateSpf('192.0.2.1', 'example.com', failing);
+    assertEqual(`${temp.result}: ${temp.reason}`, 'temperror: DNS TXT lookup for example.com failed: timed out');
+  });
+
+  await test('DNS-over-HTTPS resolver reads JSON answers and caches them', async () => {
+    const requests = [];
+    const answers = {
+      'example.com TXT': { Status: 0, Answer: [{ type: 16, data: '"v=spf1 a " "-all"' }, { type: 16, data: '"google-site-verification=abc"' }] },
+      'example.com A': { Status: 0, Answer: [{ type: 5, data: 'edge.example.net.' }, { type: 1, data: '192.0.2.7' }] },
+      'down.example.com TXT': null
+    };
+    const fakeFetch = async (url, init) => {
+      const params = new URL(url).searchParams;
+      requests.push(`${params.get('name')} ${params.get('type')} ${init.headers.Accept}`);
+      const body = answers[`${params.get('name')} ${params.get('type')}`];
+      if (body === null) return { ok: false, status: 502 };
+      return { ok: true, status: 200, json: async () => body || { Status: 3 } };
+    };
+    const resolver = createDohResolver('https://dns.example.test/dns-query', { fetch: fakeFetch });
+
+    const evaluation = await evaluateSpf('192.0.2.7', 'example.com', resolver);
+    assertEqual(`${evaluation.result} ${evaluation.mechanism}`, 'pass a');
+    await evaluateSpf('192.0.2.8', 'example.com', resolver);
+    assertEqual(requests.join('|'), 'example.com TXT application/dns-json|example.com A application/dns-json', 'Answers are cached:');
+
+    assertEqual((await evaluateSpf('192.0.2.7', 'nxdomain.example.com', resolver)).result, 'none');
+    const down = await evaluateSpf('192.0.2.7', 'down.example.com', resolver);
+    assertEqual(`${down.result}: ${down.reason}`, 'temperror: DNS TXT lookup for down.example.com failed: DNS-over-HTTPS query failed with HTTP 502');
+  });
+
+  await test('record editor proposes the next step from a fixture report', async () => {
+    const report = parseDmarcReport(fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8'));
+    const published = parseDmarcRecord(buildDmarcRecord(getPolicyRecordTags(report.policy)));
+    assertTrue(published.valid);
+    assertEqual(published.record, 'v=DMARC1; p=none; sp=none; adkim=r; aspf=r; pct=100');
+    assertTrue(diffDmarcRecord(published, report.policy).every(row => row.matches), 'The published policy matches itself');
+
+    // 10 of 13 messages align, too few to enforce
+    const held = proposeDmarcRecord(published, calculateEnforcementReadiness(report.records, report.policy));
+    assertEqual(held.changes.length, 0);
+    assertTrue(held.notes[0].startsWith('Keep p=none: Only 77% of messages are properly aligned.'));
+
+    // Readiness measured over the approved sender only
+    const inventory = normalizeSenderInventory([{ type: 'dkim', value: 'example.com', status: 'approved' }]);
+    for (const record of report.records) record._sender = matchSender(record, inventory);
+    const next = proposeDmarcRecord(published, calculateEnforcementReadiness(report.records, report.policy));
+    assertEqual(next.record, 'v=DMARC1; p=quarantine; sp=none; adkim=r; aspf=r; pct=100');
+
+    const rows = diffDmarcRecord(parseDmarcRecord(next.record), report.policy);
+    assertEqual(rows.filter(row => !row.matches).map(row => row.tag).join(','), 'p', 'sp=none keeps subdomains as published:');
+  });
+
+  await test('receiver forwarding reasons reclassify a fixture source', async () => {
+    const xml = fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8')
+      .replace('<spf>fail</spf>\n      </policy_evaluated>',
+        '<spf>fail</spf>\n        <reason><type>forwarded</type><comment>arc=pass</comment></reason>\n      </policy_evaluated>');
+    const report = parseDmarcReport(xml);
+    const failing = report.records.find(record => record.sourceIp === '198.51.100.5');
+    assertEqual(failing.policyEvaluated.reasons[0].type, 'forwarded');
+
+    const result = classifyRecord(failing, null);
+    assertEqual(result.classification, CLASSIFICATION.FORWARDED);
+    assertTrue(result.signals.some(signal => signal.includes('ARC')));
+
+    // The unmodified report still counts the source as a spoof
+    const original = parseDmarcReport(fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8'));
+    const spoofed = original.records.find(record => record.sourceIp === '198.51.100.5');
+    assertEqual(classifyRecord(spoofed, null).classification, CLASSIFICATION.LIKELY_SPOOF);
+  });
+
+  await test('fix plan lists playbook steps for a fingerprinted fixture source', async () => {
+    const report = parseDmarcReport(fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8'));
+    for (const record of report.records) {
+      const geoData = record.sourceIp === '198.51.100.5'
+        ? { asn: 'AS11377 SendGrid, Inc.', hostname: 'o1.ptr1234.sendgrid.net' }
+        : { asn: 'AS64500 Example' };
+      record._provider = fingerprintProvider(geoData);
+      record._classification = classifyRecord(record, record._provider);
+    }
+    const failing = report.records.find(record => record.sourceIp === '198.51.100.5');
+    assertEqual(failing._provider.id, 'sendgrid');
+
+    assertEqual(failing._classification.classification, CLASSIFICATION.ESP_NOT_AUTHORIZED);
+
+    const plan = buildFixPlan(report.records);
+    assertEqual(plan.failingMessages, 3);
+    assertEqual(plan.providers.length, 1);
+    assertEqual(plan.providers[0].name, 'SendGrid');
+    assertTrue(plan.providers[0].steps.length > 0);
+    assertTrue(getRecordDiagnosis(failing).some(issue => issue.title === 'SendGrid Setup'));
+
+    // The same source classified as a spoof gets no steps
+    failing._classification = { classification: CLASSIFICATION.LIKELY_SPOOF };
+    assertEqual(buildFixPlan(report.records).spoofMessages, 3);
+    assertFalse(getRecordDiagnosis(failing).some(issue => issue.type === 'provider'));
+  });
+
+  await test('a later fixture report flags only its new failing source', async () => {
+    const load = () => parseDmarcReport(fs.readFileSync(path.join(fixturesDir, 'valid-report.xml'), 'utf8'));
+    const earlier = load();
+    const later = load();
+    later.metadata.reportId = 'later-report';
+    later.metadata.dateRange.begin = new Date(earlier.metadata.dateRange.end.getTime() + 1000);
+    later.records.push({ ...later.records[1], sourceIp: '203.0.113.99', count: 25 });
+
+    const entries = [createLibraryEntry(earlier), createLibraryEntry(later)];
+    const history = buildSourceHistory(entries, {
+      domain: later.policy.domain,
+      ids: getReportLibraryIds(later),
+      before: later.metadata.dateRange.begin.getTime()
+    });
+    assertEqual(history.reports, 1, 'The report itself is not history:');
+
+    const novel = listNovelSources(scoreSourceNovelty(later.records, history), { failingOnly: true });
+    assertEqual(novel.length, 1);
+    assertEqual(novel[0].ip, '203.0.113.99');
+    assertEqual(novel[0].failing, 25);
+
+    const replay = buildSourceHistory(entries, { domain: earlier.policy.domain, ids: getReportLibraryIds(earlier), before: earlier.metadata.dateRange.begin.getTime() });
+    assertEqual(replay.reports, 0, 'Later reports are not history of an earlier one:');
+  });
+
+  await test('trends over stored fixture reports add up to their summaries', async () => {
+    const extraction = await extractXmlFromFile(loadFixtureAsUint8Array('multi-report.zip'), 'multi.zip');
+    const reports = extraction.files.map(file => parseDmarcReport(file.xml));
+    const entries = reports.map(report => createLibraryEntry(report));
+
+    for (const granularity of ['day', 'week', 'month']) {
+      const trends = calculateTrends(entries, { granularity });
+      const bucketTotal = trends.buckets.reduce((sum, bucket) => sum + bucket.totalMessages, 0);
+      assertEqual(bucketTotal, reports.reduce((sum, report) => sum + report.summary.totalMessages, 0));
+      assertEqual(trends.totals.dmarcAligned, reports.reduce((sum, report) => sum + report.summary.dmarcAligned, 0));
+      assertEqual(trends.totals.reports, reports.length);
+    }
+  });
+
   // =============================================================================
   // Summary
   // =============================================================================
@@ -50,6 +50,18 @@ function assertDeepEqual(actual, expected, message = '') {
   }
 }
 
+function assertThrows(fn, expectedMessage = null, message = '') {
+  try {
+    fn();
+  } catch (err) {
+    if (expectedMessage && !err.message.includes(expectedMessage)) {
+      throw new Error(`${message} Expected error containing "${expectedMessage}", got "${err.message}"`);
+    }
+    return;
+  }
+  throw new Error(`${message} Expected function to throw, but it did not`);
+}
+
 // =============================================================================
 // Load Modules
 // =============================================================================
@@ -68,12 +80,22 @@ const {
   domainsAlign,
   computeAlignment,
   computeRobustnessSignals,
+  getPolicyTier,
+  getApplicablePolicy,
   isDebugMode,
   FAILURE_REASONS,
-  TWO_PART_TLDS,
+  POLICY_TIERS,
   KNOWN_RECEIVERS
 } = require('../src/parser/dmarc-parser.js');
 
+const {
+  lookupPublicSuffix,
+  compileSuffixTrie,
+  getPublicSuffixListInfo,
+  PSL_SECTIONS,
+  PSL_RULE_TYPES
+} = require('../src/parser/public-suffix.js');
+
 const {
   CLASSIFICATION,
   classifyRecord,
@@ -85,116 +107,193 @@ const {
   PROVIDERS
 } = require('../src/services/provider-fingerprint.js');
 
-// =============================================================================
-// Enforcement Readiness (extracted logic for testing)
-// =============================================================================
-
-function calculateEnforcementReadiness(records, policy) {
-  const currentPolicy = policy?.policy || 'none';
-
-  let totalMessages = 0;
-  let alignedMessages = 0;
-  let failingSources = 0;
-  let failingMessages = 0;
-
-  for (const record of records) {
-    const count = record.count || 0;
-    totalMessages += count;
+const {
+  parseMimeEntity,
+  parseMimeHeaderValue,
+  decodeMimeWords,
+  decodeQuotedPrintableBytes,
+  getMimeEntityText,
+  getMimePartFilename,
+  splitMbox
+} = require('../src/parser/mime-parser.js');
 
-    if (record.alignment?.dmarcPass) {
-      alignedMessages += count;
-    } else {
-      failingMessages += count;
-      failingSources++;
-    }
-  }
+const {
+  parseAuthenticationResults,
+  extractAddressDomain,
+  getFailureLinkKey,
+  findMatchingFailureReports
+} = require('../src/parser/arf-parser.js');
 
-  const alignedPercent = totalMessages > 0
-    ? Math.round((alignedMessages / totalMessages) * 100)
-    : 0;
-
-  let status;
-  if (currentPolicy === 'reject') {
-    status = 'none';
-  } else if (alignedPercent >= 98) {
-    status = 'safe';
-  } else if (alignedPercent >= 90) {
-    status = 'caution';
-  } else {
-    status = 'not-ready';
-  }
+const {
+  createXmlSaxParser,
+  decodeXmlEntities
+} = require('../src/parser/dmarc-stream-parser.js');
 
-  return {
-    currentPolicy,
-    totalMessages,
-    alignedMessages,
-    failingSources,
-    failingMessages,
-    alignedPercent,
-    status
-  };
-}
+const {
+  parseIpAddress,
+  normalizeIp,
+  compareIps,
+  isIpInCidr,
+  matchesIpFilter,
+  sortRecords
+} = require('../src/viewer/modules/filter-engine.js');
 
-// =============================================================================
-// Disposition Override Explanation (extracted logic for testing)
-// =============================================================================
+const {
+  calculateEnforcementReadiness,
+  calculateAnalysis,
+  getPolicyDifferences,
+  findPolicyConflicts,
+  reconcileReports,
+  combineReportsByDomain
+} = require('../src/viewer/modules/analysis-engine.js');
+const { renderReconciliationSummary } = require('../src/viewer/modules/reconciliation-view.js');
+const { explainDispositionOverride, getRecordDiagnosis } = require('../src/viewer/modules/diagnosis-engine.js');
+const { SUBDOMAIN_SPOOF_MIN_MESSAGES, buildSubdomainInventory } = require('../src/viewer/modules/subdomain-engine.js');
+const { describeSubdomainInventory, renderSubdomainRows, renderSubdomainTierRows } = require('../src/viewer/modules/subdomain-view.js');
+const { getNextSimulationPolicy, simulatePolicy } = require('../src/viewer/modules/simulator-engine.js');
+const {
+  describeSimulationImpact,
+  renderSimulationBreakdownRows,
+  renderSimulationProviderRows,
+  renderSimulationSourceRows
+} = require('../src/viewer/modules/simulator-view.js');
 
-function explainDispositionOverride(record, policy) {
-  if (!record || !policy) return null;
+const {
+  parseSpfRecord,
+  expandSpfMacros,
+  getRecordSpfDomain,
+  parseZoneFile,
+  validateDohEndpoint,
+  normalizeSpfResolverSettings
+} = require('../src/services/spf-evaluator.js');
+const { describeSpfEvaluations, renderSpfEvaluationRows, renderSpfEvaluationDetails } = require('../src/viewer/modules/spf-view.js');
+const {
+  parseDmarcRecord,
+  buildDmarcRecord,
+  getPolicyRecordTags,
+  proposeDmarcRecord,
+  diffDmarcRecord,
+  findExternalReportDestinations
+} = require('../src/viewer/modules/dmarc-record-engine.js');
+const {
+  describeDmarcRecord,
+  renderDmarcRecordHighlight,
+  renderDmarcRecordDiffRows,
+  renderExternalDestinationWarnings
+} = require('../src/viewer/modules/dmarc-record-view.js');
+const {
+  PROVIDER_PLAYBOOKS,
+  getProviderPlaybook,
+  getProviderRemediationSteps,
+  getProviderDiagnosis
+} = require('../src/services/provider-playbooks.js');
+const { buildFixPlan } = require('../src/viewer/modules/fix-plan-engine.js');
+const { describeFixPlan, renderFixPlanSteps } = require('../src/viewer/modules/fix-plan-view.js');
 
-  const pe = record.policyEvaluated || {};
-  const appliedDisposition = pe.disposition;
-  const reason = pe.reason || [];
+const {
+  parseNetwork,
+  rangeToCidrs,
+  parseIpDatasetCsv,
+  createPrefixTable,
+  createMmdbReader
+} = require('../src/services/ip-intel.js');
 
-  const identifiers = record.identifiers || {};
-  const headerFrom = identifiers.headerFrom || '';
-  const policyDomain = policy.domain || '';
+const {
+  GEO_PROVIDERS,
+  mapGeoFields,
+  offlineMatchToGeo,
+  normalizeGeoProviderSettings,
+  getGeoProviderOptions,
+  validateGeoProviderOptions,
+  createTokenBucket
+} = require('../src/services/geo-providers.js');
+const { DmarcError, ErrorCodes } = require('../src/lib/errors.js');
 
-  const isSubdomain = headerFrom &&
-    policyDomain &&
-    headerFrom !== policyDomain &&
-    headerFrom.endsWith('.' + policyDomain);
+const {
+  getLibraryReportId,
+  getReportLibraryIds,
+  createLibraryEntry,
+  filterLibraryEntries,
+  getLibraryFacets,
+  findExpiredLibraryEntries,
+  normalizeReportLibrarySettings
+} = require('../src/services/report-library.js');
+const { renderLibraryRows } = require('../src/viewer/modules/library-view.js');
+const {
+  TREND_GRANULARITIES,
+  getTrendBucketStart,
+  calculateTrends,
+  getTrendChange
+} = require('../src/viewer/modules/trends-engine.js');
+const { renderTrendChart, renderTrendRows } = require('../src/viewer/modules/trends-view.js');
+const { COVERAGE_DAY_MS, REPORTER_STATUS, calculateCoverage } = require('../src/viewer/modules/coverage-engine.js');
+const {
+  formatCoverageCadence,
+  renderCoverageMatrix,
+  renderCoverageRows,
+  describeSilentReporters
+} = require('../src/viewer/modules/coverage-view.js');
+const { POLICY_TIMELINE_FIELDS, calculatePolicyTimeline } = require('../src/viewer/modules/policy-timeline-engine.js');
+const {
+  formatPolicyRecord,
+  renderPolicyTimelineChart,
+  renderPolicyChangeRows,
+  renderPolicyAdoptionRows
+} = require('../src/viewer/modules/policy-timeline-view.js');
+const { SELECTOR_STATUS, calculateSelectorInventory } = require('../src/viewer/modules/selector-engine.js');
+const { renderSelectorRows, describeSelectorInventory } = require('../src/viewer/modules/selector-view.js');
+const { SOURCE_ALIGNMENT, diffReports } = require('../src/viewer/modules/diff-engine.js');
+const { renderDiffSourceRows, renderDiffFlippedRows, renderDiffDomainRows } = require('../src/viewer/modules/diff-view.js');
+const {
+  SENDER_STATUS,
+  normalizeSenderKey,
+  validateSenderEntry,
+  normalizeSenderInventory,
+  upsertSenderEntry,
+  matchSender
+} = require('../src/services/sender-inventory.js');
+const { renderSenderRows, renderSenderDetails } = require('../src/viewer/modules/sender-view.js');
+const {
+  NOVELTY_SIGNALS,
+  buildSourceHistory,
+  scoreSourceNovelty,
+  listNovelSources
+} = require('../src/viewer/modules/anomaly-engine.js');
+const { renderNoveltyBadge, renderNoveltySummary, renderNoveltyRows } = require('../src/viewer/modules/anomaly-view.js');
 
-  const expectedPolicy = isSubdomain && policy.subdomainPolicy
-    ? policy.subdomainPolicy
-    : policy.policy;
+// =============================================================================
+// Test Fixtures
+// =============================================================================
 
-  if (expectedPolicy === 'none') return null;
-  if (appliedDisposition === expectedPolicy) return null;
-  if (record.alignment?.dmarcPass) return null;
+/**
+ * Build a record with a source, From domain and DMARC result
+ * @param {string} ip - Source IP
+ * @param {string} headerFrom - header_from domain
+ * @param {number} count - Messages
+ * @param {boolean} aligned - DMARC alignment result
+ * @returns {Object} Record
+ */
+function makeRecord(ip, headerFrom, count, aligned) {
+  return { sourceIp: ip, count, identifiers: { headerFrom }, alignment: { dmarcPass: aligned } };
+}
 
-  const explanations = {
-    forwarded: { title: 'Disposition Override: Message Forwarded' },
-    mailing_list: { title: 'Disposition Override: Mailing List' },
-    local_policy: { title: 'Disposition Override: Receiver Local Policy' },
-    sampled_out: { title: 'Disposition Override: Sampling (pct)' },
-    trusted_forwarder: { title: 'Disposition Override: Trusted Forwarder' },
-    other: { title: 'Disposition Override' }
+/**
+ * Build a report library entry for example.com covering one day of January 2026
+ * @param {string} orgName - Reporter
+ * @param {number} day - Day in January 2026 the period begins
+ * @param {Object} [fields] - Fields to add or override
+ * @returns {Object} Library entry
+ */
+function makeLibraryEntry(orgName, day, fields = {}) {
+  return {
+    id: `${orgName}-${day}`,
+    orgName,
+    reportId: `${orgName}-${day}`,
+    domain: 'example.com',
+    dateBegin: Date.UTC(2026, 0, day),
+    dateEnd: Date.UTC(2026, 0, day + 1) - 1000,
+    ...fields
   };
-
-  const reasonTypes = reason.map(r => r.type?.toLowerCase());
-
-  let matchedExplanation = null;
-  for (const reasonType of reasonTypes) {
-    if (explanations[reasonType]) {
-      matchedExplanation = explanations[reasonType];
-      break;
-    }
-  }
-
-  if (!matchedExplanation && appliedDisposition !== expectedPolicy) {
-    if (policy.percentage !== null && policy.percentage < 100 && appliedDisposition === 'none') {
-      matchedExplanation = explanations.sampled_out;
-    } else {
-      matchedExplanation = explanations.other;
-    }
-  }
-
-  if (matchedExplanation) {
-    return { type: 'override', ...matchedExplanation };
-  }
-
-  return null;
 }
 
 // =============================================================================
@@ -235,6 +334,88 @@ test('case insensitive', () => {
   assertEqual(getOrganizationalDomain('MAIL.EXAMPLE.COM'), 'example.com');
 });
 
+test('suffixes beyond the old two-part list (co.id, gov.au)', () => {
+  assertEqual(getOrganizationalDomain('mail.example.co.id'), 'example.co.id');
+  assertEqual(getOrganizationalDomain('a.b.agency.gov.au'), 'agency.gov.au');
+});
+
+test('private section suffix (herokuapp.com)', () => {
+  assertEqual(getOrganizationalDomain('mail.myapp.herokuapp.com'), 'myapp.herokuapp.com');
+});
+
+test('trailing dot is ignored', () => {
+  assertEqual(getOrganizationalDomain('mail.example.com.'), 'example.com');
+});
+
+// =============================================================================
+// Tests: Public Suffix List Engine
+// =============================================================================
+
+console.log('\n\x1b[1mPublic Suffix List Engine\x1b[0m');
+
+test('bundled list has version and both sections', () => {
+  const info = getPublicSuffixListInfo();
+  assertTrue(/^\d{4}-\d{2}-\d{2}$/.test(info.version), 'version should be a snapshot date');
+  assertTrue(info.icannRules > 1000);
+  assertTrue(info.privateRules > 100);
+});
+
+test('normal rule reports matched rule and section', () => {
+  const match = lookupPublicSuffix('mail.example.co.uk');
+  assertEqual(match.publicSuffix, 'co.uk');
+  assertEqual(match.organizationalDomain, 'example.co.uk');
+  assertEqual(match.rule, 'co.uk');
+  assertEqual(match.ruleType, PSL_RULE_TYPES.NORMAL);
+  assertEqual(match.section, PSL_SECTIONS.ICANN);
+});
+
+test('wildcard rule (*.kawasaki.jp)', () => {
+  const match = lookupPublicSuffix('www.shop.foo.kawasaki.jp');
+  assertEqual(match.rule, '*.kawasaki.jp');
+  assertEqual(match.ruleType, PSL_RULE_TYPES.WILDCARD);
+  assertEqual(match.publicSuffix, 'foo.kawasaki.jp');
+  assertEqual(match.organizationalDomain, 'shop.foo.kawasaki.jp');
+});
+
+test('exception rule (!city.kawasaki.jp) overrides wildcard', () => {
+  const match = lookupPublicSuffix('www.city.kawasaki.jp');
+  assertEqual(match.rule, '!city.kawasaki.jp');
+  assertEqual(match.ruleType, PSL_RULE_TYPES.EXCEPTION);
+  assertEqual(match.publicSuffix, 'kawasaki.jp');
+  assertEqual(match.organizationalDomain, 'city.kawasaki.jp');
+});
+
+test('private rules can be excluded', () => {
+  const match = lookupPublicSuffix('myapp.herokuapp.com', { includePrivate: false });
+  assertEqual(match.section, PSL_SECTIONS.ICANN);
+  assertEqual(match.organizationalDomain, 'herokuapp.com');
+});
+
+test('unlisted TLD falls back to default rule', () => {
+  const match = lookupPublicSuffix('mail.example.invalidtld');
+  assertEqual(match.ruleType, PSL_RULE_TYPES.DEFAULT);
+  assertEqual(match.publicSuffix, 'invalidtld');
+  assertEqual(match.organizationalDomain, 'example.invalidtld');
+});
+
+test('public suffix is its own organizational domain', () => {
+  const match = lookupPublicSuffix('co.uk');
+  assertTrue(match.isPublicSuffix);
+  assertEqual(match.organizationalDomain, 'co.uk');
+});
+
+test('internationalized domain matched in punycode form', () => {
+  const match = lookupPublicSuffix('例え.公司.cn');
+  assertEqual(match.publicSuffix, 'xn--55qx5d.cn');
+  assertEqual(match.section, PSL_SECTIONS.ICANN);
+});
+
+test('custom rule set compiles into a trie', () => {
+  const trie = compileSuffixTrie({ icann: ['test', '*.wild.test', '!keep.wild.test'], private: [] });
+  assertTrue(trie.children.get('test').children.has('wild'));
+  assertEqual(trie.children.get('test').children.get('wild').children.get('*').rule.type, PSL_RULE_TYPES.WILDCARD);
+});
+
 // =============================================================================
 // Tests: Domain Alignment
 // =============================================================================
@@ -277,6 +458,11 @@ test('defaults to relaxed mode', () => {
   assertTrue(domainsAlign('mail.example.com', 'example.com', null));
 });
 
+test('sibling domains under a public suffix do not align', () => {
+  assertFalse(domainsAlign('example.gov.au', 'other.gov.au', 'r'));
+  assertFalse(domainsAlign('one.herokuapp.com', 'two.herokuapp.com', 'r'));
+});
+
 // =============================================================================
 // Tests: DMARC Alignment Computation
 // =============================================================================
@@ -368,6 +554,22 @@ test('strict DKIM mode rejects subdomain alignment', () => {
   assertFalse(alignment.dmarcPass, 'DMARC should fail without alignment');
 });
 
+test('alignment exposes matched public suffix rule', () => {
+  const record = {
+    identifiers: { headerFrom: 'news.example.co.uk' },
+    authResults: {
+      dkim: [{ domain: 'example.co.uk', result: 'pass' }],
+      spf: []
+    }
+  };
+  const alignment = computeAlignment(record, { adkim: 'relaxed', aspf: 'relaxed' });
+
+  assertTrue(alignment.dkimAligned);
+  assertEqual(alignment.headerFromOrgDomain, 'example.co.uk');
+  assertEqual(alignment.suffixRule.rule, 'co.uk');
+  assertEqual(alignment.suffixRule.section, 'icann');
+});
+
 // =============================================================================
 // Tests: Classification Heuristics
 // =============================================================================
@@ -394,7 +596,7 @@ test('both auth fail with no ESP leans toward spoof', () => {
   assertEqual(result.classification, CLASSIFICATION.LIKELY_SPOOF);
 });
 
-test('known ESP provider leans toward misconfiguration', () => {
+test('known ESP provider without domain setup is not authorized yet', () => {
   const record = {
     count: 10,
     alignment: { dmarcPass: false, dkimPassed: true, spfPassed: false },
@@ -402,8 +604,65 @@ test('known ESP provider leans toward misconfiguration', () => {
   };
   const providerInfo = { id: 'sendgrid', name: 'SendGrid', category: 'transactional' };
   const result = classifyRecord(record, providerInfo);
-  assertEqual(result.classification, CLASSIFICATION.LIKELY_MISCONFIG);
+  assertEqual(result.classification, CLASSIFICATION.ESP_NOT_AUTHORIZED);
   assertTrue(result.signals.some(s => s.includes('SendGrid')));
+
+  // Other known providers still lean toward misconfiguration
+  const hosting = classifyRecord(record, { id: 'ovh', name: 'OVH', category: 'hosting' });
+  assertEqual(hosting.classification, CLASSIFICATION.LIKELY_MISCONFIG);
+});
+
+test('receiver reasons and broken signatures mark forwarded mail', () => {
+  const alignment = { dmarcPass: false, dkimPassed: false, spfPassed: false, spfDomain: 'example.com', headerFrom: 'example.com', headerFromOrgDomain: 'example.com' };
+  const record = {
+    count: 4,
+    alignment,
+    policyEvaluated: { reasons: [{ type: 'forwarded', comment: null }] },
+    authResults: { dkim: [{ domain: 'example.com', result: 'fail' }], spf: [{ domain: 'example.com', result: 'fail' }] }
+  };
+  assertEqual(classifyRecord(record, null).classification, CLASSIFICATION.FORWARDED);
+
+  const upperCase = { ...record, policyEvaluated: { reasons: [{ type: 'Trusted_Forwarder', comment: null }] } };
+  assertEqual(classifyRecord(upperCase, null).classification, CLASSIFICATION.FORWARDED, 'Reason types are case-insensitive:');
+
+  // Without a reason, a broken signature relayed through a mailbox provider
+  const gmail = { id: 'google', name: 'Google', category: 'enterprise' };
+  const result = classifyRecord({ ...record, policyEvaluated: { reasons: [] } }, gmail);
+  assertEqual(result.classification, CLASSIFICATION.FORWARDED);
+  assertTrue(result.signals.some(s => s.includes('Relayed through Google')));
+
+  const arc = { ...record, policyEvaluated: { reasons: [{ type: 'local_policy', comment: 'arc=pass as.1.google.com=pass' }] } };
+  assertEqual(classifyRecord(arc, null).classification, CLASSIFICATION.FORWARDED);
+});
+
+test('re-signed messages with a broken From signature are mailing list mail', () => {
+  const record = {
+    count: 12,
+    alignment: { dmarcPass: false, dkimPassed: true, spfPassed: true, spfDomain: 'lists.example.org', headerFrom: 'example.com', headerFromOrgDomain: 'example.com' },
+    authResults: {
+      dkim: [{ domain: 'example.com', result: 'fail' }, { domain: 'lists.example.org', result: 'pass' }],
+      spf: [{ domain: 'lists.example.org', result: 'pass' }]
+    }
+  };
+  assertEqual(classifyRecord(record, null).classification, CLASSIFICATION.MAILING_LIST);
+
+  const reported = { ...record, authResults: { dkim: [], spf: [{ domain: 'lists.example.org', result: 'pass' }] }, policyEvaluated: { reasons: [{ type: 'mailing_list' }] } };
+  assertEqual(classifyRecord(reported, null).classification, CLASSIFICATION.MAILING_LIST);
+});
+
+test('own hosts failing SPF with your envelope are internal relays', () => {
+  const record = {
+    count: 30,
+    alignment: { dmarcPass: false, dkimPassed: false, spfPassed: false, spfDomain: 'mail.example.com', headerFrom: 'example.com', headerFromOrgDomain: 'example.com' },
+    authResults: { dkim: [], spf: [{ domain: 'mail.example.com', result: 'fail' }] }
+  };
+  const relay = classifyRecord(record, null, { type: 'ip', status: 'approved', owner: 'Datacenter' });
+  assertEqual(relay.classification, CLASSIFICATION.INTERNAL_RELAY);
+
+  // The same record from an unlisted host is still a spoof
+  assertEqual(classifyRecord(record, null).classification, CLASSIFICATION.LIKELY_SPOOF);
+  // An approved DKIM domain is not a host of your own
+  assertEqual(classifyRecord(record, null, { type: 'dkim', status: 'approved' }).classification, CLASSIFICATION.LIKELY_MISCONFIG);
 });
 
 test('DKIM pass with SPF fail suggests misconfiguration', () => {
@@ -452,6 +711,12 @@ test('getClassificationDisplay returns correct labels', () => {
 
   const misconfig = getClassificationDisplay(CLASSIFICATION.LIKELY_MISCONFIG);
   assertEqual(misconfig.label, 'Likely Misconfig');
+
+  for (const value of Object.values(CLASSIFICATION)) {
+    assertTrue(getClassificationDisplay(value).badgeClass.startsWith('classification-'));
+  }
+  assertEqual(getClassificationDisplay(CLASSIFICATION.FORWARDED).label, 'Forwarded');
+  assertEqual(getClassificationDisplay(CLASSIFICATION.ESP_NOT_AUTHORIZED).badgeClass, 'classification-esp');
 });
 
 // =============================================================================
@@ -609,6 +874,176 @@ test('handles missing policy', () => {
   assertEqual(result.currentPolicy, 'none');
 });
 
+// =============================================================================
+// Tests: Subdomains
+// =============================================================================
+
+console.log('\n\x1b[1mSubdomains\x1b[0m');
+
+test('lists From domains with the policy tag that applies to each', () => {
+  const policy = { domain: 'example.com', policy: 'reject', subdomainPolicy: 'quarantine', npPolicy: null };
+  const inventory = buildSubdomainInventory([
+    makeRecord('192.0.2.1', 'example.com', 100, true),
+    makeRecord('192.0.2.9', 'Example.com', 4, false),
+    makeRecord('192.0.2.2', 'news.example.com', 30, true),
+    makeRecord('198.51.100.1', 'news.example.com', 10, false),
+    makeRecord('203.0.113.5', 'billing.example.com', 40, false),
+    makeRecord('203.0.113.6', 'old.example.com', SUBDOMAIN_SPOOF_MIN_MESSAGES - 1, false)
+  ], policy);
+
+  assertDeepEqual(inventory.domains.map(d => [d.domain, d.tier, `${d.tag}=${d.policy}`, d.messages, d.spoofTarget]), [
+    ['billing.example.com', 'nonexistent', 'sp=quarantine', 40, true],
+    ['example.com', 'domain', 'p=reject', 104, false],
+    ['news.example.com', 'subdomain', 'sp=quarantine', 40, false],
+    ['old.example.com', 'nonexistent', 'sp=quarantine', 9, false]
+  ]);
+  const news = inventory.domains.find(d => d.domain === 'news.example.com');
+  assertDeepEqual([news.passRate, news.sources, news.legitimateSources], [75, 2, 1]);
+  assertEqual(inventory.spoofTargets, 1);
+
+  assertDeepEqual(inventory.tiers.map(t => [t.tier, t.domains, t.readiness.totalMessages, t.readiness.alignedPercent]), [
+    ['domain', 1, 104, 96], ['subdomain', 1, 40, 75], ['nonexistent', 2, 49, 0]
+  ]);
+  assertEqual(inventory.tiers[0].readiness.status, 'none', 'p=reject is already enforcing:');
+  assertEqual(inventory.tiers[1].readiness.currentPolicy, 'quarantine');
+});
+
+test('an approved sender keeps a subdomain from being flagged', () => {
+  const record = makeRecord('192.0.2.7', 'crm.example.com', 50, false);
+  record._sender = { status: 'approved' };
+  const inventory = buildSubdomainInventory([record], { domain: 'example.com', policy: 'none', npPolicy: 'reject' });
+  assertDeepEqual([inventory.domains[0].tier, inventory.domains[0].tag, inventory.domains[0].legitimateSources], ['nonexistent', 'np', 1]);
+  assertEqual(inventory.spoofTargets, 0);
+});
+
+test('renders the subdomain inventory escaped', () => {
+  const inventory = buildSubdomainInventory([
+    makeRecord('192.0.2.1', 'example.com', 10, true),
+    makeRecord('203.0.113.5', '<b>x</b>.example.com', 20, false)
+  ], { domain: 'example.com', policy: 'none' });
+
+  const rows = renderSubdomainRows(inventory.domains);
+  assertTrue(rows.includes('&lt;b&gt;x&lt;/b&gt;.example.com'));
+  assertFalse(rows.includes('<b>x'));
+  assertTrue(rows.includes('Spoofing target'));
+  assertTrue(renderSubdomainTierRows(inventory.tiers).includes('status-not-ready'));
+  assertTrue(describeSubdomainInventory(inventory).startsWith('1 subdomain of the policy domain seen as From domain. 1 has heavy'));
+  assertTrue(describeSubdomainInventory({ domains: [], spoofTargets: 0 }).startsWith('All mail'));
+  assertTrue(renderSubdomainRows([]).includes('No records'));
+});
+
+// =============================================================================
+// Tests: Policy Simulator
+// =============================================================================
+
+console.log('\n\x1b[1mPolicy Simulator\x1b[0m');
+
+/**
+ * Build a record for policy simulator tests, with its alignment computed
+ * under relaxed alignment
+ * @param {string} ip - Source IP
+ * @param {string} headerFrom - header_from domain
+ * @param {number} count - Messages
+ * @param {string|null} spfDomain - Passing SPF domain
+ * @param {string|null} dkimDomain - Passing DKIM domain
+ * @returns {Object} Record
+ */
+function makeSimulationRecord(ip, headerFrom, count, spfDomain, dkimDomain = null) {
+  const record = {
+    sourceIp: ip,
+    count,
+    identifiers: { headerFrom },
+    authResults: {
+      spf: spfDomain ? [{ domain: spfDomain, result: 'pass' }] : [{ domain: headerFrom, result: 'fail' }],
+      dkim: dkimDomain ? [{ domain: dkimDomain, result: 'pass' }] : []
+    }
+  };
+  record.alignment = computeAlignment(record, {});
+  return record;
+}
+
+test('applies p, sp and np by header_from and strict alignment', () => {
+  const records = [
+    makeSimulationRecord('192.0.2.1', 'example.com', 50, 'bounce.example.com', 'example.com'),
+    makeSimulationRecord('192.0.2.2', 'example.com', 10, 'bounce.example.com'),
+    makeSimulationRecord('192.0.2.3', 'news.example.com', 20, 'news.example.com'),
+    makeSimulationRecord('192.0.2.3', 'news.example.com', 5, null),
+    makeSimulationRecord('198.51.100.9', 'nope.example.com', 7, null)
+  ];
+  const policy = { domain: 'example.com', policy: 'none', adkim: 'relaxed', aspf: 'relaxed' };
+
+  const relaxed = simulatePolicy(records, policy, { policy: 'reject', subdomainPolicy: 'quarantine' });
+  assertEqual(relaxed.totalMessages, 92);
+  assertEqual(relaxed.failing, 12);
+  assertDeepEqual(relaxed.byTier.map(t => [t.tier, t.quarantined, t.rejected]), [
+    ['domain', 0, 0], ['subdomain', 5, 0], ['nonexistent', 7, 0]
+  ]);
+
+  // Strict SPF breaks the bounce.example.com record without a DKIM signature
+  const strict = simulatePolicy(records, policy, { policy: 'reject', subdomainPolicy: 'quarantine', npPolicy: 'reject', aspf: 'strict' });
+  assertEqual(strict.newlyFailing, 10);
+  assertDeepEqual(strict.byTier.map(t => [t.tier, t.quarantined, t.rejected]), [
+    ['domain', 0, 10], ['subdomain', 5, 0], ['nonexistent', 0, 7]
+  ]);
+  assertDeepEqual(strict.policy, {
+    policy: 'reject', subdomainPolicy: 'quarantine', npPolicy: 'reject', percentage: 100, adkim: 'relaxed', aspf: 'strict'
+  });
+
+  const baseline = simulatePolicy(records, policy, policy);
+  assertDeepEqual([baseline.failing, baseline.quarantined, baseline.rejected], [12, 0, 0]);
+  assertEqual(getNextSimulationPolicy('none'), 'quarantine');
+  assertEqual(getNextSimulationPolicy('quarantine'), 'reject');
+  assertEqual(getNextSimulationPolicy('reject'), 'reject');
+});
+
+test('pct sends the rest of failing mail to the next weaker policy', () => {
+  const records = [makeSimulationRecord('192.0.2.1', 'example.com', 9, null)];
+  const policy = { domain: 'example.com', policy: 'none' };
+  const reject = simulatePolicy(records, policy, { policy: 'reject', percentage: 25 });
+  assertDeepEqual([reject.rejected, reject.quarantined], [2, 7]);
+  const quarantine = simulatePolicy(records, policy, { policy: 'quarantine', percentage: 50 });
+  assertDeepEqual([quarantine.rejected, quarantine.quarantined], [0, 5]);
+});
+
+test('breaks down affected mail by classification, provider and source', () => {
+  const esp = makeSimulationRecord('192.0.2.1', 'example.com', 40, 'sendgrid.net', 'sendgrid.net');
+  esp._provider = { id: 'sendgrid', name: 'SendGrid' };
+  const spoof = makeSimulationRecord('<b>203.0.113.9</b>', 'example.com', 300, null);
+  const approved = makeSimulationRecord('192.0.2.7', 'example.com', 1, null);
+  approved._sender = { status: 'approved', owner: 'CRM' };
+  const simulation = simulatePolicy([esp, spoof, approved], { domain: 'example.com', policy: 'none' }, { policy: 'reject' });
+
+  const byClass = Object.fromEntries(simulation.byClassification.map(row => [row.classification, row.rejected]));
+  assertDeepEqual(byClass, {
+    likely_spoof: 300, likely_legit_misconfig: 41, forwarded: 0, mailing_list: 0, esp_not_authorized: 0, internal_relay: 0, unknown: 0
+  });
+  assertDeepEqual(simulation.providers.map(p => [p.name, p.sources, p.rejected]), [
+    ['Unknown provider', 2, 301], ['SendGrid', 1, 40]
+  ]);
+  assertEqual(simulation.sources[0].sourceIp, '<b>203.0.113.9</b>');
+
+  const baseline = simulatePolicy([esp, spoof, approved], { domain: 'example.com', policy: 'none' }, { policy: 'none' });
+  const summary = describeSimulationImpact(simulation, baseline);
+  assertTrue(summary.startsWith('Under p=reject; sp=reject; np=reject; pct=100; adkim=r; aspf=r, 341 of 341 messages would fail DMARC'));
+  assertTrue(summary.includes('41 of them look like legitimate mail'));
+
+  const sources = renderSimulationSourceRows(simulation.sources, 2);
+  assertTrue(sources.includes('&lt;b&gt;203.0.113.9&lt;/b&gt;'));
+  assertFalse(sources.includes('<b>203'));
+  assertTrue(sources.includes('1 more source<'));
+  assertTrue(renderSimulationProviderRows(simulation.providers).includes('SendGrid'));
+  assertTrue(renderSimulationBreakdownRows(simulation).includes('Likely Spoof'));
+  assertTrue(renderSimulationBreakdownRows(baseline).includes('Policy domain (p)'));
+  assertTrue(renderSimulationSourceRows([]).includes('No message would fail'));
+
+  const listed = makeSimulationRecord('192.0.2.9', 'example.com', 6, 'lists.example.org', 'lists.example.org');
+  listed.policyEvaluated = { reasons: [{ type: 'mailing_list', comment: null }] };
+  const listPolicy = { domain: 'example.com', policy: 'none' };
+  const listSummary = describeSimulationImpact(simulatePolicy([listed], listPolicy, { policy: 'reject' }), simulatePolicy([listed], listPolicy, listPolicy));
+  assertTrue(listSummary.includes('6 look like forwarded or mailing list mail'));
+  assertFalse(listSummary.includes('configuration problem'));
+});
+
 // =============================================================================
 // Tests: Robustness Signals
 // =============================================================================
@@ -803,6 +1238,45 @@ test('uses subdomain policy when applicable', () => {
   assertEqual(result.type, 'override');
 });
 
+test('subdomain checks ignore case and need a label boundary', () => {
+  const policy = { policy: 'none', subdomainPolicy: 'reject', domain: 'Example.com.' };
+  const record = (headerFrom) => ({
+    policyEvaluated: { disposition: 'none', reason: [] },
+    identifiers: { headerFrom },
+    alignment: { dmarcPass: false }
+  });
+  assertEqual(explainDispositionOverride(record('MAIL.example.COM'), policy).type, 'override');
+  // Not a subdomain, so p=none applies and nothing was overridden
+  assertEqual(explainDispositionOverride(record('badexample.com'), policy), null);
+});
+
+test('accepts np for a subdomain the receiver found no records for', () => {
+  const record = {
+    policyEvaluated: { disposition: 'quarantine', reason: [] },
+    identifiers: { headerFrom: 'nope.example.com' },
+    alignment: { dmarcPass: false }
+  };
+  const policy = { policy: 'reject', npPolicy: 'quarantine', domain: 'example.com' };
+  assertEqual(explainDispositionOverride(record, policy), null);
+  assertEqual(explainDispositionOverride({ ...record, policyEvaluated: { disposition: 'none' } }, policy).type, 'override');
+});
+
+test('finds the policy tag that applies to a From domain', () => {
+  const policy = { domain: 'example.com', policy: 'reject', subdomainPolicy: null, npPolicy: 'Quarantine' };
+  assertEqual(getPolicyTier('example.com', 'EXAMPLE.com.'), POLICY_TIERS.DOMAIN);
+  assertEqual(getPolicyTier('a.b.example.com', 'example.com'), POLICY_TIERS.SUBDOMAIN);
+  assertEqual(getPolicyTier('a.example.com', 'example.com', false), POLICY_TIERS.NONEXISTENT);
+  assertEqual(getPolicyTier('notexample.com', 'example.com'), POLICY_TIERS.OUTSIDE);
+  assertEqual(getPolicyTier('', 'example.com'), POLICY_TIERS.DOMAIN);
+
+  assertDeepEqual(getApplicablePolicy('a.example.com', policy), { tier: 'subdomain', tag: 'p', value: 'reject' });
+  assertDeepEqual(getApplicablePolicy('a.example.com', policy, { exists: false }), { tier: 'nonexistent', tag: 'np', value: 'quarantine' });
+  assertDeepEqual(getApplicablePolicy('a.example.com', { ...policy, subdomainPolicy: 'none', npPolicy: null }, { exists: false }),
+    { tier: 'nonexistent', tag: 'sp', value: 'none' });
+  assertDeepEqual(getApplicablePolicy('other.org', policy), { tier: 'outside', tag: 'p', value: 'reject' });
+  assertDeepEqual(getApplicablePolicy('example.com', null), { tier: 'domain', tag: 'p', value: null });
+});
+
 test('returns other for unknown override reason', () => {
   const record = {
     policyEvaluated: { disposition: 'none', reason: [] },
@@ -816,6 +1290,1683 @@ test('returns other for unknown override reason', () => {
   assertEqual(result.title, 'Disposition Override');
 });
 
+// =============================================================================
+// Tests: IP Address Model
+// =============================================================================
+
+console.log('\n\x1b[1mIP Address Model\x1b[0m');
+
+test('normalizes IPv6 to RFC 5952 form', () => {
+  assertEqual(normalizeIp('2001:0DB8:0000:0000:0000:0000:0000:0001'), '2001:db8::1');
+  assertEqual(normalizeIp('2001:db8:0:1:0:0:0:1'), '2001:db8:0:1::1');
+  // Ties compress the first run; a single zero group is not compressed
+  assertEqual(normalizeIp('1:0:0:0:1:0:0:0'), '1::1:0:0:0');
+  assertEqual(normalizeIp('2001:db8:0:1:1:1:1:1'), '2001:db8:0:1:1:1:1:1');
+  assertEqual(normalizeIp('::'), '::');
+  assertEqual(normalizeIp('[fe80::1%eth0]'), 'fe80::1');
+});
+
+test('treats IPv4-mapped IPv6 as IPv4', () => {
+  const parsed = parseIpAddress('::ffff:192.0.2.1');
+  assertEqual(parsed.version, 4);
+  assertTrue(parsed.mapped);
+  assertEqual(normalizeIp('::FFFF:c000:0201'), '192.0.2.1');
+  assertEqual(parseIpAddress('::1.2.3.4').version, 6);
+});
+
+test('rejects invalid addresses', () => {
+  for (const ip of ['1::2::3', '12345::', '1:2:3:4:5:6:7:8:9', '1:2:3:4:5:6:7:8::', '::ffff:1.2.3.256', '1.2.3', '01a.2.3.4', '', null]) {
+    assertEqual(parseIpAddress(ip), null, `${ip}:`);
+  }
+});
+
+test('matches IPv6 CIDR ranges with BigInt masks', () => {
+  assertTrue(isIpInCidr('2a00:1450:4000::1', '2a00:1450::/32'));
+  assertFalse(isIpInCidr('2a00:1451::1', '2a00:1450::/32'));
+  assertTrue(isIpInCidr('2001:db8::7fff', '2001:db8::/113'));
+  assertFalse(isIpInCidr('2001:db8::8000', '2001:db8::/113'));
+  assertTrue(isIpInCidr('2001:db8::1', '::/0'));
+  assertTrue(isIpInCidr('2001:db8::1', '2001:db8::1/128'));
+  assertFalse(isIpInCidr('2001:db8::1', '2001:db8::/129'));
+});
+
+test('keeps IPv4 and IPv6 CIDR families apart', () => {
+  assertTrue(isIpInCidr('192.0.2.5', '192.0.2.0/24'));
+  assertTrue(isIpInCidr('::ffff:192.0.2.5', '192.0.2.0/24'));
+  assertTrue(isIpInCidr('192.0.2.5', '::ffff:0:0/96'));
+  assertTrue(isIpInCidr('10.1.2.3', '0.0.0.0/0'));
+  assertFalse(isIpInCidr('2001:db8::1', '0.0.0.0/0'));
+  assertFalse(isIpInCidr('192.0.2.5', '2001:db8::/32'));
+  assertFalse(isIpInCidr('10.0.0.1', '10.0.0.0/33'));
+});
+
+test('IP filter matches any written form of an address', () => {
+  assertTrue(matchesIpFilter('2a00:1450:4000::1', '2a00:1450::/32'));
+  assertTrue(matchesIpFilter('2001:db8:0:0::1', '2001:DB8::1'));
+  assertTrue(matchesIpFilter('2a00:1450:0:0::1', '2a00:1450::'));
+  assertTrue(matchesIpFilter('2a00:1450::1', '2a00:1450:0000'));
+  assertTrue(matchesIpFilter('::ffff:192.168.1.5', '192.168.1'));
+  assertTrue(matchesIpFilter('192.168.1.10', '192.168.1.1'));
+  assertFalse(matchesIpFilter('2a00:1451::1', '2a00:1450'));
+});
+
+test('sorts IPv4 before IPv6, numerically within each family', () => {
+  const ips = ['2001:db8::10', '10.0.0.2', 'not-an-ip', '2001:db8::9', '::ffff:10.0.0.1', '9.255.255.255'];
+  const sorted = sortRecords(ips.map(sourceIp => ({ sourceIp, count: 1 })), 'ip').map(r => r.sourceIp);
+  assertDeepEqual(sorted, ['9.255.255.255', '::ffff:10.0.0.1', '10.0.0.2', '2001:db8::9', '2001:db8::10', 'not-an-ip']);
+  assertEqual(compareIps('2001:db8::1', '2001:DB8:0::1'), 0);
+});
+
+test('top senders merge differently written forms of one address', () => {
+  const records = [
+    { sourceIp: '2001:db8::1', count: 3 },
+    { sourceIp: '2001:DB8:0:0:0:0:0:1', count: 2 },
+    { sourceIp: '::ffff:192.0.2.1', count: 1 },
+    { sourceIp: '192.0.2.1', count: 1 }
+  ];
+  const geo = new Map([['2001:db8::1', { country: 'Testland' }]]);
+  const analysis = calculateAnalysis(records, geo);
+  assertEqual(analysis.topSenders.length, 2);
+  assertEqual(analysis.topSenders[0].ip, '2001:db8::1');
+  assertEqual(analysis.topSenders[0].count, 5);
+  assertEqual(analysis.topSenders[0].geo.country, 'Testland');
+  assertEqual(analysis.topSenders[1].ip, '192.0.2.1');
+  assertEqual(analysis.topSenders[1].count, 2);
+});
+
+// =============================================================================
+// Tests: Offline IP Intelligence
+// =============================================================================
+
+console.log('\n\x1b[1mOffline IP Intelligence\x1b[0m');
+
+const IP_DATASET_CSV = [
+  'network,autonomous_system_number,autonomous_system_organization,country_iso_code',
+  '192.0.2.0/24,64500,"Example Transit",US',
+  '192.0.2.128/25,64501,"Example Mail Relay",DE',
+  '209.85.128.0/17,15169,"Google LLC",US',
+  '2001:db8::/32,64510,"Example IPv6 Net",NL',
+  '2001:db8:beef::/48,64511,"Example IPv6 Mail",FR'
+].join('\n');
+
+test('parses CIDR networks and splits ranges into CIDR blocks', () => {
+  const network = parseNetwork('192.0.2.77/24');
+  assertEqual(network.value, 0xc0000200n);
+  assertEqual(network.prefixLength, 24);
+  assertEqual(parseNetwork('::ffff:192.0.2.0/120').prefixLength, 24);
+  assertEqual(parseNetwork('2001:db8::1').prefixLength, 128);
+  assertEqual(parseNetwork('192.0.2.0/33'), null);
+  assertEqual(parseNetwork('not-a-network'), null);
+
+  assertDeepEqual(rangeToCidrs(0n, 0xffffffffn, 32).map(b => b.prefixLength), [0]);
+  // 10..20 = 10/31, 12/30, 16/30, 20/32
+  assertDeepEqual(rangeToCidrs(10n, 20n, 32).map(b => b.prefixLength), [31, 30, 30, 32]);
+});
+
+test('longest prefix wins for nested IPv4 and IPv6 networks', () => {
+  const { networks, skipped } = parseIpDatasetCsv(IP_DATASET_CSV);
+  assertEqual(skipped, 0);
+  const table = createPrefixTable(networks);
+
+  assertEqual(table.lookup('192.0.2.5').entry.asn, 64500);
+  assertEqual(table.lookup('192.0.2.200').entry.asn, 64501);
+  assertEqual(table.lookup('192.0.2.200').network, '192.0.2.128/25');
+  assertEqual(table.lookup('::ffff:192.0.2.200').entry.asn, 64501);
+  assertEqual(table.lookup('2001:db8:beef::25').network, '2001:db8:beef::/48');
+  assertEqual(table.lookup('2001:DB8:1::25').entry.asOrg, 'Example IPv6 Net');
+  assertEqual(table.lookup('198.51.100.1'), null);
+  assertEqual(table.lookup('garbage'), null);
+});
+
+test('reads headerless iptoasn range rows and drops unrouted space', () => {
+  const { networks } = parseIpDatasetCsv([
+    '192.0.2.128\t192.0.2.255\t64501\tDE\tExample Mail Relay',
+    '198.51.100.0\t198.51.100.9\t0\tNone\tNot routed'
+  ].join('\n'));
+  const table = createPrefixTable(networks);
+
+  assertEqual(table.lookup('192.0.2.130').entry.countryCode, 'DE');
+  assertEqual(table.lookup('198.51.100.3'), null, 'AS0 row:');
+});
+
+test('offline matches use the online geo shape and fingerprint providers', () => {
+  const table = createPrefixTable(parseIpDatasetCsv(IP_DATASET_CSV).networks);
+  const geo = offlineMatchToGeo('209.85.220.41', table.lookup('209.85.220.41'));
+
+  assertDeepEqual(Object.keys(geo), ['ip', 'country', 'countryCode', 'flag', 'city', 'isp', 'org', 'asn', 'hostname']);
+  assertEqual(geo.asn, 'AS15169 Google LLC');
+  assertEqual(geo.country, 'United States');
+  assertEqual(geo.flag, '\u{1F1FA}\u{1F1F8}');
+  assertEqual(geo.hostname, null);
+  assertEqual(fingerprintProvider(geo).id, 'google');
+  assertDeepEqual(offlineMatchToGeo('198.51.100.1', null), { error: true, ip: '198.51.100.1' });
+});
+
+test('rejects unreadable datasets with IP_DATASET_INVALID', () => {
+  assertThrows(() => parseIpDatasetCsv(''), 'Invalid IP dataset');
+  assertThrows(() => parseIpDatasetCsv('foo,bar\nbaz,qux'), 'unrecognized column layout');
+  assertThrows(() => parseIpDatasetCsv('network,asn\nnope,1'), 'no usable rows');
+  assertThrows(() => createMmdbReader(new Uint8Array(64)), 'metadata not found');
+
+  try {
+    parseIpDatasetCsv('network,asn\nnope,1');
+  } catch (err) {
+    assertEqual(DmarcError.fromError(err).code, ErrorCodes.IP_DATASET_INVALID);
+  }
+});
+
+// =============================================================================
+// Tests: Lookup Providers
+// =============================================================================
+
+console.log('\n\x1b[1mLookup Providers\x1b[0m');
+
+test('token bucket allows a burst, then refills over time', () => {
+  let time = 0;
+  const bucket = createTokenBucket({ capacity: 2, refillPerMinute: 6 }, { now: () => time });
+
+  assertTrue(bucket.tryTake());
+  assertTrue(bucket.tryTake());
+  assertFalse(bucket.tryTake());
+  assertEqual(bucket.msUntilToken(), 10000);
+
+  time = 5000;
+  assertFalse(bucket.tryTake());
+  assertEqual(bucket.msUntilToken(), 5000);
+  time = 10000;
+  assertTrue(bucket.tryTake());
+
+  // Refill never exceeds capacity
+  time = 600000;
+  bucket.drain();
+  assertEqual(bucket.msUntilToken(), 10000);
+});
+
+test('ipinfo field map handles classic and lite responses', () => {
+  const ipinfo = GEO_PROVIDERS.ipinfo;
+  const fieldMap = ipinfo.fieldMap({});
+  const [classic] = ipinfo.parseResponse(
+    { ip: '8.8.8.8', hostname: 'dns.google', city: 'Mountain View', country: 'US', org: 'AS15169 Google LLC' },
+    ['8.8.8.8']
+  );
+  const geo = mapGeoFields('8.8.8.8', classic, fieldMap);
+
+  assertEqual(geo.country, 'United States');
+  assertEqual(geo.countryCode, 'US');
+  assertEqual(geo.org, 'Google LLC');
+  assertEqual(geo.asn, 'AS15169 Google LLC');
+  assertEqual(geo.hostname, 'dns.google');
+
+  const lite = mapGeoFields('192.0.2.1',
+    { asn: 'AS64500', as_name: 'Example Transit', country_code: 'DE', country: 'Germany' }, fieldMap);
+  assertEqual(lite.country, 'Germany');
+  assertEqual(lite.isp, 'Example Transit');
+  assertEqual(lite.asn, 'AS64500 Example Transit');
+  assertEqual(lite.city, null);
+
+  assertDeepEqual(ipinfo.parseResponse({ '10.0.0.1': { bogon: true } }, ['10.0.0.1', '10.0.0.2']), [null, null]);
+});
+
+test('ipinfo sends the access token as a bearer header', () => {
+  const options = { ...GEO_PROVIDERS.ipinfo.defaults, baseUrl: 'https://ipinfo.io/', accessToken: 'abc' };
+  const single = GEO_PROVIDERS.ipinfo.buildRequest(['192.0.2.1'], options);
+  assertEqual(single.url, 'https://ipinfo.io/192.0.2.1/json');
+  assertEqual(single.init.headers.Authorization, 'Bearer abc');
+
+  const batch = GEO_PROVIDERS.ipinfo.buildRequest(['192.0.2.1', '192.0.2.2'], options);
+  assertEqual(batch.url, 'https://ipinfo.io/batch');
+  assertEqual(batch.init.headers.Authorization, 'Bearer abc');
+  assertEqual(batch.init.headers['Content-Type'], 'application/json');
+
+  const anonymous = GEO_PROVIDERS.ipinfo.buildRequest(['192.0.2.1'], GEO_PROVIDERS.ipinfo.defaults);
+  assertDeepEqual(anonymous.init.headers, {});
+});
+
+test('normalizes stored provider chains and overlays defaults', () => {
+  const settings = normalizeGeoProviderSettings({
+    chain: [{ id: 'offline', enabled: true }, { id: 'unknown', enabled: true }, { id: 'offline', enabled: false }],
+    options: { ipinfo: { accessToken: 'abc', batchSize: '' } }
+  });
+
+  assertDeepEqual(settings.chain.map(item => item.id), ['offline', 'ip-api', 'ipinfo', 'self-hosted']);
+  assertDeepEqual(settings.chain.map(item => item.enabled), [true, false, false, false]);
+
+  const options = getGeoProviderOptions(GEO_PROVIDERS.ipinfo, settings);
+  assertEqual(options.accessToken, 'abc');
+  assertEqual(options.batchSize, 100, 'empty value falls back to default:');
+  assertEqual(GEO_PROVIDERS.ipinfo.maxBatchSize(options), 100);
+  assertEqual(GEO_PROVIDERS.ipinfo.maxBatchSize(GEO_PROVIDERS.ipinfo.defaults), 1);
+
+  const defaults = normalizeGeoProviderSettings(undefined);
+  assertDeepEqual(defaults.chain.filter(item => item.enabled).map(item => item.id), ['ip-api']);
+});
+
+test('validates provider options and derives host permissions', () => {
+  const selfHosted = GEO_PROVIDERS['self-hosted'];
+  const options = { ...selfHosted.defaults, url: 'https://geo.example.com/ip/{ip}', batchUrl: 'https://batch.example.net/' };
+
+  assertDeepEqual(validateGeoProviderOptions('self-hosted', options), []);
+  assertDeepEqual(selfHosted.origins(options), ['https://geo.example.com/*', 'https://batch.example.net/*']);
+
+  assertEqual(validateGeoProviderOptions('self-hosted', { ...options, url: 'https://geo.example.com/' }).length, 1);
+  assertEqual(validateGeoProviderOptions('self-hosted', { ...options, fieldMap: '[1]' })[0], 'Field map must be a JSON object');
+  assertEqual(validateGeoProviderOptions('ipinfo', { baseUrl: 'ftp://x', batchSize: 0 }).length, 2);
+  assertDeepEqual(validateGeoProviderOptions('ip-api', GEO_PROVIDERS['ip-api'].defaults), []);
+});
+
+// =============================================================================
+// Tests: SPF Evaluation
+// =============================================================================
+
+console.log('\n\x1b[1mSPF Evaluation\x1b[0m');
+
+test('parses SPF mechanisms, qualifiers, CIDR lengths and modifiers', () => {
+  const record = parseSpfRecord('v=spf1 ip4:192.0.2.0/24 ip6:2001:db8::/32 a/28//64 ~mx:mail.example.com include:_spf.example.net exp=explain.example.com unknown=ignored redirect=_spf.example.org');
+
+  assertEqual(record.error, null);
+  assertEqual(record.mechanisms.map(entry => `${entry.qualifier}${entry.mechanism}`).join(' '), '+ip4 +ip6 +a ~mx +include');
+  assertEqual(record.mechanisms[0].network, '192.0.2.0/24');
+  assertEqual(record.mechanisms[1].network, '2001:db8::/32');
+  assertEqual(`${record.mechanisms[2].domain} ${record.mechanisms[2].cidr4} ${record.mechanisms[2].cidr6}`, 'null 28 64');
+  assertEqual(record.mechanisms[3].domain, 'mail.example.com');
+  assertEqual(record.redirect, '_spf.example.org');
+  assertEqual(record.exp, 'explain.example.com');
+  assertEqual(parseSpfRecord('v=spf1 ip4:192.0.2.1').mechanisms[0].network, '192.0.2.1/32');
+});
+
+test('rejects malformed SPF records with the offending term', () => {
+  assertEqual(parseSpfRecord('v=spf10 -all').error, 'the record does not start with v=spf1');
+  assertEqual(parseSpfRecord('v=spf1 include:a.example redirect=b.example redirect=c.example').error, 'the redirect= modifier appears more than once');
+  assertEqual(parseSpfRecord('v=spf1 ip4:192.0.2.0/33 -all').error, '"ip4:192.0.2.0/33" is not a valid ip4 network');
+  assertEqual(parseSpfRecord('v=spf1 ip6:192.0.2.1 -all').error, '"ip6:192.0.2.1" is not a valid ip6 network');
+  assertEqual(parseSpfRecord('v=spf1 include -all').error, '"include" needs a domain');
+  assertEqual(parseSpfRecord('v=spf1 +foo -all').error, 'unknown term "+foo"');
+  assertEqual(parseSpfRecord('v=spf1 all:example.com').error, '"all:example.com" takes no argument');
+});
+
+test('expands SPF macros for IPv4 and IPv6 sources', () => {
+  const context = { ip: '192.0.2.3', domain: 'example.com', sender: 'postmaster@example.com', helo: 'example.com' };
+
+  assertEqual(expandSpfMacros('%{ir}.%{v}._spf.%{d}', context), '3.2.0.192.in-addr._spf.example.com');
+  assertEqual(expandSpfMacros('%{d2}', { ...context, domain: 'mail.eu.example.com' }), 'example.com');
+  assertEqual(expandSpfMacros('%{l}.%{o}', context), 'postmaster.example.com');
+  assertEqual(expandSpfMacros('%{s}%%%_', context), 'postmaster@example.com% ');
+  assertEqual(expandSpfMacros('%{i}', { ...context, ip: '2001:db8::1' }).split('.').length, 32);
+  assertEqual(expandSpfMacros('%{x}.example.com', context), null);
+  assertEqual(expandSpfMacros('%a.example.com', context), null);
+});
+
+test('parses zone files with origins, owners carried over and multi-string TXT', () => {
+  const { records, skipped } = parseZoneFile([
+    '$ORIGIN example.com.',
+    '$TTL 3600',
+    '@ IN SOA ns1 hostmaster ( 1 7200 900 1209600 300 )',
+    '@ 300 IN TXT "v=spf1 include:_spf.example.net" " -all" ; split record',
+    '  IN MX 20 mx2',
+    '  IN MX 10 mx1.example.net.',
+    'mx2 IN A 192.0.2.25',
+    'www CNAME @',
+    'broken IN A'
+  ].join('\n'));
+
+  assertEqual(skipped, 1);
+  assertEqual(records.map(record => `${record.name} ${record.type} ${record.data}`).join('|'), [
+    'example.com TXT v=spf1 include:_spf.example.net -all',
+    'example.com MX mx2.example.com',
+    'example.com MX mx1.example.net',
+    'mx2.example.com A 192.0.2.25',
+    'www.example.com CNAME example.com'
+  ].join('|'));
+  assertEqual(records[2].preference, 10);
+});
+
+test('takes the SPF domain of a record from its SPF result, then its envelope', () => {
+  assertEqual(getRecordSpfDomain({ authResults: { spf: [{ domain: 'Bounce.Example.com.' }] }, identifiers: { headerFrom: 'example.com' } }), 'bounce.example.com');
+  assertEqual(getRecordSpfDomain({ authResults: { spf: [] }, identifiers: { envelopeFrom: 'mail.example.com', headerFrom: 'example.com' } }), 'mail.example.com');
+  assertEqual(getRecordSpfDomain({ identifiers: { headerFrom: 'example.com' } }), 'example.com');
+});
+
+test('accepts only https DNS-over-HTTPS endpoints', () => {
+  assertEqual(validateDohEndpoint(''), null);
+  assertEqual(validateDohEndpoint('https://cloudflare-dns.com/dns-query'), null);
+  assertEqual(validateDohEndpoint('http://dns.example.com/resolve'), 'The DNS-over-HTTPS endpoint must use https://');
+  assertEqual(validateDohEndpoint('not a url'), 'The DNS-over-HTTPS endpoint is not a valid URL');
+  assertEqual(normalizeSpfResolverSettings({ dohEndpoint: ' https://dns.google/resolve ' }).dohEndpoint, 'https://dns.google/resolve');
+  assertEqual(normalizeSpfResolverSettings({ dohEndpoint: 'http://dns.google/resolve' }).dohEndpoint, '');
+  assertEqual(normalizeSpfResolverSettings(null).dohEndpoint, '');
+});
+
+test('summarizes and renders SPF evaluations', () => {
+  const evaluation = (result, reason, lookups = 1) => ({
+    result,
+    reason,
+    lookups,
+    voidLookups: 0,
+    trace: [
+      { depth: 0, domain: 'example.com', term: 'include:_spf.example.net', outcome: 'match' },
+      { depth: 1, domain: '_spf.example.net', term: 'ip4:192.0.2.0/24', outcome: 'match' }
+    ]
+  });
+  const results = [
+    { sourceIp: '192.0.2.1', spfDomain: 'example.com', messages: 12, reported: 'fail', evaluation: evaluation('pass', 'Authorized by <ip4>') },
+    { sourceIp: '198.51.100.5', spfDomain: 'example.com', messages: 3, reported: 'fail', evaluation: evaluation('fail', 'Not covered') },
+    { sourceIp: '203.0.113.9', spfDomain: 'example.org', messages: 1, reported: 'permerror', evaluation: evaluation('permerror', 'Too many lookups', 11) }
+  ];
+
+  const summary = describeSpfEvaluations(results);
+  assertTrue(summary.startsWith('3 sources evaluated: 1 authorized by the current records, 1 not authorized, 1 with errors.'));
+  assertTrue(summary.includes('1 exceeds a DNS lookup limit'));
+  assertTrue(summary.includes('1 evaluates differently than the receiver reported'));
+  assertTrue(describeSpfEvaluations([]).startsWith('No source to evaluate'));
+
+  const rows = renderSpfEvaluationRows(results, 2);
+  assertTrue(rows.includes('row-partial'), 'A source the receiver failed but the records authorize is highlighted');
+  assertTrue(rows.includes('Authorized by &lt;ip4&gt;'));
+  assertTrue(rows.includes('1 more source'));
+
+  const details = renderSpfEvaluationDetails(results[0].evaluation);
+  assertTrue(details.includes('padding-left: 16px'), 'Included records are indented');
+  assertTrue(details.includes('1 of 10 DNS lookups'));
+  assertEqual(renderSpfEvaluationDetails(null), '');
+});
+
+// =============================================================================
+// Tests: DMARC Record
+// =============================================================================
+
+console.log('\n\x1b[1mDMARC Record\x1b[0m');
+
+test('parses and validates every DMARC tag', () => {
+  const parsed = parseDmarcRecord('v=DMARC1; p=Quarantine; sp=reject; np=reject; pct=50; adkim=s; aspf=r; fo=1:d; ri=86400; rua=mailto:dmarc@example.com,mailto:agg@vendor.net!10m; ruf=mailto:forensic@example.com');
+  assertTrue(parsed.valid);
+  assertEqual(parsed.tags.p, 'quarantine');
+  assertEqual(parsed.tags.pct, '50');
+  assertEqual(parsed.tags.fo, '1:d');
+  assertEqual(parsed.tags.rua.length, 2);
+  assertEqual(parsed.tags.rua[1].domain, 'vendor.net');
+  assertEqual(parsed.tags.rua[1].size, '10m');
+  assertEqual(parsed.warnings.length, 0);
+
+  // Quoted TXT strings from DNS output are joined
+  assertEqual(parseDmarcRecord('"v=DMARC1; p=" "none"').tags.p, 'none');
+});
+
+test('reports syntax errors per term', () => {
+  const parsed = parseDmarcRecord('v=DMARC1; p=block; pct=150; adkim=x; fo=2; ri=soon; rua=dmarc@example.com; ruf=mailto:nobody; p=none; junk');
+  assertFalse(parsed.valid);
+  const messages = parsed.errors.map(error => error.message);
+  assertTrue(messages.includes('p must be none, quarantine or reject'));
+  assertTrue(messages.includes('pct must be a whole number from 0 to 100'));
+  assertTrue(messages.includes('adkim must be r (relaxed) or s (strict)'));
+  assertTrue(messages.includes('fo must be a colon-separated list of 0, 1, d and s'));
+  assertTrue(messages.includes('ri must be a number of seconds'));
+  assertTrue(messages.some(message => message.startsWith('rua: ')), 'A rua without a scheme is an error');
+  assertTrue(messages.some(message => message.startsWith('ruf: ')), 'A ruf without an address is an error');
+  assertTrue(messages.includes('p is set more than once'));
+  assertTrue(messages.includes('"junk" is not a tag=value pair'));
+
+  assertEqual(parseDmarcRecord('p=none; v=DMARC1').errors.length, 2, 'v must come first');
+  assertTrue(parseDmarcRecord('v=DMARC1; rua=mailto:d@example.com').errors.some(error => error.tag === 'p'), 'p is required');
+  assertEqual(parseDmarcRecord('').errors[0].message, 'The record is empty');
+
+  const warned = parseDmarcRecord('v=DMARC1; p=none; SP=reject; foo=bar');
+  assertTrue(warned.valid, 'Unknown tags are ignored by receivers, not errors');
+  assertEqual(warned.warnings.length, 2);
+  assertTrue(warned.warnings[0].message.includes('case-sensitive'));
+});
+
+test('builds records in canonical tag order', () => {
+  const parsed = parseDmarcRecord('v=DMARC1; rua=mailto:d@example.com; p=none');
+  assertEqual(buildDmarcRecord(parsed.tags), 'v=DMARC1; p=none; rua=mailto:d@example.com');
+  assertEqual(buildDmarcRecord({ p: 'reject', pct: null, sp: '', rua: [] }), 'v=DMARC1; p=reject');
+
+  const tags = getPolicyRecordTags({
+    domain: 'example.com', policy: 'quarantine', subdomainPolicy: 'none', npPolicy: null,
+    adkim: 'strict', aspf: 'relaxed', percentage: 100, failureOptions: '1'
+  });
+  assertEqual(buildDmarcRecord(tags), 'v=DMARC1; p=quarantine; sp=none; adkim=s; aspf=r; pct=100; fo=1');
+  assertDeepEqual(getPolicyRecordTags(null), {});
+});
+
+test('proposes the next step from enforcement readiness', () => {
+  const safe = { status: 'safe', alignedPercent: 99, statusText: 'Ready for Quarantine', recommendation: '' };
+  const monitored = proposeDmarcRecord(parseDmarcRecord('v=DMARC1; p=none; rua=mailto:d@example.com'), safe);
+  assertEqual(monitored.record, 'v=DMARC1; p=quarantine; rua=mailto:d@example.com');
+  assertEqual(monitored.changes[0].from, 'none');
+  assertTrue(monitored.notes.some(note => note.startsWith('sp is unset')));
+
+  // A partial rollout finishes before p moves up
+  const partial = proposeDmarcRecord(parseDmarcRecord('v=DMARC1; p=quarantine; pct=25'), safe);
+  assertEqual(partial.record, 'v=DMARC1; p=quarantine');
+  assertEqual(partial.changes[0].tag, 'pct');
+  assertTrue(partial.notes.some(note => note.startsWith('Add rua')));
+
+  const notReady = proposeDmarcRecord(
+    parseDmarcRecord('v=DMARC1; p=none; rua=mailto:d@example.com'),
+    { status: 'not-ready', alignedPercent: 60, recommendation: 'Fix the failing sources.' }
+  );
+  assertEqual(notReady.changes.length, 0);
+  assertEqual(notReady.notes[0], 'Keep p=none: Fix the failing sources.');
+
+  const atReject = proposeDmarcRecord(parseDmarcRecord('v=DMARC1; p=reject; rua=mailto:d@example.com'), { status: 'none' });
+  assertEqual(atReject.changes.length, 0);
+  assertEqual(atReject.notes.length, 0);
+});
+
+test('compares a record with the published policy', () => {
+  const policy = {
+    domain: 'example.com', policy: 'none', subdomainPolicy: null, npPolicy: null,
+    adkim: 'relaxed', aspf: 'relaxed', percentage: 100, failureOptions: null
+  };
+  const rows = diffDmarcRecord(parseDmarcRecord('v=DMARC1; p=quarantine; sp=none; aspf=s'), policy);
+  const byTag = Object.fromEntries(rows.map(row => [row.tag, row]));
+  assertEqual(rows.length, 7);
+  assertFalse(byTag.p.matches);
+  assertTrue(byTag.sp.matches, 'An unset sp follows p');
+  assertFalse(byTag.aspf.matches);
+  assertTrue(byTag.pct.matches, 'An unset pct is 100');
+  assertTrue(byTag.fo.matches, 'An unset fo is 0');
+
+  const dmarcbis = diffDmarcRecord(parseDmarcRecord('v=DMARC1; p=none; t=y'), { ...policy, testing: false });
+  assertFalse(dmarcbis.find(row => row.tag === 't').matches);
+
+  const html = renderDmarcRecordDiffRows(rows);
+  assertEqual((html.match(/row-partial/g) || []).length, 2);
+  assertTrue(renderDmarcRecordDiffRows([]).includes('No published policy'));
+});
+
+test('flags report destinations that need authorization', () => {
+  const parsed = parseDmarcRecord('v=DMARC1; p=none; rua=mailto:dmarc@example.com,mailto:agg@vendor.net; ruf=mailto:f@mail.example.com');
+  const external = findExternalReportDestinations(parsed, 'example.com');
+  assertEqual(external.length, 1, 'Subdomains of the organizational domain need no authorization');
+  assertEqual(external[0].destination, 'vendor.net');
+  assertEqual(external[0].authorizationRecord, 'example.com._report._dmarc.vendor.net');
+  assertEqual(findExternalReportDestinations(parsed, null).length, 0);
+  assertTrue(renderExternalDestinationWarnings(external).includes('example.com._report._dmarc.vendor.net TXT'));
+  assertEqual(renderExternalDestinationWarnings([]), '');
+});
+
+test('highlights faulty terms of a record', () => {
+  const parsed = parseDmarcRecord('v=DMARC1; p=none; pct=<b>; foo=bar');
+  const html = renderDmarcRecordHighlight(parsed);
+  assertTrue(html.includes('<span class="record-term-error" title="pct must be a whole number from 0 to 100"> pct=&lt;b&gt;</span>'));
+  assertTrue(html.includes('record-term-warn'));
+  assertTrue(html.startsWith('<code class="record-highlight">v=DMARC1; p=none;'));
+  assertEqual(describeDmarcRecord(parsed), 'The record has 1 error and 1 warning.');
+  assertEqual(describeDmarcRecord(parseDmarcRecord('v=DMARC1; p=none')), 'The record is valid.');
+});
+
+// =============================================================================
+// Tests: Provider Playbooks
+// =============================================================================
+
+console.log('\n\x1b[1mProvider Playbooks\x1b[0m');
+
+/**
+ * Build a failing record sent through a provider
+ */
+function playbookRecord(providerId, name, overrides = {}) {
+  return {
+    sourceIp: '192.0.2.10',
+    count: 5,
+    policyEvaluated: { disposition: 'none', dkim: 'fail', spf: 'fail' },
+    identifiers: { headerFrom: 'Example.com' },
+    authResults: { dkim: [], spf: [] },
+    alignment: { dmarcPass: false },
+    _provider: { id: providerId, name, category: 'esp' },
+    _classification: { classification: 'likely_legit_misconfig' },
+    ...overrides
+  };
+}
+
+test('has a playbook for every fingerprinted provider', () => {
+  for (const provider of PROVIDERS) {
+    const playbook = getProviderPlaybook(provider.id);
+    assertTrue(playbook !== null, `Missing playbook for ${provider.id}`);
+    assertTrue(typeof playbook.alignment === 'string' && playbook.alignment.length > 0);
+    assertTrue(Array.isArray(playbook.spf) && Array.isArray(playbook.dkim));
+  }
+  assertEqual(Object.keys(PROVIDER_PLAYBOOKS).length, PROVIDERS.length);
+  assertEqual(getProviderPlaybook('unknown'), null);
+  assertEqual(getProviderPlaybook('constructor'), null);
+});
+
+test('selects remediation steps by failing check', () => {
+  const sendgrid = PROVIDER_PLAYBOOKS.sendgrid;
+  assertDeepEqual(getProviderRemediationSteps('sendgrid', { spf: true, dkim: false }), sendgrid.spf);
+  assertDeepEqual(getProviderRemediationSteps('sendgrid', { spf: false, dkim: true }), sendgrid.dkim);
+  assertDeepEqual(getProviderRemediationSteps('mailchimp', { spf: true, dkim: false }), PROVIDER_PLAYBOOKS.mailchimp.dkim,
+    'A provider whose SPF cannot align falls back to DKIM');
+  assertDeepEqual(getProviderRemediationSteps('unknown', { spf: true, dkim: true }), []);
+});
+
+test('diagnoses a fingerprinted provider but not a spoof', () => {
+  const record = playbookRecord('amazon_ses', 'Amazon SES', {
+    policyEvaluated: { disposition: 'none', dkim: 'pass', spf: 'fail' }
+  });
+  const issue = getProviderDiagnosis(record);
+  assertEqual(issue.type, 'provider');
+  assertEqual(issue.title, 'Amazon SES Setup');
+  assertDeepEqual(issue.recommendations, PROVIDER_PLAYBOOKS.amazon_ses.spf);
+
+  assertEqual(getProviderDiagnosis({ ...record, _classification: { classification: 'likely_spoof' } }), null);
+  assertEqual(getProviderDiagnosis({ ...record, _classification: { classification: 'mailing_list' } }), null);
+  assertEqual(getProviderDiagnosis({ ...record, _provider: null }), null);
+  assertEqual(getProviderDiagnosis({ ...record, policyEvaluated: { dkim: 'pass', spf: 'pass' } }), null);
+  assertTrue(getRecordDiagnosis(record).some(item => item.type === 'provider'));
+});
+
+test('builds a fix plan per failing provider', () => {
+  const records = [
+    playbookRecord('sendgrid', 'SendGrid', { policyEvaluated: { dkim: 'pass', spf: 'fail' } }),
+    playbookRecord('sendgrid', 'SendGrid', { sourceIp: '192.0.2.11', count: 2 }),
+    playbookRecord('mailchimp', 'Mailchimp', { count: 4 }),
+    playbookRecord('amazon_ses', 'Amazon SES', { count: 9, _classification: { classification: 'likely_spoof' } }),
+    playbookRecord('sendgrid', 'SendGrid', { count: 50, alignment: { dmarcPass: true } }),
+    playbookRecord(null, null, { count: 3, _provider: null }),
+    playbookRecord('google', 'Google Workspace', { count: 6, _classification: { classification: 'forwarded' } })
+  ];
+  const plan = buildFixPlan(records);
+  assertEqual(plan.failingMessages, 29);
+  assertEqual(plan.spoofMessages, 9);
+  assertEqual(plan.indirectMessages, 6);
+  assertEqual(plan.unknownMessages, 3);
+  assertDeepEqual(plan.providers.map(item => item.id), ['sendgrid', 'mailchimp']);
+
+  const sendgrid = plan.providers[0];
+  assertEqual(sendgrid.messages, 7);
+  assertEqual(sendgrid.spfFailing, 7);
+  assertEqual(sendgrid.dkimFailing, 2);
+  assertDeepEqual(sendgrid.sources, ['192.0.2.10', '192.0.2.11']);
+  assertDeepEqual(sendgrid.headerFroms, ['example.com']);
+  assertDeepEqual(sendgrid.steps, [...PROVIDER_PLAYBOOKS.sendgrid.spf, ...PROVIDER_PLAYBOOKS.sendgrid.dkim]);
+
+  assertTrue(describeFixPlan(plan).startsWith('2 known providers sent failing mail.'));
+  assertEqual(describeFixPlan(buildFixPlan([])), 'Every message in this report passed DMARC.');
+  const html = renderFixPlanSteps(plan);
+  assertEqual((html.match(/class="fix-plan-steps"/g) || []).length, 2);
+  assertFalse(renderFixPlanSteps({ providers: [{ ...sendgrid, name: '<b>x</b>' }] }).includes('<b>x</b>'));
+});
+
+// =============================================================================
+// Tests: Report Library
+// =============================================================================
+
+console.log('\n\x1b[1mReport Library\x1b[0m');
+
+/**
+ * Build a minimal parsed report for library tests
+ * @param {string} orgName - Reporter
+ * @param {string} reportId - Report id
+ * @param {string} domain - Policy domain
+ * @param {string} day - Report end day (YYYY-MM-DD)
+ * @returns {Object} Parsed report shape
+ */
+function makeLibraryReport(orgName, reportId, domain, day) {
+  const end = new Date(`${day}T00:00:00Z`);
+  return {
+    metadata: { orgName, reportId, email: 'noreply@example.net', dateRange: { begin: new Date(end - 86400000), end } },
+    policy: { domain, policy: 'quarantine', percentage: 100 },
+    summary: { totalMessages: 10, passedBoth: 7, passedDkim: 8, passedSpf: 9, dmarcAligned: 8, quarantined: 2, rejected: 0 },
+    records: [{}, {}]
+  };
+}
+
+test('library entries are keyed by org_name and report_id', () => {
+  const entry = createLibraryEntry(makeLibraryReport(' google.com ', 'r1', 'Example.COM', '2026-01-10'), {
+    filename: 'google.zip',
+    size: 1234,
+    storedAt: '2026-01-11T00:00:00.000Z'
+  });
+
+  assertEqual(entry.id, getLibraryReportId('google.com', 'r1'));
+  assertEqual(entry.orgName, 'google.com');
+  assertEqual(entry.domain, 'example.com');
+  assertEqual(entry.dateEnd, Date.UTC(2026, 0, 10));
+  assertEqual(entry.policy.policy, 'quarantine');
+  assertEqual(entry.summary.passedBoth, 7);
+  assertEqual(entry.recordCount, 2);
+  assertEqual(entry.filename, 'google.zip');
+
+  assertTrue(getLibraryReportId('a', 'r1') !== getLibraryReportId('b', 'r1'), 'Same id from another reporter:');
+  assertEqual(getLibraryReportId('Google.COM', 'r1'), getLibraryReportId('google.com', 'r1'), 'Org case:');
+  assertEqual(createLibraryEntry(makeLibraryReport('Google.COM', 'r1', 'example.com', '2026-01-10')).orgName, 'Google.COM');
+  assertEqual(createLibraryEntry(makeLibraryReport('google.com', '', 'example.com', '2026-01-10')), null);
+});
+
+test('filters library entries by domain, reporter and overlapping dates', () => {
+  const entries = [
+    createLibraryEntry(makeLibraryReport('google.com', 'g1', 'example.com', '2026-01-10')),
+    createLibraryEntry(makeLibraryReport('google.com', 'g2', 'example.org', '2026-01-12')),
+    createLibraryEntry(makeLibraryReport('Yahoo', 'y1', 'example.com', '2026-01-11'))
+  ];
+
+  assertDeepEqual(filterLibraryEntries(entries).map(e => e.reportId), ['g2', 'y1', 'g1']);
+  assertDeepEqual(filterLibraryEntries(entries, { domain: 'EXAMPLE.com' }).map(e => e.reportId), ['y1', 'g1']);
+  assertDeepEqual(filterLibraryEntries(entries, { reporter: 'google.com' }).map(e => e.reportId), ['g2', 'g1']);
+  // y1 covers Jan 10-11, so it overlaps a range starting on the 11th
+  assertDeepEqual(filterLibraryEntries(entries, { from: Date.UTC(2026, 0, 10, 12) }).map(e => e.reportId), ['g2', 'y1']);
+  assertDeepEqual(filterLibraryEntries(entries, { to: Date.UTC(2026, 0, 9, 12) }).map(e => e.reportId), ['g1']);
+
+  assertDeepEqual(getLibraryFacets(entries), { domains: ['example.com', 'example.org'], reporters: ['google.com', 'Yahoo'] });
+});
+
+test('retention expires entries by report end date', () => {
+  const entries = [
+    createLibraryEntry(makeLibraryReport('google.com', 'old', 'example.com', '2025-06-01')),
+    createLibraryEntry(makeLibraryReport('google.com', 'new', 'example.com', '2026-01-01'))
+  ];
+  const now = Date.UTC(2026, 0, 15);
+
+  assertDeepEqual(findExpiredLibraryEntries(entries, 90, now), [getLibraryReportId('google.com', 'old')]);
+  assertDeepEqual(findExpiredLibraryEntries(entries, 0, now), []);
+
+  assertDeepEqual(normalizeReportLibrarySettings(null), { autoSave: true, retentionDays: 0 });
+  assertDeepEqual(normalizeReportLibrarySettings({ autoSave: false, retentionDays: '30' }), { autoSave: false, retentionDays: 30 });
+  assertDeepEqual(normalizeReportLibrarySettings({ retentionDays: -5 }), { autoSave: true, retentionDays: 0 });
+});
+
+test('library rows escape reporter data and mark selections', () => {
+  const entry = createLibraryEntry(makeLibraryReport('<b>evil</b>', 'x"1', 'example.com', '2026-01-10'));
+  const html = renderLibraryRows([entry], new Set([entry.id]));
+
+  assertTrue(html.includes('&lt;b&gt;evil&lt;/b&gt;'));
+  assertFalse(html.includes('<b>evil'));
+  assertTrue(html.includes('x&quot;1'));
+  assertTrue(html.includes('checked'));
+  assertTrue(html.includes('2026-01-09 - 2026-01-10'));
+  assertTrue(html.includes('70% pass'));
+  assertTrue(renderLibraryRows([]).includes('No stored reports'));
+});
+
+test('library entries summarize sources for history', () => {
+  const report = makeLibraryReport('google.com', 'r1', 'example.com', '2026-01-10');
+  report.records = [
+    { sourceIp: '2001:DB8::1', count: 5, identifiers: { headerFrom: 'News.Example.com' }, alignment: { dmarcPass: false } },
+    { sourceIp: '2001:db8:0::1', count: 3, identifiers: { headerFrom: 'example.com' }, alignment: { dmarcPass: true } }
+  ];
+  const entry = createLibraryEntry(report);
+
+  assertDeepEqual(entry.sources, [{ ip: '2001:db8::1', messages: 8, failing: 5, asn: null }]);
+  assertDeepEqual(entry.headerFroms, ['example.com', 'news.example.com']);
+
+  assertDeepEqual(entry.selectors, []);
+
+  assertDeepEqual(getReportLibraryIds(report), [entry.id]);
+  const combined = { metadata: { _sourceReports: [{ orgName: 'a', reportId: '1' }, { orgName: 'b', reportId: '2' }] } };
+  assertDeepEqual(getReportLibraryIds(combined), [getLibraryReportId('a', '1'), getLibraryReportId('b', '2')]);
+});
+
+// =============================================================================
+// Tests: Combined Reports
+// =============================================================================
+
+console.log('\n\x1b[1mCombined Reports\x1b[0m');
+
+/**
+ * Build a parsed report for combine tests
+ * @param {string} reportId - Report ID
+ * @param {string} domain - policy_published domain
+ * @param {string} p - Published p= value
+ * @param {number} endDay - Day of January 2026 the period ends
+ * @param {number[]} counts - Message count of each record (all DMARC pass)
+ * @returns {Object} Parsed report
+ */
+function makeCombineReport(reportId, domain, p, endDay, counts) {
+  return {
+    version: '1.0',
+    metadata: { orgName: 'google.com', reportId, dateRange: { begin: new Date(Date.UTC(2026, 0, endDay - 1)), end: new Date(Date.UTC(2026, 0, endDay)) } },
+    policy: { domain, policy: p, subdomainPolicy: null, adkim: 'r', aspf: 'r', percentage: 100 },
+    records: counts.map(count => ({
+      count,
+      policyEvaluated: { disposition: 'none', dkim: 'pass', spf: 'pass' },
+      alignment: { dmarcPass: true }
+    }))
+  };
+}
+
+test('combines reports per policy domain with each domain\'s own policy', () => {
+  const combined = combineReportsByDomain([
+    makeCombineReport('a1', 'example.com', 'none', 1, [5]),
+    makeCombineReport('b1', 'other.org', 'reject', 1, [50, 50]),
+    makeCombineReport('a2', 'EXAMPLE.com', 'none', 2, [10])
+  ]);
+
+  assertEqual(combined.length, 2);
+  assertEqual(combined[0].policy.domain, 'other.org', 'Busiest domain first:');
+  assertEqual(combined[0].policy.policy, 'reject');
+  assertEqual(combined[0].summary.totalMessages, 100);
+  assertEqual(combined[1].policy.policy, 'none');
+  assertEqual(combined[1]._reportCount, 2);
+  assertEqual(combined[1].records.length, 2);
+  assertEqual(combined[1].summary.passedBoth, 15);
+  assertEqual(combined[1].metadata.dateRange.end.getTime(), Date.UTC(2026, 0, 2));
+  assertDeepEqual(combined[1]._policyConflicts, []);
+  assertEqual(combined[1].records[0]._policyMismatch, null);
+  assertEqual(combined[1].records[0]._sourceReport, 'a1');
+});
+
+test('flags records whose report saw a different published policy', () => {
+  const older = makeCombineReport('old', 'example.com', 'none', 1, [5]);
+  const newer = makeCombineReport('new', 'example.com', 'quarantine', 8, [10]);
+  newer.policy.percentage = 50;
+  const [combined] = combineReportsByDomain([newer, older]);
+
+  assertEqual(combined.policy.policy, 'quarantine', 'Latest report\'s policy:');
+  const oldRecord = combined.records.find(r => r._sourceReport === 'old');
+  const newRecord = combined.records.find(r => r._sourceReport === 'new');
+  assertDeepEqual(oldRecord._policyMismatch, ['p=none', 'pct=100']);
+  assertEqual(oldRecord._sourcePolicy.policy, 'none');
+  assertEqual(newRecord._policyMismatch, null);
+  assertDeepEqual(combined._policyConflicts, [
+    { tag: 'p', values: [{ value: 'quarantine', reports: 1 }, { value: 'none', reports: 1 }] },
+    { tag: 'pct', values: [{ value: '50', reports: 1 }, { value: '100', reports: 1 }] }
+  ]);
+});
+
+test('compares unset and DMARCbis policy fields', () => {
+  assertDeepEqual(getPolicyDifferences({ policy: 'none', testing: true }, { policy: 'none', testing: null }), ['t=y']);
+  assertDeepEqual(getPolicyDifferences({ policy: 'none', npPolicy: '' }, { policy: 'none' }), []);
+  assertDeepEqual(findPolicyConflicts([{ policy: { subdomainPolicy: null } }, { policy: { subdomainPolicy: 'reject' } }]), [
+    { tag: 'sp', values: [{ value: '(not set)', reports: 1 }, { value: 'reject', reports: 1 }] }
+  ]);
+});
+
+test('drops duplicate report IDs and counts each report once', () => {
+  const first = makeCombineReport('r1', 'example.com', 'none', 1, [5, 5]);
+  first._sourceFilename = 'a.zip';
+  const copy = makeCombineReport('r1', 'example.com', 'none', 1, [5, 5]);
+  copy.metadata.orgName = ' Google.com ';
+  const other = makeCombineReport('r2', 'example.com', 'none', 3, [1]);
+
+  const [combined] = combineReportsByDomain([first, copy, other]);
+  assertEqual(combined.summary.totalMessages, 11);
+  assertEqual(combined._reportCount, 2);
+  assertDeepEqual(combined.metadata._sourceReports.map(r => r.reportId), ['r1', 'r2']);
+
+  const { duplicates, conflicts, merged } = combined._reconciliation;
+  assertEqual(merged.length, 2);
+  assertDeepEqual(duplicates.map(d => d.duplicateOf), ['a.zip']);
+  assertEqual(conflicts.length, 0);
+
+  const noKey = makeCombineReport('', 'example.com', 'none', 1, [1]);
+  assertEqual(reconcileReports([noKey, makeCombineReport('', 'example.com', 'none', 1, [1])]).reports.length, 2, 'Reports without an ID are kept:');
+});
+
+test('keeps a report ID resent with different data and flags the conflict', () => {
+  const first = makeCombineReport('r1', 'example.com', 'none', 1, [5, 5]);
+  first._sourceFilename = 'a.zip';
+  const resent = makeCombineReport('r1', 'example.com', 'none', 1, [7]);
+  resent._sourceFilename = 'b.zip';
+  const resentCopy = makeCombineReport('r1', 'example.com', 'none', 1, [7]);
+
+  const { reports, duplicates, conflicts, overlaps } = reconcileReports([first, resent, resentCopy]);
+  assertEqual(reports.length, 2);
+  assertDeepEqual(duplicates.map(d => d.duplicateOf), ['b.zip'], 'A copy of the resend is still a duplicate:');
+  assertDeepEqual(conflicts.map(c => [c.first.filename, c.second.filename, c.second.messages]), [['a.zip', 'b.zip', 7]]);
+  assertEqual(overlaps.length, 0, 'Conflicts are not listed again as overlaps:');
+});
+
+test('flags overlapping periods from the same reporter and domain', () => {
+  const day1 = makeCombineReport('r1', 'example.com', 'none', 2, [1]);
+  const resentDay1 = makeCombineReport('r1-bis', 'example.com', 'none', 2, [1]);
+  const day2 = makeCombineReport('r2', 'example.com', 'none', 3, [1]);
+  const otherDomain = makeCombineReport('r3', 'other.org', 'none', 2, [1]);
+  const otherReporter = makeCombineReport('r4', 'example.com', 'none', 2, [1]);
+  otherReporter.metadata.orgName = 'yahoo.com';
+  const wide = makeCombineReport('r5', 'example.com', 'none', 2, [1]);
+  wide.metadata.dateRange = { begin: new Date(Date.UTC(2026, 0, 1, 12)), end: new Date(Date.UTC(2026, 0, 2, 12)) };
+
+  const { overlaps } = reconcileReports([day1, resentDay1, day2, otherDomain, otherReporter, wide]);
+  assertDeepEqual(overlaps.map(o => [o.first.reportId, o.second.reportId, o.samePeriod]), [
+    ['r1', 'r1-bis', true],
+    ['r1', 'r5', false],
+    ['r1-bis', 'r5', false],
+    ['r2', 'r5', false]
+  ]);
+});
+
+test('renders the reconciliation summary with escaped names', () => {
+  const [first, copy] = [1, 2].map(() => makeCombineReport('r1', 'example.com', 'none', 1, [5]));
+  first.metadata.orgName = copy.metadata.orgName = '<b>evil</b>';
+  const html = renderReconciliationSummary(reconcileReports([first, copy]), [{ filename: 'bad.xml', error: 'Invalid XML' }]);
+
+  assertTrue(html.includes('1 merged'));
+  assertTrue(html.includes('2 skipped'));
+  assertTrue(html.includes('bad.xml'));
+  assertFalse(html.includes('<b>evil</b>'));
+  assertFalse(html.includes('Overlapping reports'));
+  assertFalse(html.includes('Conflicting resends'));
+
+  const resent = makeCombineReport('r1', 'example.com', 'none', 1, [9]);
+  resent.metadata.orgName = first.metadata.orgName;
+  const conflictHtml = renderReconciliationSummary(reconcileReports([first, resent]));
+  assertTrue(conflictHtml.includes('1 conflicting'));
+  assertTrue(conflictHtml.includes('Conflicting resends'));
+  assertTrue(conflictHtml.includes('2 merged'));
+});
+
+// =============================================================================
+// Tests: Trends
+// =============================================================================
+
+console.log('\n\x1b[1mTrends\x1b[0m');
+
+/**
+ * Build a library entry for trend tests
+ * @param {string} domain - Policy domain
+ * @param {number} day - Day in January 2026 the period begins
+ * @param {number} total - Messages
+ * @param {number} aligned - DMARC-aligned messages
+ * @returns {Object} Library entry
+ */
+function makeTrendEntry(domain, day, total, aligned) {
+  return makeLibraryEntry('google.com', day, {
+    domain,
+    summary: { totalMessages: total, dmarcAligned: aligned, passedDkim: aligned, passedSpf: total, quarantined: total - aligned, rejected: 0 }
+  });
+}
+
+test('trend buckets start on UTC days, Mondays and month starts', () => {
+  const time = Date.UTC(2026, 0, 8, 15, 30); // Thursday
+  assertEqual(getTrendBucketStart(time, TREND_GRANULARITIES.DAY), Date.UTC(2026, 0, 8));
+  assertEqual(getTrendBucketStart(time, TREND_GRANULARITIES.WEEK), Date.UTC(2026, 0, 5));
+  assertEqual(getTrendBucketStart(Date.UTC(2026, 0, 11), TREND_GRANULARITIES.WEEK), Date.UTC(2026, 0, 5), 'Sunday:');
+  assertEqual(getTrendBucketStart(time, TREND_GRANULARITIES.MONTH), Date.UTC(2026, 0, 1));
+});
+
+test('calculates per-domain trends with empty periods filled in', () => {
+  const entries = [
+    makeTrendEntry('example.com', 5, 100, 80),
+    makeTrendEntry('example.com', 7, 100, 90),
+    makeTrendEntry('example.com', 20, 200, 196),
+    makeTrendEntry('other.com', 6, 50, 0),
+    { domain: 'example.com', dateBegin: null, dateEnd: null, summary: makeTrendEntry('', 1, 1, 1).summary }
+  ];
+
+  const weekly = calculateTrends(entries, { domain: 'Example.com', granularity: 'week' });
+  assertDeepEqual(weekly.buckets.map(b => b.label), ['Week of 2026-01-05', 'Week of 2026-01-12', 'Week of 2026-01-19']);
+  assertDeepEqual(weekly.buckets.map(b => b.reports), [2, 0, 1]);
+  assertEqual(weekly.buckets[0].alignedRate, 85);
+  assertEqual(weekly.buckets[1].alignedRate, null);
+  assertEqual(weekly.buckets[2].quarantined, 4);
+  assertEqual(weekly.totals.totalMessages, 400);
+  assertEqual(weekly.undated, 1);
+
+  const change = getTrendChange(weekly.buckets, 'alignedRate');
+  assertEqual(change.change, 13);
+
+  const daily = calculateTrends(entries, { domain: 'example.com', granularity: 'day' });
+  assertEqual(daily.buckets.length, 16);
+  assertEqual(calculateTrends(entries, { granularity: 'month' }).buckets[0].totalMessages, 450);
+  assertEqual(calculateTrends(entries, { granularity: 'bogus' }).granularity, 'day');
+});
+
+test('trend chart breaks lines at empty periods', () => {
+  const { buckets } = calculateTrends([
+    makeTrendEntry('example.com', 1, 10, 10),
+    makeTrendEntry('example.com', 3, 10, 5)
+  ], { granularity: 'day' });
+  const svg = renderTrendChart(buckets);
+
+  const path = svg.match(/trend-line-aligned" d="([^"]*)"/)[1];
+  assertEqual((path.match(/M/g) || []).length, 2);
+  assertFalse(path.includes('L'));
+  assertTrue(svg.includes('<title>2026-01-02: 0 messages'));
+
+  const rows = renderTrendRows(buckets);
+  assertEqual((rows.match(/<tr>/g) || []).length, 2, 'Empty periods are not listed:');
+  assertTrue(rows.indexOf('2026-01-03') < rows.indexOf('2026-01-01'), 'Newest first:');
+  assertTrue(renderTrendChart([]).includes('No stored reports'));
+});
+
+// =============================================================================
+// Tests: Reporter Coverage
+// =============================================================================
+
+console.log('\n\x1b[1mReporter Coverage\x1b[0m');
+
+/**
+ * Build daily library entries of one reporter
+ * @param {string} orgName - Reporter
+ * @param {number[]} days - Day numbers in January 2026 with a report
+ * @returns {Object[]} Library entries
+ */
+function makeCoverageEntries(orgName, days) {
+  return days.map(day => makeLibraryEntry(orgName, day, {
+    email: `dmarc@${orgName}`,
+    summary: { totalMessages: 10 }
+  }));
+}
+
+test('finds cadence, gaps and silent reporters', () => {
+  const entries = [
+    ...makeCoverageEntries('google.com', [1, 2, 3, 6, 7, 8, 9, 10]),
+    ...makeCoverageEntries('Yahoo', [1, 2, 3, 4]),
+    ...makeCoverageEntries('tiny.example', [5])
+  ];
+  const coverage = calculateCoverage(entries, { domain: 'example.com', days: 30, now: Date.UTC(2026, 0, 11, 12) });
+
+  assertEqual(coverage.days.length, 30);
+  assertEqual(coverage.days[29], Date.UTC(2026, 0, 11));
+  assertDeepEqual(coverage.reporters.map(r => [r.orgName, r.status]), [
+    ['Yahoo', REPORTER_STATUS.SILENT],
+    ['google.com', REPORTER_STATUS.ACTIVE],
+    ['tiny.example', REPORTER_STATUS.UNKNOWN]
+  ]);
+
+  const google = coverage.reporters[1];
+  assertEqual(google.cadence, COVERAGE_DAY_MS);
+  assertDeepEqual(google.gaps, [{ from: Date.UTC(2026, 0, 4) - 1000, to: Date.UTC(2026, 0, 6) }]);
+  assertEqual(google.overlaps.length, 0);
+  assertDeepEqual(google.emails, ['dmarc@google.com']);
+  assertEqual(google.messages, 80);
+  // Jan 1 is column 11 of a 30-day window ending Jan 11
+  assertDeepEqual(google.cells.slice(19, 30), ['covered', 'covered', 'covered', 'none', 'none', 'covered', 'covered', 'covered', 'covered', 'covered', 'none']);
+
+  assertEqual(calculateCoverage(entries, { domain: 'example.org', now: Date.UTC(2026, 0, 11) }).reporters.length, 0);
+  assertEqual(calculateCoverage(entries, { days: 7, now: 0 }).days.length, 60, 'Unsupported window falls back to 60 days:');
+});
+
+test('flags overlapping reports from the same reporter', () => {
+  const entries = makeCoverageEntries('google.com', [1, 2, 3]);
+  entries.push({ ...entries[1], id: 'dup', reportId: 'dup', dateBegin: entries[1].dateBegin + 6 * 3600000 });
+  const [google] = calculateCoverage(entries, { days: 30, now: Date.UTC(2026, 0, 4) }).reporters;
+
+  assertEqual(google.overlaps.length, 1);
+  assertDeepEqual(google.overlaps[0].reportIds, ['google.com-2', 'dup']);
+  assertDeepEqual(google.cells.slice(26, 29), ['covered', 'overlap', 'covered']);
+  assertEqual(google.gaps.length, 0);
+});
+
+test('renders coverage escaped with cadence and silence notes', () => {
+  const entries = [
+    ...makeCoverageEntries('<b>evil</b>', [1, 2]),
+    ...makeCoverageEntries('google.com', [1, 8])
+  ];
+  const coverage = calculateCoverage(entries, { days: 30, now: Date.UTC(2026, 0, 20) });
+
+  const rows = renderCoverageRows(coverage.reporters);
+  assertTrue(rows.includes('&lt;b&gt;evil&lt;/b&gt;'));
+  assertFalse(rows.includes('<b>evil'));
+  assertTrue(rows.includes('Every 7 days') && rows.includes('Daily'));
+  assertTrue(rows.includes('Silent for 17 days'));
+  assertEqual(formatCoverageCadence(null), '-');
+
+  const matrix = renderCoverageMatrix(coverage);
+  assertEqual((matrix.match(/coverage-cell/g) || []).length, 60);
+  assertTrue(matrix.includes('>Dec<') && matrix.includes('>Jan<'));
+  assertTrue(renderCoverageMatrix({ days: [], reporters: [] }).includes('No dated reports'));
+
+  assertTrue(describeSilentReporters(coverage.reporters).includes('check the rua address'));
+  const active = calculateCoverage(entries, { days: 30, now: Date.UTC(2026, 0, 9) }).reporters;
+  assertEqual(describeSilentReporters(active), '1 reporter has gone silent for longer than usual: <b>evil</b>.');
+});
+
+// =============================================================================
+// Tests: Policy Timeline
+// =============================================================================
+
+console.log('\n\x1b[1mPolicy Timeline\x1b[0m');
+
+/**
+ * Build a library entry for policy timeline tests
+ * @param {string} orgName - Reporter
+ * @param {number} day - Day in January 2026 the period begins
+ * @param {Object} policy - Published policy fields
+ * @returns {Object} Library entry
+ */
+function makePolicyEntry(orgName, day, policy) {
+  return makeLibraryEntry(orgName, day, {
+    policy: { policy: 'none', percentage: 100, adkim: 'relaxed', aspf: 'relaxed', npPolicy: null, ...policy },
+    summary: { totalMessages: 10, dmarcAligned: 8, passedDkim: 8, passedSpf: 8, quarantined: 0, rejected: 0 }
+  });
+}
+
+test('finds policy changes and ignores stale and unreported values', () => {
+  const entries = [
+    makePolicyEntry('google.com', 1, {}),
+    makePolicyEntry('Yahoo', 1, {}),
+    makePolicyEntry('google.com', 2, { policy: 'quarantine', percentage: 25 }),
+    // Yahoo still resolves the old record, and does not report np
+    makePolicyEntry('Yahoo', 2, {}),
+    makePolicyEntry('Yahoo', 3, {}),
+    makePolicyEntry('google.com', 3, { policy: 'quarantine', percentage: 25, npPolicy: 'reject' }),
+    makePolicyEntry('Yahoo', 4, { policy: 'quarantine', percentage: 25 }),
+    makePolicyEntry('google.com', 5, { policy: 'quarantine', percentage: 100, npPolicy: 'reject' })
+  ];
+  const timeline = calculatePolicyTimeline(entries, { domain: 'example.com' });
+
+  assertDeepEqual(timeline.changes.map(c => [c.tag, c.from, c.to, new Date(c.time).getUTCDate(), c.reportedBy]), [
+    ['p', 'none', 'quarantine', 2, 'google.com'],
+    ['pct', 100, 25, 2, 'google.com'],
+    ['pct', 25, 100, 5, 'google.com']
+  ]);
+  assertEqual(timeline.current.policy, 'quarantine');
+  assertEqual(timeline.current.npPolicy, 'reject');
+  assertEqual(timeline.reports, 8);
+
+  const [google, yahoo] = [...timeline.changes[0].adoption].sort((a, b) => a.orgName.localeCompare(b.orgName));
+  assertDeepEqual([google.lag, google.staleReports], [0, 0]);
+  assertDeepEqual([yahoo.lag, yahoo.staleReports, yahoo.lastStale], [2 * COVERAGE_DAY_MS, 2, Date.UTC(2026, 0, 3)]);
+  assertEqual(timeline.changes[0].adoption[0].orgName, 'Yahoo', 'Slowest reporter first:');
+
+  // The pct=100 change is only counted up to the next pct change
+  assertDeepEqual(timeline.changes[1].adoption.map(r => r.staleReports).sort(), [0, 2]);
+});
+
+test('a reporter that saw the new value can report a rollback', () => {
+  const timeline = calculatePolicyTimeline([
+    makePolicyEntry('google.com', 1, {}),
+    makePolicyEntry('google.com', 2, { policy: 'reject' }),
+    makePolicyEntry('google.com', 3, {})
+  ]);
+  assertDeepEqual(timeline.changes.map(c => `${c.from}>${c.to}`), ['none>reject', 'reject>none']);
+  assertEqual(timeline.current.policy, 'none');
+});
+
+test('renders the policy record, change markers and adoption escaped', () => {
+  const entries = [
+    makePolicyEntry('<b>evil</b>', 1, {}),
+    makePolicyEntry('google.com', 1, {}),
+    makePolicyEntry('google.com', 3, { policy: 'reject' }),
+    makePolicyEntry('<b>evil</b>', 3, {})
+  ];
+  const timeline = calculatePolicyTimeline(entries);
+  assertEqual(formatPolicyRecord(timeline.current, POLICY_TIMELINE_FIELDS), 'v=DMARC1; p=reject; pct=100; adkim=r; aspf=r');
+  assertEqual(formatPolicyRecord({}, POLICY_TIMELINE_FIELDS), '');
+
+  const changes = renderPolicyChangeRows(timeline.changes);
+  assertTrue(changes.includes('p=none → reject'));
+  assertTrue(changes.includes('1 of 2'));
+  assertTrue(changes.includes('&lt;b&gt;evil&lt;/b&gt;'));
+  assertFalse(changes.includes('<b>evil'));
+  assertTrue(renderPolicyAdoptionRows(timeline.changes).includes('not yet'));
+  assertTrue(renderPolicyChangeRows([]).includes('No policy changes'));
+
+  const buckets = calculateTrends(entries, { granularity: 'day' }).buckets;
+  const chart = renderPolicyTimelineChart(buckets, timeline.changes);
+  assertEqual((chart.match(/policy-change-line/g) || []).length, 2, 'One marker plus the legend swatch:');
+  assertEqual((chart.match(/class="policy-bar-failing"/g) || []).length, 3);
+  assertTrue(renderPolicyTimelineChart([], []).includes('No stored reports'));
+});
+
+// =============================================================================
+// Tests: DKIM Selectors
+// =============================================================================
+
+console.log('\n\x1b[1mDKIM Selectors\x1b[0m');
+
+/**
+ * Build a library entry for selector inventory tests
+ * @param {string} orgName - Reporter
+ * @param {number} day - Day in January 2026 the period begins
+ * @param {Object[]} selectors - Selector summaries
+ * @returns {Object} Library entry
+ */
+function makeSelectorEntry(orgName, day, selectors) {
+  return makeLibraryEntry(orgName, day, {
+    selectors: selectors.map(([domain, selector, messages, passing, aligned]) => ({ domain, selector, messages, passing, aligned }))
+  });
+}
+
+test('library entries summarize DKIM selectors with alignment', () => {
+  const report = makeLibraryReport('google.com', 'r1', 'example.com', '2026-01-10');
+  report.policy.adkim = 'strict';
+  report.records = [
+    {
+      count: 5,
+      identifiers: { headerFrom: 'example.com' },
+      authResults: {
+        dkim: [
+          { domain: 'Example.com', selector: 'S1', result: 'pass' },
+          { domain: 'example.com', selector: 's1', result: 'pass' },
+          { domain: 'mail.example.com', selector: 's1', result: 'pass' }
+        ],
+        spf: []
+      }
+    },
+    {
+      count: 2,
+      identifiers: { headerFrom: 'example.com' },
+      authResults: { dkim: [{ domain: 'example.com', selector: 's1', result: 'fail' }, { domain: 'esp.example.net', selector: null, result: 'pass' }], spf: [] }
+    }
+  ];
+
+  assertDeepEqual(createLibraryEntry(report).selectors, [
+    { domain: 'example.com', selector: 's1', messages: 7, passing: 5, aligned: 7 },
+    // Strict adkim: a subdomain signature does not align
+    { domain: 'mail.example.com', selector: 's1', messages: 5, passing: 5, aligned: 0 },
+    { domain: 'esp.example.net', selector: null, messages: 2, passing: 2, aligned: 0 }
+  ]);
+});
+
+test('judges selectors against the domain\'s latest report', () => {
+  const entries = [
+    makeSelectorEntry('google.com', 1, [['example.com', 'old', 100, 99, 100]]),
+    makeSelectorEntry('Yahoo', 2, [['example.com', 'old', 50, 50, 50], ['example.com', 'k1', 10, 10, 10]]),
+    makeSelectorEntry('google.com', 20, [['example.com', 'k1', 200, 198, 200], ['example.com', 'k2', 20, 2, 20]]),
+    makeSelectorEntry('google.com', 25, [['example.com', 'k1', 100, 40, 100], ['esp.example.net', 'rogue', 5, 5, 0]]),
+    makeSelectorEntry('google.com', 26, [['example.com', 'k1', 100, 100, 100]]),
+    { ...makeSelectorEntry('google.com', 27, []), selectors: undefined },
+    { ...makeSelectorEntry('Yahoo', 27, [['example.com', 'k1', 1, 1, 1]]), dateBegin: null, dateEnd: null },
+    { ...makeSelectorEntry('google.com', 27, [['example.org', 'k1', 1, 1, 1]]), domain: 'example.org' }
+  ];
+  const inventory = calculateSelectorInventory(entries, { domain: 'Example.com' });
+
+  assertEqual(inventory.reports, 5);
+  assertEqual(inventory.withoutSelectors, 1);
+  assertEqual(inventory.undated, 1);
+  const byName = Object.fromEntries(inventory.selectors.map(item => [item.selector, item]));
+  assertEqual(inventory.selectors[0].selector, 'k1', 'Busiest selector first:');
+
+  assertEqual(byName.k1.status, SELECTOR_STATUS.ACTIVE);
+  assertEqual(byName.k1.messages, 410);
+  assertDeepEqual(byName.k1.reporters, ['google.com', 'Yahoo']);
+  assertEqual(byName.k1.firstSeen, Date.UTC(2026, 0, 2));
+  assertEqual(byName.old.status, SELECTOR_STATUS.RETIRED);
+  assertEqual(byName.old.lastSeen, Date.UTC(2026, 0, 3) - 1000);
+  assertEqual(byName.k2.status, SELECTOR_STATUS.NEW, 'First seen within 14 days of the latest report:');
+  assertTrue(byName.k2.failing);
+  assertEqual(byName.rogue.status, SELECTOR_STATUS.NEW);
+  assertEqual(byName.rogue.alignedRate, 0);
+
+  // Without older reports nothing is new, and a mostly failing selector is flagged
+  const recent = calculateSelectorInventory(entries.slice(2, 4), { domain: 'example.com' });
+  assertEqual(recent.selectors.find(item => item.selector === 'k2').status, SELECTOR_STATUS.FAILING);
+  assertEqual(calculateSelectorInventory([], {}).selectors.length, 0);
+});
+
+test('renders selector rows and notes', () => {
+  const entries = [
+    makeSelectorEntry('<b>evil</b>', 1, [['example.com', 'k1', 10, 10, 10]]),
+    makeSelectorEntry('google.com', 20, [['example.com', 'k1', 10, 10, 10], ['example.com', '<i>x</i>', 4, 1, 4], ['example.com', null, 2, 2, 2]])
+  ];
+  const inventory = calculateSelectorInventory(entries, { domain: 'example.com' });
+  const html = renderSelectorRows(inventory.selectors);
+
+  assertTrue(html.includes('&lt;b&gt;evil&lt;/b&gt;'));
+  assertTrue(html.includes('<code>&lt;i&gt;x&lt;/i&gt;</code>'));
+  assertFalse(html.includes('<i>x'));
+  assertTrue(html.includes('not reported'));
+  assertTrue(html.includes('>New</span> <span class="badge badge-fail"'), 'A new failing selector shows both badges');
+  assertTrue(html.includes('row-partial'));
+  assertTrue(renderSelectorRows([]).includes('No DKIM signatures'));
+
+  const note = describeSelectorInventory({ ...inventory, withoutSelectors: 2 }, 14);
+  assertTrue(note.startsWith('2 selectors first seen in the last 14 days: <i>x</i> (example.com), (no selector) (example.com).'));
+  assertTrue(note.endsWith('2 stored reports were saved before selectors were recorded and are not counted.'));
+  assertEqual(describeSelectorInventory({ selectors: [], withoutSelectors: 0 }, 14), '');
+});
+
+// =============================================================================
+// Tests: Report Comparison
+// =============================================================================
+
+console.log('\n\x1b[1mReport Comparison\x1b[0m');
+
+test('lists new, disappeared and flipped sources', () => {
+  const before = [
+    makeRecord('192.0.2.1', 'example.com', 100, true),
+    makeRecord('192.0.2.2', 'example.com', 20, false),
+    makeRecord('2001:db8::1', 'example.com', 5, true),
+    makeRecord('198.51.100.7', 'example.com', 3, false)
+  ];
+  const after = [
+    makeRecord('192.0.2.1', 'example.com', 90, true),
+    makeRecord('192.0.2.2', 'Example.com', 25, true),
+    makeRecord('2001:DB8:0::1', 'example.com', 4, true),
+    makeRecord('203.0.113.9', 'news.example.com', 40, false),
+    makeRecord('203.0.113.9', 'news.example.com', 10, true)
+  ];
+
+  const diff = diffReports(before, after);
+  assertDeepEqual(diff.newSources.map(s => [s.ip, s.messages, s.alignedRate, s.alignment]), [['203.0.113.9', 50, 20, SOURCE_ALIGNMENT.MIXED]]);
+  assertDeepEqual(diff.removedSources.map(s => s.ip), ['198.51.100.7']);
+  assertEqual(diff.flippedSources.length, 1, 'IPv6 spellings are one source:');
+  assertEqual(diff.flippedSources[0].ip, '192.0.2.2');
+  assertEqual(diff.flippedSources[0].before.alignment, SOURCE_ALIGNMENT.FAILING);
+  assertEqual(diff.flippedSources[0].alignment, SOURCE_ALIGNMENT.ALIGNED);
+  assertDeepEqual([diff.before.sources, diff.after.sources], [4, 4]);
+});
+
+test('compares the DMARC-aligned rate per header_from', () => {
+  const diff = diffReports(
+    [makeRecord('192.0.2.1', 'example.com', 50, true), makeRecord('192.0.2.2', 'example.com', 50, false), makeRecord('192.0.2.3', 'old.example.com', 5, true)],
+    [makeRecord('192.0.2.1', 'example.com', 90, true), makeRecord('192.0.2.2', 'example.com', 10, false)]
+  );
+
+  assertDeepEqual(diff.domains.map(d => [d.domain, d.beforeRate, d.afterRate, d.change]), [
+    ['example.com', 50, 90, 40],
+    ['old.example.com', 100, null, null]
+  ]);
+  assertEqual(diff.before.alignedRate, 55 / 105 * 100);
+});
+
+test('compares providers when they are known', () => {
+  const providers = { '192.0.2.1': { id: 'google', name: 'Google' }, '192.0.2.2': { id: 'sendgrid', name: 'SendGrid' } };
+  const getProvider = record => providers[record.sourceIp] || { id: 'unknown', name: 'Unknown' };
+  const diff = diffReports(
+    [makeRecord('192.0.2.1', 'example.com', 10, true), makeRecord('192.0.2.9', 'example.com', 1, false)],
+    [makeRecord('192.0.2.2', 'example.com', 10, true)],
+    { getProvider }
+  );
+
+  assertDeepEqual(diff.newProviders, [{ id: 'sendgrid', name: 'SendGrid', messages: 10, sources: 1 }]);
+  assertDeepEqual(diff.removedProviders.map(p => p.id), ['google']);
+  assertEqual(diffReports([], [makeRecord('192.0.2.1', 'example.com', 1, true)]).newProviders.length, 0);
+});
+
+test('diff rows link to the side holding the records', () => {
+  const diff = diffReports(
+    [makeRecord('192.0.2.1', '<b>x</b>.com', 10, false)],
+    [makeRecord('192.0.2.1', '<b>x</b>.com', 10, true), makeRecord('192.0.2.5', 'example.com', 1, true)]
+  );
+
+  assertTrue(renderDiffSourceRows(diff.newSources, 'after').includes('data-diff-side="after" data-diff-ip="192.0.2.5"'));
+  assertTrue(renderDiffSourceRows([], 'before').includes('None'));
+  const flipped = renderDiffFlippedRows(diff.flippedSources);
+  assertTrue(flipped.includes('Failing (0.0%)') && flipped.includes('Aligned (100.0%)'));
+  assertFalse(flipped.includes('<b>'));
+  const domains = renderDiffDomainRows(diff.domains);
+  assertTrue(domains.includes('+100.0 pts'));
+  assertTrue(domains.includes('data-diff-domain="example.com"'));
+});
+
+// =============================================================================
+// Tests: Sender Inventory
+// =============================================================================
+
+console.log('\n\x1b[1mSender Inventory\x1b[0m');
+
+/**
+ * Build a record for sender inventory tests
+ * @param {string} ip - Source IP
+ * @param {number} count - Messages
+ * @param {boolean} aligned - DMARC alignment result
+ * @param {Object[]} [dkim] - DKIM auth results
+ * @returns {Object} Record
+ */
+function makeSenderRecord(ip, count, aligned, dkim = []) {
+  return {
+    sourceIp: ip,
+    count,
+    authResults: { dkim, spf: [] },
+    alignment: { dmarcPass: aligned, dkimPassed: aligned, spfPassed: false }
+  };
+}
+
+test('normalizes and validates sender keys', () => {
+  assertEqual(normalizeSenderKey('ip', '192.0.2.7'), '192.0.2.7/32');
+  assertEqual(normalizeSenderKey('ip', '2001:DB8:0::/32'), '2001:db8::/32');
+  assertEqual(normalizeSenderKey('ip', '192.0.2.0/33'), null);
+  assertEqual(normalizeSenderKey('asn', 'as15169'), 'AS15169');
+  assertEqual(normalizeSenderKey('dkim', 'Mail.Example.COM.'), 'mail.example.com');
+  assertEqual(normalizeSenderKey('dkim', 'not a domain'), null);
+  assertEqual(validateSenderEntry({ type: 'ip', value: '192.0.2.0/24', status: 'approved' }).length, 0);
+  assertEqual(validateSenderEntry({ type: 'ip', value: 'mail.example.com', status: 'maybe' }).length, 2);
+
+  const entries = normalizeSenderInventory([
+    { type: 'ip', value: '192.0.2.1', owner: 'Old', status: 'approved' },
+    { type: 'ip', value: '192.0.2.1/32', owner: 'New', status: 'approved' },
+    { type: 'bogus', value: 'x', status: 'approved' },
+    null
+  ]);
+  assertDeepEqual(entries.map(e => [e.id, e.owner]), [['ip:192.0.2.1/32', 'New']]);
+  const edited = upsertSenderEntry(entries, { type: 'asn', value: '64500', status: 'unauthorized' }, 'ip:192.0.2.1/32');
+  assertDeepEqual(edited.map(e => e.id), ['asn:AS64500'], 'Editing replaces the entry:');
+});
+
+test('matches the most specific inventory entry', () => {
+  const entries = normalizeSenderInventory([
+    { type: 'asn', value: 'AS64500', status: 'investigating' },
+    { type: 'provider', value: 'sendgrid', status: 'approved' },
+    { type: 'dkim', value: 'example.com', status: 'approved' },
+    { type: 'ip', value: '192.0.2.0/24', owner: 'Office', status: 'approved' },
+    { type: 'ip', value: '192.0.2.66', owner: 'Printer', status: 'unauthorized' }
+  ]);
+  const signed = [{ domain: 'Example.com', result: 'pass' }];
+  const forged = [{ domain: 'example.com', result: 'fail' }];
+
+  assertEqual(matchSender(makeSenderRecord('192.0.2.66', 1, false), entries).owner, 'Printer');
+  assertEqual(matchSender(makeSenderRecord('192.0.2.10', 1, false, signed), entries).owner, 'Office');
+  assertEqual(matchSender(makeSenderRecord('198.51.100.1', 1, true, signed), entries).type, 'dkim');
+  assertEqual(matchSender(makeSenderRecord('198.51.100.1', 1, false, forged), entries), null, 'Failing signatures do not match:');
+  assertEqual(matchSender(makeSenderRecord('198.51.100.1', 1, false), entries, { provider: { id: 'sendgrid' }, geo: { asn: 'AS64500 Example' } }).type, 'provider');
+  assertEqual(matchSender(makeSenderRecord('198.51.100.1', 1, false), entries, { provider: { id: 'unknown' }, geo: { asn: 'AS64500 Example' } }).type, 'asn');
+});
+
+test('classification follows the sender inventory status', () => {
+  const passing = makeSenderRecord('192.0.2.1', 10, true);
+  const result = classifyRecord(passing, null, { status: SENDER_STATUS.UNAUTHORIZED, owner: 'Nobody' });
+  assertEqual(result.classification, CLASSIFICATION.LIKELY_SPOOF, 'Unauthorized is a spoof even when passing:');
+  assertTrue(result.signals[0].includes('unauthorized'));
+
+  const failing = makeSenderRecord('192.0.2.1', 500, false);
+  assertEqual(classifyRecord(failing).classification, CLASSIFICATION.LIKELY_SPOOF);
+  const approved = classifyRecord(failing, null, { status: SENDER_STATUS.APPROVED, owner: 'Billing' });
+  assertEqual(approved.classification, CLASSIFICATION.LIKELY_MISCONFIG);
+  assertTrue(approved.signals.includes('Approved sender in inventory: Billing'));
+});
+
+test('enforcement readiness is measured over approved senders', () => {
+  const approved = { id: 'ip:192.0.2.0/24', status: SENDER_STATUS.APPROVED };
+  const records = [
+    { ...makeSenderRecord('192.0.2.1', 95, true), _sender: approved },
+    { ...makeSenderRecord('192.0.2.2', 5, false), _sender: approved },
+    { ...makeSenderRecord('203.0.113.1', 400, false), _sender: { status: SENDER_STATUS.UNAUTHORIZED } },
+    makeSenderRecord('198.51.100.1', 100, false)
+  ];
+
+  const readiness = calculateEnforcementReadiness(records, { policy: 'none' });
+  assertEqual(readiness.scope, 'approved');
+  assertEqual(readiness.alignedPercent, 95);
+  assertEqual(readiness.status, 'caution');
+  assertDeepEqual([readiness.excludedMessages, readiness.unauthorizedMessages], [500, 400]);
+  assertTrue(readiness.recommendation.includes('approved senders only'));
+
+  const unscoped = calculateEnforcementReadiness(records.map(({ _sender, ...record }) => record), { policy: 'none' });
+  assertEqual(unscoped.scope, 'all');
+  assertEqual(unscoped.totalMessages, 600);
+});
+
+test('renders inventory rows and record details escaped', () => {
+  const entries = normalizeSenderInventory([
+    { type: 'ip', value: '192.0.2.0/24', owner: '<b>Ops</b>', status: 'approved' },
+    { type: 'dkim', value: 'example.com', status: 'unauthorized' }
+  ]);
+  const rows = renderSenderRows(entries, new Map([['ip:192.0.2.0/24', 1200]]));
+  assertTrue(rows.indexOf('192.0.2.0/24') < rows.indexOf('example.com'), 'IP entries first:');
+  assertTrue(rows.includes('1,200'));
+  assertFalse(rows.includes('<b>'));
+  assertTrue(renderSenderRows([]).includes('No known senders'));
+
+  assertTrue(renderSenderDetails({ sourceIp: '192.0.2.9' }).includes('data-sender-ip="192.0.2.9"'));
+  const details = renderSenderDetails({ sourceIp: '192.0.2.9', _sender: entries[0] });
+  assertTrue(details.includes('sender-approved') && details.includes('data-sender-id="ip:192.0.2.0/24"'));
+});
+
+// =============================================================================
+// Tests: New Sources
+// =============================================================================
+
+console.log('\n\x1b[1mNew Sources\x1b[0m');
+
+/**
+ * Build a library entry shape for source history tests
+ * @param {string} id - Library id
+ * @param {number} begin - Period start (ms)
+ * @param {Object[]} sources - Per-source summaries
+ * @param {string[]} [headerFroms] - From domains
+ * @returns {Object} Library entry
+ */
+function makeHistoryEntry(id, begin, sources, headerFroms = ['example.com']) {
+  return { id, domain: 'example.com', dateBegin: begin, dateEnd: begin + 86400000, sources, headerFroms };
+}
+
+test('builds source history from earlier reports of the domain', () => {
+  const jan = Date.UTC(2026, 0, 1);
+  const entries = [
+    makeHistoryEntry('a', jan, [{ ip: '192.0.2.1', messages: 10, failing: 0, asn: 'AS64500' }]),
+    makeHistoryEntry('b', jan + 86400000, [{ ip: '192.0.2.1', messages: 30, failing: 0, asn: null }], ['example.com', 'news.example.com']),
+    makeHistoryEntry('current', jan + 2 * 86400000, [{ ip: '198.51.100.5', messages: 1, failing: 1, asn: null }]),
+    makeHistoryEntry('later', jan + 3 * 86400000, [{ ip: '203.0.113.9', messages: 1, failing: 1, asn: null }]),
+    { ...makeHistoryEntry('other', jan, [{ ip: '203.0.113.7', messages: 1, failing: 0, asn: null }]), domain: 'example.org' },
+    { id: 'legacy', domain: 'example.com', dateBegin: jan, dateEnd: jan }
+  ];
+  const history = buildSourceHistory(entries, { domain: 'Example.com', ids: ['current'], before: jan + 2 * 86400000 });
+
+  assertEqual(history.reports, 2);
+  assertDeepEqual([...history.ips.entries()], [['192.0.2.1', { reports: 2, messages: 40 }]]);
+  assertDeepEqual([...history.asns], ['AS64500']);
+  assertDeepEqual([...history.headerFroms].sort(), ['example.com', 'news.example.com']);
+  assertEqual(buildSourceHistory(entries, { domain: 'example.com', ids: ['current'] }).reports, 3, 'Without a period start:');
+});
+
+test('scores new IPs, ASNs, From domains and volume spikes', () => {
+  const history = buildSourceHistory([
+    makeHistoryEntry('a', 0, [
+      { ip: '192.0.2.1', messages: 20, failing: 0, asn: 'AS64500' },
+      { ip: '192.0.2.2', messages: 20, failing: 0, asn: 'AS64500' }
+    ])
+  ], { domain: 'example.com' });
+  const records = [
+    makeRecord('192.0.2.1', 'example.com', 15, true),
+    makeRecord('192.0.2.2', 'example.com', 60, true),
+    makeRecord('192.0.2.2', 'Promo.example.com', 40, false),
+    makeRecord('198.51.100.5', 'example.com', 7, false)
+  ];
+  const asns = { '192.0.2.1': 'AS64500 Example Net', '198.51.100.5': 'AS64511 Other Net' };
+  const novelty = scoreSourceNovelty(records, history, ip => asns[ip] || null);
+
+  assertDeepEqual(novelty.get('192.0.2.1').signals, []);
+  const spike = novelty.get('192.0.2.2');
+  assertDeepEqual(spike.signals, [NOVELTY_SIGNALS.VOLUME_SPIKE, NOVELTY_SIGNALS.NEW_HEADER_FROM]);
+  assertDeepEqual([spike.messages, spike.failing, spike.baseline], [100, 40, 20]);
+  assertDeepEqual(spike.newHeaderFroms, ['promo.example.com']);
+  const stranger = novelty.get('198.51.100.5');
+  assertDeepEqual(stranger.signals, [NOVELTY_SIGNALS.NEW_IP, NOVELTY_SIGNALS.NEW_ASN]);
+  assertEqual(stranger.asn, 'AS64511');
+
+  // A source at three times its baseline but only a few messages more is no spike
+  assertDeepEqual(scoreSourceNovelty([makeRecord('192.0.2.1', 'example.com', 60, true)], history).get('192.0.2.1').signals, []);
+  assertEqual(scoreSourceNovelty(records, buildSourceHistory([], { domain: 'example.com' })).size, 0, 'No history:');
+
+  const noAsnHistory = buildSourceHistory([makeHistoryEntry('a', 0, [{ ip: '192.0.2.1', messages: 20, failing: 0, asn: null }])], { domain: 'example.com' });
+  assertDeepEqual(scoreSourceNovelty(records, noAsnHistory, ip => asns[ip] || null).get('198.51.100.5').signals, [NOVELTY_SIGNALS.NEW_IP],
+    'ASN novelty needs ASN history:');
+});
+
+test('lists novel sources, failing first within a score', () => {
+  const history = buildSourceHistory([makeHistoryEntry('a', 0, [{ ip: '192.0.2.1', messages: 5, failing: 0, asn: null }])], { domain: 'example.com' });
+  const novelty = scoreSourceNovelty([
+    makeRecord('192.0.2.1', 'example.com', 5, true),
+    makeRecord('198.51.100.1', 'example.com', 500, true),
+    makeRecord('198.51.100.2', 'example.com', 3, false)
+  ], history);
+
+  assertDeepEqual(listNovelSources(novelty).map(source => source.ip), ['198.51.100.2', '198.51.100.1']);
+  assertDeepEqual(listNovelSources(novelty, { failingOnly: true }).map(source => source.ip), ['198.51.100.2']);
+});
+
+test('renders new sources escaped with badges and summary', () => {
+  const source = {
+    ip: '198.51.100.2', signals: ['new_ip', 'new_header_from'], score: 4, messages: 3, failing: 3,
+    baseline: null, asn: null, headerFroms: ['<b>x</b>.example.com'], newHeaderFroms: ['<b>x</b>.example.com']
+  };
+  const rows = renderNoveltyRows([source]);
+  assertTrue(rows.includes('data-novelty-ip="198.51.100.2"'));
+  assertTrue(rows.includes('<strong>&lt;b&gt;x&lt;/b&gt;.example.com</strong>'));
+  assertFalse(rows.includes('usually'), 'No baseline for new IPs:');
+  assertTrue(renderNoveltyRows([{ ...source, signals: ['volume_spike'], baseline: 40, newHeaderFroms: [] }]).includes('(usually 40)'));
+  assertTrue(renderNoveltyRows([]).includes('No new or unusual sources'));
+
+  assertEqual(renderNoveltyBadge(null), '');
+  assertTrue(renderNoveltyBadge(source).includes('>New<'));
+  assertTrue(renderNoveltyBadge({ signals: ['volume_spike'] }).includes('novelty-spike'));
+  assertTrue(renderNoveltySummary(null, []).includes('Loading'));
+  assertTrue(renderNoveltySummary({ reports: 0 }, []).includes('No earlier reports'));
+  assertEqual(renderNoveltySummary({ reports: 2 }, [source]), 'Compared with 2 earlier stored reports: 1 new or unusual source, 1 failing DMARC.');
+});
+
+// =============================================================================
+// Tests: Streaming XML Parser
+// =============================================================================
+
+console.log('\n\x1b[1mStreaming XML Parser\x1b[0m');
+
+/**
+ * Tokenize XML into a flat event list, feeding it in fixed-size chunks
+ * @param {string} xml - XML text
+ * @param {number} chunkSize - Characters per write
+ * @returns {string[]} Events
+ */
+function collectSaxEvents(xml, chunkSize) {
+  const events = [];
+  const sax = createXmlSaxParser({
+    onOpenTag: (name, attributes) => events.push(`<${name}${Object.keys(attributes).length ? ' ' + JSON.stringify(attributes) : ''}>`),
+    onCloseTag: name => events.push(`</${name}>`),
+    onText: text => { if (text.trim()) events.push(text.trim()); }
+  });
+  for (let i = 0; i < xml.length; i += chunkSize) {
+    sax.write(xml.slice(i, i + chunkSize));
+  }
+  sax.close();
+  return events;
+}
+
+test('decodes predefined and numeric XML entities', () => {
+  assertEqual(decodeXmlEntities('a &lt;b&gt; &amp; &#233;&#x41;'), 'a <b> & éA');
+  assertThrows(() => decodeXmlEntities('&nbsp;'), 'undefined entity');
+});
+
+test('SAX tokenizer gives the same events for any chunk size', () => {
+  const xml = '<?xml version="1.0"?>\n<!-- c > d --><dmarc:feedback xmlns:dmarc="urn:x" a=\'1>2\'>' +
+    '<org_name>A &amp; B</org_name><empty/><![CDATA[<raw>]]></dmarc:feedback>\n';
+  const expected = collectSaxEvents(xml, xml.length);
+  assertEqual(expected.join('|'),
+    '<dmarc:feedback {"xmlns:dmarc":"urn:x","a":"1>2"}>|<org_name>|A & B|</org_name>|<empty>|</empty>|<raw>|</dmarc:feedback>');
+  for (let size = 1; size < 12; size++) {
+    assertEqual(collectSaxEvents(xml, size).join('|'), expected.join('|'));
+  }
+});
+
+test('SAX tokenizer rejects mismatched and unclosed tags', () => {
+  assertThrows(() => collectSaxEvents('<a><b></a>', 4), 'expected </b>');
+  assertThrows(() => collectSaxEvents('<a><b></b>', 4), 'unexpected end of document');
+});
+
+// =============================================================================
+// Tests: MIME and ARF Parsing
+// =============================================================================
+
+console.log('\n\x1b[1mMIME and ARF Parsing\x1b[0m');
+
+test('parses quoted content-type parameters', () => {
+  const parsed = parseMimeHeaderValue('multipart/report; report-type=feedback-report; boundary="a;b=c"');
+  assertEqual(parsed.value, 'multipart/report');
+  assertEqual(parsed.params['report-type'], 'feedback-report');
+  assertEqual(parsed.params.boundary, 'a;b=c');
+});
+
+test('decodes quoted-printable with soft line breaks', () => {
+  const text = new TextDecoder().decode(decodeQuotedPrintableBytes('caf=C3=A9 and=\n more'));
+  assertEqual(text, 'café and more');
+});
+
+test('decodes RFC 2047 encoded words', () => {
+  assertEqual(decodeMimeWords('=?UTF-8?B?Y2Fmw6k=?= =?ISO-8859-1?Q?na=EFve?='), 'cafénaïve');
+  assertEqual(decodeMimeWords('plain subject'), 'plain subject');
+});
+
+test('splits nested multipart bodies and decodes parts', () => {
+  const message = [
+    'Content-Type: multipart/mixed; boundary=outer',
+    '',
+    '--outer',
+    'Content-Type: text/plain',
+    'Content-Transfer-Encoding: base64',
+    '',
+    'aGVsbG8=',
+    '--outer--'
+  ].join('\r\n');
+  const entity = parseMimeEntity(message);
+  assertEqual(entity.parts.length, 1);
+  assertEqual(getMimeEntityText(entity.parts[0]), 'hello');
+});
+
+test('reads attachment filenames from disposition and content-type', () => {
+  const disposition = parseMimeEntity([
+    'Content-Type: application/gzip; name="fallback.xml.gz"',
+    "Content-Disposition: attachment; filename*=UTF-8''google.com%21example.com.xml.gz",
+    '',
+    ''
+  ].join('\r\n'));
+  assertEqual(getMimePartFilename(disposition), 'google.com!example.com.xml.gz');
+
+  const nameOnly = parseMimeEntity('Content-Type: application/zip; name="report.zip"\r\n\r\n');
+  assertEqual(getMimePartFilename(nameOnly), 'report.zip');
+  assertEqual(getMimePartFilename(parseMimeEntity('Content-Type: text/plain\r\n\r\nhi')), null);
+});
+
+test('splits mbox archives and unquotes From lines', () => {
+  const mbox = [
+    'From a@example.com Mon Jan  1 00:00:00 2024',
+    'Subject: one',
+    '',
+    '>From the body',
+    '',
+    'From b@example.com Tue Jan  2 00:00:00 2024',
+    'Subject: two',
+    '',
+    'second'
+  ].join('\n');
+  const messages = splitMbox(mbox);
+  assertEqual(messages.length, 2);
+  assertTrue(messages[0].includes('\nFrom the body'));
+  assertTrue(messages[1].startsWith('Subject: two'));
+});
+
+test('splits mbox archives only on separator lines after a blank line', () => {
+  const mbox = [
+    'From a@example.com Mon Jan  1 00:00:00 2024',
+    'Subject: one',
+    '',
+    'Hello,',
+    'From now on reports go to the new address.',
+    '',
+    'From here we can see the sea.',
+    '',
+    'From b@example.com Tue Jan  2 00:00:00 2024',
+    'Subject: two',
+    '',
+    'second'
+  ].join('\n');
+  const messages = splitMbox(mbox);
+  assertEqual(messages.length, 2);
+  assertTrue(messages[0].includes('\nFrom now on reports'));
+  assertTrue(messages[0].includes('\nFrom here we can see the sea.'));
+  assertTrue(messages[1].startsWith('Subject: two'));
+});
+
+test('parses Authentication-Results methods, properties and comments', () => {
+  const parsed = parseAuthenticationResults(
+    'mx.example.net; dkim=fail (bad sig) reason="key revoked" header.d=Example.com; spf=softfail smtp.mailfrom=bounce.example.org; arc=none'
+  );
+  assertEqual(parsed.authservId, 'mx.example.net');
+  assertEqual(parsed.results.length, 3);
+  assertEqual(parsed.results[0].method, 'dkim');
+  assertEqual(parsed.results[0].result, 'fail');
+  assertEqual(parsed.results[0].properties['header.d'], 'Example.com');
+  assertEqual(parsed.results[1].result, 'softfail');
+});
+
+test('extracts domains from address headers', () => {
+  assertEqual(extractAddressDomain('Example User <User@Example.COM>'), 'example.com');
+  assertEqual(extractAddressDomain('bounce@mailer.example.org'), 'mailer.example.org');
+  assertEqual(extractAddressDomain('undisclosed-recipients:;'), null);
+});
+
+test('links failure reports to records by source IP and header_from', () => {
+  const failureReports = [
+    { sourceIp: '192.0.2.1', headerFrom: 'example.com' },
+    { sourceIp: '192.0.2.1', headerFrom: 'other.example' },
+    { sourceIp: '198.51.100.7', headerFrom: 'example.com' }
+  ];
+  const record = { sourceIp: '192.0.2.1', identifiers: { headerFrom: 'Example.com' } };
+  const matches = findMatchingFailureReports(record, failureReports);
+  assertEqual(matches.length, 1);
+  assertEqual(matches[0], failureReports[0]);
+  assertEqual(findMatchingFailureReports({ sourceIp: '192.0.2.1', identifiers: {} }, failureReports).length, 0);
+});
+
+test('links failure reports to records by IPv6 address in any notation', () => {
+  const failureReports = [{ sourceIp: '2001:DB8:0:0::1', headerFrom: 'example.com' }];
+  const record = { sourceIp: '2001:db8::1', identifiers: { headerFrom: 'example.com' } };
+  assertEqual(getFailureLinkKey('2001:0db8::0001', 'Example.com'), '2001:db8::1|example.com');
+  assertEqual(findMatchingFailureReports(record, failureReports).length, 1);
+});
+
 // =============================================================================
 // Tests: Debug Mode
 // =============================================================================